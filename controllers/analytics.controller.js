@@ -3,6 +3,7 @@ const ShopifyIntegration = require('../models/ShopifyIntegration');
 const WebsiteIntegration = require('../models/WebsiteIntegration');
 const WordPressIntegration = require('../models/WordPressIntegration');
 const IntegrationConfig = require('../models/IntegrationConfig');
+const attributionService = require('../services/attribution.service');
 const { ObjectId } = require('mongoose').Types;
 
 // Helper functions outside the class
@@ -291,6 +292,62 @@ class IntegrationsAnalyticsController {
       });
     }
   }
+
+  // Website and WordPress leads by campaign, source and medium of their first or last touch
+  async getLeadAttribution(req, res) {
+    try {
+      const organizationId = req.user?.organizationId || req.query.organizationId;
+      const { getDateRangeSummary } = require('../middleware/dateFilter');
+      const { touch = 'last', source, integrationId, formId } = req.query;
+
+      if (!organizationId || !ObjectId.isValid(organizationId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A valid organization ID is required'
+        });
+      }
+
+      if (!['first', 'last'].includes(touch)) {
+        return res.status(400).json({
+          success: false,
+          message: 'touch must be first or last'
+        });
+      }
+
+      if (source && !['website', 'wordpress'].includes(source)) {
+        return res.status(400).json({
+          success: false,
+          message: 'source must be website or wordpress'
+        });
+      }
+
+      const breakdown = await attributionService.breakdown(organizationId, {
+        touch,
+        source,
+        integrationId,
+        formId,
+        startDate: req.parsedDateRange?.startDate,
+        endDate: req.parsedDateRange?.endDate
+      });
+
+      res.json({
+        success: true,
+        data: {
+          ...breakdown,
+          dateRange: getDateRangeSummary(req.parsedDateRange?.startDate, req.parsedDateRange?.endDate)
+        },
+        message: 'Lead attribution retrieved successfully'
+      });
+
+    } catch (error) {
+      console.error('Error getting lead attribution:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve lead attribution',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new IntegrationsAnalyticsController();
\ No newline at end of file
@@ -1,4 +1,5 @@
 const assignmentService = require('../services/assignmentService');
+const assignmentEngine = require('../services/assignmentEngine.service');
 
 class AssignmentController {
   /**
@@ -33,19 +34,36 @@ class AssignmentController {
       const newSettings = req.body;
 
       // Validate settings
-      if (newSettings.mode && !['auto', 'manual', 'specific'].includes(newSettings.mode)) {
+      if (newSettings.mode && !assignmentEngine.isValidMode(newSettings.mode)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid assignment mode. Must be auto, manual, or specific'
         });
       }
 
-      if (newSettings.algorithm && !['round-robin', 'weighted-round-robin', 'least-active', 'random'].includes(newSettings.algorithm)) {
+      if (newSettings.algorithm && !assignmentEngine.isValidAlgorithm(newSettings.algorithm)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid algorithm. Must be round-robin, weighted-round-robin, least-active, or random'
+          message: 'Invalid algorithm. Must be round-robin, weighted-round-robin, least-assigned, or random'
         });
       }
+      if (newSettings.algorithm) {
+        newSettings.algorithm = assignmentEngine.normalizeAlgorithm(newSettings.algorithm);
+      }
+
+      if (newSettings.workingHours !== undefined) {
+        if (!assignmentEngine.isValidWorkingHours(newSettings.workingHours)) {
+          return res.status(400).json({
+            success: false,
+            message: 'workingHours must be an object with enabled (boolean) and outsideHours (queue, on-call or unassigned)'
+          });
+        }
+        const { enabled, outsideHours } = newSettings.workingHours;
+        newSettings.workingHours = {
+          ...(enabled !== undefined && { enabled }),
+          ...(outsideHours && { outsideHours })
+        };
+      }
 
       // Validate assignToUsers if provided
       if (newSettings.assignToUsers) {
@@ -66,6 +84,11 @@ class AssignmentController {
       }
 
       const updated = await assignmentService.updateAssignmentSettings(integrationType, integrationId, newSettings);
+
+      // Restart the distribution when users change
+      if (newSettings.assignToUsers) {
+        await assignmentEngine.reset(assignmentService.getAssignmentScope(integrationType, integrationId));
+      }
       
       res.json({
         success: true,
@@ -140,15 +163,19 @@ class AssignmentController {
         });
       }
 
-      const nextAssignee = await assignmentService.getNextAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId);
+      // Read-only: previewing does not move the distribution on
+      const preview = await assignmentService.previewNextAssignee(
+        eligibleUsers, assignmentSettings, integrationType, integrationId, organizationId
+      );
       
       res.json({
         success: true,
         data: {
-          nextAssignee,
+          nextAssignee: preview?.nextAssignee || null,
           eligibleUsersCount: eligibleUsers.length,
           algorithm: assignmentSettings.algorithm,
-          mode: assignmentSettings.mode
+          mode: assignmentSettings.mode,
+          hybrid: preview?.hybrid || null
         },
         message: 'Next assignment preview generated'
       });
@@ -207,13 +234,15 @@ class AssignmentController {
     try {
       const { integrationType, integrationId } = req.params;
       
-      // This would be implemented based on your needs
-      // Could show distribution stats, recent assignments, etc.
+      const state = await assignmentEngine.getState(assignmentService.getAssignmentScope(integrationType, integrationId));
       
       res.json({
         success: true,
         data: {
-          message: 'Assignment statistics endpoint - to be implemented'
+          totalAssignments: state?.sequence || 0,
+          assignmentsByUser: state?.counts || {},
+          lastAssignedTo: state?.lastAssignedTo || null,
+          lastAssignedAt: state?.lastAssignedAt || null
         }
       });
     } catch (error) {
@@ -232,11 +261,7 @@ class AssignmentController {
     try {
       const { integrationType, integrationId } = req.params;
       
-      await assignmentService.updateAssignmentSettings(integrationType, integrationId, {
-        'lastAssignment.roundRobinIndex': 0,
-        'lastAssignment.userId': null,
-        'lastAssignment.timestamp': null
-      });
+      await assignmentService.resetAssignmentTracking(integrationType, integrationId);
       
       res.json({
         success: true,
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const facebookService = require('../services/facebook.service');
-const facebookLeadProcessor = require('../services/facebookLeadProcessor.service');
+const webhookQueue = require('../services/webhookQueue.service');
+const facebookPollingService = require('../services/facebookPolling.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
 const FacebookIntegration = require('../models/FacebookIntegration');
 const { authenticateUser } = require('../middleware/auth');
 const { requireIntegrationAccess } = require('../middleware/permissions');
@@ -84,30 +86,19 @@ router.post('/webhook', async (req, res) => {
   try {
     logger.info('📥 Incoming Facebook Webhook:', JSON.stringify(req.body, null, 2));
 
-    // Respond immediately to Facebook
-    res.status(200).send('OK');
-
-    // Process webhook data asynchronously
-    const body = req.body;
-
-    if (body.object === 'page') {
-      for (const entry of body.entry) {
-        for (const change of entry.changes) {
-          if (change.field === 'leadgen') {
-            const leadgenData = change.value;
-            logger.info('Processing leadgen webhook:', leadgenData);
-            
-            // Process the lead asynchronously
-            facebookLeadProcessor.processWebhookLead(leadgenData).catch(error => {
-              logger.error('Error processing Facebook webhook lead:', error);
-            });
-          }
-        }
-      }
+    // Store every lead before acknowledging; Facebook redelivers if we fail here
+    for (const leadgenData of facebookService.extractLeadgenChanges(req.body)) {
+      logger.info('Queueing leadgen webhook:', leadgenData);
+      await webhookQueue.enqueue('facebook', leadgenData, {
+        eventType: 'leadgen',
+        metadata: { pageId: leadgenData.page_id, formId: leadgenData.form_id, leadgenId: leadgenData.leadgen_id }
+      });
     }
+
+    res.status(200).send('OK');
   } catch (error) {
     logger.error('Facebook webhook processing error:', error);
-    // Don't change the response - Facebook expects 200
+    res.status(500).send('Failed to store webhook');
   }
 });
 
@@ -610,7 +601,7 @@ router.put('/forms/:formId/assignments', async (req, res) => {
   try {
     const { formId } = req.params;
     const { organizationId } = req.user;
-    const { enabled, algorithm, assignToUsers } = req.body;
+    const { enabled, algorithm, assignToUsers, workingHours } = req.body;
 
     // Validate request body
     if (enabled !== undefined && typeof enabled !== 'boolean') {
@@ -620,13 +611,20 @@ router.put('/forms/:formId/assignments', async (req, res) => {
       });
     }
 
-    if (algorithm && !['round-robin', 'weighted-round-robin', 'least-assigned', 'random'].includes(algorithm)) {
+    if (algorithm && !assignmentEngine.isValidAlgorithm(algorithm)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid algorithm. Must be one of: round-robin, weighted-round-robin, least-assigned, random'
       });
     }
 
+    if (workingHours !== undefined && !assignmentEngine.isValidWorkingHours(workingHours)) {
+      return res.status(400).json({
+        success: false,
+        message: 'workingHours must be an object with enabled (boolean) and outsideHours (queue, on-call or unassigned)'
+      });
+    }
+
     if (assignToUsers && !Array.isArray(assignToUsers)) {
       return res.status(400).json({
         success: false,
@@ -662,6 +660,7 @@ router.put('/forms/:formId/assignments', async (req, res) => {
 
     // Find and update the form
     let updated = false;
+    let resetScope = null;
     for (const page of integration.fbPages) {
       const formIndex = page.leadForms.findIndex(f => f.id === formId);
       if (formIndex !== -1) {
@@ -672,7 +671,10 @@ router.put('/forms/:formId/assignments', async (req, res) => {
           form.assignmentSettings.enabled = enabled;
         }
         if (algorithm) {
-          form.assignmentSettings.algorithm = algorithm;
+          form.assignmentSettings.algorithm = assignmentEngine.normalizeAlgorithm(algorithm);
+        }
+        if (workingHours) {
+          form.assignmentSettings.workingHours = assignmentEngine.mergeWorkingHours(form.assignmentSettings.workingHours, workingHours);
         }
         if (assignToUsers) {
           form.assignmentSettings.assignToUsers = assignToUsers.map(user => ({
@@ -680,9 +682,9 @@ router.put('/forms/:formId/assignments', async (req, res) => {
             weight: user.weight || 1,
             isActive: user.isActive !== undefined ? user.isActive : true
           }));
-          // Reset assignment index when users change
-          form.assignmentSettings.lastAssignment.lastAssignedIndex = 0;
-          form.assignmentSettings.lastAssignment.mode = 'automatic';
+          // Restart the distribution when users change
+          form.assignmentSettings.lastAssignment.roundRobinIndex = 0;
+          resetScope = assignmentEngine.scopeFor('facebook', integration._id, page.id, formId);
         }
 
         updated = true;
@@ -698,6 +700,9 @@ router.put('/forms/:formId/assignments', async (req, res) => {
     }
 
     await integration.save();
+    if (resetScope) {
+      await assignmentEngine.reset(resetScope);
+    }
 
     res.json({
       success: true,
@@ -1329,4 +1334,55 @@ router.get('/import-historical/status', authenticateUser, requireBasicAccess(),
   }
 });
 
+// Get the polling sync status of every lead form
+router.get('/polling/status', authenticateUser, requireBasicAccess(), async (req, res) => {
+  try {
+    const forms = await facebookPollingService.getStatus(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        forms,
+        totalForms: forms.length,
+        enabledForms: forms.filter(form => form.enabled).length,
+        failingForms: forms.filter(form => form.status === 'error').length
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting Facebook polling status:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get polling status'
+    });
+  }
+});
+
+// Poll a lead form now instead of waiting for its next scheduled run
+router.post('/polling/forms/:formId/run', authenticateUser, requireLeadsAccess(), async (req, res) => {
+  try {
+    const poll = await facebookPollingService.runNow(req.user.organizationId, req.params.formId);
+
+    if (!poll) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found or polling is disabled for it'
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Form poll scheduled',
+      data: poll
+    });
+
+  } catch (error) {
+    logger.error('Error scheduling Facebook form poll:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule form poll'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,430 @@
+const express = require('express');
+const router = express.Router();
+const linkedinService = require('../services/linkedin.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const LinkedInIntegration = require('../models/LinkedInIntegration');
+const { authenticateUser } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// =============================================================================
+// PUBLIC ROUTES (NO AUTH REQUIRED)
+// =============================================================================
+
+// Handle LinkedIn OAuth callback
+router.get('/oauth/callback', async (req, res) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  try {
+    const { code, state, error, error_description: errorDescription } = req.query;
+
+    if (error || !code || !state) {
+      const errorMessage = errorDescription || error || 'Missing authorization code or state parameter';
+      logger.error('LinkedIn OAuth error:', errorMessage);
+      return res.redirect(`${frontendUrl}/integration/callback?provider=linkedin&status=error&error=${encodeURIComponent(errorMessage)}`);
+    }
+
+    const integration = await linkedinService.handleOAuthCallback(code, state);
+
+    res.redirect(`${frontendUrl}/integration/callback?provider=linkedin&status=success&integration=${integration._id}`);
+  } catch (error) {
+    logger.error('Error handling LinkedIn OAuth callback:', error.message);
+    res.redirect(`${frontendUrl}/integration/callback?provider=linkedin&status=error&error=${encodeURIComponent(error.message)}`);
+  }
+});
+
+// =============================================================================
+// AUTHENTICATED ROUTES
+// =============================================================================
+
+router.use(authenticateUser);
+
+// Find the organization's LinkedIn integration or send a 404
+const findConnectedIntegration = async (req, res) => {
+  const integration = await LinkedInIntegration.findOne({ organizationId: req.user.organizationId });
+
+  if (!integration || !integration.connected) {
+    res.status(404).json({
+      success: false,
+      message: 'LinkedIn account not connected'
+    });
+    return null;
+  }
+
+  return integration;
+};
+
+// Initiate LinkedIn OAuth connection
+router.post('/connect', async (req, res) => {
+  try {
+    const { id: userId, organizationId } = req.user;
+
+    const state = Buffer.from(JSON.stringify({
+      userId,
+      organizationId,
+      timestamp: Date.now()
+    })).toString('base64');
+
+    res.json({
+      success: true,
+      authUrl: linkedinService.generateOAuthURL(state),
+      state
+    });
+  } catch (error) {
+    logger.error('Error generating LinkedIn OAuth URL:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate OAuth URL'
+    });
+  }
+});
+
+// Get LinkedIn integration status
+router.get('/', async (req, res) => {
+  try {
+    const integration = await LinkedInIntegration.findOne({ organizationId: req.user.organizationId })
+      .select('-accessToken -refreshToken');
+
+    if (!integration) {
+      return res.json({
+        success: true,
+        connected: false,
+        integration: null
+      });
+    }
+
+    res.json({
+      success: true,
+      connected: integration.connected,
+      integration: {
+        id: integration._id,
+        userId: integration.userId,
+        organizationId: integration.organizationId,
+        linkedinMemberName: integration.linkedinMemberName,
+        adAccountsCount: integration.adAccounts?.length || 0,
+        totalLeads: integration.totalLeads,
+        lastSync: integration.lastSync,
+        lastLeadPoll: integration.lastLeadPoll,
+        tokenExpiresAt: integration.tokenExpiresAt,
+        canRefresh: integration.canRefresh(),
+        stats: integration.stats,
+        createdAt: integration.createdAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting LinkedIn integration:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get integration status'
+    });
+  }
+});
+
+// Get ad accounts with their lead forms (cached)
+router.get('/ad-accounts', async (req, res) => {
+  try {
+    const integration = await findConnectedIntegration(req, res);
+    if (!integration) return;
+
+    res.json({
+      success: true,
+      adAccounts: integration.adAccounts || [],
+      lastSync: integration.lastSync
+    });
+  } catch (error) {
+    logger.error('Error fetching LinkedIn ad accounts:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch ad accounts'
+    });
+  }
+});
+
+// Re-sync ad accounts and lead forms from LinkedIn
+router.post('/sync-accounts', async (req, res) => {
+  try {
+    const integration = await findConnectedIntegration(req, res);
+    if (!integration) return;
+
+    const adAccounts = await linkedinService.syncAdAccounts(integration);
+    const totalForms = adAccounts.reduce((sum, account) => sum + (account.leadForms?.length || 0), 0);
+
+    res.json({
+      success: true,
+      adAccounts,
+      message: `Successfully synced ${adAccounts.length} ad accounts with ${totalForms} total lead forms`
+    });
+  } catch (error) {
+    logger.error('Error syncing LinkedIn ad accounts:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync ad accounts',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Pull lead form responses since the last poll (or the full 90 day window)
+router.post('/sync-leads', async (req, res) => {
+  try {
+    const integration = await findConnectedIntegration(req, res);
+    if (!integration) return;
+
+    const { syncType = 'incremental', since } = req.body;
+    const result = await linkedinService.syncData(integration, { syncType, since });
+
+    res.json({
+      success: true,
+      message: `Imported ${result.recordsCreated} of ${result.recordsProcessed} LinkedIn leads`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error syncing LinkedIn leads:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync LinkedIn leads',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Subscribe our webhook to lead notifications for all ad accounts
+router.post('/setup-webhooks', async (req, res) => {
+  try {
+    const integration = await findConnectedIntegration(req, res);
+    if (!integration) return;
+
+    const result = await linkedinService.setupLeadNotifications(integration);
+
+    res.json({
+      success: result.success,
+      message: `Webhook setup completed. Success: ${result.successCount}, Failures: ${result.failureCount}`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error setting up LinkedIn webhooks:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to setup webhooks'
+    });
+  }
+});
+
+// Disconnect LinkedIn account
+router.post('/disconnect', async (req, res) => {
+  try {
+    const integration = await LinkedInIntegration.findOneAndDelete({ organizationId: req.user.organizationId });
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'No LinkedIn integration found to disconnect'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'LinkedIn account disconnected successfully'
+    });
+  } catch (error) {
+    logger.error('Error disconnecting LinkedIn account:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to disconnect LinkedIn account'
+    });
+  }
+});
+
+// =============================================================================
+// FORM MANAGEMENT ROUTES
+// =============================================================================
+
+// Enable/Disable a specific lead form
+router.patch('/forms/:formId/toggle', async (req, res) => {
+  try {
+    const { formId } = req.params;
+    const { enabled, reason } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be a boolean'
+      });
+    }
+
+    const integration = await findConnectedIntegration(req, res);
+    if (!integration) return;
+
+    const found = integration.findLeadForm(formId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    const { form } = found;
+    form.enabled = enabled;
+    form.crmStatus = enabled ? 'active' : 'disabled';
+    form.disabledAt = enabled ? undefined : new Date();
+    form.disabledBy = enabled ? undefined : req.user.id;
+    form.disabledReason = enabled ? undefined : (reason || 'Disabled via API');
+
+    await integration.save();
+
+    res.json({
+      success: true,
+      message: `Form ${enabled ? 'enabled' : 'disabled'} successfully`,
+      data: {
+        formId,
+        formName: form.name,
+        enabled,
+        crmStatus: form.crmStatus
+      }
+    });
+  } catch (error) {
+    logger.error('Error toggling LinkedIn form status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to toggle form status'
+    });
+  }
+});
+
+// Get assignment settings for a specific lead form
+router.get('/forms/:formId/assignments', async (req, res) => {
+  try {
+    const integration = await findConnectedIntegration(req, res);
+    if (!integration) return;
+
+    const found = integration.findLeadForm(req.params.formId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        formId: found.form.id,
+        formName: found.form.name,
+        adAccountId: found.account.id,
+        adAccountName: found.account.name,
+        enabled: found.form.enabled,
+        crmStatus: found.form.crmStatus,
+        assignmentSettings: found.form.assignmentSettings,
+        stats: found.form.stats
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting LinkedIn form assignment settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get form assignment settings'
+    });
+  }
+});
+
+// Update assignment settings for a specific lead form
+router.put('/forms/:formId/assignments', async (req, res) => {
+  try {
+    const { enabled, algorithm, assignToUsers, workingHours } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be a boolean'
+      });
+    }
+
+    if (algorithm && !assignmentEngine.isValidAlgorithm(algorithm)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid algorithm. Must be one of: round-robin, weighted-round-robin, least-assigned, random'
+      });
+    }
+
+    if (workingHours !== undefined && !assignmentEngine.isValidWorkingHours(workingHours)) {
+      return res.status(400).json({
+        success: false,
+        message: 'workingHours must be an object with enabled (boolean) and outsideHours (queue, on-call or unassigned)'
+      });
+    }
+
+    if (assignToUsers && !Array.isArray(assignToUsers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'assignToUsers must be an array'
+      });
+    }
+
+    for (const user of assignToUsers || []) {
+      if (!user.userId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each user must have a userId'
+        });
+      }
+      if (user.weight && (user.weight < 1 || user.weight > 10)) {
+        return res.status(400).json({
+          success: false,
+          message: 'User weight must be between 1 and 10'
+        });
+      }
+    }
+
+    const integration = await findConnectedIntegration(req, res);
+    if (!integration) return;
+
+    const found = integration.findLeadForm(req.params.formId);
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    const settings = found.form.assignmentSettings;
+    if (enabled !== undefined) {
+      settings.enabled = enabled;
+    }
+    if (algorithm) {
+      settings.algorithm = assignmentEngine.normalizeAlgorithm(algorithm);
+    }
+    if (workingHours) {
+      settings.workingHours = assignmentEngine.mergeWorkingHours(settings.workingHours, workingHours);
+    }
+    if (assignToUsers) {
+      settings.assignToUsers = assignToUsers.map(user => ({
+        userId: user.userId,
+        weight: user.weight || 1,
+        isActive: user.isActive !== undefined ? user.isActive : true
+      }));
+      // Restart the distribution when users change
+      settings.lastAssignment.roundRobinIndex = 0;
+    }
+
+    await integration.save();
+    if (assignToUsers) {
+      await assignmentEngine.reset(assignmentEngine.scopeFor('linkedin', integration._id, found.account.id, found.form.id));
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment settings updated successfully',
+      data: {
+        formId: found.form.id,
+        assignmentSettings: settings
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating LinkedIn form assignment settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update form assignment settings'
+    });
+  }
+});
+
+module.exports = router;
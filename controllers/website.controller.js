@@ -1,10 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const websiteService = require('../services/website.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentService = require('../services/assignmentService');
+const skillMatchingService = require('../services/skillMatching.service');
+const hostedFormService = require('../services/hostedForm.service');
+const webhookQueue = require('../services/webhookQueue.service');
+const partialSubmissionService = require('../services/partialSubmission.service');
+const captchaService = require('../services/captcha.service');
 const WebsiteIntegration = require('../models/WebsiteIntegration');
 const { authenticateUser, authenticateService } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
-const { rateLimiter } = require('../middleware/rateLimiter');
+const { rateLimiter, partialCaptureRateLimiter } = require('../middleware/rateLimiter');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
 
@@ -66,6 +73,41 @@ router.get('/', authenticateUser, async (req, res) => {
   }
 });
 
+// Lead capture loader for the integration's site (public); the embedScript virtual points here
+router.get('/embed/:integrationKey', async (req, res) => {
+  try {
+    const integration = await WebsiteIntegration.findOne({
+      integrationKey: req.params.integrationKey,
+      isActive: true
+    }).lean();
+
+    // helmet's same-origin resource policy would stop other sites from running the script
+    res.set({
+      'Content-Type': 'application/javascript; charset=utf-8',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    });
+
+    if (!integration) {
+      return res.status(404).set('Cache-Control', 'no-cache').send('/* Jesty CRM: integration not found or inactive */');
+    }
+
+    // Browsers keep it for five minutes, then revalidate; an unchanged loader costs a 304
+    const script = websiteService.generateLoaderScript(integration);
+    res.set({
+      ETag: websiteService.loaderETag(script),
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    res.send(script);
+  } catch (error) {
+    logger.error('Error serving website loader script:', error.message);
+    res.status(500).set('Cache-Control', 'no-cache').send('/* Jesty CRM: loader unavailable */');
+  }
+});
+
 // Get specific website integration
 router.get('/:id', authenticateUser, async (req, res) => {
   try {
@@ -224,6 +266,62 @@ router.get('/:id/assignment', authenticateUser, async (req, res) => {
   }
 });
 
+// Preview who gets the next lead, and for a hybrid strategy whether an AI agent or a human
+router.get('/:id/assignment/preview', authenticateUser, async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const { id } = req.params;
+
+    const integration = await WebsiteIntegration.findOne({
+      _id: id,
+      organizationId,
+      $or: [
+        { isDeleted: false },
+        { isDeleted: { $exists: false } }
+      ]
+    }).select('assignmentSettings');
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    const assignmentSettings = integration.assignmentSettings;
+    if (!assignmentSettings?.enabled || assignmentSettings.mode === 'manual') {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'Auto-assignment is disabled'
+      });
+    }
+
+    // Website leads are assigned without a user token, so preview the same users
+    const eligibleUsers = await assignmentService.getEligibleUsers(organizationId, assignmentSettings);
+    const preview = eligibleUsers.length > 0
+      ? await assignmentService.previewNextAssignee(eligibleUsers, assignmentSettings, 'website', integration._id, organizationId)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        nextAssignee: preview?.nextAssignee || null,
+        eligibleUsersCount: eligibleUsers.length,
+        algorithm: assignmentEngine.normalizeAlgorithm(assignmentSettings.algorithm),
+        mode: assignmentSettings.mode,
+        hybrid: preview?.hybrid || null
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing website assignment:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview assignment'
+    });
+  }
+});
+
 // Update assignment settings for this integration
 router.put('/:id/assignment', authenticateUser, async (req, res) => {
   try {
@@ -234,7 +332,7 @@ router.put('/:id/assignment', authenticateUser, async (req, res) => {
     
     const { organizationId } = req.user;
     const { id } = req.params;
-    const { enabled, mode, assignToUsers, algorithm } = req.body;
+    const { enabled, mode, assignToUsers, algorithm, workingHours, hybrid, language } = req.body;
 
     // Validate input
     if (mode && !['auto', 'manual', 'specific'].includes(mode)) {
@@ -244,10 +342,31 @@ router.put('/:id/assignment', authenticateUser, async (req, res) => {
       });
     }
 
-    if (algorithm && !['round-robin', 'weighted-round-robin', 'least-active', 'random'].includes(algorithm)) {
+    if (algorithm && !assignmentEngine.isValidAlgorithm(algorithm)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid algorithm. Must be round-robin, weighted-round-robin, least-assigned, or random'
+      });
+    }
+
+    if (workingHours !== undefined && !assignmentEngine.isValidWorkingHours(workingHours)) {
+      return res.status(400).json({
+        success: false,
+        message: 'workingHours must be an object with enabled (boolean) and outsideHours (queue, on-call or unassigned)'
+      });
+    }
+
+    if (language !== undefined && language !== null && !skillMatchingService.normalizeLanguage(language)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid algorithm. Must be round-robin, weighted-round-robin, least-active, or random'
+        message: 'language must be an ISO 639-1 code (e.g. hi, ta, en), a locale, a language name or null'
+      });
+    }
+
+    if (hybrid !== undefined && !assignmentEngine.isValidHybrid(hybrid)) {
+      return res.status(400).json({
+        success: false,
+        message: 'hybrid must be an object with strategy (none, ai-first, ai-outside-hours or ai-split), aiPercent (0-100) and handOffMinutes (1-10080)'
       });
     }
 
@@ -289,12 +408,15 @@ router.put('/:id/assignment', authenticateUser, async (req, res) => {
       enabled: enabled !== undefined ? enabled : (currentSettings.enabled || false),
       mode: mode || currentSettings.mode || 'manual',
       assignToUsers: assignToUsers !== undefined ? assignToUsers : (currentSettings.assignToUsers || []),
-      algorithm: algorithm || currentSettings.algorithm || 'weighted-round-robin',
+      algorithm: assignmentEngine.normalizeAlgorithm(algorithm || currentSettings.algorithm || 'weighted-round-robin'),
       lastAssignment: {
         userId: currentSettings.lastAssignment?.userId || null,
         timestamp: currentSettings.lastAssignment?.timestamp || null,
         roundRobinIndex: currentSettings.lastAssignment?.roundRobinIndex || 0
-      }
+      },
+      workingHours: assignmentEngine.mergeWorkingHours(currentSettings.workingHours, workingHours),
+      hybrid: assignmentEngine.mergeHybrid(currentSettings.hybrid, hybrid),
+      language: language !== undefined ? skillMatchingService.normalizeLanguage(language) : (currentSettings.language || null)
     };
 
     // Update using findByIdAndUpdate to avoid validation issues
@@ -309,6 +431,11 @@ router.put('/:id/assignment', authenticateUser, async (req, res) => {
       { new: true, runValidators: false } // Disable validators to prevent cast error
     );
 
+    // Restart the distribution when users change
+    if (assignToUsers !== undefined) {
+      await assignmentEngine.reset(assignmentEngine.scopeFor('website', integration._id));
+    }
+
     res.json({
       success: true,
       assignmentSettings: updatedIntegration.assignmentSettings,
@@ -326,6 +453,92 @@ router.put('/:id/assignment', authenticateUser, async (req, res) => {
   }
 });
 
+// Get the bot check of this integration's submissions
+router.get('/:id/captcha', authenticateUser, async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const { id } = req.params;
+
+    const integration = await WebsiteIntegration.findOne({
+      _id: id,
+      organizationId
+    }).select('settings');
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      // Includes legacy settings.reCaptcha, shown as reCAPTCHA v2
+      data: captchaService.describe(captchaService.settingsFor(integration))
+    });
+  } catch (error) {
+    logger.error('Error fetching CAPTCHA settings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch CAPTCHA settings'
+    });
+  }
+});
+
+// Update the bot check; omit secretKey to keep the stored one
+router.put('/:id/captcha', authenticateUser, async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const { id } = req.params;
+
+    const integration = await WebsiteIntegration.findOne({
+      _id: id,
+      organizationId
+    }).select('settings');
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    const { update, errors } = captchaService.toUpdate(req.body, integration.settings?.captcha, 'settings.captcha');
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid CAPTCHA settings',
+        errors
+      });
+    }
+
+    const updatedIntegration = await WebsiteIntegration.findByIdAndUpdate(
+      integration._id,
+      {
+        $set: {
+          ...update,
+          // From now on settings.captcha decides, including provider none
+          'settings.reCaptcha.enabled': false,
+          updatedAt: new Date()
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      data: captchaService.describe(updatedIntegration.settings?.captcha),
+      message: 'CAPTCHA settings updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating CAPTCHA settings:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update CAPTCHA settings'
+    });
+  }
+});
+
 // Get embed code for integration
 router.get('/:id/embed', authenticateUser, async (req, res) => {
   try {
@@ -352,8 +565,8 @@ router.get('/:id/embed', authenticateUser, async (req, res) => {
       embedCode,
       instructions: `
         1. Copy the embed code below
-        2. Paste it into your website's HTML
-        3. The form will automatically appear where you place the code
+        2. Paste it into your website's HTML, once per page (e.g. before </body>)
+        3. Mark each form with data-jesty-form="<formId>", or give it class="jesty-form"
         4. Test the form to ensure it's working properly
       `
     });
@@ -425,74 +638,223 @@ router.get('/:id/code', authenticateUser, async (req, res) => {
   }
 });
 
-// Process website form submission (public endpoint)
-router.post('/submit/:id', rateLimiter, async (req, res) => {
+// List the integration's forms with their hosted page and iframe embed code
+router.get('/:id/forms', authenticateUser, async (req, res) => {
   try {
-    const { id } = req.params;
-    const formData = req.body;
-    const clientIP = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent');
-    const referer = req.get('Referer');
+    const integration = await findIntegration(req.params.id, req.user.organizationId);
 
-    // Find integration
-    const integration = await WebsiteIntegration.findOne({
-      _id: id,
-      isActive: true,
-      isDeleted: false
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    const { forms = [] } = integration.toObject();
+    res.json({
+      success: true,
+      data: forms.map(form => hostedFormService.withLinks(integration, form))
     });
+  } catch (error) {
+    logger.error('Error fetching website forms:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch forms'
+    });
+  }
+});
 
+// Add a form built in the CRM (fields, steps, conditions, theme); it is hosted right away
+router.post('/:id/forms', authenticateUser, async (req, res) => {
+  try {
+    const errors = hostedFormService.validateForm(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid form',
+        errors
+      });
+    }
+
+    const integration = await findIntegration(req.params.id, req.user.organizationId);
     if (!integration) {
       return res.status(404).json({
         success: false,
-        message: 'Form not found'
+        message: 'Integration not found'
       });
     }
 
-    // Validate domain if configured
-    if (integration.security.domainWhitelist.length > 0) {
-      const isValidDomain = websiteService.validateDomain(referer, integration.security.domainWhitelist);
-      if (!isValidDomain) {
-        return res.status(403).json({
-          success: false,
-          message: 'Domain not authorized'
-        });
-      }
+    const form = await hostedFormService.createForm(integration, req.body);
+    if (!form) {
+      return res.status(409).json({
+        success: false,
+        message: `A form with formId ${req.body.formId} already exists`
+      });
     }
 
-    // Verify reCAPTCHA if enabled
-    if (integration.security.enableRecaptcha && formData.recaptchaToken) {
-      const isValidRecaptcha = await websiteService.verifyRecaptcha(
-        formData.recaptchaToken,
-        integration.security.recaptchaSecret
-      );
-      
-      if (!isValidRecaptcha) {
-        return res.status(400).json({
-          success: false,
-          message: 'reCAPTCHA verification failed'
-        });
-      }
+    res.status(201).json({
+      success: true,
+      data: hostedFormService.withLinks(integration, form),
+      message: 'Form created successfully'
+    });
+  } catch (error) {
+    logger.error('Error creating website form:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create form'
+    });
+  }
+});
+
+// Update a form's definition; properties not given keep their values, and the hosted page changes with it
+router.put('/:id/forms/:formId', authenticateUser, async (req, res) => {
+  try {
+    const errors = hostedFormService.validateForm(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid form',
+        errors
+      });
     }
 
-    // Process the lead
-    const adminToken = req.headers.authorization?.replace('Bearer ', '') || null;
-    const result = await websiteService.processWebsiteLead(integration, {
-      ...formData,
-      metadata: {
-        clientIP,
-        userAgent,
-        referer,
-        timestamp: new Date()
-      }
-    }, adminToken);
+    const integration = await findIntegration(req.params.id, req.user.organizationId);
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
 
-    // Stats are already updated in websiteService.processWebsiteLead()
-    // No need to update stats here to avoid double counting
+    const form = await hostedFormService.updateForm(integration, req.params.formId, req.body);
+    if (!form) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
 
     res.json({
       success: true,
-      message: integration.formConfig.successMessage || 'Thank you for your submission!',
-      leadId: result.leadId
+      data: hostedFormService.withLinks(integration, form),
+      message: 'Form updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating website form:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update form'
+    });
+  }
+});
+
+// Delete a form; its hosted page and embeds stop working
+router.delete('/:id/forms/:formId', authenticateUser, async (req, res) => {
+  try {
+    const integration = await findIntegration(req.params.id, req.user.organizationId);
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    const deleted = await hostedFormService.deleteForm(integration, req.params.formId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Form deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting website form:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete form'
+    });
+  }
+});
+
+// Site a public request came from: the Origin header, else the origin of the Referer
+function requestOrigin(req) {
+  const origin = req.get('Origin');
+  if (origin) return origin;
+
+  try {
+    return new URL(req.get('Referer')).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Active integration a public loader request is for; answers 404 or 403 itself and returns null
+async function findSubmissionIntegration(req, res) {
+  const { id } = req.params;
+
+  const integration = mongoose.Types.ObjectId.isValid(id)
+    ? await WebsiteIntegration.findOne({ _id: id, isActive: true })
+    : null;
+
+  if (!integration) {
+    res.status(404).json({
+      success: false,
+      message: 'Form not found'
+    });
+    return null;
+  }
+
+  // Only the integration's sites may submit when enableCORS is on, so a request that doesn't say where it comes from can't
+  const origin = requestOrigin(req);
+  if (websiteService.allowedOrigins(integration) && !(origin && websiteService.isAllowedOrigin(integration, origin))) {
+    res.status(403).json({
+      success: false,
+      message: 'Domain not authorized'
+    });
+    return null;
+  }
+
+  return integration;
+}
+
+// Process website form submission (public endpoint, used by the embed loader)
+router.post('/submit/:id', rateLimiter, async (req, res) => {
+  try {
+    const integration = await findSubmissionIntegration(req, res);
+    if (!integration) return;
+
+    // CAPTCHA tokens are single-use and short-lived, so the bot check can't wait for the queue
+    const { fields, verification } = await captchaService.check(integration, req.body, { ip: req.ip });
+
+    // Stored and processed like /api/webhooks/website/:integrationKey submissions
+    const event = await webhookQueue.enqueue('website', fields, {
+      eventType: 'form_submission',
+      organizationId: integration.organizationId,
+      integrationId: integration._id,
+      headers: {
+        ...req.headers,
+        'x-integration-key': integration.integrationKey
+      },
+      metadata: { captcha: verification }
+    });
+
+    // The visitor sent the form, so what they typed before is no longer abandoned
+    if (req.body.visitorToken) {
+      await partialSubmissionService.complete(integration._id, req.body.visitorToken);
+    }
+
+    const formId = req.get('X-Form-ID') || req.body.formId;
+    const form = integration.forms?.find(candidate => candidate.formId === formId);
+
+    res.status(202).json({
+      success: true,
+      eventId: event._id,
+      message: form?.successMessage || integration.formConfig?.successMessage || 'Thank you for your submission!',
+      redirectUrl: form?.redirectUrl || integration.formConfig?.redirectUrl || null
     });
 
   } catch (error) {
@@ -504,6 +866,35 @@ router.post('/submit/:id', rateLimiter, async (req, res) => {
   }
 });
 
+// Fields typed into a form with partial capture, sent by the embed loader before the form is submitted (public endpoint)
+router.post('/partial/:id', partialCaptureRateLimiter, async (req, res) => {
+  try {
+    const integration = await findSubmissionIntegration(req, res);
+    if (!integration) return;
+
+    // Global Privacy Control opts the visitor out, whatever the site's consent banner says
+    if (req.get('Sec-GPC') === '1') {
+      return res.status(202).json({ success: true, stored: false });
+    }
+
+    const result = await partialSubmissionService.capture(integration, req.body);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(202).json({ success: true, stored: result.stored });
+  } catch (error) {
+    logger.error('Error storing partial website submission:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to store partial submission'
+    });
+  }
+});
+
 // Verify integration (check if form is accessible)
 router.get('/:id/verify', async (req, res) => {
   try {
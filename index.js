@@ -27,7 +27,7 @@ app.use(cors({
   origin: '*',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Form-ID', 'X-Submission-Token']
 }));
 
 // Rate limiting (more lenient for webhooks)
@@ -45,7 +45,13 @@ app.use(limiter);
 
 // Body parsing middleware
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -63,6 +69,7 @@ const webhooksRoutes = require('./routes/webhooks.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const websiteRoutes = require('./controllers/website.controller'); // This is actually a router
 const facebookRoutes = require('./controllers/facebook.controller'); // Facebook controller
+const linkedinRoutes = require('./controllers/linkedin.controller'); // LinkedIn Lead Gen controller
 const shopifyRoutes = require('./routes/shopifyRoutes'); // Shopify routes
 const shopifyWebhookRoutes = require('./routes/shopifyWebhookRoutes'); // Shopify webhook management
 const webhookManagement = require('./routes/webhookManagementDB'); // Database-enabled webhook management
@@ -70,16 +77,53 @@ const wordpressRoutes = require('./routes/wordpressRoutes'); // WordPress routes
 const formAssignmentRoutes = require('./routes/formAssignmentRoutes'); // Form-level assignment routes
 const adminRoutes = require('./routes/admin.routes'); // Admin routes for organization deletion
 const spamDetectionRoutes = require('./routes/spamDetection.routes'); // Spam detection routes
+const webhookEventsRoutes = require('./routes/webhookEvents.routes'); // Inbound webhook queue inspection and replay
+const quarantineRoutes = require('./routes/quarantine.routes'); // Quarantined leads review queue
+const outboundWebhooksRoutes = require('./routes/outboundWebhooks.routes'); // Outbound lead lifecycle webhooks
+const fieldMappingRoutes = require('./routes/fieldMapping.routes'); // Field mapping rules and preview
+const phoneSettingsRoutes = require('./routes/phoneSettings.routes'); // Default phone country and number validation
+const workingHoursRoutes = require('./routes/workingHours.routes'); // Telecaller shifts, holidays and queued assignments
+const capacityRoutes = require('./routes/capacity.routes'); // Per-assignee caps and current load
+const routingRulesRoutes = require('./routes/routingRules.routes'); // Conditional lead routing rules and dry-run
+const assignmentLogRoutes = require('./routes/assignmentLog.routes'); // Assignment audit log and fairness reports
+const slaRoutes = require('./routes/sla.routes'); // Reassignment of leads nobody acts on in time
+const skillsRoutes = require('./routes/skills.routes'); // Telecaller languages, products and regions
+const assignmentTemplatesRoutes = require('./routes/assignmentTemplates.routes'); // Bulk assignment settings for forms and integrations
+const assignmentSimulationRoutes = require('./routes/assignmentSimulation.routes'); // Distribution forecasts of unsaved settings
+const hostedFormsRoutes = require('./routes/hostedForms.routes'); // Public pages of website forms built in the CRM
+const captchaRoutes = require('./routes/captcha.routes'); // Built-in bot check challenges (public)
+const webhookQueue = require('./services/webhookQueue.service');
+const outboundWebhookService = require('./services/outboundWebhook.service');
+const facebookPollingService = require('./services/facebookPolling.service');
+const assignmentQueue = require('./services/assignmentQueue.service');
+const slaWatcher = require('./services/slaWatcher.service');
+const partialSubmissionService = require('./services/partialSubmission.service');
 
 // Use routes - Mount Facebook routes FIRST to avoid auth conflicts
 app.use('/api/admin', adminRoutes); // Admin routes (service-to-service)
-app.use('/api/spam-detection', spamDetectionRoutes); // Spam detection routes (no auth needed)
+app.use('/api/spam-detection', spamDetectionRoutes); // Spam detection settings, patterns and stats
+app.use('/api/quarantine', quarantineRoutes); // Leads held back for manual review
+app.use('/api/field-mappings', fieldMappingRoutes); // Per-integration and per-form field mapping
+app.use('/api/settings/phone', phoneSettingsRoutes); // Organization and integration phone country defaults
+app.use('/api/settings/working-hours', workingHoursRoutes); // Shift-aware assignment schedules
+app.use('/api/settings/capacity', capacityRoutes); // Assignment caps per telecaller
+app.use('/api/settings/sla', slaRoutes); // Response time before a lead moves on
+app.use('/api/settings/skills', skillsRoutes); // Match leads to users who speak their language
+app.use('/api/assignment-templates', assignmentTemplatesRoutes); // Apply or copy assignment settings to many forms at once
+app.use('/api/assignment-simulation', assignmentSimulationRoutes); // See how proposed weights would distribute leads
+app.use('/api/routing-rules', routingRulesRoutes); // Route leads by field values before distribution
+app.use('/api/assignment-log', assignmentLogRoutes); // Who got which lead, and whether distribution was fair
 app.use('/api/integrations/facebook', facebookRoutes); // Facebook routes (OAuth callback needs to be first)
+app.use('/api/integrations/linkedin', linkedinRoutes); // LinkedIn routes (OAuth callback is public)
 app.use('/api/integrations/shopify', shopifyRoutes); // Shopify routes
 app.use('/api/integrations/wordpress', wordpressRoutes); // WordPress routes
 app.use('/api/integrations/analytics', analyticsRoutes); // Analytics routes
 app.use('/api/shopify', shopifyWebhookRoutes); // Shopify webhook management routes
+app.use('/api/webhooks/events', webhookEventsRoutes); // Inbound webhook events, dead letters and replay
+app.use('/api/webhooks/outbound', outboundWebhooksRoutes); // Outbound webhook settings, delivery log and test-fire
 app.use('/api/webhooks', webhookManagement); // Simple webhook CRUD
+app.use('/api/forms', hostedFormsRoutes); // Hosted website forms and their iframe embeds (public)
+app.use('/api/captcha', captchaRoutes); // Proof-of-work challenges for forms using the built-in bot check
 app.use('/api/integrations/website', websiteRoutes);
 app.use('/api/integrations', integrationsRoutes); // General integrations routes with auth
 app.use('/api/integrations', formAssignmentRoutes); // Form-level assignment routes
@@ -107,6 +151,12 @@ app.use('*', (req, res) => {
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jesty_integrations')
   .then(() => {
     logger.info('Connected to MongoDB');
+    webhookQueue.start();
+    outboundWebhookService.start();
+    facebookPollingService.start();
+    assignmentQueue.start();
+    slaWatcher.start();
+    partialSubmissionService.start();
   })
   .catch((err) => {
     logger.error('MongoDB connection error:', err);
@@ -116,6 +166,12 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/jesty_int
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  webhookQueue.stop();
+  outboundWebhookService.stop();
+  facebookPollingService.stop();
+  assignmentQueue.stop();
+  slaWatcher.stop();
+  partialSubmissionService.stop();
   
   server.close(() => {
     logger.info('HTTP server closed');
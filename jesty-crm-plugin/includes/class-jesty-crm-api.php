@@ -237,6 +237,51 @@ class JCRM_API_Client {
 		return $decoded_response;
 	}
 
+	/**
+	 * Bot check the site's forms need, as set for the integration in Jesty CRM
+	 *
+	 * Cached for an hour so pages don't wait on the API; a failed request is retried after five minutes.
+	 *
+	 * @return array Public CAPTCHA settings (provider, siteKey, ...), or an empty array for no check
+	 */
+	public function get_captcha_config() {
+		$cached = get_transient( 'jcrm_captcha_config' );
+		if ( false !== $cached ) {
+			return $cached;
+		}
+
+		if ( empty( $this->api_key ) ) {
+			return array();
+		}
+
+		$endpoint = $this->api_base_url . '/api/wordpress/validate-api-key/' . $this->api_key;
+
+		$args = array(
+			'method' => 'GET',
+			'timeout' => 10,
+			'headers' => array(
+				'User-Agent' => $this->user_agent,
+				'X-API-Key' => $this->api_key,
+			),
+			'sslverify' => false, // For ngrok development
+		);
+
+		$response = wp_remote_get( $endpoint, $args );
+
+		if ( is_wp_error( $response ) || wp_remote_retrieve_response_code( $response ) !== 200 ) {
+			set_transient( 'jcrm_captcha_config', array(), 5 * MINUTE_IN_SECONDS );
+			return array();
+		}
+
+		$decoded_response = json_decode( wp_remote_retrieve_body( $response ), true );
+		$config = isset( $decoded_response['data']['settings']['captcha'] ) && is_array( $decoded_response['data']['settings']['captcha'] )
+			? $decoded_response['data']['settings']['captcha']
+			: array();
+
+		set_transient( 'jcrm_captcha_config', $config, HOUR_IN_SECONDS );
+		return $config;
+	}
+
 	/**
 	 * Validate API key and configure plugin
 	 * 
@@ -283,6 +328,7 @@ class JCRM_API_Client {
 
 		// Save API key and configure plugin
 		update_option('jcrm_api_key', $api_key);
+		delete_transient('jcrm_captcha_config');
 		update_option('jcrm_integration_configured', true);
 		
 		// Now confirm configuration with backend
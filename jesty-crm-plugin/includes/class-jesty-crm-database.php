@@ -22,6 +22,24 @@
  */
 class JCRM_Database {
 
+	/**
+	 * Version of the table layout; create_tables() runs again when the stored one differs.
+	 *
+	 * @since    1.0.1
+	 */
+	const DB_VERSION = '1.0.1';
+
+	/**
+	 * Bring the tables of an existing install up to date after an update
+	 *
+	 * @since    1.0.1
+	 */
+	public function maybe_upgrade() {
+		if ( get_option( 'jcrm_db_version' ) !== self::DB_VERSION ) {
+			$this->create_tables();
+		}
+	}
+
 	/**
 	 * Create plugin tables if needed
 	 *
@@ -44,6 +62,7 @@ class JCRM_Database {
 			status varchar(20) NOT NULL DEFAULT 'pending',
 			error_message text,
 			crm_lead_id varchar(100),
+			crm_event_id varchar(100),
 			submitted_at datetime DEFAULT CURRENT_TIMESTAMP,
 			processed_at datetime,
 			PRIMARY KEY (id),
@@ -56,7 +75,7 @@ class JCRM_Database {
 		dbDelta( $sql );
 
 		// Update database version
-		update_option( 'jcrm_db_version', JCRM_VERSION );
+		update_option( 'jcrm_db_version', self::DB_VERSION );
 	}
 
 	/**
@@ -81,10 +100,11 @@ class JCRM_Database {
 				'status' => $data['status'],
 				'error_message' => isset( $data['error_message'] ) ? $data['error_message'] : '',
 				'crm_lead_id' => isset( $data['crm_lead_id'] ) ? $data['crm_lead_id'] : '',
+				'crm_event_id' => isset( $data['crm_event_id'] ) ? $data['crm_event_id'] : '',
 				'submitted_at' => current_time( 'mysql' )
 			),
 			array(
-				'%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s'
+				'%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s', '%s'
 			)
 		);
 
@@ -36,6 +36,7 @@ class JCRM_Deactivator {
 		// Clear any cached data
 		delete_transient( 'jcrm_detected_forms' );
 		delete_transient( 'jcrm_connection_status' );
+		delete_transient( 'jcrm_captcha_config' );
 
 		// Flush rewrite rules
 		flush_rewrite_rules();
@@ -76,6 +76,7 @@ class JestyCRM {
 
 		$this->load_dependencies();
 		$this->set_locale();
+		$this->define_database_hooks();
 		$this->define_admin_hooks();
 		$this->define_public_hooks();
 	}
@@ -148,6 +149,19 @@ class JestyCRM {
 		$this->loader->add_action( 'plugins_loaded', $plugin_i18n, 'load_plugin_textdomain' );
 	}
 
+	/**
+	 * Upgrade the plugin tables when an update changed them.
+	 *
+	 * Activation hooks don't run on updates, so the version is checked on every load.
+	 *
+	 * @since    1.0.1
+	 * @access   private
+	 */
+	private function define_database_hooks() {
+		$database = new JCRM_Database();
+		$this->loader->add_action( 'plugins_loaded', $database, 'maybe_upgrade' );
+	}
+
 	/**
 	 * Register all of the hooks related to the admin area functionality
 	 * of the plugin.
@@ -106,7 +106,9 @@ class JCRM_Public {
 		// Localize script for custom forms
 		wp_localize_script( $this->plugin_name . '-public', 'jcrm_public_ajax', array(
 			'ajax_url' => admin_url( 'admin-ajax.php' ),
-			'nonce' => wp_create_nonce( 'jcrm_public_nonce' )
+			'nonce' => wp_create_nonce( 'jcrm_public_nonce' ),
+			// Bot check the public script adds to the site's forms
+			'captcha' => $this->api_client->get_captcha_config()
 		));
 	}
 
@@ -289,6 +291,16 @@ class JCRM_Public {
 		$data['timestamp'] = current_time( 'mysql' );
 		$data['site_url'] = home_url();
 
+		$attribution = $this->get_attribution();
+		if ( ! empty( $attribution ) ) {
+			$data['attribution'] = $attribution;
+		}
+
+		$captcha = $this->get_captcha_proof();
+		if ( ! empty( $captcha ) ) {
+			$data['captcha'] = $captcha;
+		}
+
 		// Send via API client
 		$result = $this->api_client->send_lead( $data );
 
@@ -316,8 +328,9 @@ class JCRM_Public {
 		}
 
 		$log_data['status'] = 'success';
-		if ( isset( $result['leadId'] ) ) {
-			$log_data['crm_lead_id'] = $result['leadId'];
+		// The CRM queues submissions and creates the lead later, so only the queued event ID is known now
+		if ( isset( $result['eventId'] ) ) {
+			$log_data['crm_event_id'] = $result['eventId'];
 		}
 		$this->database->log_submission( $log_data );
 
@@ -328,10 +341,75 @@ class JCRM_Public {
 			'success' => true,
 			'message' => 'Submission sent successfully',
 			'lead_id' => isset( $result['leadId'] ) ? $result['leadId'] : null,
+			'event_id' => isset( $result['eventId'] ) ? $result['eventId'] : null,
 			'result' => $result
 		);
 	}
 
+	/**
+	 * First and last touch recorded by the public script in the jesty_attribution cookie.
+	 *
+	 * Form plugins submit from the visitor's browser, so the cookie arrives with the submission.
+	 *
+	 * @since    1.0.0
+	 * @return   array     Touches keyed first / last, or an empty array
+	 */
+	private function get_attribution() {
+		if ( empty( $_COOKIE['jesty_attribution'] ) ) {
+			return array();
+		}
+
+		$touches = json_decode( wp_unslash( $_COOKIE['jesty_attribution'] ), true );
+		if ( ! is_array( $touches ) ) {
+			return array();
+		}
+
+		$params = array( 'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid', 'at' );
+		$attribution = array();
+
+		foreach ( array( 'first', 'last' ) as $key ) {
+			if ( empty( $touches[ $key ] ) || ! is_array( $touches[ $key ] ) ) {
+				continue;
+			}
+
+			$touch = array();
+			foreach ( $params as $param ) {
+				if ( isset( $touches[ $key ][ $param ] ) && is_string( $touches[ $key ][ $param ] ) ) {
+					$touch[ $param ] = sanitize_text_field( $touches[ $key ][ $param ] );
+				}
+			}
+			foreach ( array( 'referrer', 'landingPage' ) as $param ) {
+				if ( isset( $touches[ $key ][ $param ] ) && is_string( $touches[ $key ][ $param ] ) ) {
+					$touch[ $param ] = esc_url_raw( $touches[ $key ][ $param ] );
+				}
+			}
+
+			$attribution[ $key ] = $touch;
+		}
+
+		return $attribution;
+	}
+
+	/**
+	 * Bot check proof the public script added to the submitted form.
+	 *
+	 * The fields are posted with the form plugin's own fields; Jesty CRM verifies them when the lead arrives.
+	 *
+	 * @since    1.0.0
+	 * @return   array     Proof fields, or an empty array when the form carried none
+	 */
+	private function get_captcha_proof() {
+		$proof = array();
+
+		foreach ( array( 'captchaToken', 'captchaChallenge', 'captchaNonce', 'hp_website' ) as $field ) {
+			if ( isset( $_POST[ $field ] ) && is_string( $_POST[ $field ] ) ) {
+				$proof[ $field ] = sanitize_text_field( wp_unslash( $_POST[ $field ] ) );
+			}
+		}
+
+		return $proof;
+	}
+
 	/**
 	 * Update submission statistics
 	 *
@@ -1,4 +1,221 @@
 // Jesty CRM Integration Public JavaScript
+
+// Attribution: keeps the visitor's first and last touch in the jesty_attribution cookie,
+// which the plugin sends with every form submission. Shares its cookie with the website loader script.
+(function() {
+    'use strict';
+
+    var COOKIE = 'jesty_attribution';
+    var MAX_AGE = 90 * 24 * 60 * 60;
+    var PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+
+    function readTouches() {
+        var match = document.cookie.match(new RegExp('(?:^|; )' + COOKIE + '=([^;]*)'));
+        try {
+            var touches = match && JSON.parse(decodeURIComponent(match[1]));
+            return touches && touches.first && touches.last ? touches : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    var params = new URLSearchParams(window.location.search);
+    var touch = { landingPage: (window.location.origin + window.location.pathname).slice(0, 300), at: new Date().toISOString() };
+    var tagged = false;
+
+    PARAMS.forEach(function(name) {
+        if (!params.get(name)) return;
+        touch[name] = params.get(name).slice(0, 150);
+        tagged = true;
+    });
+    if (document.referrer && document.referrer.split('/')[2] !== window.location.host) {
+        touch.referrer = document.referrer.slice(0, 300);
+        tagged = true;
+    }
+
+    // The first touch stays for 90 days; a campaign link or a referral from another site becomes the last touch
+    var touches = readTouches();
+    if (!touches) {
+        touches = { first: touch, last: touch };
+    } else if (tagged) {
+        touches.last = touch;
+    }
+
+    document.cookie = COOKIE + '=' + encodeURIComponent(JSON.stringify(touches)) +
+        '; path=/; max-age=' + MAX_AGE + '; SameSite=Lax' + (window.location.protocol === 'https:' ? '; Secure' : '');
+})();
+
+// Bot check: adds the integration's CAPTCHA to the site's forms. The proof goes into hidden fields
+// (captchaToken, or captchaChallenge and captchaNonce for the built-in check) that the form plugin posts
+// with its own fields, so it does not collide with a CAPTCHA the form plugin shows itself.
+(function() {
+    'use strict';
+
+    var settings = window.jcrm_public_ajax && jcrm_public_ajax.captcha;
+    if (!settings || !settings.provider) return;
+
+    // Forms of the form plugins the plugin sends to Jesty CRM. Ninja Forms posts only its own fields, so it can't carry the proof
+    var FORMS = [
+        'form.wpcf7-form', 'form.wpforms-form', '.gform_wrapper form', 'form.elementor-form', 'form.frm-show-form',
+        'form.frm-fluent-form', 'form.everest-form', 'form.forminator-custom-form', 'form.metform-form-content', 'form.jesty-crm'
+    ].join(', ');
+    // v3 tokens expire after two minutes
+    var REFRESH_MS = 90 * 1000;
+    var loading = null;
+
+    function load() {
+        if (!loading) {
+            loading = new Promise(function(resolve, reject) {
+                var callback = 'jcrmCaptchaLoaded' + Date.now().toString(36);
+                window[callback] = function() { resolve(window[settings.global]); };
+                var script = document.createElement('script');
+                script.src = settings.scriptUrl + '&onload=' + callback;
+                script.async = true;
+                script.onerror = function() { reject(new Error('CAPTCHA could not be loaded')); };
+                document.head.appendChild(script);
+            });
+        }
+        return loading;
+    }
+
+    function hidden(form, name) {
+        var input = form.querySelector('input[name="' + name + '"]');
+        if (!input) {
+            input = document.createElement('input');
+            input.type = 'hidden';
+            input.name = name;
+            form.appendChild(input);
+        }
+        return input;
+    }
+
+    function zeroBits(bytes) {
+        var bits = 0;
+        for (var i = 0; i < bytes.length; i++) {
+            if (bytes[i] === 0) {
+                bits += 8;
+                continue;
+            }
+            for (var mask = 128; !(bytes[i] & mask); mask >>= 1) bits++;
+            break;
+        }
+        return bits;
+    }
+
+    // Finds a nonce whose SHA-256 with the challenge starts with difficulty zero bits, while the visitor types
+    function solve(challenge, difficulty, nonce) {
+        var encoder = new TextEncoder();
+        var attempts = [];
+        for (var i = 0; i < 100; i++) {
+            attempts.push(crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + (nonce + i))));
+        }
+        return Promise.all(attempts).then(function(hashes) {
+            for (var j = 0; j < hashes.length; j++) {
+                if (zeroBits(new Uint8Array(hashes[j])) >= difficulty) return String(nonce + j);
+            }
+            return solve(challenge, difficulty, nonce + hashes.length);
+        });
+    }
+
+    function builtin(form) {
+        // Out of sight and out of the tab order; bots that fill in every field give themselves away
+        var trap = document.createElement('div');
+        trap.setAttribute('aria-hidden', 'true');
+        trap.style.position = 'absolute';
+        trap.style.left = '-10000px';
+        var honeypot = document.createElement('input');
+        honeypot.type = 'text';
+        honeypot.name = 'hp_website';
+        honeypot.tabIndex = -1;
+        honeypot.autocomplete = 'off';
+        trap.appendChild(honeypot);
+        form.appendChild(trap);
+
+        fetch(settings.challengeUrl)
+            .then(function(response) { return response.json(); })
+            .then(function(result) {
+                return solve(result.data.challenge, result.data.difficulty, 0).then(function(nonce) {
+                    hidden(form, 'captchaChallenge').value = result.data.challenge;
+                    hidden(form, 'captchaNonce').value = nonce;
+                });
+            })
+            .catch(function(error) { console.error('Jesty CRM bot check:', error); });
+    }
+
+    function invisible(form) {
+        var input = hidden(form, 'captchaToken');
+        function refresh() {
+            load()
+                .then(function(api) {
+                    return new Promise(function(resolve) { api.ready(resolve); }).then(function() {
+                        return api.execute(settings.siteKey, { action: settings.action });
+                    });
+                })
+                .then(function(token) { input.value = token; })
+                .catch(function(error) { console.error('Jesty CRM bot check:', error); });
+        }
+        refresh();
+        setInterval(refresh, REFRESH_MS);
+    }
+
+    // Sites can place the widget with an empty data-jesty-captcha element; otherwise it goes above the submit button
+    function widget(form) {
+        var input = hidden(form, 'captchaToken');
+        var box = form.querySelector('[data-jesty-captcha]');
+        if (!box) {
+            box = document.createElement('div');
+            box.className = 'jesty-captcha';
+            var submit = form.querySelector('[type=submit]');
+            if (submit && submit.parentNode) {
+                submit.parentNode.insertBefore(box, submit);
+            } else {
+                form.appendChild(box);
+            }
+        }
+
+        load().then(function(api) {
+            var id = api.render(box, {
+                sitekey: settings.siteKey,
+                callback: function(token) { input.value = token; },
+                'expired-callback': function() { input.value = ''; }
+            });
+            // Tokens are single-use: ready the widget for the next submission of AJAX forms
+            form.addEventListener('submit', function() {
+                setTimeout(function() {
+                    api.reset(id);
+                    input.value = '';
+                }, 3000);
+            });
+        }).catch(function(error) { console.error('Jesty CRM bot check:', error); });
+    }
+
+    function prepare(form) {
+        if (form.jcrmCaptcha) return;
+        form.jcrmCaptcha = true;
+
+        if (settings.provider === 'builtin') {
+            builtin(form);
+        } else if (settings.invisible) {
+            invisible(form);
+        } else {
+            widget(form);
+        }
+    }
+
+    function prepareAll() {
+        Array.prototype.forEach.call(document.querySelectorAll(FORMS), prepare);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', prepareAll);
+    } else {
+        prepareAll();
+    }
+    // Popups and page builders add forms later
+    if (window.MutationObserver) {
+        new MutationObserver(prepareAll).observe(document.documentElement, { childList: true, subtree: true });
+    }
+})();
 (function($) {
     'use strict';
     
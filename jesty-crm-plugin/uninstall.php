@@ -50,6 +50,7 @@ function jcrm_uninstall_plugin() {
 	// Remove transients
 	delete_transient( 'jcrm_detected_forms' );
 	delete_transient( 'jcrm_connection_status' );
+	delete_transient( 'jcrm_captcha_config' );
 
 	// Remove scheduled events
 	wp_clear_scheduled_hook( 'jcrm_daily_cleanup' );
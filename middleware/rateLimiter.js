@@ -43,6 +43,27 @@ const strictRateLimiter = rateLimit({
   }
 });
 
+// Partial form captures fire while visitors type, so they get their own budget instead of using up the submit one
+const partialCaptureRateLimiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 120, // Limit each IP to 120 captures per minute
+  message: {
+    success: false,
+    message: 'Too many partial captures, please slow down.',
+    retryAfter: '1 minute'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn(`Partial capture rate limit exceeded for IP: ${req.ip}`);
+    res.status(429).json({
+      success: false,
+      message: 'Too many partial captures, please slow down.',
+      retryAfter: '1 minute'
+    });
+  }
+});
+
 // Chat rate limiter (more lenient for chat interactions)
 const chatRateLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -155,6 +176,7 @@ module.exports = {
   rateLimiter,
   strictRateLimiter,
   chatRateLimiter,
+  partialCaptureRateLimiter,
   webhookRateLimiter,
   createAPIKeyRateLimiter,
   createOrganizationRateLimiter
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Leads assigned to one user across every integration, counted against the capacity caps.
+// Hour and day windows follow the user's timezone and restart when the key changes.
+const assigneeLoadSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // YYYY-MM-DDTHH of the current hour and its assignments
+  hourKey: String,
+  hourCount: {
+    type: Number,
+    default: 0
+  },
+  // YYYY-MM-DD of the current day and its assignments
+  dayKey: String,
+  dayCount: {
+    type: Number,
+    default: 0
+  },
+  // Assigned leads not yet worked; lowered when the leads service reports them worked
+  open: {
+    type: Number,
+    default: 0
+  },
+  // Leads already reported worked, so repeated reports count once
+  releasedLeadIds: {
+    type: [String],
+    default: []
+  },
+  lastAssignedAt: Date
+}, {
+  timestamps: true
+});
+
+assigneeLoadSchema.index({ organizationId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('AssigneeLoad', assigneeLoadSchema);
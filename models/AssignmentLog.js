@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// One assignment decision. Entries are only ever appended: a lead moved to
+// someone else gets a new 'reassigned' entry rather than an edit.
+const assignmentLogSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  leadId: {
+    type: String,
+    required: true
+  },
+  // assigned = the engine picked a user, queued = held for working hours or capacity,
+  // reassigned = the lead moved from previousAssignee to assignedTo
+  event: {
+    type: String,
+    enum: ['assigned', 'queued', 'reassigned'],
+    required: true
+  },
+
+  // Where the lead came from
+  source: String,
+  integrationId: String,
+  pageId: String,
+  accountId: String,
+  formId: String,
+  // Assignment scope the pick was made in (see AssignmentState)
+  scope: String,
+
+  algorithm: String,
+  // Users the pick was made between, with the share of leads each should get
+  candidates: [{
+    userId: String,
+    weight: Number,
+    share: Number,
+    _id: false
+  }],
+  assignedTo: String,
+  previousAssignee: String,
+
+  // algorithm, routing-rule, skill-match, on-call, overflow, working-hours, capacity,
+  // ai-first-touch, hand-off, sla, sla-escalation, or the reason given for a manual reassignment
+  reason: String,
+  ruleId: String,
+  // Scope sequence of the pick
+  sequence: Number,
+  // User or service that reassigned the lead
+  performedBy: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+assignmentLogSchema.index({ organizationId: 1, createdAt: -1 });
+assignmentLogSchema.index({ organizationId: 1, leadId: 1, createdAt: -1 });
+assignmentLogSchema.index({ organizationId: 1, assignedTo: 1, createdAt: -1 });
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(operation => {
+  assignmentLogSchema.pre(operation, function(next) {
+    next(new Error('The assignment log is append-only'));
+  });
+});
+
+module.exports = mongoose.model('AssignmentLog', assignmentLogSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Distribution state of one assignment scope (an integration or a lead form).
+// Every pick increments `sequence` atomically, so concurrent leads get different slots.
+const assignmentStateSchema = new mongoose.Schema({
+  // facebook:<integrationId>:<pageId>:<formId>, website:<integrationId>, ...
+  scope: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  source: String,
+  integrationId: String,
+
+  // Number of assignments made in this scope
+  sequence: {
+    type: Number,
+    default: 0
+  },
+  // Assignments per user ID, used by least-assigned
+  counts: {
+    type: Map,
+    of: Number
+  },
+  lastAssignedTo: mongoose.Schema.Types.Mixed,
+  lastAssignedAt: Date
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AssignmentState', assignmentStateSchema);
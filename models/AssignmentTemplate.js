@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { assignmentSettingsDefinition } = require('./assignmentSettings');
+
+// Named assignment settings applied to many lead forms and integrations at once.
+// Applying copies the settings; later edits to the template change nothing already applied.
+const assignmentTemplateSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // lastAssignment is never set on a template
+  settings: assignmentSettingsDefinition({ mode: 'specific', algorithm: 'round-robin' }),
+  // Applied to Facebook lead forms a page sync finds for the first time; one per organization
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+assignmentTemplateSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+assignmentTemplateSchema.index({ organizationId: 1, isDefault: 1 });
+
+module.exports = mongoose.model('AssignmentTemplate', assignmentTemplateSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Webhook events that exhausted their retries, kept for inspection and replay
+const deadLetterEventSchema = new mongoose.Schema({
+  eventId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookEvent',
+    required: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  eventType: String,
+  organizationIds: {
+    type: [String],
+    default: []
+  },
+  integrationIds: {
+    type: [String],
+    default: []
+  },
+
+  payload: mongoose.Schema.Types.Mixed,
+  headers: mongoose.Schema.Types.Mixed,
+  metadata: mongoose.Schema.Types.Mixed,
+
+  attempts: Number,
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    message: String,
+    at: Date
+  }],
+
+  status: {
+    type: String,
+    enum: ['dead', 'replayed'],
+    default: 'dead'
+  },
+  failedAt: {
+    type: Date,
+    default: Date.now
+  },
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  replayedAt: Date,
+  replayedBy: String
+}, {
+  timestamps: true
+});
+
+deadLetterEventSchema.index({ eventId: 1 }, { unique: true });
+deadLetterEventSchema.index({ organizationIds: 1, source: 1, status: 1, failedAt: -1 });
+deadLetterEventSchema.index({ integrationIds: 1, status: 1 });
+
+module.exports = mongoose.model('DeadLetterEvent', deadLetterEventSchema);
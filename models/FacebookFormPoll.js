@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Polling state of one Facebook lead form, the safety net for missed leadgen webhooks
+const facebookFormPollSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  pageId: {
+    type: String,
+    required: true
+  },
+  formId: {
+    type: String,
+    required: true
+  },
+  formName: String,
+
+  // Mirrors the form's CRM status; disabled forms are not polled
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  status: {
+    type: String,
+    enum: ['idle', 'running', 'success', 'partial', 'error', 'skipped'],
+    default: 'idle'
+  },
+  nextPollAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastPolledAt: Date,
+  lastSuccessAt: Date,
+  // created_time of the newest lead handled; the next poll asks Facebook for leads since then
+  lastLeadTime: Date,
+  lastError: String,
+  lastResult: {
+    frequency: String,
+    fetched: { type: Number, default: 0 },
+    alreadyIngested: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    durationMs: Number
+  },
+  totalCreated: {
+    type: Number,
+    default: 0
+  },
+
+  // Leadgen IDs handled by recent polls, so overlapping windows are not ingested twice
+  recentLeadIds: {
+    type: [String],
+    default: []
+  },
+
+  // Lease held by the instance running the poll
+  lockedBy: String,
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+facebookFormPollSchema.index({ integrationId: 1, pageId: 1, formId: 1 }, { unique: true });
+facebookFormPollSchema.index({ enabled: 1, nextPollAt: 1 });
+facebookFormPollSchema.index({ organizationId: 1 });
+
+module.exports = mongoose.model('FacebookFormPoll', facebookFormPollSchema);
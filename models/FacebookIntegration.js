@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { assignmentSettingsDefinition } = require('./assignmentSettings');
 
 const facebookIntegrationSchema = new mongoose.Schema({
   // Integration ID (for external references)
@@ -81,49 +82,7 @@ const facebookIntegrationSchema = new mongoose.Schema({
         }]
       }],
       // Form-level assignment settings
-      assignmentSettings: {
-        enabled: {
-          type: Boolean,
-          default: false
-        },
-        algorithm: {
-          type: String,
-          enum: ['round-robin', 'weighted-round-robin', 'least-assigned', 'random'],
-          default: 'round-robin'
-        },
-        assignToUsers: [{
-          userId: {
-            type: mongoose.Schema.Types.Mixed, // Support both ObjectId and UUID
-            required: function() {
-              // Only require userId if the parent array has items
-              return this.parent().length > 0;
-            }
-          },
-          weight: {
-            type: Number,
-            default: 1,
-            min: 1,
-            max: 10
-          },
-          isActive: {
-            type: Boolean,
-            default: true
-          }
-        }],
-        lastAssignment: {
-          mode: {
-            type: String,
-            enum: ['manual', 'automatic'],
-            default: 'manual'
-          },
-          lastAssignedIndex: {
-            type: Number,
-            default: 0
-          },
-          lastAssignedAt: Date,
-          lastAssignedTo: mongoose.Schema.Types.Mixed
-        }
-      },
+      assignmentSettings: assignmentSettingsDefinition({ mode: 'specific', algorithm: 'round-robin' }),
       // Form stats
       stats: {
         leadsThisMonth: { type: Number, default: 0 },
@@ -134,6 +93,14 @@ const facebookIntegrationSchema = new mongoose.Schema({
     }]
   }],
   
+  // Country for phone numbers typed without a country code; falls back to the organization default
+  phoneDefaultCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+
   // Additional settings
   settings: {
     autoProcessLeads: {
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// One mapping rule: where a CRM field's value comes from and how it is cleaned up
+const fieldMappingRuleSchema = new mongoose.Schema({
+  // name, email, phone, company, message, firstName, lastName or customFields.<key>
+  target: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Source paths (field name or dotted path, e.g. "billing_address.city"); the first non-empty value is used
+  from: {
+    type: [String],
+    default: []
+  },
+  combine: {
+    type: String,
+    enum: ['first', 'concat'],
+    default: 'first'
+  },
+  separator: {
+    type: String,
+    default: ' '
+  },
+  // Take one part of a full name value
+  split: {
+    type: String,
+    enum: ['first_name', 'last_name', null],
+    default: null
+  },
+  transforms: {
+    type: [String],
+    default: []
+  },
+  // Maps select option values to CRM values; unmatched values are kept
+  lookup: mongoose.Schema.Types.Mixed,
+  default: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Mapping rules for an integration (formId: null) or one of its forms
+const fieldMappingSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['facebook', 'linkedin', 'shopify', 'wordpress', 'website'],
+    required: true
+  },
+  integrationId: {
+    type: String,
+    required: true
+  },
+  formId: {
+    type: String,
+    default: null
+  },
+  name: String,
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Source fields no rule reads are kept as custom fields
+  includeUnmapped: {
+    type: Boolean,
+    default: true
+  },
+  rules: {
+    type: [fieldMappingRuleSchema],
+    default: []
+  },
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+fieldMappingSchema.index({ organizationId: 1, source: 1, integrationId: 1, formId: 1 }, { unique: true });
+
+module.exports = mongoose.model('FieldMapping', fieldMappingSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Ledger of inbound submissions already turned into leads, keyed by source + external ID
+const idempotencyKeySchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['facebook', 'linkedin', 'shopify', 'wordpress', 'website'],
+    required: true
+  },
+  // leadgen ID, LinkedIn lead response ID, Shopify webhook ID, WordPress submission hash or website submission token
+  key: {
+    type: String,
+    required: true
+  },
+  keyType: {
+    type: String,
+    enum: ['leadgen_id', 'response_id', 'webhook_id', 'submission_hash', 'submission_token'],
+    required: true
+  },
+  // The same Facebook lead legitimately creates one lead per organization sharing the page
+  organizationId: {
+    type: String,
+    default: ''
+  },
+  integrationId: String,
+
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  // Lead created (or merged into) the first time the key was seen
+  leadId: String,
+  // created | update | ignore | quarantined | blocked | skipped
+  outcome: String,
+  lastError: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Repeats short-circuited by the ledger
+  repeats: {
+    type: Number,
+    default: 0
+  },
+  lastRepeatAt: Date,
+  completedAt: Date,
+
+  // Lease of the instance processing the submission; an expired lease can be taken over
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ source: 1, organizationId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
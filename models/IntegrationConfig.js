@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { assignmentSettingsDefinition } = require('./assignmentSettings');
 
 const integrationConfigSchema = new mongoose.Schema({
   companyId: {
@@ -118,6 +119,11 @@ const integrationConfigSchema = new mongoose.Schema({
       enum: ['skip', 'update', 'create_new'],
       default: 'skip'
     },
+    duplicateCheckFields: {
+      type: [{ type: String, enum: ['email', 'phone'] }],
+      default: ['email', 'phone']
+    },
+    duplicateWindowHours: { type: Number, min: 1, default: null },
     autoAssignment: {
       enabled: { type: Boolean, default: false },
       assignTo: mongoose.Schema.Types.ObjectId,
@@ -126,34 +132,7 @@ const integrationConfigSchema = new mongoose.Schema({
   },
 
   // Advanced Lead Assignment Configuration
-  assignmentConfig: {
-    enabled: { type: Boolean, default: false },
-    mode: { 
-      type: String, 
-      enum: ['auto', 'manual', 'specific'], 
-      default: 'manual' 
-    }, // auto = all telecallers, manual = no assignment, specific = selected users only
-    
-    // For 'specific' mode - assign to these users only
-    assignToUsers: [{
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      weight: { type: Number, default: 1, min: 1, max: 10 } // Higher weight = more leads
-    }],
-    
-    // Distribution algorithm
-    algorithm: {
-      type: String,
-      enum: ['round-robin', 'weighted-round-robin', 'least-active', 'random'],
-      default: 'weighted-round-robin'
-    },
-    
-    // Assignment tracking for algorithms
-    lastAssignment: {
-      userId: mongoose.Schema.Types.ObjectId,
-      timestamp: Date,
-      roundRobinIndex: { type: Number, default: 0 } // Index in assignToUsers array
-    }
-  },
+  assignmentConfig: assignmentSettingsDefinition(),
 
   // Assignment Statistics  
   assignmentStats: {
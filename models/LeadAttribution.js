@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One visit that brought the visitor to the site: its campaign tags, click IDs and referrer.
+// source and medium are derived from the click ID or referrer when the link had no UTM tags.
+const touchSchema = new mongoose.Schema({
+  source: String,
+  medium: String,
+  campaign: String,
+  term: String,
+  content: String,
+  gclid: String,
+  fbclid: String,
+  referrer: String,
+  landingPage: String,
+  at: Date
+}, { _id: false });
+
+// Where a website or WordPress lead came from. The lead lives in the leads-service;
+// this copy is kept for the campaign breakdown in analytics.
+const leadAttributionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  leadId: {
+    type: String,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['website', 'wordpress'],
+    required: true
+  },
+  integrationId: String,
+  formId: String,
+
+  firstTouch: touchSchema,
+  lastTouch: touchSchema
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+leadAttributionSchema.index({ organizationId: 1, createdAt: -1 });
+leadAttributionSchema.index({ organizationId: 1, leadId: 1 });
+
+module.exports = mongoose.model('LeadAttribution', leadAttributionSchema);
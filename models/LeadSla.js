@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// An assigned lead waiting for its assignee to act on it (see OrganizationSettings.sla)
+const leadSlaSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  leadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Scope and settings the lead was assigned from; reassignments use them again
+  scope: {
+    type: String,
+    required: true
+  },
+  locator: {
+    source: { type: String, required: true },
+    integrationId: { type: String, required: true },
+    pageId: String,
+    accountId: String,
+    formId: String
+  },
+  ruleId: String,
+
+  assignedTo: {
+    type: String,
+    required: true
+  },
+  assignedAt: {
+    type: Date,
+    required: true
+  },
+  // Assignees the lead was taken from, oldest first
+  previousAssignees: {
+    type: [String],
+    default: []
+  },
+  // Reassignments so far
+  hops: {
+    type: Number,
+    default: 0
+  },
+
+  // watching = waiting for the assignee, worked = acted on in time,
+  // escalated = handed to a manager, closed = deleted or moved by someone else
+  status: {
+    type: String,
+    enum: ['watching', 'processing', 'worked', 'escalated', 'closed', 'failed'],
+    default: 'watching'
+  },
+  // When the assignee's time is up; checked from then on
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  escalatedTo: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+
+  // Lease held by the instance checking the lead
+  lockedBy: String,
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+leadSlaSchema.index({ status: 1, dueAt: 1 });
+leadSlaSchema.index({ organizationId: 1, status: 1 });
+
+module.exports = mongoose.model('LeadSla', leadSlaSchema);
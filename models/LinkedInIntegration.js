@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { assignmentSettingsDefinition } = require('./assignmentSettings');
+
+const linkedInIntegrationSchema = new mongoose.Schema({
+  // Organization and user info
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true,
+    ref: 'User'
+  },
+
+  // LinkedIn connection status
+  connected: {
+    type: Boolean,
+    default: false
+  },
+
+  // LinkedIn member info and OAuth tokens
+  linkedinMemberId: String,
+  linkedinMemberName: String,
+  accessToken: String,
+  tokenExpiresAt: Date,
+  refreshToken: String,
+  refreshTokenExpiresAt: Date,
+  grantedScopes: {
+    type: [String],
+    default: []
+  },
+
+  // Sponsored ad accounts with their Lead Gen forms
+  adAccounts: [{
+    id: { type: String, required: true }, // Numeric sponsored account id
+    name: { type: String, required: true },
+    status: String,
+    currency: String,
+    lastSyncAt: { type: Date, default: Date.now },
+    webhookSubscriptionId: String,
+    leadForms: [{
+      id: { type: String, required: true }, // Numeric lead form id
+      name: { type: String, required: true },
+      status: { type: String, default: 'PUBLISHED' }, // LinkedIn's form state
+      leadsCount: { type: Number, default: 0 },
+      createdTime: Date,
+
+      // CRM Control Settings
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      crmStatus: {
+        type: String,
+        enum: ['active', 'paused', 'disabled'],
+        default: 'active'
+      },
+      disabledAt: Date,
+      disabledBy: mongoose.Schema.Types.ObjectId,
+      disabledReason: String,
+
+      questions: [{
+        id: String,
+        name: String,
+        label: String,
+        predefinedField: String // FIRST_NAME, EMAIL, PHONE_NUMBER, ...
+      }],
+
+      // Form-level assignment settings
+      assignmentSettings: assignmentSettingsDefinition({ mode: 'specific', algorithm: 'round-robin' }),
+
+      // Form stats
+      stats: {
+        leadsThisMonth: { type: Number, default: 0 },
+        leadsThisWeek: { type: Number, default: 0 },
+        leadsToday: { type: Number, default: 0 },
+        lastLeadReceived: Date
+      }
+    }]
+  }],
+
+  // Country for phone numbers typed without a country code; falls back to the organization default
+  phoneDefaultCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Additional settings
+  settings: {
+    autoProcessLeads: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Basic stats
+  totalLeads: { type: Number, default: 0 },
+  lastLeadReceived: Date,
+  lastSync: Date,
+  lastLeadPoll: Date,
+  stats: {
+    leadsThisMonth: { type: Number, default: 0 },
+    leadsThisWeek: { type: Number, default: 0 },
+    leadsToday: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+linkedInIntegrationSchema.index({ organizationId: 1 }, { unique: true }); // One LinkedIn account per organization
+linkedInIntegrationSchema.index({ 'adAccounts.id': 1 });
+linkedInIntegrationSchema.index({ 'adAccounts.leadForms.id': 1 });
+linkedInIntegrationSchema.index({ connected: 1 });
+
+// Find a form and its parent ad account by LinkedIn form id
+linkedInIntegrationSchema.methods.findLeadForm = function(formId) {
+  for (const account of this.adAccounts || []) {
+    const form = (account.leadForms || []).find(f => f.id === String(formId));
+    if (form) {
+      return { account, form };
+    }
+  }
+  return null;
+};
+
+// Token helpers
+linkedInIntegrationSchema.methods.isTokenExpired = function(skewMs = 5 * 60 * 1000) {
+  return !this.tokenExpiresAt || Date.now() + skewMs >= this.tokenExpiresAt.getTime();
+};
+
+linkedInIntegrationSchema.methods.canRefresh = function() {
+  if (!this.refreshToken) return false;
+  return !this.refreshTokenExpiresAt || Date.now() < this.refreshTokenExpiresAt.getTime();
+};
+
+module.exports = mongoose.model('LinkedInIntegration', linkedInIntegrationSchema);
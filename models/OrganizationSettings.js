@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { CAPACITY_OVERFLOW_ACTIONS, ROUTING_SOURCES } = require('./assignmentSettings');
+
+// A recurring shift; one ending at or before its start runs past midnight
+const shiftSchema = new mongoose.Schema({
+  days: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+  start: { type: String, required: true }, // HH:mm
+  end: { type: String, required: true } // HH:mm
+}, { _id: false });
+
+// Assignment caps; unset means no cap, and 0 lifts a default cap for one user
+const capacityLimits = {
+  maxPerHour: { type: Number, min: 0, default: null },
+  maxPerDay: { type: Number, min: 0, default: null },
+  // Assigned leads nobody has worked yet
+  maxOpen: { type: Number, min: 0, default: null }
+};
+
+// Organization-wide ingestion defaults; integrations may override them
+const organizationSettingsSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+
+  phone: {
+    // ISO 3166-1 alpha-2 country used to read numbers typed without a country code
+    defaultCountry: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    }
+  },
+
+  // Telecaller schedules used by shift-aware assignment
+  workingHours: {
+    // IANA timezone of the default shifts and of users without their own
+    timezone: { type: String, default: 'UTC' },
+    // Shifts of users without a schedule; with none, those users are always available
+    defaultShifts: { type: [shiftSchema], default: [] },
+    // Days nobody works, in each user's own timezone
+    holidays: [{
+      date: { type: String, required: true }, // YYYY-MM-DD
+      name: String,
+      _id: false
+    }],
+    // Users who take leads when nobody is on shift (outsideHours: 'on-call')
+    onCallUsers: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    users: [{
+      userId: { type: mongoose.Schema.Types.Mixed, required: true },
+      timezone: String,
+      shifts: { type: [shiftSchema], default: undefined },
+      daysOff: { type: [String], default: [] }, // YYYY-MM-DD
+      _id: false
+    }]
+  },
+
+  // Per-user load caps, enforced across every integration
+  capacity: {
+    defaultLimits: capacityLimits,
+    users: [{
+      userId: { type: mongoose.Schema.Types.Mixed, required: true },
+      ...capacityLimits,
+      _id: false
+    }],
+    overflow: { type: String, enum: CAPACITY_OVERFLOW_ACTIONS, default: 'skip' },
+    overflowPool: { type: [mongoose.Schema.Types.Mixed], default: [] }
+  },
+
+  // Leads nobody acts on in time move to the next user, then to a manager
+  sla: {
+    enabled: { type: Boolean, default: false },
+    // Minutes an assignee has to act on a lead
+    responseMinutes: { type: Number, min: 1, default: 30 },
+    // Reassignments before the lead is escalated
+    maxHops: { type: Number, min: 0, default: 2 },
+    // Sources whose leads are watched; empty means every source
+    sources: { type: [{ type: String, enum: ROUTING_SOURCES }], default: [] },
+    // Managers unworked leads are escalated to, in turn
+    escalateTo: { type: [mongoose.Schema.Types.Mixed], default: [] }
+  },
+
+  // What each telecaller can handle; leads go to the users whose skills match theirs
+  skills: {
+    enabled: { type: Boolean, default: false },
+    users: [{
+      userId: { type: mongoose.Schema.Types.Mixed, required: true },
+      languages: { type: [String], default: [] }, // ISO 639-1, e.g. 'hi', 'ta', 'en'
+      products: { type: [String], default: [] },
+      regions: { type: [String], default: [] },
+      _id: false
+    }],
+    // Lead fields read for each skill, first one set wins (defaults in SKILL_FIELDS)
+    languageFields: { type: [String], default: undefined },
+    productFields: { type: [String], default: undefined },
+    regionFields: { type: [String], default: undefined },
+    // Tell the language of free-text answers by their script when no field gives it
+    detectLanguage: { type: Boolean, default: true }
+  },
+
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('OrganizationSettings', organizationSettingsSchema);
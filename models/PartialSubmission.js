@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Fields a visitor typed into a website form that opted into partial capture, before (or
+// without) submitting it. One open entry per visitor and form; see WebsiteIntegration.forms.partialCapture.
+const partialSubmissionSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  integrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  formId: {
+    type: String,
+    required: true
+  },
+  // Random ID the loader script keeps in the visitor's jesty_visitor cookie
+  visitorToken: {
+    type: String,
+    required: true
+  },
+
+  // Latest value of each captured field
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  page: String,
+  // The visitor's jesty_attribution cookie, as posted
+  attribution: mongoose.Schema.Types.Mixed,
+
+  // open = still being typed, processing = being converted, converted = a partial lead was created,
+  // submitted = the visitor sent the form, discarded = left without an email or phone, failed = gave up
+  status: {
+    type: String,
+    enum: ['open', 'processing', 'converted', 'submitted', 'discarded', 'failed'],
+    default: 'open'
+  },
+  lastActivityAt: {
+    type: Date,
+    default: Date.now
+  },
+  // lastActivityAt plus the form's inactivityMinutes
+  convertAfter: {
+    type: Date,
+    required: true
+  },
+  leadId: String,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+
+  // Lease held by the instance converting the entry
+  lockedBy: String,
+  lockedUntil: Date,
+
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+partialSubmissionSchema.index(
+  { integrationId: 1, formId: 1, visitorToken: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+partialSubmissionSchema.index({ status: 1, convertAfter: 1 });
+partialSubmissionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PartialSubmission', partialSubmissionSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A lead held back from assignment: created outside its assignees' working hours,
+// or while all of them were at their capacity caps. Also a lead an AI agent took
+// first, waiting to be handed off to a human.
+const pendingAssignmentSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  leadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Assignment scope the lead is distributed in (see AssignmentState)
+  scope: {
+    type: String,
+    required: true
+  },
+  // Where the assignment settings are read from when the lead is retried
+  locator: {
+    source: { type: String, required: true },
+    integrationId: { type: String, required: true },
+    pageId: String,
+    accountId: String,
+    formId: String
+  },
+
+  // Routing rule the lead matched; it is retried with that rule's users
+  ruleId: String,
+
+  // Why the lead is waiting
+  reason: {
+    type: String,
+    enum: ['working-hours', 'capacity', 'hand-off'],
+    default: 'working-hours'
+  },
+  // What the lead was skill-matched on; it is matched on the same when retried
+  skills: {
+    language: String,
+    languageFrom: String,
+    product: String,
+    region: String
+  },
+  // Hand-offs only go to the humans; handOffFrom is the AI agent holding the lead
+  pool: String,
+  handOffFrom: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'assigned', 'unassigned', 'failed'],
+    default: 'pending'
+  },
+  // When the first assignee's shift starts, has room again or the hand-off is due; retried from then on
+  availableAt: {
+    type: Date,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  assignedTo: mongoose.Schema.Types.Mixed,
+  assignedAt: Date,
+  lastError: String,
+
+  // Lease held by the instance assigning the lead
+  lockedBy: String,
+  lockedUntil: Date
+}, {
+  timestamps: true
+});
+
+pendingAssignmentSchema.index({ status: 1, availableAt: 1 });
+pendingAssignmentSchema.index({ organizationId: 1, status: 1 });
+
+module.exports = mongoose.model('PendingAssignment', pendingAssignmentSchema);
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Lead that could not be created automatically and is held for manual review
+const quarantinedLeadSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['facebook', 'linkedin', 'shopify', 'wordpress', 'website'],
+    required: true
+  },
+
+  reason: {
+    type: String,
+    enum: ['missing_fields', 'no_contact_info', 'spam'],
+    required: true
+  },
+  message: String,
+  missingFields: {
+    type: [String],
+    default: []
+  },
+
+  // Where the lead came from
+  integrationId: String,
+  formId: String,
+  formName: String,
+  externalId: String, // Facebook leadgen ID, LinkedIn response ID, Shopify order ID ...
+
+  // Editable lead fields, pushed to the leads-service as-is
+  lead: {
+    name: { type: String, default: '' },
+    email: { type: String, default: '' },
+    phone: { type: String, default: '' },
+    company: { type: String, default: '' },
+    customFields: { type: mongoose.Schema.Types.Mixed, default: {} },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+  rawPayload: mongoose.Schema.Types.Mixed,
+  spamCheck: mongoose.Schema.Types.Mixed,
+
+  status: {
+    type: String,
+    enum: ['pending', 'pushing', 'pushed', 'discarded'],
+    default: 'pending'
+  },
+  editedBy: String,
+  editedAt: Date,
+
+  pushedLeadId: String,
+  pushedBy: String,
+  pushedAt: Date,
+  lastPushError: String,
+
+  discardedBy: String,
+  discardedAt: Date,
+  discardReason: String
+}, {
+  timestamps: true
+});
+
+quarantinedLeadSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+quarantinedLeadSchema.index({ organizationId: 1, source: 1, integrationId: 1, formId: 1 });
+// Webhook redeliveries of the same lead update one record
+quarantinedLeadSchema.index(
+  { organizationId: 1, source: 1, externalId: 1 },
+  { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('QuarantinedLead', quarantinedLeadSchema);
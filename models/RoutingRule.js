@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { ASSIGNMENT_ALGORITHMS, ROUTING_SOURCES, ROUTING_OPERATORS } = require('./assignmentSettings');
+
+// One test of a lead field, e.g. { field: 'city', operator: 'in', value: ['Mumbai', 'Pune'] }
+const routingConditionSchema = new mongoose.Schema({
+  // Field name or dotted path (e.g. "billing_address.city", "customFields.budget", "utm_campaign")
+  field: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  operator: {
+    type: String,
+    enum: ROUTING_OPERATORS,
+    required: true
+  },
+  // A list for in/not_in, a number for gt/gte/lt/lte, a regular expression for matches
+  value: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Sends matching leads to its own users before the integration's distribution runs.
+// Rules are tried in priority order and the first match wins.
+const routingRuleSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Lower runs first
+  priority: {
+    type: Number,
+    default: 0
+  },
+
+  // Leads the rule applies to; empty means every source or integration
+  sources: {
+    type: [{ type: String, enum: ROUTING_SOURCES }],
+    default: []
+  },
+  integrationIds: {
+    type: [String],
+    default: []
+  },
+
+  // all = every condition must hold, any = one is enough
+  match: {
+    type: String,
+    enum: ['all', 'any'],
+    default: 'all'
+  },
+  conditions: {
+    type: [routingConditionSchema],
+    default: []
+  },
+
+  // Who gets the matching leads, distributed like integration users
+  algorithm: {
+    type: String,
+    enum: ASSIGNMENT_ALGORITHMS,
+    default: 'round-robin'
+  },
+  assignToUsers: [{
+    userId: { type: mongoose.Schema.Types.Mixed, required: true },
+    weight: { type: Number, default: 1, min: 1, max: 10 },
+    isActive: { type: Boolean, default: true },
+    _id: false
+  }],
+
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+routingRuleSchema.index({ organizationId: 1, priority: 1 });
+
+module.exports = mongoose.model('RoutingRule', routingRuleSchema);
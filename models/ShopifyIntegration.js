@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { assignmentSettingsDefinition } = require('./assignmentSettings');
 
 const shopifyIntegrationSchema = new mongoose.Schema({
   // Organization info
@@ -44,6 +45,14 @@ const shopifyIntegrationSchema = new mongoose.Schema({
     }
   }],
   
+  // Country for phone numbers typed without a country code; falls back to the organization default
+  phoneDefaultCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+
   // Lead mapping configuration
   leadMappingConfig: {
     mapOrdersAsLeads: {
@@ -61,39 +70,18 @@ const shopifyIntegrationSchema = new mongoose.Schema({
     leadStatus: {
       type: String,
       default: 'new'
+    },
+    // Duplicate policy; falls back to IntegrationConfig.syncConfig when no action is set
+    duplicateHandling: {
+      enabled: { type: Boolean, default: true },
+      checkFields: { type: [{ type: String, enum: ['email', 'phone'] }], default: ['email', 'phone'] },
+      action: { type: String, enum: ['update', 'ignore', 'create_new'] },
+      windowHours: { type: Number, min: 1, default: null }
     }
   },
 
   // Lead Assignment Configuration
-  assignmentSettings: {
-    enabled: { type: Boolean, default: false },
-    mode: { 
-      type: String, 
-      enum: ['auto', 'manual', 'specific', 'round-robin', 'weighted-round-robin'], 
-      default: 'manual' 
-    },
-    
-    // For multi-user assignment modes (round-robin, weighted, etc)
-    assignToUsers: [{
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      weight: { type: Number, default: 1, min: 1, max: 10 }
-    }],
-    
-    algorithm: {
-      type: String,
-      enum: ['round-robin', 'weighted-round-robin', 'least-active', 'random'],
-      default: 'weighted-round-robin'
-    },
-    
-    // For tracking round-robin assignment
-    lastAssignmentIndex: { type: Number, default: 0 },
-    
-    lastAssignment: {
-      userId: mongoose.Schema.Types.ObjectId,
-      timestamp: Date,
-      roundRobinIndex: { type: Number, default: 0 }
-    }
-  },
+  assignmentSettings: assignmentSettingsDefinition(),
   
   // Statistics
   statistics: {
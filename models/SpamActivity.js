@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Short-lived record of inbound submissions, used for burst detection
+const spamActivitySchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  source: {
+    type: String,
+    required: true
+  },
+  ip: String,
+  formId: String,
+  score: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+spamActivitySchema.index({ organizationId: 1, ip: 1, createdAt: -1 });
+spamActivitySchema.index({ organizationId: 1, source: 1, formId: 1, createdAt: -1 });
+spamActivitySchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('SpamActivity', spamActivitySchema);
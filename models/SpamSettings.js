@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+const ruleSchema = (weight) => ({
+  enabled: { type: Boolean, default: true },
+  weight: { type: Number, default: weight, min: 0, max: 100 }
+});
+
+const spamSettingsSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Leads scoring at or above the threshold get the configured action
+  threshold: {
+    type: Number,
+    default: 60,
+    min: 1,
+    max: 100
+  },
+  action: {
+    type: String,
+    enum: ['allow', 'flag', 'quarantine', 'drop'],
+    default: 'flag'
+  },
+
+  // Per-rule toggles and weights
+  rules: {
+    disposableEmail: ruleSchema(50),
+    repeatedPhoneDigits: ruleSchema(40),
+    gibberishName: ruleSchema(30),
+    burstSubmissions: {
+      ...ruleSchema(40),
+      windowMinutes: { type: Number, default: 10, min: 1 },
+      maxPerIp: { type: Number, default: 5, min: 1 },
+      maxPerForm: { type: Number, default: 50, min: 1 }
+    },
+    honeypot: {
+      ...ruleSchema(100),
+      fieldNames: {
+        type: [String],
+        default: ['_hp', '_honeypot', 'honeypot', '_gotcha', 'hp_website']
+      }
+    },
+    customPatterns: ruleSchema(60)
+  },
+
+  // Organization-specific blocklist patterns
+  patterns: [{
+    type: {
+      type: String,
+      enum: ['email', 'domain', 'phone', 'name', 'ip', 'leadgenId', 'formName'],
+      required: true
+    },
+    pattern: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    isRegex: {
+      type: Boolean,
+      default: false
+    },
+    sources: {
+      type: [String], // Empty means every source
+      default: []
+    },
+    addedBy: mongoose.Schema.Types.Mixed,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  stats: {
+    totalChecked: { type: Number, default: 0 },
+    totalFlagged: { type: Number, default: 0 },
+    totalQuarantined: { type: Number, default: 0 },
+    totalDropped: { type: Number, default: 0 },
+    byRule: { type: Map, of: Number, default: {} },
+    lastDetectedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+spamSettingsSchema.index({ organizationId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SpamSettings', spamSettingsSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Built-in CAPTCHA challenges already spent on a submission; kept until the challenge would have expired anyway
+const usedCaptchaChallengeSchema = new mongoose.Schema({
+  // The signed random part of the challenge
+  challengeId: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+usedCaptchaChallengeSchema.index({ challengeId: 1 }, { unique: true });
+usedCaptchaChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedCaptchaChallenge', usedCaptchaChallengeSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One outbound event POSTed to the webhook configured on an IntegrationConfig
+const webhookDeliverySchema = new mongoose.Schema({
+  organizationId: {
+    type: String,
+    required: true
+  },
+  integrationConfigId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true // lead.created, lead.assigned, lead.quarantined, sync.completed, webhook.test
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  // Exact body that is signed and sent, so retries deliver the same bytes
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'delivered', 'failed', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+
+  // Last response received from the endpoint
+  responseStatus: Number,
+  responseBody: String,
+  durationMs: Number,
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    message: String,
+    responseStatus: Number,
+    at: { type: Date, default: Date.now }
+  }],
+
+  deliveredAt: Date,
+  redeliveredBy: String
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ organizationId: 1, integrationConfigId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ organizationId: 1, event: 1, status: 1 });
+// Delivery logs are kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// Inbound webhook payload, stored before it is acknowledged and processed by the queue worker
+const webhookEventSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['facebook', 'linkedin', 'shopify', 'wordpress', 'website'],
+    required: true
+  },
+  eventType: String, // e.g. leadgen, orders/create, form_submission
+
+  // Facebook pages can be shared by several organizations, so these are lists
+  organizationIds: {
+    type: [String],
+    default: []
+  },
+  integrationIds: {
+    type: [String],
+    default: []
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Request details the handler needs besides the body (ip, route params, form metadata)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'dead'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 6
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+
+  lastError: String,
+  failures: [{
+    attempt: Number,
+    message: String,
+    at: { type: Date, default: Date.now }
+  }],
+  result: mongoose.Schema.Types.Mixed,
+
+  completedAt: Date,
+  deadAt: Date,
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ organizationIds: 1, source: 1, status: 1, createdAt: -1 });
+webhookEventSchema.index({ integrationIds: 1, status: 1 });
+// Lets the Facebook polling sync tell which leads already arrived by webhook
+webhookEventSchema.index({ source: 1, 'payload.leadgen_id': 1 });
+// Completed events are only kept for a week; failed and dead events stay until replayed
+webhookEventSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
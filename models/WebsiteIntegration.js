@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { assignmentSettingsDefinition } = require('./assignmentSettings');
+const { captchaSettingsDefinition } = require('./captchaSettings');
 
 const websiteIntegrationSchema = new mongoose.Schema({
   // Organization info
@@ -39,15 +41,53 @@ const websiteIntegrationSchema = new mongoose.Schema({
     fields: [{
       name: String,
       label: String,
-      type: { type: String, enum: ['text', 'email', 'phone', 'tel', 'textarea', 'select', 'checkbox', 'radio', 'number', 'url', 'date'] },
+      type: { type: String, enum: ['text', 'email', 'phone', 'tel', 'textarea', 'select', 'checkbox', 'radio', 'number', 'url', 'date', 'hidden'] },
       required: { type: Boolean, default: false },
       placeholder: String,
-      options: [String] // for select, radio, checkbox
+      options: [String], // for select, radio, checkbox
+      // Hosted form rendering
+      helpText: String,
+      defaultValue: String, // hidden fields also take a URL parameter of the same name
+      step: { type: Number, min: 0, default: 0 }, // page of a multi-step form
+      validation: {
+        minLength: Number,
+        maxLength: Number,
+        min: Number,
+        max: Number,
+        pattern: String,
+        message: String
+      },
+      // Only shown (and submitted) when another field's answer matches
+      showIf: {
+        field: String,
+        operator: { type: String, enum: ['equals', 'not-equals', 'in', 'filled', 'empty'] },
+        value: mongoose.Schema.Types.Mixed
+      }
     }],
+    // Hosted form page
+    title: String,
+    description: String,
+    steps: [{ title: String, description: String }],
+    theme: {
+      primaryColor: String,
+      backgroundColor: String,
+      textColor: String,
+      fontFamily: String,
+      borderRadius: Number
+    },
     submitButtonText: { type: String, default: 'Submit' },
     successMessage: { type: String, default: 'Thank you for your submission!' },
     redirectUrl: String,
     allowDynamicFields: { type: Boolean, default: true }, // Allow any additional fields
+    // Abandoned form capture: the loader sends these fields while the visitor types, and a
+    // visitor who leaves with an email or phone entered becomes a 'partial' lead
+    partialCapture: {
+      enabled: { type: Boolean, default: false },
+      fields: [String], // only these fields are ever sent
+      inactivityMinutes: { type: Number, min: 5, max: 1440, default: 30 },
+      // Wait for JestyCRM.consent(true) from the site's consent banner before sending anything
+      requireConsent: { type: Boolean, default: true }
+    },
     isActive: { type: Boolean, default: true }
   }],
   
@@ -66,6 +106,14 @@ const websiteIntegrationSchema = new mongoose.Schema({
     redirectUrl: String
   },
   
+  // Country for phone numbers typed without a country code; falls back to the organization default
+  phoneDefaultCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+
   // Lead routing settings
   leadSettings: {
     defaultStatus: { type: String, default: 'New Lead' },
@@ -78,39 +126,14 @@ const websiteIntegrationSchema = new mongoose.Schema({
     duplicateHandling: {
       enabled: { type: Boolean, default: true },
       checkFields: [{ type: String, enum: ['email', 'phone'], default: ['email', 'phone'] }],
-      action: { type: String, enum: ['update', 'ignore', 'create_new'], default: 'update' }
+      action: { type: String, enum: ['update', 'ignore', 'create_new'], default: 'update' },
+      // Only leads created within this many hours count as duplicates (null = any age)
+      windowHours: { type: Number, min: 1, default: null }
     }
   },
 
   // Lead Assignment Configuration
-  assignmentSettings: {
-    enabled: { type: Boolean, default: false }, // Auto-assignment on/off
-    mode: { 
-      type: String, 
-      enum: ['auto', 'manual', 'specific'], 
-      default: 'manual' 
-    }, // auto = round-robin, manual = no assignment, specific = assign to selected users
-    
-    // For 'specific' mode - assign to these users only
-    assignToUsers: [{
-      userId: { type: mongoose.Schema.Types.Mixed, required: true }, // ObjectId for human, UUID for AI agent
-      weight: { type: Number, default: 1, min: 1, max: 10 } // Weight for distribution (1-10)
-    }],
-    
-    // Distribution algorithm
-    algorithm: {
-      type: String,
-      enum: ['round-robin', 'weighted-round-robin', 'least-active', 'random'],
-      default: 'weighted-round-robin'
-    },
-    
-    // Track assignments for round-robin
-    lastAssignment: {
-      userId: { type: mongoose.Schema.Types.Mixed, default: null }, // ObjectId for human, UUID for AI agent
-      timestamp: { type: Date, default: null },
-      roundRobinIndex: { type: Number, default: 0 } // Index in assignToUsers array
-    }
-  },
+  assignmentSettings: assignmentSettingsDefinition(),
   
   // Integration status
   isActive: {
@@ -138,6 +161,9 @@ const websiteIntegrationSchema = new mongoose.Schema({
   settings: {
     enableCORS: { type: Boolean, default: true },
     allowedOrigins: [String],
+    // Bot check of submissions (see captchaSettings)
+    captcha: captchaSettingsDefinition(),
+    // Superseded by captcha; still honored as reCAPTCHA v2 while captcha.provider is none
     reCaptcha: {
       enabled: { type: Boolean, default: false },
       siteKey: String,
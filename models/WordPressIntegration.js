@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { assignmentSettingsDefinition } = require('./assignmentSettings');
+const { captchaSettingsDefinition } = require('./captchaSettings');
 
 const wordpressIntegrationSchema = new mongoose.Schema({
   // Organization info
@@ -88,6 +90,14 @@ const wordpressIntegrationSchema = new mongoose.Schema({
     messageFields: [String] // Common message field variations
   },
   
+  // Country for phone numbers typed without a country code; falls back to the organization default
+  phoneDefaultCountry: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+
   // Lead mapping configuration
   leadMappingConfig: {
     leadSource: {
@@ -110,28 +120,21 @@ const wordpressIntegrationSchema = new mongoose.Schema({
         highValueThreshold: Number,
         businessHours: Boolean
       }
+    },
+    // Duplicate policy; falls back to IntegrationConfig.syncConfig when no action is set
+    duplicateHandling: {
+      enabled: { type: Boolean, default: true },
+      checkFields: { type: [{ type: String, enum: ['email', 'phone'] }], default: ['email', 'phone'] },
+      action: { type: String, enum: ['update', 'ignore', 'create_new'] },
+      windowHours: { type: Number, min: 1, default: null }
     }
   },
   
   // Assignment settings
-  assignmentSettings: {
-    enabled: { type: Boolean, default: false },
-    mode: { 
-      type: String, 
-      enum: ['auto', 'manual', 'specific', 'round-robin', 'weighted-round-robin'], 
-      default: 'manual' 
-    },
-    assignToUsers: [{
-      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-      weight: { type: Number, default: 1, min: 1, max: 10 }
-    }],
-    algorithm: {
-      type: String,
-      enum: ['round-robin', 'weighted-round-robin', 'least-active', 'random'],
-      default: 'weighted-round-robin'
-    },
-    lastAssignmentIndex: { type: Number, default: 0 }
-  },
+  assignmentSettings: assignmentSettingsDefinition(),
+
+  // Bot check of submissions; the plugin adds it to the site's forms (see captchaSettings)
+  captcha: captchaSettingsDefinition(),
   
   // WordPress environment info
   wpInfo: {
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// Supported values; everything the engine writes uses these
+const ASSIGNMENT_MODES = ['auto', 'manual', 'specific'];
+const ASSIGNMENT_ALGORITHMS = ['round-robin', 'weighted-round-robin', 'least-assigned', 'random'];
+
+// Values stored by earlier versions. Shopify and WordPress used the mode to pick the algorithm,
+// and website/generic integrations called least-assigned 'least-active'.
+const LEGACY_MODES = {
+  'round-robin': 'round-robin',
+  'weighted-round-robin': 'weighted-round-robin'
+};
+const LEGACY_ALGORITHMS = {
+  'least-active': 'least-assigned'
+};
+
+// What happens to a lead that arrives while none of the users is on shift:
+// queue = hold it until the first shift starts, on-call = the organization's on-call pool,
+// unassigned = create it without an assignee
+const OUTSIDE_HOURS_ACTIONS = ['queue', 'on-call', 'unassigned'];
+
+// What happens to a lead when every candidate is at their capacity caps:
+// skip = leave it unassigned, pool = the organization's overflow pool,
+// hold = queue it until someone has room
+const CAPACITY_OVERFLOW_ACTIONS = ['skip', 'pool', 'hold'];
+
+// How AI agents and humans among the users share the leads:
+// none = one list, ai-first = an AI agent takes the first touch and hands the lead to
+// a human after handOffMinutes, ai-outside-hours = humans on shift, AI agents otherwise,
+// ai-split = aiPercent of the leads to AI agents, the rest to humans
+const HYBRID_STRATEGIES = ['none', 'ai-first', 'ai-outside-hours', 'ai-split'];
+
+// AI agents are users with a UUID; humans have an ObjectId
+const AI_AGENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Lead fields read for each skill a lead is matched on, first one set wins (see OrganizationSettings.skills)
+const SKILL_FIELDS = {
+  language: ['language', 'preferred_language', 'lang', 'locale'],
+  product: ['product', 'product_interest', 'interested_in', 'service'],
+  region: ['region', 'state', 'city']
+};
+
+// Lead sources and condition operators of routing rules (see RoutingRule)
+const ROUTING_SOURCES = ['website', 'wordpress', 'facebook', 'shopify', 'linkedin'];
+const ROUTING_OPERATORS = [
+  'equals', 'not_equals', 'in', 'not_in',
+  'contains', 'not_contains', 'starts_with', 'ends_with', 'matches',
+  'gt', 'gte', 'lt', 'lte',
+  'exists', 'not_exists'
+];
+
+/**
+ * Lead assignment settings shared by every integration and lead form.
+ * Returns a fresh definition so each schema owns its copy.
+ *
+ * Which user is next is tracked in AssignmentState; `lastAssignment`
+ * only mirrors the latest pick for display.
+ *
+ * @param {Object} [defaults] - { mode, algorithm } defaults for the owning schema
+ */
+const assignmentSettingsDefinition = ({ mode = 'manual', algorithm = 'weighted-round-robin' } = {}) => ({
+  enabled: { type: Boolean, default: false },
+  // auto = all telecallers (or assignToUsers when set), manual = no assignment, specific = assignToUsers only
+  mode: {
+    type: String,
+    enum: [...ASSIGNMENT_MODES, ...Object.keys(LEGACY_MODES)],
+    default: mode
+  },
+  assignToUsers: [{
+    userId: { type: mongoose.Schema.Types.Mixed, required: true }, // ObjectId for human, UUID for AI agent
+    weight: { type: Number, default: 1, min: 1, max: 10 }, // Weight for distribution (1-10)
+    isActive: { type: Boolean, default: true }
+  }],
+  algorithm: {
+    type: String,
+    enum: [...ASSIGNMENT_ALGORITHMS, ...Object.keys(LEGACY_ALGORITHMS)],
+    default: algorithm
+  },
+  lastAssignment: {
+    userId: { type: mongoose.Schema.Types.Mixed, default: null },
+    timestamp: { type: Date, default: null },
+    roundRobinIndex: { type: Number, default: 0 } // Slot picked in the (weighted) user list
+  },
+  // Only assign to users on shift (schedules live in OrganizationSettings.workingHours)
+  workingHours: {
+    enabled: { type: Boolean, default: false },
+    outsideHours: { type: String, enum: OUTSIDE_HOURS_ACTIONS, default: 'queue' }
+  },
+  // Language the form or site is in (ISO 639-1, e.g. 'hi'); with skill matching on,
+  // its leads go to users who speak it unless the lead says otherwise
+  language: { type: String, lowercase: true, trim: true, default: null },
+  // AI agent and human pools (see HYBRID_STRATEGIES)
+  hybrid: {
+    strategy: { type: String, enum: HYBRID_STRATEGIES, default: 'none' },
+    aiPercent: { type: Number, min: 0, max: 100, default: 50 },
+    handOffMinutes: { type: Number, min: 1, max: 7 * 24 * 60, default: 15 }
+  }
+});
+
+module.exports = {
+  ASSIGNMENT_MODES,
+  ASSIGNMENT_ALGORITHMS,
+  LEGACY_MODES,
+  LEGACY_ALGORITHMS,
+  OUTSIDE_HOURS_ACTIONS,
+  CAPACITY_OVERFLOW_ACTIONS,
+  HYBRID_STRATEGIES,
+  AI_AGENT_ID_PATTERN,
+  SKILL_FIELDS,
+  ROUTING_SOURCES,
+  ROUTING_OPERATORS,
+  assignmentSettingsDefinition
+};
@@ -0,0 +1,31 @@
+// Bot checks a form submission can be made to pass:
+// none = no check, recaptcha = Google reCAPTCHA (v2 checkbox or v3 score), hcaptcha = hCaptcha,
+// turnstile = Cloudflare Turnstile, builtin = proof-of-work, honeypot and time-to-submit, no third-party script
+const CAPTCHA_PROVIDERS = ['none', 'recaptcha', 'hcaptcha', 'turnstile', 'builtin'];
+const RECAPTCHA_VERSIONS = ['v2', 'v3'];
+
+/**
+ * Bot check settings shared by website and WordPress integrations.
+ * Returns a fresh definition so each schema owns its copy.
+ *
+ * secretKey never leaves the service; captcha.service publicConfig()
+ * is what scripts and the plugin get.
+ */
+const captchaSettingsDefinition = () => ({
+  provider: { type: String, enum: CAPTCHA_PROVIDERS, default: 'none' },
+  siteKey: { type: String, trim: true },
+  secretKey: { type: String, trim: true },
+  // reCAPTCHA only: v3 is invisible and scores each submission
+  version: { type: String, enum: RECAPTCHA_VERSIONS, default: 'v2' },
+  // reCAPTCHA v3: lowest passing score (0 = bot, 1 = human) and the action the page must report
+  minScore: { type: Number, min: 0, max: 1, default: 0.5 },
+  action: { type: String, trim: true, default: 'submit' },
+  // builtin: submissions sent sooner after the form was shown are bots
+  minSubmitSeconds: { type: Number, min: 0, max: 600, default: 3 }
+});
+
+module.exports = {
+  CAPTCHA_PROVIDERS,
+  RECAPTCHA_VERSIONS,
+  captchaSettingsDefinition
+};
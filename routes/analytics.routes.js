@@ -16,4 +16,12 @@ router.get('/status',
   analyticsController.getIntegrationsStatus
 );
 
+// Website and WordPress leads by campaign, source and medium (requires manage_integrations permission)
+// Supports start_date, end_date, touch (first | last), source, integrationId and formId query parameters
+router.get('/attribution',
+  requireIntegrationAccess(),
+  dateFilter,
+  analyticsController.getLeadAttribution
+);
+
 module.exports = router;
\ No newline at end of file
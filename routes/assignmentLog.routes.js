@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const assignmentLogService = require('../services/assignmentLog.service');
+const { authenticateUser, authenticateService } = require('../middleware/auth');
+const { dateFilter, getDateRangeSummary } = require('../middleware/dateFilter');
+const logger = require('../utils/logger');
+
+const VALID_EVENTS = ['assigned', 'queued', 'reassigned'];
+
+/**
+ * @route   POST /api/assignment-log/reassignments
+ * @desc    Leads service reports a lead moved to another user
+ *          (body: { organizationId, leadId, toUserId, fromUserId?, reason?, performedBy? })
+ * @access  Service
+ */
+router.post('/reassignments', authenticateService, async (req, res) => {
+  try {
+    const { organizationId, leadId, fromUserId, toUserId, reason, performedBy } = req.body;
+    if (!organizationId || !mongoose.Types.ObjectId.isValid(organizationId) || !leadId || !toUserId) {
+      return res.status(400).json({
+        success: false,
+        message: 'organizationId, leadId and toUserId are required'
+      });
+    }
+
+    const entry = await assignmentLogService.recordReassignment({
+      organizationId,
+      leadId,
+      fromUserId,
+      toUserId,
+      reason,
+      performedBy
+    });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error('Error logging reassignment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log reassignment'
+    });
+  }
+});
+
+// Everything below is scoped to the caller's organization
+router.use(authenticateUser);
+
+// Filters shared by the log and its reports
+const readFilters = (req, res, next) => {
+  const { leadId, userId, event, source, integrationId, formId, ruleId } = req.query;
+
+  if (event && !String(event).split(',').every(e => VALID_EVENTS.includes(e))) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid event. Must be one of: ${VALID_EVENTS.join(', ')}`
+    });
+  }
+
+  req.logFilters = {
+    leadId,
+    userId,
+    event,
+    source,
+    integrationId,
+    formId,
+    ruleId,
+    startDate: req.parsedDateRange.startDate,
+    endDate: req.parsedDateRange.endDate
+  };
+  next();
+};
+
+/**
+ * @route   GET /api/assignment-log
+ * @desc    Assignment log, newest first (filter by leadId, userId, event, source, integrationId, formId, ruleId,
+ *          start_date, end_date)
+ * @access  Private
+ */
+router.get('/', dateFilter, readFilters, async (req, res) => {
+  try {
+    const data = await assignmentLogService.list(req.user.organizationId, req.logFilters, {
+      page: Math.max(1, parseInt(req.query.page, 10) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50))
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error listing assignment log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list assignment log'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assignment-log/reports/distribution
+ * @desc    Leads per user against the share their weights entitle them to, over a date range
+ *          (same filters as the log; event is ignored)
+ * @access  Private
+ */
+router.get('/reports/distribution', dateFilter, readFilters, async (req, res) => {
+  try {
+    const { event, ...filters } = req.logFilters;
+    const report = await assignmentLogService.distribution(req.user.organizationId, filters);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        dateRange: getDateRangeSummary(filters.startDate, filters.endDate)
+      }
+    });
+  } catch (error) {
+    logger.error('Error building distribution report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build distribution report'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assignment-log/reports/reassignments
+ * @desc    Reassignments per user and reason over a date range (same filters as the log; event is ignored)
+ * @access  Private
+ */
+router.get('/reports/reassignments', dateFilter, readFilters, async (req, res) => {
+  try {
+    const { event, ...filters } = req.logFilters;
+    const report = await assignmentLogService.reassignments(req.user.organizationId, filters);
+
+    res.json({
+      success: true,
+      data: {
+        ...report,
+        dateRange: getDateRangeSummary(filters.startDate, filters.endDate)
+      }
+    });
+  } catch (error) {
+    logger.error('Error building reassignment report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build reassignment report'
+    });
+  }
+});
+
+module.exports = router;
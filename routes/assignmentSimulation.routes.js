@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const assignmentSimulationService = require('../services/assignmentSimulation.service');
+const assignmentTemplateService = require('../services/assignmentTemplate.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Simulations read the caller's organization's forms, templates, shifts and caps
+router.use(authenticateUser);
+
+const isCount = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+const validateSimulation = (req, res, next) => {
+  const { target, templateId, settings, count, days, start } = req.body;
+  const errors = [];
+
+  if (target !== undefined && !assignmentTemplateService.isSingleTarget(target)) {
+    errors.push('target must be a single form ({ source, integrationId, pageId or accountId, formId }) or integration');
+  }
+  if (templateId !== undefined && !mongoose.Types.ObjectId.isValid(templateId)) {
+    errors.push('templateId must be an assignment template ID');
+  }
+  if (settings !== undefined) {
+    errors.push(...assignmentTemplateService.validateSettings(settings));
+  }
+  if (!target && !templateId && !settings) {
+    errors.push('settings, templateId or target is required');
+  }
+
+  if (count !== undefined && !isCount(count, assignmentSimulationService.maxLeads)) {
+    errors.push(`count must be a whole number from 1 to ${assignmentSimulationService.maxLeads}`);
+  }
+  if (days !== undefined && !isCount(days, assignmentSimulationService.maxDays)) {
+    errors.push(`days must be a whole number from 1 to ${assignmentSimulationService.maxDays}`);
+  }
+  if (count === undefined && (days === undefined || !target)) {
+    errors.push('count (synthetic leads), or days with a target (its leads over the last days), is required');
+  }
+  if (start !== undefined && (count === undefined || Number.isNaN(Date.parse(start)))) {
+    errors.push('start must be a date, and only goes with count');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid simulation',
+      errors
+    });
+  }
+  next();
+};
+
+/**
+ * @route   POST /api/assignment-simulation
+ * @desc    Forecast the distribution of proposed assignment settings without saving them
+ *          (body: { target, templateId, settings, count, days, start }). The proposed settings are the target's
+ *          current ones, then the template's, then `settings`. The leads are `count` synthetic leads spread evenly
+ *          over `days` (default 1) from `start` (default now), or without `count` the target's leads of the last `days`.
+ *          With a target, `current` forecasts its saved settings for the same leads
+ * @access  Private (admin, manager)
+ */
+router.post('/', authorizeRoles('admin', 'manager'), validateSimulation, async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const { target, templateId, settings, count, days, start } = req.body;
+
+    let current = null;
+    if (target) {
+      current = await assignmentTemplateService.readSettings(organizationId, target);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Form or integration not found'
+        });
+      }
+    }
+
+    let proposed = current || {};
+    if (templateId) {
+      const template = await assignmentTemplateService.getTemplate(organizationId, templateId);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assignment template not found'
+        });
+      }
+      proposed = { ...proposed, ...assignmentTemplateService.settingsOf(template.settings) };
+    }
+    if (settings) {
+      proposed = { ...proposed, ...assignmentTemplateService.changedSettings(proposed, settings) };
+    }
+
+    if (assignmentEngine.normalizeUsers(proposed.assignToUsers).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The proposed settings have no active users to distribute leads between'
+      });
+    }
+
+    const arrivals = count
+      ? assignmentSimulationService.syntheticArrivals(count, days || 1, start ? new Date(start) : new Date())
+      : await assignmentSimulationService.historicalArrivals(organizationId, target, days);
+
+    const forecast = await assignmentSimulationService.simulate(organizationId, proposed, arrivals);
+    const baseline = current && assignmentEngine.normalizeUsers(current.assignToUsers).length > 0
+      ? await assignmentSimulationService.simulate(organizationId, current, arrivals)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        leadsFrom: count ? 'synthetic' : 'history',
+        proposed: forecast,
+        current: baseline
+      }
+    });
+  } catch (error) {
+    logger.error('Error simulating assignment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to simulate assignment'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const assignmentTemplateService = require('../services/assignmentTemplate.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Templates and the forms they are applied to are scoped to the caller's organization
+router.use(authenticateUser);
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid assignment template ID'
+    });
+  }
+  next();
+});
+
+const invalid = (res, message, errors) => res.status(400).json({
+  success: false,
+  message,
+  errors
+});
+
+// apply() refuses more than maxTargets forms and integrations
+const tooManyTargets = (res, error) => res.status(400).json({
+  success: false,
+  message: error.message
+});
+
+const duplicateName = (res) => res.status(409).json({
+  success: false,
+  message: 'An assignment template with this name already exists'
+});
+
+const validateTemplate = (req, res, next) => {
+  const { name, description, settings, isDefault, from } = req.body;
+  const creating = req.method === 'POST';
+  const errors = [];
+
+  if ((creating || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+    errors.push('name is required');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+    errors.push('isDefault must be a boolean');
+  }
+  if (settings !== undefined) {
+    errors.push(...assignmentTemplateService.validateSettings(settings));
+  }
+  if (creating && from !== undefined && !assignmentTemplateService.isSingleTarget(from)) {
+    errors.push('from must be a single form ({ source, integrationId, pageId or accountId, formId }) or integration');
+  }
+
+  if (errors.length > 0) {
+    return invalid(res, 'Invalid assignment template', errors);
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/assignment-templates
+ * @desc    List assignment templates, the default first
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const templates = await assignmentTemplateService.listTemplates(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: templates
+    });
+  } catch (error) {
+    logger.error('Error listing assignment templates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list assignment templates'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/assignment-templates
+ * @desc    Create a template (body: { name, description, settings, isDefault, from }); with `from`, a form or
+ *          integration target, its current settings are saved, with `settings` applied on top
+ * @access  Private (admin, manager)
+ */
+router.post('/', authorizeRoles('admin', 'manager'), validateTemplate, async (req, res) => {
+  try {
+    const { name, description, isDefault, from } = req.body;
+    let settings = req.body.settings || {};
+
+    if (from) {
+      const current = await assignmentTemplateService.readSettings(req.user.organizationId, from);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Form or integration to create the template from not found'
+        });
+      }
+      settings = { ...current, ...settings };
+    }
+
+    const template = await assignmentTemplateService.createTemplate(
+      req.user.organizationId,
+      { name: name.trim(), description, settings, isDefault },
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment template created successfully',
+      data: template
+    });
+  } catch (error) {
+    if (error.code === 11000) return duplicateName(res);
+    logger.error('Error creating assignment template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create assignment template'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/assignment-templates/copy
+ * @desc    Copy a form's or integration's settings to others (body: { from, to: [target], fields? }); `fields` limits
+ *          the copy to some of enabled, mode, algorithm, assignToUsers, workingHours, hybrid and language
+ * @access  Private (admin, manager)
+ */
+router.post('/copy', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { from, to, fields } = req.body;
+    const errors = assignmentTemplateService.validateTargets(to).map(error => error.replace(/^targets/, 'to'));
+    if (!assignmentTemplateService.isSingleTarget(from)) {
+      errors.unshift('from must be a single form ({ source, integrationId, pageId or accountId, formId }) or integration');
+    }
+    if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0 ||
+      fields.some(field => !assignmentTemplateService.fields.includes(field)))) {
+      errors.push(`fields must be a list of: ${assignmentTemplateService.fields.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return invalid(res, 'Invalid copy', errors);
+    }
+
+    const result = await assignmentTemplateService.copy(req.user.organizationId, from, to, fields);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Form or integration to copy from not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Assignment settings copied to ${result.applied} of ${result.applied + result.failed} forms and integrations`,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'TOO_MANY_TARGETS') return tooManyTargets(res, error);
+    logger.error('Error copying assignment settings:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to copy assignment settings'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assignment-templates/:id
+ * @desc    Get an assignment template
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await assignmentTemplateService.getTemplate(req.user.organizationId, req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: template
+    });
+  } catch (error) {
+    logger.error('Error getting assignment template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get assignment template'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/assignment-templates/:id
+ * @desc    Update a template (body: { name, description, settings, isDefault }, all optional). Forms it was applied to
+ *          keep their settings; apply it again to change them
+ * @access  Private (admin, manager)
+ */
+router.put('/:id', authorizeRoles('admin', 'manager'), validateTemplate, async (req, res) => {
+  try {
+    const { name, description, settings, isDefault } = req.body;
+
+    const template = await assignmentTemplateService.updateTemplate(
+      req.user.organizationId,
+      req.params.id,
+      { name: name?.trim(), description, settings, isDefault },
+      req.user.id
+    );
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    if (error.code === 11000) return duplicateName(res);
+    logger.error('Error updating assignment template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update assignment template'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/assignment-templates/:id
+ * @desc    Delete a template; forms it was applied to keep their settings
+ * @access  Private (admin, manager)
+ */
+router.delete('/:id', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const template = await assignmentTemplateService.deleteTemplate(req.user.organizationId, req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment template deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting assignment template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete assignment template'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/assignment-templates/:id/apply
+ * @desc    Apply a template to many forms and integrations (body: { targets: [{ source, integrationId, pageId,
+ *          accountId, formId }] }); without formId every form of the page, ad account or integration. Results are per form
+ * @access  Private (admin, manager)
+ */
+router.post('/:id/apply', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const errors = assignmentTemplateService.validateTargets(req.body.targets);
+    if (errors.length > 0) {
+      return invalid(res, 'Invalid targets', errors);
+    }
+
+    const result = await assignmentTemplateService.applyTemplate(req.user.organizationId, req.params.id, req.body.targets);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Assignment template applied to ${result.applied} of ${result.applied + result.failed} forms and integrations`,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'TOO_MANY_TARGETS') return tooManyTargets(res, error);
+    logger.error('Error applying assignment template:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to apply assignment template'
+    });
+  }
+});
+
+module.exports = router;
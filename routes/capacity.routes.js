@@ -0,0 +1,258 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const assigneeCapacityService = require('../services/assigneeCapacity.service');
+const slaWatcher = require('../services/slaWatcher.service');
+const { CAPACITY_OVERFLOW_ACTIONS } = require('../models/assignmentSettings');
+const { authenticateUser, authenticateService, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const isLimit = (value) => value === null || (Number.isInteger(value) && value >= 0);
+
+const LIMITS_MESSAGE = 'maxPerHour, maxPerDay and maxOpen must be non-negative integers or null';
+
+/**
+ * @route   POST /api/settings/capacity/leads/:leadId/worked
+ * @desc    Leads service reports a lead worked, freeing a slot of its assignee's open cap and ending its SLA watch
+ *          (body: { organizationId, userId })
+ * @access  Service
+ */
+router.post('/leads/:leadId/worked', authenticateService, async (req, res) => {
+  try {
+    const { organizationId, userId } = req.body;
+    if (!organizationId || !mongoose.Types.ObjectId.isValid(organizationId) || !userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'organizationId and userId are required'
+      });
+    }
+
+    const released = await assigneeCapacityService.release(organizationId, userId, req.params.leadId);
+    const slaStopped = await slaWatcher.markWorked(organizationId, req.params.leadId);
+
+    res.json({
+      success: true,
+      data: { released, slaStopped }
+    });
+  } catch (error) {
+    logger.error('Error releasing worked lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release worked lead'
+    });
+  }
+});
+
+// Everything below is scoped to the caller's organization
+router.use(authenticateUser);
+
+const validateSettings = (req, res, next) => {
+  const { defaultLimits, overflow, overflowPool } = req.body;
+  let message = null;
+
+  if (defaultLimits !== undefined && (!defaultLimits || typeof defaultLimits !== 'object' ||
+    !assigneeCapacityService.limitFields.every(field => defaultLimits[field] === undefined || isLimit(defaultLimits[field])))) {
+    message = LIMITS_MESSAGE;
+  } else if (overflow !== undefined && !CAPACITY_OVERFLOW_ACTIONS.includes(overflow)) {
+    message = `overflow must be one of: ${CAPACITY_OVERFLOW_ACTIONS.join(', ')}`;
+  } else if (overflowPool !== undefined &&
+    (!Array.isArray(overflowPool) || !overflowPool.every(userId => typeof userId === 'string' && userId))) {
+    message = 'overflowPool must be an array of user IDs';
+  }
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+  next();
+};
+
+const validateUserLimits = (req, res, next) => {
+  if (!assigneeCapacityService.limitFields.every(field => req.body[field] === undefined || isLimit(req.body[field]))) {
+    return res.status(400).json({
+      success: false,
+      message: LIMITS_MESSAGE
+    });
+  }
+  next();
+};
+
+const pickLimits = (source = {}) => {
+  const limits = {};
+  assigneeCapacityService.limitFields.forEach(field => {
+    limits[field] = source[field] ?? null;
+  });
+  return limits;
+};
+
+/**
+ * @route   GET /api/settings/capacity
+ * @desc    Get the organization's default caps, per-user caps and overflow rule
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await assigneeCapacityService.getSettings(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error getting capacity settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get capacity settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/capacity
+ * @desc    Update capacity settings (body: { defaultLimits: { maxPerHour, maxPerDay, maxOpen }, overflow, overflowPool }, all optional)
+ * @access  Private (admin, manager)
+ */
+router.put('/', authorizeRoles('admin', 'manager'), validateSettings, async (req, res) => {
+  try {
+    const { defaultLimits, overflow, overflowPool } = req.body;
+
+    const settings = await assigneeCapacityService.updateSettings(
+      req.user.organizationId,
+      {
+        defaultLimits: defaultLimits && pickLimits(defaultLimits),
+        overflow,
+        overflowPool: overflowPool && [...new Set(overflowPool)]
+      },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Capacity settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating capacity settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update capacity settings'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/settings/capacity/load
+ * @desc    Each user's current load against their caps (query: userIds=a,b,c; default every user with caps or a load)
+ * @access  Private
+ */
+router.get('/load', async (req, res) => {
+  try {
+    const userIds = req.query.userIds
+      ? String(req.query.userIds).split(',').map(id => id.trim()).filter(Boolean)
+      : undefined;
+
+    const load = await assigneeCapacityService.getLoad(req.user.organizationId, userIds);
+
+    res.json({
+      success: true,
+      data: load
+    });
+  } catch (error) {
+    logger.error('Error getting assignee load:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get assignee load'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/capacity/users/:userId
+ * @desc    Set a user's own caps (body: { maxPerHour, maxPerDay, maxOpen }; null inherits the default, 0 lifts it)
+ * @access  Private (admin, manager)
+ */
+router.put('/users/:userId', authorizeRoles('admin', 'manager'), validateUserLimits, async (req, res) => {
+  try {
+    const settings = await assigneeCapacityService.setUserLimits(
+      req.user.organizationId,
+      req.params.userId,
+      pickLimits(req.body),
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'User caps updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating user caps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user caps'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/settings/capacity/users/:userId
+ * @desc    Remove a user's own caps so the defaults apply
+ * @access  Private (admin, manager)
+ */
+router.delete('/users/:userId', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const settings = await assigneeCapacityService.removeUserLimits(
+      req.user.organizationId,
+      req.params.userId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'User caps removed successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error removing user caps:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove user caps'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/capacity/users/:userId/open
+ * @desc    Correct a user's count of open (assigned, not yet worked) leads (body: { open })
+ * @access  Private (admin, manager)
+ */
+router.put('/users/:userId/open', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { open } = req.body;
+    if (!Number.isInteger(open) || open < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'open must be a non-negative integer'
+      });
+    }
+
+    await assigneeCapacityService.setOpen(req.user.organizationId, req.params.userId, open);
+    const [load] = await assigneeCapacityService.getLoad(req.user.organizationId, [req.params.userId]);
+
+    res.json({
+      success: true,
+      message: 'Open lead count updated successfully',
+      data: load
+    });
+  } catch (error) {
+    logger.error('Error updating open lead count:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update open lead count'
+    });
+  }
+});
+
+module.exports = router;
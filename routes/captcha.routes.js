@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const captchaService = require('../services/captcha.service');
+const { rateLimiter } = require('../middleware/rateLimiter');
+const logger = require('../utils/logger');
+
+/**
+ * @route   GET /api/captcha/challenge
+ * @desc    Proof-of-work challenge of the built-in bot check, fetched by the loader script,
+ *          hosted forms and the WordPress plugin when a form is shown
+ * @access  Public
+ */
+router.get('/challenge', rateLimiter, (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: captchaService.issueChallenge()
+    });
+  } catch (error) {
+    logger.error('Error issuing CAPTCHA challenge:', error.message);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue challenge'
+    });
+  }
+});
+
+module.exports = router;
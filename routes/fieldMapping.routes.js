@@ -0,0 +1,215 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const fieldMappingService = require('../services/fieldMapping.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const VALID_SOURCES = ['facebook', 'linkedin', 'shopify', 'wordpress', 'website'];
+
+// Mappings are scoped to the caller's organization
+router.use(authenticateUser);
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid field mapping ID'
+    });
+  }
+  next();
+});
+
+const validateTarget = (req, res, next) => {
+  const { source, integrationId } = req.body;
+
+  if (!VALID_SOURCES.includes(source)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid source. Must be one of: ${VALID_SOURCES.join(', ')}`
+    });
+  }
+
+  if (!integrationId) {
+    return res.status(400).json({
+      success: false,
+      message: 'integrationId is required'
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/field-mappings
+ * @desc    List field mappings (filter by source, integrationId)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { source, integrationId } = req.query;
+    const mappings = await fieldMappingService.listMappings(req.user.organizationId, { source, integrationId });
+
+    res.json({
+      success: true,
+      data: {
+        mappings,
+        transforms: fieldMappingService.transforms
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing field mappings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list field mappings'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/field-mappings/preview
+ * @desc    Map a sample payload (body: { source, integrationId, formId, payload, rules?, includeUnmapped?, form? })
+ *          Without `rules` the saved mapping is used, or the source's built-in mapping when none exists
+ * @access  Private
+ */
+router.post('/preview', validateTarget, async (req, res) => {
+  try {
+    const { source, integrationId, formId, payload, rules, includeUnmapped, form } = req.body;
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return res.status(400).json({
+        success: false,
+        message: 'payload must be an object'
+      });
+    }
+
+    if (rules !== undefined) {
+      const errors = fieldMappingService.validateRules(rules);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid mapping rules',
+          errors
+        });
+      }
+    }
+
+    const result = await fieldMappingService.preview({
+      organizationId: req.user.organizationId,
+      source,
+      integrationId,
+      formId,
+      payload,
+      rules,
+      includeUnmapped,
+      form
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error previewing field mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview field mapping'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/field-mappings/:id
+ * @desc    Get a field mapping
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const mapping = await fieldMappingService.getMapping(req.user.organizationId, req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Field mapping not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: mapping
+    });
+  } catch (error) {
+    logger.error('Error getting field mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get field mapping'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/field-mappings
+ * @desc    Create or replace the mapping of an integration (formId omitted) or one of its forms
+ * @access  Private (admin, manager)
+ */
+router.put('/', authorizeRoles('admin', 'manager'), validateTarget, async (req, res) => {
+  try {
+    const errors = fieldMappingService.validateRules(req.body.rules);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid mapping rules',
+        errors
+      });
+    }
+
+    const { source, integrationId, formId, name, enabled, includeUnmapped, rules } = req.body;
+    const mapping = await fieldMappingService.saveMapping(
+      req.user.organizationId,
+      { source, integrationId, formId, name, enabled, includeUnmapped, rules },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Field mapping saved successfully',
+      data: mapping
+    });
+  } catch (error) {
+    logger.error('Error saving field mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save field mapping'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/field-mappings/:id
+ * @desc    Delete a field mapping; the source falls back to its built-in mapping
+ * @access  Private (admin, manager)
+ */
+router.delete('/:id', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const mapping = await fieldMappingService.deleteMapping(req.user.organizationId, req.params.id);
+
+    if (!mapping) {
+      return res.status(404).json({
+        success: false,
+        message: 'Field mapping not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Field mapping deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting field mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete field mapping'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const formAssignmentService = require('../services/formAssignmentService');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const skillMatchingService = require('../services/skillMatching.service');
 const { authenticateUser, authorizeRoles } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
@@ -44,12 +46,39 @@ router.put('/facebook/:integrationId/pages/:pageId/forms/:formId/assignment',
       const newSettings = req.body;
 
       // Validate settings
-      if (newSettings.algorithm && !['round-robin', 'weighted-round-robin', 'least-assigned', 'random'].includes(newSettings.algorithm)) {
+      if (newSettings.algorithm && !assignmentEngine.isValidAlgorithm(newSettings.algorithm)) {
         return res.status(400).json({
           success: false,
           message: 'Invalid algorithm. Must be round-robin, weighted-round-robin, least-assigned, or random'
         });
       }
+      if (newSettings.algorithm) {
+        newSettings.algorithm = assignmentEngine.normalizeAlgorithm(newSettings.algorithm);
+      }
+
+      if (newSettings.workingHours !== undefined && !assignmentEngine.isValidWorkingHours(newSettings.workingHours)) {
+        return res.status(400).json({
+          success: false,
+          message: 'workingHours must be an object with enabled (boolean) and outsideHours (queue, on-call or unassigned)'
+        });
+      }
+
+      if (newSettings.language !== undefined && newSettings.language !== null) {
+        newSettings.language = skillMatchingService.normalizeLanguage(newSettings.language);
+        if (!newSettings.language) {
+          return res.status(400).json({
+            success: false,
+            message: 'language must be an ISO 639-1 code (e.g. hi, ta, en), a locale, a language name or null'
+          });
+        }
+      }
+
+      if (newSettings.hybrid !== undefined && !assignmentEngine.isValidHybrid(newSettings.hybrid)) {
+        return res.status(400).json({
+          success: false,
+          message: 'hybrid must be an object with strategy (none, ai-first, ai-outside-hours or ai-split), aiPercent (0-100) and handOffMinutes (1-10080)'
+        });
+      }
 
       // Validate assignToUsers if provided
       if (newSettings.assignToUsers) {
@@ -143,14 +172,17 @@ router.get('/facebook/:integrationId/pages/:pageId/forms/:formId/assignment/prev
         });
       }
 
-      const nextAssignee = await formAssignmentService.getNextAssignee(eligibleUsers, assignmentSettings, integrationId, pageId, formId);
+      // Read-only: previewing does not move the distribution on
+      const nextAssignee = await formAssignmentService.previewNextAssigneeForForm(integrationId, pageId, formId, organizationId);
       
       res.json({
         success: true,
         data: {
           nextAssignee,
           eligibleUsersCount: eligibleUsers.length,
-          algorithm: assignmentSettings.algorithm
+          algorithm: nextAssignee?.algorithm || assignmentEngine.normalizeAlgorithm(assignmentSettings.algorithm),
+          // Which pool (AI agents or humans) the next lead goes to, null without a hybrid strategy
+          hybrid: nextAssignee?.hybrid || null
         },
         message: 'Next assignment preview generated'
       });
@@ -235,11 +267,7 @@ router.post('/facebook/:integrationId/pages/:pageId/forms/:formId/assignment/res
     try {
       const { integrationId, pageId, formId } = req.params;
       
-      await formAssignmentService.updateFormAssignmentSettings(integrationId, pageId, formId, {
-        'lastAssignment.lastAssignedIndex': 0,
-        'lastAssignment.lastAssignedTo': null,
-        'lastAssignment.lastAssignedAt': null
-      });
+      await formAssignmentService.resetFormAssignment(integrationId, pageId, formId);
       
       res.json({
         success: true,
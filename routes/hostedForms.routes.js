@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const hostedFormService = require('../services/hostedForm.service');
+const logger = require('../utils/logger');
+
+const notFoundPage = '<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Form not found</title></head>'
+  + '<body><p>This form is not available.</p></body></html>';
+
+const serveForm = (embed) => async (req, res) => {
+  try {
+    const { integrationKey, formId } = req.params;
+    const hosted = await hostedFormService.findHostedForm(integrationKey, formId);
+
+    if (!hosted) {
+      return res.status(404).type('html').send(notFoundPage);
+    }
+
+    // helmet's defaults would block the inline script and every iframe embed
+    const nonce = crypto.randomBytes(16).toString('base64');
+    res.removeHeader('X-Frame-Options');
+    res.set({
+      'Content-Security-Policy': hostedFormService.contentSecurityPolicy(hosted.integration, nonce),
+      'Cache-Control': 'no-store'
+    });
+
+    res.type('html').send(hostedFormService.render(hosted.integration, hosted.form, { embed, nonce }));
+  } catch (error) {
+    logger.error('Error rendering hosted form:', error);
+    res.status(500).type('html').send(notFoundPage);
+  }
+};
+
+/**
+ * @route   GET /api/forms/:integrationKey/:formId
+ * @desc    Hosted page of a website form, rendered from its stored fields, steps, conditions and theme
+ * @access  Public
+ */
+router.get('/:integrationKey/:formId', serveForm(false));
+
+/**
+ * @route   GET /api/forms/:integrationKey/:formId/embed
+ * @desc    The same form without page chrome for an iframe; it reports its height and redirect to the embedding page
+ * @access  Public
+ */
+router.get('/:integrationKey/:formId/embed', serveForm(true));
+
+module.exports = router;
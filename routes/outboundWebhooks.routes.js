@@ -0,0 +1,257 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const outboundWebhookService = require('../services/outboundWebhook.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const { assertPublicUrl } = require('../utils/publicAddress');
+
+const VALID_STATUSES = ['pending', 'processing', 'delivered', 'failed', 'dead'];
+
+// Webhook secrets and delivery payloads are admin-only
+router.use(authenticateUser, authorizeRoles('admin'));
+
+const validateObjectId = (param, label) => (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params[param])) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${label}`
+    });
+  }
+  next();
+};
+
+const validateConfigId = validateObjectId('configId', 'integration config ID');
+const validateDeliveryId = validateObjectId('deliveryId', 'delivery ID');
+
+/**
+ * @route   GET /api/webhooks/outbound/subscriptions
+ * @desc    Integration configs with their outbound webhook settings (secrets masked)
+ * @access  Private (admin)
+ */
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const subscriptions = await outboundWebhookService.listSubscriptions(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        availableEvents: outboundWebhookService.events
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing outbound webhook subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list outbound webhooks'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/outbound/subscriptions/:configId
+ * @desc    Set the webhook url and events (empty = all); a secret is generated on first save or with rotateSecret
+ * @access  Private (admin)
+ */
+router.put('/subscriptions/:configId', validateConfigId, async (req, res) => {
+  try {
+    const { url, events, rotateSecret } = req.body;
+
+    if (url !== undefined && url !== '') {
+      try {
+        await assertPublicUrl(url);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.code === 'EINVALIDURL' || error.code === 'EADDRNOTPUBLIC'
+            ? error.message
+            : 'url host could not be resolved'
+        });
+      }
+    }
+
+    if (events !== undefined) {
+      const invalid = Array.isArray(events)
+        ? events.filter(event => event !== '*' && !outboundWebhookService.events.includes(event))
+        : [events];
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid events: ${invalid.join(', ')}. Must be an array of: ${outboundWebhookService.events.join(', ')}`
+        });
+      }
+    }
+
+    const webhook = await outboundWebhookService.updateWebhook(
+      req.user.organizationId,
+      req.params.configId,
+      { url, events, rotateSecret: rotateSecret === true }
+    );
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration config not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Outbound webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    logger.error('Error updating outbound webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update outbound webhook'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/outbound/subscriptions/:configId/test
+ * @desc    Send a signed webhook.test event now and return the delivery result
+ * @access  Private (admin)
+ */
+router.post('/subscriptions/:configId/test', validateConfigId, async (req, res) => {
+  try {
+    const delivery = await outboundWebhookService.testFire(
+      req.user.organizationId,
+      req.params.configId,
+      req.user.id
+    );
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'No webhook URL configured for this integration'
+      });
+    }
+
+    res.json({
+      success: delivery.status === 'delivered',
+      message: delivery.status === 'delivered'
+        ? 'Test event delivered'
+        : `Test event failed: ${delivery.lastError}`,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test webhook'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/outbound/deliveries
+ * @desc    Delivery log (filter by integrationConfigId, event, status)
+ * @access  Private (admin)
+ */
+router.get('/deliveries', async (req, res) => {
+  try {
+    const { integrationConfigId, event, status } = req.query;
+
+    if (status && !String(status).split(',').every(s => VALID_STATUSES.includes(s))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`
+      });
+    }
+
+    if (integrationConfigId && !mongoose.Types.ObjectId.isValid(integrationConfigId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid integration config ID'
+      });
+    }
+
+    const data = await outboundWebhookService.listDeliveries(
+      req.user.organizationId,
+      { integrationConfigId, event, status },
+      {
+        page: Math.max(1, parseInt(req.query.page, 10) || 1),
+        limit: Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20))
+      }
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error listing outbound webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list webhook deliveries'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/outbound/deliveries/:deliveryId
+ * @desc    Delivery with its payload, last response and failure history
+ * @access  Private (admin)
+ */
+router.get('/deliveries/:deliveryId', validateDeliveryId, async (req, res) => {
+  try {
+    const delivery = await outboundWebhookService.getDelivery(req.user.organizationId, req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error getting outbound webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook delivery'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/outbound/deliveries/:deliveryId/redeliver
+ * @desc    Send a failed or dead delivery again
+ * @access  Private (admin)
+ */
+router.post('/deliveries/:deliveryId/redeliver', validateDeliveryId, async (req, res) => {
+  try {
+    const delivery = await outboundWebhookService.redeliver(
+      req.user.organizationId,
+      req.params.deliveryId,
+      req.user.id
+    );
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed or dead delivery found with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery re-queued',
+      data: delivery
+    });
+  } catch (error) {
+    logger.error('Error redelivering outbound webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeliver webhook'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const phoneNormalizationService = require('../services/phoneNormalization.service');
+const { isValidCountry } = require('../utils/phone');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Settings are scoped to the caller's organization
+router.use(authenticateUser);
+
+// null clears the setting; anything else must be an ISO 3166-1 alpha-2 code
+const validateCountry = (req, res, next) => {
+  const { defaultCountry } = req.body;
+
+  if (defaultCountry !== null && !isValidCountry(defaultCountry)) {
+    return res.status(400).json({
+      success: false,
+      message: 'defaultCountry must be a two-letter ISO country code (e.g. IN, GB, US) or null'
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/settings/phone
+ * @desc    Get the organization's default phone country
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await phoneNormalizationService.getSettings(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error getting phone settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get phone settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/phone
+ * @desc    Set the organization's default phone country (body: { defaultCountry })
+ * @access  Private (admin, manager)
+ */
+router.put('/', authorizeRoles('admin', 'manager'), validateCountry, async (req, res) => {
+  try {
+    const settings = await phoneNormalizationService.updateSettings(
+      req.user.organizationId,
+      { defaultCountry: req.body.defaultCountry },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Phone settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating phone settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update phone settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/phone/integrations/:source/:integrationId
+ * @desc    Override the default phone country for one integration (body: { defaultCountry }, null to inherit)
+ * @access  Private (admin, manager)
+ */
+router.put('/integrations/:source/:integrationId', authorizeRoles('admin', 'manager'), validateCountry, async (req, res) => {
+  try {
+    const { source, integrationId } = req.params;
+
+    if (!phoneNormalizationService.sources.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid source. Must be one of: ${phoneNormalizationService.sources.join(', ')}`
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(integrationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid integration ID'
+      });
+    }
+
+    const result = await phoneNormalizationService.setIntegrationCountry(
+      req.user.organizationId,
+      source,
+      integrationId,
+      req.body.defaultCountry
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Integration phone country updated successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error updating integration phone country:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update integration phone country'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/settings/phone/validate
+ * @desc    Show how a number would be stored (body: { phone, defaultCountry? })
+ * @access  Private
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { phone, defaultCountry } = req.body;
+
+    if (typeof phone !== 'string' || phone.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'phone is required'
+      });
+    }
+
+    if (defaultCountry !== undefined && !isValidCountry(defaultCountry)) {
+      return res.status(400).json({
+        success: false,
+        message: 'defaultCountry must be a two-letter ISO country code'
+      });
+    }
+
+    const result = await phoneNormalizationService.normalize(phone, {
+      organizationId: req.user.organizationId,
+      defaultCountry
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error validating phone number:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to validate phone number'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,225 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const quarantineService = require('../services/quarantine.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const VALID_STATUSES = ['pending', 'pushing', 'pushed', 'discarded'];
+const EDITABLE_STRING_FIELDS = ['name', 'email', 'phone', 'company'];
+
+// Quarantined leads are scoped to the caller's organization
+router.use(authenticateUser);
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid quarantined lead ID'
+    });
+  }
+  next();
+});
+
+/**
+ * @route   GET /api/quarantine
+ * @desc    List quarantined leads (filter by status, source, reason, integrationId, formId)
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, source, reason, integrationId, formId } = req.query;
+
+    if (status && !String(status).split(',').every(s => VALID_STATUSES.includes(s))) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${VALID_STATUSES.join(', ')}`
+      });
+    }
+
+    const data = await quarantineService.listLeads(
+      req.user.organizationId,
+      { status, source, reason, integrationId, formId },
+      {
+        page: Math.max(1, parseInt(req.query.page, 10) || 1),
+        limit: Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20))
+      }
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error listing quarantined leads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list quarantined leads'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/quarantine/:id
+ * @desc    Get a quarantined lead including its raw payload
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const lead = await quarantineService.getLead(req.user.organizationId, req.params.id);
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quarantined lead not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lead
+    });
+  } catch (error) {
+    logger.error('Error getting quarantined lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get quarantined lead'
+    });
+  }
+});
+
+/**
+ * @route   PATCH /api/quarantine/:id
+ * @desc    Edit name, email, phone, company or customFields before pushing
+ * @access  Private (admin, manager)
+ */
+router.patch('/:id', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const invalidField = EDITABLE_STRING_FIELDS.find(field =>
+      req.body[field] !== undefined && typeof req.body[field] !== 'string'
+    );
+    if (invalidField) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidField} must be a string`
+      });
+    }
+
+    const { customFields } = req.body;
+    if (customFields !== undefined && (typeof customFields !== 'object' || customFields === null || Array.isArray(customFields))) {
+      return res.status(400).json({
+        success: false,
+        message: 'customFields must be an object'
+      });
+    }
+
+    const lead = await quarantineService.updateLead(
+      req.user.organizationId,
+      req.params.id,
+      req.body,
+      req.user.id
+    );
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending quarantined lead found with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quarantined lead updated successfully',
+      data: lead
+    });
+  } catch (error) {
+    logger.error('Error updating quarantined lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quarantined lead'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quarantine/:id/push
+ * @desc    Create the lead in the CRM, optionally assigning it (body: { assignTo })
+ * @access  Private (admin, manager)
+ */
+router.post('/:id/push', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const result = await quarantineService.pushLead(
+      req.user.organizationId,
+      req.params.id,
+      req.user.id,
+      { assignTo: req.body.assignTo }
+    );
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending quarantined lead found with this ID'
+      });
+    }
+
+    if (!result.success) {
+      // Validation failures need edits first; anything else is the leads-service failing
+      return res.status(result.validation ? 400 : 502).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lead pushed to CRM successfully',
+      data: {
+        leadId: result.leadId,
+        assigned: result.assigned
+      }
+    });
+  } catch (error) {
+    logger.error('Error pushing quarantined lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to push quarantined lead'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/quarantine/:id/discard
+ * @desc    Discard a quarantined lead (body: { reason })
+ * @access  Private (admin, manager)
+ */
+router.post('/:id/discard', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const lead = await quarantineService.discardLead(
+      req.user.organizationId,
+      req.params.id,
+      req.user.id,
+      req.body.reason
+    );
+
+    if (!lead) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending quarantined lead found with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Quarantined lead discarded',
+      data: lead
+    });
+  } catch (error) {
+    logger.error('Error discarding quarantined lead:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard quarantined lead'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const routingRulesService = require('../services/routingRules.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const { ROUTING_SOURCES } = require('../models/assignmentSettings');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Rules are scoped to the caller's organization
+router.use(authenticateUser);
+
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid routing rule ID'
+    });
+  }
+  next();
+});
+
+const validateRule = (req, res, next) => {
+  const errors = routingRulesService.validateRule(req.body);
+  if (req.body.enabled !== undefined && typeof req.body.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid routing rule',
+      errors
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/routing-rules
+ * @desc    List routing rules in the order they are tried
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const rules = await routingRulesService.listRules(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        rules,
+        operators: routingRulesService.operators
+      }
+    });
+  } catch (error) {
+    logger.error('Error listing routing rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list routing rules'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/routing-rules
+ * @desc    Create a routing rule, tried after the existing ones
+ *          (body: { name, enabled, sources, integrationIds, match, conditions: [{ field, operator, value }], algorithm, assignToUsers })
+ * @access  Private (admin, manager)
+ */
+router.post('/', authorizeRoles('admin', 'manager'), validateRule, async (req, res) => {
+  try {
+    const rule = await routingRulesService.createRule(req.user.organizationId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Routing rule created successfully',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error creating routing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create routing rule'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/routing-rules/order
+ * @desc    Set the order rules are tried in (body: { ruleIds: [id] }); rules left out follow in their current order
+ * @access  Private (admin, manager)
+ */
+router.put('/order', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { ruleIds } = req.body;
+    if (!Array.isArray(ruleIds) || !ruleIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'ruleIds must be an array of routing rule IDs'
+      });
+    }
+
+    const rules = await routingRulesService.reorder(req.user.organizationId, ruleIds);
+
+    res.json({
+      success: true,
+      message: 'Routing rules reordered successfully',
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Error reordering routing rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder routing rules'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/routing-rules/test
+ * @desc    Dry-run a sample lead (body: { source, integrationId, lead, rules? }); without `rules` the saved rules are used.
+ *          Nothing is assigned; nextAssignee is who the matched rule would pick now
+ * @access  Private
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const { source, integrationId, lead, rules } = req.body;
+
+    if (!ROUTING_SOURCES.includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid source. Must be one of: ${ROUTING_SOURCES.join(', ')}`
+      });
+    }
+
+    if (!lead || typeof lead !== 'object' || Array.isArray(lead)) {
+      return res.status(400).json({
+        success: false,
+        message: 'lead must be an object'
+      });
+    }
+
+    if (rules !== undefined) {
+      const errors = Array.isArray(rules)
+        ? rules.flatMap((rule, index) => routingRulesService.validateRule(rule).map(error => `rules[${index}]: ${error}`))
+        : ['rules must be an array'];
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid routing rules',
+          errors
+        });
+      }
+    }
+
+    const result = await routingRulesService.dryRun({
+      organizationId: req.user.organizationId,
+      source,
+      integrationId,
+      lead,
+      rules
+    });
+
+    const { matchedRule } = result;
+    const next = matchedRule?._id
+      ? await assignmentEngine.peek(assignmentEngine.scopeFor('routing', matchedRule._id), matchedRule.assignToUsers, matchedRule.algorithm)
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        matched: !!matchedRule,
+        matchedRule: matchedRule && { ruleId: matchedRule._id || null, name: matchedRule.name },
+        nextAssignee: next ? next.user.userId : null,
+        rules: result.rules
+      }
+    });
+  } catch (error) {
+    logger.error('Error testing routing rules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to test routing rules'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/routing-rules/:id
+ * @desc    Get a routing rule
+ * @access  Private
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const rule = await routingRulesService.getRule(req.user.organizationId, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error getting routing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get routing rule'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/routing-rules/:id
+ * @desc    Update a routing rule (same body as POST); its place in the order is kept
+ * @access  Private (admin, manager)
+ */
+router.put('/:id', authorizeRoles('admin', 'manager'), validateRule, async (req, res) => {
+  try {
+    const rule = await routingRulesService.updateRule(req.user.organizationId, req.params.id, req.body, req.user.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Routing rule updated successfully',
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Error updating routing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update routing rule'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/routing-rules/:id
+ * @desc    Delete a routing rule; leads it would match fall through to the next rule or the integration's settings
+ * @access  Private (admin, manager)
+ */
+router.delete('/:id', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const rule = await routingRulesService.deleteRule(req.user.organizationId, req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Routing rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Routing rule deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting routing rule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete routing rule'
+    });
+  }
+});
+
+module.exports = router;
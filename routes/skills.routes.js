@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const skillMatchingService = require('../services/skillMatching.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Everything is scoped to the caller's organization
+router.use(authenticateUser);
+
+const isList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim());
+
+const FIELD_LISTS = ['languageFields', 'productFields', 'regionFields'];
+
+const validateSettings = (req, res, next) => {
+  const { enabled, detectLanguage } = req.body;
+  let message = null;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    message = 'enabled must be a boolean';
+  } else if (detectLanguage !== undefined && typeof detectLanguage !== 'boolean') {
+    message = 'detectLanguage must be a boolean';
+  } else if (FIELD_LISTS.some(list => req.body[list] !== undefined && !isList(req.body[list]))) {
+    message = `${FIELD_LISTS.join(', ')} must be arrays of field names`;
+  }
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+  next();
+};
+
+const validateUserSkills = (req, res, next) => {
+  const { languages, products, regions } = req.body;
+  let message = null;
+
+  if ([languages, products, regions].some(list => list !== undefined && !isList(list))) {
+    message = 'languages, products and regions must be arrays of strings';
+  } else if (languages && !languages.every(language => skillMatchingService.normalizeLanguage(language))) {
+    message = 'languages must be ISO 639-1 codes (e.g. hi, ta, en), locales or language names';
+  }
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/settings/skills
+ * @desc    Get skill matching settings and every user's languages, products and regions
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await skillMatchingService.getSettings(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error getting skill settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get skill settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/skills
+ * @desc    Update skill matching (body: { enabled, languageFields, productFields, regionFields, detectLanguage }, all optional)
+ * @access  Private (admin, manager)
+ */
+router.put('/', authorizeRoles('admin', 'manager'), validateSettings, async (req, res) => {
+  try {
+    const { enabled, languageFields, productFields, regionFields, detectLanguage } = req.body;
+
+    const settings = await skillMatchingService.updateSettings(
+      req.user.organizationId,
+      { enabled, languageFields, productFields, regionFields, detectLanguage },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Skill settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating skill settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update skill settings'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/settings/skills/test
+ * @desc    Which users a lead would be matched to (body: { lead, language, userIds }; language is the form's)
+ * @access  Private
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const { lead, language, userIds } = req.body;
+    if (!lead || typeof lead !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'lead must be an object of lead fields'
+      });
+    }
+    if (userIds !== undefined && !isList(userIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds must be an array of user IDs'
+      });
+    }
+
+    const result = await skillMatchingService.test(req.user.organizationId, lead, { language, userIds });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error testing skill match:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to test skill match'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/skills/users/:userId
+ * @desc    Set a user's skills (body: { languages, products, regions })
+ * @access  Private (admin, manager)
+ */
+router.put('/users/:userId', authorizeRoles('admin', 'manager'), validateUserSkills, async (req, res) => {
+  try {
+    const settings = await skillMatchingService.setUserSkills(
+      req.user.organizationId,
+      req.params.userId,
+      req.body,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'User skills updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating user skills:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user skills'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/settings/skills/users/:userId
+ * @desc    Remove a user's skills
+ * @access  Private (admin, manager)
+ */
+router.delete('/users/:userId', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const settings = await skillMatchingService.removeUserSkills(
+      req.user.organizationId,
+      req.params.userId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'User skills removed successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error removing user skills:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove user skills'
+    });
+  }
+});
+
+module.exports = router;
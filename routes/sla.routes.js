@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const slaWatcher = require('../services/slaWatcher.service');
+const { ROUTING_SOURCES } = require('../models/assignmentSettings');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const SLA_STATUSES = ['watching', 'processing', 'worked', 'escalated', 'closed', 'failed'];
+
+// Everything is scoped to the caller's organization
+router.use(authenticateUser);
+
+const validateSettings = (req, res, next) => {
+  const { enabled, responseMinutes, maxHops, sources, escalateTo } = req.body;
+  let message = null;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    message = 'enabled must be a boolean';
+  } else if (responseMinutes !== undefined && (!Number.isInteger(responseMinutes) || responseMinutes < 1)) {
+    message = 'responseMinutes must be a positive integer';
+  } else if (maxHops !== undefined && (!Number.isInteger(maxHops) || maxHops < 0 || maxHops > 10)) {
+    message = 'maxHops must be an integer from 0 to 10';
+  } else if (sources !== undefined && (!Array.isArray(sources) || !sources.every(source => ROUTING_SOURCES.includes(source)))) {
+    message = `sources must be an array of: ${ROUTING_SOURCES.join(', ')}`;
+  } else if (escalateTo !== undefined &&
+    (!Array.isArray(escalateTo) || !escalateTo.every(userId => typeof userId === 'string' && userId))) {
+    message = 'escalateTo must be an array of user IDs';
+  }
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/settings/sla
+ * @desc    Get the organization's response SLA, reassignment hops and escalation managers
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await slaWatcher.getSettings(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error getting SLA settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get SLA settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/sla
+ * @desc    Update SLA settings (body: { enabled, responseMinutes, maxHops, sources, escalateTo }, all optional)
+ * @access  Private (admin, manager)
+ */
+router.put('/', authorizeRoles('admin', 'manager'), validateSettings, async (req, res) => {
+  try {
+    const { enabled, responseMinutes, maxHops, sources, escalateTo } = req.body;
+
+    const settings = await slaWatcher.updateSettings(
+      req.user.organizationId,
+      {
+        enabled,
+        responseMinutes,
+        maxHops,
+        sources: sources && [...new Set(sources)],
+        escalateTo: escalateTo && [...new Set(escalateTo)]
+      },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'SLA settings updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating SLA settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update SLA settings'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/settings/sla/leads
+ * @desc    Watched leads, soonest due first (query: status)
+ * @access  Private
+ */
+router.get('/leads', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !SLA_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${SLA_STATUSES.join(', ')}`
+      });
+    }
+
+    const entries = await slaWatcher.list(req.user.organizationId, { status });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Error listing watched leads:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list watched leads'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,22 @@
 const express = require('express');
 const router = express.Router();
-const facebookSpamDetection = require('../utils/facebookSpamDetection');
+const spamDetectionService = require('../services/spamDetection.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
+const VALID_PATTERN_TYPES = ['email', 'domain', 'phone', 'name', 'ip', 'leadgenId', 'formName'];
+const VALID_ACTIONS = ['allow', 'flag', 'quarantine', 'drop'];
+
+// Settings and patterns are per organization
+router.use(authenticateUser);
+
 /**
- * Get Facebook spam detection statistics
+ * Get spam detection statistics
  */
-router.get('/facebook/stats', (req, res) => {
+const getStats = async (req, res) => {
   try {
-    const stats = facebookSpamDetection.getStats();
-    
+    const stats = await spamDetectionService.getStats(req.user.organizationId);
+
     res.json({
       success: true,
       data: {
@@ -19,21 +26,22 @@ router.get('/facebook/stats', (req, res) => {
       }
     });
   } catch (error) {
-    logger.error('Error getting Facebook spam stats:', error);
+    logger.error('Error getting spam stats:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to get spam detection statistics',
       error: error.message
     });
   }
-});
+};
 
 /**
- * Test Facebook spam detection
+ * Score a sample lead without creating anything
  */
-router.post('/facebook/test', (req, res) => {
+const testLead = async (req, res) => {
   try {
-    const { name, email, phone, leadgenId, formName } = req.body;
+    const { name, email, phone, leadgenId, formId, formName, ip, fields } = req.body;
+    const source = req.body.source || req.params.source || 'facebook';
 
     if (!name || (!email && !phone)) {
       return res.status(400).json({
@@ -42,57 +50,49 @@ router.post('/facebook/test', (req, res) => {
       });
     }
 
-    const testData = {
-      name,
-      email,
-      phone,
-      leadgenId: leadgenId || 'test_123456',
-      formName: formName || 'Test Form',
-      extractedFields: {
-        name,
-        email,
-        phone,
-        customFields: req.body.customFields || {}
-      }
-    };
-
-    const spamResult = facebookSpamDetection.detectFacebookSpam(testData);
+    // Test runs must not count towards burst detection or stats
+    const spamResult = await spamDetectionService.checkLead(
+      { name, email, phone, fields: fields || req.body.customFields || {} },
+      {
+        organizationId: req.user.organizationId,
+        source,
+        ip,
+        formId,
+        formName: formName || 'Test Form',
+        externalId: leadgenId || 'test_123456'
+      },
+      { dryRun: true }
+    );
 
     res.json({
       success: true,
       data: {
         isSpam: spamResult.isSpam,
         spamScore: spamResult.spamScore,
+        threshold: spamResult.threshold,
         spamIndicators: spamResult.spamIndicators,
         action: spamResult.action,
         reason: spamResult.reason,
-        testData: {
-          name,
-          email,
-          phone,
-          leadgenId,
-          formName
-        }
+        testData: { name, email, phone, leadgenId, formName, source }
       }
     });
-
   } catch (error) {
-    logger.error('Error testing Facebook spam detection:', error);
+    logger.error('Error testing spam detection:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to test spam detection',
       error: error.message
     });
   }
-});
+};
 
 /**
  * Add custom spam pattern
  */
-router.post('/facebook/patterns/add', (req, res) => {
+const addPattern = async (req, res) => {
   try {
-    const { pattern, type } = req.body;
-    
+    const { pattern, type, isRegex = false, sources } = req.body;
+
     if (!pattern || !type) {
       return res.status(400).json({
         success: false,
@@ -100,44 +100,177 @@ router.post('/facebook/patterns/add', (req, res) => {
       });
     }
 
-    const validTypes = ['email', 'phone', 'name', 'leadgenId', 'formName'];
-    if (!validTypes.includes(type)) {
+    if (!VALID_PATTERN_TYPES.includes(type)) {
       return res.status(400).json({
         success: false,
-        message: `Invalid pattern type. Must be one of: ${validTypes.join(', ')}`
+        message: `Invalid pattern type. Must be one of: ${VALID_PATTERN_TYPES.join(', ')}`
       });
     }
 
-    const success = facebookSpamDetection.addSpamPattern(type, pattern);
-    
-    if (success) {
-      logger.info('Facebook spam pattern added:', {
-        pattern,
-        type,
-        addedAt: new Date(),
-        service: 'integrations-service'
+    const regexError = isRegex ? spamDetectionService.validateRegexPattern(pattern) : null;
+    if (regexError) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid regular expression: ${regexError}`
+      });
+    }
+
+    // Legacy /facebook/patterns/add only applies to Facebook leads
+    const patternSources = sources || (req.path.startsWith('/facebook') ? ['facebook'] : []);
+
+    const saved = await spamDetectionService.addSpamPattern(req.user.organizationId, type, pattern, {
+      isRegex,
+      sources: patternSources,
+      addedBy: req.user.id
+    });
+
+    logger.info('Spam pattern added:', {
+      pattern,
+      type,
+      organizationId: req.user.organizationId,
+      addedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Spam ${type} pattern added successfully`,
+      data: saved
+    });
+  } catch (error) {
+    logger.error('Error adding spam pattern:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add spam pattern',
+      error: error.message
+    });
+  }
+};
+
+router.get('/stats', getStats);
+router.post('/test', testLead);
+router.post('/patterns', authorizeRoles('admin', 'manager'), addPattern);
+
+// Backwards compatible Facebook endpoints
+router.get('/facebook/stats', getStats);
+router.post('/facebook/test', testLead);
+router.post('/facebook/patterns/add', authorizeRoles('admin', 'manager'), addPattern);
+
+/**
+ * Get organization spam settings and patterns
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await spamDetectionService.getSettings(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: settings.enabled,
+        threshold: settings.threshold,
+        action: settings.action,
+        rules: settings.rules,
+        patterns: settings.patterns || []
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting spam settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get spam settings'
+    });
+  }
+});
+
+/**
+ * Update threshold, action and rule configuration
+ */
+router.put('/settings', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const { enabled, threshold, action, rules } = req.body;
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'enabled must be a boolean'
       });
-      
-      res.json({
-        success: true,
-        message: `Facebook spam ${type} pattern added successfully`,
-        data: { pattern, type }
+    }
+
+    if (threshold !== undefined && (typeof threshold !== 'number' || threshold < 1 || threshold > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'threshold must be a number between 1 and 100'
       });
-    } else {
-      res.status(400).json({
+    }
+
+    if (action !== undefined && !VALID_ACTIONS.includes(action)) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to add spam pattern'
+        message: `Invalid action. Must be one of: ${VALID_ACTIONS.join(', ')}`
       });
     }
 
+    if (rules !== undefined) {
+      const unknownRules = Object.keys(rules).filter(name => !spamDetectionService.rules.has(name));
+      if (unknownRules.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown rules: ${unknownRules.join(', ')}`
+        });
+      }
+    }
+
+    const settings = await spamDetectionService.updateSettings(req.user.organizationId, {
+      enabled,
+      threshold,
+      action,
+      rules
+    });
+
+    res.json({
+      success: true,
+      message: 'Spam settings updated successfully',
+      data: {
+        enabled: settings.enabled,
+        threshold: settings.threshold,
+        action: settings.action,
+        rules: settings.rules
+      }
+    });
   } catch (error) {
-    logger.error('Error adding Facebook spam pattern:', error);
+    logger.error('Error updating spam settings:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to add spam pattern',
+      message: 'Failed to update spam settings',
       error: error.message
     });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * Remove a custom spam pattern
+ */
+router.delete('/patterns/:patternId', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const removed = await spamDetectionService.removeSpamPattern(req.user.organizationId, req.params.patternId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Spam pattern not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Spam pattern removed successfully'
+    });
+  } catch (error) {
+    logger.error('Error removing spam pattern:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove spam pattern'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const webhookQueue = require('../services/webhookQueue.service');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const VALID_SOURCES = ['facebook', 'linkedin', 'shopify', 'wordpress', 'website'];
+
+// Inbound events are scoped to the caller's organization and admin-only
+router.use(authenticateUser, authorizeRoles('admin'));
+
+const parsePaging = (query) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20))
+});
+
+const parseFilters = (query) => ({
+  source: query.source,
+  integrationId: query.integrationId,
+  status: query.status
+});
+
+const validateSource = (req, res, next) => {
+  const source = req.query.source || req.body?.source;
+  if (source && !VALID_SOURCES.includes(source)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid source. Must be one of: ${VALID_SOURCES.join(', ')}`
+    });
+  }
+  next();
+};
+
+const validateEventId = (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.eventId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid event ID'
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/webhooks/events
+ * @desc    List inbound webhook events (filter by source, integrationId, status)
+ * @access  Private (admin)
+ */
+router.get('/', validateSource, async (req, res) => {
+  try {
+    const data = await webhookQueue.listEvents(
+      req.user.organizationId,
+      parseFilters(req.query),
+      parsePaging(req.query)
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error listing webhook events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list webhook events'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/events/stats
+ * @desc    Event counts by source and status
+ * @access  Private (admin)
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    const stats = await webhookQueue.getStats(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    logger.error('Error getting webhook event stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook event statistics'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/events/dead-letters
+ * @desc    List events that exhausted their retries
+ * @access  Private (admin)
+ */
+router.get('/dead-letters', validateSource, async (req, res) => {
+  try {
+    const data = await webhookQueue.listDeadLetters(
+      req.user.organizationId,
+      parseFilters(req.query),
+      parsePaging(req.query)
+    );
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    logger.error('Error listing dead-letter events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list dead-letter events'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/events/replay
+ * @desc    Replay failed and dead events matching the filters (max 100 per call)
+ * @access  Private (admin)
+ */
+router.post('/replay', validateSource, async (req, res) => {
+  try {
+    const { source, integrationId, status } = req.body;
+
+    if (status && !String(status).split(',').every(s => ['failed', 'dead'].includes(s))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed and dead events can be replayed'
+      });
+    }
+
+    const result = await webhookQueue.replayMany(
+      req.user.organizationId,
+      { source, integrationId, status },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: `${result.replayed} webhook events queued for replay`,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay webhook events'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/events/:eventId
+ * @desc    Inspect a single event including payload and failure history
+ * @access  Private (admin)
+ */
+router.get('/:eventId', validateEventId, async (req, res) => {
+  try {
+    const event = await webhookQueue.getEvent(req.user.organizationId, req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event
+    });
+  } catch (error) {
+    logger.error('Error getting webhook event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get webhook event'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/events/:eventId/replay
+ * @desc    Re-queue a failed or dead event with a fresh retry budget
+ * @access  Private (admin)
+ */
+router.post('/:eventId/replay', validateEventId, async (req, res) => {
+  try {
+    const event = await webhookQueue.replay(req.user.organizationId, req.params.eventId, req.user.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed or dead webhook event found with this ID'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook event queued for replay',
+      data: {
+        eventId: event._id,
+        status: event.status,
+        replayCount: event.replayCount
+      }
+    });
+  } catch (error) {
+    logger.error('Error replaying webhook event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay webhook event'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const facebookService = require('../services/facebook.service');
 const linkedinService = require('../services/linkedin.service');
-const shopifyService = require('../services/shopifyService');
+const websiteService = require('../services/website.service');
+const webhookQueue = require('../services/webhookQueue.service');
+const captchaService = require('../services/captcha.service');
 const logger = require('../utils/logger');
 
 /**
@@ -129,7 +131,15 @@ router.get('/facebook', (req, res) => {
 router.post('/facebook', async (req, res) => {
   try {
     logger.info('Facebook webhook received:', JSON.stringify(req.body, null, 2));
-    await facebookService.handleWebhook(req.body);
+
+    // Store every lead before acknowledging; Facebook redelivers if we fail here
+    for (const leadgen of facebookService.extractLeadgenChanges(req.body)) {
+      await webhookQueue.enqueue('facebook', leadgen, {
+        eventType: 'leadgen',
+        metadata: { pageId: leadgen.page_id, formId: leadgen.form_id, leadgenId: leadgen.leadgen_id }
+      });
+    }
+
     res.status(200).send('OK');
   } catch (error) {
     logger.error('Facebook webhook error:', error);
@@ -142,18 +152,57 @@ router.post('/facebook', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/webhooks/linkedin
+ * @desc    LinkedIn webhook validation challenge
+ * @access  Public
+ */
+router.get('/linkedin', (req, res) => {
+  const { challengeCode } = req.query;
+
+  if (!challengeCode) {
+    return res.status(400).json({
+      success: false,
+      message: 'challengeCode is required'
+    });
+  }
+
+  res.status(200).json({
+    challengeCode,
+    challengeResponse: linkedinService.getChallengeResponse(challengeCode)
+  });
+});
+
 /**
  * @route   POST /api/webhooks/linkedin
- * @desc    Handle LinkedIn webhook events
+ * @desc    Handle LinkedIn lead notification events
  * @access  Public
  */
 router.post('/linkedin', async (req, res) => {
+  const rawBody = req.rawBody || JSON.stringify(req.body);
+
+  if (!linkedinService.verifyWebhookSignature(rawBody, req.headers['x-li-signature'])) {
+    logger.error('LinkedIn webhook signature verification failed');
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
   try {
-    await linkedinService.handleWebhook(req.body);
+    await webhookQueue.enqueue('linkedin', req.body, {
+      eventType: 'lead_notification',
+      headers: req.headers
+    });
+
+    // Leads are fetched from LinkedIn by the queue worker
     res.status(200).send('OK');
   } catch (error) {
     logger.error('LinkedIn webhook error:', error);
-    res.status(500).send('Error');
+    res.status(500).json({
+      success: false,
+      message: 'Webhook processing failed'
+    });
   }
 });
 
@@ -164,11 +213,15 @@ router.post('/linkedin', async (req, res) => {
  */
 router.post('/shopify', async (req, res) => {
   try {
-    const result = await shopifyService.handleWebhook(req.body, req.headers);
+    const event = await webhookQueue.enqueue('shopify', req.body, {
+      eventType: req.headers['x-shopify-topic'],
+      headers: req.headers
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
-      data: result
+      message: 'Webhook received',
+      data: { eventId: event._id }
     });
   } catch (error) {
     logger.error('Shopify webhook error:', error);
@@ -195,12 +248,17 @@ router.post('/shopify/:organizationId', async (req, res) => {
       'x-organization-id': organizationId
     };
     
-    const result = await shopifyService.handleWebhook(req.body, enhancedHeaders);
+    const event = await webhookQueue.enqueue('shopify', req.body, {
+      eventType: req.headers['x-shopify-topic'],
+      organizationId,
+      headers: enhancedHeaders
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Webhook processed successfully',
+      message: 'Webhook received',
       organizationId: organizationId,
-      data: result
+      data: { eventId: event._id }
     });
   } catch (error) {
     logger.error(`Shopify webhook error for organization ${req.params.organizationId}:`, error);
@@ -213,6 +271,39 @@ router.post('/shopify/:organizationId', async (req, res) => {
   }
 });
 
+/**
+ * Validate the integration up front so bad keys get a 400 instead of
+ * filling the queue, then store the submission and acknowledge it
+ */
+const queueWebsiteLead = async (req, res, headers) => {
+  const integration = await websiteService.findWebhookIntegration(req.body, headers);
+
+  if (!integration) {
+    return res.status(400).json({
+      success: false,
+      message: 'Website integration not found or inactive'
+    });
+  }
+
+  // CAPTCHA tokens are single-use and short-lived, so the bot check can't wait for the queue
+  const { fields, verification } = await captchaService.check(integration, req.body, { ip: req.ip });
+
+  const event = await webhookQueue.enqueue('website', fields, {
+    eventType: 'form_submission',
+    organizationId: integration.organizationId,
+    integrationId: integration._id,
+    headers,
+    metadata: { captcha: verification }
+  });
+
+  res.status(202).json({
+    success: true,
+    eventId: event._id,
+    message: integration.formConfig?.successMessage || 'Lead received successfully',
+    redirectUrl: integration.formConfig?.redirectUrl
+  });
+};
+
 /**
  * @route   POST /api/webhooks/website-lead
  * @desc    Handle website form submissions from integrated websites
@@ -220,21 +311,7 @@ router.post('/shopify/:organizationId', async (req, res) => {
  */
 router.post('/website-lead', async (req, res) => {
   try {
-    const websiteService = require('../services/website.service');
-    const result = await websiteService.handleWebsiteLead(req.body, req.headers);
-    
-    if (result.success) {
-      res.status(201).json({
-        success: true,
-        leadId: result.leadId,
-        message: 'Lead received successfully'
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: result.message || 'Failed to process lead'
-      });
-    }
+    await queueWebsiteLead(req, res, req.headers);
   } catch (error) {
     logger.error('Website lead webhook error:', error);
     res.status(500).json({
@@ -251,29 +328,13 @@ router.post('/website-lead', async (req, res) => {
  */
 router.post('/website/:integrationKey', async (req, res) => {
   try {
-    const websiteService = require('../services/website.service');
-    const { integrationKey } = req.params;
-    
     // Add integration key to headers for processing
     const enhancedHeaders = {
       ...req.headers,
-      'x-integration-key': integrationKey
+      'x-integration-key': req.params.integrationKey
     };
-    
-    const result = await websiteService.handleWebsiteLead(req.body, enhancedHeaders);
-    
-    if (result.success) {
-      res.status(201).json({
-        success: true,
-        leadId: result.leadId,
-        message: 'Lead received successfully'
-      });
-    } else {
-      res.status(400).json({
-        success: false,
-        message: result.message || 'Failed to process lead'
-      });
-    }
+
+    await queueWebsiteLead(req, res, enhancedHeaders);
   } catch (error) {
     logger.error('Website webhook error:', error);
     res.status(500).json({
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const wordpressService = require('../services/wordpressService');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const skillMatchingService = require('../services/skillMatching.service');
+const webhookQueue = require('../services/webhookQueue.service');
+const captchaService = require('../services/captcha.service');
 const WordPressIntegration = require('../models/WordPressIntegration');
 const { authenticateUser } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
@@ -57,24 +61,24 @@ router.post('/webhook', async (req, res) => {
       metadata
     });
 
-    // Process the form submission
-    const result = await wordpressService.processFormSubmissionWithApiKey(apiKey, formData, metadata);
+    // CAPTCHA tokens are single-use and short-lived, so the bot check can't wait for the queue
+    const { fields: submission, verification } = await captchaService.check(integration, formData, { ip: metadata.ipAddress });
+    delete submission.api_key;
 
-    // Enhanced response for new lead creation
-    const response = {
-      success: true,
-      message: 'Form submission processed - new lead created',
-      leadId: result.leadId,
-      newLeadCreated: true
-    };
-
-    // Add assignment information if available
-    if (result.assignedTo) {
-      response.assignedTo = result.assignedTo;
-      response.assignmentStatus = result.assignmentStatus || 'assigned';
-    }
+    // Store the submission before acknowledging; the queue worker creates the lead
+    const event = await webhookQueue.enqueue('wordpress', submission, {
+      eventType: 'form_submission',
+      organizationId: integration.organizationId,
+      integrationId: integration._id,
+      headers: req.headers,
+      metadata: { form: { ...metadata, captcha: verification } }
+    });
 
-    res.json(response);
+    res.json({
+      success: true,
+      message: 'Form submission received',
+      eventId: event._id
+    });
 
   } catch (error) {
     logger.error('WordPress webhook error:', error);
@@ -110,13 +114,29 @@ router.post('/webhook/:integrationKey', async (req, res) => {
       metadata
     });
 
-    // Process the form submission
-    const result = await wordpressService.processFormSubmission(integrationKey, formData, metadata);
+    const integration = await WordPressIntegration.findOne({ integrationKey, isActive: true });
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'WordPress integration not found or inactive'
+      });
+    }
+
+    const { fields: submission, verification } = await captchaService.check(integration, formData, { ip: metadata.ipAddress });
+
+    // Store the submission before acknowledging; the queue worker creates the lead
+    const event = await webhookQueue.enqueue('wordpress', submission, {
+      eventType: 'form_submission',
+      organizationId: integration.organizationId,
+      integrationId: integration._id,
+      headers: req.headers,
+      metadata: { integrationKey, form: { ...metadata, captcha: verification } }
+    });
 
     res.json({
       success: true,
-      message: 'Form submission processed successfully',
-      leadId: result.leadId
+      message: 'Form submission received',
+      eventId: event._id
     });
 
   } catch (error) {
@@ -378,7 +398,9 @@ router.get('/validate-api-key/:apiKey', async (req, res) => {
         settings: {
           autoMapping: integration.autoMapping,
           leadMappingConfig: integration.leadMappingConfig,
-          assignmentSettings: integration.assignmentSettings
+          assignmentSettings: integration.assignmentSettings,
+          // What the plugin needs to add the bot check to the site's forms
+          captcha: captchaService.publicConfig(captchaService.settingsFor(integration))
         }
       }
     });
@@ -504,6 +526,23 @@ router.put('/:integrationId', async (req, res) => {
           message: 'assignToUsers must be an array'
         });
       }
+
+      if (leadAssignment.language !== undefined && leadAssignment.language !== null) {
+        leadAssignment.language = skillMatchingService.normalizeLanguage(leadAssignment.language);
+        if (!leadAssignment.language) {
+          return res.status(400).json({
+            success: false,
+            message: 'language must be an ISO 639-1 code (e.g. hi, ta, en), a locale, a language name or null'
+          });
+        }
+      }
+
+      if (leadAssignment.hybrid !== undefined && !assignmentEngine.isValidHybrid(leadAssignment.hybrid)) {
+        return res.status(400).json({
+          success: false,
+          message: 'hybrid must be an object with strategy (none, ai-first, ai-outside-hours or ai-split), aiPercent (0-100) and handOffMinutes (1-10080)'
+        });
+      }
     }
 
     const integration = await wordpressService.updateIntegration(
@@ -541,6 +580,51 @@ router.put('/:integrationId', async (req, res) => {
   }
 });
 
+// Preview who gets the next lead, and for a hybrid strategy whether an AI agent or a human
+router.get('/:integrationId/assignment/preview', async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const { integrationId } = req.params;
+
+    const integration = await WordPressIntegration.findOne({
+      _id: integrationId,
+      organizationId,
+      isActive: true
+    }).select('organizationId assignmentSettings leadMappingConfig');
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    const preview = await wordpressService.previewAssignment(integration);
+    if (!preview) {
+      return res.json({
+        success: true,
+        data: null,
+        message: 'Auto-assignment is disabled'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        nextAssignee: preview.user,
+        algorithm: preview.algorithm,
+        hybrid: preview.hybrid || null
+      }
+    });
+  } catch (error) {
+    logger.error('Error previewing WordPress assignment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview assignment'
+    });
+  }
+});
+
 // Delete WordPress integration
 router.delete('/:integrationId', async (req, res) => {
   try {
@@ -580,7 +664,7 @@ router.get('/:id', async (req, res) => {
     const integration = await WordPressIntegration.findOne({
       _id: id,
       organizationId
-    }).select('-apiKey -webhookSecret');
+    }).select('-apiKey -webhookSecret -captcha.secretKey');
 
     if (!integration) {
       return res.status(404).json({
@@ -651,6 +735,88 @@ router.put('/:id', validateRequest([
   }
 });
 
+// Get the bot check of this site's form submissions
+router.get('/:id/captcha', async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const { id } = req.params;
+
+    const integration = await WordPressIntegration.findOne({
+      _id: id,
+      organizationId
+    }).select('captcha');
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: captchaService.describe(integration.captcha)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching WordPress CAPTCHA settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch CAPTCHA settings',
+      error: error.message
+    });
+  }
+});
+
+// Update the bot check; omit secretKey to keep the stored one
+router.put('/:id/captcha', async (req, res) => {
+  try {
+    const { organizationId } = req.user;
+    const { id } = req.params;
+
+    const integration = await WordPressIntegration.findOne({
+      _id: id,
+      organizationId
+    }).select('captcha');
+
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Integration not found'
+      });
+    }
+
+    const { update, errors } = captchaService.toUpdate(req.body, integration.captcha, 'captcha');
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid CAPTCHA settings',
+        errors
+      });
+    }
+
+    const updatedIntegration = await WordPressIntegration.findByIdAndUpdate(
+      integration._id,
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'CAPTCHA settings updated successfully',
+      data: captchaService.describe(updatedIntegration.captcha)
+    });
+
+  } catch (error) {
+    logger.error('Error updating WordPress CAPTCHA settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update CAPTCHA settings',
+      error: error.message
+    });
+  }
+});
+
 // Delete integration
 router.delete('/:id', async (req, res) => {
   try {
@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const workingHoursService = require('../services/workingHours.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const { isValidTimezone, isValidTime, isValidDate } = require('../utils/workingHours');
+const { authenticateUser, authorizeRoles } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Settings are scoped to the caller's organization
+router.use(authenticateUser);
+
+const QUEUE_STATUSES = ['pending', 'processing', 'assigned', 'unassigned', 'failed'];
+
+/**
+ * First problem with a list of shifts, or null
+ */
+const shiftsError = (shifts) => {
+  if (!Array.isArray(shifts)) return 'shifts must be an array';
+
+  for (const shift of shifts) {
+    if (!shift || !Array.isArray(shift.days) || shift.days.length === 0 ||
+      !shift.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return 'Each shift needs days: an array of weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+    if (!isValidTime(shift.start) || !isValidTime(shift.end)) {
+      return 'Shift start and end must be times in HH:mm (24-hour)';
+    }
+    if (shift.start === shift.end) {
+      return 'Shift start and end must differ';
+    }
+  }
+  return null;
+};
+
+const toShifts = (shifts) => shifts.map(({ days, start, end }) => ({ days: [...new Set(days)], start, end }));
+
+const validateSettings = (req, res, next) => {
+  const { timezone, defaultShifts, holidays, onCallUsers } = req.body;
+  let message = null;
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    message = 'timezone must be an IANA timezone (e.g. Asia/Kolkata, Europe/London)';
+  } else if (defaultShifts !== undefined) {
+    message = shiftsError(defaultShifts);
+  }
+
+  if (!message && holidays !== undefined &&
+    (!Array.isArray(holidays) || !holidays.every(holiday => holiday && isValidDate(holiday.date)))) {
+    message = 'holidays must be an array of { date: YYYY-MM-DD, name }';
+  }
+
+  if (!message && onCallUsers !== undefined &&
+    (!Array.isArray(onCallUsers) || !onCallUsers.every(userId => typeof userId === 'string' && userId))) {
+    message = 'onCallUsers must be an array of user IDs';
+  }
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+  next();
+};
+
+const validateUserSchedule = (req, res, next) => {
+  const { timezone, shifts, daysOff } = req.body;
+  let message = null;
+
+  if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+    message = 'timezone must be an IANA timezone (e.g. Asia/Kolkata, Europe/London)';
+  } else if (shifts !== undefined) {
+    message = shiftsError(shifts);
+  }
+
+  if (!message && daysOff !== undefined && (!Array.isArray(daysOff) || !daysOff.every(isValidDate))) {
+    message = 'daysOff must be an array of dates in YYYY-MM-DD';
+  }
+
+  if (message) {
+    return res.status(400).json({
+      success: false,
+      message
+    });
+  }
+  next();
+};
+
+/**
+ * @route   GET /api/settings/working-hours
+ * @desc    Get the organization's shifts, holidays, on-call pool and user schedules
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await workingHoursService.getSettings(req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error getting working hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get working hours'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/working-hours
+ * @desc    Update organization working hours (body: { timezone, defaultShifts, holidays, onCallUsers }, all optional)
+ * @access  Private (admin, manager)
+ */
+router.put('/', authorizeRoles('admin', 'manager'), validateSettings, async (req, res) => {
+  try {
+    const { timezone, defaultShifts, holidays, onCallUsers } = req.body;
+
+    const settings = await workingHoursService.updateSettings(
+      req.user.organizationId,
+      {
+        timezone,
+        defaultShifts: defaultShifts && toShifts(defaultShifts),
+        holidays: holidays && holidays.map(({ date, name }) => ({ date, name })),
+        onCallUsers
+      },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Working hours updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating working hours:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update working hours'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/settings/working-hours/users/:userId
+ * @desc    Set a telecaller's own schedule (body: { timezone, shifts, daysOff }); without shifts the default shifts apply
+ * @access  Private (admin, manager)
+ */
+router.put('/users/:userId', authorizeRoles('admin', 'manager'), validateUserSchedule, async (req, res) => {
+  try {
+    const { timezone, shifts, daysOff } = req.body;
+
+    const settings = await workingHoursService.setUserSchedule(
+      req.user.organizationId,
+      req.params.userId,
+      { timezone, shifts: shifts && toShifts(shifts), daysOff },
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'User schedule updated successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating user schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user schedule'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/settings/working-hours/users/:userId
+ * @desc    Remove a telecaller's own schedule so the default shifts apply
+ * @access  Private (admin, manager)
+ */
+router.delete('/users/:userId', authorizeRoles('admin', 'manager'), async (req, res) => {
+  try {
+    const settings = await workingHoursService.removeUserSchedule(
+      req.user.organizationId,
+      req.params.userId,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'User schedule removed successfully',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error removing user schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove user schedule'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/settings/working-hours/availability
+ * @desc    Which users are on shift (query: userIds=a,b,c; at=ISO date, default now)
+ * @access  Private
+ */
+router.get('/availability', async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'at must be an ISO date'
+      });
+    }
+
+    const userIds = String(req.query.userIds || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'userIds is required'
+      });
+    }
+
+    const availability = await workingHoursService.getAvailability(req.user.organizationId, userIds, at);
+
+    res.json({
+      success: true,
+      data: {
+        at,
+        onShift: availability.onShift,
+        offShift: userIds.filter(userId => !availability.onShift.includes(userId)),
+        nextShiftStart: availability.availableAt,
+        onCall: availability.onCall
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get availability'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/settings/working-hours/queue
+ * @desc    Leads waiting for a shift to start (query: status)
+ * @access  Private
+ */
+router.get('/queue', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Must be one of: ${QUEUE_STATUSES.join(', ')}`
+      });
+    }
+
+    const entries = await assignmentQueue.list(req.user.organizationId, { status });
+
+    res.json({
+      success: true,
+      data: entries
+    });
+  } catch (error) {
+    logger.error('Error listing queued assignments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list queued assignments'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const AssigneeLoad = require('../models/AssigneeLoad');
+const workingHoursService = require('./workingHours.service');
+const { localWindows } = require('../utils/workingHours');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const LIMIT_FIELDS = ['maxPerHour', 'maxPerDay', 'maxOpen'];
+
+// Every assignment reads the caps
+const CAPACITY_CACHE_TTL_MS = 60 * 1000;
+
+// Nobody knows when an open lead will be worked; held leads waiting on it are retried this often
+const OPEN_RECHECK_MS = 15 * 60 * 1000;
+
+// Worked lead IDs remembered per user
+const RELEASED_LEAD_IDS = 500;
+
+const EMPTY_CAPACITY = {
+  defaultLimits: {},
+  users: [],
+  overflow: 'skip',
+  overflowPool: []
+};
+
+/**
+ * Per-user assignment caps: leads per hour, per day and open (assigned, not yet worked).
+ *
+ * Caps are set per organization in OrganizationSettings.capacity and apply to
+ * every integration, because every assignment goes through the engine. Loads
+ * are counted in AssigneeLoad; a user takes a lead only if an atomic update
+ * finds them under every cap, so concurrent leads cannot push anyone over.
+ * Hours and days are the user's local ones (see working hours).
+ */
+class AssigneeCapacityService {
+  constructor() {
+    this.capacityCache = new Map();
+  }
+
+  get limitFields() {
+    return LIMIT_FIELDS;
+  }
+
+  async getOrganizationCapacity(organizationId) {
+    if (!organizationId || !isConnected() || !mongoose.Types.ObjectId.isValid(organizationId)) {
+      return EMPTY_CAPACITY;
+    }
+
+    const key = String(organizationId);
+    const cached = this.capacityCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.capacity;
+    }
+
+    try {
+      const settings = await OrganizationSettings.findOne({ organizationId }).select('capacity').lean();
+      const capacity = { ...EMPTY_CAPACITY, ...(settings?.capacity || {}) };
+      this.capacityCache.set(key, { capacity, expiresAt: Date.now() + CAPACITY_CACHE_TTL_MS });
+      return capacity;
+    } catch (error) {
+      // Uncapped rather than blocking assignment
+      logger.error('Failed to load organization capacity settings:', error.message);
+      return EMPTY_CAPACITY;
+    }
+  }
+
+  /**
+   * Caps of a user; a user's own value overrides the default and 0 means no cap
+   * @returns {Object} { maxPerHour, maxPerDay, maxOpen }, null where uncapped
+   */
+  limitsFor(capacity, userId) {
+    const own = (capacity.users || []).find(user => String(user.userId) === String(userId)) || {};
+    const limits = {};
+
+    LIMIT_FIELDS.forEach(field => {
+      const value = own[field] ?? capacity.defaultLimits?.[field] ?? null;
+      limits[field] = value > 0 ? value : null;
+    });
+    return limits;
+  }
+
+  isCapped(limits) {
+    return LIMIT_FIELDS.some(field => limits[field] !== null);
+  }
+
+  // Any cap set at all; without one assignment skips the load lookups
+  isEnabled(capacity) {
+    return [capacity.defaultLimits || {}, ...(capacity.users || [])]
+      .some(entry => LIMIT_FIELDS.some(field => entry[field] > 0));
+  }
+
+  async windowsFor(organizationId, userId, now) {
+    const hours = await workingHoursService.getOrganizationHours(organizationId);
+    return localWindows(now, workingHoursService.timezoneFor(hours, userId));
+  }
+
+  /**
+   * Counts of a stored load in the current windows
+   */
+  usage(load, windows) {
+    return {
+      hour: load?.hourKey === windows.hourKey ? load.hourCount : 0,
+      day: load?.dayKey === windows.dayKey ? load.dayCount : 0,
+      open: load?.open || 0
+    };
+  }
+
+  /**
+   * When a user has room for another lead: null when they have room now
+   */
+  freeAt(limits, usage, windows, now) {
+    const times = [];
+    if (limits.maxPerHour !== null && usage.hour >= limits.maxPerHour) times.push(windows.hourEndsAt);
+    if (limits.maxPerDay !== null && usage.day >= limits.maxPerDay) times.push(windows.dayEndsAt);
+    if (limits.maxOpen !== null && usage.open >= limits.maxOpen) times.push(new Date(now.getTime() + OPEN_RECHECK_MS));
+
+    return times.length > 0 ? new Date(Math.max(...times.map(time => time.getTime()))) : null;
+  }
+
+  /**
+   * Split users by whether they are under their caps
+   * @returns {Promise<Object>} { enabled, available: [userId], freesAt: Date|null, overflow, overflowPool: [userId] }
+   *   freesAt is the earliest time one of the capped users has room again
+   */
+  async getAvailability(organizationId, userIds, now = new Date()) {
+    const capacity = await this.getOrganizationCapacity(organizationId);
+    const result = {
+      enabled: this.isEnabled(capacity),
+      available: userIds,
+      freesAt: null,
+      overflow: capacity.overflow || 'skip',
+      overflowPool: (capacity.overflowPool || []).map(userId => String(userId))
+    };
+    if (!result.enabled) return result;
+
+    const loads = await AssigneeLoad.find({ organizationId, userId: { $in: userIds } }).lean();
+    const loadsByUser = new Map(loads.map(load => [load.userId, load]));
+    result.available = [];
+
+    for (const userId of userIds) {
+      const limits = this.limitsFor(capacity, userId);
+      if (!this.isCapped(limits)) {
+        result.available.push(userId);
+        continue;
+      }
+
+      const windows = await this.windowsFor(organizationId, userId, now);
+      const freeAt = this.freeAt(limits, this.usage(loadsByUser.get(userId), windows), windows, now);
+      if (!freeAt) {
+        result.available.push(userId);
+      } else if (!result.freesAt || freeAt < result.freesAt) {
+        result.freesAt = freeAt;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Count a lead against a user if they are still under every cap
+   * @returns {Promise<boolean>} false when the user filled up first
+   */
+  async reserve(organizationId, userId, now = new Date()) {
+    if (!isConnected()) return true;
+
+    const capacity = await this.getOrganizationCapacity(organizationId);
+    const limits = this.limitsFor(capacity, userId);
+    const { hourKey, dayKey } = await this.windowsFor(organizationId, userId, now);
+
+    const conditions = [];
+    if (limits.maxPerHour !== null) {
+      conditions.push({ $or: [{ hourKey: { $ne: hourKey } }, { hourCount: { $lt: limits.maxPerHour } }] });
+    }
+    if (limits.maxPerDay !== null) {
+      conditions.push({ $or: [{ dayKey: { $ne: dayKey } }, { dayCount: { $lt: limits.maxPerDay } }] });
+    }
+    if (limits.maxOpen !== null) {
+      conditions.push({ open: { $lt: limits.maxOpen } });
+    }
+
+    const filter = { organizationId, userId: String(userId), ...(conditions.length > 0 && { $and: conditions }) };
+    // Windows restart when their key changes
+    const update = [{
+      $set: {
+        hourCount: { $cond: [{ $eq: ['$hourKey', hourKey] }, { $add: ['$hourCount', 1] }, 1] },
+        dayCount: { $cond: [{ $eq: ['$dayKey', dayKey] }, { $add: ['$dayCount', 1] }, 1] },
+        hourKey,
+        dayKey,
+        open: { $add: [{ $ifNull: ['$open', 0] }, 1] },
+        lastAssignedAt: now
+      }
+    }];
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const load = await AssigneeLoad.findOneAndUpdate(filter, update, { upsert: true, new: true }).lean();
+        return !!load;
+      } catch (error) {
+        // The user is at a cap (the upsert hit the unique index), or two first
+        // assignments raced to create the load; the second attempt tells which
+        if (error.code !== 11000) throw error;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Lower a user's open leads, e.g. when the leads service reports a lead worked
+   * @param {string} [leadId] - Counted once per lead when given
+   * @returns {Promise<boolean>} false when nothing was open or the lead was already released
+   */
+  async release(organizationId, userId, leadId) {
+    if (!isConnected()) return false;
+
+    const filter = { organizationId, userId: String(userId), open: { $gt: 0 } };
+    const update = { $inc: { open: -1 } };
+    if (leadId) {
+      filter.releasedLeadIds = { $ne: String(leadId) };
+      update.$push = { releasedLeadIds: { $each: [String(leadId)], $slice: -RELEASED_LEAD_IDS } };
+    }
+
+    const result = await AssigneeLoad.updateOne(filter, update);
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Correct a user's open lead count
+   */
+  async setOpen(organizationId, userId, open) {
+    await AssigneeLoad.updateOne(
+      { organizationId, userId: String(userId) },
+      { $set: { open } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Load versus caps of users; without user IDs, every user with caps or a load
+   * @returns {Promise<Array>} [{ userId, limits, usage: { hour, day, open }, atCapacity, freeAt }]
+   */
+  async getLoad(organizationId, userIds, now = new Date()) {
+    const capacity = await this.getOrganizationCapacity(organizationId);
+    const loads = await AssigneeLoad.find(userIds ? { organizationId, userId: { $in: userIds } } : { organizationId })
+      .select('-releasedLeadIds')
+      .lean();
+    const loadsByUser = new Map(loads.map(load => [load.userId, load]));
+
+    const ids = userIds || [...new Set([
+      ...(capacity.users || []).map(user => String(user.userId)),
+      ...loads.map(load => load.userId)
+    ])];
+
+    return Promise.all(ids.map(async userId => {
+      const limits = this.limitsFor(capacity, userId);
+      const windows = await this.windowsFor(organizationId, userId, now);
+      const usage = this.usage(loadsByUser.get(userId), windows);
+      const freeAt = this.freeAt(limits, usage, windows, now);
+
+      return {
+        userId,
+        limits,
+        usage,
+        atCapacity: !!freeAt,
+        freeAt,
+        lastAssignedAt: loadsByUser.get(userId)?.lastAssignedAt || null
+      };
+    }));
+  }
+
+  async getSettings(organizationId) {
+    const settings = isConnected()
+      ? await OrganizationSettings.findOne({ organizationId }).select('capacity').lean()
+      : null;
+
+    return { ...EMPTY_CAPACITY, ...(settings?.capacity || {}) };
+  }
+
+  /**
+   * Replace the organization-wide fields that are given (defaultLimits, overflow, overflowPool)
+   */
+  async updateSettings(organizationId, settings, updatedBy) {
+    const $set = { updatedBy };
+    ['defaultLimits', 'overflow', 'overflowPool'].forEach(field => {
+      if (settings[field] !== undefined) {
+        $set[`capacity.${field}`] = settings[field];
+      }
+    });
+
+    await OrganizationSettings.findOneAndUpdate(
+      { organizationId },
+      { $set },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    this.capacityCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+
+  /**
+   * Set one user's caps ({ maxPerHour, maxPerDay, maxOpen }; null inherits the default)
+   */
+  async setUserLimits(organizationId, userId, limits, updatedBy) {
+    const entry = { userId };
+    LIMIT_FIELDS.forEach(field => {
+      entry[field] = limits[field] ?? null;
+    });
+
+    const result = await OrganizationSettings.updateOne(
+      { organizationId, 'capacity.users.userId': userId },
+      { $set: { 'capacity.users.$': entry, updatedBy } },
+      { runValidators: true }
+    );
+
+    if (result.matchedCount === 0) {
+      await OrganizationSettings.findOneAndUpdate(
+        { organizationId },
+        { $push: { 'capacity.users': entry }, $set: { updatedBy } },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+    this.capacityCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+
+  /**
+   * Drop a user's own caps so the defaults apply again
+   */
+  async removeUserLimits(organizationId, userId, updatedBy) {
+    await OrganizationSettings.updateOne(
+      { organizationId },
+      { $pull: { 'capacity.users': { userId } }, $set: { updatedBy } }
+    );
+    this.capacityCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+}
+
+module.exports = new AssigneeCapacityService();
@@ -0,0 +1,766 @@
+const mongoose = require('mongoose');
+const AssignmentState = require('../models/AssignmentState');
+const {
+  ASSIGNMENT_MODES,
+  ASSIGNMENT_ALGORITHMS,
+  LEGACY_MODES,
+  LEGACY_ALGORITHMS,
+  OUTSIDE_HOURS_ACTIONS,
+  HYBRID_STRATEGIES,
+  AI_AGENT_ID_PATTERN
+} = require('../models/assignmentSettings');
+const workingHoursService = require('./workingHours.service');
+const assigneeCapacityService = require('./assigneeCapacity.service');
+const routingRulesService = require('./routingRules.service');
+const skillMatchingService = require('./skillMatching.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Conditional updates retried by least-assigned before it falls back to round-robin
+const MAX_LEAST_ASSIGNED_ATTEMPTS = 5;
+
+// Held leads whose users filled up concurrently are retried after this long
+const HOLD_RETRY_MS = 60 * 1000;
+
+// Map keys cannot contain dots or start with $
+const countKey = (userId) => String(userId).replace(/[.$]/g, '_');
+
+/**
+ * Lead assignment engine shared by every channel.
+ *
+ * Facebook and LinkedIn forms, website, WordPress, Shopify and generic
+ * integrations all read the same settings (see models/assignmentSettings)
+ * and pick users here. Each scope keeps its position in AssignmentState,
+ * advanced with atomic updates so concurrent leads - on one instance or
+ * several - never land on the same round-robin slot.
+ *
+ * The organization's routing rules run first: a lead matching one goes to
+ * that rule's users instead of the integration's. With working hours on,
+ * only users on shift are picked; leads arriving outside every shift follow
+ * the settings' outsideHours action. Users at their organization's capacity
+ * caps are skipped on every channel. Users whose skills fit the lead (language,
+ * product, region) are preferred over the rest (see nextMatching). Settings
+ * with a hybrid strategy keep AI agents and humans apart (see nextHybrid).
+ *
+ * Without a database connection the state is kept in memory.
+ */
+class AssignmentEngine {
+  constructor() {
+    this.memoryState = new Map();
+  }
+
+  /**
+   * Scope key for a distribution, e.g. scopeFor('facebook', integrationId, pageId, formId)
+   */
+  scopeFor(source, integrationId, ...parts) {
+    return [source, integrationId, ...parts].map(part => String(part)).join(':');
+  }
+
+  /**
+   * Current algorithm name for a stored or submitted value
+   */
+  normalizeAlgorithm(algorithm) {
+    const value = LEGACY_ALGORITHMS[algorithm] || algorithm;
+    return ASSIGNMENT_ALGORITHMS.includes(value) ? value : 'round-robin';
+  }
+
+  isValidAlgorithm(algorithm) {
+    return ASSIGNMENT_ALGORITHMS.includes(algorithm) || !!LEGACY_ALGORITHMS[algorithm];
+  }
+
+  isValidMode(mode) {
+    return ASSIGNMENT_MODES.includes(mode);
+  }
+
+  isValidWorkingHours(workingHours) {
+    return !!workingHours && typeof workingHours === 'object' &&
+      (workingHours.enabled === undefined || typeof workingHours.enabled === 'boolean') &&
+      (workingHours.outsideHours === undefined || OUTSIDE_HOURS_ACTIONS.includes(workingHours.outsideHours));
+  }
+
+  /**
+   * Stored working hours settings with the submitted fields applied
+   */
+  mergeWorkingHours(current, changes = {}) {
+    return {
+      enabled: changes.enabled !== undefined ? changes.enabled : !!current?.enabled,
+      outsideHours: changes.outsideHours || current?.outsideHours || 'queue'
+    };
+  }
+
+  isValidHybrid(hybrid) {
+    return !!hybrid && typeof hybrid === 'object' &&
+      (hybrid.strategy === undefined || HYBRID_STRATEGIES.includes(hybrid.strategy)) &&
+      (hybrid.aiPercent === undefined || (Number.isInteger(hybrid.aiPercent) && hybrid.aiPercent >= 0 && hybrid.aiPercent <= 100)) &&
+      (hybrid.handOffMinutes === undefined ||
+        (Number.isInteger(hybrid.handOffMinutes) && hybrid.handOffMinutes >= 1 && hybrid.handOffMinutes <= 7 * 24 * 60));
+  }
+
+  /**
+   * Stored hybrid pool settings with the submitted fields applied
+   */
+  mergeHybrid(current, changes = {}) {
+    const value = (field, fallback) => {
+      if (changes[field] !== undefined) return changes[field];
+      return current?.[field] !== undefined && current[field] !== null ? current[field] : fallback;
+    };
+
+    return {
+      strategy: value('strategy', 'none'),
+      aiPercent: value('aiPercent', 50),
+      handOffMinutes: value('handOffMinutes', 15)
+    };
+  }
+
+  isAIAgent(userId) {
+    return AI_AGENT_ID_PATTERN.test(String(userId));
+  }
+
+  /**
+   * Active users with numeric weights; accepts settings entries or user objects ({ _id })
+   */
+  normalizeUsers(users = []) {
+    return users
+      .map(user => (user && typeof user.toObject === 'function' ? user.toObject() : user))
+      .filter(user => user && (user.userId || user._id) && user.isActive !== false)
+      .map(user => ({
+        ...user,
+        userId: String(user.userId || user._id),
+        weight: Math.min(Math.max(parseInt(user.weight, 10) || 1, 1), 10)
+      }));
+  }
+
+  /**
+   * Read any stored settings shape (forms, integrations, legacy Shopify/WordPress modes)
+   * @returns {Object} { enabled, mode, algorithm, users, workingHours, hybrid, language }
+   */
+  normalizeSettings(settings) {
+    if (!settings) {
+      return {
+        enabled: false,
+        mode: 'manual',
+        algorithm: 'round-robin',
+        users: [],
+        workingHours: this.mergeWorkingHours(),
+        hybrid: this.mergeHybrid(),
+        language: null
+      };
+    }
+
+    const legacyAlgorithm = LEGACY_MODES[settings.mode];
+
+    return {
+      enabled: !!settings.enabled,
+      // Lead forms have no mode; enabling them means distributing to their users
+      mode: legacyAlgorithm ? 'specific' : (settings.mode || 'specific'),
+      algorithm: this.normalizeAlgorithm(legacyAlgorithm || settings.algorithm),
+      users: this.normalizeUsers(settings.assignToUsers),
+      workingHours: this.mergeWorkingHours(settings.workingHours),
+      hybrid: this.mergeHybrid(settings.hybrid),
+      language: settings.language || null
+    };
+  }
+
+  /**
+   * Each user repeated by weight; plain round-robin uses every user once
+   */
+  slotsFor(users, algorithm) {
+    if (algorithm !== 'weighted-round-robin') return users;
+
+    const slots = [];
+    users.forEach(user => {
+      for (let i = 0; i < user.weight; i++) {
+        slots.push(user);
+      }
+    });
+    return slots;
+  }
+
+  /**
+   * Pick the next user of a scope from its settings
+   * @param {string} scope - See scopeFor()
+   * @param {Object} settings - Stored assignment settings
+   * @param {Object} [context] - See nextAvailable()
+   * @returns {Promise<Object|null>} See nextAvailable(); null when assignment is off
+   */
+  async nextForSettings(scope, settings, context = {}) {
+    const normalized = this.normalizeSettings(settings);
+
+    if (!normalized.enabled || normalized.mode === 'manual') {
+      return null;
+    }
+
+    return this.nextAvailable(scope, normalized.users, normalized, context);
+  }
+
+  /**
+   * Pick the next user for a lead: the users of the first matching routing
+   * rule (see routingRules.service), otherwise the given candidates, on shift
+   * and under their capacity caps. Without an organization this is next().
+   *
+   * When nobody is on shift the outsideHours action decides:
+   * - 'on-call': the organization's on-call pool, distributed in its own scope
+   * - 'queue': nobody now; the result is deferred to the first shift start
+   *   (hand it to assignmentQueue.defer() once the lead exists)
+   * - 'unassigned': nobody
+   * An empty or full on-call pool queues the lead instead. When everyone on
+   * shift is at capacity, the organization's overflow rule applies (see nextWithinCapacity).
+   *
+   * @param {string} scope - See scopeFor()
+   * @param {Array} candidates - Users to distribute between
+   * @param {Object} settings - { algorithm, workingHours, hybrid, language } (see normalizeSettings)
+   * @param {Object} [context] - { organizationId, locator, lead, skills, ruleId, exclude, pool, now }; locator
+   *   identifies the settings for a deferred retry ({ source, integrationId, pageId, accountId, formId }), lead
+   *   holds the fields routing rules and skill matching test, skills the attributes a queued lead was matched on,
+   *   ruleId pins a queued lead to the rule it was routed by, exclude lists user IDs never to pick,
+   *   pool: 'human' hands an AI agent's lead over (see nextHybrid)
+   * @returns {Promise<Object|null>} next() result with organizationId, locator and settingsScope - the
+   *   given scope, where next()'s is the rule's or pool's - (and onCall or overflow: true for those pools),
+   *   { user: null, deferred: true, reason, availableAt, scope, organizationId, locator }, or null;
+   *   results of a routing rule carry rule: { id, name }, results of a hybrid strategy pool ('ai' | 'human')
+   *   and, for an AI agent's first touch, handOffAt; skills holds what the lead was matched on
+   */
+  async nextAvailable(scope, candidates, settings, context = {}) {
+    if (!context.organizationId) {
+      return this.next(scope, candidates, settings.algorithm);
+    }
+
+    const rule = await routingRulesService.resolve(context);
+    if (!rule) {
+      return this.withContext(await this.nextMatching(scope, candidates, settings, context), scope, context);
+    }
+
+    logger.info('Lead routed by rule:', { scope, ruleId: String(rule._id), rule: rule.name });
+
+    // A rule distributes its leads in its own scope, whichever integration they came from
+    const result = await this.nextMatching(
+      this.scopeFor('routing', rule._id),
+      rule.assignToUsers,
+      { ...settings, algorithm: rule.algorithm },
+      context
+    );
+    if (!result) return null;
+
+    // A queued lead is retried in the integration's scope should the rule be gone by then
+    return {
+      ...this.withContext(result, scope, context),
+      ...(result.deferred && { scope }),
+      rule: { id: String(rule._id), name: rule.name }
+    };
+  }
+
+  // Where the lead came from, for the assignment log and the queue
+  withContext(result, scope, context) {
+    return result && {
+      ...result,
+      settingsScope: scope,
+      organizationId: context.organizationId,
+      locator: context.locator || null
+    };
+  }
+
+  // Candidates less the users the caller ruled out
+  eligibleUsers(candidates, context) {
+    const excluded = (context.exclude || []).map(String);
+    return this.normalizeUsers(candidates).filter(user => !excluded.includes(user.userId));
+  }
+
+  /**
+   * nextOnShift() among the candidates whose skills fit the lead best (see skillMatching.service).
+   * When nobody matches, or none of those can take the lead now, every candidate is used.
+   */
+  async nextMatching(scope, candidates, settings, context) {
+    const match = await skillMatchingService.match(
+      context.organizationId,
+      this.eligibleUsers(candidates, context),
+      context.lead,
+      { language: settings.language, attributes: context.skills }
+    );
+    if (!match) {
+      return this.nextOnShift(scope, candidates, settings, context);
+    }
+
+    const result = await this.nextOnShift(scope, match.users, settings, context);
+    if (result && !result.deferred) {
+      return { ...result, skills: match.attributes };
+    }
+
+    logger.info('No skill-matched assignee available, using every candidate:', { scope, attributes: match.attributes });
+    const fallback = await this.nextOnShift(scope, candidates, settings, context);
+    // A queued lead is matched again when it is retried
+    return fallback?.deferred ? { ...fallback, skills: match.attributes } : fallback;
+  }
+
+  /**
+   * nextAvailable() among the given candidates, without routing rules
+   */
+  async nextOnShift(scope, candidates, settings, context) {
+    const users = this.eligibleUsers(candidates, context);
+    if (users.length === 0) return null;
+
+    const hybrid = this.mergeHybrid(settings.hybrid);
+    if (hybrid.strategy !== 'none') {
+      return this.nextHybrid(scope, users, settings, hybrid, context);
+    }
+
+    const workingHours = this.mergeWorkingHours(settings.workingHours);
+    if (!workingHours.enabled) {
+      return this.nextWithinCapacity(scope, users, settings.algorithm, context);
+    }
+
+    const availability = await workingHoursService.getAvailability(
+      context.organizationId,
+      users.map(user => user.userId),
+      context.now || new Date()
+    );
+
+    const onShift = users.filter(user => availability.onShift.includes(user.userId));
+    if (onShift.length > 0) {
+      return this.nextWithinCapacity(scope, onShift, settings.algorithm, context);
+    }
+
+    logger.info('No assignee on shift:', { scope, outsideHours: workingHours.outsideHours, availableAt: availability.availableAt });
+
+    if (workingHours.outsideHours === 'unassigned') {
+      return null;
+    }
+
+    if (workingHours.outsideHours === 'on-call' && availability.onCall.length > 0) {
+      const onCall = this.eligibleUsers(availability.onCall.map(userId => ({ userId })), context);
+      const result = await this.nextWithinCapacity(`${scope}:on-call`, onCall, 'round-robin', context, { overflow: false });
+      if (result) return { ...result, onCall: true };
+    }
+
+    if (!availability.availableAt) {
+      logger.warn('No upcoming shift for any assignee, leaving lead unassigned:', { scope });
+      return null;
+    }
+
+    return this.deferred(scope, availability.availableAt, 'working-hours', context);
+  }
+
+  /**
+   * nextOnShift() with AI agents and humans as separate pools. Humans keep the
+   * scope's distribution; AI agents are distributed in `${scope}:ai` and, having
+   * no shifts, only their capacity caps apply.
+   * - 'ai-first': an AI agent; the result carries handOffAt, when the lead moves
+   *   on to the humans (see assignmentQueue.defer)
+   * - 'ai-outside-hours': the humans on shift, else an AI agent
+   * - 'ai-split': aiPercent of the leads to AI agents, spread evenly over the scope's leads
+   * A pool that cannot take the lead passes it to the other. Candidates of one kind only
+   * are distributed as usual, and context.pool 'human' (a hand-off) only picks humans.
+   */
+  async nextHybrid(scope, users, settings, hybrid, context) {
+    const flat = { ...settings, hybrid: null };
+    const ai = users.filter(user => this.isAIAgent(user.userId));
+    const humans = users.filter(user => !this.isAIAgent(user.userId));
+
+    const toHumans = async (overrides = {}) => {
+      const result = await this.nextOnShift(scope, humans, { ...flat, ...overrides }, context);
+      return result && { ...result, pool: 'human' };
+    };
+    const toAI = async () => {
+      const result = await this.nextWithinCapacity(`${scope}:ai`, ai, settings.algorithm, context, { overflow: false });
+      return result && { ...result, pool: 'ai' };
+    };
+
+    if (context.pool === 'human') return toHumans();
+    if (ai.length === 0 || humans.length === 0) {
+      return this.nextOnShift(scope, users, flat, context);
+    }
+
+    if (hybrid.strategy === 'ai-first') {
+      const result = await toAI();
+      if (!result) return toHumans();
+
+      const now = context.now || new Date();
+      return { ...result, handOffAt: new Date(now.getTime() + hybrid.handOffMinutes * 60 * 1000) };
+    }
+
+    if (hybrid.strategy === 'ai-outside-hours') {
+      return (await toHumans({ workingHours: { enabled: true, outsideHours: 'unassigned' } })) || toAI();
+    }
+
+    // ai-split
+    const sequence = await this.increment(`${scope}:split`);
+    if (this.splitToAI(sequence, hybrid.aiPercent)) {
+      return (await toAI()) || toHumans();
+    }
+    return (await toHumans()) || toAI();
+  }
+
+  // Whether the sequence-th lead of a split goes to an AI agent; every run of 100 leads sends exactly aiPercent
+  splitToAI(sequence, aiPercent) {
+    return Math.floor(sequence * aiPercent / 100) > Math.floor((sequence - 1) * aiPercent / 100);
+  }
+
+  /**
+   * Pick among the users under their capacity caps (see assigneeCapacity.service).
+   * When all are full the organization's overflow rule applies: 'pool' picks from
+   * the overflow pool, 'hold' defers the lead until someone has room, 'skip' leaves it.
+   * @param {Object} [options] - { overflow: false } to return null instead of overflowing
+   */
+  async nextWithinCapacity(scope, users, algorithm, context, { overflow = true } = {}) {
+    const now = context.now || new Date();
+    const capacity = await assigneeCapacityService.getAvailability(
+      context.organizationId,
+      users.map(user => user.userId),
+      now
+    );
+    if (!capacity.enabled) {
+      return this.next(scope, users, algorithm);
+    }
+
+    let remaining = users.filter(user => capacity.available.includes(user.userId));
+    while (remaining.length > 0) {
+      const result = await this.next(scope, remaining, algorithm);
+      if (await assigneeCapacityService.reserve(context.organizationId, result.user.userId, now)) {
+        return result;
+      }
+      // Filled up by a concurrent lead since the loads were read
+      remaining = remaining.filter(user => user.userId !== result.user.userId);
+    }
+
+    if (!overflow) return null;
+
+    logger.info('All assignees at capacity:', { scope, overflow: capacity.overflow, freesAt: capacity.freesAt });
+
+    if (capacity.overflow === 'pool' && capacity.overflowPool.length > 0) {
+      const pool = this.eligibleUsers(capacity.overflowPool.map(userId => ({ userId })), context);
+      const result = await this.nextWithinCapacity(`${scope}:overflow`, pool, 'round-robin', context, { overflow: false });
+      return result && { ...result, overflow: true };
+    }
+
+    if (capacity.overflow === 'hold') {
+      return this.deferred(scope, capacity.freesAt || new Date(now.getTime() + HOLD_RETRY_MS), 'capacity', context);
+    }
+
+    return null;
+  }
+
+  deferred(scope, availableAt, reason, context) {
+    return {
+      user: null,
+      deferred: true,
+      reason,
+      availableAt,
+      scope,
+      organizationId: context.organizationId,
+      locator: context.locator || null
+    };
+  }
+
+  /**
+   * Pick the next user of a scope and record the assignment
+   * @param {string} scope - See scopeFor()
+   * @param {Array} candidates - Users to distribute between ({ userId | _id, weight })
+   * @param {string} algorithm - Any stored algorithm value
+   * @returns {Promise<Object|null>} { user: { ...candidate, _id, userId, weight }, nextIndex, algorithm, sequence,
+   *   scope, candidates: [{ userId, weight }] } - candidates is the pool the user was picked from
+   */
+  async next(scope, candidates, algorithm) {
+    const users = this.normalizeUsers(candidates);
+    if (users.length === 0) return null;
+
+    const name = this.normalizeAlgorithm(algorithm);
+    let pick;
+
+    if (name === 'least-assigned') {
+      pick = await this.pickLeastAssigned(scope, users);
+    } else if (name === 'random') {
+      const index = Math.floor(Math.random() * users.length);
+      const sequence = await this.advance(scope, users[index]);
+      pick = { user: users[index], index, sequence };
+    } else {
+      pick = await this.pickRoundRobin(scope, this.slotsFor(users, name));
+    }
+
+    logger.info('Assignment engine picked user:', {
+      scope,
+      algorithm: name,
+      userId: pick.user.userId,
+      slot: pick.index,
+      sequence: pick.sequence
+    });
+
+    return {
+      ...this.toResult(pick, name),
+      scope,
+      candidates: users.map(({ userId, weight }) => ({ userId, weight }))
+    };
+  }
+
+  /**
+   * Who next() would pick, without recording anything
+   */
+  async peek(scope, candidates, algorithm) {
+    const users = this.normalizeUsers(candidates);
+    if (users.length === 0) return null;
+
+    const name = this.normalizeAlgorithm(algorithm);
+    const state = await this.getState(scope);
+    const sequence = state?.sequence || 0;
+
+    if (name === 'least-assigned') {
+      const index = this.leastAssignedIndex(users, state?.counts || {}, sequence);
+      return this.toResult({ user: users[index], index, sequence }, name);
+    }
+
+    if (name === 'random') {
+      const index = Math.floor(Math.random() * users.length);
+      return this.toResult({ user: users[index], index, sequence }, name);
+    }
+
+    const slots = this.slotsFor(users, name);
+    const index = sequence % slots.length;
+    return this.toResult({ user: slots[index], index, sequence: sequence + 1 }, name);
+  }
+
+  /**
+   * Who nextAvailable() would pick, without recording anything. Routing rules and
+   * capacity caps are not applied; hybrid strategies are, and the result says which
+   * pool the lead would go to.
+   * @param {Object} settings - See normalizeSettings()
+   * @param {Object} [context] - { organizationId, now }; the organization's shifts decide 'ai-outside-hours'
+   * @returns {Promise<Object|null>} peek() result, with hybrid: { strategy, aiPercent, handOffMinutes,
+   *   pool, handOffTo } unless the strategy is 'none'; handOffTo is the human an AI agent's lead would move to
+   */
+  async peekAvailable(scope, candidates, settings, context = {}) {
+    const users = this.normalizeUsers(candidates);
+    const hybrid = this.mergeHybrid(settings.hybrid);
+    const ai = users.filter(user => this.isAIAgent(user.userId));
+    const humans = users.filter(user => !this.isAIAgent(user.userId));
+
+    if (hybrid.strategy === 'none' || ai.length === 0 || humans.length === 0) {
+      const result = await this.peek(scope, users, settings.algorithm);
+      return result && hybrid.strategy !== 'none'
+        ? { ...result, hybrid: { ...hybrid, pool: this.isAIAgent(result.user.userId) ? 'ai' : 'human', handOffTo: null } }
+        : result;
+    }
+
+    let pool = 'ai';
+    if (hybrid.strategy === 'ai-outside-hours' && context.organizationId) {
+      const availability = await workingHoursService.getAvailability(
+        context.organizationId,
+        humans.map(user => user.userId),
+        context.now || new Date()
+      );
+      pool = availability.onShift.length > 0 ? 'human' : 'ai';
+    } else if (hybrid.strategy === 'ai-split') {
+      const state = await this.getState(`${scope}:split`);
+      pool = this.splitToAI((state?.sequence || 0) + 1, hybrid.aiPercent) ? 'ai' : 'human';
+    }
+
+    const humanNext = await this.peek(scope, humans, settings.algorithm);
+    const result = pool === 'ai' ? await this.peek(`${scope}:ai`, ai, settings.algorithm) : humanNext;
+    const handOffTo = pool === 'ai' && hybrid.strategy === 'ai-first' ? humanNext.user : null;
+
+    return { ...result, hybrid: { ...hybrid, pool, handOffTo } };
+  }
+
+  toResult({ user, index, sequence }, algorithm) {
+    return {
+      user: { ...user, _id: user.userId, userId: user.userId, weight: user.weight },
+      nextIndex: index,
+      algorithm,
+      sequence
+    };
+  }
+
+  /**
+   * Round-robin over slots; the incremented sequence decides the slot
+   */
+  async pickRoundRobin(scope, slots) {
+    const sequence = await this.increment(scope);
+    const index = (sequence - 1) % slots.length;
+    const user = slots[index];
+
+    await this.recordCount(scope, user);
+    return { user, index, sequence };
+  }
+
+  /**
+   * User with the fewest assignments in the scope; ties rotate so equal counts behave like round-robin.
+   * The pick is committed only if nobody assigned in between, otherwise it is recomputed.
+   */
+  async pickLeastAssigned(scope, users) {
+    if (!isConnected()) {
+      const state = this.memory(scope);
+      const index = this.leastAssignedIndex(users, state.counts, state.sequence);
+      const sequence = this.advanceMemory(scope, users[index]);
+      return { user: users[index], index, sequence };
+    }
+
+    for (let attempt = 0; attempt < MAX_LEAST_ASSIGNED_ATTEMPTS; attempt++) {
+      const state = await AssignmentState.findOne({ scope }).lean();
+      const sequence = state?.sequence || 0;
+      const index = this.leastAssignedIndex(users, state?.counts || {}, sequence);
+      const user = users[index];
+
+      try {
+        const updated = await AssignmentState.findOneAndUpdate(
+          { scope, sequence },
+          this.assignmentUpdate(scope, user),
+          { upsert: true, new: true, setDefaultsOnInsert: true }
+        ).lean();
+
+        return { user, index, sequence: updated?.sequence || sequence + 1 };
+      } catch (error) {
+        // Another lead advanced the scope first (the upsert hit the unique scope index)
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    logger.warn('Least-assigned contention, falling back to round-robin:', { scope });
+    return this.pickRoundRobin(scope, users);
+  }
+
+  leastAssignedIndex(users, counts, sequence) {
+    let best = 0;
+    let bestCount = Infinity;
+
+    for (let offset = 0; offset < users.length; offset++) {
+      const index = (sequence + offset) % users.length;
+      const count = counts[countKey(users[index].userId)] || 0;
+      if (count < bestCount) {
+        best = index;
+        bestCount = count;
+      }
+    }
+
+    return best;
+  }
+
+  assignmentUpdate(scope, user) {
+    const [source, integrationId] = scope.split(':');
+    return {
+      $inc: { sequence: 1, [`counts.${countKey(user.userId)}`]: 1 },
+      $set: { lastAssignedTo: user.userId, lastAssignedAt: new Date() },
+      $setOnInsert: { source, integrationId }
+    };
+  }
+
+  /**
+   * Atomically take the next sequence number of a scope
+   */
+  async increment(scope) {
+    if (!isConnected()) {
+      const state = this.memory(scope);
+      state.sequence += 1;
+      return state.sequence;
+    }
+
+    const [source, integrationId] = scope.split(':');
+    const update = { $inc: { sequence: 1 }, $setOnInsert: { source, integrationId } };
+    const options = { upsert: true, new: true, setDefaultsOnInsert: true };
+
+    try {
+      const state = await AssignmentState.findOneAndUpdate({ scope }, update, options).lean();
+      return state.sequence;
+    } catch (error) {
+      // Two first assignments raced to create the scope; the document exists now
+      if (error.code !== 11000) throw error;
+      const state = await AssignmentState.findOneAndUpdate({ scope }, update, options).lean();
+      return state.sequence;
+    }
+  }
+
+  /**
+   * Record an assignment whose user was chosen without the sequence (random)
+   */
+  async advance(scope, user) {
+    if (!isConnected()) {
+      return this.advanceMemory(scope, user);
+    }
+
+    const state = await AssignmentState.findOneAndUpdate(
+      { scope },
+      this.assignmentUpdate(scope, user),
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+    return state?.sequence;
+  }
+
+  /**
+   * Per-user count after a sequence-based pick; the pick itself is already committed
+   */
+  async recordCount(scope, user) {
+    if (!isConnected()) {
+      const state = this.memory(scope);
+      const key = countKey(user.userId);
+      state.counts[key] = (state.counts[key] || 0) + 1;
+      return;
+    }
+
+    try {
+      await AssignmentState.updateOne({ scope }, {
+        $inc: { [`counts.${countKey(user.userId)}`]: 1 },
+        $set: { lastAssignedTo: user.userId, lastAssignedAt: new Date() }
+      });
+    } catch (error) {
+      logger.error('Failed to record assignment count:', error.message);
+    }
+  }
+
+  memory(scope) {
+    if (!this.memoryState.has(scope)) {
+      this.memoryState.set(scope, { sequence: 0, counts: {} });
+    }
+    return this.memoryState.get(scope);
+  }
+
+  advanceMemory(scope, user) {
+    const state = this.memory(scope);
+    const key = countKey(user.userId);
+    state.sequence += 1;
+    state.counts[key] = (state.counts[key] || 0) + 1;
+    return state.sequence;
+  }
+
+  /**
+   * Stored state of a scope: { sequence, counts, lastAssignedTo, lastAssignedAt }
+   */
+  async getState(scope) {
+    if (!isConnected()) {
+      return this.memoryState.get(scope) || null;
+    }
+    return AssignmentState.findOne({ scope }).lean();
+  }
+
+  /**
+   * Start a scope over (first user next, counts cleared)
+   */
+  async reset(scope) {
+    this.memoryState.delete(scope);
+    if (isConnected()) {
+      await AssignmentState.deleteOne({ scope });
+    }
+  }
+
+  /**
+   * Mirror a pick into the owning document's `lastAssignment` for display
+   * @param {Model} Model - Integration model
+   * @param {Object} filter - Document filter
+   * @param {string} path - Path of the assignment settings (e.g. 'assignmentSettings')
+   * @param {Object} result - Result of next()
+   * @param {Object} [options] - Update options (arrayFilters for form settings)
+   */
+  async recordLastAssignment(Model, filter, path, result, options = {}) {
+    try {
+      await Model.updateOne(filter, {
+        $set: {
+          [`${path}.lastAssignment`]: {
+            userId: result.user.userId,
+            timestamp: new Date(),
+            roundRobinIndex: result.nextIndex
+          }
+        }
+      }, options);
+    } catch (error) {
+      logger.error('Failed to record last assignment:', error.message);
+    }
+  }
+}
+
+module.exports = new AssignmentEngine();
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const AssignmentLog = require('../models/AssignmentLog');
+const { buildDateMatch } = require('../middleware/dateFilter');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Append-only log of every assignment decision, and the fairness reports built on it.
+ *
+ * Each engine pick is logged with the pool it was made between and the share
+ * of leads every user in that pool should get - by weight for weighted
+ * round-robin, equally otherwise. Summing those shares over a date range gives
+ * the leads each user was owed, which the distribution report sets against
+ * the leads they actually got.
+ *
+ * Writing the log never fails lead processing; errors are only logged.
+ */
+class AssignmentLogService {
+  /**
+   * Expected share of each candidate for one pick
+   */
+  sharesFor(candidates = [], algorithm) {
+    if (candidates.length === 0) return [];
+
+    const weighted = algorithm === 'weighted-round-robin';
+    const total = weighted ? candidates.reduce((sum, candidate) => sum + candidate.weight, 0) : candidates.length;
+
+    return candidates.map(({ userId, weight }) => ({
+      userId: String(userId),
+      weight,
+      share: (weighted ? weight : 1) / total
+    }));
+  }
+
+  reasonFor(result) {
+    if (result.deferred) return result.reason || 'working-hours';
+    if (result.onCall) return 'on-call';
+    if (result.overflow) return 'overflow';
+    if (result.rule) return 'routing-rule';
+    if (result.handOffAt) return 'ai-first-touch';
+    if (result.skills) return 'skill-match';
+    return 'algorithm';
+  }
+
+  /**
+   * User the lead was last assigned to according to the log
+   */
+  async currentAssignee(organizationId, leadId) {
+    const entry = await AssignmentLog.findOne({ organizationId, leadId: String(leadId), assignedTo: { $ne: null } })
+      .sort({ createdAt: -1 })
+      .select('assignedTo')
+      .lean();
+
+    return entry?.assignedTo || null;
+  }
+
+  /**
+   * Log an engine result once its lead exists. A lead the log already has
+   * with someone else is logged as reassigned.
+   * @param {Object} result - nextAvailable() result (see assignmentEngine.service)
+   * @param {string} leadId - CRM lead ID
+   * @param {Object} [options] - { reason } in place of the one read from the result
+   * @returns {Promise<Object|null>} The entry, or null when nothing was logged
+   */
+  async record(result, leadId, { reason } = {}) {
+    if (!leadId || !result?.organizationId || (!result.user && !result.deferred)) return null;
+    if (!isConnected()) return null;
+
+    try {
+      const locator = result.locator || {};
+      const entry = {
+        organizationId: result.organizationId,
+        leadId: String(leadId),
+        event: result.deferred ? 'queued' : 'assigned',
+        source: locator.source,
+        integrationId: locator.integrationId,
+        pageId: locator.pageId,
+        accountId: locator.accountId,
+        formId: locator.formId,
+        scope: result.scope,
+        algorithm: result.algorithm,
+        candidates: this.sharesFor(result.candidates, result.algorithm),
+        assignedTo: result.user ? String(result.user.userId) : null,
+        reason: reason || this.reasonFor(result),
+        ruleId: result.rule?.id || null,
+        sequence: result.sequence
+      };
+
+      if (entry.assignedTo) {
+        const previous = await this.currentAssignee(entry.organizationId, leadId);
+        if (previous && previous !== entry.assignedTo) {
+          entry.event = 'reassigned';
+          entry.previousAssignee = previous;
+        }
+      }
+
+      return await AssignmentLog.create(entry);
+    } catch (error) {
+      logger.error('Failed to log assignment:', { leadId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Log a lead moved to another user outside the engine, e.g. by a manager in the CRM
+   * @param {Object} change - { organizationId, leadId, fromUserId, toUserId, reason, performedBy };
+   *   without fromUserId the log's last assignee is used
+   */
+  async recordReassignment({ organizationId, leadId, fromUserId, toUserId, reason, performedBy }) {
+    const previousAssignee = fromUserId ? String(fromUserId) : await this.currentAssignee(organizationId, leadId);
+
+    return AssignmentLog.create({
+      organizationId,
+      leadId: String(leadId),
+      event: 'reassigned',
+      assignedTo: String(toUserId),
+      previousAssignee,
+      reason: reason || 'manual',
+      performedBy: performedBy ? String(performedBy) : null
+    });
+  }
+
+  buildFilter(organizationId, { leadId, userId, event, source, integrationId, formId, ruleId, startDate, endDate } = {}) {
+    const filter = { organizationId: new mongoose.Types.ObjectId(String(organizationId)) };
+    if (leadId) filter.leadId = String(leadId);
+    if (userId) filter.$or = [{ assignedTo: String(userId) }, { previousAssignee: String(userId) }];
+    if (event) filter.event = { $in: String(event).split(',') };
+    if (source) filter.source = source;
+    if (integrationId) filter.integrationId = String(integrationId);
+    if (formId) filter.formId = String(formId);
+    if (ruleId) filter.ruleId = String(ruleId);
+    return buildDateMatch(filter, startDate, endDate);
+  }
+
+  async list(organizationId, filters = {}, { page = 1, limit = 50 } = {}) {
+    const filter = this.buildFilter(organizationId, filters);
+
+    const [entries, total] = await Promise.all([
+      AssignmentLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AssignmentLog.countDocuments(filter)
+    ]);
+
+    return { entries, total, page, limit };
+  }
+
+  /**
+   * Leads each user got against the leads their weights entitled them to.
+   * Only engine picks count; manual reassignments have no candidate pool.
+   * @param {Object} [filters] - See buildFilter()
+   * @returns {Promise<Object>} See summarizeDistribution()
+   */
+  async distribution(organizationId, filters = {}) {
+    const match = { ...this.buildFilter(organizationId, filters), 'candidates.0': { $exists: true } };
+
+    const [facets] = await AssignmentLog.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          assigned: [{ $group: { _id: '$assignedTo', count: { $sum: 1 } } }],
+          expected: [
+            { $unwind: '$candidates' },
+            {
+              $group: {
+                _id: '$candidates.userId',
+                expected: { $sum: '$candidates.share' },
+                eligible: { $sum: 1 },
+                weight: { $last: '$candidates.weight' }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    return this.summarizeDistribution(facets);
+  }
+
+  /**
+   * Per user: assigned, expected (sum of their shares), deviation = assigned - expected,
+   * eligible = picks they were a candidate for, weight = their latest weight
+   * @returns {Object} { total, maxDeviation, maxDeviationPercent, users: [...] }
+   */
+  summarizeDistribution({ total = [], assigned = [], expected = [] } = {}) {
+    const picks = total[0]?.count || 0;
+    const users = new Map();
+
+    expected.forEach(({ _id, expected: owed, eligible, weight }) => {
+      users.set(_id, { userId: _id, weight, eligible, expected: owed, assigned: 0 });
+    });
+    assigned.forEach(({ _id, count }) => {
+      const user = users.get(_id) || { userId: _id, weight: null, eligible: 0, expected: 0 };
+      users.set(_id, { ...user, assigned: count });
+    });
+
+    const rows = [...users.values()]
+      .map(user => {
+        const deviation = user.assigned - user.expected;
+        return {
+          userId: user.userId,
+          weight: user.weight,
+          eligible: user.eligible,
+          assigned: user.assigned,
+          expected: round(user.expected),
+          deviation: round(deviation),
+          deviationPercent: user.expected > 0 ? round((deviation / user.expected) * 100, 1) : null,
+          share: picks ? round(user.assigned / picks, 4) : 0,
+          expectedShare: picks ? round(user.expected / picks, 4) : 0
+        };
+      })
+      .sort((a, b) => b.assigned - a.assigned);
+
+    const worst = rows.reduce((max, row) => (Math.abs(row.deviation) > Math.abs(max?.deviation || 0) ? row : max), null);
+
+    return {
+      total: picks,
+      maxDeviation: worst ? worst.deviation : 0,
+      maxDeviationPercent: worst ? worst.deviationPercent : 0,
+      users: rows
+    };
+  }
+
+  /**
+   * Reassignments per user (taken from / given to) and per reason
+   * @param {Object} [filters] - See buildFilter()
+   */
+  async reassignments(organizationId, filters = {}) {
+    const match = this.buildFilter(organizationId, { ...filters, event: 'reassigned' });
+
+    const [facets] = await AssignmentLog.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          from: [{ $group: { _id: '$previousAssignee', count: { $sum: 1 } } }],
+          to: [{ $group: { _id: '$assignedTo', count: { $sum: 1 } } }],
+          reasons: [{ $group: { _id: '$reason', count: { $sum: 1 } } }, { $sort: { count: -1 } }]
+        }
+      }
+    ]);
+
+    return this.summarizeReassignments(facets);
+  }
+
+  summarizeReassignments({ total = [], from = [], to = [], reasons = [] } = {}) {
+    const users = new Map();
+    const add = (userId, field, count) => {
+      if (!userId) return;
+      const user = users.get(userId) || { userId, reassignedFrom: 0, reassignedTo: 0 };
+      user[field] = count;
+      users.set(userId, user);
+    };
+
+    from.forEach(({ _id, count }) => add(_id, 'reassignedFrom', count));
+    to.forEach(({ _id, count }) => add(_id, 'reassignedTo', count));
+
+    return {
+      total: total[0]?.count || 0,
+      users: [...users.values()]
+        .map(user => ({ ...user, net: user.reassignedTo - user.reassignedFrom }))
+        .sort((a, b) => (b.reassignedFrom + b.reassignedTo) - (a.reassignedFrom + a.reassignedTo)),
+      reasons: reasons.map(({ _id, count }) => ({ reason: _id || 'unspecified', count }))
+    };
+  }
+}
+
+module.exports = new AssignmentLogService();
@@ -0,0 +1,294 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const PendingAssignment = require('../models/PendingAssignment');
+const assignmentEngine = require('./assignmentEngine.service');
+const assigneeCapacityService = require('./assigneeCapacity.service');
+const assignmentLog = require('./assignmentLog.service');
+const slaWatcher = require('./slaWatcher.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+/**
+ * Leads held back until their assignees' shift starts (outsideHours: 'queue')
+ * or until one of them is under their capacity caps again (overflow: 'hold').
+ *
+ * The lead is created unassigned and a PendingAssignment records when the
+ * first assignee is available. From then on the worker claims it with a
+ * lease, reloads the current assignment settings - users or hours may have
+ * changed - and assigns it through the engine like a new lead. A lead routed
+ * by a rule stays with that rule's users.
+ *
+ * Leads an AI agent took first (hybrid strategy 'ai-first') wait here too,
+ * and are handed off to the human next in line once their hand-off is due.
+ */
+class AssignmentQueueService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.ASSIGNMENT_QUEUE_INTERVAL_MS, 10) || 60 * 1000;
+    this.batchSize = parseInt(process.env.ASSIGNMENT_QUEUE_BATCH_SIZE, 10) || 20;
+    this.maxAttempts = parseInt(process.env.ASSIGNMENT_QUEUE_MAX_ATTEMPTS, 10) || 5;
+    // Failed assignments wait attempts x this long before the next try
+    this.retryDelayMs = 5 * 60 * 1000;
+    // An entry still locked after this long (instance died mid-run) can be claimed again
+    this.lockTimeoutMs = 5 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.timer = null;
+    this.ticking = false;
+    this.rerun = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`Assignment queue worker started (${this.workerId}, every ${this.pollIntervalMs}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Assignment queue worker stopped');
+  }
+
+  async tick() {
+    if (!isConnected()) return;
+    if (this.ticking) {
+      this.rerun = true;
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const entry = await this.claimNext();
+        if (!entry) break;
+        await this.process(entry);
+      }
+    } catch (error) {
+      logger.error('Assignment queue worker error:', error.message);
+    } finally {
+      this.ticking = false;
+      if (this.rerun && this.timer) {
+        this.rerun = false;
+        setImmediate(() => this.tick());
+      }
+    }
+  }
+
+  /**
+   * Hold a created lead until one of its assignees is available, or until an AI agent hands it off
+   * @param {Object} result - Engine result; only deferred results and AI agents' first touches (handOffAt) are queued
+   * @param {string} leadId - CRM lead ID
+   * @returns {Promise<Object|null>} The pending assignment, or null when nothing was queued
+   */
+  async defer(result, leadId) {
+    const handOff = !result?.deferred && !!result?.handOffAt && !!result.user;
+    if (!(result?.deferred || handOff) || !leadId) return null;
+
+    if (!isConnected() || !result.locator) {
+      logger.warn('Cannot queue lead for assignment, leaving it unassigned:', { leadId, scope: result.scope });
+      return null;
+    }
+
+    try {
+      const entry = await PendingAssignment.findOneAndUpdate(
+        { leadId: String(leadId) },
+        {
+          $set: {
+            organizationId: result.organizationId,
+            // An AI agent's pick was made in its pool's scope
+            scope: handOff ? result.settingsScope : result.scope,
+            locator: result.locator,
+            ruleId: result.rule?.id || null,
+            reason: handOff ? 'hand-off' : (result.reason || 'working-hours'),
+            pool: handOff ? 'human' : null,
+            skills: result.skills || null,
+            handOffFrom: handOff ? String(result.user.userId) : null,
+            availableAt: handOff ? result.handOffAt : result.availableAt,
+            status: 'pending',
+            attempts: 0
+          },
+          $unset: { lastError: 1, lockedBy: 1, lockedUntil: 1 }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      logger.info('Lead queued for assignment:', { leadId, scope: entry.scope, reason: entry.reason, availableAt: entry.availableAt });
+      return entry;
+    } catch (error) {
+      logger.error('Failed to queue lead for assignment:', error.message);
+      return null;
+    }
+  }
+
+  // Atomically lease the next due entry so concurrent instances never assign the same lead
+  async claimNext() {
+    const now = new Date();
+
+    return PendingAssignment.findOneAndUpdate(
+      {
+        status: { $in: ['pending', 'processing'] },
+        availableAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.lockTimeoutMs)
+        }
+      },
+      { sort: { availableAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Current assignment settings of the integration or form a lead came from
+   */
+  async settingsFor(locator) {
+    const { source, integrationId, pageId, accountId, formId } = locator;
+
+    if (source === 'facebook') {
+      const formAssignmentService = require('./formAssignmentService');
+      return formAssignmentService.getFormAssignmentSettings(integrationId, pageId, formId);
+    }
+
+    if (source === 'linkedin') {
+      const LinkedInIntegration = require('../models/LinkedInIntegration');
+      const integration = await LinkedInIntegration.findById(integrationId);
+      const found = integration?.findLeadForm(formId);
+      return found && String(found.account.id) === String(accountId) ? found.form.assignmentSettings : null;
+    }
+
+    if (source === 'wordpress') {
+      const WordPressIntegration = require('../models/WordPressIntegration');
+      const wordpressService = require('./wordpressService');
+      const integration = await WordPressIntegration.findById(integrationId);
+      return integration ? wordpressService.effectiveAssignmentSettings(integration) : null;
+    }
+
+    const assignmentService = require('./assignmentService');
+    return assignmentService.getIntegrationAssignmentSettings(source, integrationId);
+  }
+
+  // Mirror the pick into the settings' lastAssignment, as a direct assignment does
+  async recordAssignment(locator, result) {
+    const { source, integrationId, pageId, accountId, formId } = locator;
+    const formAssignmentService = require('./formAssignmentService');
+
+    if (source === 'facebook') {
+      return formAssignmentService.updateLastAssignment(integrationId, pageId, formId, result);
+    }
+    if (source === 'linkedin') {
+      return formAssignmentService.updateLinkedInLastAssignment(integrationId, accountId, formId, result);
+    }
+
+    const assignmentService = require('./assignmentService');
+    return assignmentService.updateAssignmentTracking(source, integrationId, result);
+  }
+
+  // Save the outcome and hand the lease back
+  async release(entry, update) {
+    await PendingAssignment.updateOne(
+      { _id: entry._id, lockedBy: this.workerId },
+      {
+        $set: update,
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+  }
+
+  /**
+   * Assign one claimed lead
+   * @returns {Promise<string>} The entry's new status
+   */
+  async process(entry) {
+    const formAssignmentService = require('./formAssignmentService');
+    const organizationId = String(entry.organizationId);
+
+    try {
+      const settings = await this.settingsFor(entry.locator);
+      const result = settings && await assignmentEngine.nextForSettings(entry.scope, settings, {
+        organizationId,
+        locator: entry.locator,
+        ruleId: entry.ruleId,
+        skills: entry.skills,
+        pool: entry.pool
+      });
+
+      if (!result) {
+        await this.release(entry, { status: 'unassigned', lastError: 'No assignee available' });
+        return 'unassigned';
+      }
+
+      // Still nobody available (off shift or full since the lead was queued)
+      if (result.deferred) {
+        await this.release(entry, { status: 'pending', reason: result.reason, availableAt: result.availableAt });
+        return 'pending';
+      }
+
+      const response = await formAssignmentService.assignLeadToUserViaService(entry.leadId, result.user.userId, organizationId);
+      if (!response.success) {
+        // The lead never reached the user, so it must not count against their caps
+        await assigneeCapacityService.release(organizationId, result.user.userId);
+        throw new Error(response.error || 'Lead assignment failed');
+      }
+
+      // The AI agent is done with the lead
+      if (entry.handOffFrom) {
+        await assigneeCapacityService.release(organizationId, entry.handOffFrom, entry.leadId);
+      }
+      await this.recordAssignment(entry.locator, result);
+      await assignmentLog.record(result, entry.leadId, { reason: entry.handOffFrom ? 'hand-off' : undefined });
+      await slaWatcher.watch(result, entry.leadId);
+      await this.release(entry, {
+        status: 'assigned',
+        assignedTo: result.user.userId,
+        assignedAt: new Date(),
+        lastError: null
+      });
+
+      logger.info('Queued lead assigned:', {
+        leadId: entry.leadId,
+        userId: result.user.userId,
+        onCall: !!result.onCall,
+        handOffFrom: entry.handOffFrom || null
+      });
+      return 'assigned';
+    } catch (error) {
+      const attempts = (entry.attempts || 0) + 1;
+      const status = attempts >= this.maxAttempts ? 'failed' : 'pending';
+
+      logger.error(`Queued assignment failed for lead ${entry.leadId}:`, error.message);
+
+      await this.release(entry, {
+        status,
+        attempts,
+        lastError: error.message,
+        availableAt: new Date(Date.now() + this.retryDelayMs * attempts)
+      });
+      return status;
+    }
+  }
+
+  /**
+   * Queued leads of an organization, oldest shift start first
+   */
+  async list(organizationId, { status, limit = 100 } = {}) {
+    const filter = { organizationId };
+    if (status) filter.status = status;
+
+    return PendingAssignment.find(filter)
+      .sort({ availableAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+}
+
+module.exports = new AssignmentQueueService();
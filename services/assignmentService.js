@@ -1,21 +1,35 @@
 const axios = require('axios');
-const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 
 // Import integration models
 const WebsiteIntegration = require('../models/WebsiteIntegration');
 const FacebookIntegration = require('../models/FacebookIntegration');
 const ShopifyIntegration = require('../models/ShopifyIntegration');
+const WordPressIntegration = require('../models/WordPressIntegration');
 const IntegrationConfig = require('../models/IntegrationConfig');
-
-// UUID pattern for AI agents
-const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const assignmentEngine = require('./assignmentEngine.service');
+const assignmentQueue = require('./assignmentQueue.service');
+const assignmentLog = require('./assignmentLog.service');
+const slaWatcher = require('./slaWatcher.service');
+const outboundWebhookService = require('./outboundWebhook.service');
 
 /**
  * Check if an ID is a UUID (AI agent) or ObjectId (human user)
  */
 function isUUID(id) {
-  return typeof id === 'string' && UUID_PATTERN.test(id);
+  return typeof id === 'string' && assignmentEngine.isAIAgent(id);
+}
+
+// Integration types with their own model; anything else is a generic IntegrationConfig
+const INTEGRATION_MODELS = {
+  website: { Model: WebsiteIntegration, path: 'assignmentSettings' },
+  facebook: { Model: FacebookIntegration, path: 'assignmentSettings' },
+  shopify: { Model: ShopifyIntegration, path: 'assignmentSettings' },
+  wordpress: { Model: WordPressIntegration, path: 'assignmentSettings' }
+};
+
+function resolveIntegrationModel(integrationType) {
+  return INTEGRATION_MODELS[integrationType.toLowerCase()] || { Model: IntegrationConfig, path: 'assignmentConfig' };
 }
 
 /**
@@ -70,40 +84,27 @@ class IntegrationAssignmentService {
     try {
       console.log('🔍 Getting assignment settings for:', { integrationType, integrationId });
       
-      let integration;
-      
-      switch (integrationType.toLowerCase()) {
-        case 'website':
-          integration = await WebsiteIntegration.findById(integrationId);
-          console.log('🌐 Website integration found:', !!integration);
-          if (integration) {
-            console.log('🌐 Website assignment settings:', integration.assignmentSettings);
-          }
-          break;
-        case 'facebook':
-          integration = await FacebookIntegration.findById(integrationId);
-          break;
-        case 'shopify':
-          integration = await ShopifyIntegration.findById(integrationId);
-          break;
-        default:
-          integration = await IntegrationConfig.findById(integrationId);
-      }
+      const { Model } = resolveIntegrationModel(integrationType);
+      const integration = await Model.findById(integrationId);
 
       if (!integration) {
         console.log('❌ Integration not found:', integrationId);
         throw new Error(`Integration not found: ${integrationId}`);
       }
 
-      const settings = integration.assignmentSettings || integration.assignmentConfig || {
+      const stored = integration.toObject();
+      const settings = stored.assignmentSettings || stored.assignmentConfig || {
         enabled: false,
         mode: 'manual',
         algorithm: 'weighted-round-robin',
         assignToUsers: []
       };
 
+      // Legacy Shopify/WordPress modes and 'least-active' read as their current equivalent
+      const { mode, algorithm } = assignmentEngine.normalizeSettings(settings);
+
       console.log('✅ Final assignment settings:', settings);
-      return settings;
+      return { ...settings, mode, algorithm };
     } catch (error) {
       console.error('Error getting integration assignment settings:', error);
       throw error;
@@ -126,7 +127,9 @@ class IntegrationAssignmentService {
         const humanUserIds = [];
         const aiAgentUsers = [];
         
-        assignmentSettings.assignToUsers.forEach(user => {
+        const activeUsers = (assignmentSettings.assignToUsers || []).filter(user => user.isActive !== false);
+
+        activeUsers.forEach(user => {
           if (isUUID(user.userId)) {
             // AI Agent - create virtual user
             aiAgentUsers.push({
@@ -135,7 +138,7 @@ class IntegrationAssignmentService {
             });
           } else {
             // Human user - needs auth service lookup
-            humanUserIds.push(user.userId);
+            humanUserIds.push(String(user.userId));
           }
         });
         
@@ -166,7 +169,7 @@ class IntegrationAssignmentService {
           }
         } else if (!authToken && humanUserIds.length > 0) {
           // For website leads without auth, create virtual users for human IDs too
-          const virtualHumanUsers = assignmentSettings.assignToUsers
+          const virtualHumanUsers = activeUsers
             .filter(user => !isUUID(user.userId))
             .map(user => ({
               _id: user.userId,
@@ -226,199 +229,106 @@ class IntegrationAssignmentService {
 
 
   /**
-   * Get the next user to assign based on algorithm
+   * Distribution scope of an integration
+   */
+  getAssignmentScope(integrationType, integrationId) {
+    return assignmentEngine.scopeFor(integrationType.toLowerCase(), integrationId);
+  }
+
+  /**
+   * Pick the next user on shift and record it
+   * @param {Object} [lead] - Lead fields for routing rules
+   * @returns {Promise<Object|null>} Engine result, possibly deferred to the next shift (see assignmentEngine.nextAvailable)
    */
-  async getNextAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId) {
+  async pickAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId, organizationId, lead) {
     if (!eligibleUsers || eligibleUsers.length === 0) {
       return null;
     }
 
-    const algorithm = assignmentSettings.algorithm || 'weighted-round-robin';
-    let selectedUser = null;
-
-    switch (algorithm) {
-      case 'round-robin':
-        selectedUser = await this.getRoundRobinAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId);
-        break;
-      case 'weighted-round-robin':
-        selectedUser = await this.getWeightedRoundRobinAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId);
-        break;
-      case 'least-active':
-        selectedUser = await this.getLeastActiveAssignee(eligibleUsers);
-        break;
-      case 'random':
-        selectedUser = this.getRandomAssignee(eligibleUsers);
-        break;
-      default:
-        selectedUser = await this.getWeightedRoundRobinAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId);
-    }
+    const result = await assignmentEngine.nextAvailable(
+      this.getAssignmentScope(integrationType, integrationId),
+      eligibleUsers,
+      {
+        algorithm: assignmentSettings.algorithm || 'weighted-round-robin',
+        workingHours: assignmentSettings.workingHours,
+        hybrid: assignmentSettings.hybrid,
+        language: assignmentSettings.language
+      },
+      {
+        organizationId,
+        locator: { source: integrationType.toLowerCase(), integrationId: String(integrationId) },
+        lead
+      }
+    );
 
     // Update assignment tracking
-    if (selectedUser) {
-      await this.updateAssignmentTracking(integrationType, integrationId, selectedUser._id, eligibleUsers, selectedUser);
+    if (result && !result.deferred) {
+      await this.updateAssignmentTracking(integrationType, integrationId, result);
     }
 
-    return selectedUser;
+    return result;
   }
 
   /**
-   * Simple round-robin assignment
+   * Get the next user to assign based on algorithm (null when nobody is on shift)
    */
-  async getRoundRobinAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId) {
-    const currentIndex = assignmentSettings.lastAssignment?.roundRobinIndex || 0;
-    const nextIndex = currentIndex >= eligibleUsers.length - 1 ? 0 : currentIndex + 1;
-    
-    const selectedUser = eligibleUsers[nextIndex];
-    selectedUser._usedRoundRobinIndex = nextIndex; // Store the actual index used
-    
-    return selectedUser;
+  async getNextAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId, organizationId) {
+    const result = await this.pickAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId, organizationId);
+    return result && !result.deferred ? result.user : null;
   }
 
   /**
-   * Weighted round-robin assignment (recommended algorithm)
-   * This gives better distribution when users have different weights
+   * Who would get the next assignment, without advancing the distribution
+   * @returns {Promise<Object|null>} { nextAssignee, hybrid } - hybrid says which pool the lead would go to
+   *   (see assignmentEngine.peekAvailable), null without a hybrid strategy
    */
-  async getWeightedRoundRobinAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId) {
-    // Create weighted list where each user appears according to their weight
-    const weightedUsers = [];
-    
-    eligibleUsers.forEach(user => {
-      const weight = user.weight || 1;
-      for (let i = 0; i < weight; i++) {
-        weightedUsers.push(user);
-      }
-    });
-
-    if (weightedUsers.length === 0) return null;
-
-    const currentIndex = assignmentSettings.lastAssignment?.roundRobinIndex || 0;
-    const nextIndex = currentIndex >= weightedUsers.length - 1 ? 0 : currentIndex + 1;
-    
-    // Store the weighted list length and USED INDEX for proper index tracking
-    const selectedUser = weightedUsers[nextIndex];
-    selectedUser._weightedListLength = weightedUsers.length;
-    selectedUser._usedRoundRobinIndex = nextIndex; // Store the actual index used
-    
-    return selectedUser;
-  }
-
-  /**
-   * Assign to user with least active leads
-   */
-  async getLeastActiveAssignee(eligibleUsers) {
-    try {
-      // Get lead counts for each user from leads service
-      const userIds = eligibleUsers.map(u => u._id);
-      const response = await axios.post(`${this.leadsServiceUrl}/api/leads/count-by-users`, {
-        userIds,
-        status: ['new', 'contacted', 'interested', 'qualified'] // Active statuses
-      });
-
-      const leadCounts = response.data.data || {};
-      
-      // Find user with minimum leads
-      let minLeads = Infinity;
-      let selectedUser = eligibleUsers[0];
-
-      eligibleUsers.forEach(user => {
-        const userLeadCount = leadCounts[user._id] || 0;
-        if (userLeadCount < minLeads) {
-          minLeads = userLeadCount;
-          selectedUser = user;
-        }
-      });
-
-      return selectedUser;
-    } catch (error) {
-      console.error('Error in least-active assignment:', error);
-      // Fallback to first user
-      return eligibleUsers[0];
-    }
+  async previewNextAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId, organizationId) {
+    const result = await assignmentEngine.peekAvailable(
+      this.getAssignmentScope(integrationType, integrationId),
+      eligibleUsers,
+      {
+        algorithm: assignmentSettings.algorithm || 'weighted-round-robin',
+        hybrid: assignmentSettings.hybrid
+      },
+      { organizationId }
+    );
+
+    return result && { nextAssignee: result.user, hybrid: result.hybrid || null };
   }
 
   /**
-   * Random assignment
+   * Mirror the latest pick into the integration's lastAssignment
    */
-  getRandomAssignee(eligibleUsers) {
-    const randomIndex = Math.floor(Math.random() * eligibleUsers.length);
-    return eligibleUsers[randomIndex];
+  async updateAssignmentTracking(integrationType, integrationId, result) {
+    const { Model, path } = resolveIntegrationModel(integrationType);
+
+    await assignmentEngine.recordLastAssignment(Model, { _id: integrationId }, path, result);
+
+    console.log('Updated assignment tracking:', {
+      integrationType,
+      integrationId,
+      assigneeId: result.user.userId,
+      assigneeType: isUUID(result.user.userId) ? 'AI Agent' : 'Human User',
+      slot: result.nextIndex,
+      sequence: result.sequence
+    });
   }
 
   /**
-   * Update assignment tracking in integration
+   * Start an integration's distribution over from the first user
    */
-  async updateAssignmentTracking(integrationType, integrationId, userId, eligibleUsers, selectedUser = null) {
-    try {
-      let Model;
-      
-      switch (integrationType.toLowerCase()) {
-        case 'website':
-          Model = WebsiteIntegration;
-          break;
-        case 'facebook':
-          Model = FacebookIntegration;
-          break;
-        case 'shopify':
-          Model = ShopifyIntegration;
-          break;
-        default:
-          Model = IntegrationConfig;
-      }
-
-      // Use the index that was actually used during selection (if available)
-      // This prevents double calculation of nextIndex
-      let nextIndex;
-      if (selectedUser?._usedRoundRobinIndex !== undefined) {
-        // Weighted/regular round-robin: use the index that was already calculated
-        nextIndex = selectedUser._usedRoundRobinIndex;
-      } else {
-        // Fallback for other algorithms: calculate from current settings
-        const currentSettings = await this.getIntegrationAssignmentSettings(integrationType, integrationId);
-        const currentIndex = currentSettings.lastAssignment?.roundRobinIndex || 0;
-        const listLength = eligibleUsers.length;
-        nextIndex = currentIndex >= listLength - 1 ? 0 : currentIndex + 1;
-      }
-
-      // Handle mixed ObjectId/UUID types - store as is since we're using Mixed type
-      const assigneeId = isUUID(userId) ? userId : 
-                         (mongoose.Types.ObjectId.isValid(userId) ? new mongoose.Types.ObjectId(userId) : userId);
-
-      const updateData = {
-        'assignmentSettings.lastAssignment.userId': assigneeId,
-        'assignmentSettings.lastAssignment.timestamp': new Date(),
-        'assignmentSettings.lastAssignment.roundRobinIndex': nextIndex
-      };
-
-      // For IntegrationConfig, use assignmentConfig instead
-      if (integrationType.toLowerCase() === 'generic') {
-        updateData['assignmentConfig.lastAssignment.userId'] = assigneeId;
-        updateData['assignmentConfig.lastAssignment.timestamp'] = new Date();
-        updateData['assignmentConfig.lastAssignment.roundRobinIndex'] = nextIndex;
-        delete updateData['assignmentSettings.lastAssignment.userId'];
-        delete updateData['assignmentSettings.lastAssignment.timestamp'];
-        delete updateData['assignmentSettings.lastAssignment.roundRobinIndex'];
-      }
-
-      await Model.findByIdAndUpdate(integrationId, updateData);
-      
-      console.log('Updated assignment tracking:', {
-        integrationType,
-        integrationId,
-        assigneeId,
-        assigneeType: isUUID(userId) ? 'AI Agent' : 'Human User',
-        currentIndex,
-        nextIndex,
-        listLength
-      });
-    } catch (error) {
-      console.error('Error updating assignment tracking:', error);
-    }
+  async resetAssignmentTracking(integrationType, integrationId) {
+    await assignmentEngine.reset(this.getAssignmentScope(integrationType, integrationId));
+    return this.updateAssignmentSettings(integrationType, integrationId, {
+      lastAssignment: { userId: null, timestamp: null, roundRobinIndex: 0 }
+    });
   }
 
   /**
    * Auto-assign a lead from a specific integration
+   * @param {Object} [lead] - Lead fields for routing rules
    */
-  async autoAssignLead(leadId, integrationType, integrationId, authToken = null) {
+  async autoAssignLead(leadId, integrationType, integrationId, authToken = null, lead = null) {
     try {
       console.log('🔄 Auto-assignment debug:', {
         leadId,
@@ -442,20 +352,8 @@ class IntegrationAssignmentService {
       }
 
       // Get integration to find organization
-      let integration;
-      switch (integrationType.toLowerCase()) {
-        case 'website':
-          integration = await WebsiteIntegration.findById(integrationId);
-          break;
-        case 'facebook':
-          integration = await FacebookIntegration.findById(integrationId);
-          break;
-        case 'shopify':
-          integration = await ShopifyIntegration.findById(integrationId);
-          break;
-        default:
-          integration = await IntegrationConfig.findById(integrationId);
-      }
+      const { Model } = resolveIntegrationModel(integrationType);
+      const integration = await Model.findById(integrationId);
 
       if (!integration) {
         throw new Error('Integration not found');
@@ -471,8 +369,20 @@ class IntegrationAssignmentService {
         return { assigned: false, reason: 'No eligible users found' };
       }
 
-      const assignedUser = await this.getNextAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId);
-      
+      const pick = await this.pickAssignee(eligibleUsers, assignmentSettings, integrationType, integrationId, organizationId, lead);
+
+      if (pick?.deferred) {
+        await assignmentQueue.defer(pick, leadId);
+        await assignmentLog.record(pick, leadId);
+        return {
+          assigned: false,
+          queued: true,
+          availableAt: pick.availableAt,
+          reason: 'No assignee on shift; queued until the next shift starts'
+        };
+      }
+
+      const assignedUser = pick?.user;
       if (!assignedUser) {
         return { assigned: false, reason: 'Failed to select user' };
       }
@@ -504,12 +414,24 @@ class IntegrationAssignmentService {
         });
       }
 
+      await assignmentLog.record(pick, leadId);
+      await slaWatcher.watch(pick, leadId);
+
+      outboundWebhookService.emit('lead.assigned', organizationId, {
+        leadId: String(leadId),
+        assignedTo: String(assignedUser._id || assignedUser.userId),
+        source: integrationType.toLowerCase(),
+        integrationId: String(integrationId),
+        algorithm: assignmentEngine.normalizeAlgorithm(assignmentSettings.algorithm)
+      });
+
       return {
         assigned: true,
         assignedTo: assignedUser._id,
         assignedUser: assignedUser,
-        algorithm: assignmentSettings.algorithm,
-        integration: integrationType
+        algorithm: assignmentEngine.normalizeAlgorithm(pick.rule ? pick.algorithm : assignmentSettings.algorithm),
+        integration: integrationType,
+        ...(pick.rule && { rule: pick.rule })
       };
     } catch (error) {
       console.error('Error in auto-assignment:', error);
@@ -522,26 +444,17 @@ class IntegrationAssignmentService {
    */
   async updateAssignmentSettings(integrationType, integrationId, newSettings) {
     try {
-      let Model;
-      let fieldPath = 'assignmentSettings';
-      
-      switch (integrationType.toLowerCase()) {
-        case 'website':
-          Model = WebsiteIntegration;
-          break;
-        case 'facebook':
-          Model = FacebookIntegration;
-          break;
-        case 'shopify':
-          Model = ShopifyIntegration;
-          break;
-        default:
-          Model = IntegrationConfig;
-          fieldPath = 'assignmentConfig';
-      }
+      const { Model, path: fieldPath } = resolveIntegrationModel(integrationType);
 
       const updateData = {};
       Object.keys(newSettings).forEach(key => {
+        // Partial working hours changes keep the other field
+        if (key === 'workingHours') {
+          Object.keys(newSettings.workingHours).forEach(field => {
+            updateData[`${fieldPath}.workingHours.${field}`] = newSettings.workingHours[field];
+          });
+          return;
+        }
         updateData[`${fieldPath}.${key}`] = newSettings[key];
       });
 
@@ -0,0 +1,416 @@
+const mongoose = require('mongoose');
+const AssignmentLog = require('../models/AssignmentLog');
+const assignmentEngine = require('./assignmentEngine.service');
+const assigneeCapacityService = require('./assigneeCapacity.service');
+const workingHoursService = require('./workingHours.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leads one simulation replays; a synthetic count or history above this is refused
+const MAX_LEADS = 5000;
+// Days of history or of a synthetic period
+const MAX_DAYS = 90;
+
+// A queued or held lead is tried this often before it counts as unassigned
+const MAX_RETRIES = 10;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Deterministic stand-in for Math.random so the same request forecasts the same 'random' distribution
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Forecast of how proposed assignment settings would distribute leads.
+ *
+ * The leads are a synthetic count spread evenly over a period, or the leads
+ * the assignment log saw arrive at a form or integration over the last days.
+ * They are replayed in arrival order against the proposed users, weights,
+ * algorithm, working hours and AI pools, from a fresh distribution and with
+ * the organization's shifts, on-call and overflow pools and per-hour and
+ * per-day caps, as the engine would assign them. Leads queued outside hours or
+ * held for capacity are replayed again when a shift starts or a cap frees up.
+ *
+ * Nothing is stored: the live distribution and loads do not move. Routing
+ * rules and skill matching depend on each lead's answers, and open-lead caps
+ * on when leads are worked, so they are left out.
+ */
+class AssignmentSimulationService {
+  constructor() {
+    this.maxLeads = MAX_LEADS;
+    this.maxDays = MAX_DAYS;
+  }
+
+  /**
+   * Arrival times of `count` synthetic leads spread evenly over `days` days from `start`
+   */
+  syntheticArrivals(count, days = 1, start = new Date()) {
+    const step = (days * DAY_MS) / count;
+    return Array.from({ length: count }, (_, index) => new Date(start.getTime() + Math.floor((index + 0.5) * step)));
+  }
+
+  /**
+   * Arrival times of the leads of a form or integration over the last `days` days:
+   * the first assignment log entry of each lead (assigned or queued on arrival)
+   * @param {Object} locator - { source, integrationId, pageId, accountId, formId }
+   * @returns {Promise<Date[]>} Oldest first, at most MAX_LEADS
+   */
+  async historicalArrivals(organizationId, { source, integrationId, pageId, accountId, formId }, days, now = new Date()) {
+    if (mongoose.connection.readyState !== 1) return [];
+
+    const match = {
+      organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+      source,
+      integrationId: String(integrationId),
+      event: { $in: ['assigned', 'queued'] },
+      createdAt: { $gte: new Date(now.getTime() - days * DAY_MS), $lte: now }
+    };
+    if (pageId) match.pageId = String(pageId);
+    if (accountId) match.accountId = String(accountId);
+    if (formId) match.formId = String(formId);
+
+    const leads = await AssignmentLog.aggregate([
+      { $match: match },
+      { $group: { _id: '$leadId', arrivedAt: { $min: '$createdAt' } } },
+      { $sort: { arrivedAt: 1 } },
+      { $limit: MAX_LEADS }
+    ]);
+
+    return leads.map(lead => lead.arrivedAt);
+  }
+
+  /**
+   * Replay arrivals against proposed settings
+   * @param {Object} settings - Stored or submitted assignment settings (see assignmentEngine.normalizeSettings);
+   *   whether assignment is enabled is not considered
+   * @param {Date[]} arrivals - Arrival times, any order
+   * @returns {Promise<Object>} See summarize()
+   */
+  async simulate(organizationId, settings, arrivals) {
+    const normalized = assignmentEngine.normalizeSettings(settings);
+    const capacity = await assigneeCapacityService.getOrganizationCapacity(organizationId);
+
+    const run = {
+      organizationId,
+      settings: normalized,
+      capacity,
+      capsEnabled: assigneeCapacityService.isEnabled(capacity),
+      random: seededRandom(arrivals.length + normalized.users.length),
+      scopes: new Map(),
+      loads: new Map(),
+      assigned: new Map(),
+      capped: new Map(),
+      breaches: new Map(),
+      totals: { assigned: 0, onCall: 0, overflow: 0, handedOff: 0, outsideHours: 0, capacity: 0 }
+    };
+
+    // Leads waiting for their time, latest first so the next one pops off the end
+    const pending = arrivals
+      .map(at => ({ at: new Date(at), retries: 0 }))
+      .sort((a, b) => b.at - a.at);
+    const enqueue = (lead) => {
+      let index = pending.length;
+      while (index > 0 && pending[index - 1].at < lead.at) index--;
+      pending.splice(index, 0, lead);
+    };
+
+    while (pending.length > 0) {
+      const lead = pending.pop();
+      const result = await this.decide(run, lead);
+
+      if (result?.deferred && lead.retries < MAX_RETRIES) {
+        enqueue({ ...lead, at: result.availableAt, retries: lead.retries + 1 });
+      } else if (result?.user) {
+        await this.count(run, result, lead);
+        if (result.handOffAt) {
+          enqueue({ at: result.handOffAt, retries: 0, pool: 'human' });
+        }
+      } else if (lead.pool !== 'human') {
+        // A lead no human takes over stays with its AI agent
+        run.totals[result?.reason === 'working-hours' ? 'outsideHours' : 'capacity'] += 1;
+      }
+    }
+
+    logger.info('Simulated assignment:', {
+      organizationId: String(organizationId),
+      leads: arrivals.length,
+      algorithm: normalized.algorithm,
+      users: normalized.users.length
+    });
+
+    return this.summarize(run, arrivals);
+  }
+
+  /**
+   * What the engine would do with one lead at its time; mirrors nextOnShift() and nextHybrid()
+   * @returns {Promise<Object|null>} { user, pool, onCall, overflow, handOffAt }, { deferred, availableAt, reason },
+   *   or { user: null, reason } when the lead would be left unassigned
+   */
+  async decide(run, lead) {
+    const { users, hybrid } = run.settings;
+    const ai = users.filter(user => assignmentEngine.isAIAgent(user.userId));
+    const humans = users.filter(user => !assignmentEngine.isAIAgent(user.userId));
+
+    const toHumans = async (workingHours) => {
+      const result = await this.onShift(run, humans, lead.at, workingHours);
+      return result?.user ? { ...result, pool: 'human' } : result;
+    };
+    const toAI = async () => {
+      const result = await this.withinCapacity(run, 'ai', ai, lead.at, false);
+      return result && { ...result, pool: 'ai' };
+    };
+    // Humans who cannot take the lead now pass it to the AI agents, unless it waits for them
+    const orAI = async (result) => (result?.user || result?.deferred ? result : (await toAI()) || result);
+
+    if (lead.pool === 'human') return toHumans();
+    if (hybrid.strategy === 'none' || ai.length === 0 || humans.length === 0) {
+      return this.onShift(run, users, lead.at);
+    }
+
+    if (hybrid.strategy === 'ai-first') {
+      const result = await toAI();
+      return result
+        ? { ...result, handOffAt: new Date(lead.at.getTime() + hybrid.handOffMinutes * 60 * 1000) }
+        : toHumans();
+    }
+
+    if (hybrid.strategy === 'ai-outside-hours') {
+      return orAI(await toHumans({ enabled: true, outsideHours: 'unassigned' }));
+    }
+
+    const split = this.scope(run, 'split');
+    split.sequence += 1;
+    if (assignmentEngine.splitToAI(split.sequence, hybrid.aiPercent)) {
+      return (await toAI()) || toHumans();
+    }
+    return orAI(await toHumans());
+  }
+
+  async onShift(run, users, at, workingHours = run.settings.workingHours) {
+    if (!workingHours.enabled) {
+      return this.withinCapacity(run, 'main', users, at, true);
+    }
+
+    const availability = await workingHoursService.getAvailability(run.organizationId, users.map(user => user.userId), at);
+    const onShift = users.filter(user => availability.onShift.includes(user.userId));
+    if (onShift.length > 0) {
+      return this.withinCapacity(run, 'main', onShift, at, true);
+    }
+
+    if (workingHours.outsideHours === 'on-call' && availability.onCall.length > 0) {
+      const onCall = assignmentEngine.normalizeUsers(availability.onCall.map(userId => ({ userId })));
+      const result = await this.withinCapacity(run, 'on-call', onCall, at, false, 'round-robin');
+      if (result) return { ...result, onCall: true };
+    }
+
+    if (workingHours.outsideHours === 'queue' && availability.availableAt) {
+      return { deferred: true, availableAt: availability.availableAt, reason: 'working-hours' };
+    }
+    return { user: null, reason: 'working-hours' };
+  }
+
+  /**
+   * Pick among the users under their per-hour and per-day caps at `at`, with the
+   * organization's overflow rule when all are full (see nextWithinCapacity())
+   */
+  async withinCapacity(run, scope, users, at, overflow, algorithm = run.settings.algorithm) {
+    if (users.length === 0) return null;
+    if (!run.capsEnabled) {
+      return { user: this.pick(run, scope, users, algorithm) };
+    }
+
+    const free = [];
+    let freesAt = null;
+    for (const user of users) {
+      const full = await this.fullUntil(run, user.userId, at);
+      if (!full) {
+        free.push(user);
+      } else if (!freesAt || full < freesAt) {
+        freesAt = full;
+      }
+    }
+
+    if (free.length > 0) {
+      const user = this.pick(run, scope, free, algorithm);
+      users.filter(candidate => !free.includes(candidate)).forEach(candidate => {
+        run.capped.set(candidate.userId, (run.capped.get(candidate.userId) || 0) + 1);
+      });
+      return { user };
+    }
+
+    users.forEach(candidate => run.capped.set(candidate.userId, (run.capped.get(candidate.userId) || 0) + 1));
+    if (!overflow) return null;
+
+    const overflowPool = (run.capacity.overflowPool || []).map(userId => ({ userId: String(userId) }));
+    if (run.capacity.overflow === 'pool' && overflowPool.length > 0) {
+      const result = await this.withinCapacity(run, 'overflow', assignmentEngine.normalizeUsers(overflowPool), at, false, 'round-robin');
+      return result && { ...result, overflow: true };
+    }
+    if (run.capacity.overflow === 'hold' && freesAt) {
+      return { deferred: true, availableAt: freesAt, reason: 'capacity' };
+    }
+    return { user: null, reason: 'capacity' };
+  }
+
+  /**
+   * When a user at a cap has room again, null when they have room now. A cap reached
+   * is recorded once per user, cap and window.
+   */
+  async fullUntil(run, userId, at) {
+    const limits = assigneeCapacityService.limitsFor(run.capacity, userId);
+    if (limits.maxPerHour === null && limits.maxPerDay === null) return null;
+
+    const windows = await assigneeCapacityService.windowsFor(run.organizationId, userId, at);
+    const usage = assigneeCapacityService.usage(run.loads.get(userId), windows);
+    const full = [
+      { cap: 'maxPerHour', used: usage.hour, window: windows.hourKey, endsAt: windows.hourEndsAt },
+      { cap: 'maxPerDay', used: usage.day, window: windows.dayKey, endsAt: windows.dayEndsAt }
+    ].filter(({ cap, used }) => limits[cap] !== null && used >= limits[cap]);
+    if (full.length === 0) return null;
+
+    full.forEach(({ cap, window }) => {
+      const key = `${userId}|${cap}|${window}`;
+      const breach = run.breaches.get(key) || { userId, cap, limit: limits[cap], window, leadsPassedOn: 0 };
+      breach.leadsPassedOn += 1;
+      run.breaches.set(key, breach);
+    });
+
+    return new Date(Math.max(...full.map(({ endsAt }) => endsAt.getTime())));
+  }
+
+  // The engine's pick over a simulated, initially empty scope state
+  pick(run, scope, users, algorithm) {
+    const state = this.scope(run, scope);
+    const name = assignmentEngine.normalizeAlgorithm(algorithm);
+    let user;
+
+    if (name === 'least-assigned') {
+      user = users[assignmentEngine.leastAssignedIndex(users, state.counts, state.sequence)];
+    } else if (name === 'random') {
+      user = users[Math.floor(run.random() * users.length)];
+    } else {
+      const slots = assignmentEngine.slotsFor(users, name);
+      user = slots[state.sequence % slots.length];
+    }
+
+    state.sequence += 1;
+    state.counts[user.userId] = (state.counts[user.userId] || 0) + 1;
+    return user;
+  }
+
+  scope(run, name) {
+    if (!run.scopes.has(name)) {
+      run.scopes.set(name, { sequence: 0, counts: {} });
+    }
+    return run.scopes.get(name);
+  }
+
+  // Count an assignment against the user's simulated load and peaks
+  async count(run, result, lead) {
+    const { userId } = result.user;
+    const windows = await assigneeCapacityService.windowsFor(run.organizationId, userId, lead.at);
+    const load = run.loads.get(userId);
+    const usage = assigneeCapacityService.usage(load, windows);
+    run.loads.set(userId, {
+      hourKey: windows.hourKey,
+      hourCount: usage.hour + 1,
+      dayKey: windows.dayKey,
+      dayCount: usage.day + 1,
+      peakPerHour: Math.max(load?.peakPerHour || 0, usage.hour + 1),
+      peakPerDay: Math.max(load?.peakPerDay || 0, usage.day + 1)
+    });
+
+    const pool = result.onCall ? 'on-call' : result.overflow ? 'overflow' : result.pool || null;
+    const entry = run.assigned.get(userId) || { assigned: 0, pool };
+    entry.assigned += 1;
+    run.assigned.set(userId, entry);
+
+    if (lead.pool === 'human') {
+      run.totals.handedOff += 1;
+      return;
+    }
+    run.totals.assigned += 1;
+    if (result.onCall) run.totals.onCall += 1;
+    if (result.overflow) run.totals.overflow += 1;
+  }
+
+  /**
+   * @returns {Object} {
+   *   leads, assigned, onCall, overflow, handedOff, unassigned: { outsideHours, capacity },
+   *   algorithm, period: { from, to },
+   *   users: [{ userId, weight, pool, assigned, share, expectedShare, peakPerHour, peakPerDay, cappedLeads }],
+   *   capBreaches: [{ userId, cap, limit, window, leadsPassedOn }], idleUsers: [userId]
+   * }
+   * share is of the assignments; expectedShare is what the weights entitle a user to within their pool.
+   * Users of the on-call and overflow pools are listed after the proposed users.
+   */
+  summarize(run, arrivals) {
+    const { users, algorithm, hybrid } = run.settings;
+    const picks = [...run.assigned.values()].reduce((sum, entry) => sum + entry.assigned, 0);
+    const poolOf = (userId) => (hybrid.strategy !== 'none' ? (assignmentEngine.isAIAgent(userId) ? 'ai' : 'human') : null);
+
+    // Each pool's users share the assignments that pool got
+    const expected = new Map();
+    [...new Set(users.map(user => poolOf(user.userId)))].forEach(pool => {
+      const members = users.filter(user => poolOf(user.userId) === pool);
+      const poolPicks = members.reduce((sum, user) => sum + (run.assigned.get(user.userId)?.assigned || 0), 0);
+      const totalWeight = members.reduce((sum, user) => sum + (algorithm === 'weighted-round-robin' ? user.weight : 1), 0);
+      members.forEach(user => {
+        const weight = algorithm === 'weighted-round-robin' ? user.weight : 1;
+        expected.set(user.userId, picks ? (poolPicks / picks) * (weight / totalWeight) : weight / totalWeight);
+      });
+    });
+
+    const row = (userId, weight, pool) => {
+      const assigned = run.assigned.get(userId)?.assigned || 0;
+      const load = run.loads.get(userId);
+      return {
+        userId,
+        weight,
+        pool,
+        assigned,
+        share: picks ? round(assigned / picks, 4) : 0,
+        expectedShare: expected.has(userId) ? round(expected.get(userId), 4) : null,
+        peakPerHour: load?.peakPerHour || 0,
+        peakPerDay: load?.peakPerDay || 0,
+        cappedLeads: run.capped.get(userId) || 0
+      };
+    };
+
+    const listed = new Set(users.map(user => user.userId));
+    const rows = [
+      ...users.map(user => row(user.userId, user.weight, poolOf(user.userId))),
+      ...[...run.assigned.entries()]
+        .filter(([userId]) => !listed.has(userId))
+        .map(([userId, entry]) => row(userId, null, entry.pool))
+    ];
+
+    const times = arrivals.map(at => new Date(at).getTime());
+    const { totals } = run;
+
+    return {
+      leads: arrivals.length,
+      assigned: totals.assigned,
+      onCall: totals.onCall,
+      overflow: totals.overflow,
+      handedOff: totals.handedOff,
+      unassigned: { outsideHours: totals.outsideHours, capacity: totals.capacity },
+      algorithm,
+      period: times.length > 0 ? { from: new Date(Math.min(...times)), to: new Date(Math.max(...times)) } : null,
+      users: rows,
+      capBreaches: [...run.breaches.values()].sort((a, b) => a.window.localeCompare(b.window) || a.userId.localeCompare(b.userId)),
+      idleUsers: users.filter(user => !run.assigned.has(user.userId)).map(user => user.userId)
+    };
+  }
+}
+
+module.exports = new AssignmentSimulationService();
@@ -0,0 +1,440 @@
+const mongoose = require('mongoose');
+const AssignmentTemplate = require('../models/AssignmentTemplate');
+const FacebookIntegration = require('../models/FacebookIntegration');
+const LinkedInIntegration = require('../models/LinkedInIntegration');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const ShopifyIntegration = require('../models/ShopifyIntegration');
+const WordPressIntegration = require('../models/WordPressIntegration');
+const assignmentEngine = require('./assignmentEngine.service');
+const skillMatchingService = require('./skillMatching.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// The assignment settings a template holds and applying or copying writes; lastAssignment stays per form
+const TEMPLATE_FIELDS = ['enabled', 'mode', 'algorithm', 'assignToUsers', 'workingHours', 'hybrid', 'language'];
+
+// Sources whose settings live on each lead form rather than on the integration
+const FORM_SOURCES = ['facebook', 'linkedin'];
+const INTEGRATION_MODELS = {
+  website: WebsiteIntegration,
+  shopify: ShopifyIntegration,
+  wordpress: WordPressIntegration
+};
+const TARGET_SOURCES = [...FORM_SOURCES, ...Object.keys(INTEGRATION_MODELS)];
+
+// Forms and integrations one request may change, after page and account targets are expanded
+const MAX_TARGETS = 500;
+
+const EMPTY_LAST_ASSIGNMENT = { userId: null, timestamp: null, roundRobinIndex: 0 };
+
+/**
+ * Bulk assignment settings management.
+ *
+ * A template is a named set of assignment settings (users, algorithm,
+ * working hours, AI pools, language) that can be applied to many lead forms
+ * and integrations in one go; settings can also be copied from one form or
+ * integration to others. A target is { source, integrationId } for website,
+ * Shopify and WordPress, and { source, integrationId, pageId, formId } or
+ * { source, integrationId, accountId, formId } for Facebook and LinkedIn
+ * lead forms - leaving out formId targets every form of the page or ad
+ * account, leaving out the page or account too every form of the
+ * integration. The organization's default template is applied to Facebook
+ * lead forms the first time a page sync finds them.
+ */
+class AssignmentTemplateService {
+  constructor() {
+    this.fields = TEMPLATE_FIELDS;
+  }
+
+  /**
+   * Problems with submitted assignment settings; every field is optional
+   * @returns {string[]} Empty when valid
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return ['settings must be an object'];
+
+    const errors = [];
+    if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+      errors.push('enabled must be a boolean');
+    }
+    if (settings.mode !== undefined && !assignmentEngine.isValidMode(settings.mode)) {
+      errors.push('mode must be auto, manual or specific');
+    }
+    if (settings.algorithm !== undefined && !assignmentEngine.isValidAlgorithm(settings.algorithm)) {
+      errors.push('algorithm must be round-robin, weighted-round-robin, least-assigned or random');
+    }
+    if (settings.assignToUsers !== undefined && (!Array.isArray(settings.assignToUsers) ||
+      settings.assignToUsers.some(user => !user || !user.userId ||
+        (user.weight !== undefined && (!Number.isInteger(user.weight) || user.weight < 1 || user.weight > 10))))) {
+      errors.push('assignToUsers must be an array of { userId, weight (1-10) }');
+    }
+    if (settings.workingHours !== undefined && !assignmentEngine.isValidWorkingHours(settings.workingHours)) {
+      errors.push('workingHours must be an object with enabled (boolean) and outsideHours (queue, on-call or unassigned)');
+    }
+    if (settings.hybrid !== undefined && !assignmentEngine.isValidHybrid(settings.hybrid)) {
+      errors.push('hybrid must be an object with strategy (none, ai-first, ai-outside-hours or ai-split), aiPercent (0-100) and handOffMinutes (1-10080)');
+    }
+    if (settings.language !== undefined && settings.language !== null && !skillMatchingService.normalizeLanguage(settings.language)) {
+      errors.push('language must be an ISO 639-1 code (e.g. hi, ta, en), a locale, a language name or null');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Problems with bulk targets
+   * @returns {string[]} Empty when valid
+   */
+  validateTargets(targets) {
+    if (!Array.isArray(targets) || targets.length === 0) return ['targets must be a non-empty array'];
+
+    const errors = [];
+    targets.forEach((target, index) => {
+      const label = `targets[${index}]`;
+      if (!target || typeof target !== 'object') {
+        errors.push(`${label} must be an object`);
+      } else if (!TARGET_SOURCES.includes(target.source)) {
+        errors.push(`${label}.source must be one of: ${TARGET_SOURCES.join(', ')}`);
+      } else if (!mongoose.Types.ObjectId.isValid(target.integrationId)) {
+        errors.push(`${label}.integrationId must be an integration ID`);
+      } else if (target.formId && target.source === 'facebook' && !target.pageId) {
+        errors.push(`${label}.pageId is required with formId`);
+      } else if (target.formId && target.source === 'linkedin' && !target.accountId) {
+        errors.push(`${label}.accountId is required with formId`);
+      }
+    });
+
+    return errors;
+  }
+
+  // The stored form of submitted settings; fields not given are left out
+  toSettings(settings) {
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (settings[field] !== undefined) fields[field] = settings[field];
+    });
+
+    if (fields.algorithm) fields.algorithm = assignmentEngine.normalizeAlgorithm(fields.algorithm);
+    if (fields.workingHours) fields.workingHours = assignmentEngine.mergeWorkingHours(undefined, fields.workingHours);
+    if (fields.hybrid) fields.hybrid = assignmentEngine.mergeHybrid(undefined, fields.hybrid);
+    if (fields.language !== undefined) fields.language = skillMatchingService.normalizeLanguage(fields.language);
+    if (fields.assignToUsers) {
+      fields.assignToUsers = fields.assignToUsers.map(({ userId, weight, isActive }) => ({
+        userId: String(userId),
+        weight: weight || 1,
+        isActive: isActive !== false
+      }));
+    }
+
+    return fields;
+  }
+
+  // toSettings() of submitted changes, with partial working hours and hybrid changes keeping the current values
+  changedSettings(current, changes) {
+    const fields = this.toSettings(changes);
+    if (changes.workingHours) fields.workingHours = assignmentEngine.mergeWorkingHours(current?.workingHours, changes.workingHours);
+    if (changes.hybrid) fields.hybrid = assignmentEngine.mergeHybrid(current?.hybrid, changes.hybrid);
+    return fields;
+  }
+
+  // A target naming one form or integration, e.g. to copy from
+  isSingleTarget(target) {
+    return this.validateTargets([target]).length === 0 && (!FORM_SOURCES.includes(target.source) || !!target.formId);
+  }
+
+  // The TEMPLATE_FIELDS of stored settings (a template's, a form's or an integration's)
+  settingsOf(settings) {
+    if (!settings) return null;
+
+    const fields = {};
+    TEMPLATE_FIELDS.forEach(field => {
+      if (settings[field] !== undefined) fields[field] = settings[field];
+    });
+    if (fields.assignToUsers) {
+      fields.assignToUsers = fields.assignToUsers.map(({ userId, weight, isActive }) => ({ userId, weight, isActive }));
+    }
+
+    return fields;
+  }
+
+  async listTemplates(organizationId) {
+    return AssignmentTemplate.find({ organizationId }).sort({ isDefault: -1, name: 1 }).lean();
+  }
+
+  async getTemplate(organizationId, id) {
+    return AssignmentTemplate.findOne({ _id: id, organizationId }).lean();
+  }
+
+  /**
+   * @param {Object} template - { name, description, settings, isDefault }
+   */
+  async createTemplate(organizationId, { name, description, settings, isDefault }, userId) {
+    if (isDefault) {
+      await this.clearDefault(organizationId);
+    }
+
+    return AssignmentTemplate.create({
+      organizationId,
+      name,
+      description,
+      settings: this.toSettings(settings || {}),
+      isDefault: !!isDefault,
+      createdBy: userId ? String(userId) : undefined,
+      updatedBy: userId ? String(userId) : undefined
+    });
+  }
+
+  /**
+   * Change the given fields; settings fields not given keep their values
+   */
+  async updateTemplate(organizationId, id, { name, description, settings, isDefault }, userId) {
+    const $set = { updatedBy: userId ? String(userId) : undefined };
+    if (name !== undefined) $set.name = name;
+    if (description !== undefined) $set.description = description;
+    if (isDefault !== undefined) $set.isDefault = isDefault;
+    if (settings) {
+      const current = await this.getTemplate(organizationId, id);
+      if (!current) return null;
+
+      const fields = this.changedSettings(current.settings, settings);
+      Object.keys(fields).forEach(field => {
+        $set[`settings.${field}`] = fields[field];
+      });
+    }
+
+    if (isDefault) {
+      await this.clearDefault(organizationId, id);
+    }
+
+    return AssignmentTemplate.findOneAndUpdate(
+      { _id: id, organizationId },
+      { $set },
+      { new: true, runValidators: true }
+    );
+  }
+
+  async deleteTemplate(organizationId, id) {
+    return AssignmentTemplate.findOneAndDelete({ _id: id, organizationId });
+  }
+
+  async clearDefault(organizationId, exceptId) {
+    const filter = { organizationId, isDefault: true };
+    if (exceptId) filter._id = { $ne: exceptId };
+    await AssignmentTemplate.updateMany(filter, { $set: { isDefault: false } });
+  }
+
+  /**
+   * Settings of the organization's default template, for lead forms seen for the first time
+   * @returns {Promise<Object|null>} null when there is none
+   */
+  async getDefaultSettings(organizationId) {
+    if (!organizationId || !isConnected()) return null;
+
+    try {
+      const template = await AssignmentTemplate.findOne({ organizationId, isDefault: true }).select('settings').lean();
+      return template ? this.settingsOf(template.settings) : null;
+    } catch (error) {
+      // New forms then start with assignment off, as before templates
+      logger.error('Failed to load default assignment template:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Where a form's or integration's settings are stored, in the shape
+   * assignmentEngine.recordLastAssignment() takes, plus its distribution scope
+   * @returns {Object} { Model, filter, path, options, scope }
+   */
+  locate(organizationId, { source, integrationId, pageId, accountId, formId }) {
+    if (source === 'facebook') {
+      return {
+        Model: FacebookIntegration,
+        filter: { _id: integrationId, organizationId, 'fbPages.id': pageId, 'fbPages.leadForms.id': formId },
+        path: 'fbPages.$[page].leadForms.$[form].assignmentSettings',
+        options: { arrayFilters: [{ 'page.id': pageId }, { 'form.id': formId }] },
+        scope: assignmentEngine.scopeFor('facebook', integrationId, pageId, formId)
+      };
+    }
+    if (source === 'linkedin') {
+      return {
+        Model: LinkedInIntegration,
+        filter: { _id: integrationId, organizationId, 'adAccounts.id': accountId, 'adAccounts.leadForms.id': formId },
+        path: 'adAccounts.$[account].leadForms.$[form].assignmentSettings',
+        options: { arrayFilters: [{ 'account.id': accountId }, { 'form.id': formId }] },
+        scope: assignmentEngine.scopeFor('linkedin', integrationId, accountId, formId)
+      };
+    }
+
+    return {
+      Model: INTEGRATION_MODELS[source],
+      filter: { _id: integrationId, organizationId },
+      path: 'assignmentSettings',
+      options: {},
+      scope: assignmentEngine.scopeFor(source, integrationId)
+    };
+  }
+
+  // A target's lead forms: pages (Facebook) or ad accounts (LinkedIn) with their forms
+  formGroups(source, integration) {
+    return source === 'facebook'
+      ? (integration.fbPages || []).map(page => ({ key: 'pageId', id: page.id, forms: page.leadForms || [] }))
+      : (integration.adAccounts || []).map(account => ({ key: 'accountId', id: account.id, forms: account.leadForms || [] }));
+  }
+
+  /**
+   * One target per form for page, ad account and integration-wide form targets
+   * @returns {Promise<Array>} [{ target, error }] - error when the integration, page or account is not found
+   */
+  async expandTargets(organizationId, targets) {
+    const expanded = [];
+
+    for (const target of targets) {
+      if (!FORM_SOURCES.includes(target.source) || target.formId) {
+        expanded.push({ target });
+        continue;
+      }
+
+      const Model = target.source === 'facebook' ? FacebookIntegration : LinkedInIntegration;
+      const integration = await Model.findOne({ _id: target.integrationId, organizationId })
+        .select(target.source === 'facebook' ? 'fbPages.id fbPages.leadForms.id' : 'adAccounts.id adAccounts.leadForms.id')
+        .lean();
+      if (!integration) {
+        expanded.push({ target, error: 'Integration not found' });
+        continue;
+      }
+
+      const groupId = target.source === 'facebook' ? target.pageId : target.accountId;
+      const groups = this.formGroups(target.source, integration).filter(group => !groupId || group.id === groupId);
+      if (groupId && groups.length === 0) {
+        expanded.push({ target, error: target.source === 'facebook' ? 'Page not found' : 'Ad account not found' });
+        continue;
+      }
+
+      groups.forEach(group => group.forms.forEach(form => {
+        expanded.push({
+          target: { source: target.source, integrationId: String(target.integrationId), [group.key]: group.id, formId: form.id }
+        });
+      }));
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Current settings of one form or integration
+   * @returns {Promise<Object|null>} See settingsOf(); null when not found in the organization
+   */
+  async readSettings(organizationId, target) {
+    const { source, integrationId, pageId, accountId, formId } = target;
+    if (!FORM_SOURCES.includes(source)) {
+      const integration = await INTEGRATION_MODELS[source].findOne({ _id: integrationId, organizationId })
+        .select('assignmentSettings')
+        .lean();
+      return integration ? this.settingsOf(integration.assignmentSettings || {}) : null;
+    }
+
+    const Model = source === 'facebook' ? FacebookIntegration : LinkedInIntegration;
+    const integration = await Model.findOne({ _id: integrationId, organizationId }).lean();
+    if (!integration) return null;
+
+    const group = this.formGroups(source, integration).find(entry => entry.id === (source === 'facebook' ? pageId : accountId));
+    const form = group?.forms.find(entry => entry.id === formId);
+    return form ? this.settingsOf(form.assignmentSettings || {}) : null;
+  }
+
+  /**
+   * Write settings to many forms and integrations. A changed user list starts its
+   * distribution over, as when the users of one form are reset.
+   * @param {Object} settings - See toSettings(); only the fields given are written
+   * @param {Array} targets - See the class comment
+   * @returns {Promise<Object>} { applied, failed, results: [{ target, success, error }] }
+   */
+  async apply(organizationId, settings, targets) {
+    const fields = this.toSettings(settings);
+    const expanded = await this.expandTargets(organizationId, targets);
+    if (expanded.length > MAX_TARGETS) {
+      const error = new Error(`At most ${MAX_TARGETS} forms and integrations can be changed at once, got ${expanded.length}`);
+      error.code = 'TOO_MANY_TARGETS';
+      throw error;
+    }
+
+    const results = [];
+    for (const { target, error } of expanded) {
+      if (error) {
+        results.push({ target, success: false, error });
+        continue;
+      }
+
+      try {
+        const { Model, filter, path, options, scope } = this.locate(organizationId, target);
+        const $set = {};
+        Object.keys(fields).forEach(field => {
+          $set[`${path}.${field}`] = fields[field];
+        });
+        if (fields.assignToUsers) {
+          $set[`${path}.lastAssignment`] = EMPTY_LAST_ASSIGNMENT;
+        }
+
+        const result = await Model.updateOne(filter, { $set }, options);
+        if (result.matchedCount === 0) {
+          results.push({ target, success: false, error: FORM_SOURCES.includes(target.source) ? 'Form not found' : 'Integration not found' });
+          continue;
+        }
+
+        if (fields.assignToUsers) {
+          await assignmentEngine.reset(scope);
+        }
+        results.push({ target, success: true });
+      } catch (applyError) {
+        logger.error('Failed to apply assignment settings:', { target, error: applyError.message });
+        results.push({ target, success: false, error: applyError.message });
+      }
+    }
+
+    const applied = results.filter(result => result.success).length;
+    logger.info('Applied assignment settings in bulk', { organizationId: String(organizationId), applied, failed: results.length - applied });
+
+    return { applied, failed: results.length - applied, results };
+  }
+
+  /**
+   * Apply a template to many forms and integrations
+   * @returns {Promise<Object|null>} See apply(); null when the template is not found
+   */
+  async applyTemplate(organizationId, id, targets) {
+    const template = await this.getTemplate(organizationId, id);
+    if (!template) return null;
+
+    return this.apply(organizationId, this.settingsOf(template.settings), targets);
+  }
+
+  /**
+   * Copy one form's or integration's settings to others
+   * @param {Object} from - A single form or integration target
+   * @param {string[]} [fields] - Only these TEMPLATE_FIELDS; default all
+   * @returns {Promise<Object|null>} See apply(); null when the source is not found
+   */
+  async copy(organizationId, from, to, fields = TEMPLATE_FIELDS) {
+    const settings = await this.readSettings(organizationId, from);
+    if (!settings) return null;
+
+    const picked = {};
+    fields.forEach(field => {
+      if (settings[field] !== undefined) picked[field] = settings[field];
+    });
+
+    // The source itself is left alone when a page or integration target includes it
+    const sameAs = (target) => ['source', 'integrationId', 'pageId', 'accountId', 'formId']
+      .every(key => String(target[key] ?? '') === String(from[key] ?? ''));
+    const expanded = await this.expandTargets(organizationId, to);
+    const targets = expanded.filter(entry => entry.error || !sameAs(entry.target)).map(entry => entry.target);
+    if (targets.length === 0) {
+      return { applied: 0, failed: 0, results: [] };
+    }
+
+    return this.apply(organizationId, picked, targets);
+  }
+}
+
+module.exports = new AssignmentTemplateService();
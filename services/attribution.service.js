@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const LeadAttribution = require('../models/LeadAttribution');
+const { buildDateMatch } = require('../middleware/dateFilter');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const UTM_PARAMS = { utm_source: 'source', utm_medium: 'medium', utm_campaign: 'campaign', utm_term: 'term', utm_content: 'content' };
+const CLICK_IDS = ['gclid', 'fbclid'];
+const MAX_LENGTH = 500;
+
+// Labels for leads whose touch had no value for a dimension, as analytics tools show them
+const NOT_SET = { campaign: '(not set)', source: '(direct)', medium: '(none)' };
+
+/**
+ * First- and last-touch attribution of website and WordPress leads.
+ *
+ * The loader script and the WordPress plugin keep the visitor's touches in a
+ * first-party cookie (jesty_attribution): the visit that first brought them to
+ * the site and the latest one that came from a campaign link or another site.
+ * Each touch carries the utm_* parameters, gclid/fbclid, the referrer, the
+ * landing page and when it happened. Submissions post the cookie as
+ * `attribution`; older snippets only post flat utm_* fields, which count as
+ * both touches.
+ *
+ * The normalized touches go to the leads-service in sourceDetails.attribution
+ * and are recorded here for the campaign / source / medium breakdown.
+ * Recording never fails lead processing; errors are only logged.
+ */
+class AttributionService {
+  /**
+   * Structured attribution of a submission
+   * @param {Object|string} [captured] - The cookie's { first, last } touches, as an object or its JSON
+   * @param {Object} [fields] - Submission fields; utm_*, gclid, fbclid, referrer and landingPage (or page)
+   *   stand in when nothing was captured
+   * @returns {Object|null} { firstTouch, lastTouch }, or null when the submission carries neither
+   */
+  fromSubmission(captured, fields = {}) {
+    let touches = captured;
+    if (typeof touches === 'string') {
+      try {
+        touches = JSON.parse(touches);
+      } catch (error) {
+        touches = null;
+      }
+    }
+    if (!touches || typeof touches !== 'object') touches = {};
+
+    const posted = this.toTouch({ ...fields, landingPage: fields.landingPage || fields.page });
+    const lastTouch = this.toTouch(touches.last || touches.lastTouch) || posted;
+    const firstTouch = this.toTouch(touches.first || touches.firstTouch) || lastTouch;
+
+    return lastTouch ? { firstTouch, lastTouch } : null;
+  }
+
+  /**
+   * One touch from utm_* parameters, click IDs, referrer, landingPage and at.
+   * Without utm_source the source and medium come from the click ID or referrer.
+   * @returns {Object|null} null when there is nothing to attribute
+   */
+  toTouch(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const touch = {};
+    Object.entries(UTM_PARAMS).forEach(([param, key]) => {
+      const value = this.text(raw[param]);
+      if (value) touch[key] = value;
+    });
+    CLICK_IDS.forEach(param => {
+      const value = this.text(raw[param]);
+      if (value) touch[param] = value;
+    });
+
+    const landingPage = this.url(raw.landingPage);
+    const referrer = this.url(raw.referrer);
+    if (landingPage) touch.landingPage = landingPage.href.slice(0, MAX_LENGTH);
+    // Moving between pages of the same site is not a referral
+    if (referrer && referrer.host !== landingPage?.host) touch.referrer = referrer.href.slice(0, MAX_LENGTH);
+
+    if (Object.keys(touch).length === 0) return null;
+
+    if (!touch.source) {
+      const channel = this.channel(touch, referrer);
+      touch.source = channel.source;
+      touch.medium = touch.medium || channel.medium;
+    }
+
+    const at = raw.at ? new Date(raw.at) : null;
+    if (at && !isNaN(at.getTime())) touch.at = at;
+
+    return touch;
+  }
+
+  // Google Ads auto-tags with gclid; Facebook adds fbclid to every outbound link, paid or not
+  channel(touch, referrer) {
+    if (touch.gclid) return { source: 'google', medium: 'cpc' };
+    if (touch.fbclid) return { source: 'facebook', medium: 'social' };
+    if (touch.referrer) return { source: referrer.hostname.replace(/^www\./, ''), medium: 'referral' };
+    return { source: NOT_SET.source, medium: NOT_SET.medium };
+  }
+
+  text(value) {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    return value.trim().slice(0, MAX_LENGTH);
+  }
+
+  url(value) {
+    if (typeof value !== 'string' || !value) return null;
+    try {
+      const parsed = new URL(value);
+      return ['http:', 'https:'].includes(parsed.protocol) ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep the attribution of a newly created lead
+   * @param {Object} lead - { organizationId, leadId, source, integrationId, formId, attribution }
+   */
+  async record({ organizationId, leadId, source, integrationId, formId, attribution }) {
+    if (!leadId || !attribution || !organizationId) return null;
+    if (!isConnected()) return null;
+
+    try {
+      return await LeadAttribution.create({
+        organizationId,
+        leadId: String(leadId),
+        source,
+        integrationId: integrationId ? String(integrationId) : undefined,
+        formId,
+        firstTouch: attribution.firstTouch,
+        lastTouch: attribution.lastTouch
+      });
+    } catch (error) {
+      logger.error('Failed to record lead attribution:', { leadId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Leads per campaign, source and medium of their first or last touch
+   * @param {Object} [filters] - { touch: first | last, source: website | wordpress, integrationId, formId, startDate, endDate }
+   * @returns {Promise<Object>} See summarizeBreakdown()
+   */
+  async breakdown(organizationId, { touch = 'last', source, integrationId, formId, startDate, endDate } = {}) {
+    const filter = { organizationId: new mongoose.Types.ObjectId(String(organizationId)) };
+    if (source) filter.source = source;
+    if (integrationId) filter.integrationId = String(integrationId);
+    if (formId) filter.formId = String(formId);
+
+    const path = touch === 'first' ? '$firstTouch' : '$lastTouch';
+    const byLeads = { $sort: { leads: -1 } };
+
+    const [facets] = await LeadAttribution.aggregate([
+      { $match: buildDateMatch(filter, startDate, endDate) },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          campaigns: [
+            {
+              $group: {
+                _id: { campaign: `${path}.campaign`, source: `${path}.source`, medium: `${path}.medium` },
+                leads: { $sum: 1 }
+              }
+            },
+            byLeads
+          ],
+          sources: [{ $group: { _id: `${path}.source`, leads: { $sum: 1 } } }, byLeads],
+          mediums: [{ $group: { _id: `${path}.medium`, leads: { $sum: 1 } } }, byLeads]
+        }
+      }
+    ]);
+
+    return this.summarizeBreakdown(facets, touch);
+  }
+
+  /**
+   * @returns {Object} { touch, total, campaigns: [{ campaign, source, medium, leads, share }],
+   *   sources: [{ source, leads, share }], mediums: [{ medium, leads, share }] }
+   */
+  summarizeBreakdown({ total = [], campaigns = [], sources = [], mediums = [] } = {}, touch = 'last') {
+    const leads = total[0]?.count || 0;
+    const share = (count) => (leads ? round(count / leads, 4) : 0);
+
+    return {
+      touch,
+      total: leads,
+      campaigns: campaigns.map(({ _id, leads: count }) => ({
+        campaign: _id.campaign || NOT_SET.campaign,
+        source: _id.source || NOT_SET.source,
+        medium: _id.medium || NOT_SET.medium,
+        leads: count,
+        share: share(count)
+      })),
+      sources: sources.map(({ _id, leads: count }) => ({ source: _id || NOT_SET.source, leads: count, share: share(count) })),
+      mediums: mediums.map(({ _id, leads: count }) => ({ medium: _id || NOT_SET.medium, leads: count, share: share(count) }))
+    };
+  }
+}
+
+module.exports = new AttributionService();
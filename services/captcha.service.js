@@ -0,0 +1,578 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const UsedCaptchaChallenge = require('../models/UsedCaptchaChallenge');
+const { CAPTCHA_PROVIDERS, RECAPTCHA_VERSIONS } = require('../models/captchaSettings');
+const logger = require('../utils/logger');
+
+// Same base as the integration's webhookUrl and embedScript virtuals
+const serviceUrl = () => process.env.SERVICE_URL || 'https://api.jestycrm.com';
+
+// Third-party providers: where tokens are verified, the widget script, and what a page's CSP must allow for it
+const WIDGET_PROVIDERS = {
+  recaptcha: {
+    verifyUrl: 'https://www.google.com/recaptcha/api/siteverify',
+    scriptUrl: 'https://www.google.com/recaptcha/api.js',
+    global: 'grecaptcha',
+    sources: {
+      script: ['https://www.google.com/recaptcha/', 'https://www.gstatic.com/recaptcha/'],
+      frame: ['https://www.google.com/recaptcha/', 'https://recaptcha.google.com/recaptcha/']
+    }
+  },
+  hcaptcha: {
+    verifyUrl: 'https://api.hcaptcha.com/siteverify',
+    scriptUrl: 'https://js.hcaptcha.com/1/api.js',
+    global: 'hcaptcha',
+    sources: {
+      script: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+      frame: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+      style: ['https://hcaptcha.com', 'https://*.hcaptcha.com'],
+      connect: ['https://hcaptcha.com', 'https://*.hcaptcha.com']
+    }
+  },
+  turnstile: {
+    verifyUrl: 'https://challenges.cloudflare.com/turnstile/v0/siteverify',
+    scriptUrl: 'https://challenges.cloudflare.com/turnstile/v0/api.js',
+    global: 'turnstile',
+    sources: {
+      script: ['https://challenges.cloudflare.com'],
+      frame: ['https://challenges.cloudflare.com']
+    }
+  }
+};
+
+// Submission fields that carry the proof; they never reach the lead
+const TOKEN_FIELDS = ['captchaToken', 'g-recaptcha-response', 'h-captcha-response', 'cf-turnstile-response', 'recaptcha'];
+const HONEYPOT_FIELD = 'hp_website';
+const PROOF_FIELDS = [...TOKEN_FIELDS, 'captchaChallenge', 'captchaNonce', HONEYPOT_FIELD];
+
+// Settings the captcha settings API takes
+const SETTINGS_PROPS = ['provider', 'siteKey', 'secretKey', 'version', 'minScore', 'action', 'minSubmitSeconds'];
+// reCAPTCHA allows letters, digits, slashes and underscores in action names
+const ACTION_PATTERN = /^[A-Za-z0-9_/]{1,100}$/;
+
+// A built-in challenge is good for this long after the form was shown
+const CHALLENGE_TTL_MS = 6 * 60 * 60 * 1000;
+
+const leadingZeroBits = (bytes) => {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+};
+
+// Runs in the loader script and hosted form pages, called with publicConfig() (null = no check).
+// prepare() renders the widget or starts solving the built-in challenge when a form is found,
+// fields() resolves to the proof to send with a submission, reset() readies single-use widgets again.
+const CLIENT_SCRIPT = `function(settings) {
+  var noop = function() {};
+  var loading = null;
+
+  if (!settings) {
+    return { prepare: noop, fields: function() { return Promise.resolve({}); }, reset: noop };
+  }
+
+  // The provider's script, once for every form on the page
+  function load() {
+    if (!loading) {
+      loading = new Promise(function(resolve, reject) {
+        var callback = 'jestyCaptchaLoaded' + Date.now().toString(36);
+        window[callback] = function() { resolve(window[settings.global]); };
+        var script = document.createElement('script');
+        script.src = settings.scriptUrl + '&onload=' + callback;
+        script.async = true;
+        script.onerror = function() { reject(new Error('CAPTCHA could not be loaded')); };
+        document.head.appendChild(script);
+      });
+    }
+    return loading;
+  }
+
+  function zeroBits(bytes) {
+    var bits = 0;
+    for (var i = 0; i < bytes.length; i++) {
+      if (bytes[i] === 0) {
+        bits += 8;
+        continue;
+      }
+      for (var mask = 128; !(bytes[i] & mask); mask >>= 1) bits++;
+      break;
+    }
+    return bits;
+  }
+
+  // Finds a nonce whose SHA-256 with the challenge starts with difficulty zero bits, while the visitor types
+  function solve(challenge, difficulty) {
+    var encoder = new TextEncoder();
+    var nonce = 0;
+    function batch() {
+      var attempts = [];
+      for (var i = 0; i < 100; i++) {
+        attempts.push(crypto.subtle.digest('SHA-256', encoder.encode(challenge + ':' + (nonce + i))));
+      }
+      return Promise.all(attempts).then(function(hashes) {
+        for (var j = 0; j < hashes.length; j++) {
+          if (zeroBits(new Uint8Array(hashes[j])) >= difficulty) return { captchaChallenge: challenge, captchaNonce: String(nonce + j) };
+        }
+        nonce += hashes.length;
+        return batch();
+      });
+    }
+    return batch();
+  }
+
+  function prepare(form, before) {
+    if (form.jestyCaptcha) return;
+    var state = form.jestyCaptcha = {};
+
+    if (settings.provider === 'builtin') {
+      // Out of sight and out of the tab order; bots that fill in every field give themselves away
+      var trap = document.createElement('div');
+      trap.setAttribute('aria-hidden', 'true');
+      trap.style.position = 'absolute';
+      trap.style.left = '-10000px';
+      state.honeypot = document.createElement('input');
+      state.honeypot.type = 'text';
+      state.honeypot.name = '${HONEYPOT_FIELD}';
+      state.honeypot.tabIndex = -1;
+      state.honeypot.autocomplete = 'off';
+      trap.appendChild(state.honeypot);
+      form.appendChild(trap);
+
+      state.proof = fetch(settings.challengeUrl)
+        .then(function(response) { return response.json(); })
+        .then(function(result) { return solve(result.data.challenge, result.data.difficulty); });
+      state.proof.catch(noop);
+      return;
+    }
+
+    if (settings.invisible) {
+      load().catch(noop);
+      return;
+    }
+
+    // Sites can place the widget with an empty data-jesty-captcha element; otherwise it goes above the submit button
+    var box = form.querySelector('[data-jesty-captcha]');
+    if (!box) {
+      box = document.createElement('div');
+      box.className = 'jesty-captcha';
+      before = before || form.querySelector('[type=submit]');
+      if (before && before.parentNode) {
+        before.parentNode.insertBefore(box, before);
+      } else {
+        form.appendChild(box);
+      }
+    }
+    state.widget = load().then(function(api) { return api.render(box, { sitekey: settings.siteKey }); });
+    state.widget.catch(noop);
+  }
+
+  // A widget the visitor has not completed stops the submission; anything else that fails sends it
+  // without proof, and the lead is held for review instead of being lost
+  function fields(form) {
+    var state = form.jestyCaptcha || {};
+
+    if (settings.provider === 'builtin') {
+      return (state.proof || Promise.reject()).catch(function() { return {}; }).then(function(proof) {
+        return { captchaChallenge: proof.captchaChallenge, captchaNonce: proof.captchaNonce, ${HONEYPOT_FIELD}: state.honeypot ? state.honeypot.value : '' };
+      });
+    }
+
+    if (settings.invisible) {
+      return load()
+        .then(function(api) { return api.execute(settings.siteKey, { action: settings.action }); })
+        .then(function(token) { return { captchaToken: token }; }, function() { return {}; });
+    }
+
+    return Promise.all([load(), state.widget]).then(function(loaded) {
+      var token = loaded[0].getResponse(loaded[1]);
+      if (!token) throw Object.assign(new Error('Please confirm you are not a robot.'), { captcha: true });
+      return { captchaToken: token };
+    }, function() { return {}; });
+  }
+
+  function reset(form) {
+    var state = form.jestyCaptcha || {};
+    if (!state.widget) return;
+    Promise.all([load(), state.widget]).then(function(loaded) { loaded[0].reset(loaded[1]); }).catch(noop);
+  }
+
+  return { prepare: prepare, fields: fields, reset: reset };
+}`;
+
+/**
+ * Bot checks of website and WordPress form submissions.
+ *
+ * Integrations pick a provider in their captcha settings: reCAPTCHA (v2
+ * checkbox, or v3 with a score threshold and action check), hCaptcha,
+ * Cloudflare Turnstile, or the built-in check for sites that want no
+ * third-party script - a signed proof-of-work challenge, a honeypot field
+ * and a minimum time between showing the form and submitting it.
+ *
+ * Submissions are checked when they arrive, before they are queued:
+ * provider tokens are single-use and expire within minutes, so a queue
+ * retry could not check them again. The result travels with the event, and
+ * a failed check holds the lead back like spam (see applyToSpamResult), so
+ * nothing a bot can tell apart from success and nothing lost when a real
+ * visitor is caught.
+ *
+ * Providers are registered like spam rules and can be replaced. With
+ * CAPTCHA_MOCK=true (ignored in production) no provider is called: every
+ * token passes with a score of CAPTCHA_MOCK_SCORE (0.9) except 'mock-fail'.
+ */
+class CaptchaService {
+  constructor() {
+    this.providers = new Map();
+    this.mock = process.env.CAPTCHA_MOCK === 'true' && process.env.NODE_ENV !== 'production';
+    this.difficulty = parseInt(process.env.CAPTCHA_POW_DIFFICULTY, 10) || 16;
+    this.secret = process.env.CAPTCHA_SECRET || process.env.JWT_SECRET;
+    if (!this.secret) {
+      // Challenges then only verify on the instance that issued them
+      logger.warn('CAPTCHA_SECRET is not set; built-in CAPTCHA challenges use a per-process key');
+      this.secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    this.registerProvider('recaptcha', async (settings, proof, context) => {
+      const response = await this.siteverify(settings, proof, context);
+      const result = this.toResult(response);
+      if (!result.success || settings.version !== 'v3') return result;
+
+      // v3 never fails a token on its own; the score and the action the page reported decide
+      result.score = response.score;
+      result.action = response.action;
+      const minScore = settings.minScore ?? 0.5;
+      if (typeof response.score !== 'number' || response.score < minScore) {
+        result.success = false;
+        result.errors.push('score-too-low');
+      }
+      if (settings.action && response.action !== settings.action) {
+        result.success = false;
+        result.errors.push('action-mismatch');
+      }
+      return result;
+    });
+
+    this.registerProvider('hcaptcha', async (settings, proof, context) =>
+      this.toResult(await this.siteverify(settings, proof, context)));
+
+    this.registerProvider('turnstile', async (settings, proof, context) =>
+      this.toResult(await this.siteverify(settings, proof, context)));
+
+    this.registerProvider('builtin', (settings, proof) => this.checkProof(settings, proof));
+  }
+
+  /**
+   * Register or replace a provider. verify(settings, proof, context) resolves to
+   * { success, errors, ...details }; proof is { token, challenge, nonce, honeypot }.
+   */
+  registerProvider(name, verify) {
+    this.providers.set(name, verify);
+  }
+
+  /**
+   * The integration's bot check, or null when it has none. Website integrations
+   * keep it in settings.captcha, WordPress ones in captcha; the old
+   * settings.reCaptcha still counts as reCAPTCHA v2 until a provider is chosen.
+   */
+  settingsFor(integration) {
+    const captcha = integration?.settings?.captcha || integration?.captcha;
+    if (captcha?.provider && captcha.provider !== 'none') return captcha;
+
+    const legacy = integration?.settings?.reCaptcha;
+    if (legacy?.enabled && legacy.secretKey) {
+      return { provider: 'recaptcha', version: 'v2', siteKey: legacy.siteKey, secretKey: legacy.secretKey };
+    }
+    return null;
+  }
+
+  /**
+   * What the loader script, hosted forms and the WordPress plugin need to show the check; never the secret
+   * @returns {Object|null}
+   */
+  publicConfig(settings) {
+    if (!settings) return null;
+
+    if (settings.provider === 'builtin') {
+      return { provider: 'builtin', challengeUrl: `${serviceUrl()}/api/captcha/challenge` };
+    }
+
+    const provider = WIDGET_PROVIDERS[settings.provider];
+    if (!provider || !settings.siteKey) return null;
+
+    const invisible = settings.provider === 'recaptcha' && settings.version === 'v3';
+    return {
+      provider: settings.provider,
+      siteKey: settings.siteKey,
+      global: provider.global,
+      scriptUrl: `${provider.scriptUrl}?render=${invisible ? encodeURIComponent(settings.siteKey) : 'explicit'}`,
+      invisible,
+      ...(invisible && { action: settings.action || 'submit' })
+    };
+  }
+
+  // Hosts a page's Content-Security-Policy must allow for the provider's widget
+  contentSecuritySources(settings) {
+    return WIDGET_PROVIDERS[settings?.provider]?.sources || {};
+  }
+
+  // Source of the browser side; see CLIENT_SCRIPT
+  clientScript() {
+    return CLIENT_SCRIPT;
+  }
+
+  /**
+   * Take the proof out of a submission
+   * @returns {Object} { fields: the submission without it, proof: { token, challenge, nonce, honeypot } }
+   */
+  split(submission = {}) {
+    const fields = { ...submission };
+    // The WordPress plugin sends the proof as one captcha object
+    let nested = {};
+    if (fields.captcha && typeof fields.captcha === 'object' && !Array.isArray(fields.captcha)) {
+      nested = fields.captcha;
+      delete fields.captcha;
+    }
+
+    const value = (name) => {
+      const raw = nested[name] ?? submission[name];
+      return typeof raw === 'string' ? raw : '';
+    };
+    const honeypot = nested[HONEYPOT_FIELD] ?? submission[HONEYPOT_FIELD];
+
+    const proof = {
+      token: TOKEN_FIELDS.map(value).find(Boolean) || '',
+      challenge: value('captchaChallenge'),
+      nonce: value('captchaNonce'),
+      honeypot: honeypot === undefined || honeypot === null ? '' : String(honeypot)
+    };
+    PROOF_FIELDS.forEach(name => delete fields[name]);
+
+    return { fields, proof };
+  }
+
+  /**
+   * Check a submission against its integration's bot check
+   * @param {Object} context - { ip } of the visitor
+   * @returns {Promise<Object>} { fields: the submission without its proof, verification: null without a check }
+   */
+  async check(integration, submission, context = {}) {
+    const { fields, proof } = this.split(submission);
+    const settings = this.settingsFor(integration);
+
+    return {
+      fields,
+      verification: settings ? await this.verify(settings, proof, context) : null
+    };
+  }
+
+  /**
+   * @returns {Promise<Object>} { provider, success, errors, score, action, ... }. Never throws;
+   *   a provider that cannot be reached fails the check with verification-unavailable
+   */
+  async verify(settings, proof, context = {}) {
+    const verify = this.providers.get(settings.provider);
+    if (!verify) {
+      return { provider: settings.provider, success: false, errors: ['unsupported-provider'] };
+    }
+
+    try {
+      const result = await verify(settings, proof, context);
+      return { provider: settings.provider, ...result, errors: result.errors || [] };
+    } catch (error) {
+      logger.error(`${settings.provider} verification failed:`, error.message);
+      return { provider: settings.provider, success: false, errors: ['verification-unavailable'] };
+    }
+  }
+
+  // The provider's siteverify answer for the proof's token
+  async siteverify(settings, proof, { ip } = {}) {
+    if (!proof.token) return { success: false, 'error-codes': ['missing-input-response'] };
+    if (this.mock) return this.mockResponse(settings, proof.token);
+
+    const params = new URLSearchParams({ secret: settings.secretKey || '', response: proof.token });
+    if (ip) params.append('remoteip', ip);
+    if (settings.provider === 'hcaptcha' && settings.siteKey) params.append('sitekey', settings.siteKey);
+
+    const response = await axios.post(WIDGET_PROVIDERS[settings.provider].verifyUrl, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+    return response.data;
+  }
+
+  // A siteverify answer without calling the provider, for local testing
+  mockResponse(settings, token) {
+    if (token === 'mock-fail') return { success: false, 'error-codes': ['invalid-input-response'] };
+
+    const score = parseFloat(process.env.CAPTCHA_MOCK_SCORE);
+    return {
+      success: true,
+      score: isNaN(score) ? 0.9 : score,
+      action: settings.action,
+      hostname: 'localhost'
+    };
+  }
+
+  toResult(response = {}) {
+    return {
+      success: response.success === true,
+      errors: [...(response['error-codes'] || [])],
+      ...(response.hostname && { hostname: response.hostname })
+    };
+  }
+
+  /**
+   * A challenge for the built-in check: issue time, difficulty and a random part, signed
+   * so it can be checked without storing it
+   * @returns {Object} { challenge, difficulty }
+   */
+  issueChallenge() {
+    const body = `${Date.now()}.${this.difficulty}.${crypto.randomBytes(12).toString('hex')}`;
+    return { challenge: `${body}.${this.sign(body)}`, difficulty: this.difficulty };
+  }
+
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('hex');
+  }
+
+  // The built-in check: empty honeypot, a challenge we issued, shown long enough ago, a solved proof of work, used once
+  async checkProof(settings, proof) {
+    const fail = (error) => ({ success: false, errors: [error] });
+
+    if (proof.honeypot.trim()) return fail('honeypot-filled');
+    if (!proof.challenge || !proof.nonce) return fail('missing-input-response');
+
+    const parts = proof.challenge.split('.');
+    if (parts.length !== 4) return fail('invalid-challenge');
+    const [issuedAt, difficulty, challengeId, signature] = parts;
+    const expected = this.sign(parts.slice(0, 3).join('.'));
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return fail('invalid-challenge');
+    }
+
+    const elapsed = Date.now() - Number(issuedAt);
+    if (!(elapsed >= 0) || elapsed > CHALLENGE_TTL_MS) return fail('expired-challenge');
+    if (elapsed < (settings.minSubmitSeconds ?? 3) * 1000) return fail('too-fast');
+
+    const hash = crypto.createHash('sha256').update(`${proof.challenge}:${proof.nonce}`).digest();
+    if (!/^\d{1,16}$/.test(proof.nonce) || leadingZeroBits(hash) < Number(difficulty)) return fail('invalid-proof');
+
+    if (!(await this.spendChallenge(challengeId, Number(issuedAt) + CHALLENGE_TTL_MS))) return fail('challenge-already-used');
+
+    return { success: true, errors: [], elapsedSeconds: Math.round(elapsed / 1000) };
+  }
+
+  /**
+   * Record a solved challenge so its proof can't sign another submission. Without a
+   * database every challenge counts as unused; other database errors throw, which
+   * verify() turns into verification-unavailable.
+   * @returns {Promise<boolean>} false when the challenge was already used
+   */
+  async spendChallenge(challengeId, expiresAt) {
+    if (mongoose.connection.readyState !== 1) return true;
+
+    try {
+      await UsedCaptchaChallenge.create({ challengeId, expiresAt: new Date(expiresAt) });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Hold back a submission that failed its bot check like spam: quarantined for review,
+   * or dropped when the organization drops spam, whatever its score
+   */
+  applyToSpamResult(spamResult, verification) {
+    if (!verification || verification.success) return spamResult;
+
+    const reason = `Bot check failed (${verification.provider}: ${verification.errors.join(', ') || 'rejected'})`;
+    return {
+      ...spamResult,
+      isSpam: true,
+      spamScore: 100,
+      action: spamResult.action === 'drop' ? 'drop' : 'quarantine',
+      blocked: true,
+      spamIndicators: [...(spamResult.spamIndicators || []), { rule: 'captcha', score: 100, reason }],
+      reason: spamResult.isSpam ? `${spamResult.reason}; ${reason}` : reason
+    };
+  }
+
+  // Settings as the API shows them; the secret only as whether one is stored
+  describe(settings) {
+    return {
+      provider: settings?.provider || 'none',
+      siteKey: settings?.siteKey || null,
+      version: settings?.version || 'v2',
+      minScore: settings?.minScore ?? 0.5,
+      action: settings?.action || 'submit',
+      minSubmitSeconds: settings?.minSubmitSeconds ?? 3,
+      hasSecretKey: !!settings?.secretKey
+    };
+  }
+
+  /**
+   * Problems with input to the captcha settings API
+   * @param {Object} [current] - Stored settings, which fill in what the input leaves out
+   * @returns {string[]} Empty when valid
+   */
+  validateSettings(input, current = {}) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return ['Settings must be an object'];
+
+    const errors = [];
+    if (input.provider !== undefined && !CAPTCHA_PROVIDERS.includes(input.provider)) {
+      errors.push(`provider must be one of ${CAPTCHA_PROVIDERS.join(', ')}`);
+    }
+    ['siteKey', 'secretKey'].forEach(prop => {
+      if (input[prop] !== undefined && !(typeof input[prop] === 'string' && input[prop].length <= 500)) {
+        errors.push(`${prop} must be a string`);
+      }
+    });
+    if (input.version !== undefined && !RECAPTCHA_VERSIONS.includes(input.version)) {
+      errors.push(`version must be one of ${RECAPTCHA_VERSIONS.join(', ')}`);
+    }
+    if (input.minScore !== undefined && !(typeof input.minScore === 'number' && input.minScore >= 0 && input.minScore <= 1)) {
+      errors.push('minScore must be a number from 0 to 1');
+    }
+    if (input.action !== undefined && !(typeof input.action === 'string' && ACTION_PATTERN.test(input.action))) {
+      errors.push('action may only contain letters, digits, slashes and underscores');
+    }
+    if (input.minSubmitSeconds !== undefined &&
+      !(Number.isInteger(input.minSubmitSeconds) && input.minSubmitSeconds >= 0 && input.minSubmitSeconds <= 600)) {
+      errors.push('minSubmitSeconds must be a whole number from 0 to 600');
+    }
+
+    const provider = input.provider ?? current?.provider;
+    if (WIDGET_PROVIDERS[provider] && !((input.siteKey ?? current?.siteKey) && (input.secretKey ?? current?.secretKey))) {
+      errors.push(`siteKey and secretKey are required for ${provider}`);
+    }
+    return errors;
+  }
+
+  /**
+   * The $set of a captcha settings API update, relative to where the settings live
+   * (settings.captcha for website integrations, captcha for WordPress ones)
+   * @returns {Object} { update } or { errors }
+   */
+  toUpdate(input, current, path) {
+    const errors = this.validateSettings(input, current);
+    if (errors.length > 0) return { errors };
+
+    const update = {};
+    SETTINGS_PROPS.forEach(prop => {
+      if (input[prop] !== undefined) {
+        update[`${path}.${prop}`] = typeof input[prop] === 'string' ? input[prop].trim() : input[prop];
+      }
+    });
+    return { update };
+  }
+}
+
+module.exports = new CaptchaService();
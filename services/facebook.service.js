@@ -1,5 +1,12 @@
 const axios = require('axios');
 const FacebookIntegration = require('../models/FacebookIntegration');
+const outboundWebhookService = require('./outboundWebhook.service');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const idempotencyService = require('./idempotency.service');
+const assignmentQueue = require('./assignmentQueue.service');
+const assignmentLog = require('./assignmentLog.service');
+const assignmentEngine = require('./assignmentEngine.service');
+const assignmentTemplateService = require('./assignmentTemplate.service');
 const logger = require('../utils/logger');
 
 class FacebookService {
@@ -365,6 +372,10 @@ class FacebookService {
         return integration;
       }
 
+      // Lead forms seen for the first time start with the organization's default assignment template
+      const defaultSettings = await assignmentTemplateService.getDefaultSettings(integration.organizationId);
+      let templatedForms = 0;
+
       // Process pages with detailed lead forms information and preserve existing settings
       const pages = await Promise.all(allPages.map(async (page) => {
         try {
@@ -400,6 +411,10 @@ class FacebookService {
           // Merge new lead forms data with existing settings
           const processedLeadForms = leadForms.map(form => {
             const existingForm = existingPage?.leadForms?.find(f => f.id === form.id);
+            const settings = existingForm ? existingForm.assignmentSettings || {} : defaultSettings || {};
+            if (!existingForm && defaultSettings) {
+              templatedForms++;
+            }
             
             return {
               id: String(form.id),
@@ -410,14 +425,17 @@ class FacebookService {
               enabled: Boolean(existingForm?.enabled !== undefined ? existingForm.enabled : true),
               questions: [], // Temporarily disable questions to avoid validation errors
               assignmentSettings: {
-                enabled: Boolean(existingForm?.assignmentSettings?.enabled || false),
-                algorithm: String(existingForm?.assignmentSettings?.algorithm || 'round-robin'),
-                assignToUsers: Array.isArray(existingForm?.assignmentSettings?.assignToUsers) ? existingForm.assignmentSettings.assignToUsers : [],
+                enabled: Boolean(settings.enabled || false),
+                mode: String(settings.mode || 'specific'),
+                algorithm: String(settings.algorithm || 'round-robin'),
+                assignToUsers: Array.isArray(settings.assignToUsers) ? settings.assignToUsers : [],
+                workingHours: assignmentEngine.mergeWorkingHours(settings.workingHours),
+                hybrid: assignmentEngine.mergeHybrid(settings.hybrid),
+                language: settings.language || null,
                 lastAssignment: {
-                  mode: String(existingForm?.assignmentSettings?.lastAssignment?.mode || 'manual'),
-                  lastAssignedIndex: parseInt(existingForm?.assignmentSettings?.lastAssignment?.lastAssignedIndex) || 0,
-                  lastAssignedAt: existingForm?.assignmentSettings?.lastAssignment?.lastAssignedAt || null,
-                  lastAssignedTo: existingForm?.assignmentSettings?.lastAssignment?.lastAssignedTo || null
+                  userId: existingForm?.assignmentSettings?.lastAssignment?.userId || null,
+                  timestamp: existingForm?.assignmentSettings?.lastAssignment?.timestamp || null,
+                  roundRobinIndex: parseInt(existingForm?.assignmentSettings?.lastAssignment?.roundRobinIndex) || 0
                 }
               },
               stats: {
@@ -454,6 +472,10 @@ class FacebookService {
         }
       }));
 
+      if (templatedForms > 0) {
+        logger.info(`Applied the default assignment template to ${templatedForms} new lead forms`);
+      }
+
       logger.info('Saving updated pages to database...');
 
       try {
@@ -533,10 +555,9 @@ class FacebookService {
                   algorithm: 'round-robin',
                   assignToUsers: [],
                   lastAssignment: {
-                    mode: 'manual',
-                    lastAssignedIndex: 0,
-                    lastAssignedAt: null,
-                    lastAssignedTo: null
+                    userId: null,
+                    timestamp: null,
+                    roundRobinIndex: 0
                   }
                 },
                 stats: {
@@ -611,10 +632,9 @@ class FacebookService {
                   algorithm: 'round-robin',
                   assignToUsers: [],
                   lastAssignment: {
-                    mode: 'manual',
-                    lastAssignedIndex: 0,
-                    lastAssignedAt: null,
-                    lastAssignedTo: null
+                    userId: null,
+                    timestamp: null,
+                    roundRobinIndex: 0
                   }
                 },
                 stats: {
@@ -833,7 +853,9 @@ class FacebookService {
               const transformedLead = this.transformFacebookLead(lead, form, pageId);
               
               // Send to leads service
-              const result = await this.createOrUpdateLead(transformedLead, integration.companyId);
+              const result = await this.createOrUpdateLead(transformedLead, integration.companyId, {
+                phoneDefaultCountry: integration.phoneDefaultCountry
+              });
               
               if (result.created) {
                 recordsCreated++;
@@ -869,6 +891,16 @@ class FacebookService {
 
       await this.addLogEntry(integration, logEntry);
 
+      outboundWebhookService.emit('sync.completed', integration.companyId || integration.organizationId, {
+        source: 'facebook',
+        integrationId: String(integration._id),
+        syncType,
+        recordsProcessed: allLeads.length,
+        recordsCreated,
+        recordsUpdated,
+        errors
+      });
+
       return {
         success: true,
         recordsProcessed: allLeads.length,
@@ -955,8 +987,13 @@ class FacebookService {
   }
 
   // Create or update lead in CRM
-  async createOrUpdateLead(leadData, companyId) {
+  async createOrUpdateLead(leadData, companyId, { phoneDefaultCountry } = {}) {
     try {
+      leadData = await phoneNormalizationService.normalizeLead(leadData, {
+        organizationId: companyId,
+        defaultCountry: phoneDefaultCountry
+      });
+
       // Use the Facebook-specific import endpoint that doesn't require auth
       const response = await axios.post(`${process.env.LEADS_SERVICE_URL}/api/facebook-leads/import/facebook`, {
         ...leadData,
@@ -967,6 +1004,13 @@ class FacebookService {
         }
       });
 
+      if ((response.data.action || 'created') === 'created') {
+        outboundWebhookService.leadCreated(companyId, response.data.leadId, leadData, {
+          formId: leadData.formId || leadData.metadata?.formId,
+          externalId: leadData.externalId || leadData.metadata?.facebookLeadId
+        });
+      }
+
       return response.data;
 
     } catch (error) {
@@ -1072,18 +1116,9 @@ class FacebookService {
     try {
       logger.info('Processing Facebook webhook payload:', JSON.stringify(payload, null, 2));
       
-      // Process Facebook webhook payload
-      if (payload.object === 'page') {
-        for (const entry of payload.entry) {
-          if (entry.changes) {
-            for (const change of entry.changes) {
-              if (change.field === 'leadgen') {
-                logger.info('Processing leadgen webhook:', change.value);
-                await this.processLeadgenWebhook(change.value);
-              }
-            }
-          }
-        }
+      for (const leadgen of this.extractLeadgenChanges(payload)) {
+        logger.info('Processing leadgen webhook:', leadgen);
+        await this.processLeadgenWebhook(leadgen);
       }
 
       return { success: true };
@@ -1094,6 +1129,17 @@ class FacebookService {
     }
   }
 
+  // Pull the leadgen change values ({ leadgen_id, page_id, form_id, ... }) out of a page webhook payload
+  extractLeadgenChanges(payload) {
+    if (payload?.object !== 'page') return [];
+
+    return (payload.entry || []).flatMap(entry =>
+      (entry.changes || [])
+        .filter(change => change.field === 'leadgen')
+        .map(change => change.value)
+    );
+  }
+
   // Process leadgen webhook - ALL leads go through FacebookLeadProcessor for assignment
   async processLeadgenWebhook(value) {
     try {
@@ -1388,6 +1434,7 @@ class FacebookService {
 
       let totalProcessed = 0;
       let totalSuccessful = 0;
+      let totalDuplicates = 0;
       let totalErrors = 0;
       const results = [];
 
@@ -1425,33 +1472,61 @@ class FacebookService {
 
               // Process each lead
               for (const facebookLead of leads) {
+                let ledger = null;
                 try {
                   // Use FacebookLeadProcessor for consistent processing
                   const facebookLeadProcessor = require('./facebookLeadProcessor.service');
+
+                  // Leads that already arrived by webhook or an earlier import keep their original lead
+                  ledger = await idempotencyService.claim('facebook', facebookLead.id, {
+                    organizationId: integration.organizationId,
+                    integrationId: integration._id
+                  });
+                  if (!ledger.proceed) {
+                    totalDuplicates++;
+                    totalProcessed++;
+                    continue;
+                  }
                   
                   // Extract and process lead data
-                  const extractedFields = facebookLeadProcessor.extractLeadFields(
-                    facebookLead.field_data || []
+                  const extractedFields = await facebookLeadProcessor.mapLeadFields(
+                    facebookLead,
+                    integration,
+                    form.id
                   );
 
                   // Skip leads without contact information
                   if (!extractedFields.email && !extractedFields.phone) {
                     logger.warn(`Skipping lead ${facebookLead.id}: No contact information`);
+                    await idempotencyService.release(ledger, new Error('No contact information'));
                     totalErrors++;
                     continue;
                   }
 
+                  const dedupe = await facebookLeadProcessor.applyDuplicatePolicy(extractedFields, integration, {
+                    formId: form.id,
+                    externalId: facebookLead.id
+                  });
+                  if (dedupe.handled) {
+                    await idempotencyService.complete(ledger, dedupe.leadId, dedupe.action);
+                    totalDuplicates++;
+                    totalProcessed++;
+                    continue;
+                  }
+
                   // Get assigned user BEFORE creating lead if assignment is enabled
                   let assignedUserId = null;
                   let assignmentAlgorithm = null;
+                  let assigneeResult = null;
                   
                   if (form && form.assignmentSettings && form.assignmentSettings.enabled) {
                     try {
                       const formAssignmentService = require('./formAssignmentService');
-                      const assigneeResult = await formAssignmentService.getNextAssigneeForForm(
+                      assigneeResult = await formAssignmentService.getNextAssigneeForForm(
                         integration._id,
                         page.id,
-                        form.id
+                        form.id,
+                        facebookLeadProcessor.routingFields(extractedFields, facebookLead, form)
                       );
 
                       if (assigneeResult && assigneeResult.user) {
@@ -1477,6 +1552,7 @@ class FacebookService {
                     name: extractedFields.name,
                     email: extractedFields.email,
                     phone: extractedFields.phone,
+                    company: extractedFields.company,
                     organizationId: integration.organizationId,
                     source: 'facebook',
                     status: 'new',
@@ -1506,7 +1582,9 @@ class FacebookService {
                       source: 'facebook',
                       facebookLeadId: facebookLead.id,
                       formId: form.id,
-                      importedAt: new Date()
+                      importedAt: new Date(),
+                      phoneValidation: extractedFields.phoneValidation,
+                      dedupe: dedupe.metadata
                     }
                   };
 
@@ -1520,17 +1598,22 @@ class FacebookService {
                   const result = await this.createOrUpdateLead(leadData, integration.organizationId);
                   
                   if (result.success) {
+                    await idempotencyService.complete(ledger, result.leadId || result.data?._id);
+                    await assignmentQueue.defer(assigneeResult, result.leadId || result.data?._id);
+                    await assignmentLog.record(assigneeResult, result.leadId || result.data?._id);
                     totalSuccessful++;
                     if (assignedUserId) {
                       logger.info(`✅ Historical lead ${facebookLead.id} created and assigned to ${assignedUserId}`);
                     }
                   } else {
+                    await idempotencyService.release(ledger, new Error(result.message || 'Lead was not created'));
                     totalErrors++;
                   }
 
                   totalProcessed++;
 
                 } catch (leadError) {
+                  await idempotencyService.release(ledger, leadError);
                   logger.error(`Error processing lead ${facebookLead.id}:`, leadError.message);
                   totalErrors++;
                   totalProcessed++;
@@ -1597,14 +1680,31 @@ class FacebookService {
       logger.info('Historical leads import completed:', {
         totalProcessed,
         totalSuccessful,
+        totalDuplicates,
         totalErrors,
         pagesProcessed: pagesToProcess.length
       });
 
+      outboundWebhookService.emit('sync.completed', integration.organizationId, {
+        source: 'facebook',
+        integrationId: String(integration._id),
+        syncType: 'historical_import',
+        period,
+        dateRange: {
+          startDate: new Date(sinceTimestamp * 1000).toISOString(),
+          endDate: new Date(untilTimestamp * 1000).toISOString()
+        },
+        recordsProcessed: totalProcessed,
+        recordsCreated: totalSuccessful,
+        duplicates: totalDuplicates,
+        errors: totalErrors
+      });
+
       return {
         success: true,
         processed: totalProcessed,
         successful: totalSuccessful,
+        duplicates: totalDuplicates,
         errors: totalErrors,
         period,
         dateRange: {
@@ -1638,7 +1738,7 @@ class FacebookService {
         untilTimestamp
       });
 
-      const params = {
+      let params = {
         access_token: accessToken,
         fields: 'id,created_time,field_data,ad_id,ad_name,campaign_id,campaign_name,form_id',
         limit: 500, // Facebook's max per page
@@ -1,8 +1,18 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
-const facebookSpamDetection = require('../utils/facebookSpamDetection');
+const spamDetectionService = require('./spamDetection.service');
+const quarantineService = require('./quarantine.service');
+const outboundWebhookService = require('./outboundWebhook.service');
+const fieldMappingService = require('./fieldMapping.service');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const leadDedupeService = require('./leadDedupe.service');
+const idempotencyService = require('./idempotency.service');
+const { normalizePhone } = require('../utils/phone');
 const FacebookIntegration = require('../models/FacebookIntegration');
 const formAssignmentService = require('./formAssignmentService');
+const assignmentQueue = require('./assignmentQueue.service');
+const assignmentLog = require('./assignmentLog.service');
+const slaWatcher = require('./slaWatcher.service');
 const { ObjectId } = require('mongoose').Types;
 
 class FacebookLeadProcessor {
@@ -44,6 +54,7 @@ class FacebookLeadProcessor {
       const results = [];
 
       for (const integration of integrations) {
+        let ledger = null;
         try {
           logger.info(`Processing lead for integration ${integration._id} (${integration.fbUserName})`);
           
@@ -87,6 +98,20 @@ class FacebookLeadProcessor {
             continue;
           }
 
+          // Webhook retries and imports of a lead already handled return the original lead
+          ledger = await idempotencyService.claim('facebook', leadgen_id, {
+            organizationId,
+            integrationId: integration._id
+          });
+          if (!ledger.proceed) {
+            results.push(this.repeatResult(ledger, {
+              integrationId: integration._id,
+              organizationId,
+              fbUserName: integration.fbUserName
+            }));
+            continue;
+          }
+
           // Handle test leads or fetch real lead data from Facebook
           let facebookLead;
           
@@ -105,15 +130,11 @@ class FacebookLeadProcessor {
               campaign_id: 'test_campaign_123'
             };
           } else {
+            // Throws when the Graph API fails; the ledger key is released below so a retry fetches the real lead
             facebookLead = await this.fetchLeadFromFacebook(leadgen_id, page.access_token || page.accessToken);
-            if (!facebookLead) {
-              logger.warn('⚠️ Failed to fetch lead data from Facebook API - creating fallback data');
-              facebookLead = this.createFallbackLeadData(leadgen_id);
-            }
           }
 
-          // Extract fields using simple approach
-          const extractedFields = this.extractLeadFields(facebookLead.field_data || []);
+          const extractedFields = await this.mapLeadFields(facebookLead, integration, form_id);
           
           // Validate contact information
           if (!extractedFields.email && !extractedFields.phone) {
@@ -122,58 +143,105 @@ class FacebookLeadProcessor {
               formId: form_id,
               availableFields: facebookLead.field_data?.map(f => f.name) || []
             });
+
+            // Keep the raw lead so it can be fixed up and pushed manually
+            const quarantined = await quarantineService.quarantineLead({
+              organizationId,
+              source: 'facebook',
+              reason: 'no_contact_info',
+              message: 'Lead must have at least one contact method (email or phone)',
+              missingFields: ['email', 'phone'],
+              integrationId: integration._id,
+              formId: form_id,
+              formName: form?.name,
+              externalId: leadgen_id,
+              lead: {
+                name: extractedFields.name,
+                customFields: extractedFields.customFields,
+                metadata: { pageId: page_id, pageName: page.name }
+              },
+              rawPayload: facebookLead
+            });
+
+            await idempotencyService.complete(ledger, null, 'quarantined');
             results.push({
               integrationId: integration._id,
               organizationId,
               success: false,
               reason: 'no_contact_info',
-              message: 'Lead must have at least one contact method (email or phone)'
+              message: 'Lead must have at least one contact method (email or phone)',
+              quarantineId: quarantined?._id
             });
             continue;
           }
 
-          // 🚫 FACEBOOK SPAM DETECTION - Check before processing
-          const spamCheckData = {
+          // 🚫 SPAM DETECTION - Check before processing
+          const spamLead = {
             name: extractedFields.name,
             email: extractedFields.email,
             phone: extractedFields.phone,
-            leadgenId: leadgen_id,
+            fields: Object.fromEntries((facebookLead.field_data || []).map(f => [f.name, f.values?.[0]]))
+          };
+          const spamContext = {
+            organizationId,
+            source: 'facebook',
+            formId: form_id,
             formName: form?.name,
-            extractedFields,
-            sourceData: facebookLead
+            externalId: leadgen_id
           };
 
-          const spamResult = facebookSpamDetection.detectFacebookSpam(spamCheckData);
+          const spamResult = await spamDetectionService.checkLead(spamLead, spamContext);
+          spamDetectionService.logDetection(spamLead, spamResult, spamContext);
 
-          // Log spam detection result
-          facebookSpamDetection.logFacebookSpamDetection(spamCheckData, spamResult, {
-            organizationId,
-            integrationId: integration._id,
-            pageId: page_id,
-            formId: form_id
-          });
-
-          // Block spam leads at integration level
-          if (spamResult.isSpam) {
-            logger.warn(`🚫 Facebook spam lead blocked for integration ${integration._id}:`, {
-              leadgenId: leadgen_id,
-              name: extractedFields.name,
-              email: extractedFields.email,
-              phone: extractedFields.phone,
+          // Quarantined and dropped leads never reach the CRM
+          if (spamResult.blocked) {
+            const quarantined = await quarantineService.quarantineSpam(spamResult, {
               organizationId,
-              spamScore: spamResult.spamScore,
-              spamReasons: spamResult.spamIndicators,
-              formName: form?.name
+              source: 'facebook',
+              integrationId: integration._id,
+              formId: form_id,
+              formName: form?.name,
+              externalId: leadgen_id,
+              lead: {
+                name: extractedFields.name,
+                email: extractedFields.email,
+                phone: extractedFields.phone,
+                customFields: extractedFields.customFields,
+                metadata: { pageId: page_id, pageName: page.name }
+              },
+              rawPayload: facebookLead
             });
-            
+
+            await idempotencyService.complete(ledger, null, 'blocked');
             results.push({
               integrationId: integration._id,
               organizationId,
               success: false,
               reason: 'spam_detected',
-              message: `Spam lead blocked: ${spamResult.reason}`,
+              action: spamResult.action,
+              message: `Spam lead ${spamResult.action === 'drop' ? 'dropped' : 'quarantined'}: ${spamResult.reason}`,
               spamScore: spamResult.spamScore,
-              spamIndicators: spamResult.spamIndicators
+              spamIndicators: spamResult.spamIndicators,
+              quarantineId: quarantined?._id
+            });
+            continue;
+          }
+
+          // Merged or ignored duplicates never create a lead, so they must not take an assignment turn
+          const dedupe = await this.applyDuplicatePolicy(extractedFields, integration, {
+            formId: form_id,
+            externalId: leadgen_id
+          });
+          if (dedupe.handled) {
+            await idempotencyService.complete(ledger, dedupe.leadId, dedupe.action);
+            results.push({
+              integrationId: integration._id,
+              organizationId,
+              fbUserName: integration.fbUserName,
+              success: true,
+              duplicate: true,
+              leadId: dedupe.leadId,
+              action: dedupe.action
             });
             continue;
           }
@@ -181,14 +249,16 @@ class FacebookLeadProcessor {
           // Get assigned user BEFORE creating lead if assignment is enabled
           let assignedUserId = null;
           let assignmentAlgorithm = null;
+          let assigneeResult = null;
           
           if (form && form.assignmentSettings && form.assignmentSettings.enabled) {
             try {
               const formAssignmentService = require('./formAssignmentService');
-              const assigneeResult = await formAssignmentService.getNextAssigneeForForm(
+              assigneeResult = await formAssignmentService.getNextAssigneeForForm(
                 integration._id,
                 page_id,
-                form_id
+                form_id,
+                this.routingFields(extractedFields, facebookLead, form)
               );
 
               if (assigneeResult && assigneeResult.user) {
@@ -213,6 +283,7 @@ class FacebookLeadProcessor {
             name: extractedFields.name,
             email: extractedFields.email,
             phone: extractedFields.phone || '',
+            company: extractedFields.company,
             organizationId,
             source: 'facebook',
             status: 'new',
@@ -250,10 +321,16 @@ class FacebookLeadProcessor {
               adId: facebookLead.ad_id,
               campaignId: facebookLead.campaign_id,
               createdTime: facebookLead.created_time,
-              rawFacebookData: facebookLead
+              rawFacebookData: facebookLead,
+              phoneValidation: extractedFields.phoneValidation,
+              dedupe: dedupe.metadata
             }
           };
 
+          if (spamResult.isSpam) {
+            leadData.metadata.spamCheck = spamDetectionService.toLeadMetadata(spamResult);
+          }
+
           // Include assignedTo if we have a user from form assignment settings
           if (assignedUserId) {
             leadData.assignedTo = assignedUserId;
@@ -266,6 +343,11 @@ class FacebookLeadProcessor {
           const result = await this.createLeadInCRM(leadData, organizationId);
           const leadId = result.leadId;
 
+          // Nobody on shift: the queue assigns the lead when the next shift starts
+          await assignmentQueue.defer(assigneeResult, leadId);
+          await assignmentLog.record(assigneeResult, leadId);
+          await slaWatcher.watch(assigneeResult, leadId);
+
           // Store assignment info in result
           if (assignedUserId) {
             result.assigned = true;
@@ -279,6 +361,8 @@ class FacebookLeadProcessor {
             });
           }
 
+          await idempotencyService.complete(ledger, result.leadId);
+
           // Update integration statistics
           await this.updateIntegrationStats(integration, result);
           
@@ -299,6 +383,7 @@ class FacebookLeadProcessor {
           });
 
         } catch (error) {
+          await idempotencyService.release(ledger, error);
           logger.error(`❌ Error processing lead for integration ${integration._id}:`, {
             error: error.message,
             organizationId: integration.organizationId,
@@ -366,8 +451,84 @@ class FacebookLeadProcessor {
     }
   }
 
+  // Field mapping rules configured for the integration or form win over the built-in extraction.
+  // The phone is returned in E.164 with its validation result in phoneValidation.
+  async mapLeadFields(facebookLead, integration, formId) {
+    const defaultCountry = await phoneNormalizationService.resolveDefaultCountry(
+      integration.organizationId,
+      integration.phoneDefaultCountry
+    );
+
+    const mapped = await fieldMappingService.mapLead('facebook', facebookLead, {
+      organizationId: integration.organizationId,
+      integrationId: integration._id,
+      formId,
+      phoneDefaultCountry: defaultCountry
+    });
+
+    const fields = mapped || this.extractLeadFields(facebookLead.field_data || [], defaultCountry);
+    const phone = await phoneNormalizationService.normalize(fields.phone, { defaultCountry });
+    if (!phone) return fields;
+
+    return {
+      ...fields,
+      phone: phone.phone,
+      phoneValidation: phoneNormalizationService.toLeadMetadata(phone)
+    };
+  }
+
+  // Apply the organization's IntegrationConfig.syncConfig duplicate policy to mapped lead fields
+  async applyDuplicatePolicy(fields, integration, { formId, externalId }) {
+    return leadDedupeService.apply({
+      name: fields.name,
+      email: fields.email,
+      phone: fields.phone,
+      company: fields.company,
+      customFields: fields.customFields,
+      metadata: { phoneValidation: fields.phoneValidation }
+    }, {
+      source: 'facebook',
+      integration,
+      formId,
+      externalId
+    });
+  }
+
+  // Fields routing rules test: the form answers plus the ad the lead came from
+  routingFields(fields, facebookLead, form) {
+    return {
+      name: fields.name,
+      email: fields.email,
+      phone: fields.phone,
+      company: fields.company,
+      customFields: fields.customFields,
+      formId: facebookLead.form_id || form?.id,
+      formName: form?.name,
+      campaignId: facebookLead.campaign_id,
+      campaignName: facebookLead.campaign_name,
+      adId: facebookLead.ad_id,
+      adName: facebookLead.ad_name
+    };
+  }
+
+  // Result for a leadgen ID the idempotency ledger has already seen. A lead still being
+  // processed elsewhere is reported as an error so webhook retries check again later.
+  repeatResult(ledger, fields) {
+    if (ledger.inProgress) {
+      return { ...fields, success: false, error: 'Lead is already being processed' };
+    }
+
+    return {
+      ...fields,
+      success: true,
+      duplicate: true,
+      leadId: ledger.leadId,
+      action: 'already_processed'
+    };
+  }
+
   // Smart automatic field extraction - intelligently categorizes all fields
-  extractLeadFields(fieldData) {
+  extractLeadFields(fieldData, defaultCountry) {
     try {
       // Log all available fields for debugging
       logger.info('Available Facebook lead fields:', fieldData.map(f => ({ name: f.name, values: f.values })));
@@ -389,8 +550,7 @@ class FacebookLeadProcessor {
       const email = this.findFieldValue(fieldData, ['email', 'email_address', 'e_mail']);
       const phone = this.findFieldValue(fieldData, ['phone_number', 'phone', 'mobile', 'mobile_number', 'telephone']);
       
-      // Clean phone number for Indian format
-      const cleanedPhone = phone ? this.cleanPhoneNumber(phone) : null;
+      const cleanedPhone = phone ? this.cleanPhoneNumber(phone, defaultCountry) : null;
       
       // Build final name (prefer full_name, fallback to first + last)
       const firstName = this.findFieldValue(fieldData, ['first_name', 'firstname', 'first name']);
@@ -439,16 +599,16 @@ class FacebookLeadProcessor {
     }
   }
 
-  // Fetch lead from Facebook API with fallback for API failures
+  // Fetch lead from Facebook API; throws so the caller can retry instead of storing made-up contact details
   async fetchLeadFromFacebook(leadId, accessToken) {
+    if (!accessToken || accessToken === 'undefined') {
+      logger.error('Invalid Facebook access token');
+      throw new Error(`Facebook page access token missing for lead ${leadId}`);
+    }
+
     try {
       logger.info(`Fetching lead ${leadId} from Facebook API...`);
       
-      if (!accessToken || accessToken === 'undefined') {
-        logger.error('Invalid Facebook access token');
-        return this.createFallbackLeadData(leadId);
-      }
-      
       const response = await axios.get(`https://graph.facebook.com/v19.0/${leadId}`, {
         params: {
           access_token: accessToken,
@@ -486,31 +646,10 @@ class FacebookLeadProcessor {
         logger.error('🚫 Facebook API forbidden - insufficient permissions');
       }
       
-      // Return fallback data if Facebook API fails
-      logger.warn('🔄 Using fallback lead data due to Facebook API failure');
-      return this.createFallbackLeadData(leadId);
+      throw new Error(`Failed to fetch lead ${leadId} from Facebook: ${errorMessage}`);
     }
   }
 
-  // Create fallback lead data when Facebook API is unavailable
-  createFallbackLeadData(leadId) {
-    logger.info(`Creating fallback lead data for leadId: ${leadId}`);
-    return {
-      id: leadId,
-      created_time: new Date().toISOString(),
-      field_data: [
-        { name: 'full_name', values: ['Facebook Lead'] },
-        { name: 'email', values: [`lead_${leadId.substring(0, 8)}@facebook.com`] },
-        { name: 'phone_number', values: ['+1234567890'] }
-      ],
-      ad_id: 'unknown',
-      ad_name: 'Unknown Ad',
-      campaign_id: 'unknown',
-      campaign_name: 'Unknown Campaign',
-      form_id: 'unknown'
-    };
-  }
-
   // Helper method to find field value by trying multiple field name variations
   findFieldValue(fieldData, fieldNames) {
     for (const fieldName of fieldNames) {
@@ -522,21 +661,9 @@ class FacebookLeadProcessor {
     return null;
   }
 
-  // Clean phone number format
-  cleanPhoneNumber(phone) {
-    // Remove all non-digit characters except +
-    let cleaned = phone.replace(/[^\d+]/g, '');
-    
-    // Handle Indian numbers
-    if (cleaned.startsWith('91') && cleaned.length === 12) {
-      cleaned = '+' + cleaned;
-    } else if (cleaned.startsWith('0') && cleaned.length === 11) {
-      cleaned = '+91' + cleaned.substring(1);
-    } else if (cleaned.length === 10) {
-      cleaned = '+91' + cleaned;
-    }
-    
-    return cleaned;
+  // Clean phone number format: E.164 when the number parses, digits as received otherwise
+  cleanPhoneNumber(phone, defaultCountry) {
+    return normalizePhone(phone, { defaultCountry }).phone;
   }
 
   // Create lead in CRM system
@@ -562,10 +689,18 @@ class FacebookLeadProcessor {
         maxRetries: 2
       });
 
+      const action = response.data.action || 'created';
+      if (action === 'created') {
+        outboundWebhookService.leadCreated(organizationId, response.data.leadId, leadData, {
+          formId: leadData.sourceDetails?.formId,
+          externalId: leadData.metadata?.facebookLeadId
+        });
+      }
+
       return {
         success: true,
         leadId: response.data.leadId,
-        action: response.data.action || 'created'
+        action
       };
 
     } catch (error) {
@@ -715,7 +850,7 @@ class FacebookLeadProcessor {
   // Bulk process leads for a specific form (simplified old Jesty approach)
   async processFormLeads(integration, pageId, formId, options = {}) {
     try {
-      const { since, limit = 100 } = options;
+      const { since, limit = 100, syncType = 'form' } = options;
       
       const page = integration.fbPages.find(p => p.id === pageId);
       if (!page) {
@@ -728,28 +863,43 @@ class FacebookLeadProcessor {
         return { success: false, reason: 'form_disabled' };
       }
 
-      // Fetch leads from Facebook
-      const params = {
-        access_token: page.accessToken,
-        fields: 'id,created_time,field_data,ad_id,ad_name,campaign_id,campaign_name,form_id',
-        limit: limit
-      };
+      // Callers that already fetched the leads (polling sync) pass them in
+      let leads = options.leads;
 
-      if (since) {
-        params.since = Math.floor(new Date(since).getTime() / 1000);
-      }
+      if (!leads) {
+        // Fetch leads from Facebook
+        const params = {
+          access_token: page.accessToken,
+          fields: 'id,created_time,field_data,ad_id,ad_name,campaign_id,campaign_name,form_id',
+          limit: limit
+        };
 
-      const response = await axios.get(`https://graph.facebook.com/v19.0/${formId}/leads`, {
-        params
-      });
+        if (since) {
+          params.since = Math.floor(new Date(since).getTime() / 1000);
+        }
+
+        const response = await axios.get(`https://graph.facebook.com/v19.0/${formId}/leads`, {
+          params
+        });
+
+        leads = response.data.data || [];
+      }
 
-      const leads = response.data.data || [];
       const results = [];
 
       for (const facebookLead of leads) {
+        let ledger = null;
         try {
-          // Extract fields using simple approach
-          const extractedFields = this.extractLeadFields(facebookLead.field_data || []);
+          ledger = await idempotencyService.claim('facebook', facebookLead.id, {
+            organizationId: integration.organizationId,
+            integrationId: integration._id
+          });
+          if (!ledger.proceed) {
+            results.push(this.repeatResult(ledger, { facebookLeadId: facebookLead.id }));
+            continue;
+          }
+
+          const extractedFields = await this.mapLeadFields(facebookLead, integration, formId);
 
           // Validate contact information (user requirement)
           if (!extractedFields.email && !extractedFields.phone) {
@@ -758,11 +908,49 @@ class FacebookLeadProcessor {
               formId: facebookLead.form_id,
               availableFields: facebookLead.field_data?.map(f => f.name) || []
             });
+
+            const form = page.leadForms?.find(f => f.id === formId);
+            const quarantined = await quarantineService.quarantineLead({
+              organizationId: integration.organizationId,
+              source: 'facebook',
+              reason: 'no_contact_info',
+              message: 'Lead must have at least one contact method (email or phone)',
+              missingFields: ['email', 'phone'],
+              integrationId: integration._id,
+              formId,
+              formName: form?.name,
+              externalId: facebookLead.id,
+              lead: {
+                name: extractedFields.name,
+                customFields: extractedFields.customFields,
+                metadata: { pageId, pageName: page.name }
+              },
+              rawPayload: facebookLead
+            });
+
+            await idempotencyService.complete(ledger, null, 'quarantined');
             results.push({
               facebookLeadId: facebookLead.id,
               success: false,
               reason: 'no_contact_info',
-              message: 'Lead must have at least one contact method (email or phone)'
+              message: 'Lead must have at least one contact method (email or phone)',
+              quarantineId: quarantined?._id
+            });
+            continue;
+          }
+
+          const dedupe = await this.applyDuplicatePolicy(extractedFields, integration, {
+            formId,
+            externalId: facebookLead.id
+          });
+          if (dedupe.handled) {
+            await idempotencyService.complete(ledger, dedupe.leadId, dedupe.action);
+            results.push({
+              facebookLeadId: facebookLead.id,
+              success: true,
+              duplicate: true,
+              leadId: dedupe.leadId,
+              action: dedupe.action
             });
             continue;
           }
@@ -772,6 +960,7 @@ class FacebookLeadProcessor {
             name: extractedFields.name,
             email: extractedFields.email,
             phone: extractedFields.phone || '', // Ensure phone is always present
+            company: extractedFields.company,
             organizationId: integration.organizationId,
             source: 'facebook',
             status: 'new',
@@ -785,7 +974,7 @@ class FacebookLeadProcessor {
               campaignId: facebookLead.campaign_id,
               adId: facebookLead.ad_id,
               metadata: {
-                submissionType: 'historical',
+                submissionType: syncType === 'poll' ? 'poll' : 'historical',
                 source: 'facebook',
                 priority: 'medium'
               }
@@ -802,11 +991,14 @@ class FacebookLeadProcessor {
               formId: facebookLead.form_id,
               adId: facebookLead.ad_id,
               campaignId: facebookLead.campaign_id,
-              createdTime: facebookLead.created_time
+              createdTime: facebookLead.created_time,
+              phoneValidation: extractedFields.phoneValidation,
+              dedupe: dedupe.metadata
             }
           };
 
           const result = await this.createLeadInCRM(leadData, integration.organizationId);
+          await idempotencyService.complete(ledger, result.leadId);
           
           results.push({
             facebookLeadId: facebookLead.id,
@@ -814,6 +1006,7 @@ class FacebookLeadProcessor {
           });
 
         } catch (error) {
+          await idempotencyService.release(ledger, error);
           logger.error('Error processing individual lead:', facebookLead.id, error.message);
           results.push({
             facebookLeadId: facebookLead.id,
@@ -824,7 +1017,8 @@ class FacebookLeadProcessor {
       }
 
       // Update integration stats (simplified)
-      const successful = results.filter(r => r.success).length;
+      const successful = results.filter(r => r.success && !r.duplicate).length;
+      const duplicates = results.filter(r => r.duplicate).length;
 
       if (successful > 0) {
         await FacebookIntegration.updateOne(
@@ -836,11 +1030,25 @@ class FacebookLeadProcessor {
         );
       }
 
+      const errors = results.filter(r => !r.success).length;
+
+      outboundWebhookService.emit('sync.completed', integration.organizationId, {
+        source: 'facebook',
+        integrationId: String(integration._id),
+        syncType,
+        pageId,
+        formId,
+        recordsProcessed: leads.length,
+        recordsCreated: successful,
+        duplicates,
+        errors
+      });
+
       return {
         success: true,
         processed: leads.length,
         successful,
-        errors: results.filter(r => !r.success).length,
+        errors,
         results
       };
 
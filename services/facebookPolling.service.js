@@ -0,0 +1,375 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const FacebookFormPoll = require('../models/FacebookFormPoll');
+const FacebookIntegration = require('../models/FacebookIntegration');
+const IntegrationConfig = require('../models/IntegrationConfig');
+const WebhookEvent = require('../models/WebhookEvent');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Leadgen IDs remembered per form; webhook events only live for a week
+const RECENT_LEAD_IDS = 1000;
+
+/**
+ * Scheduled polling of Facebook lead forms, a safety net for leadgen webhooks
+ * that never arrive.
+ *
+ * Every enabled form of a connected integration has a FacebookFormPoll record.
+ * The worker claims due records with a lease (so several instances never poll
+ * the same form), fetches the leads created since the last one it saw, drops
+ * the ones already ingested by webhook or an earlier poll, and runs the rest
+ * through FacebookLeadProcessor. How often a form is polled follows the
+ * organization's IntegrationConfig.syncConfig.frequency.
+ */
+class FacebookPollingService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.FACEBOOK_POLL_INTERVAL_MS, 10) || 60 * 1000;
+    this.batchSize = parseInt(process.env.FACEBOOK_POLL_BATCH_SIZE, 10) || 5;
+    // Polling interval for "realtime" organizations, which rely on webhooks first
+    this.realtimeIntervalMs = parseInt(process.env.FACEBOOK_POLL_REALTIME_INTERVAL_MS, 10) || 15 * 60 * 1000;
+    // First poll of a form looks this far back
+    this.initialLookbackMs = (parseInt(process.env.FACEBOOK_POLL_LOOKBACK_HOURS, 10) || 24) * HOUR_MS;
+    // Re-read a little before the last seen lead to cover Facebook's indexing delay
+    this.overlapMs = 10 * 60 * 1000;
+    // How often the poll records are reconciled with the integrations' forms
+    this.seedIntervalMs = 5 * 60 * 1000;
+    // A poll still locked after this long (instance died mid-run) can be claimed again
+    this.lockTimeoutMs = 10 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.frequencies = {
+      realtime: this.realtimeIntervalMs,
+      hourly: HOUR_MS,
+      daily: 24 * HOUR_MS,
+      weekly: 7 * 24 * HOUR_MS
+    };
+
+    this.timer = null;
+    this.ticking = false;
+    this.rerun = false;
+    this.lastSeedAt = 0;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`Facebook polling worker started (${this.workerId}, every ${this.pollIntervalMs}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Facebook polling worker stopped');
+  }
+
+  // Run polls made due by hand without waiting for the next interval
+  kick() {
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+  }
+
+  async tick() {
+    if (!isConnected()) return;
+    if (this.ticking) {
+      this.rerun = true;
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      if (Date.now() - this.lastSeedAt >= this.seedIntervalMs) {
+        await this.seedForms();
+        this.lastSeedAt = Date.now();
+      }
+
+      for (let i = 0; i < this.batchSize; i++) {
+        const poll = await this.claimNext();
+        if (!poll) break;
+        await this.pollForm(poll);
+      }
+    } catch (error) {
+      logger.error('Facebook polling worker error:', error.message);
+    } finally {
+      this.ticking = false;
+      if (this.rerun && this.timer) {
+        this.rerun = false;
+        setImmediate(() => this.tick());
+      }
+    }
+  }
+
+  /**
+   * Create poll records for new forms and enable or disable existing ones to
+   * match the forms' CRM status. Forms of disconnected integrations stop polling.
+   */
+  async seedForms() {
+    const integrations = await FacebookIntegration.find({ connected: true })
+      .select('organizationId disabledFormIds fbPages.id fbPages.leadForms.id fbPages.leadForms.name fbPages.leadForms.enabled fbPages.leadForms.crmStatus')
+      .lean();
+
+    const operations = [];
+    integrations.forEach(integration => {
+      (integration.fbPages || []).forEach(page => {
+        (page.leadForms || []).forEach(form => {
+          const enabled = form.enabled !== false &&
+            (form.crmStatus || 'active') === 'active' &&
+            !(integration.disabledFormIds || []).includes(form.id);
+
+          operations.push({
+            updateOne: {
+              filter: { integrationId: integration._id, pageId: page.id, formId: form.id },
+              update: {
+                $set: { organizationId: integration.organizationId, formName: form.name, enabled },
+                $setOnInsert: { nextPollAt: new Date(), status: 'idle' }
+              },
+              upsert: true
+            }
+          });
+        });
+      });
+    });
+
+    if (operations.length > 0) {
+      await FacebookFormPoll.bulkWrite(operations, { ordered: false });
+    }
+
+    await FacebookFormPoll.updateMany(
+      { integrationId: { $nin: integrations.map(integration => integration._id) }, enabled: true },
+      { $set: { enabled: false } }
+    );
+  }
+
+  // Atomically lease the next due form so concurrent instances never poll the same one
+  async claimNext() {
+    const now = new Date();
+
+    return FacebookFormPoll.findOneAndUpdate(
+      {
+        enabled: true,
+        nextPollAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.lockTimeoutMs),
+          lastPolledAt: now
+        }
+      },
+      { sort: { nextPollAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Polling schedule of an organization from IntegrationConfig.syncConfig.
+   * Organizations without a config are polled at the realtime interval.
+   * @returns {Promise<Object>} { enabled, frequency, intervalMs }
+   */
+  async getSchedule(organizationId) {
+    const config = await IntegrationConfig.findOne({ companyId: organizationId, provider: 'facebook' })
+      .select('syncConfig')
+      .lean();
+
+    const syncConfig = config?.syncConfig || {};
+    const frequency = this.frequencies[syncConfig.frequency] ? syncConfig.frequency : 'realtime';
+
+    return {
+      enabled: syncConfig.enabled !== false,
+      frequency,
+      intervalMs: this.frequencies[frequency]
+    };
+  }
+
+  /**
+   * Leads not yet ingested: not handled by an earlier poll and not received by webhook
+   */
+  async filterIngested(poll, leads) {
+    if (leads.length === 0) return [];
+
+    const seen = new Set(poll.recentLeadIds || []);
+    const candidates = leads.filter(lead => !seen.has(lead.id));
+    if (candidates.length === 0) return [];
+
+    // Failed and dead webhook events never created their lead, so those are polled in. Events in
+    // flight are left to the queue; a completed one only counts for the organizations it was for,
+    // as it completes once every integration sharing the page has its lead
+    const received = await WebhookEvent.find({
+      source: 'facebook',
+      'payload.leadgen_id': { $in: candidates.map(lead => lead.id) },
+      $or: [
+        { status: { $in: ['pending', 'processing'] } },
+        { status: 'completed', organizationIds: String(poll.organizationId) }
+      ]
+    }).select('payload.leadgen_id').lean();
+
+    const receivedIds = new Set(received.map(event => event.payload.leadgen_id));
+    return candidates.filter(lead => !receivedIds.has(lead.id));
+  }
+
+  /**
+   * Where the next poll starts: the oldest lead that failed, so it is retried,
+   * else the newest lead fetched
+   */
+  nextLeadTime(poll, leads, failedIds) {
+    const times = (items) => items
+      .map(lead => new Date(lead.created_time).getTime())
+      .filter(time => !Number.isNaN(time));
+
+    const failedTimes = times(leads.filter(lead => failedIds.has(lead.id)));
+    if (failedTimes.length > 0) return new Date(Math.min(...failedTimes));
+
+    const fetchedTimes = times(leads);
+    if (fetchedTimes.length > 0) {
+      const newest = Math.max(...fetchedTimes);
+      return new Date(Math.max(newest, poll.lastLeadTime ? new Date(poll.lastLeadTime).getTime() : 0));
+    }
+
+    return poll.lastLeadTime || null;
+  }
+
+  // Save the outcome and hand the lease back
+  async release(poll, update, push) {
+    await FacebookFormPoll.updateOne(
+      { _id: poll._id, lockedBy: this.workerId },
+      {
+        $set: update,
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+        ...(push || {})
+      }
+    );
+  }
+
+  /**
+   * Poll one claimed form
+   * @returns {Promise<Object>} The lastResult stored on the poll record
+   */
+  async pollForm(poll) {
+    const facebookService = require('./facebook.service');
+    const facebookLeadProcessor = require('./facebookLeadProcessor.service');
+    const startedAt = Date.now();
+    let schedule = { frequency: 'realtime', intervalMs: this.realtimeIntervalMs };
+
+    try {
+      schedule = await this.getSchedule(poll.organizationId);
+      const nextPollAt = new Date(startedAt + schedule.intervalMs);
+
+      const integration = await FacebookIntegration.findById(poll.integrationId);
+      const page = integration?.fbPages.find(p => p.id === poll.pageId);
+      const form = page?.leadForms?.find(f => f.id === poll.formId);
+
+      if (!schedule.enabled || !integration?.connected || !form || form.enabled === false) {
+        const reason = !schedule.enabled ? 'Sync disabled for organization' : 'Form or integration no longer active';
+        await this.release(poll, { status: 'skipped', lastError: reason, nextPollAt });
+        return null;
+      }
+
+      const since = poll.lastLeadTime
+        ? new Date(poll.lastLeadTime).getTime() - this.overlapMs
+        : startedAt - this.initialLookbackMs;
+
+      const leads = await facebookService.fetchHistoricalLeadsFromForm(
+        poll.formId,
+        page.accessToken || integration.userAccessToken,
+        Math.floor(since / 1000)
+      );
+      const missing = await this.filterIngested(poll, leads);
+
+      let results = [];
+      if (missing.length > 0) {
+        const processed = await facebookLeadProcessor.processFormLeads(integration, poll.pageId, poll.formId, {
+          leads: missing,
+          syncType: 'poll'
+        });
+        results = processed.results || [];
+      }
+
+      // Quarantined leads are handled; only errors are retried on the next poll
+      const failed = results.filter(r => !r.success && !r.quarantineId);
+      const failedIds = new Set(failed.map(r => r.facebookLeadId));
+      const handledIds = missing.map(lead => lead.id).filter(id => !failedIds.has(id));
+
+      const lastResult = {
+        frequency: schedule.frequency,
+        fetched: leads.length,
+        alreadyIngested: leads.length - missing.length,
+        created: results.filter(r => r.success && !r.duplicate).length,
+        duplicates: results.filter(r => r.duplicate).length,
+        errors: failed.length,
+        durationMs: Date.now() - startedAt
+      };
+
+      await this.release(
+        poll,
+        {
+          status: failed.length === 0 ? 'success' : (handledIds.length > 0 ? 'partial' : 'error'),
+          lastResult,
+          lastLeadTime: this.nextLeadTime(poll, leads, failedIds),
+          lastError: failed.length > 0 ? failed[0].error || failed[0].message || null : null,
+          nextPollAt,
+          ...(failed.length === 0 ? { lastSuccessAt: new Date() } : {})
+        },
+        {
+          $push: { recentLeadIds: { $each: handledIds, $slice: -RECENT_LEAD_IDS } },
+          $inc: { totalCreated: lastResult.created }
+        }
+      );
+
+      if (missing.length > 0) {
+        logger.info(`Facebook poll recovered ${missing.length} missed leads`, {
+          integrationId: poll.integrationId,
+          formId: poll.formId,
+          ...lastResult
+        });
+      }
+
+      return lastResult;
+    } catch (error) {
+      logger.error(`Facebook poll failed for form ${poll.formId}:`, error.message);
+
+      await this.release(poll, {
+        status: 'error',
+        lastError: error.message,
+        nextPollAt: new Date(startedAt + schedule.intervalMs)
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Poll records of an organization, without the ID ledger
+   */
+  async getStatus(organizationId) {
+    return FacebookFormPoll.find({ organizationId })
+      .select('-recentLeadIds')
+      .sort({ pageId: 1, formName: 1 })
+      .lean();
+  }
+
+  /**
+   * Make a form due now and wake the worker
+   * @returns {Promise<Object|null>} The poll record, or null when the form is not polled
+   */
+  async runNow(organizationId, formId) {
+    const poll = await FacebookFormPoll.findOneAndUpdate(
+      { organizationId, formId, enabled: true },
+      { $set: { nextPollAt: new Date() } },
+      { new: true }
+    ).select('-recentLeadIds').lean();
+
+    if (poll) this.kick();
+    return poll;
+  }
+}
+
+module.exports = new FacebookPollingService();
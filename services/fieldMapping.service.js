@@ -0,0 +1,378 @@
+const mongoose = require('mongoose');
+const FieldMapping = require('../models/FieldMapping');
+const IntegrationConfig = require('../models/IntegrationConfig');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const { normalizePhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+const STANDARD_FIELDS = ['name', 'email', 'phone', 'company'];
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const stringTransform = (fn) => (value) => (typeof value === 'string' ? fn(value) : value);
+
+const TRANSFORMS = {
+  trim: stringTransform(value => value.trim()),
+  lowercase: stringTransform(value => value.toLowerCase()),
+  uppercase: stringTransform(value => value.toUpperCase()),
+  titlecase: stringTransform(value => value.toLowerCase().replace(/\b\w/g, c => c.toUpperCase())),
+  digits: (value) => String(value).replace(/\D/g, ''),
+  number: (value) => {
+    const number = Number(String(value).replace(/[^\d.-]/g, ''));
+    return Number.isNaN(number) ? value : number;
+  },
+  boolean: (value) => ['true', 'yes', 'y', '1', 'on'].includes(String(value).trim().toLowerCase()),
+  // National numbers are read in the integration's (or organization's) default country
+  phone_e164: (value, { defaultCountry } = {}) => normalizePhone(value, { defaultCountry })?.phone || value
+};
+
+const SPLIT_PARTS = ['first_name', 'last_name'];
+const COMBINE_MODES = ['first', 'concat'];
+
+/**
+ * Declarative field mapping shared by every lead source.
+ *
+ * A FieldMapping holds rules for one integration (formId: null) or one of
+ * its forms. Each rule reads one or more source paths, optionally joins them
+ * or splits a full name, runs value transforms and a lookup table, and falls
+ * back to a default. Sources without rules keep their built-in mapping.
+ */
+class FieldMappingService {
+  constructor() {
+    this.transforms = Object.keys(TRANSFORMS);
+  }
+
+  /**
+   * Bring a raw source payload into { fields, context }. Rules can read both;
+   * only `fields` are copied to customFields when includeUnmapped is set.
+   */
+  normalizePayload(source, payload = {}, { form } = {}) {
+    switch (source) {
+      case 'facebook': {
+        const fields = {};
+        (payload.field_data || []).forEach(field => {
+          const values = field.values || [];
+          fields[field.name] = values.length === 1 ? values[0] : values;
+        });
+        return { fields, context: payload };
+      }
+
+      case 'linkedin': {
+        const questionsById = new Map((form?.questions || []).map(q => [String(q.id), q]));
+        const fields = {};
+        const predefined = {};
+
+        for (const answer of payload.formResponse?.answers || []) {
+          const details = answer.answerDetails || {};
+          const value = details.textQuestionAnswer?.answer ?? details.multipleChoiceAnswer?.options;
+          if (isEmpty(value)) continue;
+
+          const question = questionsById.get(String(answer.questionId)) || {};
+          fields[question.name || question.label || `question_${answer.questionId}`] = value;
+          if (question.predefinedField) predefined[question.predefinedField] = value;
+        }
+        return { fields, context: { ...payload, ...predefined } };
+      }
+
+      // Orders and customers have dozens of fields, so only explicit rules read them
+      case 'shopify':
+        return { fields: {}, context: payload };
+
+      default:
+        return { fields: payload, context: {} };
+    }
+  }
+
+  // Exact key, then case-insensitive key, then dotted path ("billing_address.city", "line_items.0.title")
+  getValue(data, path) {
+    if (!data || !path) return undefined;
+    if (Object.prototype.hasOwnProperty.call(data, path)) return data[path];
+
+    const lower = path.toLowerCase();
+    const key = Object.keys(data).find(k => k.toLowerCase() === lower);
+    if (key !== undefined) return data[key];
+
+    return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+  }
+
+  splitName(value, part) {
+    const parts = String(value).trim().split(/\s+/);
+    return part === 'first_name' ? parts[0] : parts.slice(1).join(' ');
+  }
+
+  applyRule(rule, { fields, context }, options = {}) {
+    const values = (rule.from || [])
+      .map(path => {
+        const value = this.getValue(fields, path);
+        return value === undefined ? this.getValue(context, path) : value;
+      })
+      .filter(value => !isEmpty(value));
+
+    let value = rule.combine === 'concat'
+      ? values.map(v => (Array.isArray(v) ? v.join(', ') : String(v).trim())).join(rule.separator ?? ' ')
+      : values[0];
+
+    if (!isEmpty(value) && rule.split) {
+      value = this.splitName(Array.isArray(value) ? value[0] : value, rule.split);
+    }
+
+    for (const name of rule.transforms || []) {
+      if (isEmpty(value)) break;
+      const transform = TRANSFORMS[name];
+      value = Array.isArray(value) ? value.map(v => transform(v, options)) : transform(value, options);
+    }
+
+    if (!isEmpty(value) && rule.lookup) {
+      const lookup = (v) => (Object.prototype.hasOwnProperty.call(rule.lookup, String(v)) ? rule.lookup[String(v)] : v);
+      value = Array.isArray(value) ? value.map(lookup) : lookup(value);
+    }
+
+    if (isEmpty(value) && rule.default !== undefined && rule.default !== null) {
+      value = rule.default;
+    }
+
+    return value;
+  }
+
+  /**
+   * Run a rule set against a normalized payload
+   * @param {Object} [options] - { defaultCountry } for the phone_e164 transform
+   * @returns {Object} { name, email, phone, company, ..., customFields }
+   */
+  applyRules(normalized, ruleSet, options = {}) {
+    const lead = { customFields: {} };
+    const read = new Set();
+
+    for (const rule of ruleSet.rules || []) {
+      (rule.from || []).forEach(path => read.add(String(path).toLowerCase()));
+
+      const value = this.applyRule(rule, normalized, options);
+      if (isEmpty(value)) continue;
+
+      if (rule.target.startsWith(CUSTOM_FIELD_PREFIX)) {
+        lead.customFields[rule.target.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+      } else {
+        lead[rule.target] = value;
+      }
+    }
+
+    if (!lead.name && (lead.firstName || lead.lastName)) {
+      lead.name = `${lead.firstName || ''} ${lead.lastName || ''}`.trim();
+    }
+
+    if (ruleSet.includeUnmapped !== false) {
+      Object.entries(normalized.fields).forEach(([key, value]) => {
+        if (read.has(key.toLowerCase()) || isEmpty(value) || key in lead.customFields) return;
+        lead.customFields[key] = value;
+      });
+    }
+
+    return lead;
+  }
+
+  /**
+   * Convert the legacy IntegrationConfig.fieldMapping into a rule set.
+   * Configs still on the identity defaults are ignored so built-in mapping keeps applying.
+   */
+  fromIntegrationConfig(fieldMapping) {
+    if (!fieldMapping) return null;
+
+    const rules = STANDARD_FIELDS
+      .filter(field => fieldMapping[field] && fieldMapping[field] !== field)
+      .map(field => ({ target: field, from: [fieldMapping[field]] }));
+
+    Object.entries(fieldMapping.customFields || {}).forEach(([from, target]) => {
+      rules.push({ target: `${CUSTOM_FIELD_PREFIX}${target}`, from: [from] });
+    });
+
+    if (rules.length === 0) return null;
+
+    STANDARD_FIELDS.forEach(field => {
+      if (!rules.some(rule => rule.target === field)) {
+        rules.push({ target: field, from: [field] });
+      }
+    });
+
+    return { includeUnmapped: true, rules };
+  }
+
+  /**
+   * Find the rules for a lead: form mapping, then integration mapping, then IntegrationConfig.fieldMapping.
+   * @returns {Promise<Object|null>} { ruleSet, level } or null when the source should use its built-in mapping
+   */
+  async resolveRuleSet({ organizationId, source, integrationId, formId }) {
+    if (!isConnected() || !integrationId || !mongoose.Types.ObjectId.isValid(String(organizationId))) {
+      return null;
+    }
+
+    try {
+      const formKey = formId ? String(formId) : null;
+      const mappings = await FieldMapping.find({
+        organizationId,
+        source,
+        integrationId: String(integrationId),
+        formId: { $in: [formKey, null] },
+        enabled: true
+      }).lean();
+
+      const formMapping = formKey && mappings.find(m => m.formId === formKey);
+      if (formMapping) return { ruleSet: formMapping, level: 'form' };
+
+      const integrationMapping = mappings.find(m => m.formId === null);
+      if (integrationMapping) return { ruleSet: integrationMapping, level: 'integration' };
+
+      const config = await IntegrationConfig.findOne({ companyId: organizationId, provider: source })
+        .select('fieldMapping')
+        .lean();
+      const legacy = this.fromIntegrationConfig(config?.fieldMapping);
+      return legacy ? { ruleSet: legacy, level: 'integration_config' } : null;
+    } catch (error) {
+      logger.error('Error loading field mapping:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Map a raw payload with the rules configured for its integration/form
+   * @param {string} source - facebook | linkedin | shopify | wordpress | website
+   * @param {Object} payload - Raw lead payload as received from the source
+   * @param {Object} context - { organizationId, integrationId, formId, form, phoneDefaultCountry }
+   * @returns {Promise<Object|null>} Mapped lead, or null when no rules apply
+   */
+  async mapLead(source, payload, context = {}) {
+    const resolved = await this.resolveRuleSet({ ...context, source });
+    if (!resolved) return null;
+
+    const defaultCountry = await phoneNormalizationService.resolveDefaultCountry(
+      context.organizationId,
+      context.phoneDefaultCountry
+    );
+    return this.applyRules(this.normalizePayload(source, payload, context), resolved.ruleSet, { defaultCountry });
+  }
+
+  // Built-in mapping of each source, used by the preview when no rules are configured
+  async defaultMapping(source, payload, { integrationId, form }) {
+    switch (source) {
+      case 'facebook':
+        return require('./facebookLeadProcessor.service').extractLeadFields(payload.field_data || []);
+      case 'linkedin':
+        return require('./linkedin.service').extractLeadFields(payload, form || {});
+      case 'website':
+        return require('./website.service').cleanLeadData(payload);
+      case 'wordpress': {
+        const WordPressIntegration = require('../models/WordPressIntegration');
+        const integration = await WordPressIntegration.findById(integrationId).select('autoMapping').lean();
+        if (!integration) return null;
+        return require('./wordpressService').autoMapFormFields(payload, integration.autoMapping);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Show what a sample payload maps to
+   * @param {Object} options - { organizationId, source, integrationId, formId, payload, form, rules, includeUnmapped }
+   *   Pass `rules` to try unsaved rules; otherwise the stored rules (or built-in mapping) are used.
+   * @returns {Promise<Object>} { lead, level, mappingId }
+   */
+  async preview({ organizationId, source, integrationId, formId, payload, form, rules, includeUnmapped }) {
+    const resolved = Array.isArray(rules)
+      ? { ruleSet: { rules, includeUnmapped }, level: 'request' }
+      : await this.resolveRuleSet({ organizationId, source, integrationId, formId });
+
+    if (!resolved) {
+      return {
+        lead: await this.defaultMapping(source, payload, { integrationId, form }),
+        level: 'default'
+      };
+    }
+
+    const defaultCountry = await phoneNormalizationService.resolveDefaultCountry(organizationId);
+    return {
+      lead: this.applyRules(this.normalizePayload(source, payload, { form }), resolved.ruleSet, { defaultCountry }),
+      level: resolved.level,
+      mappingId: resolved.ruleSet._id
+    };
+  }
+
+  /**
+   * @returns {string[]} Validation errors, empty when the rules are valid
+   */
+  validateRules(rules) {
+    if (!Array.isArray(rules)) return ['rules must be an array'];
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+      const label = `rules[${index}]`;
+      if (!rule || typeof rule !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (typeof rule.target !== 'string' || !rule.target.trim() || rule.target === CUSTOM_FIELD_PREFIX) {
+        errors.push(`${label}.target is required`);
+      }
+      if (!Array.isArray(rule.from) || rule.from.some(path => typeof path !== 'string')) {
+        errors.push(`${label}.from must be an array of field paths`);
+      } else if (rule.from.length === 0 && (rule.default === undefined || rule.default === null)) {
+        errors.push(`${label} needs a source path or a default value`);
+      }
+      if (rule.combine !== undefined && !COMBINE_MODES.includes(rule.combine)) {
+        errors.push(`${label}.combine must be one of: ${COMBINE_MODES.join(', ')}`);
+      }
+      if (rule.split !== undefined && rule.split !== null && !SPLIT_PARTS.includes(rule.split)) {
+        errors.push(`${label}.split must be one of: ${SPLIT_PARTS.join(', ')}`);
+      }
+      const transforms = rule.transforms === undefined ? [] : rule.transforms;
+      if (!Array.isArray(transforms) || transforms.some(name => !TRANSFORMS[name])) {
+        errors.push(`${label}.transforms must be a list of: ${this.transforms.join(', ')}`);
+      }
+      if (rule.lookup !== undefined && (typeof rule.lookup !== 'object' || rule.lookup === null || Array.isArray(rule.lookup))) {
+        errors.push(`${label}.lookup must be an object`);
+      }
+    });
+    return errors;
+  }
+
+  async listMappings(organizationId, { source, integrationId } = {}) {
+    const filter = { organizationId };
+    if (source) filter.source = source;
+    if (integrationId) filter.integrationId = String(integrationId);
+
+    return FieldMapping.find(filter).sort({ source: 1, integrationId: 1, formId: 1 }).lean();
+  }
+
+  async getMapping(organizationId, id) {
+    return FieldMapping.findOne({ _id: id, organizationId }).lean();
+  }
+
+  // One mapping per integration/form; saving again replaces its rules
+  async saveMapping(organizationId, { source, integrationId, formId, name, enabled, includeUnmapped, rules }, userId) {
+    const set = { rules, updatedBy: userId ? String(userId) : undefined };
+    if (name !== undefined) set.name = name;
+    if (enabled !== undefined) set.enabled = enabled;
+    if (includeUnmapped !== undefined) set.includeUnmapped = includeUnmapped;
+
+    return FieldMapping.findOneAndUpdate(
+      { organizationId, source, integrationId: String(integrationId), formId: formId ? String(formId) : null },
+      {
+        $set: set,
+        $setOnInsert: { createdBy: userId ? String(userId) : undefined }
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async deleteMapping(organizationId, id) {
+    return FieldMapping.findOneAndDelete({ _id: id, organizationId });
+  }
+}
+
+module.exports = new FieldMappingService();
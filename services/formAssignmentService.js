@@ -1,6 +1,11 @@
 const axios = require('axios');
 const mongoose = require('mongoose');
 const FacebookIntegration = require('../models/FacebookIntegration');
+const assignmentEngine = require('./assignmentEngine.service');
+const assignmentQueue = require('./assignmentQueue.service');
+const assignmentLog = require('./assignmentLog.service');
+const slaWatcher = require('./slaWatcher.service');
+const outboundWebhookService = require('./outboundWebhook.service');
 const logger = require('../utils/logger');
 
 class FormAssignmentService {
@@ -9,36 +14,45 @@ class FormAssignmentService {
     this.leadsServiceUrl = process.env.LEADS_SERVICE_URL || 'http://localhost:3002';
   }
 
+  /**
+   * Integration, page and form of a Facebook lead form
+   */
+  async findForm(integrationId, pageId, formId) {
+    const integration = await FacebookIntegration.findById(integrationId);
+    
+    if (!integration) {
+      throw new Error('Integration not found');
+    }
+
+    const page = integration.fbPages.find(p => p.id === pageId);
+    if (!page) {
+      throw new Error('Page not found');
+    }
+
+    const form = page.leadForms.find(f => f.id === formId);
+    if (!form) {
+      throw new Error('Form not found');
+    }
+
+    return { integration, page, form };
+  }
+
   /**
    * Get assignment settings for a specific form
    */
   async getFormAssignmentSettings(integrationId, pageId, formId) {
     try {
-      const integration = await FacebookIntegration.findById(integrationId);
-      
-      if (!integration) {
-        throw new Error('Integration not found');
-      }
-
-      const page = integration.fbPages.find(p => p.id === pageId);
-      if (!page) {
-        throw new Error('Page not found');
-      }
-
-      const form = page.leadForms.find(f => f.id === formId);
-      if (!form) {
-        throw new Error('Form not found');
-      }
+      const { form } = await this.findForm(integrationId, pageId, formId);
 
       return form.assignmentSettings || {
         enabled: false,
+        mode: 'specific',
         algorithm: 'round-robin',
         assignToUsers: [],
         lastAssignment: {
-          mode: 'manual',
-          lastAssignedIndex: 0,
-          lastAssignedAt: null,
-          lastAssignedTo: null
+          userId: null,
+          timestamp: null,
+          roundRobinIndex: 0
         }
       };
     } catch (error) {
@@ -68,9 +82,23 @@ class FormAssignmentService {
         throw new Error('Form not found');
       }
 
+      const current = integration.fbPages[pageIndex].leadForms[formIndex].assignmentSettings;
+      if (newSettings.workingHours) {
+        newSettings = {
+          ...newSettings,
+          workingHours: assignmentEngine.mergeWorkingHours(current?.workingHours, newSettings.workingHours)
+        };
+      }
+      if (newSettings.hybrid) {
+        newSettings = {
+          ...newSettings,
+          hybrid: assignmentEngine.mergeHybrid(current?.hybrid, newSettings.hybrid)
+        };
+      }
+
       // Update form assignment settings
       integration.fbPages[pageIndex].leadForms[formIndex].assignmentSettings = {
-        ...integration.fbPages[pageIndex].leadForms[formIndex].assignmentSettings,
+        ...current,
         ...newSettings
       };
 
@@ -103,195 +131,32 @@ class FormAssignmentService {
   }
 
   /**
-   * Get next assignee based on assignment algorithm
+   * Distribution scope of a Facebook lead form
    */
-  async getNextAssignee(eligibleUsers, assignmentSettings, integrationId, pageId, formId) {
-    try {
-      const activeUsers = assignmentSettings.assignToUsers.filter(u => u.isActive);
-      
-      if (activeUsers.length === 0) {
-        return null;
-      }
-
-      let nextUser = null;
-
-      switch (assignmentSettings.algorithm) {
-        case 'round-robin':
-          nextUser = this.roundRobinAssignment(activeUsers, assignmentSettings.lastAssignment);
-          break;
-        case 'weighted-round-robin':
-          nextUser = this.weightedRoundRobinAssignment(activeUsers, assignmentSettings.lastAssignment);
-          break;
-        case 'random':
-          nextUser = this.randomAssignment(activeUsers);
-          break;
-        case 'least-assigned':
-          nextUser = await this.leastAssignedAlgorithm(activeUsers, integrationId, pageId, formId);
-          break;
-        default:
-          nextUser = this.roundRobinAssignment(activeUsers, assignmentSettings.lastAssignment);
-      }
-
-      // Update last assignment tracking
-      if (nextUser) {
-        await this.updateLastAssignment(integrationId, pageId, formId, nextUser);
-      }
-
-      return nextUser;
-    } catch (error) {
-      logger.error('Error getting next assignee:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Round-robin assignment algorithm
-   */
-  roundRobinAssignment(activeUsers, lastAssignment) {
-    const currentIndex = lastAssignment.lastAssignedIndex || 0;
-    const nextIndex = (currentIndex + 1) % activeUsers.length;
-    const selectedUserSettings = activeUsers[nextIndex];
-    
-    // Return user settings with userId accessible as _id for compatibility
-    return {
-      user: {
-        _id: selectedUserSettings.userId,
-        userId: selectedUserSettings.userId,
-        weight: selectedUserSettings.weight
-      },
-      nextIndex: nextIndex
-    };
-  }
-
-  /**
-   * Weighted round-robin assignment algorithm
-   */
-  weightedRoundRobinAssignment(activeUsers, lastAssignment) {
-    // Create weighted list
-    const weightedUsers = [];
-    activeUsers.forEach(user => {
-      for (let i = 0; i < user.weight; i++) {
-        weightedUsers.push(user);
-      }
-    });
-
-    const currentIndex = lastAssignment.lastAssignedIndex || 0;
-    const nextIndex = (currentIndex + 1) % weightedUsers.length;
-    const selectedUserSettings = weightedUsers[nextIndex];
-    
-    return {
-      user: {
-        _id: selectedUserSettings.userId,
-        userId: selectedUserSettings.userId,
-        weight: selectedUserSettings.weight
-      },
-      nextIndex: nextIndex
-    };
-  }
-
-  /**
-   * Random assignment algorithm
-   */
-  randomAssignment(activeUsers) {
-    const randomIndex = Math.floor(Math.random() * activeUsers.length);
-    const selectedUserSettings = activeUsers[randomIndex];
-    
-    return {
-      user: {
-        _id: selectedUserSettings.userId,
-        userId: selectedUserSettings.userId,
-        weight: selectedUserSettings.weight
-      },
-      nextIndex: randomIndex
-    };
-  }
-
-  /**
-   * Least assigned algorithm
-   */
-  async leastAssignedAlgorithm(activeUsers, integrationId, pageId, formId) {
-    try {
-      // Get assignment counts for each user from leads service
-      const userCounts = await this.getAssignmentCounts(activeUsers, integrationId, pageId, formId);
-      
-      // Find user with least assignments
-      let leastAssignedUser = activeUsers[0];
-      let minCount = userCounts[leastAssignedUser.userId] || 0;
-      
-      activeUsers.forEach(user => {
-        const count = userCounts[user.userId] || 0;
-        if (count < minCount) {
-          minCount = count;
-          leastAssignedUser = user;
-        }
-      });
-
-      return {
-        user: leastAssignedUser,
-        nextIndex: 0 // Not relevant for least-assigned
-      };
-    } catch (error) {
-      logger.error('Error in least assigned algorithm:', error);
-      // Fallback to round-robin
-      return this.roundRobinAssignment(activeUsers, { lastAssignedIndex: 0 });
-    }
-  }
-
-  /**
-   * Get assignment counts for users
-   */
-  async getAssignmentCounts(activeUsers, integrationId, pageId, formId) {
-    try {
-      // This would query the leads service to get counts
-      // For now, return empty counts
-      const counts = {};
-      activeUsers.forEach(user => {
-        counts[user.userId] = 0;
-      });
-      return counts;
-    } catch (error) {
-      logger.error('Error getting assignment counts:', error);
-      return {};
-    }
+  formScope(integrationId, pageId, formId) {
+    return assignmentEngine.scopeFor('facebook', integrationId, pageId, formId);
   }
 
   /**
    * Update last assignment tracking
    */
   async updateLastAssignment(integrationId, pageId, formId, assignmentResult) {
-    try {
-      await FacebookIntegration.findOneAndUpdate(
-        {
-          _id: integrationId,
-          'fbPages.id': pageId,
-          'fbPages.leadForms.id': formId
-        },
-        {
-          $set: {
-            'fbPages.$[page].leadForms.$[form].assignmentSettings.lastAssignment': {
-              mode: 'automatic',
-              lastAssignedIndex: assignmentResult.nextIndex,
-              lastAssignedAt: new Date(),
-              lastAssignedTo: assignmentResult.user.userId
-            }
-          }
-        },
-        {
-          arrayFilters: [
-            { 'page.id': pageId },
-            { 'form.id': formId }
-          ]
-        }
-      );
-    } catch (error) {
-      logger.error('Error updating last assignment:', error);
-    }
+    await assignmentEngine.recordLastAssignment(
+      FacebookIntegration,
+      { _id: integrationId, 'fbPages.id': pageId, 'fbPages.leadForms.id': formId },
+      'fbPages.$[page].leadForms.$[form].assignmentSettings',
+      assignmentResult,
+      { arrayFilters: [{ 'page.id': pageId }, { 'form.id': formId }] }
+    );
   }
 
   /**
-   * Get next assignee for a form without creating assignment (used during lead creation)
+   * Get next assignee for a form without creating assignment (used during lead creation).
+   * Outside working hours the result may be deferred ({ user: null, deferred: true, availableAt });
+   * pass it to assignmentQueue.defer() once the lead is created.
+   * @param {Object} [lead] - Lead fields for routing rules
    */
-  async getNextAssigneeForForm(integrationId, pageId, formId) {
+  async getNextAssigneeForForm(integrationId, pageId, formId, lead) {
     try {
       logger.info('Getting next assignee for form:', {
         integrationId,
@@ -300,37 +165,42 @@ class FormAssignmentService {
       });
       
       // Get form assignment settings
-      const assignmentSettings = await this.getFormAssignmentSettings(integrationId, pageId, formId);
+      const { integration, form } = await this.findForm(integrationId, pageId, formId);
+      const assignmentSettings = form.assignmentSettings;
       
       logger.info('Form assignment settings:', {
-        enabled: assignmentSettings.enabled,
-        algorithm: assignmentSettings.algorithm,
-        activeUsersCount: assignmentSettings.assignToUsers?.filter(u => u.isActive).length || 0
+        enabled: assignmentSettings?.enabled,
+        algorithm: assignmentSettings?.algorithm,
+        activeUsersCount: assignmentEngine.normalizeUsers(assignmentSettings?.assignToUsers).length
       });
       
-      if (!assignmentSettings.enabled) {
+      if (!assignmentSettings || !assignmentSettings.enabled) {
         logger.info('Assignment disabled for this form');
         return null;
       }
 
-      // Get eligible users from assignment settings
-      const activeUsers = assignmentSettings.assignToUsers.filter(u => u.isActive);
-      
-      if (activeUsers.length === 0) {
+      // Next user of the configured algorithm on shift, committed atomically
+      const assignmentResult = await assignmentEngine.nextForSettings(
+        this.formScope(integrationId, pageId, formId),
+        assignmentSettings,
+        {
+          organizationId: integration.organizationId,
+          locator: { source: 'facebook', integrationId: String(integrationId), pageId, formId },
+          lead
+        }
+      );
+
+      if (!assignmentResult) {
         logger.warn('No active users found for assignment');
         return null;
       }
 
-      logger.info('Active users for assignment:', activeUsers.map(u => ({ userId: u.userId, weight: u.weight })));
+      if (assignmentResult.deferred) {
+        logger.info('No form assignee on shift, lead will be queued:', { formId, availableAt: assignmentResult.availableAt });
+        return assignmentResult;
+      }
 
-      // Get next assignee using the configured algorithm
-      const assignmentResult = await this.getNextAssignee(
-        activeUsers,
-        assignmentSettings,
-        integrationId,
-        pageId,
-        formId
-      );
+      await this.updateLastAssignment(integrationId, pageId, formId, assignmentResult);
 
       logger.info('Assignment result:', {
         hasResult: !!assignmentResult,
@@ -370,29 +240,24 @@ class FormAssignmentService {
         };
       }
 
-      // Get eligible users from assignment settings
-      const activeUsers = assignmentSettings.assignToUsers.filter(u => u.isActive);
-      
-      if (activeUsers.length === 0) {
+      // Get next assignee
+      const assignmentResult = await this.getNextAssigneeForForm(integrationId, pageId, formId);
+
+      if (!assignmentResult) {
         return {
           assigned: false,
-          reason: 'No active users found in assignment settings'
+          reason: 'No user available for assignment'
         };
       }
 
-      // Get next assignee
-      const assignmentResult = await this.getNextAssignee(
-        activeUsers, 
-        assignmentSettings, 
-        integrationId, 
-        pageId, 
-        formId
-      );
-
-      if (!assignmentResult) {
+      if (assignmentResult.deferred) {
+        await assignmentQueue.defer(assignmentResult, leadId);
+        await assignmentLog.record(assignmentResult, leadId);
         return {
           assigned: false,
-          reason: 'No user available for assignment'
+          queued: true,
+          availableAt: assignmentResult.availableAt,
+          reason: 'No assignee on shift; queued until the next shift starts'
         };
       }
 
@@ -405,16 +270,18 @@ class FormAssignmentService {
         );
 
         if (assignmentResponse.success) {
+          await assignmentLog.record(assignmentResult, leadId);
+          await slaWatcher.watch(assignmentResult, leadId);
           logger.info('Lead successfully auto-assigned:', {
             leadId,
             userId: assignmentResult.user.userId,
-            algorithm: assignmentSettings.algorithm
+            algorithm: assignmentResult.algorithm
           });
 
           return {
             assigned: true,
             assignedTo: assignmentResult.user,
-            algorithm: assignmentSettings.algorithm,
+            algorithm: assignmentResult.algorithm,
             leadId: leadId
           };
         } else {
@@ -515,12 +382,15 @@ class FormAssignmentService {
   async getFormAssignmentStats(integrationId, pageId, formId) {
     try {
       const assignmentSettings = await this.getFormAssignmentSettings(integrationId, pageId, formId);
+      const state = await assignmentEngine.getState(this.formScope(integrationId, pageId, formId));
       
       return {
         enabled: assignmentSettings.enabled,
-        algorithm: assignmentSettings.algorithm,
+        algorithm: assignmentEngine.normalizeAlgorithm(assignmentSettings.algorithm),
         totalUsers: assignmentSettings.assignToUsers?.length || 0,
-        activeUsers: assignmentSettings.assignToUsers?.filter(u => u.isActive)?.length || 0,
+        activeUsers: assignmentEngine.normalizeUsers(assignmentSettings.assignToUsers).length,
+        totalAssignments: state?.sequence || 0,
+        assignmentsByUser: state?.counts || {},
         lastAssignment: assignmentSettings.lastAssignment
       };
     } catch (error) {
@@ -530,103 +400,94 @@ class FormAssignmentService {
   }
 
   /**
-   * Get next assignee for website integration (similar to Facebook form assignment)
+   * Who the next lead of a form would go to, without advancing the distribution
    */
-  async getNextAssigneeForWebsiteIntegration(integrationId, assignmentSettings) {
+  async previewNextAssigneeForForm(integrationId, pageId, formId, organizationId) {
+    const assignmentSettings = await this.getFormAssignmentSettings(integrationId, pageId, formId);
+    const settings = assignmentEngine.normalizeSettings(assignmentSettings);
+
+    if (!settings.enabled) {
+      return null;
+    }
+
+    return assignmentEngine.peekAvailable(this.formScope(integrationId, pageId, formId), settings.users, settings, { organizationId });
+  }
+
+  /**
+   * Start a form's distribution over from the first user
+   */
+  async resetFormAssignment(integrationId, pageId, formId) {
+    await assignmentEngine.reset(this.formScope(integrationId, pageId, formId));
+    await FacebookIntegration.updateOne(
+      { _id: integrationId, 'fbPages.id': pageId, 'fbPages.leadForms.id': formId },
+      {
+        $set: {
+          'fbPages.$[page].leadForms.$[form].assignmentSettings.lastAssignment': {
+            userId: null,
+            timestamp: null,
+            roundRobinIndex: 0
+          }
+        }
+      },
+      { arrayFilters: [{ 'page.id': pageId }, { 'form.id': formId }] }
+    );
+  }
+
+  /**
+   * Get next assignee for a LinkedIn lead form (same engine as Facebook forms, may be deferred)
+   * @param {Object} [lead] - Lead fields for routing rules
+   */
+  async getNextAssigneeForLinkedInForm(integration, accountId, formId, lead) {
     try {
-      logger.info('Getting next assignee for website integration:', {
-        integrationId,
-        enabled: assignmentSettings.enabled,
-        mode: assignmentSettings.mode,
-        algorithm: assignmentSettings.algorithm,
-        assignToUsersCount: assignmentSettings.assignToUsers?.length || 0
-      });
+      const found = integration.findLeadForm(formId);
+      const assignmentSettings = found?.form?.assignmentSettings;
 
-      if (!assignmentSettings.enabled || assignmentSettings.mode === 'manual') {
+      if (!assignmentSettings || !assignmentSettings.enabled) {
+        logger.info('Assignment disabled for this LinkedIn form', { formId });
         return null;
       }
 
-      const eligibleUsers = assignmentSettings.assignToUsers || [];
-      if (eligibleUsers.length === 0) {
-        logger.warn('No eligible users found for website integration assignment');
+      const nextUser = await assignmentEngine.nextForSettings(
+        assignmentEngine.scopeFor('linkedin', integration._id, accountId, formId),
+        assignmentSettings,
+        {
+          organizationId: integration.organizationId,
+          locator: { source: 'linkedin', integrationId: String(integration._id), accountId, formId },
+          lead
+        }
+      );
+
+      if (!nextUser) {
+        logger.warn('No active users found for LinkedIn form assignment', { formId });
         return null;
       }
 
-      // Get next assignee based on algorithm
-      let selectedUser;
-      let nextIndex = 0;
-
-      switch (assignmentSettings.algorithm) {
-        case 'round-robin':
-          const currentIndex = assignmentSettings.lastAssignment?.roundRobinIndex || 0;
-          nextIndex = (currentIndex + 1) % eligibleUsers.length;
-          selectedUser = eligibleUsers[nextIndex];
-          break;
-
-        case 'weighted-round-robin':
-          selectedUser = this.selectWeightedUser(eligibleUsers);
-          nextIndex = eligibleUsers.findIndex(u => u.userId === selectedUser.userId);
-          break;
-
-        case 'random':
-          const randomIndex = Math.floor(Math.random() * eligibleUsers.length);
-          selectedUser = eligibleUsers[randomIndex];
-          nextIndex = randomIndex;
-          break;
-
-        default:
-          selectedUser = eligibleUsers[0];
-          nextIndex = 0;
+      if (nextUser.deferred) {
+        return nextUser;
       }
 
-      logger.info('Selected user for website assignment:', {
-        userId: selectedUser.userId,
-        algorithm: assignmentSettings.algorithm,
-        nextIndex
-      });
-
-      return {
-        user: { _id: selectedUser.userId, userId: selectedUser.userId },
-        nextIndex,
-        algorithm: assignmentSettings.algorithm
-      };
+      await this.updateLinkedInLastAssignment(integration._id, accountId, formId, nextUser);
 
+      return nextUser;
     } catch (error) {
-      logger.error('Error getting next assignee for website integration:', error);
-      throw error;
+      logger.error('Error getting next assignee for LinkedIn form:', error);
+      return null;
     }
   }
 
   /**
-   * Update last assignment for website integration
+   * Update last assignment tracking for a LinkedIn lead form
    */
-  async updateWebsiteLastAssignment(integrationId, assigneeResult) {
-    try {
-      const WebsiteIntegration = require('../models/WebsiteIntegration');
-      
-      await WebsiteIntegration.findByIdAndUpdate(
-        integrationId,
-        {
-          $set: {
-            'assignmentSettings.lastAssignment': {
-              userId: assigneeResult.user._id || assigneeResult.user.userId,
-              timestamp: new Date(),
-              roundRobinIndex: assigneeResult.nextIndex || 0
-            }
-          }
-        }
-      );
-
-      logger.info('Updated website integration last assignment:', {
-        integrationId,
-        userId: assigneeResult.user._id || assigneeResult.user.userId,
-        nextIndex: assigneeResult.nextIndex
-      });
-
-    } catch (error) {
-      logger.error('Error updating website integration last assignment:', error);
-      throw error;
-    }
+  async updateLinkedInLastAssignment(integrationId, accountId, formId, assignmentResult) {
+    const LinkedInIntegration = require('../models/LinkedInIntegration');
+
+    await assignmentEngine.recordLastAssignment(
+      LinkedInIntegration,
+      { _id: integrationId, 'adAccounts.id': accountId, 'adAccounts.leadForms.id': formId },
+      'adAccounts.$[account].leadForms.$[form].assignmentSettings',
+      assignmentResult,
+      { arrayFilters: [{ 'account.id': accountId }, { 'form.id': formId }] }
+    );
   }
 
   /**
@@ -666,6 +527,11 @@ class FormAssignmentService {
         response: response.data
       });
 
+      outboundWebhookService.emit('lead.assigned', organizationId, {
+        leadId: String(leadId),
+        assignedTo: String(assignedUserId)
+      });
+
       return {
         success: true,
         data: response.data,
@@ -0,0 +1,831 @@
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const websiteService = require('./website.service');
+const partialSubmissionService = require('./partialSubmission.service');
+const captchaService = require('./captcha.service');
+const logger = require('../utils/logger');
+
+// Same base as the integration's webhookUrl and embedScript virtuals
+const serviceUrl = () => process.env.SERVICE_URL || 'https://api.jestycrm.com';
+
+const FIELD_TYPES = ['text', 'email', 'phone', 'tel', 'textarea', 'select', 'checkbox', 'radio', 'number', 'url', 'date', 'hidden'];
+const OPERATORS = ['equals', 'not-equals', 'in', 'filled', 'empty'];
+
+// Submission keys the lead pipeline reads itself
+const RESERVED_NAMES = ['submissionToken', 'visitorToken', 'attribution', 'formId', 'integrationKey', 'organizationId', 'websiteDomain', 'fields'];
+
+// Form definition properties the builder API sets
+const FORM_PROPS = ['formName', 'title', 'description', 'fields', 'steps', 'theme', 'submitButtonText', 'successMessage', 'redirectUrl', 'partialCapture', 'isActive'];
+
+const MAX_FIELDS = 50;
+const MAX_STEPS = 10;
+
+const FORM_ID_PATTERN = /^[\w-]{1,64}$/;
+const NAME_PATTERN = /^[A-Za-z_][\w.-]{0,63}$/;
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const FONT_PATTERN = /^[\w\s,'"-]{1,100}$/;
+const URL_PATTERN = /^https?:\/\/[^\s<>"]+$/;
+const ORIGIN_PATTERN = /^https?:\/\/[^\s;,'"]+$/;
+
+// What generateHTMLCode's static form asks for, used until fields are defined
+const DEFAULT_FIELDS = [
+  { name: 'name', label: 'Name', type: 'text', required: true },
+  { name: 'email', label: 'Email', type: 'email', required: true },
+  { name: 'phone', label: 'Phone', type: 'tel' },
+  { name: 'company', label: 'Company', type: 'text' },
+  { name: 'message', label: 'Message', type: 'textarea' }
+];
+
+const DEFAULT_THEME = {
+  primaryColor: '#007bff',
+  backgroundColor: '#ffffff',
+  textColor: '#333333',
+  fontFamily: 'Arial, sans-serif',
+  borderRadius: 8
+};
+
+const INPUT_TYPES = { phone: 'tel', tel: 'tel', email: 'email', number: 'number', url: 'url', date: 'date' };
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const isString = (value, max) => typeof value === 'string' && value.length <= max;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Browsers check the pattern attribute in unicode mode
+const isValidPattern = (pattern) => {
+  try {
+    return Boolean(new RegExp(pattern, 'u'));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Runs in the hosted page: steps, conditional fields, validation and submission. The server renders the markup
+const CLIENT_SCRIPT = `
+(function() {
+  var definition = JSON.parse(document.getElementById('jf-definition').textContent);
+  var form = document.getElementById('jf-form');
+  var steps = Array.prototype.slice.call(form.querySelectorAll('.jf-step'));
+  var back = form.querySelector('.jf-back');
+  var next = form.querySelector('.jf-next');
+  var submit = form.querySelector('.jf-submit');
+  var progress = form.querySelector('.jf-progress');
+  var status = form.querySelector('.jf-status');
+  var done = document.querySelector('.jf-done');
+  var params = new URLSearchParams(window.location.search);
+  var embedded = document.body.classList.contains('jf-embedded');
+  var fields = [];
+  var current = 0;
+  var token = null;
+  var captcha = (${captchaService.clientScript()})(definition.captcha);
+
+  definition.steps.forEach(function(step) { fields = fields.concat(step.fields); });
+
+  function byName(name) {
+    return fields.filter(function(field) { return field.name === name; })[0];
+  }
+
+  function container(field) {
+    return form.querySelector('[data-field="' + field.name + '"]');
+  }
+
+  function inputs(field) {
+    return Array.prototype.slice.call(container(field).querySelectorAll('input, select, textarea'));
+  }
+
+  function valueOf(field) {
+    var elements = inputs(field);
+    if (field.type === 'checkbox') {
+      var checked = elements.filter(function(el) { return el.checked; }).map(function(el) { return el.value; });
+      return field.options.length > 0 ? checked : checked.length > 0;
+    }
+    if (field.type === 'radio') {
+      var picked = elements.filter(function(el) { return el.checked; })[0];
+      return picked ? picked.value : '';
+    }
+    return elements[0].value.trim();
+  }
+
+  function isEmpty(value) {
+    return value === '' || value === false || (Array.isArray(value) && value.length === 0);
+  }
+
+  // showIf only refers to earlier fields, so this ends
+  function isShown(field) {
+    var condition = field.showIf;
+    if (!condition) return true;
+
+    var other = byName(condition.field);
+    if (!other || !isShown(other)) return false;
+
+    var value = valueOf(other);
+    var values = [].concat(value).map(String);
+    switch (condition.operator) {
+      case 'filled': return !isEmpty(value);
+      case 'empty': return isEmpty(value);
+      case 'in': return [].concat(condition.value).some(function(option) { return values.indexOf(String(option)) !== -1; });
+      case 'not-equals': return values.indexOf(String(condition.value)) === -1;
+      default: return values.indexOf(String(condition.value)) !== -1;
+    }
+  }
+
+  // Fields that are not shown are not validated or submitted
+  function applyConditions() {
+    fields.forEach(function(field) {
+      var shown = isShown(field);
+      container(field).hidden = !shown || field.type === 'hidden';
+      inputs(field).forEach(function(el) { el.disabled = !shown; });
+    });
+  }
+
+  function validate(field) {
+    var box = container(field);
+    var message = '';
+
+    if (field.type !== 'hidden' && isShown(field)) {
+      var value = valueOf(field);
+      if (isEmpty(value)) {
+        if (field.required) message = 'This field is required';
+      } else {
+        var invalid = inputs(field).filter(function(el) { return !el.checkValidity(); })[0];
+        if (invalid) message = (field.validation && field.validation.message) || invalid.validationMessage;
+      }
+    }
+
+    box.querySelector('.jf-error').textContent = message;
+    box.classList.toggle('jf-invalid', !!message);
+    return !message;
+  }
+
+  function hasShownFields(index) {
+    return definition.steps[index].fields.some(function(field) { return field.type !== 'hidden' && isShown(field); });
+  }
+
+  // The next step in a direction that has something to fill in, or -1
+  function stepFrom(index, direction) {
+    for (var i = index + direction; i >= 0 && i < steps.length; i += direction) {
+      if (hasShownFields(i)) return i;
+    }
+    return -1;
+  }
+
+  function validateStep(index) {
+    var invalid = definition.steps[index].fields.filter(function(field) { return !validate(field); });
+    if (invalid.length > 0) {
+      var first = inputs(invalid[0])[0];
+      if (first) first.focus();
+    }
+    resize();
+    return invalid.length === 0;
+  }
+
+  function show(index) {
+    current = index;
+    steps.forEach(function(step, i) { step.hidden = i !== index; });
+    back.hidden = stepFrom(index, -1) === -1;
+    next.hidden = stepFrom(index, 1) === -1;
+    submit.hidden = !next.hidden;
+    if (steps.length > 1) {
+      progress.hidden = false;
+      progress.textContent = 'Step ' + (index + 1) + ' of ' + steps.length;
+    }
+    resize();
+  }
+
+  function resize() {
+    if (!embedded || window.parent === window) return;
+    window.parent.postMessage({ type: 'jesty-form:resize', formId: definition.formId, height: document.documentElement.scrollHeight }, '*');
+  }
+
+  function redirect(url) {
+    if (embedded && window.parent !== window) {
+      window.parent.postMessage({ type: 'jesty-form:redirect', formId: definition.formId, url: url }, '*');
+    } else {
+      window.location.href = url;
+    }
+  }
+
+  function submission() {
+    var data = {};
+    fields.forEach(function(field) {
+      if (!isShown(field)) return;
+      var value = valueOf(field);
+      if (!isEmpty(value)) data[field.name] = value;
+    });
+
+    // Resubmitting after an error reuses the token so only one lead is created
+    if (!token) token = Date.now().toString(36) + Math.random().toString(36).slice(2);
+    data.submissionToken = token;
+    data.formId = definition.formId;
+    data.page = window.location.href;
+    data.referrer = document.referrer;
+    ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'].forEach(function(name) {
+      if (params.has(name) && data[name] === undefined) data[name] = params.get(name);
+    });
+    return data;
+  }
+
+  fields.forEach(function(field) {
+    if (field.type === 'hidden' && params.has(field.name)) inputs(field)[0].value = params.get(field.name);
+  });
+
+  form.addEventListener('input', applyConditions);
+  form.addEventListener('change', function(event) {
+    applyConditions();
+    var box = event.target.closest('[data-field]');
+    if (box && box.classList.contains('jf-invalid')) validate(byName(box.getAttribute('data-field')));
+    show(current);
+  });
+
+  back.addEventListener('click', function() {
+    var index = stepFrom(current, -1);
+    if (index !== -1) show(index);
+  });
+
+  next.addEventListener('click', function() {
+    var index = stepFrom(current, 1);
+    if (index !== -1 && validateStep(current)) show(index);
+  });
+
+  form.addEventListener('submit', function(event) {
+    event.preventDefault();
+    if (stepFrom(current, 1) !== -1) {
+      next.click();
+      return;
+    }
+    if (!validateStep(current)) return;
+
+    submit.disabled = true;
+    status.textContent = '';
+    captcha.fields(form)
+      .then(function(proof) {
+        var data = submission();
+        Object.keys(proof).forEach(function(name) { data[name] = proof[name]; });
+        return fetch(definition.submitUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Form-ID': definition.formId },
+          body: JSON.stringify(data)
+        });
+      })
+      .then(function(response) { return response.json(); })
+      .then(function(result) {
+        if (!result.success) throw new Error(result.message);
+        token = null;
+        if (definition.redirectUrl) {
+          redirect(definition.redirectUrl);
+          return;
+        }
+        form.hidden = true;
+        done.textContent = definition.successMessage;
+        done.hidden = false;
+      })
+      .catch(function(error) {
+        status.textContent = error && error.captcha ? error.message : 'Submission failed. Please try again.';
+      })
+      .then(function() {
+        captcha.reset(form);
+        submit.disabled = false;
+        resize();
+      });
+  });
+
+  if (window.ResizeObserver) new ResizeObserver(resize).observe(document.body);
+  captcha.prepare(form, form.querySelector('.jf-actions'));
+  applyConditions();
+  show(stepFrom(-1, 1) === -1 ? 0 : stepFrom(-1, 1));
+})();
+`;
+
+/**
+ * Hosted website forms.
+ *
+ * Renders each form of a WebsiteIntegration from its stored definition
+ * (fields, steps, conditions, theme) as a page of its own at
+ * /api/forms/:integrationKey/:formId and, for iframes, at .../embed, so a
+ * landing-page form needs no hand-copied code. Submissions go to the
+ * integration's webhook URL like any other website form.
+ */
+class HostedFormService {
+  constructor() {
+    this.fields = FORM_PROPS;
+  }
+
+  /**
+   * Problems with a form definition from the builder API; with partial,
+   * properties not given are not required
+   * @returns {string[]} Empty when valid
+   */
+  validateForm(form, { partial = false } = {}) {
+    if (!form || typeof form !== 'object' || Array.isArray(form)) return ['form must be an object'];
+
+    const errors = [];
+    if (!partial && form.formId !== undefined && !(typeof form.formId === 'string' && FORM_ID_PATTERN.test(form.formId))) {
+      errors.push('formId must be 1-64 letters, digits, _ or -');
+    }
+    if ((!partial || form.formName !== undefined) && !(isString(form.formName, 100) && form.formName.trim())) {
+      errors.push('formName is required');
+    }
+    ['title', 'description', 'submitButtonText', 'successMessage'].forEach(prop => {
+      if (form[prop] !== undefined && form[prop] !== null && !isString(form[prop], 1000)) {
+        errors.push(`${prop} must be a string`);
+      }
+    });
+    if (form.redirectUrl !== undefined && form.redirectUrl !== null && form.redirectUrl !== '' &&
+      !(isString(form.redirectUrl, 2000) && URL_PATTERN.test(form.redirectUrl))) {
+      errors.push('redirectUrl must be an http(s) URL');
+    }
+    if (form.isActive !== undefined && typeof form.isActive !== 'boolean') {
+      errors.push('isActive must be a boolean');
+    }
+    if (form.steps !== undefined && (!Array.isArray(form.steps) || form.steps.length > MAX_STEPS ||
+      form.steps.some(step => !step || typeof step !== 'object' ||
+        (step.title !== undefined && !isString(step.title, 200)) ||
+        (step.description !== undefined && !isString(step.description, 1000))))) {
+      errors.push(`steps must be up to ${MAX_STEPS} { title, description }`);
+    }
+    if (form.theme !== undefined) {
+      errors.push(...this.validateTheme(form.theme));
+    }
+    if (form.fields !== undefined) {
+      errors.push(...this.validateFields(form.fields));
+    }
+    if (form.partialCapture !== undefined) {
+      errors.push(...partialSubmissionService.validateSettings(form.partialCapture));
+    }
+
+    return errors;
+  }
+
+  validateTheme(theme) {
+    if (!theme || typeof theme !== 'object' || Array.isArray(theme)) return ['theme must be an object'];
+
+    const errors = [];
+    ['primaryColor', 'backgroundColor', 'textColor'].forEach(prop => {
+      if (theme[prop] !== undefined && !(typeof theme[prop] === 'string' && COLOR_PATTERN.test(theme[prop]))) {
+        errors.push(`theme.${prop} must be a hex color such as #007bff`);
+      }
+    });
+    if (theme.fontFamily !== undefined && !(typeof theme.fontFamily === 'string' && FONT_PATTERN.test(theme.fontFamily))) {
+      errors.push('theme.fontFamily must be a list of font names');
+    }
+    if (theme.borderRadius !== undefined && !(Number.isInteger(theme.borderRadius) && theme.borderRadius >= 0 && theme.borderRadius <= 32)) {
+      errors.push('theme.borderRadius must be a whole number of pixels from 0 to 32');
+    }
+    return errors;
+  }
+
+  validateFields(fields) {
+    if (!Array.isArray(fields) || fields.length > MAX_FIELDS) return [`fields must be an array of up to ${MAX_FIELDS} fields`];
+
+    const errors = [];
+    const seen = [];
+    fields.forEach((field, index) => {
+      const label = `fields[${index}]`;
+      if (!field || typeof field !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+
+      if (!(typeof field.name === 'string' && NAME_PATTERN.test(field.name))) {
+        errors.push(`${label}.name must start with a letter or _ and hold only letters, digits, _, . or -`);
+      } else if (RESERVED_NAMES.includes(field.name)) {
+        errors.push(`${label}.name ${field.name} is reserved`);
+      } else if (seen.includes(field.name)) {
+        errors.push(`${label}.name ${field.name} is used by another field`);
+      }
+      if (!FIELD_TYPES.includes(field.type)) {
+        errors.push(`${label}.type must be one of: ${FIELD_TYPES.join(', ')}`);
+      }
+      ['label', 'placeholder', 'helpText', 'defaultValue'].forEach(prop => {
+        if (field[prop] !== undefined && field[prop] !== null && !isString(field[prop], 1000)) {
+          errors.push(`${label}.${prop} must be a string`);
+        }
+      });
+      if (field.required !== undefined && typeof field.required !== 'boolean') {
+        errors.push(`${label}.required must be a boolean`);
+      }
+      if (field.options !== undefined && (!Array.isArray(field.options) || field.options.some(option => !isString(option, 200)))) {
+        errors.push(`${label}.options must be an array of strings`);
+      } else if ((field.type === 'select' || field.type === 'radio') && !(field.options?.length > 0)) {
+        errors.push(`${label}.options are required for ${field.type} fields`);
+      }
+      if (field.step !== undefined && !(Number.isInteger(field.step) && field.step >= 0 && field.step < MAX_STEPS)) {
+        errors.push(`${label}.step must be a whole number from 0 to ${MAX_STEPS - 1}`);
+      }
+      errors.push(...this.validateRules(field.validation, label));
+      errors.push(...this.validateCondition(field.showIf, label, seen, field.name));
+
+      if (typeof field.name === 'string') seen.push(field.name);
+    });
+
+    return errors;
+  }
+
+  validateRules(validation, label) {
+    if (validation === undefined || validation === null) return [];
+    if (typeof validation !== 'object' || Array.isArray(validation)) return [`${label}.validation must be an object`];
+
+    const errors = [];
+    ['minLength', 'maxLength'].forEach(prop => {
+      if (validation[prop] !== undefined && !(Number.isInteger(validation[prop]) && validation[prop] >= 0)) {
+        errors.push(`${label}.validation.${prop} must be a whole number`);
+      }
+    });
+    ['min', 'max'].forEach(prop => {
+      if (validation[prop] !== undefined && !isNumber(validation[prop])) {
+        errors.push(`${label}.validation.${prop} must be a number`);
+      }
+    });
+    if (validation.pattern !== undefined && !(isString(validation.pattern, 200) && isValidPattern(validation.pattern))) {
+      errors.push(`${label}.validation.pattern must be a regular expression of up to 200 characters`);
+    }
+    if (validation.message !== undefined && !isString(validation.message, 200)) {
+      errors.push(`${label}.validation.message must be a string`);
+    }
+    return errors;
+  }
+
+  // Conditions refer to an earlier field, so a form's conditions can't loop
+  validateCondition(showIf, label, earlierNames, name) {
+    if (showIf === undefined || showIf === null) return [];
+    if (typeof showIf !== 'object' || Array.isArray(showIf)) return [`${label}.showIf must be an object`];
+
+    const errors = [];
+    if (!earlierNames.includes(showIf.field) || showIf.field === name) {
+      errors.push(`${label}.showIf.field must name a field that comes before it`);
+    }
+    if (!OPERATORS.includes(showIf.operator)) {
+      errors.push(`${label}.showIf.operator must be one of: ${OPERATORS.join(', ')}`);
+    } else if (showIf.operator === 'in' && !(Array.isArray(showIf.value) && showIf.value.length > 0)) {
+      errors.push(`${label}.showIf.value must be a non-empty array with in`);
+    } else if ((showIf.operator === 'equals' || showIf.operator === 'not-equals') &&
+      !['string', 'number', 'boolean'].includes(typeof showIf.value)) {
+      errors.push(`${label}.showIf.value is required with ${showIf.operator}`);
+    }
+    return errors;
+  }
+
+  // The stored form of builder API input; properties not given are left out
+  toForm(input) {
+    const form = {};
+    FORM_PROPS.forEach(prop => {
+      if (input[prop] !== undefined) form[prop] = input[prop];
+    });
+
+    if (typeof form.formName === 'string') form.formName = form.formName.trim();
+    if (form.redirectUrl === '') form.redirectUrl = null;
+    if (form.fields) {
+      form.fields = form.fields.map(field => ({
+        name: field.name,
+        label: field.label,
+        type: field.type,
+        required: !!field.required,
+        placeholder: field.placeholder,
+        options: field.options || [],
+        helpText: field.helpText,
+        defaultValue: field.defaultValue,
+        step: field.step || 0,
+        validation: field.validation || undefined,
+        showIf: field.showIf || undefined
+      }));
+    }
+
+    return form;
+  }
+
+  hostedUrl(integration, form) {
+    return `${serviceUrl()}/api/forms/${encodeURIComponent(integration.integrationKey)}/${encodeURIComponent(form.formId)}`;
+  }
+
+  embedUrl(integration, form) {
+    return `${this.hostedUrl(integration, form)}/embed`;
+  }
+
+  /**
+   * iframe snippet for the form; it grows with the form and follows its
+   * redirect, which a cross-origin iframe can't do for the page itself
+   */
+  embedCode(integration, form) {
+    const frameId = `jesty-form-${String(form.formId).replace(/[^\w-]/g, '')}`;
+
+    return `
+<!-- Jesty CRM Hosted Form: ${escapeHtml(form.formName || form.formId)} -->
+<iframe id="${frameId}" src="${escapeHtml(this.embedUrl(integration, form))}" title="${escapeHtml(form.title || form.formName || 'Form')}" style="width:100%;border:0;" height="600" loading="lazy"></iframe>
+<script>
+(function() {
+  var frame = document.getElementById('${frameId}');
+  window.addEventListener('message', function(event) {
+    if (event.source !== frame.contentWindow || !event.data) return;
+    if (event.data.type === 'jesty-form:resize') frame.style.height = event.data.height + 'px';
+    if (event.data.type === 'jesty-form:redirect' && /^https?:\\/\\//.test(event.data.url)) window.location.href = event.data.url;
+  });
+})();
+</script>
+<!-- End Jesty CRM Hosted Form -->
+    `.trim();
+  }
+
+  // A form as the builder API returns it, with where it is hosted
+  withLinks(integration, form) {
+    return {
+      ...form,
+      hostedUrl: this.hostedUrl(integration, form),
+      embedUrl: this.embedUrl(integration, form),
+      embedCode: this.embedCode(integration, form)
+    };
+  }
+
+  // form-1, form-2, ... like createIntegration names them
+  nextFormId(forms = []) {
+    const taken = new Set(forms.map(form => form.formId));
+    let number = forms.length + 1;
+    while (taken.has(`form-${number}`)) number += 1;
+    return `form-${number}`;
+  }
+
+  /**
+   * Add a form to an integration
+   * @returns {Object|null} The stored form, or null when its formId is taken
+   */
+  async createForm(integration, input) {
+    const form = {
+      submitButtonText: 'Submit',
+      successMessage: 'Thank you for your submission!',
+      allowDynamicFields: true,
+      isActive: true,
+      ...this.toForm(input),
+      formId: input.formId || this.nextFormId(integration.forms)
+    };
+
+    // Only pushed when no other request took the formId in the meantime
+    const updated = await WebsiteIntegration.findOneAndUpdate(
+      { _id: integration._id, 'forms.formId': { $ne: form.formId } },
+      { $push: { forms: form }, $set: { updatedAt: new Date() } },
+      { new: true, runValidators: false }
+    ).lean();
+    if (!updated) return null;
+
+    logger.info(`Website form ${form.formId} created for integration ${integration._id}`);
+    return updated.forms.find(stored => stored.formId === form.formId);
+  }
+
+  /**
+   * Change the given properties of a form; the rest keep their values
+   * @returns {Object|null} The stored form, or null when there is no such form
+   */
+  async updateForm(integration, formId, changes) {
+    const $set = { updatedAt: new Date() };
+    Object.entries(this.toForm(changes)).forEach(([prop, value]) => {
+      $set[`forms.$.${prop}`] = value;
+    });
+
+    const updated = await WebsiteIntegration.findOneAndUpdate(
+      { _id: integration._id, 'forms.formId': formId },
+      { $set },
+      { new: true, runValidators: false }
+    ).lean();
+
+    return updated ? updated.forms.find(form => form.formId === formId) : null;
+  }
+
+  /**
+   * @returns {boolean} Whether there was such a form
+   */
+  async deleteForm(integration, formId) {
+    const result = await WebsiteIntegration.updateOne(
+      { _id: integration._id, 'forms.formId': formId },
+      { $pull: { forms: { formId } }, $set: { updatedAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * An active form of an active integration, for the public pages
+   * @returns {Object|null} { integration, form }
+   */
+  async findHostedForm(integrationKey, formId) {
+    const integration = await WebsiteIntegration.findOne({ integrationKey, isActive: true }).lean();
+    const form = integration?.forms?.find(candidate => candidate.formId === formId && candidate.isActive !== false);
+    return form ? { integration, form } : null;
+  }
+
+  // What the page script needs; fields are grouped into the steps that have any
+  definition(integration, form) {
+    const fields = (form.fields?.length > 0 ? form.fields : DEFAULT_FIELDS).map(field => ({
+      name: field.name,
+      label: field.label || field.name,
+      type: field.type || 'text',
+      required: !!field.required,
+      placeholder: field.placeholder || '',
+      options: field.options || [],
+      helpText: field.helpText || '',
+      defaultValue: field.defaultValue || '',
+      step: field.step || 0,
+      validation: field.validation || null,
+      showIf: field.showIf?.field ? field.showIf : null
+    }));
+
+    const stepNumbers = [...new Set(fields.map(field => field.step))].sort((a, b) => a - b);
+
+    return {
+      formId: form.formId,
+      submitUrl: `${serviceUrl()}/api/webhooks/website/${integration.integrationKey}`,
+      successMessage: form.successMessage || 'Thank you for your submission!',
+      redirectUrl: URL_PATTERN.test(form.redirectUrl || '') ? form.redirectUrl : null,
+      captcha: captchaService.publicConfig(captchaService.settingsFor(integration)),
+      steps: stepNumbers.map(number => ({
+        title: form.steps?.[number]?.title || '',
+        description: form.steps?.[number]?.description || '',
+        fields: fields.filter(field => field.step === number)
+      }))
+    };
+  }
+
+  // The stored theme over the defaults; anything that would not be safe in a style sheet is dropped
+  theme(form) {
+    const theme = { ...DEFAULT_THEME };
+    const stored = form.theme || {};
+    ['primaryColor', 'backgroundColor', 'textColor'].forEach(prop => {
+      if (COLOR_PATTERN.test(stored[prop] || '')) theme[prop] = stored[prop];
+    });
+    if (FONT_PATTERN.test(stored.fontFamily || '')) theme.fontFamily = stored.fontFamily;
+    if (Number.isInteger(stored.borderRadius) && stored.borderRadius >= 0 && stored.borderRadius <= 32) {
+      theme.borderRadius = stored.borderRadius;
+    }
+    return theme;
+  }
+
+  styles(integration, form) {
+    const theme = this.theme(form);
+    // The integration's own CSS goes last so it can restyle anything; it must not close the style element
+    const customCSS = String(integration.settings?.customCSS || '').replace(/<\//g, '<\\/');
+
+    return `
+:root { --jf-primary: ${theme.primaryColor}; --jf-background: ${theme.backgroundColor}; --jf-text: ${theme.textColor}; --jf-radius: ${theme.borderRadius}px; }
+* { box-sizing: border-box; }
+[hidden] { display: none !important; }
+body { margin: 0; font-family: ${theme.fontFamily}; color: var(--jf-text); background: #f5f6f8; }
+body.jf-embedded { background: transparent; }
+.jf-form { max-width: 560px; margin: 40px auto; padding: 24px; background: var(--jf-background); border-radius: var(--jf-radius); box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1); }
+.jf-embedded .jf-form { margin: 0 auto; box-shadow: none; }
+.jf-form h1 { margin: 0 0 8px; font-size: 1.5em; }
+.jf-description, .jf-help, .jf-progress { margin: 0 0 16px; opacity: 0.75; font-size: 0.9em; }
+.jf-step { border: 0; margin: 0; padding: 0; }
+.jf-step legend { padding: 0; margin-bottom: 12px; font-weight: bold; }
+.jf-field { margin-bottom: 16px; }
+.jf-field > label, .jf-field > .jf-label { display: block; margin-bottom: 6px; font-weight: bold; }
+.jf-field input:not([type=checkbox]):not([type=radio]), .jf-field select, .jf-field textarea { width: 100%; padding: 10px; font: inherit; color: inherit; border: 2px solid #ddd; border-radius: var(--jf-radius); background: #fff; }
+.jf-field input:focus, .jf-field select:focus, .jf-field textarea:focus { border-color: var(--jf-primary); outline: none; }
+.jf-choice { display: block; margin-bottom: 6px; font-weight: normal; }
+.jf-help { margin: 6px 0 0; }
+.jf-required { color: #c0392b; }
+.jf-error { margin: 6px 0 0; color: #c0392b; font-size: 0.9em; }
+.jf-error:empty { display: none; }
+.jf-invalid input, .jf-invalid select, .jf-invalid textarea { border-color: #c0392b !important; }
+.jf-actions { display: flex; gap: 12px; }
+.jf-actions button { flex: 1; padding: 12px; font: inherit; font-size: 1em; border: none; border-radius: var(--jf-radius); cursor: pointer; color: #fff; background: var(--jf-primary); }
+.jf-actions .jf-back { color: var(--jf-text); background: #e9ecef; }
+.jf-actions button:disabled { opacity: 0.6; cursor: not-allowed; }
+.jf-status { color: #c0392b; }
+.jf-done { padding: 16px; text-align: center; border-radius: var(--jf-radius); background: #d4edda; color: #155724; }
+${customCSS}`;
+  }
+
+  renderField(field) {
+    const id = `jf-${escapeHtml(field.name)}`;
+    const name = escapeHtml(field.name);
+    const required = field.required ? ' <span class="jf-required">*</span>' : '';
+    const rules = field.validation || {};
+    const describedBy = field.helpText ? ` aria-describedby="${id}-help"` : '';
+    const help = field.helpText ? `<p class="jf-help" id="${id}-help">${escapeHtml(field.helpText)}</p>` : '';
+    let control;
+    let labelled = true;
+
+    if (field.type === 'hidden') {
+      return `<div class="jf-field" data-field="${name}" hidden><input type="hidden" name="${name}" value="${escapeHtml(field.defaultValue)}"></div>`;
+    }
+
+    if (field.type === 'textarea') {
+      control = `<textarea id="${id}" name="${name}" rows="4" placeholder="${escapeHtml(field.placeholder)}"`
+        + `${field.required ? ' required' : ''}`
+        + `${Number.isInteger(rules.minLength) ? ` minlength="${rules.minLength}"` : ''}`
+        + `${Number.isInteger(rules.maxLength) ? ` maxlength="${rules.maxLength}"` : ''}${describedBy}>`
+        + `${escapeHtml(field.defaultValue)}</textarea>`;
+    } else if (field.type === 'select') {
+      const options = field.options.map(option =>
+        `<option value="${escapeHtml(option)}"${option === field.defaultValue ? ' selected' : ''}>${escapeHtml(option)}</option>`
+      ).join('');
+      control = `<select id="${id}" name="${name}"${field.required ? ' required' : ''}${describedBy}>`
+        + `<option value="">${escapeHtml(field.placeholder || 'Select...')}</option>${options}</select>`;
+    } else if (field.type === 'radio' || (field.type === 'checkbox' && field.options.length > 0)) {
+      labelled = false;
+      const defaults = String(field.defaultValue).split(',').map(value => value.trim());
+      control = field.options.map((option, index) =>
+        `<label class="jf-choice"><input type="${field.type}" id="${id}-${index}" name="${name}" value="${escapeHtml(option)}"`
+        + `${field.type === 'radio' && field.required ? ' required' : ''}${defaults.includes(option) ? ' checked' : ''}> `
+        + `${escapeHtml(option)}</label>`
+      ).join('');
+    } else if (field.type === 'checkbox') {
+      // A single checkbox, e.g. consent; its label is the text next to it
+      return `<div class="jf-field" data-field="${name}"><label class="jf-choice"><input type="checkbox" id="${id}" name="${name}" value="yes"`
+        + `${field.required ? ' required' : ''}${field.defaultValue === 'yes' ? ' checked' : ''}${describedBy}> `
+        + `${escapeHtml(field.label)}${required}</label>${help}<p class="jf-error" aria-live="polite"></p></div>`;
+    } else {
+      const type = INPUT_TYPES[field.type] || 'text';
+      control = `<input type="${type}" id="${id}" name="${name}" value="${escapeHtml(field.defaultValue)}" placeholder="${escapeHtml(field.placeholder)}"`
+        + `${field.required ? ' required' : ''}`
+        + `${Number.isInteger(rules.minLength) ? ` minlength="${rules.minLength}"` : ''}`
+        + `${Number.isInteger(rules.maxLength) ? ` maxlength="${rules.maxLength}"` : ''}`
+        + `${isNumber(rules.min) ? ` min="${rules.min}"` : ''}`
+        + `${isNumber(rules.max) ? ` max="${rules.max}"` : ''}`
+        + `${rules.pattern ? ` pattern="${escapeHtml(rules.pattern)}"` : ''}`
+        + `${type === 'email' ? ' autocomplete="email"' : ''}${type === 'tel' ? ' autocomplete="tel"' : ''}${describedBy}>`;
+    }
+
+    const label = labelled
+      ? `<label for="${id}">${escapeHtml(field.label)}${required}</label>`
+      : `<span class="jf-label">${escapeHtml(field.label)}${required}</span>`;
+
+    return `<div class="jf-field" data-field="${name}">${label}${control}${help}<p class="jf-error" aria-live="polite"></p></div>`;
+  }
+
+  /**
+   * The hosted page of a form
+   * @param {Object} options - { embed: without page chrome, for the iframe; nonce: the CSP nonce of its style and script }
+   */
+  render(integration, form, { embed = false, nonce = '' } = {}) {
+    const definition = this.definition(integration, form);
+    const title = form.title || form.formName || 'Contact Us';
+    const steps = definition.steps.map((step, index) => `
+    <fieldset class="jf-step" data-step="${index}"${index > 0 ? ' hidden' : ''}>
+      ${step.title ? `<legend>${escapeHtml(step.title)}</legend>` : ''}
+      ${step.description ? `<p class="jf-description">${escapeHtml(step.description)}</p>` : ''}
+      ${step.fields.map(field => this.renderField(field)).join('\n      ')}
+    </fieldset>`).join('');
+
+    // JSON in a script element must not be able to close it
+    const json = JSON.stringify(definition).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style nonce="${nonce}">${this.styles(integration, form)}</style>
+</head>
+<body class="${embed ? 'jf-embedded' : 'jf-page'}">
+  <main class="jf-form">
+    <h1>${escapeHtml(title)}</h1>
+    ${form.description ? `<p class="jf-description">${escapeHtml(form.description)}</p>` : ''}
+    <form id="jf-form" novalidate>
+    <p class="jf-progress" hidden></p>${steps}
+    <div class="jf-actions">
+      <button type="button" class="jf-back" hidden>Back</button>
+      <button type="button" class="jf-next"${definition.steps.length > 1 ? '' : ' hidden'}>Next</button>
+      <button type="submit" class="jf-submit"${definition.steps.length > 1 ? ' hidden' : ''}>${escapeHtml(form.submitButtonText || 'Submit')}</button>
+    </div>
+    <p class="jf-status" role="alert"></p>
+    </form>
+    <div class="jf-done" role="status" hidden></div>
+  </main>
+  <script type="application/json" id="jf-definition">${json}</script>
+  <script nonce="${nonce}">${CLIENT_SCRIPT}</script>
+</body>
+</html>`;
+  }
+
+  /**
+   * The page's only script and style carry the nonce, plus the hosts of the
+   * integration's CAPTCHA widget; it may be framed by the integration's own
+   * site and allowed origins, or anywhere when the integration does not
+   * restrict origins
+   */
+  contentSecurityPolicy(integration, nonce) {
+    const submitOrigin = new URL(serviceUrl()).origin;
+    const allowedOrigins = websiteService.allowedOrigins(integration);
+    const ancestors = allowedOrigins
+      ? allowedOrigins.filter(origin => ORIGIN_PATTERN.test(origin)).join(' ') || "'none'"
+      : '*';
+    const captcha = captchaService.contentSecuritySources(captchaService.settingsFor(integration));
+    const withCaptcha = (directive, type) => [directive, ...(captcha[type] || [])].join(' ');
+
+    return [
+      "default-src 'none'",
+      withCaptcha(`style-src 'nonce-${nonce}'`, 'style'),
+      withCaptcha(`script-src 'nonce-${nonce}'`, 'script'),
+      withCaptcha(`connect-src 'self' ${submitOrigin}`, 'connect'),
+      ...(captcha.frame ? [withCaptcha('frame-src', 'frame')] : []),
+      'img-src data:',
+      "base-uri 'none'",
+      "form-action 'none'",
+      `frame-ancestors ${ancestors}`
+    ].join('; ');
+  }
+}
+
+module.exports = new HostedFormService();
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What identifies a submission per source, and how long a repeat is recognised.
+// Facebook and LinkedIn leads can be re-imported for up to 90 days; Shopify retries webhooks for 48 hours.
+// WordPress hashes only cover plugin retries and double submits, not a visitor sending the same form again later.
+const KEY_TYPES = {
+  facebook: { keyType: 'leadgen_id', ttlMs: 90 * DAY_MS },
+  linkedin: { keyType: 'response_id', ttlMs: 90 * DAY_MS },
+  shopify: { keyType: 'webhook_id', ttlMs: 7 * DAY_MS },
+  wordpress: { keyType: 'submission_hash', ttlMs: DAY_MS },
+  website: { keyType: 'submission_token', ttlMs: 7 * DAY_MS }
+};
+
+// A submission still marked processing after this long (instance died mid-run) can be claimed again
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// JSON with sorted keys so field order does not change the hash
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Idempotency ledger for lead ingestion.
+ *
+ * Every path that creates a lead from an external submission claims its key
+ * first. The first claim processes the submission and records the lead it
+ * produced; repeats (webhook retries, historical imports, double submits)
+ * get the original lead ID back instead of creating another lead. Failed
+ * attempts release the key so retries can go through.
+ *
+ * The ledger never blocks ingestion: without a database connection or a key
+ * every submission proceeds.
+ */
+class IdempotencyService {
+  /**
+   * SHA-256 of a submission, for sources without an ID of their own
+   */
+  fingerprint(value) {
+    return crypto.createHash('sha256').update(stableStringify(value)).digest('hex');
+  }
+
+  /**
+   * Claim a submission before processing it
+   * @param {string} source - facebook | linkedin | shopify | wordpress | website
+   * @param {string} key - External ID or fingerprint of the submission
+   * @param {Object} [scope] - { organizationId, integrationId }
+   * @returns {Promise<Object>} Claim; when `proceed` is false the submission is a repeat:
+   *   { proceed: false, inProgress, leadId, outcome } with the original lead ID
+   */
+  async claim(source, key, { organizationId, integrationId } = {}) {
+    if (!key || !KEY_TYPES[source] || !isConnected()) {
+      return { proceed: true, tracked: false };
+    }
+
+    const now = new Date();
+    const filter = { source, organizationId: organizationId ? String(organizationId) : '', key: String(key) };
+
+    try {
+      // Matches a new key, a failed attempt or an expired lease; anything else is a repeat
+      await IdempotencyKey.findOneAndUpdate(
+        { ...filter, $or: [{ status: 'failed' }, { status: 'processing', lockedUntil: { $lte: now } }] },
+        {
+          $set: {
+            status: 'processing',
+            keyType: KEY_TYPES[source].keyType,
+            ...(integrationId ? { integrationId: String(integrationId) } : {}),
+            lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS),
+            expiresAt: new Date(now.getTime() + KEY_TYPES[source].ttlMs)
+          },
+          $inc: { attempts: 1 }
+        },
+        { upsert: true, setDefaultsOnInsert: true }
+      );
+
+      return { proceed: true, tracked: true, filter };
+    } catch (error) {
+      if (error.code !== 11000) {
+        logger.error('Idempotency ledger unavailable, processing submission:', error.message);
+        return { proceed: true, tracked: false };
+      }
+    }
+
+    const existing = await IdempotencyKey.findOneAndUpdate(
+      filter,
+      { $inc: { repeats: 1 }, $set: { lastRepeatAt: now } },
+      { new: true }
+    ).lean();
+
+    logger.info(`Repeated ${source} submission short-circuited`, {
+      key: filter.key,
+      organizationId: filter.organizationId,
+      leadId: existing?.leadId,
+      status: existing?.status
+    });
+
+    return {
+      proceed: false,
+      tracked: false,
+      inProgress: existing?.status === 'processing',
+      leadId: existing?.leadId || null,
+      outcome: existing?.outcome || null
+    };
+  }
+
+  /**
+   * Record the lead a claimed submission produced
+   * @param {Object} claim - Result of claim()
+   * @param {string|null} leadId - Lead created or merged into (null for quarantined/blocked submissions)
+   * @param {string} [outcome] - created | update | ignore | quarantined | blocked | skipped
+   */
+  async complete(claim, leadId, outcome = 'created') {
+    if (!claim?.tracked) return;
+
+    try {
+      await IdempotencyKey.updateOne(claim.filter, {
+        $set: {
+          status: 'completed',
+          leadId: leadId ? String(leadId) : null,
+          outcome,
+          completedAt: new Date()
+        },
+        $unset: { lockedUntil: 1, lastError: 1 }
+      });
+    } catch (error) {
+      logger.error('Failed to record idempotency key:', error.message);
+    }
+  }
+
+  /**
+   * Release a claim after a failed attempt so a retry can process the submission
+   */
+  async release(claim, error) {
+    if (!claim?.tracked) return;
+
+    try {
+      await IdempotencyKey.updateOne(claim.filter, {
+        $set: { status: 'failed', lastError: error?.message },
+        $unset: { lockedUntil: 1 }
+      });
+    } catch (releaseError) {
+      logger.error('Failed to release idempotency key:', releaseError.message);
+    }
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const IntegrationConfig = require('../models/IntegrationConfig');
+const leadsServiceClient = require('./leadsService.client');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const { normalizePhone } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const CHECK_FIELDS = ['email', 'phone'];
+const STANDARD_FIELDS = ['name', 'email', 'phone', 'company'];
+
+// IntegrationConfig.syncConfig uses "skip" for what integrations call "ignore"
+const CONFIG_ACTIONS = { skip: 'ignore', update: 'update', create_new: 'create_new' };
+
+// Dedupe entries kept on a lead's metadata
+const MAX_HISTORY = 20;
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+/**
+ * Shared duplicate step for lead ingestion. Looks up existing leads by the
+ * configured fields and applies the integration's policy:
+ * - update: merge the submission into the newest match instead of creating a lead
+ * - ignore: keep the match as is and drop the submission
+ * - create_new: create the lead anyway, noting what it duplicates
+ * Every decision is recorded under metadata.dedupe of the lead it touched.
+ */
+class LeadDedupeService {
+  /**
+   * Policy of an integration: its own duplicateHandling block (website,
+   * WordPress, Shopify), else IntegrationConfig.syncConfig for the provider
+   * @returns {Promise<Object|null>} { action, checkFields, windowHours, origin } or null when not configured/disabled
+   */
+  async resolvePolicy(source, integration) {
+    const own = source === 'website'
+      ? integration?.leadSettings?.duplicateHandling
+      : integration?.leadMappingConfig?.duplicateHandling;
+
+    if (own?.action) {
+      if (own.enabled === false) return null;
+      return this.buildPolicy(own.action, own.checkFields, own.windowHours, 'integration');
+    }
+
+    const organizationId = integration?.organizationId;
+    if (!organizationId || !isConnected()) return null;
+
+    try {
+      const config = await IntegrationConfig.findOne({ companyId: organizationId, provider: source })
+        .select('syncConfig')
+        .lean();
+      const syncConfig = config?.syncConfig;
+      if (!syncConfig?.duplicateHandling) return null;
+
+      return this.buildPolicy(
+        CONFIG_ACTIONS[syncConfig.duplicateHandling],
+        syncConfig.duplicateCheckFields,
+        syncConfig.duplicateWindowHours,
+        'integration_config'
+      );
+    } catch (error) {
+      logger.error('Error loading duplicate policy:', error.message);
+      return null;
+    }
+  }
+
+  buildPolicy(action, checkFields, windowHours, origin) {
+    const fields = (checkFields || []).filter(field => CHECK_FIELDS.includes(field));
+
+    return {
+      action,
+      checkFields: fields.length > 0 ? fields : CHECK_FIELDS,
+      windowHours: windowHours || null,
+      origin
+    };
+  }
+
+  /**
+   * Fields of an existing lead that equal the submission's
+   */
+  matchFields(lead, candidate, checkFields, defaultCountry) {
+    return checkFields.filter(field => {
+      if (field === 'email') {
+        return !!lead.email && normalizeEmail(lead.email) === normalizeEmail(candidate.email);
+      }
+      if (!lead.phone || !candidate.phone) return false;
+
+      const phone = (value) => normalizePhone(value, { defaultCountry })?.phone;
+      return phone(lead.phone) === phone(candidate.phone);
+    });
+  }
+
+  /**
+   * Existing leads matching the submission on the policy's fields, newest first
+   */
+  async findMatches(lead, organizationId, policy) {
+    const query = {};
+    policy.checkFields.forEach(field => {
+      if (lead[field]) query[field] = lead[field];
+    });
+    if (Object.keys(query).length === 0) return [];
+
+    const duplicates = await leadsServiceClient.findDuplicates(query, organizationId);
+    const since = policy.windowHours ? Date.now() - policy.windowHours * 60 * 60 * 1000 : null;
+    const defaultCountry = lead.metadata?.phoneValidation?.defaultCountry;
+
+    return duplicates
+      .map(candidate => ({
+        lead: candidate,
+        matchedOn: this.matchFields(lead, candidate, policy.checkFields, defaultCountry)
+      }))
+      .filter(({ lead: candidate, matchedOn }) => {
+        if (matchedOn.length === 0) return false;
+        // Leads without a creation date are treated as inside the window
+        return !since || !candidate.createdAt || new Date(candidate.createdAt).getTime() >= since;
+      })
+      .sort((a, b) => new Date(b.lead.createdAt || 0) - new Date(a.lead.createdAt || 0));
+  }
+
+  buildEntry(action, lead, context, matchedOn) {
+    return {
+      action,
+      source: context.source,
+      integrationId: context.integrationId ? String(context.integrationId) : undefined,
+      formId: context.formId,
+      externalId: context.externalId,
+      matchedOn,
+      submission: { name: lead.name, email: lead.email, phone: lead.phone },
+      at: new Date().toISOString()
+    };
+  }
+
+  // Keep an audit trail on the existing lead of submissions folded into it
+  appendHistory(metadata, entry) {
+    const previous = metadata?.dedupe || {};
+
+    return {
+      ...metadata,
+      dedupe: {
+        lastAction: entry.action,
+        lastAt: entry.at,
+        count: (previous.count || 0) + 1,
+        history: [...(previous.history || []), entry].slice(-MAX_HISTORY)
+      }
+    };
+  }
+
+  /**
+   * Update payload that merges a submission into an existing lead: custom fields
+   * from the submission win, standard fields only fill blanks
+   */
+  buildMerge(existing, lead, entry) {
+    const update = {
+      customFields: { ...existing.customFields, ...lead.customFields },
+      metadata: this.appendHistory(existing.metadata, entry)
+    };
+
+    STANDARD_FIELDS.forEach(field => {
+      if (!existing[field] && lead[field]) update[field] = lead[field];
+    });
+
+    return update;
+  }
+
+  /**
+   * Apply the integration's duplicate policy to a lead about to be created
+   * @param {Object} lead - Lead as it will be sent to the CRM ({ name, email, phone, customFields, metadata })
+   * @param {Object} context
+   * @param {string} context.source - website | wordpress | facebook | shopify
+   * @param {Object} context.integration - Integration document (policy and organization)
+   * @param {string} [context.formId] - Source form
+   * @param {string} [context.externalId] - ID of the lead in the source platform
+   * @returns {Promise<Object>} { handled, action, leadId, matchedOn, duplicateIds, metadata, policy }
+   *   handled: true when no new lead must be created (leadId is the existing lead).
+   *   metadata: dedupe record to store on the new lead when it is created anyway.
+   */
+  async apply(lead, context) {
+    const { source, integration } = context;
+    const organizationId = String(integration.organizationId);
+    const entryContext = { ...context, integrationId: integration._id };
+
+    const policy = await this.resolvePolicy(source, integration);
+    if (!policy) return { handled: false, action: 'create', policy: null };
+
+    // Compare phones the way they are stored
+    lead = await phoneNormalizationService.normalizeLead(lead, {
+      organizationId,
+      defaultCountry: integration.phoneDefaultCountry
+    });
+
+    let matches;
+    try {
+      matches = await this.findMatches(lead, organizationId, policy);
+    } catch (error) {
+      // A failed lookup must not lose the submission
+      logger.error('Duplicate lookup failed, creating lead:', error.message);
+      return { handled: false, action: 'create', policy };
+    }
+
+    if (matches.length === 0) return { handled: false, action: 'create', policy };
+
+    const [{ lead: existing, matchedOn }] = matches;
+    const leadId = String(existing._id || existing.id);
+    const duplicateIds = matches.map(match => String(match.lead._id || match.lead.id));
+
+    if (policy.action === 'create_new') {
+      return {
+        handled: false,
+        action: 'create_new',
+        matchedOn,
+        duplicateIds,
+        policy,
+        metadata: { ...this.buildEntry('create_new', lead, entryContext, matchedOn), duplicateOf: duplicateIds }
+      };
+    }
+
+    const entry = this.buildEntry(policy.action, lead, entryContext, matchedOn);
+    const update = policy.action === 'update'
+      ? this.buildMerge(existing, lead, entry)
+      : { metadata: this.appendHistory(existing.metadata, entry) };
+
+    try {
+      await leadsServiceClient.updateLead(leadId, update, organizationId);
+    } catch (error) {
+      if (policy.action === 'update') {
+        // The submission would be lost if it were neither merged nor created
+        logger.error('Could not merge duplicate lead, creating a new one:', { leadId, error: error.message });
+        return {
+          handled: false,
+          action: 'create_new',
+          matchedOn,
+          duplicateIds,
+          policy,
+          metadata: { ...this.buildEntry('create_new', lead, entryContext, matchedOn), duplicateOf: duplicateIds, mergeFailed: true }
+        };
+      }
+      logger.warn('Could not record ignored duplicate on lead:', { leadId, error: error.message });
+    }
+
+    logger.info('Duplicate lead handled', {
+      source,
+      organizationId,
+      action: policy.action,
+      leadId,
+      matchedOn
+    });
+
+    return { handled: true, action: policy.action, leadId, matchedOn, duplicateIds, policy };
+  }
+}
+
+module.exports = new LeadDedupeService();
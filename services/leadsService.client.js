@@ -1,6 +1,9 @@
 const axios = require('axios');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const outboundWebhookService = require('./outboundWebhook.service');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const attributionService = require('./attribution.service');
 
 class LeadsServiceClient {
   constructor() {
@@ -118,6 +121,61 @@ class LeadsServiceClient {
     );
   }
 
+  /**
+   * Check the fields the leads-service requires. Leads missing a name or a
+   * contact method are quarantined for manual review before the error is thrown.
+   * @throws {Error} with code LEAD_VALIDATION_FAILED, missingFields and quarantineId
+   */
+  async validateLeadData(leadData, context = {}) {
+    if (!leadData.organizationId) {
+      throw new Error('Failed to create lead: organizationId is required');
+    }
+    if (!leadData.source) {
+      throw new Error('Failed to create lead: source is required');
+    }
+
+    const missingFields = [];
+    if (!leadData.name) missingFields.push('name');
+    if (!leadData.email && !leadData.phone) missingFields.push('email', 'phone');
+    if (missingFields.length === 0) return;
+
+    const message = !leadData.name
+      ? 'name is required'
+      : 'At least one contact method (email or phone) is required';
+
+    const error = new Error(`Failed to create lead: ${message}`);
+    error.code = 'LEAD_VALIDATION_FAILED';
+    error.retryable = false;
+    error.missingFields = missingFields;
+
+    logger.warn('Lead rejected by validation', {
+      source: leadData.source,
+      organizationId: leadData.organizationId,
+      missingFields
+    });
+
+    if (context.quarantine !== false) {
+      // Required lazily: the quarantine service uses this client to push leads
+      const quarantineService = require('./quarantine.service');
+      const quarantined = await quarantineService.quarantineLead({
+        organizationId: leadData.organizationId,
+        source: leadData.source,
+        reason: 'missing_fields',
+        message,
+        missingFields,
+        integrationId: context.integrationId,
+        formId: context.formId,
+        formName: context.formName,
+        externalId: context.externalId,
+        lead: leadData,
+        rawPayload: leadData.originalData
+      });
+      error.quarantineId = quarantined?._id;
+    }
+
+    throw error;
+  }
+
   /**
    * Create a new lead in the leads-service
    * @param {Object} leadData - Lead information
@@ -128,30 +186,29 @@ class LeadsServiceClient {
    * @param {string} [leadData.phone] - Lead phone
    * @param {Object} [leadData.customFields] - Custom fields
    * @param {Object} [leadData.metadata] - Additional metadata
+   * @param {Object} [context] - Where the lead came from, stored if it has to be quarantined
+   * @param {string} [context.integrationId] - Source integration
+   * @param {string} [context.formId] - Source form
+   * @param {string} [context.formName] - Source form name
+   * @param {string} [context.externalId] - ID of the lead in the source platform
+   * @param {boolean} [context.quarantine=true] - Quarantine leads that fail validation
+   * @param {string} [context.phoneDefaultCountry] - Integration override of the organization's default phone country
    * @returns {Promise<Object>} Created lead data
    */
-  async createLead(leadData) {
-    try {
-      logger.info('Creating lead in leads-service', { 
-        source: leadData.source,
-        email: leadData.email,
-        organizationId: leadData.organizationId 
-      });
+  async createLead(leadData, context = {}) {
+    logger.info('Creating lead in leads-service', { 
+      source: leadData.source,
+      email: leadData.email,
+      organizationId: leadData.organizationId 
+    });
 
-      // Validate required fields
-      if (!leadData.organizationId) {
-        throw new Error('organizationId is required');
-      }
-      if (!leadData.source) {
-        throw new Error('source is required');
-      }
-      if (!leadData.name) {
-        throw new Error('name is required');
-      }
-      if (!leadData.email && !leadData.phone) {
-        throw new Error('At least one contact method (email or phone) is required');
-      }
+    leadData = await phoneNormalizationService.normalizeLead(leadData, {
+      defaultCountry: context.phoneDefaultCountry
+    });
+
+    await this.validateLeadData(leadData, context);
 
+    try {
       // Prepare lead payload for leads-service
       const payload = {
         name: leadData.name,
@@ -189,6 +246,12 @@ class LeadsServiceClient {
         email: leadData.email
       });
 
+      outboundWebhookService.leadCreated(leadData.organizationId, response.data.lead?._id, leadData, {
+        integrationId: context.integrationId ? String(context.integrationId) : undefined,
+        formId: context.formId,
+        externalId: context.externalId
+      });
+
       return {
         success: true,
         lead: response.data.lead,
@@ -213,13 +276,18 @@ class LeadsServiceClient {
    * Update an existing lead
    * @param {string} leadId - Lead ID
    * @param {Object} updateData - Data to update
+   * @param {string} [organizationId] - Organization ID, sent for service authentication
    * @returns {Promise<Object>} Updated lead data
    */
-  async updateLead(leadId, updateData) {
+  async updateLead(leadId, updateData, organizationId) {
     try {
       logger.info('Updating lead in leads-service', { leadId });
 
-      const response = await this.client.put(`/api/leads/${leadId}`, updateData);
+      const requestConfig = organizationId
+        ? { headers: { 'X-Organization-Id': organizationId } }
+        : undefined;
+
+      const response = await this.client.put(`/api/leads/${leadId}`, updateData, requestConfig);
       
       logger.info('Lead updated successfully in leads-service', { leadId });
 
@@ -240,6 +308,33 @@ class LeadsServiceClient {
     }
   }
 
+  /**
+   * Get a lead with its status and assignee
+   * @param {string} leadId - Lead ID
+   * @param {string} organizationId - Organization ID, sent for service authentication
+   * @returns {Promise<Object|null>} The lead, or null when it no longer exists
+   */
+  async getLead(leadId, organizationId) {
+    try {
+      const response = await this.client.get(`/api/leads/${leadId}`, {
+        headers: { 'X-Organization-Id': organizationId }
+      });
+
+      return response.data.lead || response.data.data || null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+
+      logger.error('Failed to get lead from leads-service', {
+        error: error.message,
+        leadId
+      });
+
+      throw new Error(`Failed to get lead: ${error.message}`);
+    }
+  }
+
   /**
    * Check if leads-service is healthy
    * @returns {Promise<boolean>} Service health status
@@ -284,7 +379,7 @@ class LeadsServiceClient {
         }
         
         // System/integration fields to exclude from custom fields
-        const systemFields = ['name', 'email', 'phone', 'source', 'organizationId', 'integrationId', 'integrationKey', 'sourceDetails'];
+        const systemFields = ['name', 'email', 'phone', 'source', 'organizationId', 'integrationId', 'integrationKey', 'sourceDetails', 'attribution'];
         
         if (!systemFields.includes(key)) {
           customFields[key] = value;
@@ -313,13 +408,32 @@ class LeadsServiceClient {
           formId: formData.formId || 'form-1',
           submittedAt: new Date().toISOString()
         };
+
+        const attribution = attributionService.fromSubmission(formData.attribution, formData);
+        if (attribution) {
+          payload.sourceDetails.attribution = attribution;
+        }
         
         logger.info('Created basic sourceDetails:', payload.sourceDetails);
       }
 
+      // Leads from abandoned forms are told apart; the rest take the leads-service's default status
+      if (payload.sourceDetails.partial) {
+        payload.status = 'partial';
+      }
+
       // Only add optional fields if they have valid values
-      if (formData.phone || formData.phoneNumber || formData.tel) {
-        payload.phone = formData.phone || formData.phoneNumber || formData.tel;
+      const rawPhone = formData.phone || formData.phoneNumber || formData.tel;
+      if (rawPhone && payload.sourceDetails.phoneValidation) {
+        // Already normalized with the integration's country by website.service
+        payload.phone = rawPhone;
+      } else if (rawPhone) {
+        const phone = await phoneNormalizationService.normalize(rawPhone, { organizationId });
+        payload.phone = phone.phone;
+        payload.sourceDetails = {
+          ...payload.sourceDetails,
+          phoneValidation: phoneNormalizationService.toLeadMetadata(phone)
+        };
       }
 
       // Don't include integration details in the lead data
@@ -400,7 +514,10 @@ class LeadsServiceClient {
       originalData: fbLeadData
     };
 
-    return await this.createLead(leadData);
+    return await this.createLead(leadData, {
+      formId: fbLeadData.form_id,
+      externalId: fbLeadData.leadgen_id
+    });
   }
 
   /**
@@ -411,15 +528,18 @@ class LeadsServiceClient {
    */
   async findDuplicates(leadData, organizationId) {
     try {
+      // Leads are stored with E.164 phones, so compare in the same format
+      const phone = await phoneNormalizationService.normalize(leadData.phone, { organizationId });
+
       logger.info('Checking for duplicates in leads-service', {
         email: leadData.email,
-        phone: leadData.phone,
+        phone: phone?.phone,
         organizationId: organizationId
       });
 
       const queryParams = new URLSearchParams({
         email: leadData.email || '',
-        phone: leadData.phone || '',
+        phone: phone?.phone || '',
         name: leadData.name || '',
         company: leadData.company || ''
       });
@@ -480,7 +600,9 @@ class LeadsServiceClient {
       originalData: shopifyData
     };
 
-    return await this.createLead(leadData);
+    return await this.createLead(leadData, {
+      externalId: shopifyData.id ? `customers_${shopifyData.id}` : undefined
+    });
   }
 
   /**
@@ -540,7 +662,10 @@ class LeadsServiceClient {
     try {
       const params = new URLSearchParams();
       if (email) params.append('email', email);
-      if (phone) params.append('phone', phone);
+
+      // Leads are stored with E.164 phones, so compare in the same format
+      const normalizedPhone = await phoneNormalizationService.normalize(phone, { organizationId });
+      if (normalizedPhone?.phone) params.append('phone', normalizedPhone.phone);
 
       const response = await this.client.get(`/api/lead-sources/duplicates?${params.toString()}`, {
         headers: {
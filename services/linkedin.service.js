@@ -1,37 +1,808 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const LinkedInIntegration = require('../models/LinkedInIntegration');
+const leadsServiceClient = require('./leadsService.client');
+const formAssignmentService = require('./formAssignmentService');
+const assignmentQueue = require('./assignmentQueue.service');
+const assignmentLog = require('./assignmentLog.service');
+const slaWatcher = require('./slaWatcher.service');
+const spamDetectionService = require('./spamDetection.service');
+const quarantineService = require('./quarantine.service');
+const idempotencyService = require('./idempotency.service');
+const outboundWebhookService = require('./outboundWebhook.service');
+const fieldMappingService = require('./fieldMapping.service');
 const logger = require('../utils/logger');
 
+// LinkedIn keeps lead form responses for 90 days
+const MAX_LOOKBACK_MS = 90 * 24 * 60 * 60 * 1000;
+
 class LinkedInService {
   constructor() {
     this.name = 'linkedin';
+    this.baseURL = 'https://api.linkedin.com/rest';
+    this.oauthURL = 'https://www.linkedin.com/oauth/v2';
+    this.clientId = process.env.LINKEDIN_CLIENT_ID;
+    this.clientSecret = process.env.LINKEDIN_CLIENT_SECRET;
+    this.apiVersion = process.env.LINKEDIN_API_VERSION || '202405';
+    this.scopes = ['r_ads', 'r_marketing_leadgen_automation', 'r_organization_admin', 'openid', 'profile'];
+  }
+
+  getRedirectUri() {
+    return `${process.env.API_URL || 'http://localhost:3005'}/api/integrations/linkedin/oauth/callback`;
+  }
+
+  // Generate OAuth URL for LinkedIn login
+  generateOAuthURL(state) {
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: this.clientId,
+      redirect_uri: this.getRedirectUri(),
+      state,
+      scope: this.scopes.join(' ')
+    });
+
+    return `${this.oauthURL}/authorization?${params.toString()}`;
+  }
+
+  // Apply a token response from LinkedIn to the integration document
+  applyTokenResponse(integration, tokenData) {
+    const now = Date.now();
+    integration.accessToken = tokenData.access_token;
+    integration.tokenExpiresAt = new Date(now + (tokenData.expires_in || 0) * 1000);
+
+    // Refresh tokens are only issued to apps with programmatic refresh enabled
+    if (tokenData.refresh_token) {
+      integration.refreshToken = tokenData.refresh_token;
+      integration.refreshTokenExpiresAt = tokenData.refresh_token_expires_in
+        ? new Date(now + tokenData.refresh_token_expires_in * 1000)
+        : undefined;
+    }
+
+    if (tokenData.scope) {
+      integration.grantedScopes = tokenData.scope.split(/[\s,]+/).filter(Boolean);
+    }
+  }
+
+  async requestToken(params) {
+    const response = await axios.post(
+      `${this.oauthURL}/accessToken`,
+      new URLSearchParams({
+        ...params,
+        client_id: this.clientId,
+        client_secret: this.clientSecret
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    return response.data;
+  }
+
+  // Handle OAuth callback and save integration
+  async handleOAuthCallback(code, state) {
+    try {
+      const { userId, organizationId } = JSON.parse(Buffer.from(state, 'base64').toString());
+
+      logger.info('Starting LinkedIn OAuth token exchange...', { userId, organizationId });
+
+      const tokenData = await this.requestToken({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: this.getRedirectUri()
+      });
+
+      let integration = await LinkedInIntegration.findOne({ organizationId });
+      if (!integration) {
+        integration = new LinkedInIntegration({ organizationId });
+      }
+
+      integration.userId = userId;
+      integration.connected = true;
+      this.applyTokenResponse(integration, tokenData);
+
+      // Member profile is informational only, don't fail the connection over it
+      try {
+        const profile = await axios.get('https://api.linkedin.com/v2/userinfo', {
+          headers: { Authorization: `Bearer ${integration.accessToken}` }
+        });
+        integration.linkedinMemberId = profile.data.sub;
+        integration.linkedinMemberName = profile.data.name;
+      } catch (profileError) {
+        logger.warn('Could not fetch LinkedIn member profile:', profileError.message);
+      }
+
+      await integration.save();
+
+      // Pull ad accounts and forms straight away so the user can configure them
+      try {
+        await this.syncAdAccounts(integration);
+      } catch (syncError) {
+        logger.error('Initial LinkedIn ad account sync failed:', syncError.message);
+      }
+
+      logger.info('LinkedIn integration connected', {
+        integrationId: integration._id,
+        organizationId,
+        adAccounts: integration.adAccounts.length
+      });
+
+      return integration;
+    } catch (error) {
+      logger.error('LinkedIn OAuth callback error:', {
+        message: error.message,
+        response: error.response?.data
+      });
+      throw error;
+    }
+  }
+
+  // Refresh the access token using the stored refresh token
+  async refreshAccessToken(integration) {
+    if (!integration.canRefresh()) {
+      integration.connected = false;
+      await integration.save();
+      throw new Error('LinkedIn access token expired and cannot be refreshed. Please reconnect your LinkedIn account.');
+    }
+
+    try {
+      const tokenData = await this.requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: integration.refreshToken
+      });
+
+      this.applyTokenResponse(integration, tokenData);
+      await integration.save();
+
+      logger.info('LinkedIn access token refreshed', { organizationId: integration.organizationId });
+      return integration.accessToken;
+    } catch (error) {
+      logger.error('LinkedIn token refresh failed:', {
+        organizationId: integration.organizationId,
+        message: error.message,
+        response: error.response?.data
+      });
+      throw new Error('Failed to refresh LinkedIn access token');
+    }
+  }
+
+  // Return a usable access token, refreshing it when close to expiry
+  async getValidAccessToken(integration) {
+    if (!integration.accessToken) {
+      throw new Error('LinkedIn access token is missing. Please reconnect your LinkedIn account.');
+    }
+
+    if (integration.isTokenExpired()) {
+      return this.refreshAccessToken(integration);
+    }
+
+    return integration.accessToken;
+  }
+
+  getHeaders(accessToken) {
+    return {
+      Authorization: `Bearer ${accessToken}`,
+      'LinkedIn-Version': this.apiVersion,
+      'X-Restli-Protocol-Version': '2.0.0'
+    };
+  }
+
+  // Rest.li finders use their own tuple syntax, so query strings are built by hand
+  async apiGet(accessToken, path) {
+    const response = await axios.get(`${this.baseURL}${path}`, {
+      headers: this.getHeaders(accessToken),
+      timeout: 30000
+    });
+    return response.data;
+  }
+
+  sponsoredAccountUrn(accountId) {
+    return `urn:li:sponsoredAccount:${accountId}`;
+  }
+
+  // Extract the numeric id from a URN like urn:li:leadGenForm:123 or
+  // urn:li:versionedLeadGenForm:(urn:li:leadGenForm:123,2)
+  parseUrnId(urn, type) {
+    if (!urn) return null;
+    const match = String(urn).match(new RegExp(`urn:li:${type}:([^,)]+)`));
+    return match ? match[1] : null;
+  }
+
+  async getAdAccounts(accessToken) {
+    const data = await this.apiGet(accessToken, '/adAccounts?q=search&search=(status:(values:List(ACTIVE)))&count=100');
+    return (data.elements || []).map(account => ({
+      id: String(account.id),
+      name: account.name || `Ad Account ${account.id}`,
+      status: account.status,
+      currency: account.currency
+    }));
+  }
+
+  async getLeadForms(accessToken, accountId) {
+    const owner = `(sponsoredAccount:${encodeURIComponent(this.sponsoredAccountUrn(accountId))})`;
+    const data = await this.apiGet(accessToken, `/leadForms?q=owner&owner=${owner}&count=100`);
+
+    return (data.elements || []).map(form => ({
+      id: String(form.id),
+      name: form.name || `Lead Form ${form.id}`,
+      status: form.state,
+      createdTime: form.created ? new Date(form.created) : undefined,
+      questions: (form.content?.questions || []).map(question => ({
+        id: String(question.questionId),
+        name: question.name,
+        label: question.question?.localized
+          ? Object.values(question.question.localized)[0]
+          : question.name,
+        predefinedField: question.predefinedField
+      }))
+    }));
+  }
+
+  // Sync ad accounts and lead forms, keeping CRM settings on forms we already know
+  async syncAdAccounts(integration) {
+    try {
+      const accessToken = await this.getValidAccessToken(integration);
+      const accounts = await this.getAdAccounts(accessToken);
+
+      const existingForms = new Map();
+      for (const account of integration.adAccounts || []) {
+        for (const form of account.leadForms || []) {
+          existingForms.set(form.id, form);
+        }
+      }
+
+      const syncedAccounts = [];
+      for (const account of accounts) {
+        let forms = [];
+        try {
+          forms = await this.getLeadForms(accessToken, account.id);
+        } catch (formError) {
+          logger.error(`Failed to fetch lead forms for LinkedIn account ${account.id}:`, formError.message);
+        }
+
+        const existingAccount = (integration.adAccounts || []).find(a => a.id === account.id);
+
+        syncedAccounts.push({
+          ...account,
+          lastSyncAt: new Date(),
+          webhookSubscriptionId: existingAccount?.webhookSubscriptionId,
+          leadForms: forms.map(form => {
+            const existing = existingForms.get(form.id);
+            if (!existing) return form;
+
+            return {
+              ...form,
+              leadsCount: existing.leadsCount,
+              enabled: existing.enabled,
+              crmStatus: existing.crmStatus,
+              disabledAt: existing.disabledAt,
+              disabledBy: existing.disabledBy,
+              disabledReason: existing.disabledReason,
+              assignmentSettings: existing.assignmentSettings,
+              stats: existing.stats
+            };
+          })
+        });
+      }
+
+      integration.adAccounts = syncedAccounts;
+      integration.lastSync = new Date();
+      await integration.save();
+
+      logger.info('LinkedIn ad accounts synced', {
+        organizationId: integration.organizationId,
+        accounts: syncedAccounts.length,
+        forms: syncedAccounts.reduce((sum, a) => sum + a.leadForms.length, 0)
+      });
+
+      return integration.adAccounts;
+    } catch (error) {
+      logger.error('LinkedIn ad account sync error:', {
+        message: error.message,
+        response: error.response?.data
+      });
+      throw error;
+    }
+  }
+
+  // Subscribe our webhook to lead notifications for every ad account
+  async setupLeadNotifications(integration) {
+    const accessToken = await this.getValidAccessToken(integration);
+    const webhookUrl = `${process.env.API_URL || 'http://localhost:3005'}/api/webhooks/linkedin`;
+    const results = [];
+
+    for (const account of integration.adAccounts || []) {
+      if (account.webhookSubscriptionId) {
+        results.push({ accountId: account.id, success: true, alreadySubscribed: true });
+        continue;
+      }
+
+      try {
+        const response = await axios.post(`${this.baseURL}/leadNotifications`, {
+          webhook: webhookUrl,
+          owner: { sponsoredAccount: this.sponsoredAccountUrn(account.id) },
+          leadType: 'SPONSORED'
+        }, { headers: this.getHeaders(accessToken) });
+
+        account.webhookSubscriptionId = response.headers['x-restli-id'] || response.headers['x-linkedin-id'] || 'subscribed';
+        results.push({ accountId: account.id, success: true });
+      } catch (error) {
+        logger.error(`Failed to subscribe LinkedIn lead notifications for account ${account.id}:`, {
+          message: error.message,
+          response: error.response?.data
+        });
+        results.push({ accountId: account.id, success: false, error: error.response?.data?.message || error.message });
+      }
+    }
+
+    await integration.save();
+
+    return {
+      success: results.every(r => r.success),
+      successCount: results.filter(r => r.success).length,
+      failureCount: results.filter(r => !r.success).length,
+      results
+    };
+  }
+
+  // Respond to LinkedIn's webhook validation challenge
+  getChallengeResponse(challengeCode) {
+    return crypto
+      .createHmac('sha256', this.clientSecret || '')
+      .update(challengeCode)
+      .digest('hex');
+  }
+
+  // Verify X-LI-Signature (HMAC-SHA256 of the raw body with the client secret)
+  verifyWebhookSignature(rawBody, signature) {
+    if (!signature || !this.clientSecret) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.clientSecret)
+      .update(rawBody)
+      .digest('hex');
+    const received = signature.replace(/^hmacsha256=/i, '');
+
+    return received.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
   }
 
   async handleWebhook(data) {
     try {
       logger.info('LinkedIn webhook received:', data);
-      // TODO: Implement LinkedIn webhook handling
-      return { success: true };
+
+      const notifications = Array.isArray(data) ? data : [data];
+      const results = [];
+
+      for (const notification of notifications) {
+        if (notification.leadAction && notification.leadAction !== 'CREATED') {
+          logger.info('Ignoring LinkedIn lead notification action:', notification.leadAction);
+          results.push({ success: true, skipped: true, reason: 'unsupported_action' });
+          continue;
+        }
+
+        results.push(await this.processLeadNotification(notification));
+      }
+
+      return { success: true, results };
     } catch (error) {
       logger.error('LinkedIn webhook error:', error);
       throw error;
     }
   }
 
+  async processLeadNotification(notification) {
+    const responseId = this.parseUrnId(notification.leadGenFormResponse, 'leadGenFormResponse');
+    const formId = this.parseUrnId(notification.leadGenForm, 'leadGenForm');
+    const accountId = this.parseUrnId(notification.owner?.sponsoredAccount, 'sponsoredAccount');
+
+    if (!responseId || !accountId) {
+      logger.warn('LinkedIn notification missing response or owner:', notification);
+      return { success: false, reason: 'invalid_notification' };
+    }
+
+    const integration = await LinkedInIntegration.findOne({
+      'adAccounts.id': accountId,
+      connected: true
+    });
+
+    if (!integration) {
+      logger.warn(`No connected LinkedIn integration found for ad account ${accountId}`);
+      return { success: false, reason: 'integration_not_found' };
+    }
+
+    const accessToken = await this.getValidAccessToken(integration);
+    const response = await this.apiGet(
+      accessToken,
+      `/leadFormResponses/${encodeURIComponent(responseId)}`
+    );
+
+    const resolvedFormId = formId || this.parseUrnId(response.versionedLeadGenFormUrn, 'leadGenForm');
+    return this.processLeadResponse(integration, accountId, resolvedFormId, response);
+  }
+
+  // Shared by webhook ingestion and polling sync
+  async processLeadResponse(integration, accountId, formId, response, { refreshForms = true } = {}) {
+    let found = integration.findLeadForm(formId);
+
+    // Forms created after the last sync are picked up on demand
+    if (!found && refreshForms) {
+      await this.syncAdAccounts(integration);
+      found = integration.findLeadForm(formId);
+    }
+
+    if (!found) {
+      logger.warn(`LinkedIn form ${formId} not found for integration ${integration._id}`);
+      return { success: false, reason: 'form_not_found' };
+    }
+
+    const { form } = found;
+    if (form.enabled === false || form.crmStatus !== 'active') {
+      logger.info(`LinkedIn form ${formId} is disabled, skipping lead`);
+      return { success: false, skipped: true, reason: 'form_disabled' };
+    }
+
+    // The same response arrives by webhook and again when polling overlaps it; repeats return the original lead
+    const ledger = await idempotencyService.claim('linkedin', response.id, {
+      organizationId: integration.organizationId,
+      integrationId: integration._id
+    });
+    if (!ledger.proceed) {
+      if (ledger.inProgress) {
+        return { success: false, skipped: true, reason: 'in_progress' };
+      }
+      return { success: true, duplicate: true, leadId: ledger.leadId, action: 'already_processed' };
+    }
+
+    let created;
+    try {
+      created = await this.createLeadFromResponse(integration, accountId, formId, form, response, ledger);
+    } catch (error) {
+      // Nothing was created, so the next delivery or poll may try again
+      await idempotencyService.release(ledger, error);
+      throw error;
+    }
+    if (!created.success) return created;
+
+    const { leadId, fields } = created;
+    await idempotencyService.complete(ledger, leadId);
+
+    let assignedTo = null;
+
+    if (leadId) {
+      const assigneeResult = await formAssignmentService.getNextAssigneeForLinkedInForm(integration, accountId, formId, {
+        ...fields,
+        formId,
+        formName: form.name,
+        campaign: response.leadMetadataInfo?.sponsoredLeadMetadata?.campaign
+      });
+      if (assigneeResult?.user?.userId) {
+        const assignResult = await formAssignmentService.assignLeadToUserViaService(
+          leadId,
+          assigneeResult.user.userId,
+          integration.organizationId.toString()
+        );
+        if (assignResult.success) {
+          assignedTo = assigneeResult.user.userId;
+          await assignmentLog.record(assigneeResult, leadId);
+          await slaWatcher.watch(assigneeResult, leadId);
+        }
+      } else {
+        // Nobody on shift: assigned by the queue when the next shift starts
+        await assignmentQueue.defer(assigneeResult, leadId);
+        await assignmentLog.record(assigneeResult, leadId);
+      }
+    }
+
+    await this.updateIntegrationStats(integration, formId);
+
+    logger.info('LinkedIn lead processed', { leadId, formId, assignedTo: assignedTo || 'none' });
+
+    return { success: true, leadId, assignedTo };
+  }
+
+  // Quarantine, spam check and lead creation of a claimed lead response; quarantined and blocked ones complete the claim here
+  async createLeadFromResponse(integration, accountId, formId, form, response, ledger) {
+    const mapped = await fieldMappingService.mapLead('linkedin', response, {
+      organizationId: integration.organizationId,
+      integrationId: integration._id,
+      formId,
+      form,
+      phoneDefaultCountry: integration.phoneDefaultCountry
+    });
+    const fields = mapped || this.extractLeadFields(response, form);
+    const quarantineEntry = {
+      organizationId: integration.organizationId,
+      source: 'linkedin',
+      integrationId: integration._id,
+      formId,
+      formName: form.name,
+      externalId: response.id,
+      lead: { ...fields, metadata: { linkedinAdAccountId: accountId } },
+      rawPayload: response
+    };
+
+    if (!fields.email && !fields.phone) {
+      logger.warn('LinkedIn lead has no contact info, skipping', { responseId: response.id });
+      const quarantined = await quarantineService.quarantineLead({
+        ...quarantineEntry,
+        reason: 'no_contact_info',
+        message: 'Lead must have at least one contact method (email or phone)',
+        missingFields: ['email', 'phone']
+      });
+      await idempotencyService.complete(ledger, null, 'quarantined');
+      return { success: false, skipped: true, reason: 'no_contact_info', quarantineId: quarantined?._id };
+    }
+
+    const spamLead = { name: fields.name, email: fields.email, phone: fields.phone, fields: fields.customFields };
+    const spamContext = {
+      organizationId: integration.organizationId,
+      source: 'linkedin',
+      formId,
+      formName: form.name,
+      externalId: response.id
+    };
+    const spamResult = await spamDetectionService.checkLead(spamLead, spamContext);
+    spamDetectionService.logDetection(spamLead, spamResult, spamContext);
+
+    if (spamResult.blocked) {
+      const quarantined = await quarantineService.quarantineSpam(spamResult, quarantineEntry);
+      await idempotencyService.complete(ledger, null, 'blocked');
+      return {
+        success: false,
+        skipped: true,
+        reason: 'spam_detected',
+        action: spamResult.action,
+        quarantineId: quarantined?._id
+      };
+    }
+
+    const leadResult = await leadsServiceClient.createLead({
+      organizationId: integration.organizationId.toString(),
+      source: 'linkedin',
+      name: fields.name,
+      email: fields.email,
+      phone: fields.phone,
+      company: fields.company,
+      customFields: fields.customFields,
+      originalData: response,
+      metadata: {
+        linkedinLeadId: response.id,
+        linkedinFormId: formId,
+        linkedinFormName: form.name,
+        linkedinAdAccountId: accountId,
+        linkedinCampaign: response.leadMetadataInfo?.sponsoredLeadMetadata?.campaign,
+        submittedAt: response.submittedAt ? new Date(response.submittedAt).toISOString() : undefined,
+        isTest: response.testLead || false,
+        spamCheck: spamResult.isSpam ? spamDetectionService.toLeadMetadata(spamResult) : undefined
+      }
+    }, {
+      integrationId: integration._id,
+      formId,
+      formName: form.name,
+      externalId: response.id,
+      phoneDefaultCountry: integration.phoneDefaultCountry
+    });
+
+    return { success: true, leadId: leadResult.lead?._id, fields };
+  }
+
+  // Map LinkedIn answers to CRM fields using the form's question metadata
+  extractLeadFields(response, form) {
+    const questionsById = new Map((form.questions || []).map(q => [String(q.id), q]));
+    const fields = {
+      name: '',
+      email: '',
+      phone: '',
+      company: '',
+      customFields: {}
+    };
+    let firstName = '';
+    let lastName = '';
+
+    for (const answer of response.formResponse?.answers || []) {
+      const details = answer.answerDetails || {};
+      const value = details.textQuestionAnswer?.answer ??
+        details.multipleChoiceAnswer?.options?.join(', ') ??
+        '';
+      if (value === '') continue;
+
+      const question = questionsById.get(String(answer.questionId)) || {};
+
+      switch (question.predefinedField) {
+        case 'FIRST_NAME':
+          firstName = value;
+          break;
+        case 'LAST_NAME':
+          lastName = value;
+          break;
+        case 'EMAIL':
+        case 'WORK_EMAIL':
+          if (!fields.email) fields.email = value.trim().toLowerCase();
+          break;
+        case 'PHONE_NUMBER':
+        case 'WORK_PHONE_NUMBER':
+          if (!fields.phone) fields.phone = value.trim();
+          break;
+        case 'COMPANY_NAME':
+          fields.company = value;
+          break;
+        default: {
+          const key = question.name || question.label || `question_${answer.questionId}`;
+          fields.customFields[key] = value;
+        }
+      }
+    }
+
+    fields.name = [firstName, lastName].filter(Boolean).join(' ') ||
+      fields.email ||
+      'LinkedIn Lead';
+
+    return fields;
+  }
+
+  async updateIntegrationStats(integration, formId) {
+    try {
+      integration.totalLeads = (integration.totalLeads || 0) + 1;
+      integration.lastLeadReceived = new Date();
+      integration.stats = integration.stats || {};
+      integration.stats.leadsToday = (integration.stats.leadsToday || 0) + 1;
+      integration.stats.leadsThisWeek = (integration.stats.leadsThisWeek || 0) + 1;
+      integration.stats.leadsThisMonth = (integration.stats.leadsThisMonth || 0) + 1;
+
+      const found = integration.findLeadForm(formId);
+      if (found) {
+        const { form } = found;
+        form.leadsCount = (form.leadsCount || 0) + 1;
+        form.stats = form.stats || {};
+        form.stats.leadsToday = (form.stats.leadsToday || 0) + 1;
+        form.stats.leadsThisWeek = (form.stats.leadsThisWeek || 0) + 1;
+        form.stats.leadsThisMonth = (form.stats.leadsThisMonth || 0) + 1;
+        form.stats.lastLeadReceived = new Date();
+      }
+
+      await integration.save();
+    } catch (error) {
+      logger.error('Error updating LinkedIn integration stats:', error);
+    }
+  }
+
   async testConnection(config) {
     try {
-      // TODO: Implement LinkedIn connection test
       logger.info('Testing LinkedIn connection');
-      return { success: true, message: 'LinkedIn service not yet implemented' };
+
+      const accessToken = config?.accessToken || config?.config?.linkedin?.accessToken;
+      if (!accessToken) {
+        return { success: false, message: 'LinkedIn access token is missing' };
+      }
+
+      const adAccounts = await this.getAdAccounts(accessToken);
+
+      return {
+        success: true,
+        message: 'LinkedIn connection successful',
+        data: { adAccountsCount: adAccounts.length }
+      };
     } catch (error) {
-      logger.error('LinkedIn connection test failed:', error);
-      throw error;
+      logger.error('LinkedIn connection test failed:', error.message);
+      return {
+        success: false,
+        message: error.response?.data?.message || error.message
+      };
     }
   }
 
+  // Resolve the LinkedIn integration for either a LinkedInIntegration or an IntegrationConfig
+  async resolveIntegration(config) {
+    if (config instanceof LinkedInIntegration) {
+      return config;
+    }
+
+    const organizationId = config?.organizationId || config?.companyId;
+    if (!organizationId) {
+      return null;
+    }
+
+    return LinkedInIntegration.findOne({ organizationId, connected: true });
+  }
+
+  // Pull lead form responses that arrived since the last poll (or the full 90 day window)
   async syncData(config, options = {}) {
     try {
-      // TODO: Implement LinkedIn data sync
       logger.info('LinkedIn data sync requested');
-      return { success: true, message: 'LinkedIn sync not yet implemented' };
+
+      const syncOptions = typeof options === 'string' ? { syncType: options } : options;
+      const integration = await this.resolveIntegration(config);
+
+      if (!integration) {
+        return { success: false, message: 'LinkedIn integration not found or not connected' };
+      }
+
+      await this.syncAdAccounts(integration);
+      const accessToken = await this.getValidAccessToken(integration);
+
+      const now = Date.now();
+      const earliest = now - MAX_LOOKBACK_MS;
+      let since = syncOptions.since ? new Date(syncOptions.since).getTime() : null;
+      if (!since) {
+        since = syncOptions.syncType !== 'full' && integration.lastLeadPoll
+          ? integration.lastLeadPoll.getTime()
+          : earliest;
+      }
+      since = Math.max(since, earliest);
+
+      const result = {
+        success: true,
+        recordsProcessed: 0,
+        recordsCreated: 0,
+        recordsUpdated: 0,
+        errors: 0
+      };
+      // Submission time of the earliest response that failed; the next poll starts there
+      let retryFrom = null;
+
+      for (const account of integration.adAccounts) {
+        const owner = `(sponsoredAccount:${encodeURIComponent(this.sponsoredAccountUrn(account.id))})`;
+        let start = 0;
+        let hasMore = true;
+
+        while (hasMore) {
+          const data = await this.apiGet(
+            accessToken,
+            `/leadFormResponses?q=owner&owner=${owner}&leadType=(leadType:SPONSORED)` +
+            `&submittedAtTimeRange=(start:${since},end:${now})&start=${start}&count=100`
+          );
+          const elements = data.elements || [];
+
+          for (const response of elements) {
+            result.recordsProcessed++;
+            try {
+              const formId = this.parseUrnId(response.versionedLeadGenFormUrn, 'leadGenForm');
+              const processed = await this.processLeadResponse(integration, account.id, formId, response, {
+                refreshForms: false
+              });
+              if (processed.success && !processed.duplicate) {
+                result.recordsCreated++;
+              }
+            } catch (error) {
+              result.errors++;
+              const submittedAt = Number(response.submittedAt);
+              retryFrom = Number.isFinite(submittedAt) && submittedAt >= since
+                ? Math.min(retryFrom ?? submittedAt, submittedAt)
+                : since;
+              logger.error('Error importing LinkedIn lead response:', {
+                responseId: response.id,
+                message: error.message
+              });
+            }
+          }
+
+          start += elements.length;
+          hasMore = elements.length > 0 && start < (data.paging?.total || 0);
+        }
+      }
+
+      // Failed responses must fall inside the next poll's window, or they would never be imported
+      if (retryFrom === null) {
+        integration.lastLeadPoll = new Date(now);
+      } else if (retryFrom > since) {
+        integration.lastLeadPoll = new Date(retryFrom - 1);
+      }
+      await integration.save();
+
+      logger.info('LinkedIn data sync completed', result);
+
+      outboundWebhookService.emit('sync.completed', integration.organizationId, {
+        source: 'linkedin',
+        integrationId: String(integration._id),
+        syncType: syncOptions.syncType || 'incremental',
+        recordsProcessed: result.recordsProcessed,
+        recordsCreated: result.recordsCreated,
+        recordsUpdated: result.recordsUpdated,
+        errors: result.errors
+      });
+
+      return result;
     } catch (error) {
       logger.error('LinkedIn sync failed:', error);
       throw error;
@@ -39,4 +810,4 @@ class LinkedInService {
   }
 }
 
-module.exports = new LinkedInService();
\ No newline at end of file
+module.exports = new LinkedInService();
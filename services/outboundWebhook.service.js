@@ -0,0 +1,473 @@
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const IntegrationConfig = require('../models/IntegrationConfig');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { assertPublicUrl, publicLookup } = require('../utils/publicAddress');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const EVENTS = ['lead.created', 'lead.assigned', 'lead.escalated', 'lead.quarantined', 'sync.completed'];
+const TEST_EVENT = 'webhook.test';
+
+// Responses that will not change on retry (bad URL, rejected signature ...); 408 and 429 are worth retrying
+const isPermanentStatus = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+const MAX_RESPONSE_BODY = 2000;
+
+/**
+ * Outbound webhooks for lead lifecycle events.
+ *
+ * Every IntegrationConfig with a webhook.url receives the events listed in
+ * webhook.events (all events when the list is empty) as a JSON POST signed
+ * with webhook.secret:
+ *
+ *   X-Jesty-Signature: sha256=HMAC_SHA256(secret, `${X-Jesty-Timestamp}.${body}`)
+ *
+ * emit() only stores a WebhookDelivery per subscriber; the worker sends them
+ * and retries failures with exponential backoff, so a slow or broken receiver
+ * never holds up lead ingestion.
+ */
+class OutboundWebhookService {
+  constructor() {
+    this.events = EVENTS;
+    this.maxAttempts = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+    this.baseDelayMs = parseInt(process.env.OUTBOUND_WEBHOOK_BASE_DELAY_MS, 10) || 60 * 1000;
+    this.maxDelayMs = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_DELAY_MS, 10) || 60 * 60 * 1000;
+    this.pollIntervalMs = parseInt(process.env.OUTBOUND_WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+    this.timeoutMs = parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS, 10) || 10000;
+    this.batchSize = 20;
+    this.lockTimeoutMs = 5 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    // Webhook URLs are tenant supplied; connections to internal addresses are refused
+    this.httpAgent = new http.Agent({ lookup: publicLookup });
+    this.httpsAgent = new https.Agent({ lookup: publicLookup });
+
+    this.timer = null;
+    this.ticking = false;
+    this.rerun = false;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret || '').update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  isSubscribed(webhook, event) {
+    const events = webhook?.events || [];
+    return events.length === 0 || events.includes('*') || events.includes(event);
+  }
+
+  /**
+   * Common lead fields for lead.* events
+   * @param {string} leadId - Lead ID in the leads-service
+   * @param {Object} leadData - Lead as sent to the leads-service
+   * @param {Object} [extra] - integrationId, formId, externalId ...
+   */
+  leadEventData(leadId, leadData = {}, extra = {}) {
+    return {
+      leadId: leadId ? String(leadId) : undefined,
+      source: leadData.source,
+      name: leadData.name,
+      email: leadData.email,
+      phone: leadData.phone,
+      company: leadData.company,
+      assignedTo: leadData.assignedTo ? String(leadData.assignedTo) : undefined,
+      ...extra
+    };
+  }
+
+  /**
+   * Emit lead.created, plus lead.assigned when the lead was created with an assignee
+   */
+  leadCreated(organizationId, leadId, leadData, extra = {}) {
+    const data = this.leadEventData(leadId, leadData, extra);
+
+    this.emit('lead.created', organizationId, data);
+    if (data.assignedTo) {
+      this.emit('lead.assigned', organizationId, data);
+    }
+  }
+
+  /**
+   * Queue an event for every subscribed webhook of the organization.
+   * Never throws; callers do not need to await it.
+   * @param {string} event - lead.created | lead.assigned | lead.escalated | lead.quarantined | sync.completed
+   * @param {string} organizationId - Organization (IntegrationConfig.companyId)
+   * @param {Object} data - Event specific data
+   * @returns {Promise<Array>} The queued deliveries
+   */
+  async emit(event, organizationId, data = {}) {
+    if (!isConnected() || !organizationId || !mongoose.Types.ObjectId.isValid(String(organizationId))) {
+      return [];
+    }
+
+    try {
+      const configs = await IntegrationConfig.find({
+        companyId: organizationId,
+        'webhook.url': { $nin: [null, ''] }
+      }).select('webhook').lean();
+
+      const targets = configs.filter(config => this.isSubscribed(config.webhook, event));
+      if (targets.length === 0) return [];
+
+      const deliveries = await WebhookDelivery.insertMany(
+        targets.map(config => this.buildDelivery(config, event, organizationId, data))
+      );
+
+      await IntegrationConfig.updateMany(
+        { _id: { $in: targets.map(config => config._id) } },
+        {
+          $set: { 'webhook.lastTriggeredAt': new Date() },
+          $inc: { 'webhook.totalTriggers': 1 }
+        }
+      );
+
+      this.kick();
+      return deliveries;
+    } catch (error) {
+      logger.error(`Error queueing outbound webhook ${event}:`, error.message);
+      return [];
+    }
+  }
+
+  buildDelivery(config, event, organizationId, data, maxAttempts = this.maxAttempts) {
+    const _id = new mongoose.Types.ObjectId();
+
+    return {
+      _id,
+      organizationId: String(organizationId),
+      integrationConfigId: config._id,
+      event,
+      url: config.webhook.url,
+      payload: {
+        id: String(_id),
+        event,
+        organizationId: String(organizationId),
+        occurredAt: new Date().toISOString(),
+        data
+      },
+      maxAttempts
+    };
+  }
+
+  /**
+   * Exponential backoff: baseDelay, 2x, 4x ... capped at maxDelay
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`Outbound webhook worker started (${this.workerId}, every ${this.pollIntervalMs}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Outbound webhook worker stopped');
+  }
+
+  kick() {
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+  }
+
+  async tick() {
+    if (!isConnected()) return;
+    if (this.ticking) {
+      this.rerun = true;
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const delivery = await this.claimNext();
+        if (!delivery) break;
+        await this.deliver(delivery);
+      }
+    } catch (error) {
+      logger.error('Outbound webhook worker error:', error.message);
+    } finally {
+      this.ticking = false;
+      if (this.rerun && this.timer) {
+        this.rerun = false;
+        setImmediate(() => this.tick());
+      }
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - this.lockTimeoutMs) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * POST a claimed delivery and record the outcome
+   * @returns {Promise<Object>} { status, responseStatus, error }
+   */
+  async deliver(delivery) {
+    // The secret is read on every attempt so a rotated secret applies to pending retries
+    const config = await IntegrationConfig.findById(delivery.integrationConfigId).select('webhook').lean();
+    if (!config?.webhook?.url) {
+      return this.recordFailure(delivery, { message: 'Webhook is no longer configured', permanent: true });
+    }
+
+    // The host is checked again on every attempt; its DNS may have changed since the URL was saved
+    try {
+      await assertPublicUrl(config.webhook.url);
+    } catch (error) {
+      return this.recordFailure(delivery, {
+        message: error.code ? `${error.code}: ${error.message}` : error.message,
+        url: config.webhook.url,
+        permanent: ['EADDRNOTPUBLIC', 'EINVALIDURL'].includes(error.code)
+      });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    let response;
+    try {
+      response = await axios.post(config.webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Jesty-CRM-Webhooks/1.0',
+          'X-Jesty-Event': delivery.event,
+          'X-Jesty-Delivery': String(delivery._id),
+          'X-Jesty-Timestamp': String(timestamp),
+          'X-Jesty-Signature': `sha256=${this.sign(config.webhook.secret, timestamp, body)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        httpAgent: this.httpAgent,
+        httpsAgent: this.httpsAgent,
+        transformResponse: [(data) => data],
+        validateStatus: () => true
+      });
+    } catch (error) {
+      return this.recordFailure(delivery, {
+        message: error.code ? `${error.code}: ${error.message}` : error.message,
+        url: config.webhook.url,
+        durationMs: Date.now() - startedAt
+      });
+    }
+
+    const result = {
+      url: config.webhook.url,
+      responseStatus: response.status,
+      responseBody: typeof response.data === 'string' ? response.data.slice(0, MAX_RESPONSE_BODY) : undefined,
+      durationMs: Date.now() - startedAt
+    };
+
+    if (response.status >= 200 && response.status < 300) {
+      await WebhookDelivery.updateOne({ _id: delivery._id }, {
+        $set: { ...result, status: 'delivered', deliveredAt: new Date() },
+        $unset: { lockedAt: 1, lockedBy: 1, lastError: 1 }
+      });
+
+      logger.info(`Outbound webhook delivered: ${delivery.event}`, {
+        deliveryId: delivery._id,
+        status: response.status
+      });
+      return { status: 'delivered', responseStatus: response.status };
+    }
+
+    return this.recordFailure(delivery, {
+      ...result,
+      message: `Endpoint responded with HTTP ${response.status}`,
+      permanent: isPermanentStatus(response.status)
+    });
+  }
+
+  async recordFailure(delivery, { message, permanent = false, ...result }) {
+    const failure = { attempt: delivery.attempts, message, responseStatus: result.responseStatus, at: new Date() };
+    const dead = permanent || delivery.attempts >= delivery.maxAttempts;
+    const set = { ...result, lastError: message, status: dead ? 'dead' : 'failed' };
+
+    if (!dead) {
+      set.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attempts));
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, {
+      $set: set,
+      $push: { failures: { $each: [failure], $slice: -20 } },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+
+    logger.warn(`Outbound webhook ${dead ? 'gave up' : 'failed, retrying'}: ${delivery.event}`, {
+      deliveryId: delivery._id,
+      attempt: delivery.attempts,
+      error: message
+    });
+
+    return { status: set.status, responseStatus: result.responseStatus, error: message };
+  }
+
+  /**
+   * Send a webhook.test event right away, bypassing the subscription filter
+   * @returns {Promise<Object|null>} The finished delivery without the response body, or null when the config has no webhook
+   */
+  async testFire(organizationId, integrationConfigId, triggeredBy) {
+    const config = await IntegrationConfig.findOne({
+      _id: integrationConfigId,
+      companyId: organizationId
+    }).select('name provider webhook').lean();
+
+    if (!config?.webhook?.url) return null;
+
+    const delivery = await WebhookDelivery.create({
+      ...this.buildDelivery(config, TEST_EVENT, organizationId, {
+        message: 'Test event from Jesty CRM',
+        integration: { id: String(config._id), name: config.name, provider: config.provider },
+        triggeredBy: triggeredBy ? String(triggeredBy) : undefined
+      }, 1),
+      status: 'processing',
+      attempts: 1,
+      lockedAt: new Date(),
+      lockedBy: this.workerId
+    });
+
+    await this.deliver(delivery);
+    // The caller chose the URL, so it must not be able to read what the endpoint answered
+    return WebhookDelivery.findById(delivery._id).select('-responseBody').lean();
+  }
+
+  /**
+   * Integration configs of the organization with their webhook settings; secrets are masked
+   */
+  async listSubscriptions(organizationId) {
+    const configs = await IntegrationConfig.find({ companyId: organizationId })
+      .select('name provider status webhook')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return configs.map(config => {
+      const { secret, ...webhook } = config.webhook || {};
+      return {
+        ...config,
+        webhook: {
+          ...webhook,
+          secret: secret ? `${secret.slice(0, 6)}...${secret.slice(-4)}` : null
+        }
+      };
+    });
+  }
+
+  /**
+   * Set the webhook of an IntegrationConfig. A secret is generated when none exists or rotateSecret is set.
+   * @returns {Promise<Object|null>} The saved webhook settings (with the secret), or null when not found
+   */
+  async updateWebhook(organizationId, integrationConfigId, { url, events, rotateSecret }) {
+    const existing = await IntegrationConfig.findOne({
+      _id: integrationConfigId,
+      companyId: organizationId
+    }).select('webhook').lean();
+
+    if (!existing) return null;
+
+    const set = {};
+    if (url !== undefined) set['webhook.url'] = url;
+    if (events !== undefined) set['webhook.events'] = events;
+    if (rotateSecret || !existing.webhook?.secret) {
+      set['webhook.secret'] = this.generateSecret();
+    }
+
+    const config = await IntegrationConfig.findOneAndUpdate(
+      { _id: existing._id },
+      { $set: set },
+      { new: true }
+    ).select('webhook').lean();
+
+    return config.webhook;
+  }
+
+  buildFilter(organizationId, { integrationConfigId, event, status } = {}) {
+    const filter = { organizationId: String(organizationId) };
+    if (integrationConfigId) filter.integrationConfigId = integrationConfigId;
+    if (event) filter.event = event;
+    if (status) filter.status = { $in: String(status).split(',') };
+    return filter;
+  }
+
+  async listDeliveries(organizationId, filters = {}, { page = 1, limit = 20 } = {}) {
+    const filter = this.buildFilter(organizationId, filters);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .select('-payload -responseBody -failures')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    return { deliveries, total, page, limit };
+  }
+
+  async getDelivery(organizationId, deliveryId) {
+    return WebhookDelivery.findOne({ _id: deliveryId, organizationId: String(organizationId) }).lean();
+  }
+
+  /**
+   * Send a failed or dead delivery again with a fresh attempt budget
+   * @returns {Promise<Object|null>} The re-queued delivery, or null when it cannot be redelivered
+   */
+  async redeliver(organizationId, deliveryId, redeliveredBy) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        organizationId: String(organizationId),
+        status: { $in: ['failed', 'dead'] }
+      },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          maxAttempts: this.maxAttempts,
+          nextAttemptAt: new Date(),
+          redeliveredBy: redeliveredBy ? String(redeliveredBy) : undefined
+        }
+      },
+      { new: true }
+    );
+
+    if (delivery) this.kick();
+    return delivery;
+  }
+}
+
+module.exports = new OutboundWebhookService();
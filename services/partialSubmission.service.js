@@ -0,0 +1,317 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const PartialSubmission = require('../models/PartialSubmission');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const websiteService = require('./website.service');
+const captchaService = require('./captcha.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const VISITOR_TOKEN_PATTERN = /^[\w-]{16,64}$/;
+// No dots or $, so captured names are safe as update paths
+const FIELD_NAME_PATTERN = /^[A-Za-z_][\w-]{0,63}$/;
+const MAX_VALUE_LENGTH = 1000;
+const MAX_ATTRIBUTION_LENGTH = 4000;
+
+// Contact fields one of which a partial needs to become a lead
+const CONTACT_FIELDS = ['email', 'phone'];
+
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Abandoned website form capture.
+ *
+ * Forms with partialCapture enabled have the loader script post the fields
+ * listed in partialCapture.fields while the visitor types (debounced, and
+ * only once the site reports consent when requireConsent is on). They are
+ * kept per visitor token and form. A submission with the same token closes
+ * the entry; one left alone for inactivityMinutes is converted by the worker
+ * into a lead with status 'partial' - if an email or phone was typed -
+ * through the normal website lead pipeline, so spam checks, duplicate
+ * handling and assignment apply to it. Integrations with a CAPTCHA don't
+ * capture partials.
+ *
+ * Entries are claimed with a lease, so several instances never convert the same one.
+ */
+class PartialSubmissionService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.PARTIAL_SUBMISSION_INTERVAL_MS, 10) || 60 * 1000;
+    this.batchSize = parseInt(process.env.PARTIAL_SUBMISSION_BATCH_SIZE, 10) || 20;
+    this.maxAttempts = parseInt(process.env.PARTIAL_SUBMISSION_MAX_ATTEMPTS, 10) || 5;
+    // Failed conversions wait attempts x this long before the next try
+    this.retryDelayMs = 5 * 60 * 1000;
+    // An entry still locked after this long (instance died mid-run) can be claimed again
+    this.lockTimeoutMs = 5 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.timer = null;
+    this.ticking = false;
+    this.rerun = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`Partial submission worker started (${this.workerId}, every ${this.pollIntervalMs}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Partial submission worker stopped');
+  }
+
+  async tick() {
+    if (!isConnected()) return;
+    if (this.ticking) {
+      this.rerun = true;
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const entry = await this.claimNext();
+        if (!entry) break;
+        await this.process(entry);
+      }
+    } catch (error) {
+      logger.error('Partial submission worker error:', error.message);
+    } finally {
+      this.ticking = false;
+      if (this.rerun && this.timer) {
+        this.rerun = false;
+        setImmediate(() => this.tick());
+      }
+    }
+  }
+
+  /**
+   * Partial capture settings of an active form, or null when it doesn't capture.
+   * Integrations with a bot check never capture: a partial carries no proof, so
+   * converting it would let bots skip the check.
+   */
+  settingsFor(integration, formId) {
+    if (captchaService.settingsFor(integration)) return null;
+
+    const form = (integration.forms || []).find(candidate => candidate.formId === formId);
+    if (!form || form.isActive === false || !form.partialCapture?.enabled) return null;
+
+    const fields = (form.partialCapture.fields || []).filter(name => FIELD_NAME_PATTERN.test(name));
+    if (fields.length === 0) return null;
+
+    return {
+      fields,
+      inactivityMinutes: form.partialCapture.inactivityMinutes || 30,
+      requireConsent: form.partialCapture.requireConsent !== false
+    };
+  }
+
+  /**
+   * Problems with partialCapture settings from the form builder API
+   * @returns {string[]} Empty when valid
+   */
+  validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return ['partialCapture must be an object'];
+
+    const errors = [];
+    ['enabled', 'requireConsent'].forEach(prop => {
+      if (settings[prop] !== undefined && typeof settings[prop] !== 'boolean') {
+        errors.push(`partialCapture.${prop} must be a boolean`);
+      }
+    });
+    if (settings.fields !== undefined && !(Array.isArray(settings.fields) && settings.fields.length <= 50 &&
+      settings.fields.every(name => typeof name === 'string' && FIELD_NAME_PATTERN.test(name)))) {
+      errors.push('partialCapture.fields must be a list of field names (letters, digits, _ or -)');
+    }
+    if (settings.inactivityMinutes !== undefined &&
+      !(Number.isInteger(settings.inactivityMinutes) && settings.inactivityMinutes >= 5 && settings.inactivityMinutes <= 1440)) {
+      errors.push('partialCapture.inactivityMinutes must be a whole number from 5 to 1440');
+    }
+    if (settings.enabled === true && !(settings.fields?.length > 0)) {
+      errors.push('partialCapture.fields are required when partial capture is enabled');
+    }
+    return errors;
+  }
+
+  // The allowed, non-empty fields of a posted capture
+  pickFields(settings, fields) {
+    if (!fields || typeof fields !== 'object') return {};
+
+    return settings.fields.reduce((picked, name) => {
+      const value = fields[name];
+      if (typeof value === 'string' && value.trim()) {
+        picked[name] = value.trim().slice(0, MAX_VALUE_LENGTH);
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Store what a visitor has typed so far
+   * @param {Object} capture - { visitorToken, formId, fields, page, attribution } from the loader script
+   * @returns {Promise<Object>} { stored } or { error } for a capture the form doesn't accept
+   */
+  async capture(integration, { visitorToken, formId, fields, page, attribution } = {}) {
+    if (typeof visitorToken !== 'string' || !VISITOR_TOKEN_PATTERN.test(visitorToken)) {
+      return { error: 'visitorToken is invalid' };
+    }
+
+    const settings = this.settingsFor(integration, formId);
+    if (!settings) {
+      return { error: 'Partial capture is not enabled for this form' };
+    }
+
+    const picked = this.pickFields(settings, fields);
+    if (Object.keys(picked).length === 0) {
+      return { stored: false };
+    }
+
+    const now = new Date();
+    const update = {
+      $set: {
+        ...Object.fromEntries(Object.entries(picked).map(([name, value]) => [`fields.${name}`, value])),
+        lastActivityAt: now,
+        convertAfter: new Date(now.getTime() + settings.inactivityMinutes * 60 * 1000),
+        expiresAt: new Date(now.getTime() + RETENTION_MS)
+      },
+      $setOnInsert: { organizationId: integration.organizationId }
+    };
+    if (typeof page === 'string' && /^https?:\/\//.test(page)) {
+      update.$set.page = page.slice(0, MAX_VALUE_LENGTH);
+    }
+    if (attribution && typeof attribution === 'object' && JSON.stringify(attribution).length <= MAX_ATTRIBUTION_LENGTH) {
+      update.$set.attribution = attribution;
+    }
+
+    const filter = { integrationId: integration._id, formId, visitorToken, status: 'open' };
+    try {
+      await PartialSubmission.updateOne(filter, update, { upsert: true });
+    } catch (error) {
+      // Two captures raced to create the entry; the other one won
+      if (error.code !== 11000) throw error;
+      await PartialSubmission.updateOne(filter, update);
+    }
+
+    return { stored: true };
+  }
+
+  /**
+   * The visitor sent the form, so their entries are not abandoned. Entries the worker
+   * is converting are closed too; process() checks again before creating the lead.
+   * @returns {Promise<number>} Entries closed
+   */
+  async complete(integrationId, visitorToken) {
+    if (typeof visitorToken !== 'string' || !VISITOR_TOKEN_PATTERN.test(visitorToken)) return 0;
+
+    const result = await PartialSubmission.updateMany(
+      { integrationId, visitorToken, status: { $in: ['open', 'processing'] } },
+      { $set: { status: 'submitted' } }
+    );
+    return result.modifiedCount || 0;
+  }
+
+  // Atomically lease the next inactive entry so concurrent instances never convert the same one
+  async claimNext() {
+    const now = new Date();
+
+    return PartialSubmission.findOneAndUpdate(
+      {
+        status: { $in: ['open', 'processing'] },
+        convertAfter: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.lockTimeoutMs)
+        }
+      },
+      { sort: { convertAfter: 1 }, new: true }
+    );
+  }
+
+  // Save the outcome and hand the lease back; an entry the visitor closed meanwhile stays closed
+  async release(entry, update) {
+    await PartialSubmission.updateOne(
+      { _id: entry._id, lockedBy: this.workerId, status: 'processing' },
+      {
+        $set: update,
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+  }
+
+  /**
+   * Turn one abandoned entry into a partial lead
+   * @returns {Promise<string>} The entry's new status
+   */
+  async process(entry) {
+    try {
+      const fields = entry.fields || {};
+      if (!CONTACT_FIELDS.some(name => fields[name])) {
+        await this.release(entry, { status: 'discarded', lastError: 'No email or phone was entered' });
+        return 'discarded';
+      }
+
+      const integration = await WebsiteIntegration.findOne({ _id: entry.integrationId, isActive: true });
+      const form = integration?.forms?.find(candidate => candidate.formId === entry.formId);
+      if (!integration || !this.settingsFor(integration, entry.formId)) {
+        await this.release(entry, { status: 'discarded', lastError: 'Partial capture is no longer enabled' });
+        return 'discarded';
+      }
+
+      // The visitor may have sent the form since the entry was claimed; their submission is the lead then
+      const current = await PartialSubmission.findById(entry._id).select('status').lean();
+      if (current?.status !== 'processing') {
+        logger.info('Partial website submission closed before conversion:', { entryId: entry._id, status: current?.status });
+        return current?.status || 'discarded';
+      }
+
+      const result = await websiteService.processWebsiteLead(integration.integrationKey, {
+        ...fields,
+        formId: entry.formId,
+        page: entry.page,
+        attribution: entry.attribution,
+        // Retried conversions create the lead once
+        submissionToken: `partial-${entry._id}`
+      }, {
+        formId: entry.formId,
+        formName: form.formName,
+        partial: {
+          capturedAt: entry.createdAt,
+          lastActivityAt: entry.lastActivityAt,
+          fields: Object.keys(fields)
+        }
+      });
+
+      await this.release(entry, { status: 'converted', leadId: result.leadId ? String(result.leadId) : null, lastError: null });
+      logger.info('Partial website submission converted:', { entryId: entry._id, leadId: result.leadId });
+      return 'converted';
+    } catch (error) {
+      const attempts = (entry.attempts || 0) + 1;
+      // Retries stay out of 'open': the visitor may have started a new open entry meanwhile
+      const status = attempts >= this.maxAttempts ? 'failed' : 'processing';
+
+      logger.error(`Partial submission conversion failed for ${entry._id}:`, error.message);
+
+      await this.release(entry, {
+        status,
+        attempts,
+        lastError: error.message,
+        convertAfter: new Date(Date.now() + this.retryDelayMs * attempts)
+      });
+      return status;
+    }
+  }
+}
+
+module.exports = new PartialSubmissionService();
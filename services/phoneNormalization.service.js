@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const FacebookIntegration = require('../models/FacebookIntegration');
+const LinkedInIntegration = require('../models/LinkedInIntegration');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const WordPressIntegration = require('../models/WordPressIntegration');
+const ShopifyIntegration = require('../models/ShopifyIntegration');
+const { normalizePhone, isValidCountry, FALLBACK_COUNTRY } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const INTEGRATION_MODELS = {
+  facebook: FacebookIntegration,
+  linkedin: LinkedInIntegration,
+  website: WebsiteIntegration,
+  wordpress: WordPressIntegration,
+  shopify: ShopifyIntegration
+};
+
+// Lead ingestion reads the organization default on every lead
+const COUNTRY_CACHE_TTL_MS = 60 * 1000;
+
+class PhoneNormalizationService {
+  constructor() {
+    this.countryCache = new Map();
+  }
+
+  get sources() {
+    return Object.keys(INTEGRATION_MODELS);
+  }
+
+  async getOrganizationCountry(organizationId) {
+    if (!organizationId || !isConnected() || !mongoose.Types.ObjectId.isValid(organizationId)) {
+      return null;
+    }
+
+    const key = String(organizationId);
+    const cached = this.countryCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.country;
+    }
+
+    try {
+      const settings = await OrganizationSettings.findOne({ organizationId }).select('phone').lean();
+      const country = settings?.phone?.defaultCountry || null;
+      this.countryCache.set(key, { country, expiresAt: Date.now() + COUNTRY_CACHE_TTL_MS });
+      return country;
+    } catch (error) {
+      // Fall back to the service default rather than blocking ingestion
+      logger.error('Failed to load organization phone settings:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Integration override, then organization default, then DEFAULT_PHONE_COUNTRY
+   */
+  async resolveDefaultCountry(organizationId, integrationCountry) {
+    if (isValidCountry(integrationCountry)) {
+      return integrationCountry.toUpperCase();
+    }
+    return (await this.getOrganizationCountry(organizationId)) || FALLBACK_COUNTRY;
+  }
+
+  /**
+   * Normalize one phone number for an organization
+   * @param {string} phone - Phone number as received
+   * @param {Object} [options]
+   * @param {string} [options.organizationId] - Organization the lead belongs to
+   * @param {string} [options.defaultCountry] - Integration override
+   * @returns {Promise<Object|null>} See utils/phone normalizePhone
+   */
+  async normalize(phone, { organizationId, defaultCountry } = {}) {
+    if (phone === undefined || phone === null || String(phone).trim() === '') return null;
+
+    const country = await this.resolveDefaultCountry(organizationId, defaultCountry);
+    return normalizePhone(phone, { defaultCountry: country });
+  }
+
+  /**
+   * Validation result stored with the lead as metadata.phoneValidation
+   */
+  toLeadMetadata(result) {
+    if (!result) return null;
+
+    const { phone, ...validation } = result;
+    return validation;
+  }
+
+  /**
+   * Return a copy of the lead with its phone in E.164 and the validation result
+   * in metadata.phoneValidation. Leads without a phone, or already normalized
+   * upstream, are returned unchanged.
+   */
+  async normalizeLead(leadData, { organizationId, defaultCountry } = {}) {
+    if (leadData.metadata?.phoneValidation) return leadData;
+
+    const result = await this.normalize(leadData.phone, {
+      organizationId: organizationId || leadData.organizationId,
+      defaultCountry
+    });
+    if (!result) return leadData;
+
+    if (result.status === 'invalid') {
+      logger.warn('Lead phone number is not valid', {
+        source: leadData.source,
+        organizationId: organizationId || leadData.organizationId,
+        status: result.status,
+        defaultCountry: result.defaultCountry
+      });
+    }
+
+    return {
+      ...leadData,
+      phone: result.phone,
+      metadata: {
+        ...leadData.metadata,
+        phoneValidation: this.toLeadMetadata(result)
+      }
+    };
+  }
+
+  async getSettings(organizationId) {
+    const settings = isConnected()
+      ? await OrganizationSettings.findOne({ organizationId }).select('phone').lean()
+      : null;
+
+    return {
+      defaultCountry: settings?.phone?.defaultCountry || null,
+      effectiveCountry: settings?.phone?.defaultCountry || FALLBACK_COUNTRY
+    };
+  }
+
+  async updateSettings(organizationId, { defaultCountry }, updatedBy) {
+    await OrganizationSettings.findOneAndUpdate(
+      { organizationId },
+      { $set: { 'phone.defaultCountry': defaultCountry ? defaultCountry.toUpperCase() : null, updatedBy } },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    this.countryCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+
+  /**
+   * Set or clear (null) the default country of one integration
+   * @returns {Promise<Object|null>} null when the integration is not found
+   */
+  async setIntegrationCountry(organizationId, source, integrationId, defaultCountry) {
+    const Model = INTEGRATION_MODELS[source];
+
+    const integration = await Model.findOneAndUpdate(
+      { _id: integrationId, organizationId },
+      { $set: { phoneDefaultCountry: defaultCountry ? defaultCountry.toUpperCase() : null } },
+      { new: true }
+    ).select('phoneDefaultCountry').lean();
+
+    if (!integration) return null;
+
+    return {
+      source,
+      integrationId: String(integration._id),
+      defaultCountry: integration.phoneDefaultCountry,
+      effectiveCountry: await this.resolveDefaultCountry(organizationId, integration.phoneDefaultCountry)
+    };
+  }
+}
+
+module.exports = new PhoneNormalizationService();
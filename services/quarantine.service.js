@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const QuarantinedLead = require('../models/QuarantinedLead');
+const leadsServiceClient = require('./leadsService.client');
+const spamDetectionService = require('./spamDetection.service');
+const formAssignmentService = require('./formAssignmentService');
+const outboundWebhookService = require('./outboundWebhook.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+const EDITABLE_FIELDS = ['name', 'email', 'phone', 'company', 'customFields'];
+
+/**
+ * Holds leads that could not be created automatically (missing contact
+ * details, rejected by validation, quarantined as spam) so sales ops can
+ * fix them up and push them to the CRM, or discard them.
+ */
+class QuarantineService {
+  /**
+   * Save a lead for manual review. Never throws; a failure to quarantine must
+   * not break the ingestion path that called it.
+   * @param {Object} entry - { organizationId, source, reason, message, missingFields,
+   *   integrationId, formId, formName, externalId, lead, rawPayload, spamCheck }
+   * @returns {Promise<Object|null>} The quarantined lead, or null when it could not be stored
+   */
+  async quarantineLead(entry) {
+    const { organizationId, source, externalId } = entry;
+
+    if (!isConnected() || !organizationId || !mongoose.Types.ObjectId.isValid(String(organizationId))) {
+      logger.warn('Lead could not be quarantined:', { organizationId, source, reason: entry.reason });
+      return null;
+    }
+
+    const lead = entry.lead || {};
+    const doc = {
+      organizationId,
+      source,
+      reason: entry.reason,
+      message: entry.message,
+      missingFields: entry.missingFields || [],
+      integrationId: entry.integrationId ? String(entry.integrationId) : undefined,
+      formId: entry.formId ? String(entry.formId) : undefined,
+      formName: entry.formName,
+      externalId: externalId ? String(externalId) : undefined,
+      lead: {
+        name: lead.name || '',
+        email: lead.email || '',
+        phone: lead.phone || '',
+        company: lead.company || '',
+        customFields: lead.customFields || {},
+        metadata: lead.metadata || {}
+      },
+      rawPayload: entry.rawPayload,
+      spamCheck: entry.spamCheck
+    };
+
+    try {
+      let quarantined;
+      let inserted = true;
+      if (doc.externalId) {
+        // Redelivered webhooks must not reopen a lead that was already reviewed
+        const upsert = await QuarantinedLead.findOneAndUpdate(
+          { organizationId, source, externalId: doc.externalId },
+          { $setOnInsert: doc },
+          { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+        );
+        quarantined = upsert.value;
+        inserted = !upsert.lastErrorObject?.updatedExisting;
+      } else {
+        quarantined = await QuarantinedLead.create(doc);
+      }
+
+      logger.warn(`Lead quarantined (${entry.reason}):`, {
+        quarantineId: quarantined._id,
+        organizationId,
+        source,
+        formId: doc.formId,
+        message: entry.message
+      });
+
+      if (inserted) {
+        outboundWebhookService.emit('lead.quarantined', organizationId, {
+          quarantineId: String(quarantined._id),
+          source,
+          reason: entry.reason,
+          message: entry.message,
+          missingFields: doc.missingFields,
+          integrationId: doc.integrationId,
+          formId: doc.formId,
+          formName: doc.formName,
+          externalId: doc.externalId,
+          name: doc.lead.name,
+          email: doc.lead.email,
+          phone: doc.lead.phone
+        });
+      }
+
+      return quarantined;
+    } catch (error) {
+      logger.error('Error quarantining lead:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Quarantine a lead the spam engine held back. Dropped and allowed leads are ignored.
+   */
+  async quarantineSpam(spamResult, entry) {
+    if (spamResult.action !== 'quarantine') return null;
+
+    return this.quarantineLead({
+      ...entry,
+      reason: 'spam',
+      message: spamResult.reason,
+      spamCheck: spamDetectionService.toLeadMetadata(spamResult)
+    });
+  }
+
+  async listLeads(organizationId, filters = {}, { page = 1, limit = 20 } = {}) {
+    const filter = {
+      organizationId,
+      status: { $in: String(filters.status || 'pending').split(',') }
+    };
+    ['source', 'reason', 'integrationId', 'formId'].forEach(key => {
+      if (filters[key]) filter[key] = String(filters[key]);
+    });
+
+    const [leads, total] = await Promise.all([
+      QuarantinedLead.find(filter)
+        .select('-rawPayload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      QuarantinedLead.countDocuments(filter)
+    ]);
+
+    return { leads, total, page, limit };
+  }
+
+  async getLead(organizationId, id) {
+    return QuarantinedLead.findOne({ _id: id, organizationId }).lean();
+  }
+
+  /**
+   * Edit the lead fields of a pending entry
+   * @returns {Promise<Object|null>} Updated entry, or null when not found or no longer pending
+   */
+  async updateLead(organizationId, id, updates, editedBy) {
+    const set = { editedBy: editedBy ? String(editedBy) : undefined, editedAt: new Date() };
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) set[`lead.${field}`] = updates[field];
+    });
+
+    return QuarantinedLead.findOneAndUpdate(
+      { _id: id, organizationId, status: 'pending' },
+      { $set: set },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Create the lead in the CRM, optionally assigning it
+   * @returns {Promise<Object|null>} { success, leadId, message, validation } or null when not found or not pending
+   */
+  async pushLead(organizationId, id, pushedBy, { assignTo } = {}) {
+    // Claim the entry first so a double click cannot create the lead twice
+    const entry = await QuarantinedLead.findOneAndUpdate(
+      { _id: id, organizationId, status: 'pending' },
+      { $set: { status: 'pushing' } },
+      { new: true }
+    );
+
+    if (!entry) return null;
+
+    let leadId;
+    try {
+      const result = await leadsServiceClient.createLead({
+        organizationId: String(entry.organizationId),
+        source: entry.source,
+        name: entry.lead.name,
+        email: entry.lead.email,
+        phone: entry.lead.phone,
+        company: entry.lead.company,
+        customFields: entry.lead.customFields,
+        originalData: entry.rawPayload,
+        metadata: {
+          ...entry.lead.metadata,
+          quarantine: {
+            id: String(entry._id),
+            reason: entry.reason,
+            releasedBy: pushedBy ? String(pushedBy) : undefined
+          }
+        }
+      }, { quarantine: false });
+
+      leadId = result.lead?._id ? String(result.lead._id) : undefined;
+    } catch (error) {
+      await QuarantinedLead.updateOne(
+        { _id: entry._id },
+        { $set: { status: 'pending', lastPushError: error.message } }
+      );
+
+      logger.error('Error pushing quarantined lead:', { quarantineId: entry._id, error: error.message });
+
+      return {
+        success: false,
+        validation: error.code === 'LEAD_VALIDATION_FAILED',
+        message: error.message
+      };
+    }
+
+    await QuarantinedLead.updateOne({ _id: entry._id }, {
+      $set: {
+        status: 'pushed',
+        pushedLeadId: leadId,
+        pushedBy: pushedBy ? String(pushedBy) : undefined,
+        pushedAt: new Date()
+      },
+      $unset: { lastPushError: 1 }
+    });
+
+    logger.info('Quarantined lead pushed to CRM:', { quarantineId: entry._id, leadId, pushedBy });
+
+    // The lead exists at this point, so a failed assignment is only reported
+    let assigned = false;
+    if (leadId && assignTo) {
+      const assignResult = await formAssignmentService.assignLeadToUserViaService(
+        leadId,
+        assignTo,
+        String(entry.organizationId)
+      );
+      assigned = !!assignResult?.success;
+      if (!assigned) {
+        logger.warn('Released lead could not be assigned:', { leadId, assignTo, message: assignResult?.message });
+      }
+    }
+
+    return { success: true, leadId, assigned };
+  }
+
+  async discardLead(organizationId, id, discardedBy, discardReason) {
+    return QuarantinedLead.findOneAndUpdate(
+      { _id: id, organizationId, status: 'pending' },
+      {
+        $set: {
+          status: 'discarded',
+          discardedBy: discardedBy ? String(discardedBy) : undefined,
+          discardedAt: new Date(),
+          discardReason
+        }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new QuarantineService();
@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const RoutingRule = require('../models/RoutingRule');
+const {
+  ASSIGNMENT_ALGORITHMS,
+  ROUTING_SOURCES,
+  ROUTING_OPERATORS
+} = require('../models/assignmentSettings');
+const fieldMappingService = require('./fieldMapping.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Every assignment with lead data reads the rules
+const RULES_CACHE_TTL_MS = 60 * 1000;
+
+const MAX_PATTERN_LENGTH = 200;
+
+const LIST_OPERATORS = ['in', 'not_in'];
+const NUMBER_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const PRESENCE_OPERATORS = ['exists', 'not_exists'];
+// Negated operators hold when their positive form does not
+const NEGATIONS = { not_equals: 'equals', not_in: 'in', not_contains: 'contains', not_exists: 'exists' };
+
+const isEmpty = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0);
+
+const toText = (value) => String(value).trim().toLowerCase();
+
+// "50,000", "₹ 60000" and 500 all read as numbers
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (isEmpty(value) || typeof value === 'object') return null;
+
+  const number = Number(String(value).replace(/[^\d.-]/g, ''));
+  return Number.isNaN(number) ? null : number;
+};
+
+// "utm.campaign", "utm_campaign" and "UTM Campaign" name the same field
+const normalizeKey = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Conditional lead routing, evaluated before the distribution algorithm.
+ *
+ * An organization's rules are tried in priority order against the incoming
+ * lead's fields (website and WordPress submissions, Facebook lead form
+ * answers, Shopify orders, customers and checkouts); the first enabled rule
+ * that applies to the lead's source and integration and whose conditions
+ * hold sends the lead to its own users. Working hours and capacity caps
+ * still apply to them. Leads no rule matches keep the integration's settings.
+ */
+class RoutingRulesService {
+  constructor() {
+    this.rulesCache = new Map();
+    this.operators = ROUTING_OPERATORS;
+  }
+
+  /**
+   * Enabled rules of an organization, in the order they are tried
+   */
+  async getOrganizationRules(organizationId) {
+    if (!organizationId || !isConnected() || !mongoose.Types.ObjectId.isValid(organizationId)) {
+      return [];
+    }
+
+    const key = String(organizationId);
+    const cached = this.rulesCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.rules;
+    }
+
+    try {
+      const rules = await RoutingRule.find({ organizationId, enabled: true })
+        .sort({ priority: 1, createdAt: 1 })
+        .lean();
+      this.rulesCache.set(key, { rules, expiresAt: Date.now() + RULES_CACHE_TTL_MS });
+      return rules;
+    } catch (error) {
+      // Unrouted rather than blocking assignment
+      logger.error('Failed to load routing rules:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * A lead field: exact or case-insensitive key, dotted path, then the same in customFields
+   */
+  getValue(lead, field) {
+    if (!lead || typeof lead !== 'object') return undefined;
+
+    for (const data of [lead, lead.customFields]) {
+      if (!data || typeof data !== 'object') continue;
+
+      const value = fieldMappingService.getValue(data, field);
+      if (value !== undefined) return value;
+
+      const key = Object.keys(data).find(name => normalizeKey(name) === normalizeKey(field));
+      if (key !== undefined) return data[key];
+    }
+    return undefined;
+  }
+
+  testValue(operator, actual, expected) {
+    switch (operator) {
+      case 'equals':
+        return typeof expected === 'number' ? toNumber(actual) === expected : toText(actual) === toText(expected);
+      case 'in':
+        return expected.some(option => toText(option) === toText(actual));
+      case 'contains':
+        return toText(actual).includes(toText(expected));
+      case 'starts_with':
+        return toText(actual).startsWith(toText(expected));
+      case 'ends_with':
+        return toText(actual).endsWith(toText(expected));
+      case 'matches':
+        return new RegExp(expected, 'i').test(String(actual));
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte': {
+        const number = toNumber(actual);
+        if (number === null) return false;
+        if (operator === 'gt') return number > expected;
+        if (operator === 'gte') return number >= expected;
+        if (operator === 'lt') return number < expected;
+        return number <= expected;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Whether one condition holds; a field with several values (multiple choice answers) holds when any value does
+   * @returns {Object} { matched, actual }
+   */
+  testCondition(condition, lead) {
+    const actual = this.getValue(lead, condition.field);
+    const operator = NEGATIONS[condition.operator] || condition.operator;
+
+    let matched;
+    if (operator === 'exists') {
+      matched = !isEmpty(actual);
+    } else {
+      const values = (Array.isArray(actual) ? actual : [actual]).filter(value => !isEmpty(value));
+      matched = values.some(value => this.testValue(operator, value, condition.value));
+    }
+
+    return {
+      matched: NEGATIONS[condition.operator] ? !matched : matched,
+      actual: actual === undefined ? null : actual
+    };
+  }
+
+  /**
+   * Whether a rule covers a lead's source and integration
+   */
+  appliesTo(rule, { source, integrationId } = {}) {
+    if (rule.sources?.length > 0 && !rule.sources.includes(source)) return false;
+    if (rule.integrationIds?.length > 0 && !rule.integrationIds.includes(String(integrationId))) return false;
+    return true;
+  }
+
+  /**
+   * Evaluate a rule's conditions; a rule without conditions matches every lead it applies to
+   * @returns {Object} { matched, conditions: [{ field, operator, value, actual, matched }] }
+   */
+  evaluate(rule, lead) {
+    const conditions = (rule.conditions || []).map(condition => ({
+      field: condition.field,
+      operator: condition.operator,
+      value: condition.value,
+      ...this.testCondition(condition, lead)
+    }));
+
+    const matched = conditions.length === 0 ||
+      (rule.match === 'any' ? conditions.some(c => c.matched) : conditions.every(c => c.matched));
+
+    return { matched, conditions };
+  }
+
+  /**
+   * First rule that applies to the lead and matches it
+   * @param {Array} rules - In the order they are tried
+   * @param {Object} lead - Lead fields
+   * @param {Object} target - { source, integrationId }
+   */
+  match(rules, lead, target) {
+    return rules.find(rule => this.appliesTo(rule, target) && this.evaluate(rule, lead).matched) || null;
+  }
+
+  /**
+   * Rule that routes an assignment, or null to use the integration's settings
+   * @param {Object} context - Assignment context: { organizationId, locator, lead } for a new lead,
+   *   or { organizationId, ruleId } when a queued lead is retried
+   */
+  async resolve({ organizationId, locator, lead, ruleId } = {}) {
+    if (!organizationId || (!lead && !ruleId)) return null;
+
+    try {
+      const rules = await this.getOrganizationRules(organizationId);
+      if (rules.length === 0) return null;
+
+      // A queued lead keeps the rule it was routed by while that rule exists
+      if (ruleId) {
+        return rules.find(rule => String(rule._id) === String(ruleId)) || null;
+      }
+
+      return this.match(rules, lead, { source: locator?.source, integrationId: locator?.integrationId });
+    } catch (error) {
+      logger.error('Failed to evaluate routing rules:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate a sample lead without assigning it
+   * @param {Object} options - { organizationId, source, integrationId, lead, rules? }; without
+   *   `rules` the saved rules are used, disabled ones included but never matched
+   * @returns {Promise<Object>} { matchedRule, rules: [{ ruleId, name, enabled, applies, matched, conditions }] }
+   */
+  async dryRun({ organizationId, source, integrationId, lead, rules }) {
+    const candidates = Array.isArray(rules)
+      ? rules.map((rule, index) => ({ priority: index, enabled: true, ...rule }))
+      : await this.listRules(organizationId);
+
+    let matchedRule = null;
+    const results = candidates.map(rule => {
+      const enabled = rule.enabled !== false;
+      const applies = this.appliesTo(rule, { source, integrationId });
+      const { matched, conditions } = this.evaluate(rule, lead);
+
+      if (!matchedRule && enabled && applies && matched) {
+        matchedRule = rule;
+      }
+
+      return {
+        ruleId: rule._id || null,
+        name: rule.name,
+        enabled,
+        applies,
+        matched: enabled && applies && matched,
+        conditions
+      };
+    });
+
+    return { matchedRule, rules: results };
+  }
+
+  /**
+   * @returns {string[]} Validation errors, empty when the rule is valid
+   */
+  validateRule(rule) {
+    if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+
+    const errors = [];
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+      errors.push('name is required');
+    }
+    if (rule.match !== undefined && !['all', 'any'].includes(rule.match)) {
+      errors.push('match must be all or any');
+    }
+    if (rule.sources !== undefined &&
+      (!Array.isArray(rule.sources) || rule.sources.some(source => !ROUTING_SOURCES.includes(source)))) {
+      errors.push(`sources must be a list of: ${ROUTING_SOURCES.join(', ')}`);
+    }
+    if (rule.integrationIds !== undefined &&
+      (!Array.isArray(rule.integrationIds) || rule.integrationIds.some(id => typeof id !== 'string' || !id))) {
+      errors.push('integrationIds must be an array of integration IDs');
+    }
+    if (rule.algorithm !== undefined && !ASSIGNMENT_ALGORITHMS.includes(rule.algorithm)) {
+      errors.push(`algorithm must be one of: ${ASSIGNMENT_ALGORITHMS.join(', ')}`);
+    }
+
+    if (!Array.isArray(rule.assignToUsers) || rule.assignToUsers.length === 0 ||
+      rule.assignToUsers.some(user => !user || !user.userId ||
+        (user.weight !== undefined && (!Number.isInteger(user.weight) || user.weight < 1 || user.weight > 10)))) {
+      errors.push('assignToUsers must list at least one { userId, weight (1-10) }');
+    }
+
+    if (rule.conditions !== undefined && !Array.isArray(rule.conditions)) {
+      errors.push('conditions must be an array');
+      return errors;
+    }
+
+    (rule.conditions || []).forEach((condition, index) => {
+      const label = `conditions[${index}]`;
+      if (!condition || typeof condition !== 'object') {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      if (typeof condition.field !== 'string' || !condition.field.trim()) {
+        errors.push(`${label}.field is required`);
+      }
+      if (!ROUTING_OPERATORS.includes(condition.operator)) {
+        errors.push(`${label}.operator must be one of: ${ROUTING_OPERATORS.join(', ')}`);
+        return;
+      }
+
+      const { operator, value } = condition;
+      if (LIST_OPERATORS.includes(operator)) {
+        if (!Array.isArray(value) || value.length === 0 || value.some(option => isEmpty(option) || typeof option === 'object')) {
+          errors.push(`${label}.value must be a non-empty list for ${operator}`);
+        }
+      } else if (NUMBER_OPERATORS.includes(operator)) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          errors.push(`${label}.value must be a number for ${operator}`);
+        }
+      } else if (operator === 'matches') {
+        if (typeof value !== 'string' || !value || value.length > MAX_PATTERN_LENGTH) {
+          errors.push(`${label}.value must be a regular expression of at most ${MAX_PATTERN_LENGTH} characters`);
+        } else {
+          try {
+            new RegExp(value, 'i');
+          } catch (error) {
+            errors.push(`${label}.value is not a valid regular expression: ${error.message}`);
+          }
+        }
+      } else if (!PRESENCE_OPERATORS.includes(operator) && (isEmpty(value) || typeof value === 'object')) {
+        errors.push(`${label}.value is required for ${operator}`);
+      }
+    });
+
+    return errors;
+  }
+
+  // Only the rule's own fields; anything else in a request body is ignored
+  toRuleFields({ name, enabled, sources, integrationIds, match, conditions, algorithm, assignToUsers }) {
+    const fields = { name, enabled, sources, integrationIds, match, algorithm };
+    if (conditions) {
+      fields.conditions = conditions.map(({ field, operator, value }) => ({ field: field.trim(), operator, value }));
+    }
+    if (assignToUsers) {
+      fields.assignToUsers = assignToUsers.map(({ userId, weight, isActive }) => ({
+        userId: String(userId),
+        weight: weight || 1,
+        isActive: isActive !== false
+      }));
+    }
+
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+    return fields;
+  }
+
+  async listRules(organizationId) {
+    return RoutingRule.find({ organizationId }).sort({ priority: 1, createdAt: 1 }).lean();
+  }
+
+  async getRule(organizationId, id) {
+    return RoutingRule.findOne({ _id: id, organizationId }).lean();
+  }
+
+  // New rules are tried last
+  async createRule(organizationId, rule, userId) {
+    const last = await RoutingRule.findOne({ organizationId }).sort({ priority: -1 }).select('priority').lean();
+
+    const created = await RoutingRule.create({
+      ...this.toRuleFields(rule),
+      organizationId,
+      priority: last ? last.priority + 1 : 0,
+      createdBy: userId ? String(userId) : undefined,
+      updatedBy: userId ? String(userId) : undefined
+    });
+    this.rulesCache.delete(String(organizationId));
+
+    return created;
+  }
+
+  async updateRule(organizationId, id, rule, userId) {
+    const updated = await RoutingRule.findOneAndUpdate(
+      { _id: id, organizationId },
+      { $set: { ...this.toRuleFields(rule), updatedBy: userId ? String(userId) : undefined } },
+      { new: true, runValidators: true }
+    );
+    this.rulesCache.delete(String(organizationId));
+
+    return updated;
+  }
+
+  async deleteRule(organizationId, id) {
+    const deleted = await RoutingRule.findOneAndDelete({ _id: id, organizationId });
+    this.rulesCache.delete(String(organizationId));
+
+    return deleted;
+  }
+
+  /**
+   * Try rules in the given order; rules left out keep their place after them
+   * @param {string[]} ruleIds
+   */
+  async reorder(organizationId, ruleIds) {
+    const rules = await this.listRules(organizationId);
+    const known = new Set(rules.map(rule => String(rule._id)));
+    const ordered = [...new Set(ruleIds.map(String))].filter(id => known.has(id));
+    const rest = rules.map(rule => String(rule._id)).filter(id => !ordered.includes(id));
+
+    const operations = [...ordered, ...rest].map((id, priority) => ({
+      updateOne: { filter: { _id: id, organizationId }, update: { $set: { priority } } }
+    }));
+    if (operations.length > 0) {
+      await RoutingRule.bulkWrite(operations);
+    }
+    this.rulesCache.delete(String(organizationId));
+
+    return this.listRules(organizationId);
+  }
+}
+
+module.exports = new RoutingRulesService();
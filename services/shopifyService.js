@@ -2,6 +2,17 @@ const axios = require('axios');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 const ShopifyIntegration = require('../models/ShopifyIntegration');
+const spamDetectionService = require('./spamDetection.service');
+const quarantineService = require('./quarantine.service');
+const outboundWebhookService = require('./outboundWebhook.service');
+const fieldMappingService = require('./fieldMapping.service');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const leadDedupeService = require('./leadDedupe.service');
+const idempotencyService = require('./idempotency.service');
+const assignmentEngine = require('./assignmentEngine.service');
+const assignmentQueue = require('./assignmentQueue.service');
+const assignmentLog = require('./assignmentLog.service');
+const slaWatcher = require('./slaWatcher.service');
 
 class ShopifyService {
   constructor() {
@@ -10,6 +21,7 @@ class ShopifyService {
 
   // Main webhook handler - entry point for webhook routes
   async handleWebhook(payload, headers = {}) {
+    let ledger = null;
     try {
       logger.info('Shopify webhook received:', {
         hasPayload: !!payload,
@@ -22,20 +34,52 @@ class ShopifyService {
       
       // Extract topic from headers (Shopify sends this as X-Shopify-Topic)
       const topic = headers['x-shopify-topic'] || headers['X-Shopify-Topic'] || 'unknown';
-      
+
+      // Shopify redelivers a webhook with the same X-Shopify-Webhook-Id until it is acknowledged
+      const webhookId = headers['x-shopify-webhook-id'] || headers['X-Shopify-Webhook-Id'];
+      ledger = await idempotencyService.claim('shopify', webhookId, { organizationId });
+      if (!ledger.proceed) {
+        return this.repeatedWebhookResult(ledger, topic);
+      }
+
+      let result;
       if (organizationId) {
         // Process with specific organization context
-        return await this.processWebhook(organizationId, topic, payload, headers);
+        result = await this.processWebhook(organizationId, topic, payload, headers);
       } else {
         // Handle as generic webhook (backward compatibility)
-        return await this.handleGenericWebhook(payload, topic);
+        result = await this.handleGenericWebhook(payload, topic);
       }
+
+      if (result?.success === false) {
+        await idempotencyService.release(ledger, new Error(result.error || 'Shopify webhook processing failed'));
+      } else {
+        await idempotencyService.complete(ledger, result?.leadId, result?.blocked ? 'blocked' : 'created');
+      }
+
+      return result;
     } catch (error) {
+      await idempotencyService.release(ledger, error);
       logger.error('Webhook handling error:', error);
       throw error;
     }
   }
 
+  // Answer for a redelivered webhook: the lead created by the first delivery
+  repeatedWebhookResult(ledger, topic) {
+    if (ledger.inProgress) {
+      return { success: false, error: 'Webhook is already being processed', type: topic };
+    }
+
+    return {
+      success: true,
+      duplicate: true,
+      type: topic,
+      leadId: ledger.leadId,
+      action: 'already_processed'
+    };
+  }
+
   // Main webhook processor with organization context and assignment settings
   async processWebhook(organizationId, topic, payload, headers) {
     try {
@@ -109,10 +153,12 @@ class ShopifyService {
   async processOrderWebhook(payload, integration, eventType) {
     try {
       const leadType = this.determineOrderLeadType(payload, eventType);
-      const assignedTo = this.getAssignedUser(integration);
+      const assignment = await this.getAssignment(integration, payload);
+      const assignedTo = assignment?.user?.userId || null;
       const leadData = this.createLeadFromOrder(payload, leadType, integration, assignedTo);
       
-      const result = await this.createOrUpdateLead(leadData);
+      const result = await this.createLeadWithSpamCheck(leadData, integration, eventType, payload);
+      await this.trackAssignment(assignment, result);
       
       logger.info('Order webhook processed successfully:', {
         eventType,
@@ -124,7 +170,8 @@ class ShopifyService {
         success: true, 
         type: eventType,
         leadId: result.data?._id,
-        assignedTo: assignedTo
+        assignedTo: assignedTo,
+        blocked: !!result.blocked
       };
     } catch (error) {
       logger.error('Error processing order webhook:', error);
@@ -136,10 +183,12 @@ class ShopifyService {
   async processCustomerWebhook(payload, integration, eventType) {
     try {
       const leadType = eventType === 'customers/create' ? 'new-customer' : 'updated-customer';
-      const assignedTo = this.getAssignedUser(integration);
+      const assignment = await this.getAssignment(integration, payload);
+      const assignedTo = assignment?.user?.userId || null;
       const leadData = this.createLeadFromCustomer(payload, leadType, integration, assignedTo);
       
-      const result = await this.createOrUpdateLead(leadData);
+      const result = await this.createLeadWithSpamCheck(leadData, integration, eventType, payload);
+      await this.trackAssignment(assignment, result);
       
       logger.info('Customer webhook processed successfully:', {
         eventType,
@@ -151,7 +200,8 @@ class ShopifyService {
         success: true, 
         type: eventType,
         leadId: result.data?._id,
-        assignedTo: assignedTo
+        assignedTo: assignedTo,
+        blocked: !!result.blocked
       };
     } catch (error) {
       logger.error('Error processing customer webhook:', error);
@@ -163,10 +213,12 @@ class ShopifyService {
   async processCheckoutWebhook(payload, integration, eventType) {
     try {
       const leadType = payload.abandoned_checkout_url ? 'abandoned-cart' : 'cart-recovery';
-      const assignedTo = this.getAssignedUser(integration);
+      const assignment = await this.getAssignment(integration, payload);
+      const assignedTo = assignment?.user?.userId || null;
       const leadData = this.createLeadFromCheckout(payload, leadType, integration, assignedTo);
       
-      const result = await this.createOrUpdateLead(leadData);
+      const result = await this.createLeadWithSpamCheck(leadData, integration, eventType, payload);
+      await this.trackAssignment(assignment, result);
       
       logger.info('Checkout webhook processed successfully:', {
         eventType,
@@ -178,7 +230,8 @@ class ShopifyService {
         success: true, 
         type: eventType,
         leadId: result.data?._id,
-        assignedTo: assignedTo
+        assignedTo: assignedTo,
+        blocked: !!result.blocked
       };
     } catch (error) {
       logger.error('Error processing checkout webhook:', error);
@@ -186,6 +239,85 @@ class ShopifyService {
     }
   }
 
+  // Score a lead with the shared spam engine before sending it to the CRM
+  async createLeadWithSpamCheck(leadData, integration, eventType, payload) {
+    // Field mapping rules configured for the store override the built-in order/customer mapping
+    const mapped = await fieldMappingService.mapLead('shopify', payload, {
+      organizationId: integration.organizationId,
+      integrationId: integration._id,
+      formId: eventType,
+      phoneDefaultCountry: integration.phoneDefaultCountry
+    });
+    if (mapped) {
+      const { customFields, ...fields } = mapped;
+      Object.assign(leadData, fields);
+      leadData.customFields = { ...leadData.customFields, ...customFields };
+    }
+
+    Object.assign(leadData, await phoneNormalizationService.normalizeLead(leadData, {
+      organizationId: integration.organizationId,
+      defaultCountry: integration.phoneDefaultCountry
+    }));
+
+    const spamLead = {
+      name: leadData.name,
+      email: leadData.email,
+      phone: leadData.phone,
+      fields: {}
+    };
+    const spamContext = {
+      organizationId: integration.organizationId,
+      source: 'shopify',
+      ip: payload.browser_ip || payload.client_details?.browser_ip,
+      formId: eventType
+    };
+
+    const spamResult = await spamDetectionService.checkLead(spamLead, spamContext);
+    spamDetectionService.logDetection(spamLead, spamResult, spamContext);
+
+    if (spamResult.blocked) {
+      await quarantineService.quarantineSpam(spamResult, {
+        organizationId: integration.organizationId,
+        source: 'shopify',
+        integrationId: integration._id,
+        formId: eventType,
+        externalId: payload.id ? `${eventType.split('/')[0]}_${payload.id}` : undefined,
+        lead: leadData,
+        rawPayload: payload
+      });
+      return { blocked: true, spamAction: spamResult.action };
+    }
+
+    if (spamResult.isSpam) {
+      leadData.metadata = { ...leadData.metadata, spamCheck: spamDetectionService.toLeadMetadata(spamResult) };
+    }
+
+    const dedupe = await leadDedupeService.apply(leadData, {
+      source: 'shopify',
+      integration,
+      formId: eventType,
+      externalId: payload.id ? `${eventType.split('/')[0]}_${payload.id}` : undefined
+    });
+    if (dedupe.handled) {
+      return { success: true, duplicate: true, action: dedupe.action, data: { _id: dedupe.leadId } };
+    }
+    if (dedupe.metadata) {
+      leadData.metadata = { ...leadData.metadata, dedupe: dedupe.metadata };
+    }
+
+    const result = await this.createOrUpdateLead(leadData);
+
+    if (result?.data?._id) {
+      outboundWebhookService.leadCreated(integration.organizationId, result.data._id, leadData, {
+        integrationId: String(integration._id),
+        formId: eventType,
+        externalId: payload.id ? `${eventType.split('/')[0]}_${payload.id}` : undefined
+      });
+    }
+
+    return result;
+  }
+
   // Determine lead type for orders
   determineOrderLeadType(orderData, eventType) {
     if (eventType === 'orders/paid') return 'confirmed-sale';
@@ -279,7 +411,8 @@ class ShopifyService {
     logger.info(`Processing generic webhook for event type: ${eventType}`);
     
     // Get assignment from integration settings
-    const assignedTo = this.getAssignedUser(integration);
+    const assignment = await this.getAssignment(integration, payload);
+    const assignedTo = assignment?.user?.userId || null;
     
     // Try to extract meaningful data from any payload structure
     let leadData = null;
@@ -307,7 +440,8 @@ class ShopifyService {
     }
     
     if (leadData) {
-      const result = await this.createOrUpdateLead(leadData);
+      const result = await this.createLeadWithSpamCheck(leadData, integration, eventType, payload);
+      await this.trackAssignment(assignment, result);
       logger.info(`Generic webhook processed as ${leadType} event:`, {
         eventType,
         leadId: result.data?._id,
@@ -319,7 +453,8 @@ class ShopifyService {
         type: eventType,
         leadType: leadType,
         leadId: result.data?._id,
-        assignedTo: assignedTo
+        assignedTo: assignedTo,
+        blocked: !!result.blocked
       };
     } else {
       logger.info(`Generic webhook received but no lead created:`, {
@@ -437,97 +572,43 @@ class ShopifyService {
     return baseProperties;
   }
 
-  // Get assigned user based on integration assignment settings
-  getAssignedUser(integration) {
-    if (!integration || !integration.assignmentSettings || !integration.assignmentSettings.enabled) {
+  // Get the assignment for a new lead from the integration's settings;
+  // outside working hours it may be deferred to the next shift (see trackAssignment).
+  // Routing rules test the webhook payload (order, customer or checkout fields, e.g. total_price)
+  async getAssignment(integration, payload) {
+    if (!integration?._id || !integration.assignmentSettings) {
       return null; // No assignment configured
     }
 
-    const { mode, assignToUsers, algorithm } = integration.assignmentSettings;
+    const result = await assignmentEngine.nextForSettings(
+      assignmentEngine.scopeFor('shopify', integration._id),
+      integration.assignmentSettings,
+      {
+        organizationId: integration.organizationId,
+        locator: { source: 'shopify', integrationId: String(integration._id) },
+        lead: payload
+      }
+    );
+    if (!result || result.deferred) return result;
 
-    switch (mode) {
-      case 'specific':
-        // Use assignToUsers array - pick first user for now
-        if (assignToUsers && assignToUsers.length > 0) {
-          const user = assignToUsers[0];
-          return user.userId ? user.userId.toString() : null;
-        }
-        return null;
-      
-      case 'round-robin':
-        // Implement round-robin assignment
-        return this.getRoundRobinUser(integration);
-      
-      case 'weighted-round-robin':
-        // Implement weighted round-robin assignment
-        return this.getWeightedRoundRobinUser(integration);
-      
-      case 'auto':
-        // No specific assignment - let system decide
-        return null;
-      
-      case 'manual':
-        // Manual assignment - no auto assignment
-        return null;
-        
-      default:
-        // Default to first user from assignToUsers array
-        if (assignToUsers && assignToUsers.length > 0) {
-          const user = assignToUsers[0];
-          return user.userId ? user.userId.toString() : null;
-        }
-        return null;
-    }
+    await assignmentEngine.recordLastAssignment(ShopifyIntegration, { _id: integration._id }, 'assignmentSettings', result);
+    return result;
   }
 
-  // Round-robin assignment
-  getRoundRobinUser(integration) {
-    const { assignToUsers } = integration.assignmentSettings;
-    if (!assignToUsers || assignToUsers.length === 0) return null;
-
-    // Simple round-robin: cycle through users
-    const currentIndex = (integration.assignmentSettings.lastAssignmentIndex || 0) % assignToUsers.length;
-    const selectedUser = assignToUsers[currentIndex];
-    
-    // Update last assignment index for next time (don't await to avoid blocking)
-    this.updateLastAssignmentIndex(integration._id, (currentIndex + 1) % assignToUsers.length);
-    
-    return selectedUser.userId ? selectedUser.userId.toString() : null;
+  // Get assigned user based on integration assignment settings
+  async getAssignedUser(integration) {
+    const assignment = await this.getAssignment(integration);
+    return assignment?.user?.userId || null;
   }
 
-  // Weighted round-robin assignment
-  getWeightedRoundRobinUser(integration) {
-    const { assignToUsers } = integration.assignmentSettings;
-    if (!assignToUsers || assignToUsers.length === 0) return null;
-
-    // For weighted round-robin, we need to consider user weights
-    // Simple implementation: repeat users based on their weight
-    const weightedUsers = [];
-    assignToUsers.forEach(user => {
-      const weight = user.weight || 1;
-      for (let i = 0; i < weight; i++) {
-        weightedUsers.push(user);
-      }
-    });
+  // Log the assignment of a created lead and watch its SLA; one created outside working hours goes to the assignment queue
+  async trackAssignment(assignment, result) {
+    if (!assignment || !result || result.blocked || result.duplicate) return;
 
-    const currentIndex = (integration.assignmentSettings.lastAssignmentIndex || 0) % weightedUsers.length;
-    const selectedUser = weightedUsers[currentIndex];
-    
-    // Update last assignment index for next time (don't await to avoid blocking)
-    this.updateLastAssignmentIndex(integration._id, (currentIndex + 1) % weightedUsers.length);
-    
-    return selectedUser.userId ? selectedUser.userId.toString() : null;
-  }
-
-  // Update last assignment index in database (non-blocking)
-  async updateLastAssignmentIndex(integrationId, newIndex) {
-    try {
-      await ShopifyIntegration.findByIdAndUpdate(integrationId, {
-        'assignmentSettings.lastAssignmentIndex': newIndex
-      });
-    } catch (error) {
-      logger.error('Error updating last assignment index:', error);
-    }
+    const leadId = result.data?._id;
+    await assignmentQueue.defer(assignment, leadId);
+    await assignmentLog.record(assignment, leadId);
+    await slaWatcher.watch(assignment, leadId);
   }
 
   // Update webhook statistics
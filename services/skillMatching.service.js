@@ -0,0 +1,337 @@
+const mongoose = require('mongoose');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const { SKILL_FIELDS, AI_AGENT_ID_PATTERN } = require('../models/assignmentSettings');
+const routingRulesService = require('./routingRules.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Every assignment with lead data reads the skills
+const SKILLS_CACHE_TTL_MS = 60 * 1000;
+
+const SKILL_LISTS = ['languages', 'products', 'regions'];
+
+// A language match outweighs product and region together, a product match a region match
+const SCORES = { language: 4, product: 2, region: 1 };
+
+const EMPTY_SKILLS = {
+  enabled: false,
+  users: [],
+  detectLanguage: true
+};
+
+// Names and native names leads and forms give for a language
+const LANGUAGE_NAMES = {
+  english: 'en',
+  hindi: 'hi',
+  'हिन्दी': 'hi',
+  'हिंदी': 'hi',
+  tamil: 'ta',
+  'தமிழ்': 'ta',
+  telugu: 'te',
+  kannada: 'kn',
+  malayalam: 'ml',
+  marathi: 'mr',
+  bengali: 'bn',
+  bangla: 'bn',
+  gujarati: 'gu',
+  punjabi: 'pa',
+  odia: 'or',
+  urdu: 'ur'
+};
+
+// Scripts free text is told apart by; Devanagari reads as Hindi
+const SCRIPTS = [
+  { language: 'hi', pattern: /[\u0900-\u097F]/g },
+  { language: 'bn', pattern: /[\u0980-\u09FF]/g },
+  { language: 'pa', pattern: /[\u0A00-\u0A7F]/g },
+  { language: 'gu', pattern: /[\u0A80-\u0AFF]/g },
+  { language: 'or', pattern: /[\u0B00-\u0B7F]/g },
+  { language: 'ta', pattern: /[\u0B80-\u0BFF]/g },
+  { language: 'te', pattern: /[\u0C00-\u0C7F]/g },
+  { language: 'kn', pattern: /[\u0C80-\u0CFF]/g },
+  { language: 'ml', pattern: /[\u0D00-\u0D7F]/g },
+  { language: 'en', pattern: /[A-Za-z]/g }
+];
+
+// Letters of one script needed before it counts as the lead's language
+const MIN_DETECTED_LETTERS = 6;
+
+// Answers that are contact details, IDs or tracking rather than free text
+const NOT_FREE_TEXT = /name|email|phone|mobile|tel|url|utm|id$|date|time|campaign|form/i;
+
+const toText = (value) => (value === undefined || value === null || typeof value === 'object'
+  ? null
+  : String(value).trim().toLowerCase() || null);
+
+/**
+ * Skill and language matching for assignment.
+ *
+ * Telecallers are tagged per organization (OrganizationSettings.skills) with
+ * the languages they speak, product lines and regions. A lead's language
+ * comes from a language field, else the form's language (assignment settings
+ * `language`), else the script of its free-text answers; product and region
+ * come from their fields. The engine distributes among the users matching
+ * the most of these - language first - and falls back to every candidate
+ * when nobody matches.
+ */
+class SkillMatchingService {
+  constructor() {
+    this.skillsCache = new Map();
+  }
+
+  async getOrganizationSkills(organizationId) {
+    if (!organizationId || !isConnected() || !mongoose.Types.ObjectId.isValid(organizationId)) {
+      return EMPTY_SKILLS;
+    }
+
+    const key = String(organizationId);
+    const cached = this.skillsCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.skills;
+    }
+
+    try {
+      const settings = await OrganizationSettings.findOne({ organizationId }).select('skills').lean();
+      const skills = { ...EMPTY_SKILLS, ...(settings?.skills || {}) };
+      this.skillsCache.set(key, { skills, expiresAt: Date.now() + SKILLS_CACHE_TTL_MS });
+      return skills;
+    } catch (error) {
+      // Unmatched rather than blocking assignment
+      logger.error('Failed to load organization skills:', error.message);
+      return EMPTY_SKILLS;
+    }
+  }
+
+  /**
+   * ISO 639-1 code for a code, locale ('hi_IN', 'ta-IN') or language name; null when unknown
+   */
+  normalizeLanguage(value) {
+    const text = toText(value);
+    if (!text) return null;
+    if (LANGUAGE_NAMES[text]) return LANGUAGE_NAMES[text];
+
+    const [code] = text.split(/[-_]/);
+    return /^[a-z]{2}$/.test(code) ? code : null;
+  }
+
+  fieldsFor(skills, skill) {
+    const fields = skills[`${skill}Fields`];
+    return Array.isArray(fields) && fields.length > 0 ? fields : SKILL_FIELDS[skill];
+  }
+
+  // First of the fields the lead has a value for
+  firstValue(lead, fields) {
+    for (const field of fields) {
+      const value = toText(routingRulesService.getValue(lead, field));
+      if (value) return value;
+    }
+    return null;
+  }
+
+  /**
+   * Language of the lead's free-text answers by their script: answers of three or
+   * more words, other than contact details, IDs and the skill fields themselves
+   */
+  detectLanguage(lead, skills = EMPTY_SKILLS) {
+    if (!lead || typeof lead !== 'object') return null;
+
+    const skillFields = ['language', 'product', 'region']
+      .flatMap(skill => this.fieldsFor(skills, skill))
+      .map(field => field.toLowerCase());
+    const answers = [];
+
+    [lead, lead.customFields].forEach(data => {
+      if (!data || typeof data !== 'object') return;
+
+      Object.entries(data).forEach(([key, value]) => {
+        if (typeof value !== 'string' || NOT_FREE_TEXT.test(key) || skillFields.includes(key.toLowerCase())) return;
+        if (/@|https?:\/\//.test(value) || value.trim().split(/\s+/).length < 3) return;
+        answers.push(value);
+      });
+    });
+
+    const text = answers.join(' ');
+    let best = null;
+    let bestCount = MIN_DETECTED_LETTERS - 1;
+
+    SCRIPTS.forEach(({ language, pattern }) => {
+      const count = (text.match(pattern) || []).length;
+      if (count > bestCount) {
+        best = language;
+        bestCount = count;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * What a lead is matched on
+   * @param {Object} [lead] - Lead fields (as routing rules see them)
+   * @param {Object} skills - Organization skill settings
+   * @param {string} [formLanguage] - Language of the form or site the lead came from
+   * @returns {Object} { language, languageFrom: 'field' | 'form' | 'detected', product, region }, null where unknown
+   */
+  leadAttributes(lead, skills, formLanguage) {
+    let language = lead ? this.normalizeLanguage(this.firstValue(lead, this.fieldsFor(skills, 'language'))) : null;
+    let languageFrom = language && 'field';
+
+    if (!language && this.normalizeLanguage(formLanguage)) {
+      language = this.normalizeLanguage(formLanguage);
+      languageFrom = 'form';
+    }
+    if (!language && skills.detectLanguage !== false) {
+      language = this.detectLanguage(lead, skills);
+      languageFrom = language && 'detected';
+    }
+
+    return {
+      language,
+      languageFrom: languageFrom || null,
+      product: lead ? this.firstValue(lead, this.fieldsFor(skills, 'product')) : null,
+      region: lead ? this.firstValue(lead, this.fieldsFor(skills, 'region')) : null
+    };
+  }
+
+  /**
+   * How well a user's skills fit a lead: the SCORES of the attributes they match
+   */
+  score(profile, attributes) {
+    if (!profile) return 0;
+
+    let score = 0;
+    if (attributes.language && (profile.languages || []).includes(attributes.language)) score += SCORES.language;
+    if (attributes.product && (profile.products || []).map(toText).includes(attributes.product)) score += SCORES.product;
+    if (attributes.region && (profile.regions || []).map(toText).includes(attributes.region)) score += SCORES.region;
+    return score;
+  }
+
+  /**
+   * Candidates whose skills fit the lead best. AI agents without skills of their own
+   * handle every language and product, so they stay in a match.
+   * @param {Array} users - Normalized candidates ({ userId })
+   * @param {Object} [lead] - Lead fields
+   * @param {Object} [options] - { language: the form's language, attributes: already read from the lead (queued leads) }
+   * @returns {Promise<Object|null>} { users, attributes }, or null when skill matching is off,
+   *   there is nothing to match on or nobody matches
+   */
+  async match(organizationId, users, lead, { language, attributes } = {}) {
+    if (!lead && !language && !attributes) return null;
+
+    const skills = await this.getOrganizationSkills(organizationId);
+    if (!skills.enabled) return null;
+
+    const wanted = attributes?.language || attributes?.product || attributes?.region
+      ? attributes
+      : this.leadAttributes(lead, skills, language);
+    const matched = this.bestMatch(skills, users, wanted);
+    return matched && { users: matched, attributes: wanted };
+  }
+
+  // Users with the highest score(), plus AI agents without skills; null when nobody scores
+  bestMatch(skills, users, attributes) {
+    if (users.length === 0 || (!attributes.language && !attributes.product && !attributes.region)) return null;
+
+    const profiles = new Map((skills.users || []).map(profile => [String(profile.userId), profile]));
+    const scores = users.map(user => this.score(profiles.get(String(user.userId)), attributes));
+    const best = Math.max(...scores);
+    if (best === 0) return null;
+
+    return users.filter((user, index) =>
+      scores[index] === best || (!profiles.has(String(user.userId)) && AI_AGENT_ID_PATTERN.test(user.userId)));
+  }
+
+  /**
+   * Dry run of match() for the settings page, whether or not matching is on
+   * @param {Array} [userIds] - Candidates; default every user with skills
+   * @returns {Promise<Object>} { enabled, attributes, matched: [userId] } - matched is empty when everyone would be used
+   */
+  async test(organizationId, lead, { language, userIds } = {}) {
+    const skills = await this.getSettings(organizationId);
+    const candidates = (userIds || skills.users.map(profile => profile.userId)).map(userId => ({ userId: String(userId) }));
+    const attributes = this.leadAttributes(lead, skills, language);
+    const matched = this.bestMatch(skills, candidates, attributes);
+
+    return {
+      enabled: !!skills.enabled,
+      attributes,
+      matched: matched ? matched.map(user => user.userId) : []
+    };
+  }
+
+  async getSettings(organizationId) {
+    const settings = isConnected()
+      ? await OrganizationSettings.findOne({ organizationId }).select('skills').lean()
+      : null;
+
+    return { ...EMPTY_SKILLS, ...(settings?.skills || {}) };
+  }
+
+  /**
+   * Replace the organization-wide fields that are given (enabled, languageFields, productFields,
+   * regionFields, detectLanguage)
+   */
+  async updateSettings(organizationId, settings, updatedBy) {
+    const $set = { updatedBy };
+    ['enabled', 'languageFields', 'productFields', 'regionFields', 'detectLanguage'].forEach(field => {
+      if (settings[field] !== undefined) {
+        $set[`skills.${field}`] = settings[field];
+      }
+    });
+
+    await OrganizationSettings.findOneAndUpdate(
+      { organizationId },
+      { $set },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    this.skillsCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+
+  /**
+   * Set one user's skills ({ languages, products, regions }); languages are stored as ISO 639-1 codes
+   */
+  async setUserSkills(organizationId, userId, skills, updatedBy) {
+    const entry = { userId };
+    SKILL_LISTS.forEach(list => {
+      const values = (skills[list] || [])
+        .map(value => (list === 'languages' ? this.normalizeLanguage(value) : toText(value)))
+        .filter(Boolean);
+      entry[list] = [...new Set(values)];
+    });
+
+    const result = await OrganizationSettings.updateOne(
+      { organizationId, 'skills.users.userId': userId },
+      { $set: { 'skills.users.$': entry, updatedBy } },
+      { runValidators: true }
+    );
+
+    if (result.matchedCount === 0) {
+      await OrganizationSettings.findOneAndUpdate(
+        { organizationId },
+        { $push: { 'skills.users': entry }, $set: { updatedBy } },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+    this.skillsCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+
+  /**
+   * Drop a user's skills; they then only get leads nobody matches
+   */
+  async removeUserSkills(organizationId, userId, updatedBy) {
+    await OrganizationSettings.updateOne(
+      { organizationId },
+      { $pull: { 'skills.users': { userId } }, $set: { updatedBy } }
+    );
+    this.skillsCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+}
+
+module.exports = new SkillMatchingService();
@@ -0,0 +1,427 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const LeadSla = require('../models/LeadSla');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const assignmentEngine = require('./assignmentEngine.service');
+const assigneeCapacityService = require('./assigneeCapacity.service');
+const assignmentLog = require('./assignmentLog.service');
+const leadsServiceClient = require('./leadsService.client');
+const outboundWebhookService = require('./outboundWebhook.service');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Every assignment reads the SLA settings
+const SLA_CACHE_TTL_MS = 60 * 1000;
+
+// Lead statuses that mean nobody has acted on the lead yet
+const UNTOUCHED_STATUSES = ['new'];
+
+// Lead fields the leads service stamps when someone works a lead
+const ACTIVITY_FIELDS = ['lastActivityAt', 'lastContactedAt', 'firstResponseAt'];
+
+const SLA_FIELDS = ['enabled', 'responseMinutes', 'maxHops', 'sources', 'escalateTo'];
+
+const DEFAULT_SLA = {
+  enabled: false,
+  responseMinutes: 30,
+  maxHops: 2,
+  sources: [],
+  escalateTo: []
+};
+
+/**
+ * Reassignment of leads nobody acts on in time.
+ *
+ * A lead assigned from an integration is watched for the organization's
+ * responseMinutes. When they are up the worker asks the leads service about
+ * it: a lead whose status moved on from 'new', that has activity since the
+ * assignment, or that someone else reassigned is left alone. An untouched
+ * lead goes to the next eligible user of the same integration's settings -
+ * previous assignees excluded, shifts and caps respected - and is watched
+ * again. After maxHops reassignments, or when nobody else can take it, the
+ * lead is escalated to the organization's managers and lead.escalated is sent.
+ *
+ * Entries are claimed with a lease like queued assignments, so several
+ * instances never move the same lead.
+ */
+class SlaWatcherService {
+  constructor() {
+    this.pollIntervalMs = parseInt(process.env.SLA_WATCHER_INTERVAL_MS, 10) || 60 * 1000;
+    this.batchSize = parseInt(process.env.SLA_WATCHER_BATCH_SIZE, 10) || 20;
+    this.maxAttempts = parseInt(process.env.SLA_WATCHER_MAX_ATTEMPTS, 10) || 5;
+    // Failed checks wait attempts x this long before the next try
+    this.retryDelayMs = 5 * 60 * 1000;
+    // An entry still locked after this long (instance died mid-run) can be claimed again
+    this.lockTimeoutMs = 5 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.slaCache = new Map();
+
+    this.timer = null;
+    this.ticking = false;
+    this.rerun = false;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`SLA watcher started (${this.workerId}, every ${this.pollIntervalMs}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('SLA watcher stopped');
+  }
+
+  async tick() {
+    if (!isConnected()) return;
+    if (this.ticking) {
+      this.rerun = true;
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const entry = await this.claimNext();
+        if (!entry) break;
+        await this.process(entry);
+      }
+    } catch (error) {
+      logger.error('SLA watcher error:', error.message);
+    } finally {
+      this.ticking = false;
+      if (this.rerun && this.timer) {
+        this.rerun = false;
+        setImmediate(() => this.tick());
+      }
+    }
+  }
+
+  async getOrganizationSla(organizationId) {
+    if (!organizationId || !isConnected() || !mongoose.Types.ObjectId.isValid(organizationId)) {
+      return DEFAULT_SLA;
+    }
+
+    const key = String(organizationId);
+    const cached = this.slaCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.sla;
+    }
+
+    try {
+      const settings = await OrganizationSettings.findOne({ organizationId }).select('sla').lean();
+      const sla = { ...DEFAULT_SLA, ...(settings?.sla || {}) };
+      this.slaCache.set(key, { sla, expiresAt: Date.now() + SLA_CACHE_TTL_MS });
+      return sla;
+    } catch (error) {
+      // Unwatched rather than blocking assignment
+      logger.error('Failed to load organization SLA settings:', error.message);
+      return DEFAULT_SLA;
+    }
+  }
+
+  appliesTo(sla, source) {
+    return !!sla.enabled && (!sla.sources?.length || sla.sources.includes(source));
+  }
+
+  dueAt(sla, from) {
+    return new Date(from.getTime() + sla.responseMinutes * 60 * 1000);
+  }
+
+  /**
+   * Start the clock on a lead assigned by the engine
+   * @param {Object} result - nextAvailable() result; deferred results are not watched, nor
+   *   AI agents' first touches - the human the lead is handed off to is
+   * @param {string} leadId - CRM lead ID
+   * @returns {Promise<Object|null>} The watch, or null when the lead is not watched
+   */
+  async watch(result, leadId) {
+    if (!result?.user || result.deferred || result.handOffAt || !leadId || !result.organizationId || !result.locator) return null;
+    if (!isConnected()) return null;
+
+    try {
+      const sla = await this.getOrganizationSla(result.organizationId);
+      if (!this.appliesTo(sla, result.locator.source)) return null;
+
+      const now = new Date();
+      return await LeadSla.findOneAndUpdate(
+        { leadId: String(leadId) },
+        {
+          $set: {
+            organizationId: result.organizationId,
+            scope: result.settingsScope || result.scope,
+            locator: result.locator,
+            ruleId: result.rule?.id || null,
+            assignedTo: String(result.user.userId),
+            assignedAt: now,
+            dueAt: this.dueAt(sla, now),
+            status: 'watching',
+            attempts: 0
+          },
+          $unset: { lastError: 1, lockedBy: 1, lockedUntil: 1 }
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to watch lead SLA:', { leadId, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Stop watching a lead its assignee has worked
+   * @returns {Promise<boolean>} Whether a watch was stopped
+   */
+  async markWorked(organizationId, leadId) {
+    if (!isConnected()) return false;
+
+    const result = await LeadSla.updateOne(
+      { organizationId, leadId: String(leadId), status: 'watching' },
+      { $set: { status: 'worked' } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Atomically lease the next overdue lead so concurrent instances never move the same one
+  async claimNext() {
+    const now = new Date();
+
+    return LeadSla.findOneAndUpdate(
+      {
+        status: { $in: ['watching', 'processing'] },
+        dueAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          status: 'processing',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.lockTimeoutMs)
+        }
+      },
+      { sort: { dueAt: 1 }, new: true }
+    );
+  }
+
+  // Save the outcome and hand the lease back
+  async release(entry, update) {
+    await LeadSla.updateOne(
+      { _id: entry._id, lockedBy: this.workerId },
+      {
+        $set: update,
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+  }
+
+  /**
+   * What became of a watched lead
+   * @param {Object|null} lead - Lead from the leads service
+   * @returns {string} missing, moved (someone else reassigned it), worked or untouched
+   */
+  leadState(lead, entry) {
+    if (!lead) return 'missing';
+
+    const assignee = lead.assignedTo?._id || lead.assignedTo;
+    if (assignee && String(assignee) !== entry.assignedTo) return 'moved';
+
+    if (lead.status && !UNTOUCHED_STATUSES.includes(String(lead.status).toLowerCase())) return 'worked';
+
+    const since = new Date(entry.assignedAt).getTime();
+    const active = ACTIVITY_FIELDS.some(field => lead[field] && new Date(lead[field]).getTime() > since);
+    return active ? 'worked' : 'untouched';
+  }
+
+  /**
+   * Check one overdue lead
+   * @returns {Promise<string>} The entry's new status
+   */
+  async process(entry) {
+    const organizationId = String(entry.organizationId);
+
+    try {
+      const sla = await this.getOrganizationSla(organizationId);
+      if (!this.appliesTo(sla, entry.locator.source)) {
+        await this.release(entry, { status: 'closed', lastError: 'SLA no longer applies' });
+        return 'closed';
+      }
+
+      const lead = await leadsServiceClient.getLead(entry.leadId, organizationId);
+      const state = this.leadState(lead, entry);
+      if (state !== 'untouched') {
+        const status = state === 'worked' ? 'worked' : 'closed';
+        await this.release(entry, { status, lastError: null });
+        logger.info('SLA watch ended:', { leadId: entry.leadId, state });
+        return status;
+      }
+
+      if (entry.hops < sla.maxHops && await this.reassign(entry, sla)) {
+        return 'watching';
+      }
+
+      await this.escalate(entry, sla);
+      return 'escalated';
+    } catch (error) {
+      const attempts = (entry.attempts || 0) + 1;
+      const status = attempts >= this.maxAttempts ? 'failed' : 'watching';
+
+      logger.error(`SLA check failed for lead ${entry.leadId}:`, error.message);
+
+      await this.release(entry, {
+        status,
+        attempts,
+        lastError: error.message,
+        dueAt: new Date(Date.now() + this.retryDelayMs * attempts)
+      });
+      return status;
+    }
+  }
+
+  /**
+   * Hand an untouched lead to the next eligible user of the settings it was assigned from
+   * @returns {Promise<Object|null>} The engine result, or null when nobody else can take it now
+   */
+  async reassign(entry, sla) {
+    const assignmentQueue = require('./assignmentQueue.service');
+    const formAssignmentService = require('./formAssignmentService');
+    const organizationId = String(entry.organizationId);
+    const previousAssignees = [...(entry.previousAssignees || []), entry.assignedTo];
+
+    const settings = await assignmentQueue.settingsFor(entry.locator);
+    const result = settings && await assignmentEngine.nextForSettings(entry.scope, settings, {
+      organizationId,
+      locator: entry.locator,
+      ruleId: entry.ruleId,
+      exclude: previousAssignees
+    });
+
+    // Nobody else on shift or under their caps: escalate rather than wait
+    if (!result?.user) return null;
+
+    const response = await formAssignmentService.assignLeadToUserViaService(entry.leadId, result.user.userId, organizationId);
+    if (!response.success) {
+      await assigneeCapacityService.release(organizationId, result.user.userId);
+      throw new Error(response.error || 'Lead reassignment failed');
+    }
+
+    // The lead no longer counts against the previous assignee's open cap
+    await assigneeCapacityService.release(organizationId, entry.assignedTo, entry.leadId);
+    await assignmentQueue.recordAssignment(entry.locator, result);
+    await assignmentLog.record(result, entry.leadId, { reason: 'sla' });
+
+    const now = new Date();
+    await this.release(entry, {
+      status: 'watching',
+      assignedTo: String(result.user.userId),
+      assignedAt: now,
+      dueAt: this.dueAt(sla, now),
+      previousAssignees,
+      hops: (entry.hops || 0) + 1,
+      attempts: 0,
+      lastError: null
+    });
+
+    logger.info('Untouched lead reassigned:', {
+      leadId: entry.leadId,
+      from: entry.assignedTo,
+      to: result.user.userId,
+      hop: (entry.hops || 0) + 1
+    });
+    return result;
+  }
+
+  /**
+   * Hand the lead to the next of the organization's managers, in turn, and send lead.escalated.
+   * Without managers the lead stays where it is and only the event is sent.
+   */
+  async escalate(entry, sla) {
+    const formAssignmentService = require('./formAssignmentService');
+    const organizationId = String(entry.organizationId);
+    const managers = assignmentEngine.normalizeUsers((sla.escalateTo || []).map(userId => ({ userId })))
+      .filter(user => user.userId !== entry.assignedTo);
+
+    let escalatedTo = null;
+    if (managers.length > 0) {
+      const result = await assignmentEngine.next(assignmentEngine.scopeFor('sla-escalation', organizationId), managers, 'round-robin');
+      const response = await formAssignmentService.assignLeadToUserViaService(entry.leadId, result.user.userId, organizationId);
+      if (!response.success) {
+        throw new Error(response.error || 'Lead escalation failed');
+      }
+
+      escalatedTo = result.user.userId;
+      await assigneeCapacityService.release(organizationId, entry.assignedTo, entry.leadId);
+      await assignmentLog.record({ ...result, organizationId, locator: entry.locator }, entry.leadId, { reason: 'sla-escalation' });
+    }
+
+    outboundWebhookService.emit('lead.escalated', organizationId, {
+      leadId: entry.leadId,
+      source: entry.locator.source,
+      integrationId: entry.locator.integrationId,
+      formId: entry.locator.formId,
+      escalatedTo,
+      untouchedBy: [...(entry.previousAssignees || []), entry.assignedTo],
+      hops: entry.hops || 0
+    });
+
+    await this.release(entry, {
+      status: 'escalated',
+      escalatedTo,
+      ...(escalatedTo && { assignedTo: escalatedTo, assignedAt: new Date() }),
+      lastError: null
+    });
+
+    logger.warn('Untouched lead escalated:', { leadId: entry.leadId, escalatedTo, hops: entry.hops || 0 });
+  }
+
+  /**
+   * Watched leads of an organization, soonest due first
+   */
+  async list(organizationId, { status, limit = 100 } = {}) {
+    const filter = { organizationId };
+    if (status) filter.status = status;
+
+    return LeadSla.find(filter)
+      .sort({ dueAt: 1 })
+      .limit(limit)
+      .lean();
+  }
+
+  async getSettings(organizationId) {
+    const settings = isConnected()
+      ? await OrganizationSettings.findOne({ organizationId }).select('sla').lean()
+      : null;
+
+    return { ...DEFAULT_SLA, ...(settings?.sla || {}) };
+  }
+
+  /**
+   * Replace the fields that are given (enabled, responseMinutes, maxHops, sources, escalateTo)
+   */
+  async updateSettings(organizationId, settings, updatedBy) {
+    const $set = { updatedBy };
+    SLA_FIELDS.forEach(field => {
+      if (settings[field] !== undefined) {
+        $set[`sla.${field}`] = settings[field];
+      }
+    });
+
+    await OrganizationSettings.findOneAndUpdate(
+      { organizationId },
+      { $set },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    this.slaCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+}
+
+module.exports = new SlaWatcherService();
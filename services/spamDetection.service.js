@@ -0,0 +1,448 @@
+const mongoose = require('mongoose');
+const SpamSettings = require('../models/SpamSettings');
+const SpamActivity = require('../models/SpamActivity');
+const disposableEmailDomains = require('../utils/disposableEmailDomains');
+const logger = require('../utils/logger');
+
+const KEYBOARD_SEQUENCES = ['qwert', 'asdf', 'zxcv', 'hjkl', 'yuiop', 'qazwsx'];
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Organization regexes run on request input in the shared event loop, so both are kept short
+const MAX_REGEX_LENGTH = 200;
+const MAX_REGEX_INPUT = 500;
+
+/**
+ * Why a regex pattern can't be used, or null when it can. Besides the length cap,
+ * backreferences and quantified groups that contain a quantifier or alternatives
+ * ((a+)+, (\w*x)*, (a|ab)*) are refused: they are what makes matching time explode
+ * on crafted input.
+ */
+const regexPatternError = (pattern) => {
+  if (typeof pattern !== 'string' || pattern.length > MAX_REGEX_LENGTH) {
+    return `must be a string of up to ${MAX_REGEX_LENGTH} characters`;
+  }
+  let source;
+  try {
+    ({ source } = new RegExp(pattern, 'i'));
+  } catch (error) {
+    return error.message;
+  }
+
+  const isQuantifier = (at) => source[at] === '*' || source[at] === '+' || /^\{\d+(,\d*)?\}/.test(source.slice(at));
+  // Open groups, innermost last, with whether they contain a quantifier or alternatives
+  const groups = [];
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(source[i + 1] || '')) return 'backreferences are not allowed';
+      i++;
+    } else if (char === '[') {
+      // Character class: skip to its closing bracket
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ quantified: false, alternatives: false });
+    } else if (char === '|') {
+      if (groups.length > 0) groups[groups.length - 1].alternatives = true;
+    } else if (char === ')') {
+      const group = groups.pop();
+      if (isQuantifier(i + 1)) {
+        if (group.quantified) return 'nested quantifiers are not allowed';
+        if (group.alternatives) return 'repeated groups may not contain alternatives';
+        groups.forEach(outer => { outer.quantified = true; });
+      }
+    } else if (isQuantifier(i)) {
+      groups.forEach(outer => { outer.quantified = true; });
+    }
+  }
+  return null;
+};
+
+const getEmailDomain = (email) => {
+  if (!email || typeof email !== 'string' || !email.includes('@')) return null;
+  return email.split('@').pop().trim().toLowerCase();
+};
+
+/**
+ * Rule-based spam scoring shared by every ingestion path.
+ *
+ * Each rule returns null when it does not fire, or
+ * `{ reason, confidence }` (confidence 0-1, defaults to 1). The rule's
+ * configured weight times its confidence is added to the lead's score.
+ */
+class SpamDetectionService {
+  constructor() {
+    this.rules = new Map();
+
+    this.registerRule('disposableEmail', (lead) => {
+      const domain = getEmailDomain(lead.email);
+      if (domain && disposableEmailDomains.has(domain)) {
+        return { reason: `Disposable email domain: ${domain}` };
+      }
+      return null;
+    });
+
+    this.registerRule('repeatedPhoneDigits', (lead) => {
+      const digits = String(lead.phone || '').replace(/\D/g, '');
+      if (digits.length < 6) return null;
+
+      if (/^(\d)\1+$/.test(digits)) {
+        return { reason: 'Phone number is a single repeated digit' };
+      }
+      if (/(\d)\1{6,}/.test(digits)) {
+        return { reason: 'Phone number has 7 or more repeated digits', confidence: 0.75 };
+      }
+      if ('01234567890'.includes(digits) || '09876543210'.includes(digits)) {
+        return { reason: 'Phone number is a sequential digit run' };
+      }
+      return null;
+    });
+
+    this.registerRule('gibberishName', (lead) => {
+      const name = String(lead.name || '').trim().toLowerCase();
+      if (!name) return null;
+
+      if (/\d{3,}/.test(name)) {
+        return { reason: 'Name contains a run of digits', confidence: 0.75 };
+      }
+      if (/(.)\1{3,}/.test(name)) {
+        return { reason: 'Name repeats the same character' };
+      }
+      if (KEYBOARD_SEQUENCES.some(seq => name.includes(seq))) {
+        return { reason: 'Name contains a keyboard sequence' };
+      }
+
+      const words = name.split(/\s+/).filter(w => /^[a-z]+$/.test(w));
+      if (words.some(w => w.length >= 5 && !/[aeiouy]/.test(w))) {
+        return { reason: 'Name has a word without vowels' };
+      }
+      if (words.some(w => /[bcdfghjklmnpqrstvwxz]{5,}/.test(w))) {
+        return { reason: 'Name has a long consonant cluster', confidence: 0.75 };
+      }
+      return null;
+    });
+
+    this.registerRule('burstSubmissions', async (lead, context, settings) => {
+      if (!isConnected() || !context.organizationId) return null;
+
+      const config = settings.rules.burstSubmissions;
+      const since = new Date(Date.now() - config.windowMinutes * 60 * 1000);
+
+      if (context.ip) {
+        const ipCount = await SpamActivity.countDocuments({
+          organizationId: context.organizationId,
+          ip: context.ip,
+          createdAt: { $gte: since }
+        });
+        if (ipCount >= config.maxPerIp) {
+          return { reason: `${ipCount} submissions from ${context.ip} in ${config.windowMinutes} minutes` };
+        }
+      }
+
+      if (context.formId) {
+        const formCount = await SpamActivity.countDocuments({
+          organizationId: context.organizationId,
+          source: context.source,
+          formId: String(context.formId),
+          createdAt: { $gte: since }
+        });
+        if (formCount >= config.maxPerForm) {
+          return { reason: `${formCount} submissions to form ${context.formId} in ${config.windowMinutes} minutes` };
+        }
+      }
+      return null;
+    });
+
+    this.registerRule('honeypot', (lead, context, settings) => {
+      const fields = lead.fields || {};
+      const hit = settings.rules.honeypot.fieldNames.find(fieldName => {
+        const value = fields[fieldName];
+        return value !== undefined && value !== null && String(value).trim() !== '';
+      });
+      return hit ? { reason: `Honeypot field "${hit}" was filled in` } : null;
+    });
+
+    this.registerRule('customPatterns', (lead, context, settings) => {
+      const match = this.matchPatterns(lead, context, settings.patterns || []);
+      return match ? { reason: `Matched ${match.type} pattern "${match.pattern}"` } : null;
+    });
+  }
+
+  /**
+   * Register or replace a scoring rule. Rules without a configured weight
+   * in SpamSettings.rules use `defaultWeight`.
+   */
+  registerRule(name, evaluate, { defaultWeight = 50 } = {}) {
+    this.rules.set(name, { name, evaluate, defaultWeight });
+  }
+
+  getDefaultSettings(organizationId = null) {
+    return new SpamSettings({ organizationId }).toObject();
+  }
+
+  async getSettings(organizationId) {
+    if (!organizationId || !isConnected()) {
+      return this.getDefaultSettings(organizationId);
+    }
+
+    const settings = await SpamSettings.findOne({ organizationId }).lean();
+    return settings || this.getDefaultSettings(organizationId);
+  }
+
+  async updateSettings(organizationId, updates) {
+    const allowed = {};
+    ['enabled', 'threshold', 'action'].forEach(key => {
+      if (updates[key] !== undefined) allowed[key] = updates[key];
+    });
+
+    Object.entries(updates.rules || {}).forEach(([ruleName, ruleConfig]) => {
+      Object.entries(ruleConfig || {}).forEach(([key, value]) => {
+        allowed[`rules.${ruleName}.${key}`] = value;
+      });
+    });
+
+    return SpamSettings.findOneAndUpdate(
+      { organizationId },
+      { $set: allowed },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  matchPatterns(lead, context, patterns) {
+    const values = {
+      email: lead.email,
+      domain: getEmailDomain(lead.email),
+      phone: lead.phone ? String(lead.phone).replace(/\D/g, '') : null,
+      name: lead.name,
+      ip: context.ip,
+      leadgenId: context.externalId,
+      formName: context.formName
+    };
+
+    return patterns.find(entry => {
+      if (entry.sources?.length && !entry.sources.includes(context.source)) return false;
+
+      const value = values[entry.type];
+      if (!value) return false;
+
+      if (entry.isRegex) {
+        // Patterns saved before they were validated may be unsafe
+        if (regexPatternError(entry.pattern)) {
+          logger.warn('Invalid spam regex pattern skipped:', { pattern: entry.pattern });
+          return false;
+        }
+        return new RegExp(entry.pattern, 'i').test(String(value).slice(0, MAX_REGEX_INPUT));
+      }
+
+      const pattern = entry.type === 'phone'
+        ? entry.pattern.replace(/\D/g, '')
+        : entry.pattern.toLowerCase();
+      if (!pattern) return false;
+
+      const target = String(value).toLowerCase();
+      switch (entry.type) {
+        case 'domain':
+          return target === pattern || target.endsWith(`.${pattern}`);
+        case 'ip':
+        case 'leadgenId':
+          return target === pattern;
+        default:
+          return target.includes(pattern);
+      }
+    }) || null;
+  }
+
+  /**
+   * Score a lead and decide what to do with it.
+   * @param {Object} lead - { name, email, phone, fields } where fields is the raw submission
+   * @param {Object} context - { organizationId, source, ip, formId, formName, externalId }
+   * @param {Object} options - { dryRun } skips recording the check for burst detection and stats
+   * @returns {Promise<Object>} { isSpam, spamScore, threshold, action, blocked, spamIndicators, reason }
+   */
+  async checkLead(lead, context = {}, { dryRun = false } = {}) {
+    const settings = await this.getSettings(context.organizationId);
+
+    if (!settings.enabled) {
+      return this.buildResult(0, [], settings, 'Spam detection disabled for organization');
+    }
+
+    const indicators = [];
+    for (const [name, rule] of this.rules) {
+      const ruleConfig = settings.rules?.[name] || { enabled: true, weight: rule.defaultWeight };
+      if (!ruleConfig.enabled) continue;
+
+      try {
+        const hit = await rule.evaluate(lead, context, settings);
+        if (hit) {
+          indicators.push({
+            rule: name,
+            score: Math.round(ruleConfig.weight * (hit.confidence ?? 1)),
+            reason: hit.reason
+          });
+        }
+      } catch (error) {
+        // A broken rule must never block lead ingestion
+        logger.error(`Spam rule ${name} failed:`, error.message);
+      }
+    }
+
+    const score = Math.min(100, indicators.reduce((sum, i) => sum + i.score, 0));
+    const result = this.buildResult(score, indicators, settings);
+
+    if (!dryRun) {
+      await this.recordCheck(context, result);
+    }
+    return result;
+  }
+
+  buildResult(score, indicators, settings, reason = null) {
+    const isSpam = score >= settings.threshold;
+    const action = isSpam ? settings.action : 'allow';
+
+    return {
+      isSpam,
+      spamScore: score,
+      threshold: settings.threshold,
+      action,
+      blocked: action === 'quarantine' || action === 'drop',
+      spamIndicators: indicators,
+      reason: reason || (indicators.length
+        ? indicators.map(i => i.reason).join('; ')
+        : 'No spam indicators found')
+    };
+  }
+
+  /**
+   * Compact summary stored with flagged leads
+   */
+  toLeadMetadata(result) {
+    return {
+      score: result.spamScore,
+      threshold: result.threshold,
+      action: result.action,
+      flagged: result.isSpam,
+      indicators: result.spamIndicators.map(i => i.rule),
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  async recordCheck(context, result) {
+    if (!isConnected() || !context.organizationId) return;
+
+    try {
+      await SpamActivity.create({
+        organizationId: context.organizationId,
+        source: context.source || 'unknown',
+        ip: context.ip,
+        formId: context.formId ? String(context.formId) : undefined,
+        score: result.spamScore
+      });
+
+      const inc = { 'stats.totalChecked': 1 };
+      if (result.isSpam) {
+        const counter = {
+          flag: 'stats.totalFlagged',
+          quarantine: 'stats.totalQuarantined',
+          drop: 'stats.totalDropped'
+        }[result.action];
+        if (counter) inc[counter] = 1;
+        result.spamIndicators.forEach(i => {
+          inc[`stats.byRule.${i.rule}`] = 1;
+        });
+      }
+
+      const update = { $inc: inc };
+      if (result.isSpam) {
+        update.$set = { 'stats.lastDetectedAt': new Date() };
+      }
+
+      await SpamSettings.updateOne({ organizationId: context.organizationId }, update, { upsert: true });
+    } catch (error) {
+      logger.error('Error recording spam check:', error.message);
+    }
+  }
+
+  logDetection(lead, result, context = {}) {
+    const payload = {
+      source: context.source,
+      organizationId: context.organizationId,
+      formId: context.formId,
+      email: lead.email,
+      name: lead.name,
+      spamScore: result.spamScore,
+      action: result.action,
+      indicators: result.spamIndicators.map(i => i.rule)
+    };
+
+    if (result.isSpam) {
+      logger.warn(`🚫 Spam lead detected (${result.action}):`, payload);
+    } else {
+      logger.debug('✅ Lead passed spam check:', payload);
+    }
+  }
+
+  async getStats(organizationId) {
+    const settings = await this.getSettings(organizationId);
+    const stats = settings.stats || {};
+
+    return {
+      enabled: settings.enabled,
+      threshold: settings.threshold,
+      action: settings.action,
+      totalChecked: stats.totalChecked || 0,
+      totalFlagged: stats.totalFlagged || 0,
+      totalQuarantined: stats.totalQuarantined || 0,
+      totalDropped: stats.totalDropped || 0,
+      byRule: stats.byRule instanceof Map ? Object.fromEntries(stats.byRule) : (stats.byRule || {}),
+      lastDetectedAt: stats.lastDetectedAt || null,
+      patternsCount: settings.patterns?.length || 0,
+      rules: Array.from(this.rules.keys())
+    };
+  }
+
+  /**
+   * Why a regex spam pattern would be refused, or null when it is usable
+   * @returns {string|null}
+   */
+  validateRegexPattern(pattern) {
+    return regexPatternError(pattern);
+  }
+
+  async addSpamPattern(organizationId, type, pattern, options = {}) {
+    // Reject invalid expressions up front instead of silently skipping them later
+    const regexError = options.isRegex ? regexPatternError(pattern) : null;
+    if (regexError) {
+      throw new Error(`Invalid regular expression: ${regexError}`);
+    }
+
+    const settings = await SpamSettings.findOneAndUpdate(
+      { organizationId },
+      {
+        $push: {
+          patterns: {
+            type,
+            pattern,
+            isRegex: !!options.isRegex,
+            sources: options.sources || [],
+            addedBy: options.addedBy
+          }
+        }
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    return settings.patterns[settings.patterns.length - 1];
+  }
+
+  async removeSpamPattern(organizationId, patternId) {
+    const result = await SpamSettings.updateOne(
+      { organizationId },
+      { $pull: { patterns: { _id: patternId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new SpamDetectionService();
@@ -0,0 +1,508 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const WebhookEvent = require('../models/WebhookEvent');
+const DeadLetterEvent = require('../models/DeadLetterEvent');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Headers handlers rely on; credentials (authorization, x-api-key, cookies) are never stored
+const STORED_HEADERS = ['content-type', 'user-agent', 'referer', 'origin', 'x-forwarded-for', 'x-real-ip'];
+const SECRET_HEADERS = ['x-api-key'];
+
+const unique = (values) => [...new Set(values.filter(Boolean).map(String))];
+
+/**
+ * Error that should not be retried (missing integration, invalid payload).
+ * The event goes straight to dead-letter storage.
+ */
+const permanentError = (message) => Object.assign(new Error(message), { retryable: false });
+
+/**
+ * Durable inbound webhook queue.
+ *
+ * Routes store the payload with enqueue() and acknowledge the sender straight
+ * away. The worker claims due events one at a time, runs the handler
+ * registered for the event's source and retries failures with exponential
+ * backoff. Events that exhaust maxAttempts are copied to DeadLetterEvent and
+ * can be replayed from the admin endpoints.
+ */
+class WebhookQueueService {
+  constructor() {
+    this.handlers = new Map();
+    this.maxAttempts = parseInt(process.env.WEBHOOK_QUEUE_MAX_ATTEMPTS, 10) || 6;
+    this.baseDelayMs = parseInt(process.env.WEBHOOK_QUEUE_BASE_DELAY_MS, 10) || 30 * 1000;
+    this.maxDelayMs = parseInt(process.env.WEBHOOK_QUEUE_MAX_DELAY_MS, 10) || 60 * 60 * 1000;
+    this.pollIntervalMs = parseInt(process.env.WEBHOOK_QUEUE_POLL_INTERVAL_MS, 10) || 5000;
+    this.batchSize = parseInt(process.env.WEBHOOK_QUEUE_BATCH_SIZE, 10) || 10;
+    // Events stuck in processing longer than this (worker crashed mid-run) are claimed again
+    this.lockTimeoutMs = 10 * 60 * 1000;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+
+    this.timer = null;
+    this.ticking = false;
+    this.rerun = false;
+
+    // Services are required lazily so loading the queue never pulls in the whole service graph.
+    // Handlers scope the event to its integrations first, so it stays visible to them if it fails.
+    this.registerHandler('facebook', async (event) => {
+      const FacebookIntegration = require('../models/FacebookIntegration');
+      const facebookLeadProcessor = require('./facebookLeadProcessor.service');
+      this.scope(event, await FacebookIntegration.find({
+        'fbPages.id': event.payload.page_id,
+        connected: true
+      }).select('organizationId'));
+
+      const result = await facebookLeadProcessor.processWebhookLead(event.payload);
+      this.scope(event, result.results.map(r => ({ organizationId: r.organizationId, _id: r.integrationId })));
+
+      // Retry when any integration sharing the page failed; the idempotency ledger skips the ones that created their lead
+      const failures = result.results.filter(r => r.error);
+      if (failures.length > 0) {
+        throw new Error(failures.map(r => r.error).join('; '));
+      }
+      return result;
+    });
+
+    this.registerHandler('linkedin', async (event) => {
+      const LinkedInIntegration = require('../models/LinkedInIntegration');
+      const linkedinService = require('./linkedin.service');
+      const notifications = Array.isArray(event.payload) ? event.payload : [event.payload];
+      const accountIds = unique(notifications.map(n => linkedinService.parseUrnId(n?.owner?.sponsoredAccount, 'sponsoredAccount')));
+      if (accountIds.length > 0) {
+        this.scope(event, await LinkedInIntegration.find({
+          'adAccounts.id': { $in: accountIds },
+          connected: true
+        }).select('organizationId'));
+      }
+
+      return linkedinService.handleWebhook(event.payload);
+    });
+
+    this.registerHandler('shopify', async (event) => {
+      const ShopifyIntegration = require('../models/ShopifyIntegration');
+      const shopifyService = require('./shopifyService');
+      // The organization route sets x-organization-id; the generic one only has the shop's domain
+      const organizationId = event.headers?.['x-organization-id'];
+      const shopDomain = event.headers?.['x-shopify-shop-domain'];
+      if (organizationId || shopDomain) {
+        this.scope(event, await ShopifyIntegration.find({
+          ...(organizationId ? { organizationId } : { shopDomain: String(shopDomain).toLowerCase() }),
+          isActive: true
+        }).select('organizationId'));
+      }
+
+      const result = await shopifyService.handleWebhook(event.payload, event.headers);
+
+      if (result?.success === false) {
+        throw new Error(result.error || result.message || 'Shopify webhook processing failed');
+      }
+      return result;
+    });
+
+    this.registerHandler('wordpress', async (event) => {
+      const wordpressService = require('./wordpressService');
+      const { integrationKey, form } = event.metadata;
+
+      // Legacy endpoint identifies the integration by key instead of API key
+      if (integrationKey) {
+        return wordpressService.processFormSubmission(integrationKey, event.payload, form);
+      }
+
+      const WordPressIntegration = require('../models/WordPressIntegration');
+      const integration = await WordPressIntegration.findById(event.integrationIds[0]).select('apiKey');
+      if (!integration) {
+        throw permanentError('WordPress integration no longer exists');
+      }
+      return wordpressService.processFormSubmissionWithApiKey(integration.apiKey, event.payload, form);
+    });
+
+    this.registerHandler('website', async (event) => {
+      const websiteService = require('./website.service');
+      const result = await websiteService.handleWebsiteLead(event.payload, event.headers, event.metadata);
+
+      // Retrying can't bring a deleted or deactivated integration back
+      if (result.reason === 'integration_not_found') {
+        throw permanentError(result.message);
+      }
+      if (!result.success) {
+        throw new Error(result.message || 'Website lead processing failed');
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Register or replace the processor for a webhook source.
+   * Handlers throw to trigger a retry; errors with `retryable: false` are dead-lettered immediately.
+   */
+  registerHandler(source, handler) {
+    this.handlers.set(source, handler);
+  }
+
+  // Add the organizations and integrations of these integrations to the event's scope
+  scope(event, integrations) {
+    event.organizationIds = unique([...(event.organizationIds || []), ...integrations.map(i => i.organizationId)]);
+    event.integrationIds = unique([...(event.integrationIds || []), ...integrations.map(i => i._id)]);
+  }
+
+  pickHeaders(headers = {}) {
+    return Object.entries(headers).reduce((picked, [name, value]) => {
+      const key = name.toLowerCase();
+      if (SECRET_HEADERS.includes(key)) return picked;
+      if (STORED_HEADERS.includes(key) || key.startsWith('x-')) {
+        picked[key] = value;
+      }
+      return picked;
+    }, {});
+  }
+
+  /**
+   * Persist an inbound payload. Must complete before the sender is acknowledged.
+   * @param {string} source - facebook | linkedin | shopify | wordpress | website
+   * @param {Object} payload - Request body (or the relevant part of it)
+   * @param {Object} context - { eventType, organizationId, integrationId, headers, metadata }
+   * @returns {Promise<Object>} The stored WebhookEvent
+   */
+  async enqueue(source, payload, context = {}) {
+    const event = await WebhookEvent.create({
+      source,
+      eventType: context.eventType,
+      organizationIds: unique([context.organizationId]),
+      integrationIds: unique([context.integrationId]),
+      payload,
+      headers: this.pickHeaders(context.headers),
+      metadata: context.metadata || {},
+      maxAttempts: this.maxAttempts
+    });
+
+    logger.info(`Webhook event queued: ${source}`, {
+      eventId: event._id,
+      eventType: context.eventType
+    });
+
+    this.kick();
+    return event;
+  }
+
+  /**
+   * Exponential backoff: baseDelay, 2x, 4x ... capped at maxDelay
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    if (this.timer.unref) this.timer.unref();
+
+    logger.info(`Webhook queue worker started (${this.workerId}, every ${this.pollIntervalMs}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    logger.info('Webhook queue worker stopped');
+  }
+
+  // Process newly queued events without waiting for the next poll
+  kick() {
+    if (this.timer) {
+      setImmediate(() => this.tick());
+    }
+  }
+
+  async tick() {
+    if (!isConnected()) return;
+    if (this.ticking) {
+      this.rerun = true;
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      for (let i = 0; i < this.batchSize; i++) {
+        const event = await this.claimNext();
+        if (!event) break;
+        await this.processEvent(event);
+      }
+    } catch (error) {
+      logger.error('Webhook queue worker error:', error.message);
+    } finally {
+      this.ticking = false;
+      if (this.rerun && this.timer) {
+        this.rerun = false;
+        setImmediate(() => this.tick());
+      }
+    }
+  }
+
+  // Atomically lock the next due event so concurrent workers never run the same one
+  async claimNext() {
+    const now = new Date();
+
+    return WebhookEvent.findOneAndUpdate(
+      {
+        $or: [
+          { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+          { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - this.lockTimeoutMs) } }
+        ]
+      },
+      {
+        $set: { status: 'processing', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 }
+      },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  async processEvent(event) {
+    const handler = this.handlers.get(event.source);
+
+    try {
+      if (!handler) {
+        throw permanentError(`No handler registered for source ${event.source}`);
+      }
+
+      const result = await handler(event);
+      await this.completeEvent(event, result);
+    } catch (error) {
+      // The lead is safe in quarantine; retrying would only quarantine it again
+      if (error.quarantineId) {
+        await this.completeEvent(event, {
+          success: false,
+          quarantined: true,
+          quarantineId: error.quarantineId,
+          message: error.message
+        });
+        return;
+      }
+      await this.recordFailure(event, error);
+    }
+  }
+
+  async completeEvent(event, result) {
+    await WebhookEvent.updateOne({ _id: event._id }, {
+      $set: {
+        status: 'completed',
+        result,
+        completedAt: new Date(),
+        organizationIds: event.organizationIds,
+        integrationIds: event.integrationIds
+      },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+
+    logger.info(`Webhook event processed: ${event.source}`, {
+      eventId: event._id,
+      attempts: event.attempts
+    });
+  }
+
+  async recordFailure(event, error) {
+    const failure = { attempt: event.attempts, message: error.message, at: new Date() };
+    const exhausted = error.retryable === false || event.attempts >= event.maxAttempts;
+
+    if (exhausted) {
+      await this.moveToDeadLetter(event, failure);
+      return;
+    }
+
+    const delay = this.getRetryDelay(event.attempts);
+    await WebhookEvent.updateOne({ _id: event._id }, {
+      $set: {
+        status: 'failed',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delay),
+        organizationIds: event.organizationIds,
+        integrationIds: event.integrationIds
+      },
+      $push: { failures: { $each: [failure], $slice: -20 } },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+
+    logger.warn(`Webhook event failed, retrying in ${Math.round(delay / 1000)}s: ${event.source}`, {
+      eventId: event._id,
+      attempt: event.attempts,
+      maxAttempts: event.maxAttempts,
+      error: error.message
+    });
+  }
+
+  async moveToDeadLetter(event, failure) {
+    const failures = [...(event.failures || []), failure].slice(-20);
+
+    await WebhookEvent.updateOne({ _id: event._id }, {
+      $set: {
+        status: 'dead',
+        lastError: failure.message,
+        deadAt: failure.at,
+        failures,
+        organizationIds: event.organizationIds,
+        integrationIds: event.integrationIds
+      },
+      $unset: { lockedAt: 1, lockedBy: 1 }
+    });
+
+    // One dead letter per event; a replayed event that dies again updates the same record
+    await DeadLetterEvent.findOneAndUpdate(
+      { eventId: event._id },
+      {
+        $set: {
+          source: event.source,
+          eventType: event.eventType,
+          organizationIds: event.organizationIds,
+          integrationIds: event.integrationIds,
+          payload: event.payload,
+          headers: event.headers,
+          metadata: event.metadata,
+          attempts: event.attempts,
+          lastError: failure.message,
+          failures,
+          status: 'dead',
+          failedAt: failure.at
+        }
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    logger.error(`Webhook event moved to dead-letter storage: ${event.source}`, {
+      eventId: event._id,
+      attempts: event.attempts,
+      error: failure.message
+    });
+  }
+
+  buildFilter(organizationId, { source, integrationId, status } = {}) {
+    const filter = { organizationIds: String(organizationId) };
+    if (source) filter.source = source;
+    if (integrationId) filter.integrationIds = String(integrationId);
+    if (status) filter.status = { $in: String(status).split(',') };
+    return filter;
+  }
+
+  async listEvents(organizationId, filters = {}, { page = 1, limit = 20 } = {}) {
+    const filter = this.buildFilter(organizationId, filters);
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-payload -headers -failures')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    return { events, total, page, limit };
+  }
+
+  async listDeadLetters(organizationId, filters = {}, { page = 1, limit = 20 } = {}) {
+    const filter = this.buildFilter(organizationId, filters);
+
+    const [deadLetters, total] = await Promise.all([
+      DeadLetterEvent.find(filter)
+        .select('-payload -headers')
+        .sort({ failedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      DeadLetterEvent.countDocuments(filter)
+    ]);
+
+    return { deadLetters, total, page, limit };
+  }
+
+  async getEvent(organizationId, eventId) {
+    const event = await WebhookEvent.findOne({
+      _id: eventId,
+      organizationIds: String(organizationId)
+    }).lean();
+
+    if (!event) return null;
+
+    const deadLetter = await DeadLetterEvent.findOne({ eventId: event._id })
+      .select('status failedAt replayCount replayedAt replayedBy')
+      .lean();
+
+    return { ...event, deadLetter };
+  }
+
+  async getStats(organizationId) {
+    const counts = await WebhookEvent.aggregate([
+      { $match: { organizationIds: String(organizationId) } },
+      { $group: { _id: { source: '$source', status: '$status' }, count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((stats, { _id, count }) => {
+      stats[_id.source] = stats[_id.source] || {};
+      stats[_id.source][_id.status] = count;
+      return stats;
+    }, {});
+  }
+
+  /**
+   * Put a failed or dead event back on the queue with a fresh attempt budget
+   * @returns {Promise<Object|null>} The re-queued event, or null when it is not replayable
+   */
+  async replay(organizationId, eventId, replayedBy) {
+    const now = new Date();
+
+    const event = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: eventId,
+        organizationIds: String(organizationId),
+        status: { $in: ['failed', 'dead'] }
+      },
+      {
+        $set: {
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: now,
+          lastReplayedAt: now
+        },
+        $unset: { deadAt: 1, lockedAt: 1, lockedBy: 1 },
+        $inc: { replayCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!event) return null;
+
+    await DeadLetterEvent.updateOne(
+      { eventId: event._id },
+      {
+        $set: { status: 'replayed', replayedAt: now, replayedBy: replayedBy ? String(replayedBy) : undefined },
+        $inc: { replayCount: 1 }
+      }
+    );
+
+    logger.info(`Webhook event replayed: ${event.source}`, { eventId: event._id, replayedBy });
+
+    this.kick();
+    return event;
+  }
+
+  async replayMany(organizationId, filters = {}, replayedBy, limit = 100) {
+    const filter = this.buildFilter(organizationId, {
+      ...filters,
+      status: filters.status || 'failed,dead'
+    });
+    filter.status.$in = filter.status.$in.filter(status => ['failed', 'dead'].includes(status));
+
+    const events = await WebhookEvent.find(filter).select('_id').limit(limit).lean();
+
+    let replayed = 0;
+    for (const { _id } of events) {
+      if (await this.replay(organizationId, _id, replayedBy)) replayed++;
+    }
+    return { matched: events.length, replayed };
+  }
+}
+
+module.exports = new WebhookQueueService();
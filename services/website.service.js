@@ -3,6 +3,15 @@ const crypto = require('crypto');
 const WebsiteIntegration = require('../models/WebsiteIntegration');
 // Removed LeadSource - now handled by leads-service
 const leadsServiceClient = require('./leadsService.client');
+const spamDetectionService = require('./spamDetection.service');
+const quarantineService = require('./quarantine.service');
+const outboundWebhookService = require('./outboundWebhook.service');
+const fieldMappingService = require('./fieldMapping.service');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const leadDedupeService = require('./leadDedupe.service');
+const idempotencyService = require('./idempotency.service');
+const attributionService = require('./attribution.service');
+const captchaService = require('./captcha.service');
 const logger = require('../utils/logger');
 
 class WebsiteService {
@@ -175,6 +184,7 @@ class WebsiteService {
 
   // Process incoming lead from website
   async processWebsiteLead(integrationKey, leadData, metadata = {}, adminToken = null) {
+    let ledger = null;
     try {
       // For website leads (external source), no manual token needed - automatic authentication
       // Admin token only used for integration management, not lead creation
@@ -187,38 +197,114 @@ class WebsiteService {
       });
 
       if (!integration) {
-        throw new Error('Integration not found or inactive');
+        throw Object.assign(new Error('Integration not found or inactive'), { code: 'INTEGRATION_NOT_FOUND' });
       }
 
       // Validate domain if CORS is enabled
-      if (integration.settings.enableCORS && metadata.origin) {
-        const allowedOrigins = [
-          `https://${integration.domain}`,
-          `http://${integration.domain}`,
-          `https://www.${integration.domain}`,
-          `http://www.${integration.domain}`,
-          ...integration.settings.allowedOrigins
-        ];
-
-        if (!allowedOrigins.includes(metadata.origin)) {
-          throw new Error('Origin not allowed');
-        }
+      if (metadata.origin && !this.isAllowedOrigin(integration, metadata.origin)) {
+        throw new Error('Origin not allowed');
       }
 
-      // Validate reCAPTCHA if enabled
-      if (integration.settings.reCaptcha.enabled && leadData.recaptcha) {
-        const isValidCaptcha = await this.validateRecaptcha(
-          leadData.recaptcha,
-          integration.settings.reCaptcha.secretKey
-        );
+      // Retries of a submission carry the same token; it is not a form field.
+      // Neither are the touches the loader's attribution cookie recorded, nor its visitor token.
+      const { submissionToken = metadata.submissionToken, attribution: capturedAttribution, visitorToken, ...formFields } = leadData;
+      leadData = formFields;
+      const attribution = attributionService.fromSubmission(capturedAttribution, leadData);
 
-        if (!isValidCaptcha) {
-          throw new Error('Invalid reCAPTCHA');
+      ledger = await idempotencyService.claim('website', submissionToken, {
+        organizationId: integration.organizationId,
+        integrationId: integration._id
+      });
+      if (!ledger.proceed) {
+        if (ledger.inProgress) {
+          throw new Error('Submission is already being processed');
         }
+        return {
+          success: true,
+          message: integration.formConfig.successMessage,
+          leadId: ledger.leadId,
+          redirectUrl: integration.formConfig.redirectUrl,
+          duplicateAction: 'already_processed'
+        };
+      }
+
+      // Field mapping rules configured for the integration or form win over the identity mapping
+      const mapped = await fieldMappingService.mapLead('website', leadData, {
+        organizationId: integration.organizationId,
+        integrationId: integration._id,
+        formId: leadData.formId,
+        phoneDefaultCountry: integration.phoneDefaultCountry
+      });
+
+      let cleanedLeadData;
+      if (mapped) {
+        // The rest of the flow expects custom fields next to the standard ones
+        const { customFields, ...standardFields } = mapped;
+        cleanedLeadData = { ...customFields, ...standardFields, formId: leadData.formId };
+      } else {
+        // Clean and validate lead data (no predefined fields - accept everything)
+        cleanedLeadData = this.cleanLeadData(leadData, []);
+      }
+
+      // E.164 phones make "+44 20 7946 0958" and "020 7946 0958" the same lead in duplicate checks
+      const phoneResult = await phoneNormalizationService.normalize(cleanedLeadData.phone, {
+        organizationId: integration.organizationId,
+        defaultCountry: integration.phoneDefaultCountry
+      });
+      if (phoneResult) {
+        cleanedLeadData.phone = phoneResult.phone;
       }
 
-      // Clean and validate lead data (no predefined fields - accept everything)
-      const cleanedLeadData = this.cleanLeadData(leadData, []);
+      // Spam scoring runs on the raw submission so honeypot fields are still present
+      const spamLead = {
+        name: cleanedLeadData.name,
+        email: cleanedLeadData.email,
+        phone: cleanedLeadData.phone,
+        fields: leadData
+      };
+      const spamContext = {
+        organizationId: integration.organizationId,
+        source: 'website',
+        ip: metadata.clientIP || metadata.ip,
+        formId: metadata.formId,
+        formName: metadata.formName
+      };
+      // The bot check ran when the submission arrived (see captcha.service); failing it holds the lead back too
+      const spamResult = captchaService.applyToSpamResult(
+        await spamDetectionService.checkLead(spamLead, spamContext),
+        metadata.captcha
+      );
+      spamDetectionService.logDetection(spamLead, spamResult, spamContext);
+
+      if (spamResult.blocked) {
+        await quarantineService.quarantineSpam(spamResult, {
+          organizationId: integration.organizationId,
+          source: 'website',
+          integrationId: integration._id,
+          formId: metadata.formId,
+          formName: metadata.formName,
+          lead: {
+            name: cleanedLeadData.name,
+            email: cleanedLeadData.email,
+            phone: cleanedLeadData.phone,
+            company: cleanedLeadData.company,
+            customFields: cleanedLeadData,
+            metadata: { clientIP: metadata.clientIP, referer: metadata.referer }
+          },
+          rawPayload: leadData
+        });
+
+        await idempotencyService.complete(ledger, null, 'blocked');
+
+        // Answer like a normal submission so bots get no signal
+        return {
+          success: true,
+          message: integration.formConfig.successMessage,
+          leadId: null,
+          redirectUrl: integration.formConfig.redirectUrl,
+          spamAction: spamResult.action
+        };
+      }
 
       // Check for existing LeadSource records via leads-service
       const existingLeadSources = await leadsServiceClient.findDuplicateLeadSources(
@@ -248,6 +334,23 @@ class WebsiteService {
         submittedAt: new Date().toISOString()
       };
 
+      if (spamResult.isSpam) {
+        sourceDetails.spamCheck = spamDetectionService.toLeadMetadata(spamResult);
+      }
+
+      if (phoneResult) {
+        sourceDetails.phoneValidation = phoneNormalizationService.toLeadMetadata(phoneResult);
+      }
+
+      if (attribution) {
+        sourceDetails.attribution = attribution;
+      }
+
+      // Fields captured from a form the visitor left without sending (see partialSubmission.service)
+      if (metadata.partial) {
+        sourceDetails.partial = metadata.partial;
+      }
+
       // Send lead to leads service
       // Extract core fields and carefully pick otherFields for lead creation
       const coreFields = ['name', 'email', 'phone', 'message', 'company', 'interests', 'formId'];
@@ -267,7 +370,19 @@ class WebsiteService {
 
       const { name, email, phone, message, company, interests } = cleanedLeadData;
 
-      const createdLead = await this.createLead({
+      // leadSettings.duplicateHandling decides whether a repeat submission creates a lead
+      const dedupe = await leadDedupeService.apply(
+        { name, email, phone, company, customFields: otherFields, metadata: { phoneValidation: sourceDetails.phoneValidation } },
+        { source: 'website', integration, formId: metadata.formId }
+      );
+
+      if (dedupe.handled) {
+        sourceDetails.dedupe = { action: dedupe.action, leadId: dedupe.leadId, matchedOn: dedupe.matchedOn };
+      } else if (dedupe.metadata) {
+        sourceDetails.dedupe = dedupe.metadata;
+      }
+
+      const createdLead = dedupe.handled ? { id: dedupe.leadId, _id: dedupe.leadId } : await this.createLead({
         name,
         email,
         phone,
@@ -296,6 +411,18 @@ class WebsiteService {
       if (!leadId) {
         throw new Error('No leadId returned from leads-service');
       }
+      await idempotencyService.complete(ledger, leadId, dedupe.handled ? dedupe.action : 'created');
+
+      if (!dedupe.handled) {
+        await attributionService.record({
+          organizationId: integration.organizationId,
+          leadId,
+          source: 'website',
+          integrationId: integration._id,
+          formId: metadata.formId,
+          attribution
+        });
+      }
 
       // Prepare leadData for LeadSource schema (separate standard fields from custom fields)
       // Build customFields by excluding system and sourceDetail keys so websiteName/websiteLink aren't duplicated
@@ -353,8 +480,8 @@ class WebsiteService {
         }
       );
 
-      // Auto-assign lead if assignment settings are enabled
-      if (integration.assignmentSettings && integration.assignmentSettings.enabled) {
+      // Auto-assign lead if assignment settings are enabled (merged duplicates keep their owner)
+      if (!dedupe.handled && integration.assignmentSettings && integration.assignmentSettings.enabled) {
         try {
           logger.info('Attempting auto-assignment for website lead:', {
             leadId: leadId,
@@ -371,7 +498,8 @@ class WebsiteService {
             leadId,
             'website',
             integration._id,
-            null // No admin token needed for auto-assignment
+            null, // No admin token needed for auto-assignment
+            { name, email, phone, company, message, interests, formId: metadata.formId, ...otherFields }
           );
 
           // Add 45-second timeout for assignment
@@ -464,9 +592,11 @@ class WebsiteService {
         success: true,
         message: integration.formConfig.successMessage,
         leadId: createdLead.id,
-        redirectUrl: integration.formConfig.redirectUrl
+        redirectUrl: integration.formConfig.redirectUrl,
+        duplicateAction: dedupe.handled ? dedupe.action : undefined
       };
     } catch (error) {
+      await idempotencyService.release(ledger, error);
       logger.error('Error processing website lead:', error.message);
       throw error;
     }
@@ -504,6 +634,12 @@ class WebsiteService {
         data[key] = value;
       }
 
+      // Resubmitting the same form (retry, double click) reuses its token so only one lead is created
+      if (!form.dataset.jestySubmissionToken) {
+        form.dataset.jestySubmissionToken = Date.now().toString(36) + Math.random().toString(36).slice(2);
+      }
+      data.submissionToken = form.dataset.jestySubmissionToken;
+
       // Add tracking data
       data.page = window.location.href;
       data.referrer = document.referrer;
@@ -523,6 +659,7 @@ class WebsiteService {
       .then(response => response.json())
       .then(result => {
         if (result.success) {
+          delete form.dataset.jestySubmissionToken;
           if (result.redirectUrl) {
             window.location.href = result.redirectUrl;
           } else {
@@ -556,6 +693,325 @@ class WebsiteService {
 `;
   }
 
+  /**
+   * The lead capture loader the embedScript virtual points at. It finds the
+   * integration's forms on the page (also ones added later), sends them to
+   * /submit/:id with the visit's landing page, referrer and UTM parameters
+   * and the proof of the integration's bot check, and shows the form's
+   * success message or follows its redirect. Served
+   * with an ETag of its content, so changes to the loader or the forms reach
+   * sites without the snippet being pasted again
+   */
+  generateLoaderScript(integration) {
+    const base = process.env.SERVICE_URL || 'https://api.jestycrm.com';
+    const activeForms = (integration.forms || [])
+      .filter(form => form.isActive !== false && /^[\w-]+$/.test(form.formId));
+    const formIds = activeForms.map(form => form.formId);
+
+    // Forms that send what is typed before they are submitted, and which fields; none behind a bot check
+    const partialForms = {};
+    if (!captchaService.settingsFor(integration)) {
+      activeForms.forEach(form => {
+        const fields = (form.partialCapture?.enabled && form.partialCapture.fields || []).filter(name => /^[A-Za-z_][\w-]{0,63}$/.test(name));
+        if (fields.length > 0) {
+          partialForms[form.formId] = { fields, requireConsent: form.partialCapture.requireConsent !== false };
+        }
+      });
+    }
+
+    // Forms marked for Jesty, the old embed script's selectors, and forms whose id is one of the integration's formIds
+    const selector = ['form[data-jesty-form]', 'form.jesty-form', 'form#lead-form']
+      .concat(formIds.map(formId => `form[id="${formId}"]`))
+      .join(', ');
+
+    const config = JSON.stringify({
+      integrationKey: integration.integrationKey,
+      submitUrl: `${base}/api/integrations/website/submit/${integration._id}`,
+      partialUrl: `${base}/api/integrations/website/partial/${integration._id}`,
+      formIds,
+      selector,
+      partialForms,
+      captcha: captchaService.publicConfig(captchaService.settingsFor(integration))
+    }).replace(/</g, '\\u003c');
+
+    return `/* Jesty CRM lead capture loader */
+(function() {
+  var config = ${config};
+  var ATTRIBUTION_COOKIE = 'jesty_attribution';
+  var COOKIE_MAX_AGE = 90 * 24 * 60 * 60;
+  var UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+  var CLICK_IDS = ['gclid', 'fbclid'];
+  var VISITOR_COOKIE = 'jesty_visitor';
+  var CONSENT_COOKIE = 'jesty_consent';
+  var PARTIAL_DELAY = 1500;
+  var SKIPPED_TYPES = ['file', 'password', 'submit', 'button', 'reset', 'image'];
+
+  window.JestyCRM = window.JestyCRM || {};
+  if (window.JestyCRM[config.integrationKey]) return;
+
+  // The integration's bot check (see captcha.service)
+  var captcha = (${captchaService.clientScript()})(config.captcha);
+
+  function readCookie(name) {
+    var match = document.cookie.match(new RegExp('(?:^|; )' + name + '=([^;]*)'));
+    try {
+      return match ? decodeURIComponent(match[1]) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeCookie(name, value) {
+    document.cookie = name + '=' + encodeURIComponent(value)
+      + '; path=/; max-age=' + COOKIE_MAX_AGE + '; SameSite=Lax' + (window.location.protocol === 'https:' ? '; Secure' : '');
+  }
+
+  // Sites call this from their consent banner; forms with requireConsent send partial fields only after JestyCRM.consent(true)
+  window.JestyCRM.consent = function(granted) {
+    writeCookie(CONSENT_COOKIE, granted ? '1' : '0');
+  };
+
+  // The first touch stays for 90 days; a campaign link or a referral from another site becomes the last touch
+  function readTouches() {
+    try {
+      var touches = JSON.parse(readCookie(ATTRIBUTION_COOKIE));
+      return touches && touches.first && touches.last ? touches : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function currentTouch() {
+    var params = new URLSearchParams(window.location.search);
+    var touch = { landingPage: (window.location.origin + window.location.pathname).slice(0, 300), at: new Date().toISOString() };
+    var tagged = false;
+    UTM_PARAMS.concat(CLICK_IDS).forEach(function(name) {
+      if (!params.get(name)) return;
+      touch[name] = params.get(name).slice(0, 150);
+      tagged = true;
+    });
+    if (document.referrer && document.referrer.split('/')[2] !== window.location.host) {
+      touch.referrer = document.referrer.slice(0, 300);
+      tagged = true;
+    }
+    return { touch: touch, tagged: tagged };
+  }
+
+  var touches = readTouches();
+  var current = currentTouch();
+  if (!touches) {
+    touches = { first: current.touch, last: current.touch };
+  } else if (current.tagged) {
+    touches.last = current.touch;
+  }
+  writeCookie(ATTRIBUTION_COOKIE, JSON.stringify(touches));
+
+  function formIdOf(form) {
+    var formId = form.getAttribute('data-jesty-form');
+    if (formId) return formId;
+    if (config.formIds.indexOf(form.id) !== -1) return form.id;
+    return config.formIds[0] || 'form-1';
+  }
+
+  function fieldsOf(form) {
+    var data = {};
+    Array.prototype.forEach.call(form.elements, function(el) {
+      if (!el.name || el.disabled || SKIPPED_TYPES.indexOf(el.type) !== -1) return;
+      if ((el.type === 'checkbox' || el.type === 'radio') && !el.checked) return;
+
+      var values = el.type === 'select-multiple'
+        ? Array.prototype.filter.call(el.options, function(option) { return option.selected; }).map(function(option) { return option.value; })
+        : [el.value];
+      values.forEach(function(value) {
+        data[el.name] = data[el.name] === undefined ? value : [].concat(data[el.name], value);
+      });
+    });
+    return data;
+  }
+
+  function showMessage(form, text, isError) {
+    var message = form.nextElementSibling;
+    if (!message || !message.classList.contains('jesty-message')) {
+      message = document.createElement('div');
+      message.setAttribute('role', 'status');
+      form.parentNode.insertBefore(message, form.nextSibling);
+    }
+    message.className = 'jesty-message ' + (isError ? 'jesty-message-error' : 'jesty-message-success');
+    message.textContent = text;
+  }
+
+  // Sites can listen for these, and cancel jesty:submitted to handle success themselves
+  function notify(form, name, detail) {
+    var event;
+    try {
+      event = new CustomEvent(name, { bubbles: true, cancelable: true, detail: detail });
+    } catch (e) {
+      event = document.createEvent('CustomEvent');
+      event.initCustomEvent(name, true, true, detail);
+    }
+    return form.dispatchEvent(event);
+  }
+
+  function submit(form) {
+    var data = fieldsOf(form);
+    var formId = formIdOf(form);
+    var button = form.querySelector('[type=submit]');
+
+    // Resubmitting the same form (retry, double click) reuses its token so only one lead is created
+    if (!form.getAttribute('data-jesty-submission-token')) {
+      form.setAttribute('data-jesty-submission-token', Date.now().toString(36) + Math.random().toString(36).slice(2));
+    }
+    data.submissionToken = form.getAttribute('data-jesty-submission-token');
+    data.formId = formId;
+    data.page = window.location.href;
+    data.attribution = touches;
+    if (readCookie(VISITOR_COOKIE)) data.visitorToken = readCookie(VISITOR_COOKIE);
+    data.landingPage = touches.last.landingPage;
+    data.referrer = touches.last.referrer || '';
+    UTM_PARAMS.concat(CLICK_IDS).forEach(function(name) {
+      if (data[name] === undefined && touches.last[name]) data[name] = touches.last[name];
+    });
+
+    if (button) button.disabled = true;
+    return captcha.fields(form)
+      .then(function(proof) {
+        Object.keys(proof).forEach(function(name) { data[name] = proof[name]; });
+        return fetch(config.submitUrl, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'X-Form-ID': formId },
+          body: JSON.stringify(data)
+        });
+      })
+      .then(function(response) { return response.json(); })
+      .then(function(result) {
+        if (!result.success) throw new Error(result.message || 'Submission failed');
+
+        form.removeAttribute('data-jesty-submission-token');
+        if (!notify(form, 'jesty:submitted', result)) return;
+        if (result.redirectUrl) {
+          window.location.href = result.redirectUrl;
+          return;
+        }
+        form.reset();
+        showMessage(form, result.message || 'Thank you for your submission!', false);
+      })
+      .catch(function(error) {
+        if (notify(form, 'jesty:error', { message: error.message })) {
+          showMessage(form, error.captcha ? error.message : 'Submission failed. Please try again.', true);
+        }
+      })
+      .then(function() {
+        // CAPTCHA tokens work once
+        captcha.reset(form);
+        if (button) button.disabled = false;
+      });
+  }
+
+  function mayCapture(settings) {
+    if (navigator.globalPrivacyControl) return false;
+    var consent = readCookie(CONSENT_COOKIE);
+    return consent === '1' || (consent !== '0' && !settings.requireConsent);
+  }
+
+  function visitorToken() {
+    var token = readCookie(VISITOR_COOKIE);
+    if (!token) {
+      token = Date.now().toString(36) + Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+      writeCookie(VISITOR_COOKIE, token);
+    }
+    return token;
+  }
+
+  // Abandoned form capture: the allowed fields go out once typing pauses, or right away when the page is left
+  function watchPartial(form) {
+    var settings = config.partialForms[formIdOf(form)];
+    if (!settings) return;
+
+    var timer = null;
+    var lastSent = '';
+
+    function send() {
+      clearTimeout(timer);
+      timer = null;
+      if (!mayCapture(settings)) return;
+
+      var values = fieldsOf(form);
+      var fields = {};
+      settings.fields.forEach(function(name) {
+        if (typeof values[name] === 'string' && values[name]) fields[name] = values[name];
+      });
+      var body = JSON.stringify(fields);
+      if (body === '{}' || body === lastSent) return;
+      lastSent = body;
+
+      fetch(config.partialUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        keepalive: true,
+        body: JSON.stringify({ visitorToken: visitorToken(), formId: formIdOf(form), fields: fields, page: window.location.href, attribution: touches })
+      }).catch(function() {});
+    }
+
+    function schedule() {
+      clearTimeout(timer);
+      timer = setTimeout(send, PARTIAL_DELAY);
+    }
+
+    form.addEventListener('input', schedule);
+    form.addEventListener('change', schedule);
+    form.addEventListener('submit', function() {
+      clearTimeout(timer);
+      timer = null;
+      lastSent = '';
+    });
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden' && timer) send();
+    });
+  }
+
+  function attach(form) {
+    if (form.hasAttribute('data-jesty-ignore') || form.hasAttribute('data-jesty-attached')) return;
+    form.setAttribute('data-jesty-attached', '');
+    form.addEventListener('submit', function(event) {
+      event.preventDefault();
+      submit(form);
+    });
+    captcha.prepare(form);
+    watchPartial(form);
+  }
+
+  function scan() {
+    Array.prototype.forEach.call(document.querySelectorAll(config.selector), attach);
+  }
+
+  window.JestyCRM[config.integrationKey] = { scan: scan, submit: submit };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', scan);
+  } else {
+    scan();
+  }
+  // Forms rendered later, e.g. by single-page apps and popups; one scan per burst of changes
+  var scanPending = false;
+  if (window.MutationObserver) {
+    new MutationObserver(function() {
+      if (scanPending) return;
+      scanPending = true;
+      setTimeout(function() {
+        scanPending = false;
+        scan();
+      }, 100);
+    }).observe(document.documentElement, { childList: true, subtree: true });
+  }
+})();
+`;
+  }
+
+  // Strong ETag of a loader script
+  loaderETag(script) {
+    return `"${crypto.createHash('sha256').update(script).digest('hex').slice(0, 32)}"`;
+  }
+
   // Verify website integration
   async verifyIntegration(integrationKey) {
     try {
@@ -627,6 +1083,25 @@ class WebsiteService {
   }
 
   // Helper methods
+
+  // Sites that may submit the integration's forms and embed its hosted forms; null when any may (enableCORS off)
+  allowedOrigins(integration) {
+    if (integration.settings?.enableCORS === false) return null;
+
+    return [
+      `https://${integration.domain}`,
+      `http://${integration.domain}`,
+      `https://www.${integration.domain}`,
+      `http://www.${integration.domain}`,
+      ...(integration.settings?.allowedOrigins || [])
+    ];
+  }
+
+  isAllowedOrigin(integration, origin) {
+    const allowedOrigins = this.allowedOrigins(integration);
+    return !allowedOrigins || allowedOrigins.includes(origin);
+  }
+
   generateIntegrationKey() {
     return crypto.randomBytes(16).toString('hex');
   }
@@ -700,22 +1175,6 @@ class WebsiteService {
     return cleanedData;
   }
 
-  async validateRecaptcha(token, secretKey) {
-    try {
-      const response = await axios.post('https://www.google.com/recaptcha/api/siteverify', null, {
-        params: {
-          secret: secretKey,
-          response: token
-        }
-      });
-
-      return response.data.success;
-    } catch (error) {
-      logger.error('reCAPTCHA validation error:', error.message);
-      return false;
-    }
-  }
-
   async createLead(leadData) {
     try {
       logger.info('Creating lead via leads service client', { 
@@ -731,6 +1190,12 @@ class WebsiteService {
         success: result.success 
       });
 
+      // The public endpoint ignores assignedTo, so only report what the leads-service stored
+      outboundWebhookService.leadCreated(leadData.organizationId, leadId, { ...leadData, assignedTo: result.lead?.assignedTo }, {
+        integrationId: leadData.integrationId ? String(leadData.integrationId) : undefined,
+        formId: leadData.formId
+      });
+
       return {
         id: leadId,
         _id: leadId,
@@ -757,8 +1222,53 @@ class WebsiteService {
 
 
 
-  // Handle website lead from webhook (public endpoint)
-  async handleWebsiteLead(leadData, headers) {
+  /**
+   * Find the active integration a webhook submission belongs to,
+   * by integration key (preferred) or by organization and domain
+   */
+  async findWebhookIntegration(leadData, headers = {}) {
+    const data = { ...leadData, ...(leadData.fields || {}) };
+    const integrationKey = headers['x-integration-key'] || data.integrationKey;
+    const organizationId = headers['x-organization-id'] || data.organizationId;
+    const websiteDomain = headers['x-website-domain'] || data.websiteDomain;
+
+    logger.info('Looking for integration:', {
+      integrationKey,
+      organizationId,
+      websiteDomain
+    });
+
+    let integration = null;
+
+    if (integrationKey) {
+      integration = await WebsiteIntegration.findOne({
+        integrationKey,
+        isActive: true
+      });
+    } else if (organizationId && websiteDomain) {
+      integration = await WebsiteIntegration.findOne({
+        organizationId,
+        domain: websiteDomain,
+        isActive: true
+      });
+    }
+
+    if (!integration) {
+      logger.warn('No integration found with criteria:', {
+        integrationKey,
+        organizationId,
+        websiteDomain
+      });
+    }
+
+    return integration;
+  }
+
+  /**
+   * Handle website lead from webhook (public endpoint)
+   * @param {Object} [eventMetadata] - { captcha } result of the bot check made when the submission arrived
+   */
+  async handleWebsiteLead(leadData, headers, { captcha } = {}) {
     try {
       // Support both formats: nested fields and flat structure
       let processedLeadData = { ...leadData };
@@ -786,57 +1296,18 @@ class WebsiteService {
       const metadata = {
         referer: headers.referer || headers.origin || '',
         userAgent: headers['user-agent'] || '',
-        clientIP: headers['x-forwarded-for']?.split(',')[0] || headers['x-real-ip'] || 'unknown'
+        clientIP: headers['x-forwarded-for']?.split(',')[0] || headers['x-real-ip'] || 'unknown',
+        submissionToken: headers['x-submission-token'],
+        captcha
       };
 
-      // Extract integration key, form ID, and other info
-      const integrationKey = headers['x-integration-key'] || processedLeadData.integrationKey;
       const formId = headers['x-form-id'] || processedLeadData.formId || 'form-1'; // Default to form-1
-      const organizationId = headers['x-organization-id'] || processedLeadData.organizationId;
-      const websiteDomain = headers['x-website-domain'] || processedLeadData.websiteDomain;
-
-      let integration = null;
-
-      logger.info('Looking for integration:', {
-        integrationKey,
-        organizationId,
-        websiteDomain
-      });
-
-      // Find integration by key (preferred method)
-      if (integrationKey) {
-        integration = await WebsiteIntegration.findOne({ 
-          integrationKey,
-          isActive: true 
-        });
-        logger.info('Integration search by key result:', {
-          found: !!integration,
-          integrationKey
-        });
-      }
-      // Fallback: find by organization ID and domain
-      else if (organizationId && websiteDomain) {
-        integration = await WebsiteIntegration.findOne({
-          organizationId,
-          domain: websiteDomain,
-          isActive: true
-        });
-        logger.info('Integration search by org+domain result:', {
-          found: !!integration,
-          organizationId,
-          websiteDomain
-        });
-      }
+      const integration = await this.findWebhookIntegration(processedLeadData, headers);
 
       if (!integration) {
-        logger.warn('No integration found with criteria:', {
-          integrationKey,
-          organizationId,
-          websiteDomain
-        });
-        
         return {
           success: false,
+          reason: 'integration_not_found',
           message: 'Website integration not found or inactive'
         };
       }
@@ -888,35 +1359,20 @@ class WebsiteService {
 
       return {
         success: false,
+        ...(error.code === 'INTEGRATION_NOT_FOUND' && { reason: 'integration_not_found' }),
         message: error.message || 'Failed to process website lead'
       };
     }
   }
 
-  // Generate embed code for integration
+  // Generate embed code for integration: the loader script, which picks up the site's forms itself
   generateEmbedCode(integration) {
-    const integrationKey = integration.integrationKey;
-    const domain = integration.domain;
-    
+    const loaderUrl = `${process.env.SERVICE_URL || 'https://api.jestycrm.com'}/api/integrations/website/embed/${integration.integrationKey}`;
+
     return `
 <!-- Jesty CRM Integration Embed Code -->
-<div id="jesty-form-container"></div>
-<script>
-(function() {
-  var script = document.createElement('script');
-  script.src = '${this.serviceURL}/js/form-embed.js';
-  script.async = true;
-  script.onload = function() {
-    JestyForm.init({
-      integrationKey: '${integrationKey}',
-      containerId: 'jesty-form-container',
-      domain: '${domain}',
-      apiUrl: '${this.serviceURL}'
-    });
-  };
-  document.head.appendChild(script);
-})();
-</script>
+<!-- Sends forms with data-jesty-form="<formId>", class="jesty-form" or the id of one of your form IDs -->
+<script src="${loaderUrl}" async></script>
 <!-- End Jesty CRM Integration -->
     `.trim();
   }
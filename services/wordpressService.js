@@ -2,6 +2,19 @@ const axios = require('axios');
 const crypto = require('crypto');
 const WordPressIntegration = require('../models/WordPressIntegration');
 const WordPressPluginGenerator = require('./wordpressPluginGenerator');
+const spamDetectionService = require('./spamDetection.service');
+const quarantineService = require('./quarantine.service');
+const captchaService = require('./captcha.service');
+const outboundWebhookService = require('./outboundWebhook.service');
+const fieldMappingService = require('./fieldMapping.service');
+const phoneNormalizationService = require('./phoneNormalization.service');
+const leadDedupeService = require('./leadDedupe.service');
+const idempotencyService = require('./idempotency.service');
+const attributionService = require('./attribution.service');
+const assignmentEngine = require('./assignmentEngine.service');
+const assignmentQueue = require('./assignmentQueue.service');
+const assignmentLog = require('./assignmentLog.service');
+const slaWatcher = require('./slaWatcher.service');
 const logger = require('../utils/logger');
 
 class WordPressService {
@@ -24,16 +37,21 @@ class WordPressService {
       // Process lead assignment settings
       let assignmentSettings = null;
       if (leadAssignment) {
-        assignmentSettings = {
+        // The plugin setup still sends the algorithm as the mode ('round-robin')
+        const { mode, algorithm } = assignmentEngine.normalizeSettings({
           mode: leadAssignment.mode || 'round-robin',
-          assignToUsers: leadAssignment.assignToUsers || [],
-          distribution: leadAssignment.distribution || 'equal',
-          isActive: true,
-          lastAssignmentIndex: 0
+          algorithm: leadAssignment.algorithm
+        });
+
+        assignmentSettings = {
+          enabled: true,
+          mode,
+          algorithm,
+          assignToUsers: leadAssignment.assignToUsers || []
         };
 
         // Validate assignment mode specific requirements
-        if (assignmentSettings.mode === 'specific' && assignmentSettings.assignToUsers.length === 0) {
+        if (leadAssignment.mode === 'specific' && assignmentSettings.assignToUsers.length === 0) {
           throw new Error('Specific assignment mode requires at least one user');
         }
       }
@@ -185,6 +203,7 @@ class WordPressService {
 
   // Process form submission with API key
   async processFormSubmissionWithApiKey(apiKey, formData, metadata = {}) {
+    let ledger = null;
     try {
       console.log('🔄 Processing WordPress form submission with API key:', {
         apiKey: apiKey.substring(0, 8) + '...',
@@ -210,9 +229,16 @@ class WordPressService {
         connected: integration.connected
       });
 
+      ledger = await this.claimSubmission(integration, formData, metadata);
+      if (!ledger.proceed) {
+        return this.repeatedSubmissionResult(ledger);
+      }
+
+      const { formData: fields, attribution } = this.splitAttribution(formData, metadata);
+      formData = fields;
+
       // Auto-map form fields to CRM fields
-      // Auto-map form fields
-      const mappedData = this.autoMapFormFields(formData, integration.autoMapping);
+      const mappedData = await this.mapFormFields(formData, integration, metadata);
 
       // Validate required fields
       if (!mappedData.email && !mappedData.phone) {
@@ -220,6 +246,21 @@ class WordPressService {
         throw new Error('Email or phone is required');
       }
 
+      // Score before the placeholder phone is filled in below
+      const spamResult = await this.checkSpam(integration, mappedData, formData, metadata);
+      if (spamResult.blocked) {
+        await idempotencyService.complete(ledger, null, 'blocked');
+        return {
+          success: true,
+          leadId: null,
+          blocked: true,
+          spamAction: spamResult.action
+        };
+      }
+
+      // The placeholder below must not make every phone-less submission a duplicate
+      const hasPhone = !!mappedData.phone;
+
       // Ensure we have both email and phone for leads service requirements
       if (!mappedData.email) {
         console.log('⚠️ No email found, using phone as primary contact');
@@ -230,7 +271,8 @@ class WordPressService {
       }
 
       // Prepare lead data
-      const assignedUserId = this.assignLead(integration.assignmentSettings);
+      const assignment = await this.getAssignment(integration, this.routingFields(formData, mappedData, metadata));
+      const assignedUserId = assignment?.user?.userId || null;
       
       const leadData = {
         organizationId: integration.organizationId,
@@ -251,17 +293,47 @@ class WordPressService {
         }
       };
 
+      if (attribution) {
+        leadData.sourceDetails = { attribution };
+      }
+
+      if (spamResult.isSpam) {
+        leadData.metadata = { spamCheck: spamDetectionService.toLeadMetadata(spamResult) };
+      }
+
       // Add assignedTo if we have a valid user ID
       if (assignedUserId && typeof assignedUserId === 'string') {
         leadData.assignedTo = assignedUserId;
       }
 
+      const dedupe = await leadDedupeService.apply(hasPhone ? leadData : { ...leadData, phone: null }, {
+        source: 'wordpress',
+        integration,
+        formId: metadata.formId
+      });
+      if (dedupe.handled) {
+        await idempotencyService.complete(ledger, dedupe.leadId, dedupe.action);
+        return {
+          success: true,
+          leadId: dedupe.leadId,
+          duplicateAction: dedupe.action
+        };
+      }
+      if (dedupe.metadata) {
+        leadData.metadata = { ...leadData.metadata, dedupe: dedupe.metadata };
+      }
+
       // Create lead
-      const leadResult = await this.createLead(leadData);
+      const leadResult = await this.createLead(leadData, integration);
 
       if (!leadResult || !leadResult.leadId) {
         throw new Error('Failed to create lead - no lead ID returned');
       }
+      await idempotencyService.complete(ledger, leadResult.leadId);
+      await this.recordAttribution(integration, leadResult.leadId, metadata, attribution);
+      await assignmentQueue.defer(assignment, leadResult.leadId);
+      await assignmentLog.record(assignment, leadResult.leadId);
+      await slaWatcher.watch(assignment, leadResult.leadId);
 
       // Update integration statistics and form data
       await this.updateIntegrationStats(integration, metadata.formId);
@@ -281,6 +353,7 @@ class WordPressService {
       };
 
     } catch (error) {
+      await idempotencyService.release(ledger, error);
       console.error('❌ Error in processFormSubmissionWithApiKey:', error);
       logger.error('Error processing WordPress form submission with API key:', error);
       throw error;
@@ -404,6 +477,7 @@ class WordPressService {
 
   // Process WordPress form submission
   async processFormSubmission(integrationKey, formData, metadata = {}) {
+    let ledger = null;
     try {
       logger.info('Processing WordPress form submission:', {
         integrationKey,
@@ -421,15 +495,35 @@ class WordPressService {
         throw new Error('WordPress integration not found or inactive');
       }
 
+      ledger = await this.claimSubmission(integration, formData, metadata);
+      if (!ledger.proceed) {
+        return this.repeatedSubmissionResult(ledger);
+      }
+
+      const { formData: fields, attribution } = this.splitAttribution(formData, metadata);
+      formData = fields;
+
       // Auto-map form fields to CRM fields
-      const mappedData = this.autoMapFormFields(formData, integration.autoMapping);
+      const mappedData = await this.mapFormFields(formData, integration, metadata);
 
       // Validate required fields
       if (!mappedData.email && !mappedData.phone) {
         throw new Error('Email or phone is required');
       }
 
+      const spamResult = await this.checkSpam(integration, mappedData, formData, metadata);
+      if (spamResult.blocked) {
+        await idempotencyService.complete(ledger, null, 'blocked');
+        return {
+          success: true,
+          leadId: null,
+          blocked: true,
+          spamAction: spamResult.action
+        };
+      }
+
       // Prepare lead data
+      const assignment = await this.getAssignment(integration, this.routingFields(formData, mappedData, metadata));
       const leadData = {
         organizationId: integration.organizationId,
         name: mappedData.name || 'WordPress Visitor',
@@ -439,7 +533,7 @@ class WordPressService {
         sourceId: `wp_${integrationKey}_${Date.now()}`,
         status: integration.leadMappingConfig?.leadStatus || 'new',
         priority: integration.leadMappingConfig?.leadPriority || 'medium',
-        assignedTo: this.getAssignedUser(integration),
+        assignedTo: assignment?.user?.userId || null,
         
         customFields: {
           company: mappedData.company,
@@ -465,7 +559,8 @@ class WordPressService {
           formName: metadata.formName,
           formPlugin: metadata.formPlugin,
           pageUrl: metadata.pageUrl,
-          submissionId: metadata.submissionId
+          submissionId: metadata.submissionId,
+          ...(attribution && { attribution })
         },
 
         tags: [
@@ -475,8 +570,34 @@ class WordPressService {
         ]
       };
 
+      if (spamResult.isSpam) {
+        leadData.metadata = { spamCheck: spamDetectionService.toLeadMetadata(spamResult) };
+      }
+
+      const dedupe = await leadDedupeService.apply(leadData, {
+        source: 'wordpress',
+        integration,
+        formId: metadata.formId
+      });
+      if (dedupe.handled) {
+        await idempotencyService.complete(ledger, dedupe.leadId, dedupe.action);
+        return {
+          success: true,
+          leadId: dedupe.leadId,
+          duplicateAction: dedupe.action
+        };
+      }
+      if (dedupe.metadata) {
+        leadData.metadata = { ...leadData.metadata, dedupe: dedupe.metadata };
+      }
+
       // Create lead
-      const leadResult = await this.createLead(leadData);
+      const leadResult = await this.createLead(leadData, integration);
+      await idempotencyService.complete(ledger, leadResult.data?._id);
+      await this.recordAttribution(integration, leadResult.leadId || leadResult.data?._id, metadata, attribution);
+      await assignmentQueue.defer(assignment, leadResult.leadId || leadResult.data?._id);
+      await assignmentLog.record(assignment, leadResult.leadId || leadResult.data?._id);
+      await slaWatcher.watch(assignment, leadResult.leadId || leadResult.data?._id);
 
       // Update integration statistics
       await this.updateIntegrationStats(integration, metadata.formId);
@@ -503,11 +624,119 @@ class WordPressService {
       };
 
     } catch (error) {
+      await idempotencyService.release(ledger, error);
       logger.error('Error processing WordPress form submission:', error);
       throw error;
     }
   }
 
+  // Plugins retry failed deliveries and visitors double submit; both send the same form data
+  async claimSubmission(integration, formData, metadata = {}) {
+    const submissionHash = idempotencyService.fingerprint({
+      integrationId: String(integration._id),
+      formId: metadata.formId || null,
+      submissionId: metadata.submissionId || null,
+      fields: formData
+    });
+
+    return idempotencyService.claim('wordpress', submissionHash, {
+      organizationId: integration.organizationId,
+      integrationId: integration._id
+    });
+  }
+
+  // Answer for a submission the ledger has already seen: the lead it created
+  repeatedSubmissionResult(ledger) {
+    if (ledger.inProgress) {
+      throw new Error('Submission is already being processed');
+    }
+
+    return {
+      success: true,
+      leadId: ledger.leadId,
+      duplicateAction: 'already_processed'
+    };
+  }
+
+  // The plugin posts its attribution cookie next to the form fields; forms without it
+  // may still carry utm_* fields, and the page the form was on stands in for the landing page
+  splitAttribution(formData, metadata = {}) {
+    const { attribution: captured, ...fields } = formData;
+    return {
+      formData: fields,
+      attribution: attributionService.fromSubmission(captured, { ...fields, page: metadata.pageUrl })
+    };
+  }
+
+  async recordAttribution(integration, leadId, metadata, attribution) {
+    return attributionService.record({
+      organizationId: integration.organizationId,
+      leadId,
+      source: 'wordpress',
+      integrationId: integration._id,
+      formId: metadata.formId,
+      attribution
+    });
+  }
+
+  // Score a submission with the shared spam engine
+  async checkSpam(integration, mappedData, formData, metadata) {
+    const spamLead = {
+      name: mappedData.name,
+      email: mappedData.email,
+      phone: mappedData.phone,
+      fields: formData
+    };
+    const spamContext = {
+      organizationId: integration.organizationId,
+      source: 'wordpress',
+      ip: metadata.ipAddress,
+      formId: metadata.formId,
+      formName: metadata.formName
+    };
+
+    // A submission that failed its bot check at intake is held back like spam
+    const spamResult = captchaService.applyToSpamResult(
+      await spamDetectionService.checkLead(spamLead, spamContext),
+      metadata.captcha
+    );
+    spamDetectionService.logDetection(spamLead, spamResult, spamContext);
+
+    if (spamResult.blocked) {
+      await quarantineService.quarantineSpam(spamResult, {
+        organizationId: integration.organizationId,
+        source: 'wordpress',
+        integrationId: integration._id,
+        formId: metadata.formId,
+        formName: metadata.formName,
+        externalId: metadata.submissionId,
+        lead: {
+          name: mappedData.name,
+          email: mappedData.email,
+          phone: mappedData.phone,
+          company: mappedData.company,
+          customFields: mappedData.customFields,
+          metadata: { pageUrl: metadata.pageUrl, formPlugin: metadata.formPlugin }
+        },
+        rawPayload: formData
+      });
+    }
+
+    return spamResult;
+  }
+
+  // Field mapping rules configured for the integration or form win over autoMapping
+  async mapFormFields(formData, integration, metadata = {}) {
+    const mapped = await fieldMappingService.mapLead('wordpress', formData, {
+      organizationId: integration.organizationId,
+      integrationId: integration._id,
+      formId: metadata.formId,
+      phoneDefaultCountry: integration.phoneDefaultCountry
+    });
+
+    return mapped || this.autoMapFormFields(formData, integration.autoMapping);
+  }
+
   // Auto-map WordPress form fields to CRM fields
   autoMapFormFields(formData, autoMapping) {
     const mappedData = {
@@ -597,80 +826,95 @@ class WordPressService {
     return 'text';
   }
 
-  // Get assigned user based on integration settings
-  getAssignedUser(integration) {
-    if (!integration.assignmentSettings || !integration.assignmentSettings.enabled) {
-      return integration.leadMappingConfig?.autoAssignment?.assignToUser || null;
-    }
-
-    const { mode, assignToUsers } = integration.assignmentSettings;
+  // Assignment settings of an integration. Without assignmentSettings the legacy
+  // leadMappingConfig.autoAssignment user is assigned; its businessHours rule turns on working hours.
+  effectiveAssignmentSettings(integration) {
+    const stored = typeof integration.toObject === 'function' ? integration.toObject() : integration;
+    const settings = stored.assignmentSettings;
+    const legacy = stored.leadMappingConfig?.autoAssignment;
+    const businessHours = !!legacy?.rules?.businessHours;
 
-    switch (mode) {
-      case 'specific':
-        if (assignToUsers && assignToUsers.length > 0) {
-          return assignToUsers[0].userId;
+    if (settings?.enabled) {
+      return {
+        ...settings,
+        workingHours: {
+          enabled: !!settings.workingHours?.enabled || businessHours,
+          outsideHours: settings.workingHours?.outsideHours || 'queue'
         }
-        break;
-      case 'round-robin':
-        return this.getRoundRobinUser(integration);
-      case 'weighted-round-robin':
-        return this.getWeightedRoundRobinUser(integration);
-      default:
-        return null;
+      };
     }
+
+    if (!legacy?.assignToUser) return null;
+
+    return {
+      enabled: true,
+      mode: 'specific',
+      algorithm: 'round-robin',
+      assignToUsers: [{ userId: legacy.assignToUser }],
+      workingHours: { enabled: businessHours, outsideHours: 'queue' }
+    };
   }
 
-  // Round-robin assignment
-  getRoundRobinUser(integration) {
-    const { assignToUsers } = integration.assignmentSettings;
-    if (!assignToUsers || assignToUsers.length === 0) return null;
+  // Fields routing rules test: the raw submission, the mapped CRM fields and the form
+  routingFields(formData, mappedData, metadata = {}) {
+    return {
+      ...formData,
+      ...mappedData,
+      formId: metadata.formId,
+      formName: metadata.formName,
+      formPlugin: metadata.formPlugin
+    };
+  }
 
-    const currentIndex = (integration.assignmentSettings.lastAssignmentIndex || 0) % assignToUsers.length;
-    const selectedUser = assignToUsers[currentIndex];
-    
-    // Update assignment index (don't await to avoid blocking)
-    this.updateAssignmentIndex(integration._id, (currentIndex + 1) % assignToUsers.length);
-    
-    return selectedUser.userId;
+  // Who the next lead would go to, without moving the distribution on; see assignmentEngine.peekAvailable
+  async previewAssignment(integration) {
+    const settings = assignmentEngine.normalizeSettings(this.effectiveAssignmentSettings(integration));
+    if (!settings.enabled || settings.mode === 'manual') return null;
+
+    return assignmentEngine.peekAvailable(
+      assignmentEngine.scopeFor('wordpress', integration._id),
+      settings.users,
+      settings,
+      { organizationId: integration.organizationId }
+    );
   }
 
-  // Weighted round-robin assignment
-  getWeightedRoundRobinUser(integration) {
-    const { assignToUsers } = integration.assignmentSettings;
-    if (!assignToUsers || assignToUsers.length === 0) return null;
-
-    // Create weighted array
-    const weightedUsers = [];
-    assignToUsers.forEach(user => {
-      const weight = user.weight || 1;
-      for (let i = 0; i < weight; i++) {
-        weightedUsers.push(user);
+  // Get the assignment for a new lead; outside working hours it may be deferred to the next shift.
+  // With lead fields, the organization's routing rules may pick other users
+  async getAssignment(integration, lead) {
+    const settings = this.effectiveAssignmentSettings(integration);
+    if (!settings) return null;
+
+    const result = await assignmentEngine.nextForSettings(
+      assignmentEngine.scopeFor('wordpress', integration._id),
+      settings,
+      {
+        organizationId: integration.organizationId,
+        locator: { source: 'wordpress', integrationId: String(integration._id) },
+        lead
       }
-    });
+    );
+    if (!result || result.deferred) return result;
 
-    const currentIndex = (integration.assignmentSettings.lastAssignmentIndex || 0) % weightedUsers.length;
-    const selectedUser = weightedUsers[currentIndex];
-    
-    // Update assignment index (don't await to avoid blocking)
-    this.updateAssignmentIndex(integration._id, (currentIndex + 1) % weightedUsers.length);
-    
-    return selectedUser.userId;
+    if (integration.assignmentSettings?.enabled) {
+      await assignmentEngine.recordLastAssignment(WordPressIntegration, { _id: integration._id }, 'assignmentSettings', result);
+    }
+    return result;
   }
 
-  // Update assignment index (non-blocking)
-  async updateAssignmentIndex(integrationId, newIndex) {
-    try {
-      await WordPressIntegration.findByIdAndUpdate(integrationId, {
-        'assignmentSettings.lastAssignmentIndex': newIndex
-      });
-    } catch (error) {
-      logger.error('Error updating assignment index:', error);
-    }
+  // Get assigned user based on integration settings
+  async getAssignedUser(integration) {
+    const assignment = await this.getAssignment(integration);
+    return assignment?.user?.userId || null;
   }
 
   // Create lead in CRM
-  async createLead(leadData) {
+  async createLead(leadData, integration) {
     try {
+      leadData = await phoneNormalizationService.normalizeLead(leadData, {
+        defaultCountry: integration?.phoneDefaultCountry
+      });
+
       console.log('� Creating WordPress lead via import endpoint (like Shopify)...');
       console.log('🔗 Using WordPress import endpoint:', `${this.leadsServiceUrl}/api/wordpress-leads/import/wordpress`);
 
@@ -702,6 +946,13 @@ class WordPressService {
         console.error('❌ No lead ID found in response:', responseData);
         throw new Error('Failed to extract lead ID from response');
       }
+
+      outboundWebhookService.leadCreated(leadData.organizationId, leadId, {
+        ...formattedLeadData,
+        assignedTo: createdLead?.assignedTo
+      }, {
+        formId: leadData.customFields?.formId
+      });
       
       return {
         success: true,
@@ -856,6 +1107,8 @@ class WordPressService {
         formId: 'test-form',
         formName: 'Test Form',
         formPlugin: 'test',
+        // Every test is a new submission for the idempotency ledger
+        submissionId: `test_${Date.now()}`,
         pageUrl: integration.siteUrl,
         ipAddress: '127.0.0.1',
         userAgent: 'WordPress Integration Test'
@@ -935,9 +1188,11 @@ class WordPressService {
 
       // Update lead assignment settings
       if (updateData.leadAssignment) {
+        const { hybrid } = updateData.leadAssignment;
         integration.assignmentSettings = {
           ...integration.assignmentSettings,
           ...updateData.leadAssignment,
+          ...(hybrid && { hybrid: assignmentEngine.mergeHybrid(integration.assignmentSettings?.hybrid, hybrid) }),
           isActive: true
         };
       }
@@ -983,59 +1238,6 @@ class WordPressService {
       throw error;
     }
   }
-
-  // Lead assignment helper
-  assignLead(assignmentSettings) {
-    if (!assignmentSettings || (!assignmentSettings.isActive && !assignmentSettings.enabled)) {
-      return null;
-    }
-
-    if (!assignmentSettings.assignToUsers || assignmentSettings.assignToUsers.length === 0) {
-      return null;
-    }
-
-    let selectedUser = null;
-
-    switch (assignmentSettings.mode) {
-      case 'specific':
-        selectedUser = assignmentSettings.assignToUsers[0];
-        break;
-      
-      case 'round-robin':
-        const rrIndex = (assignmentSettings.lastAssignmentIndex || 0) % assignmentSettings.assignToUsers.length;
-        selectedUser = assignmentSettings.assignToUsers[rrIndex];
-        break;
-      
-      case 'weighted-round-robin':
-        const weightedUsers = [];
-        assignmentSettings.assignToUsers.forEach(user => {
-          const weight = user.weight || 1;
-          for (let i = 0; i < weight; i++) {
-            weightedUsers.push(user);
-          }
-        });
-        
-        const wrIndex = (assignmentSettings.lastAssignmentIndex || 0) % weightedUsers.length;
-        selectedUser = weightedUsers[wrIndex];
-        break;
-      
-      default:
-        selectedUser = assignmentSettings.assignToUsers[0];
-    }
-
-    // Extract userId as string
-    if (selectedUser) {
-      if (typeof selectedUser === 'string') {
-        return selectedUser;
-      } else if (selectedUser.userId) {
-        return selectedUser.userId.toString();
-      } else if (selectedUser._id) {
-        return selectedUser._id.toString();
-      }
-    }
-
-    return null;
-  }
 }
 
 module.exports = new WordPressService();
\ No newline at end of file
@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const { isWithinShift, nextShiftStart } = require('../utils/workingHours');
+const logger = require('../utils/logger');
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Every assignment with working hours on reads the schedules
+const HOURS_CACHE_TTL_MS = 60 * 1000;
+
+const EMPTY_HOURS = {
+  timezone: 'UTC',
+  defaultShifts: [],
+  holidays: [],
+  onCallUsers: [],
+  users: []
+};
+
+/**
+ * Telecaller working hours: who is on shift, and when the next shift starts.
+ *
+ * Schedules are kept per organization in OrganizationSettings.workingHours.
+ * A user's own schedule overrides the organization's default shifts; users
+ * with neither are always available.
+ */
+class WorkingHoursService {
+  constructor() {
+    this.hoursCache = new Map();
+  }
+
+  async getOrganizationHours(organizationId) {
+    if (!organizationId || !isConnected() || !mongoose.Types.ObjectId.isValid(organizationId)) {
+      return EMPTY_HOURS;
+    }
+
+    const key = String(organizationId);
+    const cached = this.hoursCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.hours;
+    }
+
+    try {
+      const settings = await OrganizationSettings.findOne({ organizationId }).select('workingHours').lean();
+      const hours = { ...EMPTY_HOURS, ...(settings?.workingHours || {}) };
+      this.hoursCache.set(key, { hours, expiresAt: Date.now() + HOURS_CACHE_TTL_MS });
+      return hours;
+    } catch (error) {
+      // Without schedules everyone counts as available; assignment must not stop
+      logger.error('Failed to load organization working hours:', error.message);
+      return EMPTY_HOURS;
+    }
+  }
+
+  /**
+   * Timezone a user works in
+   */
+  timezoneFor(hours, userId) {
+    const own = (hours.users || []).find(user => String(user.userId) === String(userId));
+    return own?.timezone || hours.timezone || 'UTC';
+  }
+
+  /**
+   * Effective schedule of a user, or null when the user is always available
+   */
+  scheduleFor(hours, userId) {
+    const own = (hours.users || []).find(user => String(user.userId) === String(userId));
+    const shifts = own?.shifts?.length ? own.shifts : hours.defaultShifts;
+    if (!shifts || shifts.length === 0) return null;
+
+    return {
+      timezone: this.timezoneFor(hours, userId),
+      shifts,
+      daysOff: own?.daysOff || []
+    };
+  }
+
+  /**
+   * Split users by whether they are on shift
+   * @param {string} organizationId
+   * @param {Array<string>} userIds
+   * @param {Date} [now]
+   * @returns {Promise<Object>} { onShift: [userId], availableAt: Date|null, onCall: [userId] }
+   *   availableAt is the earliest shift start among the users who are off
+   */
+  async getAvailability(organizationId, userIds, now = new Date()) {
+    const hours = await this.getOrganizationHours(organizationId);
+    const holidays = (hours.holidays || []).map(holiday => holiday.date);
+
+    const onShift = [];
+    let availableAt = null;
+
+    userIds.forEach(userId => {
+      const schedule = this.scheduleFor(hours, userId);
+      if (!schedule || isWithinShift(schedule, now, holidays)) {
+        onShift.push(userId);
+        return;
+      }
+
+      const next = nextShiftStart(schedule, now, holidays);
+      if (next && (!availableAt || next < availableAt)) {
+        availableAt = next;
+      }
+    });
+
+    return {
+      onShift,
+      availableAt,
+      onCall: (hours.onCallUsers || []).map(userId => String(userId))
+    };
+  }
+
+  async getSettings(organizationId) {
+    const settings = isConnected()
+      ? await OrganizationSettings.findOne({ organizationId }).select('workingHours').lean()
+      : null;
+
+    return { ...EMPTY_HOURS, ...(settings?.workingHours || {}) };
+  }
+
+  /**
+   * Replace the organization-wide fields that are given (timezone, defaultShifts, holidays, onCallUsers)
+   */
+  async updateSettings(organizationId, settings, updatedBy) {
+    const $set = { updatedBy };
+    ['timezone', 'defaultShifts', 'holidays', 'onCallUsers'].forEach(field => {
+      if (settings[field] !== undefined) {
+        $set[`workingHours.${field}`] = settings[field];
+      }
+    });
+
+    await OrganizationSettings.findOneAndUpdate(
+      { organizationId },
+      { $set },
+      { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    this.hoursCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+
+  /**
+   * Set one user's schedule ({ timezone, shifts, daysOff })
+   */
+  async setUserSchedule(organizationId, userId, schedule, updatedBy) {
+    const entry = {
+      userId,
+      timezone: schedule.timezone || undefined,
+      shifts: schedule.shifts || [],
+      daysOff: schedule.daysOff || []
+    };
+
+    const result = await OrganizationSettings.updateOne(
+      { organizationId, 'workingHours.users.userId': userId },
+      { $set: { 'workingHours.users.$': entry, updatedBy } },
+      { runValidators: true }
+    );
+
+    if (result.matchedCount === 0) {
+      await OrganizationSettings.findOneAndUpdate(
+        { organizationId },
+        { $push: { 'workingHours.users': entry }, $set: { updatedBy } },
+        { upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    }
+    this.hoursCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+
+  /**
+   * Drop a user's own schedule so the default shifts apply again
+   */
+  async removeUserSchedule(organizationId, userId, updatedBy) {
+    await OrganizationSettings.updateOne(
+      { organizationId },
+      { $pull: { 'workingHours.users': { userId } }, $set: { updatedBy } }
+    );
+    this.hoursCache.delete(String(organizationId));
+
+    return this.getSettings(organizationId);
+  }
+}
+
+module.exports = new WorkingHoursService();
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const AssignmentState = require('../models/AssignmentState');
+const ShopifyIntegration = require('../models/ShopifyIntegration');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const shopifyService = require('../services/shopifyService');
+
+jest.mock('../models/AssignmentState');
+jest.mock('../models/ShopifyIntegration');
+
+describe('Assignment Engine Tests', () => {
+  const users = [
+    { userId: 'alice', weight: 2, isActive: true },
+    { userId: 'bob', weight: 1, isActive: true },
+    { userId: 'carol', weight: 1, isActive: false }
+  ];
+
+  // Emulates the atomic $inc of the stored sequence
+  let sequence;
+  const mockSequence = () => {
+    AssignmentState.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ sequence: ++sequence })
+    }));
+  };
+
+  const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    sequence = 0;
+    readyState.mockReturnValue(1);
+    mockSequence();
+    AssignmentState.updateOne.mockResolvedValue({});
+    ShopifyIntegration.updateOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should give concurrent leads different weighted round-robin slots', async () => {
+    const picks = await Promise.all(
+      [1, 2, 3, 4, 5, 6].map(() => assignmentEngine.next('website:integration123', users, 'weighted-round-robin'))
+    );
+
+    expect(picks.map(pick => pick.user.userId)).toEqual(['alice', 'alice', 'bob', 'alice', 'alice', 'bob']);
+    expect(picks.map(pick => pick.sequence)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(picks[2]).toMatchObject({ nextIndex: 2, algorithm: 'weighted-round-robin', user: { _id: 'bob', weight: 1 } });
+
+    const [filter, update, options] = AssignmentState.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ scope: 'website:integration123' });
+    expect(update.$inc).toEqual({ sequence: 1 });
+    expect(options).toMatchObject({ upsert: true, new: true });
+  });
+
+  test('should read legacy modes and algorithms as the shared settings', () => {
+    expect(assignmentEngine.normalizeSettings({ enabled: true, mode: 'round-robin', algorithm: 'weighted-round-robin', assignToUsers: users }))
+      .toMatchObject({ enabled: true, mode: 'specific', algorithm: 'round-robin' });
+    expect(assignmentEngine.normalizeSettings({ enabled: true, mode: 'auto', algorithm: 'least-active' }).algorithm).toBe('least-assigned');
+
+    // Lead forms have no mode of their own
+    const form = assignmentEngine.normalizeSettings({ enabled: true, algorithm: 'random', assignToUsers: users });
+    expect(form.mode).toBe('specific');
+    expect(form.users.map(user => user.userId)).toEqual(['alice', 'bob']);
+
+    expect(assignmentEngine.isValidAlgorithm('least-active')).toBe(true);
+    expect(assignmentEngine.isValidAlgorithm('fastest')).toBe(false);
+  });
+
+  test('should retry least-assigned when another lead was assigned in between', async () => {
+    AssignmentState.findOne
+      .mockReturnValueOnce({ lean: async () => ({ sequence: 4, counts: { alice: 2, bob: 2 } }) })
+      .mockReturnValueOnce({ lean: async () => ({ sequence: 5, counts: { alice: 3, bob: 2 } }) });
+    AssignmentState.findOneAndUpdate
+      .mockReturnValueOnce({ lean: () => Promise.reject(duplicateKeyError()) })
+      .mockReturnValueOnce({ lean: async () => ({ sequence: 6 }) });
+
+    const pick = await assignmentEngine.next('facebook:integration123:page123:form123', users, 'least-assigned');
+
+    expect(pick.user.userId).toBe('bob');
+    expect(pick.sequence).toBe(6);
+
+    // The second attempt is only committed if the sequence is still the one it read
+    const [filter, update] = AssignmentState.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ scope: 'facebook:integration123:page123:form123', sequence: 5 });
+    expect(update.$inc).toEqual({ sequence: 1, 'counts.bob': 1 });
+  });
+
+  test('should preview without advancing the distribution', async () => {
+    AssignmentState.findOne.mockReturnValue({ lean: async () => ({ sequence: 2 }) });
+
+    const preview = await assignmentEngine.peek('website:integration123', users, 'weighted-round-robin');
+
+    expect(preview.user.userId).toBe('bob');
+    expect(AssignmentState.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(AssignmentState.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should distribute Shopify leads with the shared engine', async () => {
+    const integration = {
+      _id: 'shopify123',
+      assignmentSettings: {
+        enabled: true,
+        mode: 'round-robin',
+        algorithm: 'weighted-round-robin',
+        assignToUsers: users
+      }
+    };
+
+    const assigned = [];
+    for (let i = 0; i < 3; i++) {
+      assigned.push(await shopifyService.getAssignedUser(integration));
+    }
+
+    // The legacy mode wins over the stored algorithm, as it did before
+    expect(assigned).toEqual(['alice', 'bob', 'alice']);
+    expect(AssignmentState.findOneAndUpdate.mock.calls[0][0]).toEqual({ scope: 'shopify:shopify123' });
+
+    const [filter, update] = ShopifyIntegration.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'shopify123' });
+    expect(update.$set['assignmentSettings.lastAssignment']).toMatchObject({ userId: 'alice', roundRobinIndex: 0 });
+
+    integration.assignmentSettings.mode = 'manual';
+    expect(await shopifyService.getAssignedUser(integration)).toBeNull();
+  });
+
+  test('should keep distributing in memory without a database', async () => {
+    readyState.mockReturnValue(0);
+    await assignmentEngine.reset('website:offline');
+
+    const picks = [];
+    for (let i = 0; i < 3; i++) {
+      picks.push((await assignmentEngine.next('website:offline', users, 'round-robin')).user.userId);
+    }
+
+    expect(picks).toEqual(['alice', 'bob', 'alice']);
+    expect(AssignmentState.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const AssignmentLog = require('../models/AssignmentLog');
+const AssignmentState = require('../models/AssignmentState');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const RoutingRule = require('../models/RoutingRule');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentLog = require('../services/assignmentLog.service');
+const routingRulesService = require('../services/routingRules.service');
+
+jest.mock('../models/AssignmentLog');
+jest.mock('../models/AssignmentState');
+jest.mock('../models/OrganizationSettings');
+jest.mock('../models/RoutingRule');
+
+describe('Assignment Log Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const locator = { source: 'facebook', integrationId: 'integration123', pageId: 'page123', formId: 'form123' };
+  const scope = 'facebook:integration123:page123:form123';
+
+  const settings = {
+    enabled: true,
+    algorithm: 'weighted-round-robin',
+    assignToUsers: [{ userId: 'alice', weight: 2 }, { userId: 'bob', weight: 1 }]
+  };
+
+  const lastAssignee = (userId) => {
+    AssignmentLog.findOne.mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => (userId ? { assignedTo: userId } : null) }) })
+    });
+  };
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(1);
+    routingRulesService.rulesCache.clear();
+
+    RoutingRule.find.mockReturnValue({ sort: () => ({ lean: async () => [] }) });
+    // No working hours or capacity caps
+    OrganizationSettings.findOne.mockReturnValue({
+      select: () => ({ lean: async () => null })
+    });
+
+    let sequence = 0;
+    AssignmentState.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ sequence: ++sequence })
+    }));
+    AssignmentState.updateOne.mockResolvedValue({});
+
+    lastAssignee(null);
+    AssignmentLog.create.mockImplementation(async (entry) => entry);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should log a pick with its candidate pool and the share each was owed', async () => {
+    const result = await assignmentEngine.nextForSettings(scope, settings, { organizationId, locator });
+    const entry = await assignmentLog.record(result, 'lead123');
+
+    expect(entry).toMatchObject({
+      organizationId,
+      leadId: 'lead123',
+      event: 'assigned',
+      source: 'facebook',
+      integrationId: 'integration123',
+      formId: 'form123',
+      scope,
+      algorithm: 'weighted-round-robin',
+      assignedTo: 'alice',
+      reason: 'algorithm',
+      sequence: 1
+    });
+    expect(entry.candidates).toEqual([
+      { userId: 'alice', weight: 2, share: 2 / 3 },
+      { userId: 'bob', weight: 1, share: 1 / 3 }
+    ]);
+
+    // Unweighted algorithms owe every candidate the same share
+    expect(assignmentLog.sharesFor([{ userId: 'alice', weight: 2 }, { userId: 'bob', weight: 1 }], 'round-robin')
+      .map(candidate => candidate.share)).toEqual([0.5, 0.5]);
+  });
+
+  test('should log queued leads and reassignments, and never throw', async () => {
+    const deferred = {
+      user: null,
+      deferred: true,
+      reason: 'capacity',
+      availableAt: new Date('2026-10-20T03:30:00Z'),
+      scope,
+      organizationId,
+      locator
+    };
+    expect(await assignmentLog.record(deferred, 'lead123')).toMatchObject({ event: 'queued', assignedTo: null, reason: 'capacity' });
+
+    // The lead already went to bob: picking alice now moves it
+    lastAssignee('bob');
+    const result = await assignmentEngine.nextForSettings(scope, settings, { organizationId, locator });
+    expect(await assignmentLog.record(result, 'lead123')).toMatchObject({ event: 'reassigned', assignedTo: 'alice', previousAssignee: 'bob' });
+
+    // Manual reassignment reported by the leads service
+    lastAssignee('alice');
+    const manual = await assignmentLog.recordReassignment({ organizationId, leadId: 'lead123', toUserId: 'carol', performedBy: 'manager1' });
+    expect(manual).toMatchObject({ event: 'reassigned', assignedTo: 'carol', previousAssignee: 'alice', reason: 'manual', performedBy: 'manager1' });
+
+    // Nothing to log without an organization or a pick; write errors stay in the log service
+    expect(await assignmentLog.record({ ...result, organizationId: undefined }, 'lead123')).toBeNull();
+    expect(await assignmentLog.record(null, 'lead123')).toBeNull();
+    AssignmentLog.create.mockRejectedValue(new Error('write failed'));
+    await expect(assignmentLog.record(result, 'lead456')).resolves.toBeNull();
+  });
+
+  test('should compare leads per user with the share their weights entitle them to', async () => {
+    AssignmentLog.aggregate.mockResolvedValue([{
+      total: [{ count: 9 }],
+      assigned: [{ _id: 'alice', count: 7 }, { _id: 'bob', count: 2 }],
+      expected: [
+        { _id: 'alice', expected: 6, eligible: 9, weight: 2 },
+        { _id: 'bob', expected: 3, eligible: 9, weight: 1 }
+      ]
+    }]);
+
+    const report = await assignmentLog.distribution(organizationId, {
+      source: 'facebook',
+      startDate: new Date('2026-10-01T00:00:00Z'),
+      endDate: new Date('2026-10-31T23:59:59Z')
+    });
+
+    const [{ $match: match }] = AssignmentLog.aggregate.mock.calls[0][0];
+    expect(String(match.organizationId)).toBe(organizationId);
+    expect(match.organizationId).toBeInstanceOf(mongoose.Types.ObjectId);
+    expect(match).toMatchObject({ source: 'facebook', 'candidates.0': { $exists: true } });
+    expect(match.createdAt.$gte).toEqual(new Date('2026-10-01T00:00:00Z'));
+
+    expect(report.total).toBe(9);
+    expect(report.users[0]).toEqual({
+      userId: 'alice',
+      weight: 2,
+      eligible: 9,
+      assigned: 7,
+      expected: 6,
+      deviation: 1,
+      deviationPercent: 16.7,
+      share: 0.7778,
+      expectedShare: 0.6667
+    });
+    expect(report.users[1]).toMatchObject({ userId: 'bob', deviation: -1, deviationPercent: -33.3 });
+    expect(report.maxDeviation).toBe(1);
+
+    // A user only ever assigned outside a pool is owed nothing
+    const summary = assignmentLog.summarizeDistribution({ total: [{ count: 1 }], assigned: [{ _id: 'carol', count: 1 }], expected: [] });
+    expect(summary.users[0]).toMatchObject({ userId: 'carol', expected: 0, deviationPercent: null });
+  });
+
+  test('should count reassignments per user and reason', async () => {
+    AssignmentLog.aggregate.mockResolvedValue([{
+      total: [{ count: 3 }],
+      from: [{ _id: 'alice', count: 2 }, { _id: null, count: 1 }],
+      to: [{ _id: 'bob', count: 3 }],
+      reasons: [{ _id: 'manual', count: 2 }, { _id: null, count: 1 }]
+    }]);
+
+    const report = await assignmentLog.reassignments(organizationId, { userId: 'alice' });
+    const [{ $match: match }] = AssignmentLog.aggregate.mock.calls[0][0];
+    expect(match.event).toEqual({ $in: ['reassigned'] });
+    expect(match.$or).toEqual([{ assignedTo: 'alice' }, { previousAssignee: 'alice' }]);
+
+    expect(report.total).toBe(3);
+    expect(report.users).toEqual([
+      { userId: 'bob', reassignedFrom: 0, reassignedTo: 3, net: 3 },
+      { userId: 'alice', reassignedFrom: 2, reassignedTo: 0, net: -2 }
+    ]);
+    expect(report.reasons).toEqual([{ reason: 'manual', count: 2 }, { reason: 'unspecified', count: 1 }]);
+  });
+});
@@ -0,0 +1,190 @@
+const mongoose = require('mongoose');
+const AssignmentLog = require('../models/AssignmentLog');
+const assigneeCapacityService = require('../services/assigneeCapacity.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentSimulationService = require('../services/assignmentSimulation.service');
+const workingHoursService = require('../services/workingHours.service');
+
+jest.mock('../models/AssignmentLog');
+
+describe('Assignment Simulation Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const agent = '3f0e7c1a-5b2d-4c8e-9a1f-2b3c4d5e6f70';
+  // A Monday, 00:00 UTC
+  const start = new Date('2026-10-19T00:00:00Z');
+
+  const settings = {
+    enabled: true,
+    algorithm: 'weighted-round-robin',
+    assignToUsers: [{ userId: 'alice', weight: 2 }, { userId: 'bob', weight: 1 }, { userId: 'carol', weight: 1 }]
+  };
+
+  const mockCapacity = (capacity) => {
+    jest.spyOn(assigneeCapacityService, 'getOrganizationCapacity').mockResolvedValue({
+      defaultLimits: {},
+      users: [],
+      overflow: 'skip',
+      overflowPool: [],
+      ...capacity
+    });
+  };
+
+  // Shifts 09:00-17:00 UTC for everyone but carol, who never works
+  const mockShifts = () => {
+    jest.spyOn(workingHoursService, 'getAvailability').mockImplementation(async (orgId, userIds, now) => {
+      const hour = now.getUTCHours();
+      const nextStart = new Date(now);
+      nextStart.setUTCHours(9, 0, 0, 0);
+      if (hour >= 9) nextStart.setUTCDate(nextStart.getUTCDate() + 1);
+
+      return {
+        onShift: hour >= 9 && hour < 17 ? userIds.filter(userId => userId !== 'carol') : [],
+        availableAt: nextStart,
+        onCall: []
+      };
+    });
+  };
+
+  const byUser = (result) => Object.fromEntries(result.users.map(user => [user.userId, user.assigned]));
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(0);
+    assignmentEngine.memoryState.clear();
+    mockCapacity({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should project the weighted distribution without moving the live one', async () => {
+    const arrivals = assignmentSimulationService.syntheticArrivals(40, 1, start);
+    expect(arrivals).toHaveLength(40);
+    expect(arrivals[0] - start).toBe(18 * 60 * 1000);
+
+    const result = await assignmentSimulationService.simulate(organizationId, settings, arrivals);
+
+    expect(byUser(result)).toEqual({ alice: 20, bob: 10, carol: 10 });
+    expect(result.users[0]).toMatchObject({ userId: 'alice', weight: 2, share: 0.5, expectedShare: 0.5, cappedLeads: 0 });
+    expect(result).toMatchObject({ leads: 40, assigned: 40, unassigned: { outsideHours: 0, capacity: 0 }, idleUsers: [] });
+    expect(result.period).toEqual({ from: arrivals[0], to: arrivals[39] });
+    expect(assignmentEngine.memoryState.size).toBe(0);
+
+    // Changing weights is what the forecast is for
+    const reweighted = await assignmentSimulationService.simulate(organizationId, {
+      ...settings,
+      assignToUsers: [{ userId: 'alice', weight: 1 }, { userId: 'bob', weight: 3 }]
+    }, arrivals);
+    expect(byUser(reweighted)).toEqual({ alice: 10, bob: 30 });
+  });
+
+  test('should report cap breaches and what the overflow rule does with the rest', async () => {
+    mockCapacity({ defaultLimits: { maxPerHour: 2 }, users: [{ userId: 'alice', maxPerHour: 3 }] });
+    // Ten leads within the first hour
+    const arrivals = assignmentSimulationService.syntheticArrivals(10, 1 / 24, start);
+
+    const skipped = await assignmentSimulationService.simulate(organizationId, settings, arrivals);
+    expect(byUser(skipped)).toEqual({ alice: 3, bob: 2, carol: 2 });
+    expect(skipped.unassigned.capacity).toBe(3);
+    expect(skipped.users.find(user => user.userId === 'alice').peakPerHour).toBe(3);
+    expect(skipped.capBreaches).toContainEqual({
+      userId: 'alice',
+      cap: 'maxPerHour',
+      limit: 3,
+      window: '2026-10-19T00',
+      leadsPassedOn: expect.any(Number)
+    });
+
+    // Held leads go out when the next hour starts
+    mockCapacity({ defaultLimits: { maxPerHour: 2 }, users: [{ userId: 'alice', maxPerHour: 3 }], overflow: 'hold' });
+    const held = await assignmentSimulationService.simulate(organizationId, settings, arrivals);
+    expect(held.assigned).toBe(10);
+    expect(held.unassigned.capacity).toBe(0);
+
+    mockCapacity({ defaultLimits: { maxPerHour: 2 }, overflow: 'pool', overflowPool: ['dave'] });
+    const pooled = await assignmentSimulationService.simulate(organizationId, settings, arrivals);
+    expect(pooled.overflow).toBe(2);
+    expect(pooled.users[pooled.users.length - 1]).toMatchObject({ userId: 'dave', weight: null, pool: 'overflow', assigned: 2 });
+  });
+
+  test('should queue leads outside shifts and show who would sit idle', async () => {
+    mockShifts();
+    // Six leads overnight, six during the day
+    const arrivals = [
+      ...assignmentSimulationService.syntheticArrivals(6, 6 / 24, start),
+      ...assignmentSimulationService.syntheticArrivals(6, 6 / 24, new Date('2026-10-19T10:00:00Z'))
+    ];
+
+    const queued = await assignmentSimulationService.simulate(organizationId, {
+      ...settings,
+      workingHours: { enabled: true, outsideHours: 'queue' }
+    }, arrivals);
+    expect(queued.assigned).toBe(12);
+    expect(byUser(queued)).toEqual({ alice: 8, bob: 4, carol: 0 });
+    expect(queued.idleUsers).toEqual(['carol']);
+    // The queued leads all go out at 09:00
+    expect(queued.users[0].peakPerHour).toBe(4);
+
+    const unassigned = await assignmentSimulationService.simulate(organizationId, {
+      ...settings,
+      workingHours: { enabled: true, outsideHours: 'unassigned' }
+    }, arrivals);
+    expect(unassigned.assigned).toBe(6);
+    expect(unassigned.unassigned.outsideHours).toBe(6);
+  });
+
+  test('should replay the arrivals the log holds for a form', async () => {
+    readyState.mockReturnValue(1);
+    AssignmentLog.aggregate.mockResolvedValue([
+      { _id: 'lead1', arrivedAt: new Date('2026-10-12T10:00:00Z') },
+      { _id: 'lead2', arrivedAt: new Date('2026-10-13T11:00:00Z') }
+    ]);
+
+    const locator = { source: 'facebook', integrationId: 'integration123', pageId: 'page123', formId: 'form123' };
+    const arrivals = await assignmentSimulationService.historicalArrivals(organizationId, locator, 7, new Date('2026-10-19T00:00:00Z'));
+
+    expect(arrivals).toEqual([new Date('2026-10-12T10:00:00Z'), new Date('2026-10-13T11:00:00Z')]);
+    const [{ $match }, group] = AssignmentLog.aggregate.mock.calls[0][0];
+    expect($match).toMatchObject({
+      source: 'facebook',
+      integrationId: 'integration123',
+      pageId: 'page123',
+      formId: 'form123',
+      event: { $in: ['assigned', 'queued'] },
+      createdAt: { $gte: new Date('2026-10-12T00:00:00Z') }
+    });
+    expect(String($match.organizationId)).toBe(organizationId);
+    // Queued leads are logged again when assigned; only their arrival counts
+    expect(group).toEqual({ $group: { _id: '$leadId', arrivedAt: { $min: '$createdAt' } } });
+  });
+
+  test('should split leads between AI agents and humans and count hand-offs', async () => {
+    const arrivals = assignmentSimulationService.syntheticArrivals(10, 1, start);
+    const withAgent = (hybrid) => ({
+      algorithm: 'round-robin',
+      assignToUsers: [{ userId: agent }, { userId: 'alice' }, { userId: 'bob' }],
+      hybrid
+    });
+
+    const split = await assignmentSimulationService.simulate(organizationId, withAgent({ strategy: 'ai-split', aiPercent: 30 }), arrivals);
+    expect(byUser(split)).toEqual({ [agent]: 3, alice: 4, bob: 3 });
+    expect(split.users[0]).toMatchObject({ pool: 'ai', share: 0.3, expectedShare: 0.3 });
+    expect(split.users[1]).toMatchObject({ pool: 'human', expectedShare: 0.35 });
+
+    const first = await assignmentSimulationService.simulate(organizationId, withAgent({ strategy: 'ai-first', handOffMinutes: 10 }), arrivals);
+    expect(first).toMatchObject({ assigned: 10, handedOff: 10 });
+    expect(byUser(first)).toEqual({ [agent]: 10, alice: 5, bob: 5 });
+  });
+});
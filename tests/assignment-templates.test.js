@@ -0,0 +1,214 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const AssignmentState = require('../models/AssignmentState');
+const AssignmentTemplate = require('../models/AssignmentTemplate');
+const FacebookIntegration = require('../models/FacebookIntegration');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const assignmentTemplateService = require('../services/assignmentTemplate.service');
+const facebookService = require('../services/facebook.service');
+
+jest.mock('../models/AssignmentState');
+jest.mock('../models/AssignmentTemplate');
+jest.mock('../models/FacebookIntegration');
+jest.mock('../models/LinkedInIntegration');
+jest.mock('../models/WebsiteIntegration');
+
+describe('Assignment Template Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const integrationId = '64b0000000000000000000f1';
+  const websiteId = '64b0000000000000000000e1';
+
+  const settings = {
+    enabled: true,
+    mode: 'specific',
+    algorithm: 'weighted-round-robin',
+    assignToUsers: [{ userId: 'alice', weight: 2, isActive: true }, { userId: 'bob', weight: 1, isActive: true }],
+    workingHours: { enabled: true, outsideHours: 'queue' },
+    hybrid: { strategy: 'none', aiPercent: 50, handOffMinutes: 15 },
+    language: 'hi'
+  };
+
+  const fbPages = [
+    { id: 'page1', leadForms: [{ id: 'form1' }, { id: 'form2' }] },
+    { id: 'page2', leadForms: [{ id: 'form3' }] }
+  ];
+
+  const lean = (value) => ({ lean: async () => value, select: () => ({ lean: async () => value }) });
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(1);
+    AssignmentState.deleteOne.mockResolvedValue({});
+    FacebookIntegration.findOne.mockReturnValue(lean({ _id: integrationId, fbPages }));
+    FacebookIntegration.updateOne.mockResolvedValue({ matchedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should validate and normalize settings and targets', () => {
+    expect(assignmentTemplateService.validateSettings(settings)).toEqual([]);
+    expect(assignmentTemplateService.validateSettings({ algorithm: 'fastest', assignToUsers: [{ weight: 3 }] })).toHaveLength(2);
+    expect(assignmentTemplateService.validateSettings({ language: 'klingon' })).toHaveLength(1);
+
+    expect(assignmentTemplateService.toSettings({ algorithm: 'least-active', language: 'Hindi', hybrid: { strategy: 'ai-first' }, lastAssignment: {} }))
+      .toEqual({
+        algorithm: 'least-assigned',
+        language: 'hi',
+        hybrid: { strategy: 'ai-first', aiPercent: 50, handOffMinutes: 15 }
+      });
+
+    expect(assignmentTemplateService.validateTargets([{ source: 'facebook', integrationId, pageId: 'page1' }])).toEqual([]);
+    expect(assignmentTemplateService.validateTargets([
+      { source: 'facebook', integrationId, formId: 'form1' },
+      { source: 'tiktok', integrationId },
+      { source: 'website', integrationId: 'nope' }
+    ])).toEqual([
+      'targets[0].pageId is required with formId',
+      expect.stringContaining('targets[1].source'),
+      'targets[2].integrationId must be an integration ID'
+    ]);
+    expect(assignmentTemplateService.validateTargets([])).toEqual(['targets must be a non-empty array']);
+  });
+
+  test('should apply a template to every form of a page and report each one', async () => {
+    AssignmentTemplate.findOne.mockReturnValue(lean({ _id: 'template1', settings: { ...settings, lastAssignment: { userId: 'carol' } } }));
+    FacebookIntegration.updateOne
+      .mockResolvedValueOnce({ matchedCount: 1 })
+      .mockResolvedValueOnce({ matchedCount: 0 });
+
+    const result = await assignmentTemplateService.applyTemplate(organizationId, 'template1', [
+      { source: 'facebook', integrationId, pageId: 'page1' },
+      { source: 'facebook', integrationId, pageId: 'page9' }
+    ]);
+
+    expect(result.applied).toBe(1);
+    expect(result.failed).toBe(2);
+    expect(result.results).toEqual([
+      { target: { source: 'facebook', integrationId, pageId: 'page1', formId: 'form1' }, success: true },
+      { target: { source: 'facebook', integrationId, pageId: 'page1', formId: 'form2' }, success: false, error: 'Form not found' },
+      { target: { source: 'facebook', integrationId, pageId: 'page9' }, success: false, error: 'Page not found' }
+    ]);
+
+    // Only the caller's organization; the form's own pick history is not copied, its distribution starts over
+    const [filter, update, options] = FacebookIntegration.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ _id: integrationId, organizationId, 'fbPages.leadForms.id': 'form1' });
+    expect(options.arrayFilters).toEqual([{ 'page.id': 'page1' }, { 'form.id': 'form1' }]);
+    const path = 'fbPages.$[page].leadForms.$[form].assignmentSettings';
+    expect(update.$set[`${path}.assignToUsers`]).toEqual(settings.assignToUsers);
+    expect(update.$set[`${path}.language`]).toBe('hi');
+    expect(update.$set[`${path}.lastAssignment`]).toEqual({ userId: null, timestamp: null, roundRobinIndex: 0 });
+    expect(AssignmentState.deleteOne).toHaveBeenCalledWith({ scope: `facebook:${integrationId}:page1:form1` });
+    expect(AssignmentState.deleteOne).toHaveBeenCalledTimes(1);
+
+    AssignmentTemplate.findOne.mockReturnValue(lean(null));
+    expect(await assignmentTemplateService.applyTemplate(organizationId, 'missing', [{ source: 'website', integrationId: websiteId }])).toBeNull();
+  });
+
+  test('should copy some of a form\'s settings to every other form of the integration', async () => {
+    FacebookIntegration.findOne.mockReturnValue(lean({
+      _id: integrationId,
+      fbPages: [{ id: 'page1', leadForms: [{ id: 'form1', assignmentSettings: settings }, { id: 'form2' }] }, fbPages[1]]
+    }));
+
+    const from = { source: 'facebook', integrationId, pageId: 'page1', formId: 'form1' };
+    const result = await assignmentTemplateService.copy(organizationId, from, [{ source: 'facebook', integrationId }], ['workingHours', 'hybrid']);
+
+    // The form copied from is left out
+    expect(result.results.map(entry => entry.target.formId)).toEqual(['form2', 'form3']);
+    expect(result.applied).toBe(2);
+
+    // The user lists and their distributions stay as they were
+    const { $set } = FacebookIntegration.updateOne.mock.calls[0][1];
+    expect(Object.keys($set)).toEqual([
+      'fbPages.$[page].leadForms.$[form].assignmentSettings.workingHours',
+      'fbPages.$[page].leadForms.$[form].assignmentSettings.hybrid'
+    ]);
+    expect(AssignmentState.deleteOne).not.toHaveBeenCalled();
+
+    // Integration-level settings from another organization are not found
+    WebsiteIntegration.findOne.mockReturnValue(lean(null));
+    expect(await assignmentTemplateService.copy(organizationId, { source: 'website', integrationId: websiteId }, [from])).toBeNull();
+    expect(WebsiteIntegration.findOne).toHaveBeenCalledWith({ _id: websiteId, organizationId });
+  });
+
+  test('should make a single template the default', async () => {
+    AssignmentTemplate.updateMany.mockResolvedValue({});
+    AssignmentTemplate.findOneAndUpdate.mockResolvedValue({ _id: 'template2', isDefault: true });
+
+    await assignmentTemplateService.updateTemplate(organizationId, 'template2', { isDefault: true }, 'manager1');
+
+    expect(AssignmentTemplate.updateMany).toHaveBeenCalledWith(
+      { organizationId, isDefault: true, _id: { $ne: 'template2' } },
+      { $set: { isDefault: false } }
+    );
+    expect(AssignmentTemplate.findOneAndUpdate.mock.calls[0][1].$set).toEqual({ isDefault: true, updatedBy: 'manager1' });
+  });
+
+  test('should start newly synced Facebook forms with the default template and keep existing forms\' settings', async () => {
+    AssignmentTemplate.findOne.mockReturnValue(lean({ settings: { ...settings, language: 'ta' } }));
+    jest.spyOn(axios, 'get').mockImplementation(async (url) => ({
+      data: url.endsWith('/me/accounts') ? { data: [{ id: 'page1', name: 'Page', access_token: 'token' }] } : { data: [] }
+    }));
+    jest.spyOn(facebookService, 'getPageLeadFormsDetailed').mockResolvedValue([
+      { id: 'form1', name: 'Existing' },
+      { id: 'form2', name: 'New' }
+    ]);
+    jest.spyOn(facebookService, 'setupWebhooksForAllPages').mockResolvedValue();
+
+    const existing = {
+      enabled: true,
+      mode: 'specific',
+      algorithm: 'random',
+      assignToUsers: [{ userId: 'dave', weight: 1 }],
+      workingHours: { enabled: true, outsideHours: 'on-call' },
+      hybrid: { strategy: 'ai-split', aiPercent: 20, handOffMinutes: 15 },
+      language: 'en',
+      lastAssignment: { userId: 'dave', roundRobinIndex: 3 }
+    };
+    const integration = {
+      organizationId,
+      userAccessToken: 'user-token',
+      fbPages: [{ id: 'page1', leadForms: [{ id: 'form1', assignmentSettings: existing }] }],
+      save: jest.fn().mockResolvedValue()
+    };
+
+    const pages = await facebookService.syncPages(integration);
+    const [kept, added] = pages[0].leadForms;
+
+    expect(AssignmentTemplate.findOne).toHaveBeenCalledWith({ organizationId, isDefault: true });
+    expect(kept.assignmentSettings).toMatchObject({
+      algorithm: 'random',
+      workingHours: { enabled: true, outsideHours: 'on-call' },
+      hybrid: { strategy: 'ai-split', aiPercent: 20 },
+      language: 'en',
+      lastAssignment: { userId: 'dave', roundRobinIndex: 3 }
+    });
+    expect(added.assignmentSettings).toMatchObject({
+      enabled: true,
+      algorithm: 'weighted-round-robin',
+      assignToUsers: settings.assignToUsers,
+      workingHours: { enabled: true, outsideHours: 'queue' },
+      language: 'ta',
+      lastAssignment: { userId: null, roundRobinIndex: 0 }
+    });
+
+    // Without a default new forms start with assignment off
+    AssignmentTemplate.findOne.mockReturnValue(lean(null));
+    integration.fbPages = [];
+    const [page] = await facebookService.syncPages(integration);
+    expect(page.leadForms[1].assignmentSettings).toMatchObject({ enabled: false, assignToUsers: [], language: null });
+  });
+});
@@ -0,0 +1,184 @@
+const LeadAttribution = require('../models/LeadAttribution');
+const WordPressIntegration = require('../models/WordPressIntegration');
+const attributionService = require('../services/attribution.service');
+const idempotencyService = require('../services/idempotency.service');
+const leadDedupeService = require('../services/leadDedupe.service');
+const leadsServiceClient = require('../services/leadsService.client');
+const phoneNormalizationService = require('../services/phoneNormalization.service');
+const websiteService = require('../services/website.service');
+const wordpressService = require('../services/wordpressService');
+
+jest.mock('../models/LeadAttribution');
+jest.mock('../models/WordPressIntegration');
+
+describe('Lead Attribution Tests', () => {
+  const organizationId = '64b000000000000000000001';
+
+  // What the loader script and the plugin keep in the jesty_attribution cookie
+  const cookie = {
+    first: {
+      utm_source: 'newsletter',
+      utm_medium: 'email',
+      utm_campaign: 'spring-sale',
+      landingPage: 'https://example.com/offers',
+      at: '2026-10-01T09:00:00.000Z'
+    },
+    last: {
+      gclid: 'Cj0KCQ',
+      landingPage: 'https://example.com/pricing',
+      referrer: 'https://www.google.com/',
+      at: '2026-10-18T14:30:00.000Z'
+    }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should normalize the captured touches and derive the channel of untagged visits', () => {
+    const attribution = attributionService.fromSubmission(cookie, { utm_source: 'ignored' });
+
+    expect(attribution.firstTouch).toEqual({
+      source: 'newsletter',
+      medium: 'email',
+      campaign: 'spring-sale',
+      landingPage: 'https://example.com/offers',
+      at: new Date('2026-10-01T09:00:00.000Z')
+    });
+    // Google Ads auto-tagging without UTM parameters
+    expect(attribution.lastTouch).toMatchObject({ source: 'google', medium: 'cpc', gclid: 'Cj0KCQ', referrer: 'https://www.google.com/' });
+
+    // The cookie as the WordPress plugin may forward it, as JSON
+    expect(attributionService.fromSubmission(JSON.stringify(cookie))).toEqual(attribution);
+
+    expect(attributionService.toTouch({ referrer: 'https://www.partner.org/blog', landingPage: 'https://example.com/' }))
+      .toMatchObject({ source: 'partner.org', medium: 'referral' });
+    expect(attributionService.toTouch({ fbclid: 'IwAR', utm_medium: 'paid_social' }))
+      .toMatchObject({ source: 'facebook', medium: 'paid_social' });
+    // Pages of the same site don't refer, and only http(s) URLs are kept
+    expect(attributionService.toTouch({ referrer: 'https://example.com/about', landingPage: 'https://example.com/contact' }))
+      .toEqual({ source: '(direct)', medium: '(none)', landingPage: 'https://example.com/contact' });
+    expect(attributionService.toTouch({ referrer: 'javascript:alert(1)', at: 'yesterday' })).toBeNull();
+  });
+
+  test('should fall back to the flat fields older snippets post, for both touches', () => {
+    const attribution = attributionService.fromSubmission('not json', {
+      name: 'Asha',
+      utm_source: 'google',
+      utm_medium: 'cpc',
+      utm_campaign: 'brand',
+      page: 'https://example.com/contact'
+    });
+
+    expect(attribution.lastTouch).toEqual({ source: 'google', medium: 'cpc', campaign: 'brand', landingPage: 'https://example.com/contact' });
+    expect(attribution.firstTouch).toEqual(attribution.lastTouch);
+    expect(attributionService.fromSubmission(undefined, { name: 'Asha' })).toBeNull();
+  });
+
+  test('should send WordPress attribution with the lead and record it for analytics', async () => {
+    const integration = {
+      _id: '64b0000000000000000000f1',
+      organizationId,
+      siteUrl: 'https://example.com',
+      autoMapping: {
+        enabled: true,
+        nameFields: ['your-name'],
+        emailFields: ['your-email'],
+        phoneFields: ['your-phone'],
+        companyFields: [],
+        messageFields: []
+      }
+    };
+    WordPressIntegration.findOne.mockResolvedValue(integration);
+    jest.spyOn(wordpressService, 'claimSubmission').mockResolvedValue({ proceed: true });
+    jest.spyOn(wordpressService, 'checkSpam').mockResolvedValue({ blocked: false, isSpam: false });
+    jest.spyOn(wordpressService, 'getAssignment').mockResolvedValue(null);
+    jest.spyOn(wordpressService, 'updateIntegrationStats').mockResolvedValue();
+    jest.spyOn(wordpressService, 'addOrUpdateForm').mockResolvedValue();
+    jest.spyOn(leadDedupeService, 'apply').mockResolvedValue({ handled: false });
+    jest.spyOn(idempotencyService, 'complete').mockResolvedValue();
+    const createLead = jest.spyOn(wordpressService, 'createLead').mockResolvedValue({ success: true, leadId: 'lead1' });
+    const record = jest.spyOn(attributionService, 'record').mockResolvedValue({});
+
+    await wordpressService.processFormSubmissionWithApiKey('a'.repeat(32), {
+      'your-name': 'Asha',
+      'your-email': 'asha@example.com',
+      attribution: cookie
+    }, { formId: '12', pageUrl: 'https://example.com/contact' });
+
+    const [leadData] = createLead.mock.calls[0];
+    expect(leadData.sourceDetails.attribution.firstTouch).toMatchObject({ source: 'newsletter', campaign: 'spring-sale' });
+    expect(leadData.customFields).not.toHaveProperty('attribution');
+    expect(record).toHaveBeenCalledWith({
+      organizationId,
+      leadId: 'lead1',
+      source: 'wordpress',
+      integrationId: integration._id,
+      formId: '12',
+      attribution: leadData.sourceDetails.attribution
+    });
+  });
+
+  test('should pass website attribution to the leads-service in sourceDetails', async () => {
+    jest.spyOn(leadsServiceClient, 'getAuthHeaders').mockReturnValue({});
+    const post = jest.spyOn(leadsServiceClient.client, 'post').mockResolvedValue({ data: { success: true, data: { _id: 'lead2' } } });
+    jest.spyOn(phoneNormalizationService, 'normalize').mockResolvedValue({ phone: '+919876543210' });
+    jest.spyOn(phoneNormalizationService, 'toLeadMetadata').mockReturnValue({ valid: true });
+
+    await leadsServiceClient.createLeadFromWebsite({
+      name: 'Asha',
+      email: 'asha@example.com',
+      phone: '9876543210',
+      attribution: cookie
+    }, organizationId);
+
+    const [url, payload] = post.mock.calls[0];
+    expect(url).toBe('/api/public/website-leads');
+    expect(payload.customFields).not.toHaveProperty('attribution');
+    expect(payload.sourceDetails.attribution.lastTouch).toMatchObject({ source: 'google', medium: 'cpc' });
+
+    // The loader keeps the touches in the cookie it shares with the WordPress plugin
+    const script = websiteService.generateLoaderScript({ _id: 'i1', integrationKey: 'key', forms: [] });
+    expect(script).toContain("var ATTRIBUTION_COOKIE = 'jesty_attribution';");
+    expect(() => new Function(script)).not.toThrow();
+  });
+
+  test('should break leads down by campaign, source and medium of the chosen touch', async () => {
+    LeadAttribution.aggregate.mockResolvedValue([{
+      total: [{ count: 4 }],
+      campaigns: [
+        { _id: { campaign: 'spring-sale', source: 'newsletter', medium: 'email' }, leads: 3 },
+        { _id: { source: '(direct)', medium: '(none)' }, leads: 1 }
+      ],
+      sources: [{ _id: 'newsletter', leads: 3 }, { _id: '(direct)', leads: 1 }],
+      mediums: [{ _id: 'email', leads: 3 }, { _id: null, leads: 1 }]
+    }]);
+
+    const breakdown = await attributionService.breakdown(organizationId, {
+      touch: 'first',
+      source: 'website',
+      startDate: new Date('2026-10-01T00:00:00Z')
+    });
+
+    expect(breakdown).toEqual({
+      touch: 'first',
+      total: 4,
+      campaigns: [
+        { campaign: 'spring-sale', source: 'newsletter', medium: 'email', leads: 3, share: 0.75 },
+        { campaign: '(not set)', source: '(direct)', medium: '(none)', leads: 1, share: 0.25 }
+      ],
+      sources: [{ source: 'newsletter', leads: 3, share: 0.75 }, { source: '(direct)', leads: 1, share: 0.25 }],
+      mediums: [{ medium: 'email', leads: 3, share: 0.75 }, { medium: '(none)', leads: 1, share: 0.25 }]
+    });
+
+    const [{ $match }, { $facet }] = LeadAttribution.aggregate.mock.calls[0][0];
+    expect(String($match.organizationId)).toBe(organizationId);
+    expect($match).toMatchObject({ source: 'website', createdAt: { $gte: new Date('2026-10-01T00:00:00Z') } });
+    expect($facet.campaigns[0].$group._id).toEqual({
+      campaign: '$firstTouch.campaign',
+      source: '$firstTouch.source',
+      medium: '$firstTouch.medium'
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const AssigneeLoad = require('../models/AssigneeLoad');
+const AssignmentState = require('../models/AssignmentState');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const PendingAssignment = require('../models/PendingAssignment');
+const assigneeCapacityService = require('../services/assigneeCapacity.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const formAssignmentService = require('../services/formAssignmentService');
+const workingHoursService = require('../services/workingHours.service');
+
+jest.mock('../models/AssigneeLoad');
+jest.mock('../models/AssignmentState');
+jest.mock('../models/OrganizationSettings');
+jest.mock('../models/PendingAssignment');
+
+describe('Assignee Capacity Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const scope = 'website:integration123';
+
+  // Monday 19 October 2026, 10:30 in Kolkata
+  const now = new Date('2026-10-19T05:00:00Z');
+
+  const settings = {
+    enabled: true,
+    algorithm: 'round-robin',
+    assignToUsers: [
+      { userId: 'alice', weight: 1 },
+      { userId: 'bob', weight: 1 }
+    ]
+  };
+
+  const capacity = {
+    defaultLimits: { maxPerHour: 2, maxPerDay: 10, maxOpen: null },
+    users: [
+      // Carol handles overflow and is never capped
+      { userId: 'carol', maxPerHour: 0, maxPerDay: 0, maxOpen: 0 }
+    ],
+    overflow: 'skip',
+    overflowPool: ['carol']
+  };
+
+  const mockSettings = (overrides = {}) => {
+    OrganizationSettings.findOne.mockReturnValue({
+      select: () => ({
+        lean: async () => ({
+          capacity: { ...capacity, ...overrides },
+          workingHours: { timezone: 'Asia/Kolkata', defaultShifts: [], users: [] }
+        })
+      })
+    });
+  };
+
+  // Stored loads by user; `full` users fail the cap filter of reserve()
+  const mockLoads = (loads, full = []) => {
+    AssigneeLoad.find.mockReturnValue({
+      select: () => ({ lean: async () => loads }),
+      lean: async () => loads
+    });
+    AssigneeLoad.findOneAndUpdate.mockImplementation((filter) => ({
+      lean: async () => {
+        if (full.includes(filter.userId)) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        return { userId: filter.userId };
+      }
+    }));
+  };
+
+  const fullHour = (userId) => ({ userId, hourKey: '2026-10-19T10', hourCount: 2, dayKey: '2026-10-19', dayCount: 2, open: 0 });
+
+  const context = { organizationId, now };
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(1);
+    assigneeCapacityService.capacityCache.clear();
+    workingHoursService.hoursCache.clear();
+    mockSettings();
+    mockLoads([]);
+
+    let sequence = 0;
+    AssignmentState.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ sequence: ++sequence })
+    }));
+    AssignmentState.updateOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should resolve caps per user and when a full user has room again', () => {
+    expect(assigneeCapacityService.limitsFor(capacity, 'alice')).toEqual({ maxPerHour: 2, maxPerDay: 10, maxOpen: null });
+    // A user cap of 0 lifts the default
+    expect(assigneeCapacityService.isCapped(assigneeCapacityService.limitsFor(capacity, 'carol'))).toBe(false);
+    expect(assigneeCapacityService.isEnabled({ defaultLimits: {}, users: [] })).toBe(false);
+
+    const windows = { hourKey: '2026-10-19T10', dayKey: '2026-10-19', hourEndsAt: new Date('2026-10-19T05:30:00Z'), dayEndsAt: new Date('2026-10-19T18:30:00Z') };
+    const limits = assigneeCapacityService.limitsFor(capacity, 'alice');
+
+    // Last hour's count does not apply to this one
+    const stale = assigneeCapacityService.usage({ ...fullHour('alice'), hourKey: '2026-10-19T09' }, windows);
+    expect(assigneeCapacityService.freeAt(limits, stale, windows, now)).toBeNull();
+
+    const usage = assigneeCapacityService.usage(fullHour('alice'), windows);
+    expect(assigneeCapacityService.freeAt(limits, usage, windows, now)).toEqual(windows.hourEndsAt);
+    // Full for the day too: the later of the two
+    expect(assigneeCapacityService.freeAt(limits, { ...usage, day: 10 }, windows, now)).toEqual(windows.dayEndsAt);
+  });
+
+  test('should skip users at capacity and leave the lead unassigned when everyone is full', async () => {
+    mockLoads([fullHour('alice')]);
+
+    const result = await assignmentEngine.nextForSettings(scope, settings, context);
+    expect(result.user.userId).toBe('bob');
+
+    // Counted in Bob's local hour and day
+    const [filter, update, options] = AssigneeLoad.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ organizationId, userId: 'bob' });
+    expect(update[0].$set).toMatchObject({ hourKey: '2026-10-19T10', dayKey: '2026-10-19' });
+    expect(options).toMatchObject({ upsert: true });
+
+    mockLoads([fullHour('alice'), fullHour('bob')]);
+    expect(await assignmentEngine.nextForSettings(scope, settings, context)).toBeNull();
+  });
+
+  test('should pass over a user who filled up after the loads were read', async () => {
+    mockLoads([], ['alice']);
+
+    const result = await assignmentEngine.nextForSettings(scope, settings, context);
+    expect(result.user.userId).toBe('bob');
+    // Two attempts for Alice, one for Bob
+    expect(AssigneeLoad.findOneAndUpdate).toHaveBeenCalledTimes(3);
+  });
+
+  test('should assign to the overflow pool or hold the lead when everyone is full', async () => {
+    mockLoads([fullHour('alice'), fullHour('bob')]);
+
+    mockSettings({ overflow: 'pool' });
+    const pooled = await assignmentEngine.nextForSettings(scope, settings, context);
+    expect(pooled).toMatchObject({ overflow: true, user: { userId: 'carol' } });
+    expect(AssignmentState.findOneAndUpdate.mock.calls[0][0]).toEqual({ scope: `${scope}:overflow` });
+
+    assigneeCapacityService.capacityCache.clear();
+    mockSettings({ overflow: 'hold' });
+    const locator = { source: 'website', integrationId: 'integration123' };
+    const held = await assignmentEngine.nextForSettings(scope, settings, { ...context, locator });
+    expect(held).toMatchObject({ user: null, deferred: true, reason: 'capacity', locator });
+    // 11:00 in Kolkata, when the hourly counts restart
+    expect(held.availableAt.toISOString()).toBe('2026-10-19T05:30:00.000Z');
+
+    PendingAssignment.findOneAndUpdate.mockResolvedValue({ _id: 'pending123' });
+    await assignmentQueue.defer(held, 'lead123');
+    expect(PendingAssignment.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ reason: 'capacity', status: 'pending' });
+  });
+
+  test('should release an open lead once per lead', async () => {
+    AssigneeLoad.updateOne.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+
+    expect(await assigneeCapacityService.release(organizationId, 'alice', 'lead123')).toBe(true);
+    expect(await assigneeCapacityService.release(organizationId, 'alice', 'lead123')).toBe(false);
+
+    const [filter, update] = AssigneeLoad.updateOne.mock.calls[0];
+    expect(filter).toMatchObject({ userId: 'alice', open: { $gt: 0 }, releasedLeadIds: { $ne: 'lead123' } });
+    expect(update.$inc).toEqual({ open: -1 });
+  });
+
+  test('should hand back the slot when a queued assignment fails', async () => {
+    const entry = { _id: 'pending123', leadId: 'lead123', organizationId, scope, locator: { source: 'website', integrationId: 'integration123' }, attempts: 0 };
+    jest.spyOn(assignmentQueue, 'settingsFor').mockResolvedValue(settings);
+    jest.spyOn(formAssignmentService, 'assignLeadToUserViaService').mockResolvedValue({ success: false, error: 'Leads service unavailable' });
+    AssigneeLoad.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    PendingAssignment.updateOne.mockResolvedValue({});
+
+    expect(await assignmentQueue.process(entry)).toBe('pending');
+    expect(AssigneeLoad.updateOne.mock.calls[0][0]).toMatchObject({ userId: 'alice', open: { $gt: 0 } });
+    expect(AssigneeLoad.updateOne.mock.calls[0][0].releasedLeadIds).toBeUndefined();
+  });
+
+  test('should report each user load against their caps', async () => {
+    mockLoads([{ ...fullHour('alice'), lastAssignedAt: now }, { userId: 'bob', hourKey: '2026-10-19T09', hourCount: 2, dayKey: '2026-10-19', dayCount: 3, open: 1 }]);
+
+    const load = await assigneeCapacityService.getLoad(organizationId, undefined, now);
+    const byUser = Object.fromEntries(load.map(entry => [entry.userId, entry]));
+
+    expect(Object.keys(byUser).sort()).toEqual(['alice', 'bob', 'carol']);
+    expect(byUser.alice).toMatchObject({ usage: { hour: 2, day: 2, open: 0 }, atCapacity: true, lastAssignedAt: now });
+    expect(byUser.alice.freeAt.toISOString()).toBe('2026-10-19T05:30:00.000Z');
+    expect(byUser.bob).toMatchObject({ usage: { hour: 0, day: 3, open: 1 }, atCapacity: false, freeAt: null });
+    expect(byUser.carol).toMatchObject({ limits: { maxPerHour: null, maxPerDay: null, maxOpen: null }, atCapacity: false });
+  });
+});
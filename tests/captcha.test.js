@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const express = require('express');
+const helmet = require('helmet');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const UsedCaptchaChallenge = require('../models/UsedCaptchaChallenge');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const captchaService = require('../services/captcha.service');
+const hostedFormService = require('../services/hostedForm.service');
+const partialSubmissionService = require('../services/partialSubmission.service');
+const quarantineService = require('../services/quarantine.service');
+const spamDetectionService = require('../services/spamDetection.service');
+const webhookQueue = require('../services/webhookQueue.service');
+const websiteService = require('../services/website.service');
+const wordpressService = require('../services/wordpressService');
+const websiteRoutes = require('../controllers/website.controller');
+
+jest.mock('../models/UsedCaptchaChallenge');
+jest.mock('../models/WebsiteIntegration');
+
+// What the browser side does for the built-in check
+const solve = (challenge, difficulty) => {
+  for (let nonce = 0; ; nonce++) {
+    const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+    let bits = 0;
+    for (const byte of hash) {
+      bits += byte === 0 ? 8 : Math.clz32(byte) - 24;
+      if (byte !== 0) break;
+    }
+    if (bits >= difficulty) return String(nonce);
+  }
+};
+
+describe('CAPTCHA Tests', () => {
+  const integrationId = '64b0000000000000000000e1';
+  const organizationId = '64b000000000000000000001';
+  const cleanResult = { isSpam: false, spamScore: 0, threshold: 60, action: 'quarantine', blocked: false, spamIndicators: [], reason: null };
+
+  const app = express();
+  app.use(helmet());
+  app.use(express.json());
+  app.use('/api/integrations/website', websiteRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should hold reCAPTCHA v3 tokens to the score threshold and action', async () => {
+    const settings = { provider: 'recaptcha', version: 'v3', siteKey: 'site', secretKey: 'secret', minScore: 0.5, action: 'contact' };
+    const post = jest.spyOn(axios, 'post')
+      .mockResolvedValueOnce({ data: { success: true, score: 0.9, action: 'contact', hostname: 'example.com' } })
+      .mockResolvedValueOnce({ data: { success: true, score: 0.2, action: 'login' } })
+      .mockRejectedValueOnce(new Error('timeout of 10000ms exceeded'));
+
+    const { fields, verification } = await captchaService.check(
+      { settings: { captcha: settings } },
+      { name: 'Asha', 'g-recaptcha-response': 'token1' },
+      { ip: '203.0.113.7' }
+    );
+    expect(fields).toEqual({ name: 'Asha' });
+    expect(verification).toEqual({ provider: 'recaptcha', success: true, errors: [], hostname: 'example.com', score: 0.9, action: 'contact' });
+
+    const [url, body] = post.mock.calls[0];
+    expect(url).toBe('https://www.google.com/recaptcha/api/siteverify');
+    expect(Object.fromEntries(new URLSearchParams(body))).toEqual({ secret: 'secret', response: 'token1', remoteip: '203.0.113.7' });
+
+    expect(await captchaService.verify(settings, { token: 'token2' })).toMatchObject({
+      success: false,
+      score: 0.2,
+      errors: ['score-too-low', 'action-mismatch']
+    });
+    // A provider that can't be reached fails the check instead of throwing
+    expect(await captchaService.verify(settings, { token: 'token3' })).toEqual({
+      provider: 'recaptcha',
+      success: false,
+      errors: ['verification-unavailable']
+    });
+    // No token, no call
+    expect(await captchaService.verify(settings, { token: '' })).toMatchObject({ success: false, errors: ['missing-input-response'] });
+    expect(post).toHaveBeenCalledTimes(3);
+  });
+
+  test('should pass tokens without calling the provider in mock mode', async () => {
+    jest.replaceProperty(captchaService, 'mock', true);
+    const post = jest.spyOn(axios, 'post');
+    const settings = { provider: 'recaptcha', version: 'v3', siteKey: 'site', secretKey: 'secret', minScore: 0.5, action: 'submit' };
+
+    expect(await captchaService.verify(settings, { token: 'anything' })).toMatchObject({ success: true, score: 0.9, action: 'submit' });
+    expect(await captchaService.verify({ provider: 'turnstile' }, { token: 'mock-fail' })).toMatchObject({
+      success: false,
+      errors: ['invalid-input-response']
+    });
+    expect(post).not.toHaveBeenCalled();
+  });
+
+  test('should accept a solved built-in challenge and catch honeypots, fast bots and forgeries', async () => {
+    jest.replaceProperty(captchaService, 'difficulty', 8);
+    const { challenge, difficulty } = captchaService.issueChallenge();
+    expect(difficulty).toBe(8);
+    const nonce = solve(challenge, difficulty);
+
+    const issuedAt = Number(challenge.split('.')[0]);
+    jest.spyOn(Date, 'now').mockReturnValue(issuedAt + 10 * 1000);
+    const settings = { provider: 'builtin', minSubmitSeconds: 3 };
+
+    expect(await captchaService.checkProof(settings, { challenge, nonce, honeypot: '' }))
+      .toEqual({ success: true, errors: [], elapsedSeconds: 10 });
+    expect((await captchaService.checkProof(settings, { challenge, nonce, honeypot: 'https://spam.example' })).errors).toEqual(['honeypot-filled']);
+    expect((await captchaService.checkProof({ ...settings, minSubmitSeconds: 30 }, { challenge, nonce, honeypot: '' })).errors).toEqual(['too-fast']);
+    expect((await captchaService.checkProof(settings, { challenge: challenge.replace(/^\d+/, String(issuedAt + 5000)), nonce, honeypot: '' })).errors)
+      .toEqual(['invalid-challenge']);
+    expect((await captchaService.checkProof(settings, { challenge, nonce: '', honeypot: '' })).errors).toEqual(['missing-input-response']);
+
+    Date.now.mockReturnValue(issuedAt + 7 * 60 * 60 * 1000);
+    expect((await captchaService.checkProof(settings, { challenge, nonce, honeypot: '' })).errors).toEqual(['expired-challenge']);
+  });
+
+  test('should accept a solved built-in challenge only once', async () => {
+    jest.replaceProperty(captchaService, 'difficulty', 8);
+    const { challenge, difficulty } = captchaService.issueChallenge();
+    const nonce = solve(challenge, difficulty);
+    const [issuedAt, , challengeId] = challenge.split('.');
+    jest.spyOn(Date, 'now').mockReturnValue(Number(issuedAt) + 10 * 1000);
+    // Spent challenges are only recorded with a database
+    Object.defineProperty(mongoose.connection, 'readyState', { get: () => 1, configurable: true });
+    UsedCaptchaChallenge.create
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    try {
+      const settings = { provider: 'builtin', minSubmitSeconds: 3 };
+      expect((await captchaService.checkProof(settings, { challenge, nonce, honeypot: '' })).success).toBe(true);
+      expect((await captchaService.checkProof(settings, { challenge, nonce, honeypot: '' })).errors).toEqual(['challenge-already-used']);
+    } finally {
+      delete mongoose.connection.readyState;
+    }
+
+    expect(UsedCaptchaChallenge.create).toHaveBeenCalledWith({
+      challengeId,
+      expiresAt: new Date(Number(issuedAt) + 6 * 60 * 60 * 1000)
+    });
+  });
+
+  test('should verify website submissions before queueing them, without the proof fields', async () => {
+    WebsiteIntegration.findOne.mockResolvedValue({
+      _id: integrationId,
+      organizationId,
+      integrationKey: '0123456789abcdef0123456789abcdef',
+      domain: 'example.com',
+      isActive: true,
+      settings: { enableCORS: true, captcha: { provider: 'turnstile', siteKey: 'site', secretKey: 'secret' } },
+      forms: [],
+      formConfig: {}
+    });
+    jest.spyOn(axios, 'post').mockResolvedValue({ data: { success: false, 'error-codes': ['timeout-or-duplicate'] } });
+    const enqueue = jest.spyOn(webhookQueue, 'enqueue').mockResolvedValue({ _id: 'event1' });
+
+    const response = await request(app)
+      .post(`/api/integrations/website/submit/${integrationId}`)
+      .set('Origin', 'https://example.com')
+      .send({ name: 'Asha', email: 'asha@example.com', 'cf-turnstile-response': 'used-token', hp_website: '' });
+
+    // Bots get the same answer as everyone else; the failed check travels with the event
+    expect(response.status).toBe(202);
+    const [source, payload, context] = enqueue.mock.calls[0];
+    expect(source).toBe('website');
+    expect(payload).toEqual({ name: 'Asha', email: 'asha@example.com' });
+    expect(context.metadata).toEqual({
+      captcha: { provider: 'turnstile', success: false, errors: ['timeout-or-duplicate'] }
+    });
+  });
+
+  test('should quarantine website and WordPress leads that failed the check', async () => {
+    const failed = { provider: 'hcaptcha', success: false, errors: ['invalid-input-response'] };
+    expect(captchaService.applyToSpamResult(cleanResult, null)).toBe(cleanResult);
+    expect(captchaService.applyToSpamResult(cleanResult, { provider: 'hcaptcha', success: true, errors: [] })).toBe(cleanResult);
+    expect(captchaService.applyToSpamResult({ ...cleanResult, action: 'drop' }, failed)).toMatchObject({ action: 'drop', blocked: true });
+
+    jest.spyOn(spamDetectionService, 'checkLead').mockResolvedValue(cleanResult);
+    jest.spyOn(spamDetectionService, 'logDetection').mockReturnValue();
+    const quarantineSpam = jest.spyOn(quarantineService, 'quarantineSpam').mockResolvedValue({ _id: 'quarantine1' });
+
+    const result = await wordpressService.checkSpam(
+      { _id: 'wp1', organizationId },
+      { name: 'Asha', email: 'asha@example.com' },
+      { 'your-name': 'Asha' },
+      { formId: '12', ipAddress: '203.0.113.7', captcha: failed }
+    );
+
+    expect(result).toMatchObject({ isSpam: true, spamScore: 100, action: 'quarantine', blocked: true });
+    expect(result.reason).toBe('Bot check failed (hcaptcha: invalid-input-response)');
+    expect(quarantineSpam).toHaveBeenCalledWith(
+      expect.objectContaining({ spamIndicators: [{ rule: 'captcha', score: 100, reason: result.reason }] }),
+      expect.objectContaining({ source: 'wordpress', integrationId: 'wp1', formId: '12' })
+    );
+
+    // The website queue handler hands the result to lead processing
+    const handle = jest.spyOn(websiteService, 'processWebsiteLead').mockResolvedValue({ success: true });
+    await websiteService.handleWebsiteLead({ name: 'Asha' }, { 'x-integration-key': 'key' }, { captcha: failed });
+    expect(handle.mock.calls[0][2].captcha).toBe(failed);
+  });
+
+  test('should validate settings changes and keep the secret out of the API', () => {
+    expect(captchaService.toUpdate({ provider: 'hcaptcha', siteKey: 'site' }, {}, 'settings.captcha')).toEqual({
+      errors: ['siteKey and secretKey are required for hcaptcha']
+    });
+    expect(captchaService.toUpdate({ provider: 'recaptcha', version: 'v4', minScore: 2, action: 'log in' }, {}, 'captcha').errors).toEqual([
+      'version must be one of v2, v3',
+      'minScore must be a number from 0 to 1',
+      'action may only contain letters, digits, slashes and underscores',
+      'siteKey and secretKey are required for recaptcha'
+    ]);
+    // The stored secret stays when only other settings change
+    expect(captchaService.toUpdate({ provider: 'turnstile', siteKey: ' site ' }, { secretKey: 'secret' }, 'captcha')).toEqual({
+      update: { 'captcha.provider': 'turnstile', 'captcha.siteKey': 'site' }
+    });
+
+    // Legacy reCAPTCHA settings count as v2 until a provider is chosen
+    const legacy = { settings: { captcha: { provider: 'none' }, reCaptcha: { enabled: true, siteKey: 'site', secretKey: 'secret' } } };
+    expect(captchaService.describe(captchaService.settingsFor(legacy))).toEqual({
+      provider: 'recaptcha',
+      siteKey: 'site',
+      version: 'v2',
+      minScore: 0.5,
+      action: 'submit',
+      minSubmitSeconds: 3,
+      hasSecretKey: true
+    });
+    expect(captchaService.publicConfig(captchaService.settingsFor(legacy))).not.toHaveProperty('secretKey');
+  });
+
+  test('should not capture or convert partials of integrations with a bot check', async () => {
+    const integration = {
+      _id: integrationId,
+      organizationId,
+      integrationKey: '0123456789abcdef0123456789abcdef',
+      domain: 'example.com',
+      isActive: true,
+      settings: { captcha: { provider: 'builtin' } },
+      forms: [{ formId: 'quote', isActive: true, partialCapture: { enabled: true, fields: ['email'] } }]
+    };
+    WebsiteIntegration.findOne.mockResolvedValue(integration);
+    const processLead = jest.spyOn(websiteService, 'processWebsiteLead');
+    const release = jest.spyOn(partialSubmissionService, 'release').mockResolvedValue();
+
+    const script = websiteService.generateLoaderScript(integration);
+    expect(JSON.parse(script.match(/var config = (.*);/)[1]).partialForms).toEqual({});
+    expect(await partialSubmissionService.capture(integration, {
+      visitorToken: 'lq2x7k9f3m8a1b2c3d4e',
+      formId: 'quote',
+      fields: { email: 'bot@example.com' }
+    })).toEqual({ error: 'Partial capture is not enabled for this form' });
+
+    // Entries captured before the check was turned on are dropped, not converted
+    const entry = { _id: 'partial1', integrationId, formId: 'quote', fields: { email: 'bot@example.com' } };
+    expect(await partialSubmissionService.process(entry)).toBe('discarded');
+    expect(processLead).not.toHaveBeenCalled();
+    expect(release).toHaveBeenCalledWith(entry, { status: 'discarded', lastError: 'Partial capture is no longer enabled' });
+  });
+
+  test('should give the loader script and hosted forms what they need to show the check', () => {
+    const integration = {
+      _id: integrationId,
+      integrationKey: '0123456789abcdef0123456789abcdef',
+      domain: 'example.com',
+      settings: { captcha: { provider: 'recaptcha', version: 'v3', siteKey: 'site key', secretKey: 'secret', action: 'contact' } },
+      forms: []
+    };
+
+    const script = websiteService.generateLoaderScript(integration);
+    const config = JSON.parse(script.match(/var config = (.*);/)[1]);
+    expect(config.captcha).toEqual({
+      provider: 'recaptcha',
+      siteKey: 'site key',
+      global: 'grecaptcha',
+      scriptUrl: 'https://www.google.com/recaptcha/api.js?render=site%20key',
+      invisible: true,
+      action: 'contact'
+    });
+    expect(script).not.toContain('secret');
+    expect(() => new Function(script)).not.toThrow();
+
+    const form = { formId: 'quote', fields: [] };
+    expect(hostedFormService.definition(integration, form).captcha).toEqual(config.captcha);
+    const builtin = { ...integration, settings: { captcha: { provider: 'builtin' } } };
+    expect(hostedFormService.definition(builtin, form).captcha).toEqual({
+      provider: 'builtin',
+      challengeUrl: 'https://api.jestycrm.com/api/captcha/challenge'
+    });
+
+    const policy = hostedFormService.contentSecurityPolicy(integration, 'n0nce');
+    expect(policy).toContain("script-src 'nonce-n0nce' https://www.google.com/recaptcha/ https://www.gstatic.com/recaptcha/");
+    expect(policy).toContain('frame-src https://www.google.com/recaptcha/ https://recaptcha.google.com/recaptcha/');
+    expect(hostedFormService.contentSecurityPolicy(builtin, 'n0nce')).not.toContain('frame-src');
+  });
+});
@@ -0,0 +1,152 @@
+const FacebookFormPoll = require('../models/FacebookFormPoll');
+const FacebookIntegration = require('../models/FacebookIntegration');
+const IntegrationConfig = require('../models/IntegrationConfig');
+const WebhookEvent = require('../models/WebhookEvent');
+const facebookService = require('../services/facebook.service');
+const facebookLeadProcessor = require('../services/facebookLeadProcessor.service');
+const facebookPollingService = require('../services/facebookPolling.service');
+
+jest.mock('../models/FacebookFormPoll');
+jest.mock('../models/FacebookIntegration');
+jest.mock('../models/IntegrationConfig');
+jest.mock('../models/WebhookEvent');
+
+describe('Facebook Polling Tests', () => {
+  const integration = {
+    _id: 'integration123',
+    organizationId: 'org123',
+    connected: true,
+    fbPages: [{
+      id: 'page123',
+      accessToken: 'page_token',
+      leadForms: [{ id: 'form123', name: 'Contact Form', enabled: true }]
+    }]
+  };
+
+  const createPoll = (overrides = {}) => ({
+    _id: 'poll123',
+    organizationId: 'org123',
+    integrationId: 'integration123',
+    pageId: 'page123',
+    formId: 'form123',
+    lastLeadTime: new Date('2026-10-01T10:00:00Z'),
+    recentLeadIds: ['lead1'],
+    ...overrides
+  });
+
+  const fbLead = (id, time) => ({ id, created_time: time, field_data: [] });
+
+  const mockSyncConfig = (syncConfig) => {
+    IntegrationConfig.findOne.mockReturnValue({
+      select: () => ({ lean: async () => (syncConfig ? { syncConfig } : null) })
+    });
+  };
+
+  beforeEach(() => {
+    mockSyncConfig(null);
+    FacebookIntegration.findById.mockResolvedValue(integration);
+    WebhookEvent.find.mockReturnValue({
+      select: () => ({ lean: async () => [{ payload: { leadgen_id: 'lead2' } }] })
+    });
+    jest.spyOn(facebookService, 'fetchHistoricalLeadsFromForm').mockResolvedValue([
+      fbLead('lead1', '2026-10-01T09:55:00+0000'),
+      fbLead('lead2', '2026-10-01T10:30:00+0000'),
+      fbLead('lead3', '2026-10-01T11:00:00+0000'),
+      fbLead('lead4', '2026-10-01T12:00:00+0000')
+    ]);
+    jest.spyOn(facebookLeadProcessor, 'processFormLeads').mockResolvedValue({
+      success: true,
+      results: [
+        { facebookLeadId: 'lead3', success: true, leadId: 'crm3' },
+        { facebookLeadId: 'lead4', success: true, duplicate: true, leadId: 'crm1' }
+      ]
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should follow the organization sync frequency', async () => {
+    expect(await facebookPollingService.getSchedule('org123')).toEqual({
+      enabled: true,
+      frequency: 'realtime',
+      intervalMs: facebookPollingService.realtimeIntervalMs
+    });
+
+    mockSyncConfig({ enabled: true, frequency: 'daily' });
+    expect((await facebookPollingService.getSchedule('org123')).intervalMs).toBe(24 * 60 * 60 * 1000);
+
+    mockSyncConfig({ enabled: false, frequency: 'hourly' });
+    expect((await facebookPollingService.getSchedule('org123')).enabled).toBe(false);
+  });
+
+  test('should only create leads missing from earlier polls and webhooks', async () => {
+    const before = Date.now();
+    const result = await facebookPollingService.pollForm(createPoll());
+
+    const [formId, token, since] = facebookService.fetchHistoricalLeadsFromForm.mock.calls[0];
+    expect(formId).toBe('form123');
+    expect(token).toBe('page_token');
+    // Starts a little before the last lead seen
+    expect(since).toBe(Math.floor((Date.parse('2026-10-01T10:00:00Z') - facebookPollingService.overlapMs) / 1000));
+
+    const [, pageId, , options] = facebookLeadProcessor.processFormLeads.mock.calls[0];
+    expect(pageId).toBe('page123');
+    expect(options.syncType).toBe('poll');
+    expect(options.leads.map(lead => lead.id)).toEqual(['lead3', 'lead4']);
+
+    expect(result).toMatchObject({ fetched: 4, alreadyIngested: 2, created: 1, duplicates: 1, errors: 0 });
+
+    const [filter, update] = FacebookFormPoll.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: 'poll123', lockedBy: facebookPollingService.workerId });
+    expect(update.$set).toMatchObject({ status: 'success', lastLeadTime: new Date('2026-10-01T12:00:00Z') });
+    expect(update.$set.nextPollAt.getTime()).toBeGreaterThanOrEqual(before + facebookPollingService.realtimeIntervalMs);
+    expect(update.$push.recentLeadIds.$each).toEqual(['lead3', 'lead4']);
+    expect(update.$unset).toEqual({ lockedBy: 1, lockedUntil: 1 });
+  });
+
+  test('should retry failed leads on the next poll', async () => {
+    facebookLeadProcessor.processFormLeads.mockResolvedValue({
+      success: true,
+      results: [
+        { facebookLeadId: 'lead3', success: false, error: 'leads-service down' },
+        { facebookLeadId: 'lead4', success: true, leadId: 'crm4' }
+      ]
+    });
+
+    await facebookPollingService.pollForm(createPoll());
+
+    const [, update] = FacebookFormPoll.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({
+      status: 'partial',
+      lastError: 'leads-service down',
+      lastLeadTime: new Date('2026-10-01T11:00:00Z')
+    });
+    expect(update.$push.recentLeadIds.$each).toEqual(['lead4']);
+  });
+
+  test('should skip forms of organizations with sync disabled', async () => {
+    mockSyncConfig({ enabled: false });
+
+    await facebookPollingService.pollForm(createPoll());
+
+    expect(facebookService.fetchHistoricalLeadsFromForm).not.toHaveBeenCalled();
+    expect(FacebookFormPoll.updateOne.mock.calls[0][1].$set.status).toBe('skipped');
+  });
+
+  test('should only trust completed webhook events of the poll\'s organization', async () => {
+    const missing = await facebookPollingService.filterIngested(createPoll(), [fbLead('lead2'), fbLead('lead3')]);
+
+    expect(missing.map(lead => lead.id)).toEqual(['lead3']);
+    expect(WebhookEvent.find.mock.calls[0][0]).toEqual({
+      source: 'facebook',
+      'payload.leadgen_id': { $in: ['lead2', 'lead3'] },
+      $or: [
+        { status: { $in: ['pending', 'processing'] } },
+        { status: 'completed', organizationIds: 'org123' }
+      ]
+    });
+  });
+});
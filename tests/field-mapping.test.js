@@ -0,0 +1,91 @@
+const fieldMappingService = require('../services/fieldMapping.service');
+
+describe('Field Mapping Engine Tests', () => {
+  const map = (source, payload, rules, options = {}) =>
+    fieldMappingService.applyRules(
+      fieldMappingService.normalizePayload(source, payload, options),
+      { rules, includeUnmapped: options.includeUnmapped }
+    );
+
+  test('should concatenate, split names, transform and fall back to defaults', () => {
+    const lead = map('website', {
+      first: ' Jane ',
+      last: 'Doe',
+      'Work Email': ' Jane@Example.COM ',
+      mobile: '098765 43210',
+      interest: 'opt_2'
+    }, [
+      { target: 'name', from: ['first', 'last'], combine: 'concat', transforms: ['trim'] },
+      { target: 'lastName', from: ['last'] },
+      { target: 'email', from: ['work email'], transforms: ['trim', 'lowercase'] },
+      { target: 'phone', from: ['mobile'], transforms: ['phone_e164'] },
+      { target: 'customFields.interest', from: ['interest'], lookup: { opt_1: 'Buying', opt_2: 'Renting' } },
+      { target: 'company', from: ['company'], default: 'Individual' }
+    ], { includeUnmapped: false });
+
+    expect(lead).toEqual({
+      name: 'Jane Doe',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '+919876543210',
+      company: 'Individual',
+      customFields: { interest: 'Renting' }
+    });
+  });
+
+  test('should read Facebook field_data and dotted paths, keeping unmapped fields', () => {
+    const lead = map('facebook', {
+      id: 'lead123',
+      ad_id: 'ad123',
+      field_data: [
+        { name: 'full_name', values: ['John Ronald Smith'] },
+        { name: 'email', values: ['john@example.com'] },
+        { name: 'budget', values: ['10k'] }
+      ]
+    }, [
+      { target: 'firstName', from: ['full_name'], split: 'first_name' },
+      { target: 'lastName', from: ['full_name'], split: 'last_name' },
+      { target: 'email', from: ['email'] },
+      { target: 'customFields.adId', from: ['ad_id'] }
+    ]);
+
+    expect(lead).toEqual({
+      firstName: 'John',
+      lastName: 'Ronald Smith',
+      name: 'John Ronald Smith',
+      email: 'john@example.com',
+      customFields: { adId: 'ad123', budget: '10k' }
+    });
+  });
+
+  test('should only convert non-default IntegrationConfig field mappings', () => {
+    expect(fieldMappingService.fromIntegrationConfig({
+      name: 'name', email: 'email', phone: 'phone', company: 'company', source: 'source'
+    })).toBeNull();
+
+    const ruleSet = fieldMappingService.fromIntegrationConfig({
+      name: 'contact_name',
+      email: 'email',
+      customFields: { city_field: 'city' }
+    });
+
+    expect(ruleSet.rules).toEqual(expect.arrayContaining([
+      { target: 'name', from: ['contact_name'] },
+      { target: 'email', from: ['email'] },
+      { target: 'customFields.city', from: ['city_field'] }
+    ]));
+  });
+
+  test('should validate rules', () => {
+    expect(fieldMappingService.validateRules([{ target: 'email', from: ['email'], transforms: ['trim'] }])).toEqual([]);
+    expect(fieldMappingService.validateRules([
+      { target: '', from: 'email' },
+      { target: 'name', from: [], transforms: ['reverse'] }
+    ])).toEqual([
+      'rules[0].target is required',
+      'rules[0].from must be an array of field paths',
+      'rules[1] needs a source path or a default value',
+      `rules[1].transforms must be a list of: ${fieldMappingService.transforms.join(', ')}`
+    ]);
+  });
+});
@@ -0,0 +1,182 @@
+const express = require('express');
+const helmet = require('helmet');
+const request = require('supertest');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const hostedFormService = require('../services/hostedForm.service');
+const hostedFormsRoutes = require('../routes/hostedForms.routes');
+
+jest.mock('../models/WebsiteIntegration');
+
+describe('Hosted Form Tests', () => {
+  const integrationKey = '0123456789abcdef0123456789abcdef';
+
+  const form = {
+    formId: 'landing-form',
+    formName: 'Landing Page',
+    title: 'Get a <quote>',
+    fields: [
+      { name: 'name', label: 'Name', type: 'text', required: true, step: 0 },
+      { name: 'email', label: 'Email', type: 'email', required: true, step: 0 },
+      { name: 'budget', label: 'Budget', type: 'select', options: ['Under 10k', 'Over 10k'], step: 1 },
+      {
+        name: 'timeline',
+        label: 'When do you need it?',
+        type: 'radio',
+        options: ['This month', 'Later'],
+        step: 1,
+        showIf: { field: 'budget', operator: 'equals', value: 'Over 10k' }
+      },
+      { name: 'campaign', type: 'hidden', defaultValue: 'spring' }
+    ],
+    steps: [{ title: 'About you' }, { title: 'Your project' }],
+    theme: { primaryColor: '#ff6600', fontFamily: 'Georgia, serif' },
+    submitButtonText: 'Get my quote',
+    successMessage: 'We will call you back',
+    isActive: true
+  };
+
+  const integration = {
+    _id: '64b0000000000000000000e1',
+    integrationKey,
+    domain: 'example.com',
+    isActive: true,
+    settings: { enableCORS: true, allowedOrigins: ['https://landing.example.net', 'javascript:alert(1)'] },
+    forms: [form, { formId: 'form-2', formName: 'Old', fields: [], isActive: false }]
+  };
+
+  const lean = (value) => ({ lean: async () => value });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should validate form definitions from the builder', () => {
+    expect(hostedFormService.validateForm(form)).toEqual([]);
+    expect(hostedFormService.validateForm({ title: 'Only a title' }, { partial: true })).toEqual([]);
+
+    expect(hostedFormService.validateForm({
+      formName: 'Broken',
+      redirectUrl: 'javascript:alert(1)',
+      theme: { primaryColor: 'red; background: url(x)' },
+      fields: [
+        { name: 'email', type: 'email' },
+        { name: 'email', type: 'text' },
+        { name: 'submissionToken', type: 'text' },
+        { name: 'size', type: 'select' },
+        { name: 'note', type: 'text', showIf: { field: 'later', operator: 'filled' }, validation: { pattern: '(' } },
+        { name: 'later', type: 'text' }
+      ]
+    })).toEqual([
+      'redirectUrl must be an http(s) URL',
+      'theme.primaryColor must be a hex color such as #007bff',
+      'fields[1].name email is used by another field',
+      'fields[2].name submissionToken is reserved',
+      'fields[3].options are required for select fields',
+      'fields[4].validation.pattern must be a regular expression of up to 200 characters',
+      'fields[4].showIf.field must name a field that comes before it'
+    ]);
+  });
+
+  test('should render the stored definition as steps with its theme and escaped text', () => {
+    const html = hostedFormService.render(integration, form, { nonce: 'abc123' });
+
+    expect(html).toContain('<title>Get a &lt;quote&gt;</title>');
+    expect(html).not.toContain('<quote>');
+    expect(html).toContain('--jf-primary: #ff6600');
+    expect(html).toContain('font-family: Georgia, serif');
+    expect(html).toContain('<style nonce="abc123">');
+    expect(html).toContain('<script nonce="abc123">');
+    expect(html.match(/class="jf-step"/g)).toHaveLength(2);
+    expect(html).toContain('<legend>Your project</legend>');
+    expect(html).toContain('<input type="email" id="jf-email" name="email" value="" placeholder="" required autocomplete="email">');
+    expect(html).toContain('<div class="jf-field" data-field="campaign" hidden><input type="hidden" name="campaign" value="spring"></div>');
+    expect(html).toContain('class="jf-page"');
+    expect(hostedFormService.render(integration, form, { embed: true })).toContain('class="jf-embedded"');
+
+    const definition = hostedFormService.definition(integration, form);
+    expect(definition).toMatchObject({
+      formId: 'landing-form',
+      submitUrl: `https://api.jestycrm.com/api/webhooks/website/${integrationKey}`,
+      successMessage: 'We will call you back',
+      redirectUrl: null
+    });
+    expect(definition.steps.map(step => step.fields.map(field => field.name))).toEqual([['name', 'email', 'campaign'], ['budget', 'timeline']]);
+    expect(definition.steps[1].fields[1].showIf).toEqual({ field: 'budget', operator: 'equals', value: 'Over 10k' });
+
+    // Forms without fields get the fields of the copy-paste HTML form
+    const plain = hostedFormService.definition(integration, { formId: 'form-1', fields: [] });
+    expect(plain.steps[0].fields.map(field => field.name)).toEqual(['name', 'email', 'phone', 'company', 'message']);
+  });
+
+  test('should keep stored text from breaking out of the page script and style', () => {
+    const html = hostedFormService.render(
+      { ...integration, settings: { customCSS: '.jf-form { color: red } </style><script>alert(1)</script>' } },
+      { ...form, successMessage: '</script><script>alert(1)</script>', theme: { textColor: 'red;}</style>' } }
+    );
+
+    expect(html).not.toContain('</script><script>alert(1)');
+    expect(html).not.toContain('</style><script>');
+    expect(html).toContain('\\u003c/script>\\u003cscript>alert(1)');
+    expect(html).toContain('--jf-text: #333333');
+
+    // The inline client script parses
+    const script = html.split('<script nonce="">')[1].split('</script>')[0];
+    expect(() => new Function(script)).not.toThrow();
+  });
+
+  test('should serve active forms publicly and let the integration\'s sites frame them', async () => {
+    const app = express();
+    app.use(helmet());
+    app.use('/api/forms', hostedFormsRoutes);
+
+    WebsiteIntegration.findOne.mockReturnValue(lean(integration));
+    const response = await request(app).get(`/api/forms/${integrationKey}/landing-form/embed`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+    expect(response.headers['x-frame-options']).toBeUndefined();
+    expect(WebsiteIntegration.findOne).toHaveBeenCalledWith({ integrationKey, isActive: true });
+
+    const csp = response.headers['content-security-policy'];
+    const nonce = csp.match(/script-src 'nonce-([^']+)'/)[1];
+    expect(response.text).toContain(`<script nonce="${nonce}">`);
+    expect(csp).toMatch(/frame-ancestors https:\/\/example\.com http:\/\/example\.com https:\/\/www\.example\.com http:\/\/www\.example\.com https:\/\/landing\.example\.net$/);
+    expect(csp).not.toContain('javascript:');
+    expect(response.text).toContain('class="jf-embedded"');
+
+    // Inactive forms and unknown keys are not served
+    expect((await request(app).get(`/api/forms/${integrationKey}/form-2`)).status).toBe(404);
+    WebsiteIntegration.findOne.mockReturnValue(lean(null));
+    expect((await request(app).get('/api/forms/unknown/landing-form')).status).toBe(404);
+
+    // Without origin restrictions any site may embed the form
+    expect(hostedFormService.contentSecurityPolicy({ ...integration, settings: { enableCORS: false } }, 'n'))
+      .toContain('frame-ancestors *');
+  });
+
+  test('should add forms with the next free formId and update only the given properties', async () => {
+    WebsiteIntegration.findOneAndUpdate.mockImplementation((filter, update) => lean({
+      forms: [update.$push ? update.$push.forms : { ...form, title: update.$set['forms.$.title'] }]
+    }));
+
+    const created = await hostedFormService.createForm({ _id: integration._id, forms: [{ formId: 'form-1' }, { formId: 'form-3' }] }, {
+      formName: 'Newsletter',
+      fields: [{ name: 'email', type: 'email', required: true }]
+    });
+    expect(created).toMatchObject({ formId: 'form-4', formName: 'Newsletter', submitButtonText: 'Submit', isActive: true });
+    expect(created.fields[0]).toMatchObject({ name: 'email', required: true, options: [], step: 0 });
+    // Two requests can't add the same formId
+    expect(WebsiteIntegration.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: integration._id, 'forms.formId': { $ne: 'form-4' } });
+
+    const updated = await hostedFormService.updateForm(integration, 'landing-form', { title: 'New title', formId: 'renamed' });
+    expect(updated.title).toBe('New title');
+    const [filter, { $set }] = WebsiteIntegration.findOneAndUpdate.mock.calls[1];
+    expect(filter).toEqual({ _id: integration._id, 'forms.formId': 'landing-form' });
+    expect(Object.keys($set)).toEqual(['updatedAt', 'forms.$.title']);
+
+    const embedCode = hostedFormService.withLinks(integration, form).embedCode;
+    expect(embedCode).toContain(`src="https://api.jestycrm.com/api/forms/${integrationKey}/landing-form/embed"`);
+    expect(embedCode).toContain("document.getElementById('jesty-form-landing-form')");
+  });
+});
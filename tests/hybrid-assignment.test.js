@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const AssignmentLog = require('../models/AssignmentLog');
+const AssignmentState = require('../models/AssignmentState');
+const PendingAssignment = require('../models/PendingAssignment');
+const assigneeCapacityService = require('../services/assigneeCapacity.service');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentLog = require('../services/assignmentLog.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const formAssignmentService = require('../services/formAssignmentService');
+const slaWatcher = require('../services/slaWatcher.service');
+const workingHoursService = require('../services/workingHours.service');
+
+jest.mock('../models/AssignmentLog');
+jest.mock('../models/AssignmentState');
+jest.mock('../models/PendingAssignment');
+
+describe('Hybrid Assignment Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const scope = 'facebook:integration123:page123:form123';
+  const locator = { source: 'facebook', integrationId: 'integration123', pageId: 'page123', formId: 'form123' };
+  const now = new Date('2026-10-19T05:00:00Z');
+
+  const agent = '3f0e7c1a-5b2d-4c8e-9a1f-2b3c4d5e6f70';
+  const alice = '64b0000000000000000000a1';
+  const bob = '64b0000000000000000000b2';
+
+  const settingsWith = (hybrid) => ({
+    enabled: true,
+    algorithm: 'round-robin',
+    assignToUsers: [{ userId: agent }, { userId: alice }, { userId: bob }],
+    hybrid
+  });
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+  let onShift;
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    // Engine state in memory
+    readyState.mockReturnValue(0);
+    assignmentEngine.memoryState.clear();
+
+    onShift = [alice, bob];
+    jest.spyOn(workingHoursService, 'getAvailability').mockImplementation(async (orgId, userIds) => ({
+      onShift: userIds.filter(userId => onShift.includes(userId)),
+      availableAt: null,
+      onCall: []
+    }));
+    jest.spyOn(assigneeCapacityService, 'getAvailability').mockImplementation(async (orgId, userIds) => ({
+      enabled: false,
+      available: userIds
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should tell AI agents from humans and validate hybrid settings', () => {
+    expect(assignmentEngine.isAIAgent(agent)).toBe(true);
+    expect(assignmentEngine.isAIAgent(alice)).toBe(false);
+
+    expect(assignmentEngine.isValidHybrid({ strategy: 'ai-split', aiPercent: 30 })).toBe(true);
+    expect(assignmentEngine.isValidHybrid({ strategy: 'ai-always' })).toBe(false);
+    expect(assignmentEngine.isValidHybrid({ aiPercent: 120 })).toBe(false);
+    expect(assignmentEngine.isValidHybrid({ handOffMinutes: 0 })).toBe(false);
+
+    expect(assignmentEngine.mergeHybrid({ strategy: 'ai-first', handOffMinutes: 5 }, { aiPercent: 20 }))
+      .toEqual({ strategy: 'ai-first', aiPercent: 20, handOffMinutes: 5 });
+    expect(assignmentEngine.normalizeSettings(settingsWith(undefined)).hybrid.strategy).toBe('none');
+  });
+
+  test('should give AI agents the first touch and hand the lead to the next human', async () => {
+    const settings = settingsWith({ strategy: 'ai-first', handOffMinutes: 10 });
+    const result = await assignmentEngine.nextForSettings(scope, settings, { organizationId, locator, now });
+
+    expect(result.user.userId).toBe(agent);
+    expect(result).toMatchObject({ pool: 'ai', scope: `${scope}:ai`, settingsScope: scope });
+    expect(result.handOffAt - now).toBe(10 * 60 * 1000);
+
+    // The human the lead is handed to gets the SLA clock, not the agent
+    readyState.mockReturnValue(1);
+    expect(await slaWatcher.watch(result, 'lead123')).toBeNull();
+    expect(assignmentLog.reasonFor(result)).toBe('ai-first-touch');
+
+    PendingAssignment.findOneAndUpdate.mockImplementation(async (filter, update) => update.$set);
+    const entry = await assignmentQueue.defer(result, 'lead123');
+    expect(entry).toMatchObject({
+      scope,
+      reason: 'hand-off',
+      pool: 'human',
+      handOffFrom: agent,
+      availableAt: result.handOffAt
+    });
+
+    // Hand-off: round-robin among the humans only
+    readyState.mockReturnValue(0);
+    const handOff = await assignmentEngine.nextForSettings(scope, settings, { organizationId, locator, pool: 'human' });
+    expect(handOff.user.userId).toBe(alice);
+    expect(handOff.pool).toBe('human');
+    expect(handOff.handOffAt).toBeUndefined();
+  });
+
+  test('should hand queued leads off and free the agent', async () => {
+    readyState.mockReturnValue(1);
+    let sequence = 0;
+    AssignmentState.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ sequence: ++sequence })
+    }));
+    AssignmentState.updateOne.mockResolvedValue({});
+    AssignmentLog.findOne.mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => ({ assignedTo: agent }) }) })
+    });
+    AssignmentLog.create.mockImplementation(async (entry) => entry);
+    PendingAssignment.updateOne.mockResolvedValue({});
+
+    const assign = jest.spyOn(formAssignmentService, 'assignLeadToUserViaService').mockResolvedValue({ success: true });
+    const release = jest.spyOn(assigneeCapacityService, 'release').mockResolvedValue(true);
+    jest.spyOn(assignmentQueue, 'settingsFor').mockResolvedValue(settingsWith({ strategy: 'ai-first' }));
+    jest.spyOn(assignmentQueue, 'recordAssignment').mockResolvedValue();
+    jest.spyOn(slaWatcher, 'watch').mockResolvedValue(null);
+
+    const status = await assignmentQueue.process({
+      _id: 'pending123',
+      organizationId,
+      leadId: 'lead123',
+      scope,
+      locator,
+      reason: 'hand-off',
+      pool: 'human',
+      handOffFrom: agent
+    });
+
+    expect(status).toBe('assigned');
+    expect(assign).toHaveBeenCalledWith('lead123', alice, organizationId);
+    expect(release).toHaveBeenCalledWith(organizationId, agent, 'lead123');
+    expect(AssignmentLog.create.mock.calls[0][0]).toMatchObject({
+      event: 'reassigned',
+      previousAssignee: agent,
+      assignedTo: alice,
+      reason: 'hand-off'
+    });
+  });
+
+  test('should use AI agents only while no human is on shift', async () => {
+    const settings = settingsWith({ strategy: 'ai-outside-hours' });
+    const context = { organizationId, locator, now };
+
+    const first = await assignmentEngine.nextForSettings(scope, settings, context);
+    expect(first).toMatchObject({ pool: 'human', user: expect.objectContaining({ userId: alice }) });
+
+    onShift = [];
+    const outside = await assignmentEngine.nextForSettings(scope, settings, context);
+    expect(outside).toMatchObject({ pool: 'ai', user: expect.objectContaining({ userId: agent }) });
+    expect(outside.handOffAt).toBeUndefined();
+
+    // The preview follows the shifts too
+    const preview = await assignmentEngine.peekAvailable(scope, settings.assignToUsers, assignmentEngine.normalizeSettings(settings), context);
+    expect(preview.hybrid).toMatchObject({ strategy: 'ai-outside-hours', pool: 'ai', handOffTo: null });
+  });
+
+  test('should split leads between AI agents and humans by percentage', async () => {
+    const settings = settingsWith({ strategy: 'ai-split', aiPercent: 30 });
+    const normalized = assignmentEngine.normalizeSettings(settings);
+    const pools = [];
+
+    for (let i = 0; i < 10; i++) {
+      const preview = await assignmentEngine.peekAvailable(scope, settings.assignToUsers, normalized, { organizationId });
+      const result = await assignmentEngine.nextForSettings(scope, settings, { organizationId, locator, now });
+      // The preview says where the lead goes without moving the split on
+      expect(preview.hybrid.pool).toBe(result.pool);
+      pools.push(result.pool);
+    }
+
+    expect(pools.filter(pool => pool === 'ai')).toHaveLength(3);
+    expect(pools.slice(0, 4)).toEqual(['human', 'human', 'human', 'ai']);
+
+    // Without humans every lead goes to the agents
+    const agentsOnly = { ...settings, assignToUsers: [{ userId: agent }] };
+    const result = await assignmentEngine.nextForSettings('website:integration456', agentsOnly, { organizationId, locator, now });
+    expect(result.user.userId).toBe(agent);
+  });
+});
@@ -0,0 +1,129 @@
+const axios = require('axios');
+const mongoose = require('mongoose');
+const FacebookIntegration = require('../models/FacebookIntegration');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const facebookLeadProcessor = require('../services/facebookLeadProcessor.service');
+const idempotencyService = require('../services/idempotency.service');
+const shopifyService = require('../services/shopifyService');
+
+jest.mock('../models/IdempotencyKey');
+
+describe('Idempotency Ledger Tests', () => {
+  const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  const mockExisting = (record) => {
+    IdempotencyKey.findOneAndUpdate
+      .mockRejectedValueOnce(duplicateKeyError())
+      .mockReturnValueOnce({ lean: async () => record });
+  };
+
+  // The ledger only runs with a database; readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(1);
+    IdempotencyKey.findOneAndUpdate.mockResolvedValue({});
+    IdempotencyKey.updateOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should let the first submission through and record the lead it created', async () => {
+    const claim = await idempotencyService.claim('facebook', 'leadgen123', {
+      organizationId: 'org123',
+      integrationId: 'integration123'
+    });
+
+    expect(claim).toMatchObject({ proceed: true, tracked: true });
+    const [filter, update, options] = IdempotencyKey.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ source: 'facebook', organizationId: 'org123', key: 'leadgen123' });
+    expect(update.$set).toMatchObject({ status: 'processing', keyType: 'leadgen_id', integrationId: 'integration123' });
+    expect(options.upsert).toBe(true);
+
+    await idempotencyService.complete(claim, 'lead123');
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { source: 'facebook', organizationId: 'org123', key: 'leadgen123' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'completed', leadId: 'lead123', outcome: 'created' }) })
+    );
+  });
+
+  test('should return the original lead for a repeated key', async () => {
+    mockExisting({ status: 'completed', leadId: 'lead123', outcome: 'created' });
+
+    const claim = await idempotencyService.claim('facebook', 'leadgen123', { organizationId: 'org123' });
+
+    expect(claim).toEqual({ proceed: false, tracked: false, inProgress: false, leadId: 'lead123', outcome: 'created' });
+    expect(IdempotencyKey.findOneAndUpdate.mock.calls[1][1].$inc).toEqual({ repeats: 1 });
+
+    // Nothing is recorded for a repeat
+    await idempotencyService.complete(claim, 'lead456');
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should never block ingestion without a key or a database', async () => {
+    expect(await idempotencyService.claim('website', undefined)).toEqual({ proceed: true, tracked: false });
+
+    readyState.mockReturnValue(0);
+    expect(await idempotencyService.claim('shopify', 'webhook123')).toEqual({ proceed: true, tracked: false });
+
+    expect(IdempotencyKey.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should hash submissions regardless of field order', () => {
+    const first = idempotencyService.fingerprint({ formId: 'contact', fields: { name: 'Jane', email: 'jane@example.com' } });
+    const second = idempotencyService.fingerprint({ fields: { email: 'jane@example.com', name: 'Jane' }, formId: 'contact' });
+    const other = idempotencyService.fingerprint({ formId: 'contact', fields: { name: 'Jane', email: 'john@example.com' } });
+
+    expect(first).toBe(second);
+    expect(first).not.toBe(other);
+  });
+
+  test('should short-circuit redelivered Shopify webhooks by X-Shopify-Webhook-Id', async () => {
+    jest.spyOn(shopifyService, 'processWebhook').mockResolvedValue({ success: true, leadId: 'lead123' });
+    const headers = {
+      'x-organization-id': 'org123',
+      'x-shopify-topic': 'orders/create',
+      'x-shopify-webhook-id': 'b54557e4-bdd9-4b37-8a5f-bf7d70bcd043'
+    };
+
+    expect(await shopifyService.handleWebhook({ id: 1 }, headers)).toEqual({ success: true, leadId: 'lead123' });
+    expect(IdempotencyKey.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'completed', leadId: 'lead123' });
+
+    mockExisting({ status: 'completed', leadId: 'lead123', outcome: 'created' });
+    const repeat = await shopifyService.handleWebhook({ id: 1 }, headers);
+
+    expect(repeat).toMatchObject({ success: true, duplicate: true, leadId: 'lead123', action: 'already_processed' });
+    expect(shopifyService.processWebhook).toHaveBeenCalledTimes(1);
+  });
+
+  test('should release the Facebook lead key instead of storing a placeholder when the Graph API fails', async () => {
+    jest.spyOn(FacebookIntegration, 'find').mockResolvedValue([{
+      _id: 'integration123',
+      organizationId: '507f1f77bcf86cd799439011',
+      fbPages: [{ id: 'page123', access_token: 'token', leadForms: [] }]
+    }]);
+    jest.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('Request failed'), {
+      response: { status: 500, data: { error: { message: 'Service temporarily unavailable' } } }
+    }));
+    const createLead = jest.spyOn(facebookLeadProcessor, 'createLeadInCRM');
+
+    const result = await facebookLeadProcessor.processWebhookLead({ leadgen_id: 'leadgen123', page_id: 'page123', form_id: 'form123' });
+
+    expect(result.success).toBe(false);
+    expect(result.results[0].error).toMatch(/Service temporarily unavailable/);
+    expect(createLead).not.toHaveBeenCalled();
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledTimes(1);
+    expect(IdempotencyKey.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'failed' });
+  });
+});
@@ -0,0 +1,97 @@
+const leadsServiceClient = require('../services/leadsService.client');
+const leadDedupeService = require('../services/leadDedupe.service');
+
+describe('Lead Dedupe Tests', () => {
+  const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+  const createIntegration = (duplicateHandling) => ({
+    _id: 'integration123',
+    organizationId: '507f1f77bcf86cd799439011',
+    leadSettings: {
+      duplicateHandling: { enabled: true, checkFields: ['email', 'phone'], action: 'update', ...duplicateHandling }
+    }
+  });
+
+  const submission = {
+    name: 'Jane Doe',
+    email: 'Jane@Example.com',
+    phone: '98765 43210',
+    company: 'Acme',
+    customFields: { budget: '20k', city: 'Pune' }
+  };
+
+  const existing = {
+    _id: 'lead123',
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    phone: '+919876543210',
+    company: '',
+    createdAt: hoursAgo(2),
+    customFields: { budget: '10k', source_page: '/pricing' },
+    metadata: { dedupe: { count: 1, history: [{ action: 'update' }] } }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(leadsServiceClient, 'findDuplicates').mockResolvedValue([existing]);
+    jest.spyOn(leadsServiceClient, 'updateLead').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const apply = (integration, lead = submission) =>
+    leadDedupeService.apply(lead, { source: 'website', integration, formId: 'contact' });
+
+  test('should merge custom fields into the newest match and record the update', async () => {
+    const result = await apply(createIntegration());
+
+    expect(result).toMatchObject({ handled: true, action: 'update', leadId: 'lead123', matchedOn: ['email', 'phone'] });
+    expect(leadsServiceClient.findDuplicates).toHaveBeenCalledWith(
+      { email: 'Jane@Example.com', phone: '+919876543210' },
+      '507f1f77bcf86cd799439011'
+    );
+
+    const [leadId, update, organizationId] = leadsServiceClient.updateLead.mock.calls[0];
+    expect(leadId).toBe('lead123');
+    expect(organizationId).toBe('507f1f77bcf86cd799439011');
+    expect(update.customFields).toEqual({ budget: '20k', city: 'Pune', source_page: '/pricing' });
+    expect(update.company).toBe('Acme');
+    expect(update.name).toBeUndefined();
+    expect(update.metadata.dedupe).toMatchObject({
+      lastAction: 'update',
+      count: 2,
+      history: [{ action: 'update' }, expect.objectContaining({ action: 'update', source: 'website', formId: 'contact' })]
+    });
+  });
+
+  test('should only count matches on the configured fields inside the time window', async () => {
+    leadsServiceClient.findDuplicates.mockResolvedValue([{ ...existing, email: 'other@example.com' }]);
+    expect((await apply(createIntegration({ checkFields: ['email'] }))).handled).toBe(false);
+
+    leadsServiceClient.findDuplicates.mockResolvedValue([{ ...existing, createdAt: hoursAgo(30) }]);
+    expect((await apply(createIntegration({ windowHours: 24 }))).handled).toBe(false);
+    expect((await apply(createIntegration({ windowHours: 48 }))).handled).toBe(true);
+  });
+
+  test('should create a new lead noting the duplicates for create_new', async () => {
+    const result = await apply(createIntegration({ action: 'create_new' }));
+
+    expect(result.handled).toBe(false);
+    expect(result.metadata).toMatchObject({ action: 'create_new', duplicateOf: ['lead123'], matchedOn: ['email', 'phone'] });
+    expect(leadsServiceClient.updateLead).not.toHaveBeenCalled();
+  });
+
+  test('should keep ignored submissions out of the CRM and skip disabled policies', async () => {
+    leadsServiceClient.updateLead.mockRejectedValue(new Error('leads-service down'));
+    expect(await apply(createIntegration({ action: 'ignore' }))).toMatchObject({ handled: true, action: 'ignore' });
+    expect(leadsServiceClient.updateLead.mock.calls[0][1]).toEqual({
+      metadata: expect.objectContaining({ dedupe: expect.objectContaining({ lastAction: 'ignore' }) })
+    });
+
+    // A failed merge creates the lead rather than losing the submission
+    expect(await apply(createIntegration())).toMatchObject({ handled: false, metadata: { mergeFailed: true } });
+
+    expect(await apply(createIntegration({ enabled: false }))).toMatchObject({ handled: false, policy: null });
+  });
+});
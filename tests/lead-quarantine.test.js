@@ -0,0 +1,79 @@
+const leadsServiceClient = require('../services/leadsService.client');
+const quarantineService = require('../services/quarantine.service');
+
+describe('Lead Quarantine Tests', () => {
+  const leadData = {
+    organizationId: '64b7f0c2a1b2c3d4e5f60718',
+    source: 'linkedin',
+    name: 'Jane Doe',
+    originalData: { id: 'response123' }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(quarantineService, 'quarantineLead').mockResolvedValue({ _id: 'quarantine123' });
+    jest.spyOn(leadsServiceClient.client, 'post');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should quarantine leads without a contact method instead of sending them', async () => {
+    const error = await leadsServiceClient.createLead(leadData, {
+      integrationId: 'integration123',
+      formId: 'form123',
+      externalId: 'response123'
+    }).catch(e => e);
+
+    expect(error.message).toBe('Failed to create lead: At least one contact method (email or phone) is required');
+    expect(error.code).toBe('LEAD_VALIDATION_FAILED');
+    expect(error.missingFields).toEqual(['email', 'phone']);
+    expect(error.quarantineId).toBe('quarantine123');
+    expect(leadsServiceClient.client.post).not.toHaveBeenCalled();
+
+    expect(quarantineService.quarantineLead).toHaveBeenCalledWith(expect.objectContaining({
+      reason: 'missing_fields',
+      source: 'linkedin',
+      integrationId: 'integration123',
+      formId: 'form123',
+      externalId: 'response123',
+      rawPayload: { id: 'response123' }
+    }));
+  });
+
+  test('should report a missing name', async () => {
+    const error = await leadsServiceClient.createLead({ ...leadData, name: '', email: 'jane@example.com' }).catch(e => e);
+
+    expect(error.message).toBe('Failed to create lead: name is required');
+    expect(error.missingFields).toEqual(['name']);
+  });
+
+  test('should not quarantine again when pushing a reviewed lead', async () => {
+    const error = await leadsServiceClient.createLead(leadData, { quarantine: false }).catch(e => e);
+
+    expect(error.code).toBe('LEAD_VALIDATION_FAILED');
+    expect(error.quarantineId).toBeUndefined();
+    expect(quarantineService.quarantineLead).not.toHaveBeenCalled();
+  });
+
+  test('should only quarantine spam with the quarantine action', async () => {
+    const spamResult = {
+      isSpam: true,
+      spamScore: 80,
+      threshold: 60,
+      action: 'drop',
+      spamIndicators: [{ rule: 'disposableEmail', score: 80, reason: 'Disposable email domain' }],
+      reason: 'Disposable email domain'
+    };
+
+    expect(await quarantineService.quarantineSpam(spamResult, { source: 'website' })).toBeNull();
+    expect(quarantineService.quarantineLead).not.toHaveBeenCalled();
+
+    await quarantineService.quarantineSpam({ ...spamResult, action: 'quarantine' }, { source: 'website' });
+    expect(quarantineService.quarantineLead).toHaveBeenCalledWith(expect.objectContaining({
+      reason: 'spam',
+      message: 'Disposable email domain',
+      spamCheck: expect.objectContaining({ score: 80, indicators: ['disposableEmail'] })
+    }));
+  });
+});
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const assignmentLog = require('../services/assignmentLog.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const fieldMappingService = require('../services/fieldMapping.service');
+const formAssignmentService = require('../services/formAssignmentService');
+const idempotencyService = require('../services/idempotency.service');
+const leadsServiceClient = require('../services/leadsService.client');
+const linkedinService = require('../services/linkedin.service');
+const spamDetectionService = require('../services/spamDetection.service');
+
+describe('LinkedIn Lead Gen Tests', () => {
+  const form = {
+    id: '456',
+    name: 'Demo Request',
+    questions: [
+      { id: '1', name: 'firstName', predefinedField: 'FIRST_NAME' },
+      { id: '2', name: 'lastName', predefinedField: 'LAST_NAME' },
+      { id: '3', name: 'email', predefinedField: 'EMAIL' },
+      { id: '4', name: 'phone', predefinedField: 'PHONE_NUMBER' },
+      { id: '5', name: 'company', predefinedField: 'COMPANY_NAME' },
+      { id: '6', name: 'teamSize', label: 'Team size' }
+    ]
+  };
+
+  describe('extractLeadFields', () => {
+    test('should map predefined fields and keep custom questions', () => {
+      const response = {
+        formResponse: {
+          answers: [
+            { questionId: 1, answerDetails: { textQuestionAnswer: { answer: 'Priya' } } },
+            { questionId: 2, answerDetails: { textQuestionAnswer: { answer: 'Sharma' } } },
+            { questionId: 3, answerDetails: { textQuestionAnswer: { answer: ' Priya@Example.com ' } } },
+            { questionId: 4, answerDetails: { textQuestionAnswer: { answer: '+919876543210' } } },
+            { questionId: 5, answerDetails: { textQuestionAnswer: { answer: 'Acme' } } },
+            { questionId: 6, answerDetails: { multipleChoiceAnswer: { options: ['11-50'] } } }
+          ]
+        }
+      };
+
+      expect(linkedinService.extractLeadFields(response, form)).toEqual({
+        name: 'Priya Sharma',
+        email: 'priya@example.com',
+        phone: '+919876543210',
+        company: 'Acme',
+        customFields: { teamSize: '11-50' }
+      });
+    });
+
+    test('should fall back to email for the name when no name fields exist', () => {
+      const response = {
+        formResponse: {
+          answers: [
+            { questionId: 3, answerDetails: { textQuestionAnswer: { answer: 'lead@example.com' } } }
+          ]
+        }
+      };
+
+      expect(linkedinService.extractLeadFields(response, form).name).toBe('lead@example.com');
+    });
+  });
+
+  describe('parseUrnId', () => {
+    test('should extract ids from plain and versioned URNs', () => {
+      expect(linkedinService.parseUrnId('urn:li:sponsoredAccount:789', 'sponsoredAccount')).toBe('789');
+      expect(linkedinService.parseUrnId('urn:li:versionedLeadGenForm:(urn:li:leadGenForm:456,2)', 'leadGenForm')).toBe('456');
+      expect(linkedinService.parseUrnId('urn:li:leadGenFormResponse:abc-123', 'leadGenForm')).toBeNull();
+    });
+  });
+
+  describe('processLeadResponse', () => {
+    const integration = {
+      _id: 'li1',
+      organizationId: '64b000000000000000000001',
+      findLeadForm: () => ({ form: { ...form, enabled: true, crmStatus: 'active' } })
+    };
+    const response = {
+      id: 'urn:li:leadFormResponse:789',
+      formResponse: {
+        answers: [
+          { questionId: '1', answerDetails: { textQuestionAnswer: { answer: 'Jane' } } },
+          { questionId: '3', answerDetails: { textQuestionAnswer: { answer: 'jane@example.com' } } }
+        ]
+      }
+    };
+
+    beforeEach(() => {
+      jest.spyOn(fieldMappingService, 'mapLead').mockResolvedValue(null);
+      jest.spyOn(spamDetectionService, 'checkLead').mockResolvedValue({ isSpam: false, blocked: false });
+      jest.spyOn(spamDetectionService, 'logDetection').mockReturnValue();
+      jest.spyOn(formAssignmentService, 'getNextAssigneeForLinkedInForm').mockResolvedValue(null);
+      jest.spyOn(assignmentQueue, 'defer').mockResolvedValue();
+      jest.spyOn(assignmentLog, 'record').mockResolvedValue();
+      jest.spyOn(linkedinService, 'updateIntegrationStats').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should create a lead once per response, whether it came by webhook or polling', async () => {
+      const ledger = { proceed: true, tracked: true };
+      const claim = jest.spyOn(idempotencyService, 'claim').mockResolvedValueOnce(ledger);
+      const complete = jest.spyOn(idempotencyService, 'complete').mockResolvedValue();
+      const createLead = jest.spyOn(leadsServiceClient, 'createLead').mockResolvedValue({ lead: { _id: 'lead1' } });
+
+      expect(await linkedinService.processLeadResponse(integration, '123', '456', response))
+        .toEqual({ success: true, leadId: 'lead1', assignedTo: null });
+      expect(claim).toHaveBeenCalledWith('linkedin', response.id, { organizationId: integration.organizationId, integrationId: 'li1' });
+      expect(complete).toHaveBeenCalledWith(ledger, 'lead1');
+
+      // The poll that overlaps the webhook finds it in the ledger
+      claim.mockResolvedValueOnce({ proceed: false, leadId: 'lead1' });
+      expect(await linkedinService.processLeadResponse(integration, '123', '456', response, { refreshForms: false }))
+        .toEqual({ success: true, duplicate: true, leadId: 'lead1', action: 'already_processed' });
+      expect(createLead).toHaveBeenCalledTimes(1);
+    });
+
+    test('should release the response when the lead could not be created', async () => {
+      const ledger = { proceed: true, tracked: true };
+      jest.spyOn(idempotencyService, 'claim').mockResolvedValue(ledger);
+      const release = jest.spyOn(idempotencyService, 'release').mockResolvedValue();
+      const error = new Error('Leads service unavailable');
+      jest.spyOn(leadsServiceClient, 'createLead').mockRejectedValue(error);
+
+      await expect(linkedinService.processLeadResponse(integration, '123', '456', response)).rejects.toThrow('Leads service unavailable');
+      expect(release).toHaveBeenCalledWith(ledger, error);
+    });
+  });
+
+  describe('syncData', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should only move the poll cursor up to the earliest response that failed', async () => {
+      const lastLeadPoll = new Date(Date.now() - 60 * 60 * 1000);
+      const integration = {
+        _id: 'li1',
+        organizationId: '64b000000000000000000001',
+        adAccounts: [{ id: '123' }],
+        lastLeadPoll,
+        save: jest.fn().mockResolvedValue()
+      };
+      const failedAt = lastLeadPoll.getTime() + 20 * 60 * 1000;
+      jest.spyOn(linkedinService, 'resolveIntegration').mockResolvedValue(integration);
+      jest.spyOn(linkedinService, 'syncAdAccounts').mockResolvedValue();
+      jest.spyOn(linkedinService, 'getValidAccessToken').mockResolvedValue('token');
+      jest.spyOn(linkedinService, 'apiGet').mockResolvedValue({
+        elements: [
+          { id: 'r1', submittedAt: lastLeadPoll.getTime() + 10 * 60 * 1000 },
+          { id: 'r2', submittedAt: failedAt },
+          { id: 'r3', submittedAt: failedAt + 10 * 60 * 1000 }
+        ],
+        paging: { total: 3 }
+      });
+      jest.spyOn(linkedinService, 'processLeadResponse')
+        .mockResolvedValueOnce({ success: true, leadId: 'lead1' })
+        .mockRejectedValueOnce(new Error('Leads service unavailable'))
+        .mockResolvedValueOnce({ success: true, leadId: 'lead3' });
+
+      const result = await linkedinService.syncData(integration);
+
+      expect(result).toMatchObject({ recordsProcessed: 3, recordsCreated: 2, errors: 1 });
+      expect(integration.lastLeadPoll).toEqual(new Date(failedAt - 1));
+      expect(integration.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyWebhookSignature', () => {
+    test('should accept a valid signature and reject a tampered body', () => {
+      linkedinService.clientSecret = 'test-linkedin-secret';
+      const body = JSON.stringify({ leadAction: 'CREATED' });
+      const signature = crypto.createHmac('sha256', 'test-linkedin-secret').update(body).digest('hex');
+
+      expect(linkedinService.verifyWebhookSignature(body, `hmacsha256=${signature}`)).toBe(true);
+      expect(linkedinService.verifyWebhookSignature(`${body} `, signature)).toBe(false);
+      expect(linkedinService.verifyWebhookSignature(body, undefined)).toBe(false);
+    });
+  });
+});
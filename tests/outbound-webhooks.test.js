@@ -0,0 +1,101 @@
+const dns = require('dns');
+const crypto = require('crypto');
+const axios = require('axios');
+const IntegrationConfig = require('../models/IntegrationConfig');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const outboundWebhookService = require('../services/outboundWebhook.service');
+const { isPrivateAddress } = require('../utils/publicAddress');
+
+jest.mock('../models/IntegrationConfig');
+jest.mock('../models/WebhookDelivery');
+
+describe('Outbound Webhook Tests', () => {
+  const config = {
+    _id: 'config123',
+    webhook: { url: 'https://hooks.example.com/jesty', secret: 'whsec_test', events: ['lead.created'] }
+  };
+
+  const createDelivery = (overrides = {}) => ({
+    _id: 'delivery123',
+    integrationConfigId: 'config123',
+    event: 'lead.created',
+    payload: { id: 'delivery123', event: 'lead.created', data: { leadId: 'lead123' } },
+    attempts: 1,
+    maxAttempts: 3,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    IntegrationConfig.findById.mockReturnValue({
+      select: () => ({ lean: async () => config })
+    });
+    jest.spyOn(axios, 'post');
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should subscribe to every event when no events are listed', () => {
+    expect(outboundWebhookService.isSubscribed({ events: [] }, 'sync.completed')).toBe(true);
+    expect(outboundWebhookService.isSubscribed(config.webhook, 'lead.created')).toBe(true);
+    expect(outboundWebhookService.isSubscribed(config.webhook, 'lead.assigned')).toBe(false);
+  });
+
+  test('should sign the timestamp and body with the webhook secret', async () => {
+    axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+
+    const result = await outboundWebhookService.deliver(createDelivery());
+
+    const [url, body, options] = axios.post.mock.calls[0];
+    const timestamp = options.headers['X-Jesty-Timestamp'];
+    const expected = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.${body}`).digest('hex');
+
+    expect(url).toBe('https://hooks.example.com/jesty');
+    expect(JSON.parse(body).data).toEqual({ leadId: 'lead123' });
+    expect(options.headers['X-Jesty-Event']).toBe('lead.created');
+    expect(options.headers['X-Jesty-Signature']).toBe(`sha256=${expected}`);
+
+    expect(result.status).toBe('delivered');
+    expect(WebhookDelivery.updateOne.mock.calls[0][1].$set.status).toBe('delivered');
+  });
+
+  test('should retry server errors with backoff', async () => {
+    axios.post.mockResolvedValue({ status: 503, data: 'unavailable' });
+
+    const before = Date.now();
+    const result = await outboundWebhookService.deliver(createDelivery({ attempts: 2 }));
+
+    const { $set } = WebhookDelivery.updateOne.mock.calls[0][1];
+    expect(result.status).toBe('failed');
+    expect($set.responseStatus).toBe(503);
+    expect($set.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + outboundWebhookService.getRetryDelay(2));
+  });
+
+  test('should give up on client errors and exhausted attempts', async () => {
+    axios.post.mockResolvedValue({ status: 404, data: 'not found' });
+    expect((await outboundWebhookService.deliver(createDelivery())).status).toBe('dead');
+
+    axios.post.mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+    expect((await outboundWebhookService.deliver(createDelivery({ attempts: 3 }))).status).toBe('dead');
+    expect(WebhookDelivery.updateOne.mock.calls[1][1].$set.lastError).toBe('ECONNREFUSED: connect ECONNREFUSED');
+  });
+
+  test('should refuse webhook hosts that resolve to internal addresses', async () => {
+    dns.promises.lookup.mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+
+    const result = await outboundWebhookService.deliver(createDelivery());
+
+    expect(result.status).toBe('dead');
+    expect(result.error).toMatch(/^EADDRNOTPUBLIC/);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('should only treat public addresses as reachable', () => {
+    ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10', '169.254.169.254', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'localhost']
+      .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+    ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111']
+      .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+  });
+});
@@ -0,0 +1,223 @@
+const express = require('express');
+const helmet = require('helmet');
+const request = require('supertest');
+const PartialSubmission = require('../models/PartialSubmission');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const hostedFormService = require('../services/hostedForm.service');
+const leadsServiceClient = require('../services/leadsService.client');
+const partialSubmissionService = require('../services/partialSubmission.service');
+const webhookQueue = require('../services/webhookQueue.service');
+const websiteService = require('../services/website.service');
+const websiteRoutes = require('../controllers/website.controller');
+
+jest.mock('../models/PartialSubmission');
+jest.mock('../models/WebsiteIntegration');
+
+describe('Partial Submission Tests', () => {
+  const integrationId = '64b0000000000000000000e1';
+  const visitorToken = 'lq2x7k9f3m8a1b2c3d4e';
+
+  const integration = {
+    _id: integrationId,
+    organizationId: '64b000000000000000000001',
+    integrationKey: '0123456789abcdef0123456789abcdef',
+    domain: 'example.com',
+    isActive: true,
+    settings: { enableCORS: true },
+    forms: [
+      {
+        formId: 'quote',
+        formName: 'Get a quote',
+        isActive: true,
+        partialCapture: { enabled: true, fields: ['name', 'email', 'phone'], inactivityMinutes: 20, requireConsent: true }
+      },
+      { formId: 'newsletter', formName: 'Newsletter', isActive: true }
+    ],
+    formConfig: {}
+  };
+
+  const app = express();
+  app.use(helmet());
+  app.use(express.json());
+  app.use('/api/integrations/website', websiteRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should store only the form\'s capturable fields, keyed by visitor and form', async () => {
+    WebsiteIntegration.findOne.mockResolvedValue(integration);
+    PartialSubmission.updateOne.mockResolvedValue({ acknowledged: true });
+    const before = Date.now();
+
+    const response = await request(app)
+      .post(`/api/integrations/website/partial/${integrationId}`)
+      .set('Origin', 'https://example.com')
+      .send({
+        visitorToken,
+        formId: 'quote',
+        fields: { phone: ' 98765 43210 ', message: 'not captured', email: '' },
+        page: 'https://example.com/quote'
+      });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toEqual({ success: true, stored: true });
+
+    const [filter, update, options] = PartialSubmission.updateOne.mock.calls[0];
+    expect(filter).toEqual({ integrationId, formId: 'quote', visitorToken, status: 'open' });
+    expect(options).toEqual({ upsert: true });
+    expect(update.$set).toMatchObject({ 'fields.phone': '98765 43210', page: 'https://example.com/quote' });
+    expect(update.$set).not.toHaveProperty('fields.message');
+    expect(update.$set.convertAfter.getTime() - update.$set.lastActivityAt.getTime()).toBe(20 * 60 * 1000);
+    expect(update.$set.lastActivityAt.getTime()).toBeGreaterThanOrEqual(before);
+    expect(update.$setOnInsert).toEqual({ organizationId: integration.organizationId });
+
+    // Forms that don't opt in, bad tokens and Global Privacy Control store nothing
+    const notEnabled = await request(app)
+      .post(`/api/integrations/website/partial/${integrationId}`)
+      .set('Origin', 'https://example.com')
+      .send({ visitorToken, formId: 'newsletter', fields: { email: 'a@example.com' } });
+    expect(notEnabled.status).toBe(400);
+    const badToken = await request(app)
+      .post(`/api/integrations/website/partial/${integrationId}`)
+      .set('Origin', 'https://example.com')
+      .send({ visitorToken: '$where', formId: 'quote', fields: { email: 'a@example.com' } });
+    expect(badToken.status).toBe(400);
+    const optedOut = await request(app)
+      .post(`/api/integrations/website/partial/${integrationId}`)
+      .set('Origin', 'https://example.com')
+      .set('Sec-GPC', '1')
+      .send({ visitorToken, formId: 'quote', fields: { email: 'a@example.com' } });
+    expect(optedOut.body).toEqual({ success: true, stored: false });
+    const foreign = await request(app)
+      .post(`/api/integrations/website/partial/${integrationId}`)
+      .set('Origin', 'https://evil.example.org')
+      .send({ visitorToken, formId: 'quote', fields: { email: 'a@example.com' } });
+    expect(foreign.status).toBe(403);
+
+    expect(PartialSubmission.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('should close the visitor\'s open and in-progress partials when the form is submitted', async () => {
+    WebsiteIntegration.findOne.mockResolvedValue(integration);
+    PartialSubmission.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(webhookQueue, 'enqueue').mockResolvedValue({ _id: 'event1' });
+
+    const response = await request(app)
+      .post(`/api/integrations/website/submit/${integrationId}`)
+      .set('Origin', 'https://example.com')
+      .send({ name: 'Asha', email: 'asha@example.com', formId: 'quote', visitorToken });
+
+    expect(response.status).toBe(202);
+    expect(PartialSubmission.updateMany).toHaveBeenCalledWith(
+      { integrationId: integration._id, visitorToken, status: { $in: ['open', 'processing'] } },
+      { $set: { status: 'submitted' } }
+    );
+  });
+
+  test('should turn abandoned partials with an email or phone into partial leads', async () => {
+    WebsiteIntegration.findOne.mockResolvedValue(integration);
+    PartialSubmission.updateOne.mockResolvedValue({});
+    PartialSubmission.findById.mockReturnValue({ select: () => ({ lean: async () => ({ status: 'processing' }) }) });
+    const processLead = jest.spyOn(websiteService, 'processWebsiteLead').mockResolvedValue({ success: true, leadId: 'lead1' });
+
+    const entry = {
+      _id: 'partial1',
+      integrationId,
+      formId: 'quote',
+      visitorToken,
+      fields: { name: 'Asha', phone: '9876543210' },
+      page: 'https://example.com/quote',
+      attribution: { first: { utm_source: 'google' }, last: { utm_source: 'google' } },
+      createdAt: new Date('2026-10-19T10:00:00Z'),
+      lastActivityAt: new Date('2026-10-19T10:02:00Z'),
+      attempts: 0
+    };
+
+    expect(await partialSubmissionService.process(entry)).toBe('converted');
+    expect(processLead).toHaveBeenCalledWith(integration.integrationKey, {
+      name: 'Asha',
+      phone: '9876543210',
+      formId: 'quote',
+      page: 'https://example.com/quote',
+      attribution: entry.attribution,
+      submissionToken: 'partial-partial1'
+    }, {
+      formId: 'quote',
+      formName: 'Get a quote',
+      partial: { capturedAt: entry.createdAt, lastActivityAt: entry.lastActivityAt, fields: ['name', 'phone'] }
+    });
+    expect(PartialSubmission.updateOne.mock.calls[0][1].$set).toEqual({ status: 'converted', leadId: 'lead1', lastError: null });
+
+    // Nothing to call back: no lead
+    expect(await partialSubmissionService.process({ ...entry, fields: { name: 'Asha' } })).toBe('discarded');
+    expect(processLead).toHaveBeenCalledTimes(1);
+
+    // Failures are retried later, outside the open entries
+    processLead.mockRejectedValueOnce(new Error('Leads service unavailable'));
+    expect(await partialSubmissionService.process(entry)).toBe('processing');
+    const retry = PartialSubmission.updateOne.mock.calls[2][1].$set;
+    expect(retry).toMatchObject({ status: 'processing', attempts: 1, lastError: 'Leads service unavailable' });
+    expect(retry.convertAfter.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should not convert a partial the visitor submitted after the worker claimed it', async () => {
+    WebsiteIntegration.findOne.mockResolvedValue(integration);
+    PartialSubmission.findById.mockReturnValue({ select: () => ({ lean: async () => ({ status: 'submitted' }) }) });
+    const processLead = jest.spyOn(websiteService, 'processWebsiteLead');
+
+    const entry = { _id: 'partial1', integrationId, formId: 'quote', visitorToken, fields: { email: 'asha@example.com' }, attempts: 0 };
+
+    expect(await partialSubmissionService.process(entry)).toBe('submitted');
+    expect(processLead).not.toHaveBeenCalled();
+    expect(PartialSubmission.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should rate limit partial captures separately from submissions', async () => {
+    WebsiteIntegration.findOne.mockResolvedValue(integration);
+    PartialSubmission.updateOne.mockResolvedValue({ acknowledged: true });
+
+    const response = await request(app)
+      .post(`/api/integrations/website/partial/${integrationId}`)
+      .set('Origin', 'https://example.com')
+      .send({ visitorToken, formId: 'quote', fields: { email: 'asha@example.com' } });
+
+    expect(response.status).toBe(202);
+    expect(response.headers['ratelimit-limit']).toBe('120');
+  });
+
+  test('should send partial leads to the leads-service with the partial status', async () => {
+    jest.spyOn(leadsServiceClient, 'getAuthHeaders').mockReturnValue({});
+    const post = jest.spyOn(leadsServiceClient.client, 'post').mockResolvedValue({ data: { success: true, data: { _id: 'lead1' } } });
+
+    await leadsServiceClient.createLeadFromWebsite({
+      name: 'Asha',
+      email: 'asha@example.com',
+      sourceDetails: { formId: 'quote', partial: { fields: ['name', 'email'] } }
+    }, integration.organizationId);
+    expect(post.mock.calls[0][1].status).toBe('partial');
+
+    await leadsServiceClient.createLeadFromWebsite({ name: 'Ravi', email: 'ravi@example.com', sourceDetails: { formId: 'quote' } }, integration.organizationId);
+    expect(post.mock.calls[1][1]).not.toHaveProperty('status');
+  });
+
+  test('should let the form builder opt forms in and hand the settings to the loader', () => {
+    expect(hostedFormService.validateForm({ partialCapture: { enabled: true, fields: ['email', 'phone'], inactivityMinutes: 15 } }, { partial: true }))
+      .toEqual([]);
+    expect(hostedFormService.validateForm({
+      partialCapture: { enabled: true, fields: ['customer.email'], inactivityMinutes: 1, requireConsent: 'yes' }
+    }, { partial: true })).toEqual([
+      'partialCapture.requireConsent must be a boolean',
+      'partialCapture.fields must be a list of field names (letters, digits, _ or -)',
+      'partialCapture.inactivityMinutes must be a whole number from 5 to 1440'
+    ]);
+    expect(hostedFormService.toForm({ partialCapture: { enabled: false } })).toEqual({ partialCapture: { enabled: false } });
+
+    const script = websiteService.generateLoaderScript(integration);
+    const config = JSON.parse(script.match(/var config = (.*);/)[1]);
+    expect(config.partialForms).toEqual({ quote: { fields: ['name', 'email', 'phone'], requireConsent: true } });
+    expect(script).toContain('window.JestyCRM.consent = function(granted)');
+    expect(() => new Function(script)).not.toThrow();
+  });
+});
@@ -0,0 +1,77 @@
+const { normalizePhone } = require('../utils/phone');
+const phoneNormalizationService = require('../services/phoneNormalization.service');
+const leadsServiceClient = require('../services/leadsService.client');
+const facebookLeadProcessor = require('../services/facebookLeadProcessor.service');
+
+describe('Phone Normalization Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should store national and international forms of a number as the same E.164 value', () => {
+    const inputs = ['+44 20 7946 0958', '020 7946 0958', '0044 (20) 7946-0958'];
+    const results = inputs.map(phone => normalizePhone(phone, { defaultCountry: 'GB' }));
+
+    results.forEach(result => expect(result.phone).toBe('+442079460958'));
+    expect(results[1]).toMatchObject({
+      e164: '+442079460958',
+      raw: '020 7946 0958',
+      country: 'GB',
+      nationalNumber: '2079460958',
+      status: 'valid',
+      type: 'fixed_line',
+      defaultCountry: 'GB'
+    });
+
+    // An explicit country code wins over the default country
+    expect(normalizePhone('+44 20 7946 0958', { defaultCountry: 'IN' }).country).toBe('GB');
+  });
+
+  test('should keep the digits of numbers that cannot be parsed', () => {
+    expect(normalizePhone('1111', { defaultCountry: 'IN' })).toMatchObject({
+      phone: '1111',
+      e164: null,
+      status: 'invalid',
+      type: null
+    });
+    expect(normalizePhone('  ')).toBeNull();
+  });
+
+  test('should read Facebook phones in the integration country', () => {
+    expect(facebookLeadProcessor.cleanPhoneNumber('07400 123456', 'GB')).toBe('+447400123456');
+    expect(facebookLeadProcessor.cleanPhoneNumber('9876543210')).toBe('+919876543210');
+  });
+
+  test('should prefer the integration country over the organization default', async () => {
+    jest.spyOn(phoneNormalizationService, 'getOrganizationCountry').mockResolvedValue('GB');
+
+    expect(await phoneNormalizationService.resolveDefaultCountry('org123', 'us')).toBe('US');
+    expect(await phoneNormalizationService.resolveDefaultCountry('org123', null)).toBe('GB');
+
+    const lead = await phoneNormalizationService.normalizeLead({
+      organizationId: 'org123',
+      source: 'website',
+      phone: '07400 123456',
+      metadata: { formId: 'contact' }
+    });
+
+    expect(lead.phone).toBe('+447400123456');
+    expect(lead.metadata).toEqual({
+      formId: 'contact',
+      phoneValidation: expect.objectContaining({ status: 'valid', type: 'mobile', country: 'GB' })
+    });
+
+    // Leads normalized upstream keep their validation result
+    expect(await phoneNormalizationService.normalizeLead(lead, { defaultCountry: 'US' })).toBe(lead);
+  });
+
+  test('should check duplicates with the E.164 phone', async () => {
+    jest.spyOn(phoneNormalizationService, 'getOrganizationCountry').mockResolvedValue('GB');
+    jest.spyOn(leadsServiceClient.client, 'get').mockResolvedValue({ data: { data: [] } });
+
+    await leadsServiceClient.findDuplicateLeadSources('org123', 'jane@example.com', '07400 123456');
+
+    const [url] = leadsServiceClient.client.get.mock.calls[0];
+    expect(url).toBe('/api/lead-sources/duplicates?email=jane%40example.com&phone=%2B447400123456');
+  });
+});
@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const AssignmentState = require('../models/AssignmentState');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const PendingAssignment = require('../models/PendingAssignment');
+const RoutingRule = require('../models/RoutingRule');
+const ShopifyIntegration = require('../models/ShopifyIntegration');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const routingRulesService = require('../services/routingRules.service');
+const shopifyService = require('../services/shopifyService');
+
+jest.mock('../models/AssignmentState');
+jest.mock('../models/OrganizationSettings');
+jest.mock('../models/PendingAssignment');
+jest.mock('../models/RoutingRule');
+jest.mock('../models/ShopifyIntegration');
+
+describe('Routing Rules Tests', () => {
+  const organizationId = '64b000000000000000000001';
+
+  const westTeam = {
+    _id: '64c000000000000000000001',
+    name: 'West team',
+    enabled: true,
+    sources: ['website', 'facebook'],
+    integrationIds: [],
+    match: 'all',
+    conditions: [{ field: 'city', operator: 'in', value: ['Mumbai', 'Pune'] }],
+    algorithm: 'round-robin',
+    assignToUsers: [{ userId: 'west1', weight: 1 }, { userId: 'west2', weight: 1 }]
+  };
+
+  const seniorReps = {
+    _id: '64c000000000000000000002',
+    name: 'Senior reps',
+    enabled: true,
+    sources: [],
+    integrationIds: [],
+    match: 'any',
+    conditions: [
+      { field: 'budget', operator: 'gt', value: 50000 },
+      { field: 'utm.campaign', operator: 'matches', value: '^enterprise-' }
+    ],
+    algorithm: 'round-robin',
+    assignToUsers: [{ userId: 'senior1', weight: 1 }]
+  };
+
+  const keyAccounts = {
+    _id: '64c000000000000000000003',
+    name: 'Key accounts',
+    enabled: true,
+    sources: ['shopify'],
+    integrationIds: [],
+    match: 'all',
+    conditions: [{ field: 'total_price', operator: 'gt', value: 500 }],
+    algorithm: 'round-robin',
+    assignToUsers: [{ userId: 'key1', weight: 1 }]
+  };
+
+  const rules = [westTeam, seniorReps, keyAccounts];
+
+  const settings = {
+    enabled: true,
+    algorithm: 'round-robin',
+    assignToUsers: [{ userId: 'alice', weight: 1 }]
+  };
+
+  const websiteLocator = { source: 'website', integrationId: 'integration123' };
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(1);
+    routingRulesService.rulesCache.clear();
+
+    RoutingRule.find.mockReturnValue({
+      sort: () => ({ lean: async () => rules })
+    });
+    // No working hours or capacity caps
+    OrganizationSettings.findOne.mockReturnValue({
+      select: () => ({ lean: async () => null })
+    });
+
+    let sequence = 0;
+    AssignmentState.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ sequence: ++sequence })
+    }));
+    AssignmentState.updateOne.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should evaluate conditions on lead fields, custom fields and dotted paths', () => {
+    const lead = {
+      name: 'Asha',
+      City: ' pune ',
+      customFields: { budget: '₹ 75,000', interests: ['Villas', 'Plots'] },
+      utm_campaign: 'Enterprise-Q4',
+      billing_address: { country: 'IN' }
+    };
+    const test = (field, operator, value) => routingRulesService.testCondition({ field, operator, value }, lead).matched;
+
+    expect(test('city', 'in', ['Mumbai', 'Pune'])).toBe(true);
+    expect(test('budget', 'gt', 50000)).toBe(true);
+    expect(test('budget', 'lte', 50000)).toBe(false);
+    expect(test('utm.campaign', 'matches', '^enterprise-')).toBe(true);
+    expect(test('interests', 'equals', 'plots')).toBe(true);
+    expect(test('interests', 'not_in', ['Plots'])).toBe(false);
+    expect(test('billing_address.country', 'equals', 'in')).toBe(true);
+
+    // Missing fields never match, except through negation
+    expect(test('pincode', 'equals', '411001')).toBe(false);
+    expect(test('pincode', 'not_equals', '411001')).toBe(true);
+    expect(test('pincode', 'exists')).toBe(false);
+    expect(test('budget', 'gt', 'not a number')).toBe(false);
+  });
+
+  test('should pick the first rule that applies to the source and matches', () => {
+    const fromWebsite = { source: 'website', integrationId: 'integration123' };
+
+    expect(routingRulesService.match(rules, { city: 'Mumbai', budget: 90000 }, fromWebsite)).toBe(westTeam);
+    // West team is not for Shopify; one condition is enough for senior reps
+    expect(routingRulesService.match(rules, { city: 'Mumbai', budget: 90000 }, { source: 'shopify' })).toBe(seniorReps);
+    expect(routingRulesService.match(rules, { total_price: '749.00' }, { source: 'shopify' })).toBe(keyAccounts);
+    expect(routingRulesService.match(rules, { city: 'Delhi', budget: 10000 }, fromWebsite)).toBeNull();
+
+    const pinned = { ...westTeam, integrationIds: ['other'] };
+    expect(routingRulesService.match([pinned], { city: 'Pune' }, fromWebsite)).toBeNull();
+  });
+
+  test('should send matching leads to the rule users in the rule scope', async () => {
+    const routed = await assignmentEngine.nextForSettings('website:integration123', settings, {
+      organizationId,
+      locator: websiteLocator,
+      lead: { city: 'Mumbai' }
+    });
+
+    expect(routed.user.userId).toBe('west1');
+    expect(routed.rule).toEqual({ id: westTeam._id, name: 'West team' });
+    expect(AssignmentState.findOneAndUpdate.mock.calls[0][0]).toEqual({ scope: `routing:${westTeam._id}` });
+
+    // No match: the integration's users
+    const unrouted = await assignmentEngine.nextForSettings('website:integration123', settings, {
+      organizationId,
+      locator: websiteLocator,
+      lead: { city: 'Delhi' }
+    });
+    expect(unrouted.user.userId).toBe('alice');
+    expect(unrouted.rule).toBeUndefined();
+
+    // Without lead fields no rule is read
+    RoutingRule.find.mockClear();
+    routingRulesService.rulesCache.clear();
+    await assignmentEngine.nextForSettings('website:integration123', settings, { organizationId, locator: websiteLocator });
+    expect(RoutingRule.find).not.toHaveBeenCalled();
+  });
+
+  test('should route Shopify orders by payload fields', async () => {
+    ShopifyIntegration.updateOne.mockResolvedValue({});
+    const integration = { _id: 'shopify123', organizationId, assignmentSettings: settings };
+
+    const large = await shopifyService.getAssignment(integration, { id: 1, total_price: '749.00' });
+    expect(large.user.userId).toBe('key1');
+
+    const small = await shopifyService.getAssignment(integration, { id: 2, total_price: '49.00' });
+    expect(small.user.userId).toBe('alice');
+  });
+
+  test('should keep a queued lead with the rule it was routed by', async () => {
+    const deferred = {
+      user: null,
+      deferred: true,
+      reason: 'working-hours',
+      availableAt: new Date('2026-10-20T03:30:00Z'),
+      scope: 'website:integration123',
+      organizationId,
+      locator: websiteLocator,
+      rule: { id: westTeam._id, name: 'West team' }
+    };
+    PendingAssignment.findOneAndUpdate.mockResolvedValue({ _id: 'pending123' });
+
+    await assignmentQueue.defer(deferred, 'lead123');
+    expect(PendingAssignment.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({ ruleId: westTeam._id, scope: 'website:integration123' });
+
+    // The retry has no lead fields, only the rule
+    expect(await routingRulesService.resolve({ organizationId, ruleId: westTeam._id })).toBe(westTeam);
+    const retried = await assignmentEngine.nextForSettings('website:integration123', settings, {
+      organizationId,
+      locator: websiteLocator,
+      ruleId: westTeam._id
+    });
+    expect(retried.user.userId).toBe('west1');
+
+    // A deleted rule falls back to the integration's users
+    routingRulesService.rulesCache.clear();
+    RoutingRule.find.mockReturnValue({ sort: () => ({ lean: async () => [seniorReps] }) });
+    const fallback = await assignmentEngine.nextForSettings('website:integration123', settings, {
+      organizationId,
+      locator: websiteLocator,
+      ruleId: westTeam._id
+    });
+    expect(fallback.user.userId).toBe('alice');
+  });
+
+  test('should dry-run a sample lead and validate rules', async () => {
+    const result = await routingRulesService.dryRun({
+      organizationId,
+      source: 'website',
+      integrationId: 'integration123',
+      lead: { city: 'Nagpur', customFields: { budget: '60000' } },
+      rules: [westTeam, seniorReps]
+    });
+
+    expect(result.matchedRule.name).toBe('Senior reps');
+    expect(result.rules[0]).toMatchObject({ name: 'West team', applies: true, matched: false });
+    expect(result.rules[0].conditions[0]).toMatchObject({ field: 'city', actual: 'Nagpur', matched: false });
+    expect(result.rules[1].conditions[0]).toMatchObject({ field: 'budget', actual: '60000', matched: true });
+    expect(AssignmentState.findOneAndUpdate).not.toHaveBeenCalled();
+
+    expect(routingRulesService.validateRule(westTeam)).toEqual([]);
+    expect(routingRulesService.validateRule({
+      name: 'Broken',
+      sources: ['fax'],
+      conditions: [
+        { field: 'city', operator: 'in', value: 'Mumbai' },
+        { field: 'budget', operator: 'gt', value: '50000' },
+        { field: 'utm_campaign', operator: 'matches', value: '(' },
+        { field: 'city', operator: 'near' }
+      ],
+      assignToUsers: []
+    })).toHaveLength(6);
+  });
+});
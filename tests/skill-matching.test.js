@@ -0,0 +1,131 @@
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const skillMatchingService = require('../services/skillMatching.service');
+const workingHoursService = require('../services/workingHours.service');
+
+jest.mock('../models/OrganizationSettings');
+jest.mock('../models/PendingAssignment');
+
+describe('Skill Matching Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const scope = 'facebook:integration123:page123:form123';
+  const locator = { source: 'facebook', integrationId: 'integration123', pageId: 'page123', formId: 'form123' };
+  const agent = '3f0e7c1a-5b2d-4c8e-9a1f-2b3c4d5e6f70';
+
+  const skills = {
+    enabled: true,
+    detectLanguage: true,
+    users: [
+      { userId: 'anita', languages: ['hi', 'en'], products: ['home loan'], regions: [] },
+      { userId: 'ravi', languages: ['hi'], products: ['car loan'], regions: ['north'] },
+      { userId: 'kavya', languages: ['ta', 'en'], products: ['home loan'], regions: ['south'] }
+    ]
+  };
+
+  const settings = {
+    enabled: true,
+    algorithm: 'round-robin',
+    assignToUsers: [{ userId: 'anita' }, { userId: 'ravi' }, { userId: 'kavya' }, { userId: 'dev' }]
+  };
+
+  const pick = async (lead, overrides = {}) => {
+    const result = await assignmentEngine.nextForSettings(scope, { ...settings, ...overrides }, { organizationId, locator, lead });
+    return result.user.userId;
+  };
+
+  beforeEach(() => {
+    // Engine state in memory
+    assignmentEngine.memoryState.clear();
+    jest.spyOn(skillMatchingService, 'getOrganizationSkills').mockResolvedValue(skills);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should read the language from a field, the form or the script of free-text answers', () => {
+    const read = (lead, formLanguage) => skillMatchingService.leadAttributes(lead, skills, formLanguage);
+
+    expect(read({ preferred_language: 'Tamil', product: 'Home Loan' })).toEqual({
+      language: 'ta',
+      languageFrom: 'field',
+      product: 'home loan',
+      region: null
+    });
+    expect(read({ customFields: { locale: 'hi_IN' } }).language).toBe('hi');
+    expect(read({ name: 'Kumar' }, 'ta')).toMatchObject({ language: 'ta', languageFrom: 'form' });
+
+    // Free text only: a name in Devanagari says nothing about the answers
+    expect(read({ name: 'राम कुमार', message: 'எனக்கு வீட்டு கடன் வேண்டும்' })).toMatchObject({ language: 'ta', languageFrom: 'detected' });
+    expect(read({ name: 'राम कुमार', message: 'Please call me tomorrow morning' }).language).toBe('en');
+    expect(read({ name: 'राम कुमार', city: 'Pune' }).language).toBeNull();
+    expect(skillMatchingService.leadAttributes({ message: 'मुझे होम लोन चाहिए' }, { ...skills, detectLanguage: false }).language).toBeNull();
+  });
+
+  test('should route leads to reps who speak their language', async () => {
+    expect(await pick({ language: 'ta' })).toBe('kavya');
+    expect(await pick({ language: 'ta' })).toBe('kavya');
+
+    // Hindi speakers share the Hindi leads
+    const hindi = [await pick({ message: 'मुझे होम लोन चाहिए अभी' }), await pick({ language: 'hindi' })];
+    expect(hindi.sort()).toEqual(['anita', 'ravi']);
+
+    // The form's language applies when the lead does not say
+    expect(await pick({ name: 'Kumar' }, { language: 'ta' })).toBe('kavya');
+  });
+
+  test('should weigh language over product and product over region', async () => {
+    expect(await pick({ language: 'hi', product: 'Home loan' })).toBe('anita');
+    expect(await pick({ language: 'hi', product: 'Car Loan', region: 'south' })).toBe('ravi');
+    expect(await pick({ product: 'home loan', region: 'south' })).toBe('kavya');
+
+    const match = await skillMatchingService.match(organizationId, [{ userId: 'anita' }, { userId: agent }], { language: 'hi' });
+    // AI agents without skills speak every language
+    expect(match.users.map(user => user.userId)).toEqual(['anita', agent]);
+  });
+
+  test('should fall back to the normal algorithm when nobody matches or is available', async () => {
+    const nobody = await assignmentEngine.nextForSettings(scope, settings, { organizationId, locator, lead: { language: 'bn' } });
+    expect(nobody.user.userId).toBe('anita');
+    expect(nobody.skills).toBeUndefined();
+    expect(nobody.candidates).toHaveLength(4);
+
+    // Kavya is off shift: the Tamil lead goes to whoever is on
+    jest.spyOn(workingHoursService, 'getAvailability').mockImplementation(async (orgId, userIds) => ({
+      onShift: userIds.filter(userId => userId !== 'kavya'),
+      availableAt: new Date('2026-10-20T03:30:00Z'),
+      onCall: []
+    }));
+    const withHours = { ...settings, workingHours: { enabled: true, outsideHours: 'queue' } };
+    const result = await assignmentEngine.nextForSettings(scope, withHours, { organizationId, locator, lead: { language: 'ta' } });
+    expect(result.user.userId).not.toBe('kavya');
+    expect(result.skills).toBeUndefined();
+
+    // Skill matching off
+    skillMatchingService.getOrganizationSkills.mockResolvedValue({ ...skills, enabled: false });
+    expect(await skillMatchingService.match(organizationId, [{ userId: 'kavya' }], { language: 'ta' })).toBeNull();
+  });
+
+  test('should keep what a queued lead was matched on for its retry', async () => {
+    const nextForSettings = jest.spyOn(assignmentEngine, 'nextForSettings');
+    jest.spyOn(assignmentQueue, 'settingsFor').mockResolvedValue(settings);
+    jest.spyOn(assignmentQueue, 'release').mockResolvedValue();
+    jest.spyOn(assignmentQueue, 'recordAssignment').mockResolvedValue();
+
+    const attributes = { language: 'ta', languageFrom: 'detected', product: null, region: null };
+    nextForSettings.mockResolvedValueOnce(null);
+    await assignmentQueue.process({ _id: 'pending123', organizationId, leadId: 'lead123', scope, locator, skills: attributes });
+
+    expect(nextForSettings).toHaveBeenCalledWith(scope, settings, expect.objectContaining({ skills: attributes }));
+    nextForSettings.mockRestore();
+
+    const match = await skillMatchingService.match(
+      organizationId,
+      assignmentEngine.normalizeUsers(settings.assignToUsers),
+      undefined,
+      { attributes }
+    );
+    expect(match.users.map(user => user.userId)).toEqual(['kavya']);
+  });
+});
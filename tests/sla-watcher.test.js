@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const AssigneeLoad = require('../models/AssigneeLoad');
+const AssignmentLog = require('../models/AssignmentLog');
+const AssignmentState = require('../models/AssignmentState');
+const LeadSla = require('../models/LeadSla');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const formAssignmentService = require('../services/formAssignmentService');
+const leadsServiceClient = require('../services/leadsService.client');
+const outboundWebhookService = require('../services/outboundWebhook.service');
+const slaWatcher = require('../services/slaWatcher.service');
+
+jest.mock('../models/AssigneeLoad');
+jest.mock('../models/AssignmentLog');
+jest.mock('../models/AssignmentState');
+jest.mock('../models/LeadSla');
+jest.mock('../models/OrganizationSettings');
+
+describe('SLA Watcher Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const scope = 'facebook:integration123:page123:form123';
+  const locator = { source: 'facebook', integrationId: 'integration123', pageId: 'page123', formId: 'form123' };
+
+  const sla = {
+    enabled: true,
+    responseMinutes: 15,
+    maxHops: 2,
+    sources: ['facebook'],
+    escalateTo: ['manager1']
+  };
+
+  const formSettings = {
+    enabled: true,
+    algorithm: 'round-robin',
+    assignToUsers: [{ userId: 'alice' }, { userId: 'bob' }, { userId: 'carol' }]
+  };
+
+  const assignedAt = new Date('2026-10-19T05:00:00Z');
+
+  const watched = (overrides = {}) => ({
+    _id: 'sla123',
+    organizationId,
+    leadId: 'lead123',
+    scope,
+    locator,
+    assignedTo: 'alice',
+    assignedAt,
+    previousAssignees: [],
+    hops: 0,
+    attempts: 0,
+    ...overrides
+  });
+
+  const untouched = { _id: 'lead123', status: 'new', assignedTo: 'alice' };
+
+  const mockSla = (settings) => {
+    OrganizationSettings.findOne.mockReturnValue({
+      select: () => ({ lean: async () => ({ sla: settings }) })
+    });
+  };
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  let assign;
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(1);
+    slaWatcher.slaCache.clear();
+    mockSla(sla);
+
+    let sequence = 0;
+    AssignmentState.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ sequence: ++sequence })
+    }));
+    AssignmentState.updateOne.mockResolvedValue({});
+    AssigneeLoad.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    AssignmentLog.findOne.mockReturnValue({
+      sort: () => ({ select: () => ({ lean: async () => null }) })
+    });
+    AssignmentLog.create.mockImplementation(async (entry) => entry);
+    LeadSla.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    assign = jest.spyOn(formAssignmentService, 'assignLeadToUserViaService').mockResolvedValue({ success: true });
+    jest.spyOn(assignmentQueue, 'settingsFor').mockResolvedValue(formSettings);
+    jest.spyOn(assignmentQueue, 'recordAssignment').mockResolvedValue();
+    jest.spyOn(outboundWebhookService, 'emit').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should watch leads the engine assigned from a watched source', async () => {
+    LeadSla.findOneAndUpdate.mockImplementation(async (filter, update) => update.$set);
+
+    const result = await assignmentEngine.nextForSettings(scope, formSettings, { organizationId, locator });
+    const watch = await slaWatcher.watch(result, 'lead123');
+
+    expect(LeadSla.findOneAndUpdate.mock.calls[0][0]).toEqual({ leadId: 'lead123' });
+    expect(watch).toMatchObject({ organizationId, scope, locator, assignedTo: 'alice', status: 'watching' });
+    expect(watch.dueAt - watch.assignedAt).toBe(15 * 60 * 1000);
+
+    // Queued leads are watched once the queue assigns them
+    expect(await slaWatcher.watch({ ...result, user: null, deferred: true }, 'lead123')).toBeNull();
+
+    // Other sources, or the SLA off
+    expect(await slaWatcher.watch({ ...result, locator: { ...locator, source: 'shopify' } }, 'lead456')).toBeNull();
+    slaWatcher.slaCache.clear();
+    mockSla({ ...sla, enabled: false });
+    expect(await slaWatcher.watch(result, 'lead789')).toBeNull();
+    expect(LeadSla.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('should tell worked, moved and untouched leads apart', () => {
+    const entry = watched();
+
+    expect(slaWatcher.leadState(untouched, entry)).toBe('untouched');
+    expect(slaWatcher.leadState({ ...untouched, status: 'Contacted' }, entry)).toBe('worked');
+    expect(slaWatcher.leadState({ ...untouched, lastActivityAt: '2026-10-19T05:10:00Z' }, entry)).toBe('worked');
+    // Activity from before the assignment does not count
+    expect(slaWatcher.leadState({ ...untouched, lastActivityAt: '2026-10-19T04:00:00Z' }, entry)).toBe('untouched');
+    expect(slaWatcher.leadState({ ...untouched, assignedTo: { _id: 'dave' } }, entry)).toBe('moved');
+    expect(slaWatcher.leadState(null, entry)).toBe('missing');
+  });
+
+  test('should reassign an untouched lead to the next user, never back to an earlier one', async () => {
+    jest.spyOn(leadsServiceClient, 'getLead').mockResolvedValue(untouched);
+
+    expect(await slaWatcher.process(watched())).toBe('watching');
+    expect(assign).toHaveBeenCalledWith('lead123', 'bob', organizationId);
+
+    // Alice's open slot is freed for this lead
+    expect(AssigneeLoad.updateOne.mock.calls[0][0]).toMatchObject({ organizationId, userId: 'alice', releasedLeadIds: { $ne: 'lead123' } });
+    expect(AssignmentLog.create.mock.calls[0][0]).toMatchObject({ leadId: 'lead123', assignedTo: 'bob', reason: 'sla' });
+
+    const [, update] = LeadSla.updateOne.mock.calls[0];
+    expect(update.$set).toMatchObject({ status: 'watching', assignedTo: 'bob', previousAssignees: ['alice'], hops: 1 });
+    expect(update.$set.dueAt - update.$set.assignedAt).toBe(15 * 60 * 1000);
+
+    // Bob did not act either; alice already had her chance
+    jest.spyOn(leadsServiceClient, 'getLead').mockResolvedValue({ ...untouched, assignedTo: 'bob' });
+    await slaWatcher.process(watched({ assignedTo: 'bob', previousAssignees: ['alice'], hops: 1 }));
+    expect(assign).toHaveBeenLastCalledWith('lead123', 'carol', organizationId);
+  });
+
+  test('should escalate to a manager after the last hop or when nobody else is left', async () => {
+    jest.spyOn(leadsServiceClient, 'getLead').mockResolvedValue({ ...untouched, assignedTo: 'carol' });
+
+    const entry = watched({ assignedTo: 'carol', previousAssignees: ['alice', 'bob'], hops: 2 });
+    expect(await slaWatcher.process(entry)).toBe('escalated');
+    expect(assign).toHaveBeenCalledWith('lead123', 'manager1', organizationId);
+    expect(outboundWebhookService.emit).toHaveBeenCalledWith('lead.escalated', organizationId, expect.objectContaining({
+      leadId: 'lead123',
+      escalatedTo: 'manager1',
+      untouchedBy: ['alice', 'bob', 'carol'],
+      hops: 2
+    }));
+    expect(LeadSla.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'escalated', escalatedTo: 'manager1', assignedTo: 'manager1' });
+    expect(AssignmentLog.create.mock.calls[0][0]).toMatchObject({ assignedTo: 'manager1', reason: 'sla-escalation' });
+
+    // Hops left, but everyone else already had the lead
+    jest.clearAllMocks();
+    expect(await slaWatcher.process({ ...entry, hops: 1 })).toBe('escalated');
+    expect(assign).toHaveBeenCalledTimes(1);
+    expect(assign).toHaveBeenCalledWith('lead123', 'manager1', organizationId);
+  });
+
+  test('should stop watching worked leads and retry failed reassignments', async () => {
+    const getLead = jest.spyOn(leadsServiceClient, 'getLead').mockResolvedValue({ ...untouched, status: 'contacted' });
+
+    expect(await slaWatcher.process(watched())).toBe('worked');
+    expect(assign).not.toHaveBeenCalled();
+    expect(LeadSla.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'worked' });
+
+    getLead.mockResolvedValue(untouched);
+    assign.mockResolvedValue({ success: false, error: 'Leads service unavailable' });
+    expect(await slaWatcher.process(watched())).toBe('watching');
+    expect(LeadSla.updateOne.mock.calls[1][1].$set).toMatchObject({ status: 'watching', attempts: 1, lastError: 'Leads service unavailable' });
+    expect(await slaWatcher.process(watched({ attempts: slaWatcher.maxAttempts - 1 }))).toBe('failed');
+  });
+});
@@ -0,0 +1,95 @@
+const spamDetectionService = require('../services/spamDetection.service');
+
+describe('Spam Detection Engine Tests', () => {
+  const context = { source: 'website', formId: 'form-1' };
+
+  test('should allow a normal lead', async () => {
+    const result = await spamDetectionService.checkLead({
+      name: 'Rahul Verma',
+      email: 'rahul@company.com',
+      phone: '+919812345678'
+    }, context);
+
+    expect(result.isSpam).toBe(false);
+    expect(result.action).toBe('allow');
+    expect(result.blocked).toBe(false);
+    expect(result.spamIndicators).toEqual([]);
+  });
+
+  test('should flag a disposable email with a repeated-digit phone', async () => {
+    const result = await spamDetectionService.checkLead({
+      name: 'Test User',
+      email: 'someone@mailinator.com',
+      phone: '9999999999'
+    }, context);
+
+    expect(result.spamIndicators.map(i => i.rule)).toEqual(['disposableEmail', 'repeatedPhoneDigits']);
+    expect(result.spamScore).toBe(90);
+    expect(result.isSpam).toBe(true);
+    expect(result.action).toBe('flag');
+  });
+
+  test('should detect gibberish names', async () => {
+    const result = await spamDetectionService.checkLead({
+      name: 'asdfgh',
+      email: 'x@example.com'
+    }, context);
+
+    expect(result.spamIndicators[0].rule).toBe('gibberishName');
+  });
+
+  test('should score filled honeypot fields as spam', async () => {
+    const result = await spamDetectionService.checkLead({
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      fields: { _hp: 'http://spam.example' }
+    }, context);
+
+    expect(result.spamScore).toBe(100);
+    expect(result.isSpam).toBe(true);
+  });
+
+  test('should match organization patterns by type and source', () => {
+    const patterns = [
+      { type: 'domain', pattern: 'spammy.io', sources: [] },
+      { type: 'name', pattern: '^bot', isRegex: true, sources: ['facebook'] }
+    ];
+
+    expect(spamDetectionService.matchPatterns({ email: 'a@mail.spammy.io' }, context, patterns)?.type).toBe('domain');
+    expect(spamDetectionService.matchPatterns({ name: 'Bot Smith' }, context, patterns)).toBeNull();
+    expect(spamDetectionService.matchPatterns({ name: 'Bot Smith' }, { source: 'facebook' }, patterns)?.type).toBe('name');
+  });
+
+  test('should refuse regex patterns that can backtrack catastrophically', async () => {
+    expect(spamDetectionService.validateRegexPattern('^[a-z]+@spam\\.com$')).toBeNull();
+    expect(spamDetectionService.validateRegexPattern('(a+)+$')).toBe('nested quantifiers are not allowed');
+    expect(spamDetectionService.validateRegexPattern('(a|ab)*c')).toBe('repeated groups may not contain alternatives');
+    expect(spamDetectionService.validateRegexPattern('(\\w)\\1')).toBe('backreferences are not allowed');
+    expect(spamDetectionService.validateRegexPattern('a'.repeat(201))).toMatch(/up to 200 characters/);
+    await expect(spamDetectionService.addSpamPattern('org123', 'name', '(x+x+)+y', { isRegex: true }))
+      .rejects.toThrow('Invalid regular expression: nested quantifiers are not allowed');
+
+    // Stored before validation existed: skipped instead of run
+    const started = Date.now();
+    const patterns = [{ type: 'name', pattern: '(x+x+)+y', isRegex: true, sources: [] }];
+    expect(spamDetectionService.matchPatterns({ name: 'x'.repeat(40) }, context, patterns)).toBeNull();
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('should support custom rules', async () => {
+    spamDetectionService.registerRule('blockedCountry', (lead) => (
+      lead.fields?.country === 'XX' ? { reason: 'Blocked country' } : null
+    ), { defaultWeight: 70 });
+
+    const result = await spamDetectionService.checkLead({
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      fields: { country: 'XX' }
+    }, context);
+
+    spamDetectionService.rules.delete('blockedCountry');
+
+    expect(result.spamIndicators).toEqual([{ rule: 'blockedCountry', score: 70, reason: 'Blocked country' }]);
+    expect(result.isSpam).toBe(true);
+  });
+});
@@ -0,0 +1,183 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const DeadLetterEvent = require('../models/DeadLetterEvent');
+const FacebookIntegration = require('../models/FacebookIntegration');
+const LinkedInIntegration = require('../models/LinkedInIntegration');
+const ShopifyIntegration = require('../models/ShopifyIntegration');
+const facebookLeadProcessor = require('../services/facebookLeadProcessor.service');
+const linkedinService = require('../services/linkedin.service');
+const shopifyService = require('../services/shopifyService');
+const websiteService = require('../services/website.service');
+const webhookQueue = require('../services/webhookQueue.service');
+
+jest.mock('../models/WebhookEvent');
+jest.mock('../models/DeadLetterEvent');
+jest.mock('../models/FacebookIntegration');
+jest.mock('../models/LinkedInIntegration');
+jest.mock('../models/ShopifyIntegration');
+
+describe('Webhook Queue Tests', () => {
+  const createEvent = (overrides = {}) => ({
+    _id: 'event123',
+    source: 'test',
+    payload: { hello: 'world' },
+    headers: {},
+    metadata: {},
+    organizationIds: ['org123'],
+    integrationIds: ['integration123'],
+    attempts: 1,
+    maxAttempts: 3,
+    failures: [],
+    ...overrides
+  });
+
+  const findResolving = (docs) => ({ select: jest.fn().mockResolvedValue(docs) });
+
+  afterEach(() => {
+    webhookQueue.handlers.delete('test');
+    jest.restoreAllMocks();
+  });
+
+  test('should back off exponentially up to the maximum delay', () => {
+    expect(webhookQueue.getRetryDelay(1)).toBe(webhookQueue.baseDelayMs);
+    expect(webhookQueue.getRetryDelay(2)).toBe(webhookQueue.baseDelayMs * 2);
+    expect(webhookQueue.getRetryDelay(3)).toBe(webhookQueue.baseDelayMs * 4);
+    expect(webhookQueue.getRetryDelay(50)).toBe(webhookQueue.maxDelayMs);
+  });
+
+  test('should not store credential headers', () => {
+    const headers = webhookQueue.pickHeaders({
+      Authorization: 'Bearer secret',
+      'x-api-key': 'wp_secret',
+      cookie: 'session=1',
+      'x-shopify-topic': 'orders/create',
+      'user-agent': 'Shopify'
+    });
+
+    expect(headers).toEqual({
+      'x-shopify-topic': 'orders/create',
+      'user-agent': 'Shopify'
+    });
+  });
+
+  test('should mark the event completed when the handler succeeds', async () => {
+    webhookQueue.registerHandler('test', async () => ({ success: true, leadId: 'lead123' }));
+
+    await webhookQueue.processEvent(createEvent());
+
+    const [, update] = WebhookEvent.updateOne.mock.calls[0];
+    expect(update.$set.status).toBe('completed');
+    expect(update.$set.result).toEqual({ success: true, leadId: 'lead123' });
+    expect(DeadLetterEvent.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should schedule a retry while attempts remain', async () => {
+    webhookQueue.registerHandler('test', async () => {
+      throw new Error('Leads service unavailable');
+    });
+
+    const before = Date.now();
+    await webhookQueue.processEvent(createEvent({ attempts: 2 }));
+
+    const [, update] = WebhookEvent.updateOne.mock.calls[0];
+    expect(update.$set.status).toBe('failed');
+    expect(update.$set.lastError).toBe('Leads service unavailable');
+    expect(update.$set.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + webhookQueue.getRetryDelay(2));
+    expect(DeadLetterEvent.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('should dead-letter the event after the last attempt', async () => {
+    webhookQueue.registerHandler('test', async () => {
+      throw new Error('Leads service unavailable');
+    });
+
+    await webhookQueue.processEvent(createEvent({ attempts: 3 }));
+
+    expect(WebhookEvent.updateOne.mock.calls[0][1].$set.status).toBe('dead');
+
+    const [filter, update, options] = DeadLetterEvent.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ eventId: 'event123' });
+    expect(update.$set.status).toBe('dead');
+    expect(update.$set.failures).toHaveLength(1);
+    expect(options.upsert).toBe(true);
+  });
+
+  test('should dead-letter non-retryable errors immediately', async () => {
+    webhookQueue.registerHandler('test', async () => {
+      throw Object.assign(new Error('Integration deleted'), { retryable: false });
+    });
+
+    await webhookQueue.processEvent(createEvent({ attempts: 1 }));
+
+    expect(WebhookEvent.updateOne.mock.calls[0][1].$set.status).toBe('dead');
+    expect(DeadLetterEvent.findOneAndUpdate).toHaveBeenCalled();
+  });
+
+  test('should retry a Facebook lead when any organization sharing the page failed', async () => {
+    FacebookIntegration.find.mockReturnValue(findResolving([
+      { _id: 'fb1', organizationId: 'org1' },
+      { _id: 'fb2', organizationId: 'org2' }
+    ]));
+    jest.spyOn(facebookLeadProcessor, 'processWebhookLead').mockResolvedValue({
+      success: true,
+      results: [
+        { integrationId: 'fb1', organizationId: 'org1', success: true, leadId: 'lead1' },
+        { integrationId: 'fb2', organizationId: 'org2', success: false, error: 'Leads service unavailable' }
+      ]
+    });
+
+    await webhookQueue.processEvent(createEvent({ source: 'facebook', payload: { leadgen_id: 'lg1', page_id: 'page1' } }));
+
+    const [, update] = WebhookEvent.updateOne.mock.calls[0];
+    expect(update.$set.status).toBe('failed');
+    expect(update.$set.lastError).toBe('Leads service unavailable');
+  });
+
+  test('should scope a failed LinkedIn event to the integration owning the ad account', async () => {
+    LinkedInIntegration.find.mockReturnValue(findResolving([{ _id: 'li-integration', organizationId: 'org-li' }]));
+    jest.spyOn(linkedinService, 'handleWebhook').mockRejectedValue(new Error('LinkedIn API unavailable'));
+
+    await webhookQueue.processEvent(createEvent({
+      source: 'linkedin',
+      payload: { owner: { sponsoredAccount: 'urn:li:sponsoredAccount:507' } },
+      organizationIds: [],
+      integrationIds: []
+    }));
+
+    expect(LinkedInIntegration.find).toHaveBeenCalledWith({ 'adAccounts.id': { $in: ['507'] }, connected: true });
+    const [, update] = WebhookEvent.updateOne.mock.calls[0];
+    expect(update.$set.status).toBe('failed');
+    expect(update.$set.organizationIds).toEqual(['org-li']);
+    expect(update.$set.integrationIds).toEqual(['li-integration']);
+  });
+
+  test('should scope a Shopify event by shop domain when no organization is in the URL', async () => {
+    ShopifyIntegration.find.mockReturnValue(findResolving([{ _id: 'shop-integration', organizationId: 'org-shop' }]));
+    jest.spyOn(shopifyService, 'handleWebhook').mockResolvedValue({ success: true });
+
+    await webhookQueue.processEvent(createEvent({
+      source: 'shopify',
+      headers: { 'x-shopify-shop-domain': 'Demo.myshopify.com' },
+      organizationIds: [],
+      integrationIds: []
+    }));
+
+    expect(ShopifyIntegration.find).toHaveBeenCalledWith({ shopDomain: 'demo.myshopify.com', isActive: true });
+    const [, update] = WebhookEvent.updateOne.mock.calls[0];
+    expect(update.$set.status).toBe('completed');
+    expect(update.$set.organizationIds).toEqual(['org-shop']);
+    expect(update.$set.integrationIds).toEqual(['shop-integration']);
+  });
+
+  test('should dead-letter website events whose integration is missing or inactive', async () => {
+    jest.spyOn(websiteService, 'handleWebsiteLead').mockResolvedValue({
+      success: false,
+      reason: 'integration_not_found',
+      message: 'Website integration not found or inactive'
+    });
+
+    await webhookQueue.processEvent(createEvent({ source: 'website', attempts: 1 }));
+
+    expect(WebhookEvent.updateOne.mock.calls[0][1].$set.status).toBe('dead');
+    expect(DeadLetterEvent.findOneAndUpdate).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+const express = require('express');
+const helmet = require('helmet');
+const request = require('supertest');
+const WebsiteIntegration = require('../models/WebsiteIntegration');
+const webhookQueue = require('../services/webhookQueue.service');
+const websiteService = require('../services/website.service');
+const websiteRoutes = require('../controllers/website.controller');
+
+jest.mock('../models/WebsiteIntegration');
+
+describe('Website Loader Script Tests', () => {
+  const integrationKey = '0123456789abcdef0123456789abcdef';
+  const integrationId = '64b0000000000000000000e1';
+
+  const integration = {
+    _id: integrationId,
+    organizationId: '64b000000000000000000001',
+    integrationKey,
+    domain: 'example.com',
+    isActive: true,
+    settings: { enableCORS: true, allowedOrigins: ['https://landing.example.net'] },
+    forms: [
+      { formId: 'contact-form', successMessage: 'Thanks, we will call you', isActive: true },
+      { formId: 'newsletter', redirectUrl: 'https://example.com/welcome', isActive: true },
+      { formId: 'old-form', isActive: false }
+    ],
+    formConfig: { successMessage: 'Thank you for your submission!' }
+  };
+
+  const lean = (value) => ({ lean: async () => value });
+
+  const app = express();
+  app.use(helmet());
+  app.use(express.json());
+  app.use('/api/integrations/website', websiteRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should serve the loader publicly with an ETag and answer unchanged requests with 304', async () => {
+    WebsiteIntegration.findOne.mockReturnValue(lean(integration));
+
+    const response = await request(app).get(`/api/integrations/website/embed/${integrationKey}`);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/javascript; charset=utf-8');
+    expect(response.headers['cross-origin-resource-policy']).toBe('cross-origin');
+    expect(response.headers['cache-control']).toBe('public, max-age=300');
+    expect(response.headers.etag).toBe(websiteService.loaderETag(response.text));
+    expect(WebsiteIntegration.findOne).toHaveBeenCalledWith({ integrationKey, isActive: true });
+
+    const cached = await request(app)
+      .get(`/api/integrations/website/embed/${integrationKey}`)
+      .set('If-None-Match', response.headers.etag);
+    expect(cached.status).toBe(304);
+
+    // A changed form changes the script, so sites pick it up on their next revalidation
+    WebsiteIntegration.findOne.mockReturnValue(lean({ ...integration, forms: [...integration.forms, { formId: 'quote' }] }));
+    const changed = await request(app)
+      .get(`/api/integrations/website/embed/${integrationKey}`)
+      .set('If-None-Match', response.headers.etag);
+    expect(changed.status).toBe(200);
+    expect(changed.headers.etag).not.toBe(response.headers.etag);
+
+    WebsiteIntegration.findOne.mockReturnValue(lean(null));
+    const missing = await request(app).get('/api/integrations/website/embed/unknown');
+    expect(missing.status).toBe(404);
+    expect(missing.headers['content-type']).toMatch(/javascript/);
+  });
+
+  test('should find the integration\'s active forms and send them to /submit/:id', () => {
+    const script = websiteService.generateLoaderScript(integration);
+
+    expect(() => new Function(script)).not.toThrow();
+    const config = JSON.parse(script.match(/var config = (.*);/)[1]);
+    expect(config).toEqual({
+      integrationKey,
+      submitUrl: `https://api.jestycrm.com/api/integrations/website/submit/${integrationId}`,
+      partialUrl: `https://api.jestycrm.com/api/integrations/website/partial/${integrationId}`,
+      formIds: ['contact-form', 'newsletter'],
+      selector: 'form[data-jesty-form], form.jesty-form, form#lead-form, form[id="contact-form"], form[id="newsletter"]',
+      partialForms: {},
+      captcha: null
+    });
+    expect(script).toContain("'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'");
+    expect(script).toContain('data.attribution = touches');
+
+    // The snippet the dashboard hands out is the loader
+    expect(websiteService.generateEmbedCode(integration))
+      .toContain(`<script src="https://api.jestycrm.com/api/integrations/website/embed/${integrationKey}" async></script>`);
+  });
+
+  test('should queue submissions from the integration\'s sites and answer with the form\'s message', async () => {
+    WebsiteIntegration.findOne.mockResolvedValue(integration);
+    const enqueue = jest.spyOn(webhookQueue, 'enqueue').mockResolvedValue({ _id: 'event1' });
+
+    const response = await request(app)
+      .post(`/api/integrations/website/submit/${integrationId}`)
+      .set('Origin', 'https://www.example.com')
+      .set('X-Form-ID', 'contact-form')
+      .send({ name: 'Asha', phone: '9876543210', formId: 'contact-form', utm_source: 'google' });
+
+    expect(response.status).toBe(202);
+    expect(response.body).toEqual({ success: true, eventId: 'event1', message: 'Thanks, we will call you', redirectUrl: null });
+    expect(WebsiteIntegration.findOne).toHaveBeenCalledWith({ _id: integrationId, isActive: true });
+
+    const [source, payload, options] = enqueue.mock.calls[0];
+    expect(source).toBe('website');
+    expect(payload).toEqual({ name: 'Asha', phone: '9876543210', formId: 'contact-form', utm_source: 'google' });
+    expect(options).toMatchObject({ eventType: 'form_submission', integrationId, organizationId: integration.organizationId });
+    expect(options.headers['x-integration-key']).toBe(integrationKey);
+
+    // Without an Origin header the Referer tells where the form is
+    const redirected = await request(app)
+      .post(`/api/integrations/website/submit/${integrationId}`)
+      .set('Referer', 'https://landing.example.net/offer?utm_source=google')
+      .send({ email: 'a@example.com', formId: 'newsletter' });
+    expect(redirected.body.redirectUrl).toBe('https://example.com/welcome');
+
+    const foreign = await request(app)
+      .post(`/api/integrations/website/submit/${integrationId}`)
+      .set('Origin', 'https://evil.example.org')
+      .send({ name: 'Bot' });
+    expect(foreign.status).toBe(403);
+    const anonymous = await request(app)
+      .post(`/api/integrations/website/submit/${integrationId}`)
+      .send({ name: 'Bot' });
+    expect(anonymous.status).toBe(403);
+    expect(enqueue).toHaveBeenCalledTimes(2);
+
+    expect((await request(app).post('/api/integrations/website/submit/not-an-id').send({})).status).toBe(404);
+  });
+});
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const AssigneeLoad = require('../models/AssigneeLoad');
+const AssignmentState = require('../models/AssignmentState');
+const OrganizationSettings = require('../models/OrganizationSettings');
+const PendingAssignment = require('../models/PendingAssignment');
+const assignmentEngine = require('../services/assignmentEngine.service');
+const assignmentQueue = require('../services/assignmentQueue.service');
+const formAssignmentService = require('../services/formAssignmentService');
+const workingHoursService = require('../services/workingHours.service');
+const wordpressService = require('../services/wordpressService');
+const { isWithinShift, nextShiftStart, zonedTimeToUtc } = require('../utils/workingHours');
+
+jest.mock('../models/AssigneeLoad');
+jest.mock('../models/AssignmentState');
+jest.mock('../models/OrganizationSettings');
+jest.mock('../models/PendingAssignment');
+
+describe('Working Hours Tests', () => {
+  const organizationId = '64b000000000000000000001';
+  const weekdays = [1, 2, 3, 4, 5];
+
+  // Monday 19 October 2026, 10:30 in Kolkata
+  const mondayMorning = new Date('2026-10-19T05:00:00Z');
+  // Tuesday 20 October 2026, 01:30 in Kolkata
+  const tuesdayNight = new Date('2026-10-19T20:00:00Z');
+  // 04:00 in Kolkata, 23:30 in London: nobody works
+  const afterHours = new Date('2026-10-19T22:30:00Z');
+
+  const users = [
+    { userId: 'alice', weight: 1 },
+    { userId: 'bob', weight: 1 }
+  ];
+
+  const workingHours = {
+    timezone: 'Asia/Kolkata',
+    defaultShifts: [{ days: weekdays, start: '09:00', end: '18:00' }],
+    holidays: [],
+    onCallUsers: ['carol'],
+    users: [
+      // Bob works evenings from London
+      { userId: 'bob', timezone: 'Europe/London', shifts: [{ days: weekdays, start: '14:00', end: '22:00' }], daysOff: [] }
+    ]
+  };
+
+  const mockWorkingHours = (hours) => {
+    OrganizationSettings.findOne.mockReturnValue({
+      select: () => ({ lean: async () => ({ workingHours: hours }) })
+    });
+  };
+
+  const settings = (outsideHours) => ({
+    enabled: true,
+    algorithm: 'round-robin',
+    assignToUsers: users,
+    workingHours: { enabled: true, outsideHours }
+  });
+
+  // readyState is not configurable on the prototype
+  const readyState = jest.fn();
+
+  beforeAll(() => {
+    Object.defineProperty(mongoose.connection, 'readyState', { get: readyState, configurable: true });
+  });
+
+  afterAll(() => {
+    delete mongoose.connection.readyState;
+  });
+
+  beforeEach(() => {
+    readyState.mockReturnValue(1);
+    workingHoursService.hoursCache.clear();
+    mockWorkingHours(workingHours);
+
+    let sequence = 0;
+    AssignmentState.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => ({ sequence: ++sequence })
+    }));
+    AssignmentState.updateOne.mockResolvedValue({});
+    AssigneeLoad.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  test('should evaluate shifts in the schedule timezone, overnight shifts and days off', () => {
+    const office = { timezone: 'Asia/Kolkata', shifts: [{ days: weekdays, start: '09:00', end: '18:00' }] };
+    expect(isWithinShift(office, mondayMorning)).toBe(true);
+    expect(isWithinShift(office, tuesdayNight)).toBe(false);
+    expect(nextShiftStart(office, tuesdayNight).toISOString()).toBe('2026-10-20T03:30:00.000Z');
+
+    // Tuesday is a holiday, so the next shift is Wednesday's
+    expect(nextShiftStart(office, tuesdayNight, ['2026-10-20']).toISOString()).toBe('2026-10-21T03:30:00.000Z');
+    expect(isWithinShift({ ...office, daysOff: ['2026-10-19'] }, mondayMorning)).toBe(false);
+
+    // Friday 22:00 to Saturday 06:00 in New York belongs to Friday
+    const nights = { timezone: 'America/New_York', shifts: [{ days: [5], start: '22:00', end: '06:00' }] };
+    expect(isWithinShift(nights, new Date('2026-10-24T08:00:00Z'))).toBe(true);
+    expect(isWithinShift(nights, new Date('2026-10-24T11:00:00Z'))).toBe(false);
+    expect(isWithinShift({ ...nights, daysOff: ['2026-10-23'] }, new Date('2026-10-24T08:00:00Z'))).toBe(false);
+
+    // 09:00 in New York before and after the clocks go back
+    expect(zonedTimeToUtc('2026-10-30', 540, 'America/New_York').toISOString()).toBe('2026-10-30T13:00:00.000Z');
+    expect(zonedTimeToUtc('2026-11-02', 540, 'America/New_York').toISOString()).toBe('2026-11-02T14:00:00.000Z');
+  });
+
+  test('should only assign users on shift', async () => {
+    const context = { organizationId, now: mondayMorning };
+
+    // 10:30 in Kolkata is 06:00 in London: only Alice works
+    const morning = await assignmentEngine.nextForSettings('website:integration123', settings('queue'), context);
+    expect(morning.user.userId).toBe('alice');
+
+    // 18:30 in Kolkata is 14:00 in London: only Bob works
+    const evening = await assignmentEngine.nextForSettings('website:integration123', settings('queue'),
+      { organizationId, now: new Date('2026-10-19T13:00:00Z') });
+    expect(evening.user.userId).toBe('bob');
+
+    // Working hours off: shifts are ignored
+    const anytime = await assignmentEngine.nextForSettings('website:integration123',
+      { ...settings('queue'), workingHours: { enabled: false } }, { organizationId, now: tuesdayNight });
+    expect(anytime.user).toBeTruthy();
+  });
+
+  test('should follow the outside hours action when nobody is on shift', async () => {
+    const locator = { source: 'facebook', integrationId: 'integration123', pageId: 'page123', formId: 'form123' };
+    const context = { organizationId, now: afterHours, locator };
+
+    const queued = await assignmentEngine.nextForSettings('facebook:integration123:page123:form123', settings('queue'), context);
+    expect(queued).toMatchObject({ user: null, deferred: true, organizationId, locator });
+    // Alice is first, at 09:00 in Kolkata
+    expect(queued.availableAt.toISOString()).toBe('2026-10-20T03:30:00.000Z');
+    expect(AssignmentState.findOneAndUpdate).not.toHaveBeenCalled();
+
+    const onCall = await assignmentEngine.nextForSettings('facebook:integration123:page123:form123', settings('on-call'), context);
+    expect(onCall).toMatchObject({ onCall: true, user: { userId: 'carol' } });
+    expect(AssignmentState.findOneAndUpdate.mock.calls[0][0]).toEqual({ scope: 'facebook:integration123:page123:form123:on-call' });
+
+    expect(await assignmentEngine.nextForSettings('facebook:integration123:page123:form123', settings('unassigned'), context)).toBeNull();
+
+    // An empty on-call pool queues the lead instead
+    mockWorkingHours({ ...workingHours, onCallUsers: [] });
+    workingHoursService.hoursCache.clear();
+    const fallback = await assignmentEngine.nextForSettings('facebook:integration123:page123:form123', settings('on-call'), context);
+    expect(fallback.deferred).toBe(true);
+  });
+
+  test('should queue a deferred lead and assign it when the shift starts', async () => {
+    const deferred = {
+      user: null,
+      deferred: true,
+      availableAt: new Date('2026-10-20T03:30:00Z'),
+      scope: 'facebook:integration123:page123:form123',
+      organizationId,
+      locator: { source: 'facebook', integrationId: 'integration123', pageId: 'page123', formId: 'form123' }
+    };
+    PendingAssignment.findOneAndUpdate.mockResolvedValue({ _id: 'pending123' });
+
+    expect(await assignmentQueue.defer({ user: { userId: 'alice' } }, 'lead123')).toBeNull();
+    await assignmentQueue.defer(deferred, 'lead123');
+
+    const [filter, update, options] = PendingAssignment.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ leadId: 'lead123' });
+    expect(update.$set).toMatchObject({ scope: deferred.scope, availableAt: deferred.availableAt, status: 'pending' });
+    expect(options).toMatchObject({ upsert: true });
+
+    // The worker reloads the form settings and assigns through the engine
+    const entry = { _id: 'pending123', leadId: 'lead123', organizationId, scope: deferred.scope, locator: deferred.locator, attempts: 0 };
+    jest.spyOn(formAssignmentService, 'getFormAssignmentSettings').mockResolvedValue(settings('queue'));
+    jest.spyOn(formAssignmentService, 'updateLastAssignment').mockResolvedValue();
+    const assign = jest.spyOn(formAssignmentService, 'assignLeadToUserViaService').mockResolvedValue({ success: true });
+    const next = jest.spyOn(assignmentEngine, 'nextForSettings')
+      .mockResolvedValueOnce({ user: { userId: 'alice' }, nextIndex: 0 })
+      .mockResolvedValueOnce({ ...deferred, availableAt: new Date('2026-10-21T03:30:00Z') });
+    PendingAssignment.updateOne.mockResolvedValue({});
+
+    expect(await assignmentQueue.process(entry)).toBe('assigned');
+    expect(next.mock.calls[0][2]).toMatchObject({ organizationId, locator: deferred.locator });
+    expect(assign).toHaveBeenCalledWith('lead123', 'alice', organizationId);
+    expect(PendingAssignment.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'assigned', assignedTo: 'alice' });
+
+    // Schedules changed and nobody is on shift yet: wait for the new start
+    expect(await assignmentQueue.process(entry)).toBe('pending');
+    expect(PendingAssignment.updateOne.mock.calls[1][1].$set.availableAt.toISOString()).toBe('2026-10-21T03:30:00.000Z');
+  });
+
+  test('should retry a failed queued assignment and give up after the last attempt', async () => {
+    const entry = {
+      _id: 'pending123',
+      leadId: 'lead123',
+      organizationId,
+      scope: 'shopify:shopify123',
+      locator: { source: 'shopify', integrationId: 'shopify123' },
+      attempts: 0
+    };
+    jest.spyOn(assignmentQueue, 'settingsFor').mockResolvedValue(settings('queue'));
+    jest.spyOn(assignmentEngine, 'nextForSettings').mockResolvedValue({ user: { userId: 'alice' }, nextIndex: 0 });
+    jest.spyOn(formAssignmentService, 'assignLeadToUserViaService').mockResolvedValue({ success: false, error: 'Leads service unavailable' });
+    PendingAssignment.updateOne.mockResolvedValue({});
+
+    expect(await assignmentQueue.process(entry)).toBe('pending');
+    expect(PendingAssignment.updateOne.mock.calls[0][1].$set).toMatchObject({ attempts: 1, lastError: 'Leads service unavailable' });
+
+    expect(await assignmentQueue.process({ ...entry, attempts: assignmentQueue.maxAttempts - 1 })).toBe('failed');
+  });
+
+  test('should turn on working hours for the WordPress business hours rule', () => {
+    const integration = {
+      _id: 'wordpress123',
+      assignmentSettings: { enabled: false },
+      leadMappingConfig: { autoAssignment: { assignToUser: 'alice', rules: { businessHours: true } } }
+    };
+
+    expect(wordpressService.effectiveAssignmentSettings(integration)).toMatchObject({
+      enabled: true,
+      assignToUsers: [{ userId: 'alice' }],
+      workingHours: { enabled: true, outsideHours: 'queue' }
+    });
+
+    integration.assignmentSettings = { enabled: true, assignToUsers: users, workingHours: { enabled: false, outsideHours: 'on-call' } };
+    expect(wordpressService.effectiveAssignmentSettings(integration).workingHours).toEqual({ enabled: true, outsideHours: 'on-call' });
+  });
+});
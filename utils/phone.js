@@ -0,0 +1,68 @@
+const { parsePhoneNumberFromString, isSupportedCountry } = require('libphonenumber-js/max');
+
+// Used when neither the integration nor the organization sets a default country
+const FALLBACK_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+const LINE_TYPES = {
+  MOBILE: 'mobile',
+  FIXED_LINE: 'fixed_line',
+  FIXED_LINE_OR_MOBILE: 'fixed_line_or_mobile',
+  TOLL_FREE: 'toll_free',
+  PREMIUM_RATE: 'premium_rate',
+  SHARED_COST: 'shared_cost',
+  VOIP: 'voip',
+  PERSONAL_NUMBER: 'personal_number',
+  PAGER: 'pager',
+  UAN: 'uan',
+  VOICEMAIL: 'voicemail'
+};
+
+const isValidCountry = (country) =>
+  typeof country === 'string' && isSupportedCountry(country.toUpperCase());
+
+// Strip formatting but keep a leading +; "00" is the international call prefix
+const cleanPhone = (raw) => {
+  const cleaned = String(raw).replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+  return cleaned.startsWith('00') ? `+${cleaned.slice(2)}` : cleaned;
+};
+
+/**
+ * Parse a phone number as typed by the lead.
+ *
+ * `phone` is the value to store: the E.164 number when it is at least possible
+ * for its country, otherwise the digits as received so nothing is made up.
+ *
+ * @param {string|number} raw - Phone number in any format
+ * @param {Object} [options]
+ * @param {string} [options.defaultCountry] - ISO 3166-1 alpha-2 country for national numbers
+ * @returns {Object|null} { phone, e164, raw, country, nationalNumber, status, type, defaultCountry }
+ *          status is 'valid', 'possible' or 'invalid'; null when there is no number
+ */
+const normalizePhone = (raw, { defaultCountry } = {}) => {
+  if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+
+  const country = isValidCountry(defaultCountry) ? defaultCountry.toUpperCase() : FALLBACK_COUNTRY;
+  const cleaned = cleanPhone(raw);
+  const parsed = cleaned ? parsePhoneNumberFromString(cleaned, country) : undefined;
+
+  const status = !parsed ? 'invalid' : parsed.isValid() ? 'valid' : parsed.isPossible() ? 'possible' : 'invalid';
+  const e164 = status === 'invalid' ? null : parsed.number;
+
+  return {
+    phone: e164 || cleaned,
+    e164,
+    raw: String(raw),
+    country: parsed?.country || null,
+    nationalNumber: parsed?.nationalNumber || null,
+    status,
+    type: (status === 'valid' && LINE_TYPES[parsed.getType()]) || null,
+    defaultCountry: country
+  };
+};
+
+module.exports = {
+  FALLBACK_COUNTRY,
+  normalizePhone,
+  cleanPhone,
+  isValidCountry
+};
@@ -0,0 +1,80 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const addressError = (message) => Object.assign(new Error(message), { code: 'EADDRNOTPUBLIC' });
+
+/**
+ * Whether an IP address is one a server-side request must never reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} true for non-public addresses and anything that is not an IP
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) reaches the IPv4 address
+  const mapped = family === 6 && address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return BLOCKED.check(mapped[1], 'ipv4');
+
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Resolve an http(s) URL's host and make sure every address it points to is public.
+ * Errors with code EADDRNOTPUBLIC (or EINVALIDURL) will not change on retry; DNS errors may.
+ * @param {string} url - URL to check
+ * @returns {Promise<string[]>} The resolved addresses
+ */
+const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw Object.assign(new Error('url must be a valid http(s) URL'), { code: 'EINVALIDURL' });
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    throw addressError(`${hostname} resolves to a private, loopback or link-local address`);
+  }
+  return addresses;
+};
+
+/**
+ * dns.lookup replacement for http(s) agents: the address is checked when the
+ * connection is made, so a host re-pointed after validation is still refused.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(addressError(`${hostname} resolves to a private, loopback or link-local address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  assertPublicUrl,
+  publicLookup
+};
@@ -0,0 +1,174 @@
+// Time-zone aware shift arithmetic on the runtime's Intl data; no timezone library needed
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Shifts are searched this many days ahead for the next start
+const SEARCH_DAYS = 14;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+const formatterFor = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone) return false;
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidTime = (value) => typeof value === 'string' && TIME_PATTERN.test(value);
+
+const isValidDate = (value) =>
+  typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+
+// 'HH:mm' -> minutes after midnight
+const toMinutes = (value) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Wall-clock view of an instant in a timezone
+ * @returns {Object} { dateKey: 'YYYY-MM-DD', weekday: 0-6 (Sunday = 0), minutes: after midnight }
+ */
+const localParts = (date, timezone) => {
+  const parts = {};
+  formatterFor(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const addDays = (dateKey, days) =>
+  new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Milliseconds the timezone is ahead of UTC at an instant
+const offsetAt = (timestamp, timezone) => {
+  const { dateKey, minutes } = localParts(new Date(timestamp), timezone);
+  const wallClock = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60 * 1000;
+  return wallClock - Math.floor(timestamp / 60000) * 60000;
+};
+
+/**
+ * Instant at which a timezone's clock shows the given date and time.
+ * Times skipped by a DST change resolve to the instant just after the gap.
+ */
+const zonedTimeToUtc = (dateKey, minutes, timezone) => {
+  const wallClock = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60 * 1000;
+  const first = wallClock - offsetAt(wallClock, timezone);
+  const second = wallClock - offsetAt(first, timezone);
+  return new Date(Math.max(first, second));
+};
+
+/**
+ * Local hour and day an instant falls in, with the instants they end
+ * @returns {Object} { hourKey: 'YYYY-MM-DDTHH', dayKey: 'YYYY-MM-DD', hourEndsAt: Date, dayEndsAt: Date }
+ */
+const localWindows = (date, timezone) => {
+  const { dateKey, minutes } = localParts(date, timezone);
+  const hour = Math.floor(minutes / 60);
+
+  return {
+    hourKey: `${dateKey}T${String(hour).padStart(2, '0')}`,
+    dayKey: dateKey,
+    hourEndsAt: zonedTimeToUtc(dateKey, (hour + 1) * 60, timezone),
+    dayEndsAt: zonedTimeToUtc(addDays(dateKey, 1), 0, timezone)
+  };
+};
+
+const isDayOff = (dateKey, daysOff) => daysOff.has(dateKey);
+
+/**
+ * Whether a schedule is working at an instant.
+ * A shift ending at or before its start runs past midnight and belongs to the day it starts;
+ * days off and holidays are dates in the schedule's timezone.
+ *
+ * @param {Object} schedule - { timezone, shifts: [{ days: [0-6], start: 'HH:mm', end: 'HH:mm' }], daysOff: ['YYYY-MM-DD'] }
+ * @param {Date} date - Instant to check
+ * @param {Array<string>} [holidays] - Organization days off
+ */
+const isWithinShift = (schedule, date, holidays = []) => {
+  const local = localParts(date, schedule.timezone);
+  const yesterday = addDays(local.dateKey, -1);
+  const yesterdayWeekday = (local.weekday + 6) % 7;
+  const daysOff = new Set([...(schedule.daysOff || []), ...holidays]);
+
+  return (schedule.shifts || []).some(shift => {
+    const start = toMinutes(shift.start);
+    const end = toMinutes(shift.end);
+    const overnight = end <= start;
+
+    if (shift.days.includes(local.weekday) && !isDayOff(local.dateKey, daysOff)) {
+      if (local.minutes >= start && (overnight || local.minutes < end)) return true;
+    }
+
+    // Tail of an overnight shift that started yesterday
+    return overnight &&
+      shift.days.includes(yesterdayWeekday) &&
+      !isDayOff(yesterday, daysOff) &&
+      local.minutes < end;
+  });
+};
+
+/**
+ * Start of the schedule's next shift after an instant, or null when none starts in the next two weeks
+ */
+const nextShiftStart = (schedule, date, holidays = []) => {
+  const local = localParts(date, schedule.timezone);
+  const daysOff = new Set([...(schedule.daysOff || []), ...holidays]);
+  let next = null;
+
+  for (let offset = 0; offset <= SEARCH_DAYS && !next; offset++) {
+    const dateKey = addDays(local.dateKey, offset);
+    const weekday = (local.weekday + offset) % 7;
+    if (isDayOff(dateKey, daysOff)) continue;
+
+    (schedule.shifts || []).forEach(shift => {
+      if (!shift.days.includes(weekday)) return;
+
+      const start = zonedTimeToUtc(dateKey, toMinutes(shift.start), schedule.timezone);
+      if (start > date && (!next || start < next)) {
+        next = start;
+      }
+    });
+  }
+
+  return next;
+};
+
+module.exports = {
+  isValidTimezone,
+  isValidTime,
+  isValidDate,
+  localParts,
+  zonedTimeToUtc,
+  localWindows,
+  isWithinShift,
+  nextShiftStart
+};